@@ -16,6 +16,19 @@ const reportRoutes = require('./routes/reports');
 const authRoutes = require('./routes/auth');
 const aiRoutes = require('./routes/ai');
 const accountRoutes = require('./routes/accounts');
+const costBasisRoutes = require('./routes/costBasis');
+const priceRoutes = require('./routes/prices');
+const walletRoutes = require('./routes/wallets');
+const jobRoutes = require('./routes/jobs');
+const reviewRoutes = require('./routes/review');
+const auditRoutes = require('./routes/audit');
+const periodRoutes = require('./routes/periods');
+const journalEntryRoutes = require('./routes/journalEntries');
+const revaluationRoutes = require('./routes/revaluations');
+const importRoutes = require('./routes/imports');
+const reconciliationRoutes = require('./routes/reconciliation');
+const categorizationRuleRoutes = require('./routes/categorizationRules');
+const jobService = require('./services/jobService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -108,6 +121,18 @@ app.use('/api/transactions', authMiddleware, transactionRoutes);
 app.use('/api/reports', authMiddleware, reportRoutes);
 app.use('/api/ai', authMiddleware, aiRoutes);
 app.use('/api/accounts', authMiddleware, accountRoutes);
+app.use('/api/cost-basis', authMiddleware, costBasisRoutes);
+app.use('/api/prices', authMiddleware, priceRoutes);
+app.use('/api/wallets', authMiddleware, walletRoutes);
+app.use('/api/jobs', authMiddleware, jobRoutes);
+app.use('/api/review', authMiddleware, reviewRoutes);
+app.use('/api/audit', authMiddleware, auditRoutes);
+app.use('/api/periods', authMiddleware, periodRoutes);
+app.use('/api/journal-entries', authMiddleware, journalEntryRoutes);
+app.use('/api/revaluations', authMiddleware, revaluationRoutes);
+app.use('/api/imports', authMiddleware, importRoutes);
+app.use('/api/reconciliation', authMiddleware, reconciliationRoutes);
+app.use('/api/categorization-rules', authMiddleware, categorizationRuleRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -136,6 +161,11 @@ process.on('SIGINT', () => {
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Resume jobs interrupted by the last shutdown and start the job queue
+  jobService.start().catch((error) => {
+    logger.error('Failed to start job queue', { error: error.message });
+  });
 });
 
 module.exports = app;
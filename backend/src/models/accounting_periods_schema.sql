@@ -0,0 +1,25 @@
+-- Accounting Periods
+-- Monthly periods per user. A month without a row is open. Soft-closed months
+-- no longer take entries booked by the AI but still take manual corrections;
+-- locked months take no writes at all. Closing a year posts the closing entry
+-- (revenue and expenses into Retained Earnings) and locks its twelve months.
+
+CREATE TABLE IF NOT EXISTS accounting_periods (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  period VARCHAR(7) NOT NULL CHECK (period ~ '^[0-9]{4}-(0[1-9]|1[0-2])$'), -- YYYY-MM
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'soft_closed', 'locked')),
+  closed_at TIMESTAMPTZ, -- Last time the period left 'open'
+  locked_at TIMESTAMPTZ,
+  closing_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL, -- Set on December of a closed year
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounting_periods_user_status ON accounting_periods(user_id, status);
+
+CREATE TRIGGER update_accounting_periods_updated_at BEFORE UPDATE ON accounting_periods
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN accounting_periods.status IS 'open = any write, soft_closed = manual corrections only, locked = no writes';
@@ -0,0 +1,41 @@
+-- Audit Trail
+-- Every create, update and delete on journal_entries and accounts is appended here
+-- with the actor, the source of the change and the row before and after. Rows can
+-- only be inserted: each one carries the hash of the previous row, so editing or
+-- removing history breaks the chain (see auditService.verifyChain).
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY, -- Position in the hash chain
+  table_name VARCHAR(50) NOT NULL CHECK (table_name IN ('journal_entries', 'accounts')),
+  record_id UUID NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  user_id UUID, -- Owner of the record (NULL for shared chart accounts)
+  actor_id UUID, -- Who made the change
+  source VARCHAR(20) NOT NULL CHECK (source IN ('ai', 'manual', 'api', 'system')),
+  before JSONB, -- NULL for a create
+  after JSONB, -- NULL for a delete
+  changes JSONB NOT NULL DEFAULT '{}', -- Field-level diff: { field: { from, to } }
+  recorded_at TIMESTAMPTZ NOT NULL,
+  prev_hash CHAR(64) NOT NULL UNIQUE, -- Unique so concurrent writers cannot fork the chain
+  hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, id);
+
+-- Append-only: history is never rewritten, not even by the service role
+CREATE OR REPLACE FUNCTION prevent_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change();
+
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_change();
+
+COMMENT ON COLUMN audit_log.hash IS 'sha256 of prev_hash and the canonical JSON of the event; the first row chains from 64 zeros';
+COMMENT ON COLUMN audit_log.source IS 'ai = booked by the AI, manual = edited by a user, api = created through the API, system = recomputed by the server (e.g. cost basis gain entries)';
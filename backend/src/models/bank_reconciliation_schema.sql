@@ -0,0 +1,63 @@
+-- Bank Reconciliation
+-- Run after bank_statements_schema.sql. A reconciliation checks one bank account
+-- of the chart over a period against the bank's statement: bank transactions
+-- are matched to the journal entries that book them, and the period reconciles
+-- when the opening balance plus the matched bank transactions reaches the
+-- statement's closing balance. A match joins one or more bank transactions to
+-- one or more journal entries with the same total (a split match when either
+-- side has several). Matched entries cannot be edited.
+
+CREATE TABLE IF NOT EXISTS bank_reconciliations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  opening_balance DECIMAL(20, 2) NOT NULL, -- Closing balance of the previous reconciliation, or of the bank at period_start
+  statement_closing_balance DECIMAL(20, 2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed')),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (period_start <= period_end),
+  UNIQUE (account_id, period_end)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_reconciliations_user_account ON bank_reconciliations(user_id, account_id, period_end);
+
+CREATE TRIGGER update_bank_reconciliations_updated_at BEFORE UPDATE ON bank_reconciliations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS bank_matches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  reconciliation_id UUID NOT NULL REFERENCES bank_reconciliations(id) ON DELETE CASCADE,
+  method VARCHAR(20) NOT NULL CHECK (method IN ('auto', 'manual', 'created')),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_matches_reconciliation ON bank_matches(reconciliation_id);
+
+-- A bank transaction belongs to at most one match
+ALTER TABLE bank_transactions
+ADD COLUMN IF NOT EXISTS match_id UUID REFERENCES bank_matches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bank_transactions_match ON bank_transactions(match_id);
+
+CREATE TABLE IF NOT EXISTS bank_match_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  match_id UUID NOT NULL REFERENCES bank_matches(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  journal_entry_id UUID NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  amount DECIMAL(20, 2) NOT NULL, -- The entry's movement on the account: debits less credits
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (account_id, journal_entry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_match_entries_match ON bank_match_entries(match_id);
+CREATE INDEX IF NOT EXISTS idx_bank_match_entries_entry ON bank_match_entries(user_id, journal_entry_id);
+
+COMMENT ON COLUMN bank_matches.method IS 'auto = matched on amount, date and reference; manual = matched by the user; created = entry booked from the bank transaction';
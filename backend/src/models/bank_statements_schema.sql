@@ -0,0 +1,52 @@
+-- Bank Statements
+-- Statement files (CAMT.053, MT940, OFX) imported into one of the user's bank accounts.
+-- Every statement of a file is a row of bank_statements with its balances; its
+-- bookings are rows of bank_transactions, linked to the chart account the user
+-- imported them into. A transaction's fingerprint is derived from the bank's own
+-- reference (or its contents), so importing a statement again skips what is stored.
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  format VARCHAR(20) NOT NULL, -- Parser name: camt053, mt940, ofx
+  file_name TEXT,
+  statement_reference TEXT, -- The bank's statement id or number
+  account_identifier TEXT, -- IBAN or account number the bank gives
+  currency VARCHAR(3),
+  period_start DATE,
+  period_end DATE,
+  opening_balance DECIMAL(20, 2), -- Signed: negative when overdrawn; OFX has none
+  closing_balance DECIMAL(20, 2),
+  closing_date DATE,
+  transactions_total INTEGER NOT NULL DEFAULT 0,
+  transactions_imported INTEGER NOT NULL DEFAULT 0,
+  transactions_duplicate INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statements_account ON bank_statements(account_id, period_end);
+
+CREATE TABLE IF NOT EXISTS bank_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  statement_id UUID REFERENCES bank_statements(id) ON DELETE SET NULL, -- Statement that first brought it in
+  fingerprint VARCHAR(64) NOT NULL,
+  booking_date DATE NOT NULL,
+  value_date DATE,
+  amount DECIMAL(20, 2) NOT NULL, -- Signed: received positive, paid negative
+  currency VARCHAR(3) NOT NULL,
+  counterparty_name TEXT,
+  counterparty_account TEXT, -- IBAN or account number
+  reference TEXT, -- Payer's reference: end-to-end id, cheque number
+  bank_reference TEXT, -- The bank's id for the booking
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (account_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_transactions_account_date ON bank_transactions(account_id, booking_date);
+CREATE INDEX IF NOT EXISTS idx_bank_transactions_statement ON bank_transactions(statement_id);
+
+COMMENT ON COLUMN bank_transactions.fingerprint IS 'Hash of the bank reference, or of date, amount, currency, references and text when the bank gives none';
@@ -0,0 +1,40 @@
+-- Categorization Rules
+-- User-defined rules that book recurring transactions without the AI, such as a
+-- monthly USDT payment to the same vendor. A rule's conditions (all optional, at
+-- least one set) are matched against a transaction; the first active rule by
+-- priority whose conditions all hold books the transaction on its fixed debit and
+-- credit accounts. Only transactions no rule matches are sent to the AI.
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100, -- Lower runs first
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Conditions
+  counterparty_address VARCHAR(42) CHECK (counterparty_address ~ '^0x[0-9a-f]{40}$'), -- Lowercase
+  method_signature VARCHAR(10) CHECK (method_signature ~ '^0x[0-9a-f]{8}$'), -- 4-byte selector, e.g. 0xa9059cbb
+  token TEXT, -- Symbol (USDT) or lowercase contract address; the native symbol for native transfers
+  min_amount DECIMAL(30, 8),
+  max_amount DECIMAL(30, 8),
+  category VARCHAR(50), -- As detected by BlockscoutClient.detectTransactionCategory
+  -- Action
+  debit_account TEXT NOT NULL,
+  credit_account TEXT NOT NULL,
+  narrative_template TEXT, -- Placeholders: {rule} {amount} {currency} {counterparty} {hash} {category}
+  book_gas_fee BOOLEAN NOT NULL DEFAULT TRUE, -- Expense the gas of transactions the business sent
+  match_count INTEGER NOT NULL DEFAULT 0,
+  last_matched_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount),
+  CHECK (COALESCE(counterparty_address, method_signature, token, category) IS NOT NULL
+    OR min_amount IS NOT NULL OR max_amount IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_priority ON categorization_rules(user_id, is_active, priority);
+
+CREATE TRIGGER update_categorization_rules_updated_at BEFORE UPDATE ON categorization_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN categorization_rules.debit_account IS 'Chart account name debited with the transaction amount in its currency';
@@ -0,0 +1,63 @@
+-- Per-User Chart of Accounts
+-- Upgrades a database created before accounts had owners. Accounts, crypto assets
+-- and AI mappings get a user_id; the existing rows stay without one and become the
+-- template chart that every user's own chart is copied from (accountService.ensureChart).
+-- Codes and symbols are unique per user instead of globally.
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE crypto_assets ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE account_ai_mappings ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_code_key;
+ALTER TABLE accounts DROP CONSTRAINT IF EXISTS accounts_user_id_code_key;
+ALTER TABLE accounts ADD CONSTRAINT accounts_user_id_code_key UNIQUE NULLS NOT DISTINCT (user_id, code);
+
+ALTER TABLE crypto_assets DROP CONSTRAINT IF EXISTS crypto_assets_symbol_key;
+ALTER TABLE crypto_assets DROP CONSTRAINT IF EXISTS crypto_assets_user_id_symbol_key;
+ALTER TABLE crypto_assets ADD CONSTRAINT crypto_assets_user_id_symbol_key UNIQUE NULLS NOT DISTINCT (user_id, symbol);
+
+-- A user's copy of a template account points at it, so later template accounts are
+-- matched by template and not by a code the user may have used for their own account
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS template_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
+CREATE INDEX IF NOT EXISTS idx_crypto_assets_user_id ON crypto_assets(user_id);
+CREATE INDEX IF NOT EXISTS idx_account_ai_mappings_user_id ON account_ai_mappings(user_id);
+
+-- Accounts a user created through the API go back to that user, as far as the
+-- audit trail knows who created them; their crypto assets and mappings follow
+UPDATE accounts
+SET user_id = audit_log.actor_id
+FROM audit_log
+WHERE audit_log.table_name = 'accounts'
+  AND audit_log.action = 'create'
+  AND audit_log.record_id = accounts.id
+  AND audit_log.actor_id IS NOT NULL
+  AND accounts.user_id IS NULL;
+
+UPDATE crypto_assets
+SET user_id = accounts.user_id
+FROM accounts
+WHERE crypto_assets.account_id = accounts.id
+  AND accounts.user_id IS NOT NULL
+  AND crypto_assets.user_id IS NULL;
+
+UPDATE account_ai_mappings
+SET user_id = accounts.user_id
+FROM accounts
+WHERE account_ai_mappings.account_id = accounts.id
+  AND accounts.user_id IS NOT NULL
+  AND account_ai_mappings.user_id IS NULL;
+
+-- Copies made before template_account_id existed: same code and name as the template
+UPDATE accounts
+SET template_account_id = template.id
+FROM accounts AS template
+WHERE template.user_id IS NULL
+  AND accounts.user_id IS NOT NULL
+  AND accounts.template_account_id IS NULL
+  AND accounts.code = template.code
+  AND accounts.name = template.name;
+
+COMMENT ON COLUMN accounts.user_id IS 'Owner of the account; NULL for the template chart copied to new users';
+COMMENT ON COLUMN accounts.template_account_id IS 'Template account this account was copied from; NULL for the template and for accounts the user created';
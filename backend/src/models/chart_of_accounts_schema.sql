@@ -15,12 +15,16 @@ CREATE TABLE IF NOT EXISTS account_categories (
 );
 
 -- Chart of Accounts
+-- Every user has their own chart; rows without a user_id are the template
+-- (chart_of_accounts_seed.sql) that new users start from
 CREATE TABLE IF NOT EXISTS accounts (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  code VARCHAR(20) UNIQUE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL for the template chart
+  code VARCHAR(20) NOT NULL,
   name VARCHAR(200) NOT NULL,
   category_id UUID REFERENCES account_categories(id),
   parent_account_id UUID REFERENCES accounts(id), -- For sub-accounts
+  template_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL, -- Template account a user's copy was made from
   account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('ASSET', 'LIABILITY', 'EQUITY', 'REVENUE', 'EXPENSE')),
   sub_type VARCHAR(50), -- e.g., 'CURRENT_ASSET', 'FIXED_ASSET', 'DIGITAL_ASSET'
   currency VARCHAR(10), -- NULL for multi-currency accounts, specific currency for currency-specific accounts
@@ -30,13 +34,15 @@ CREATE TABLE IF NOT EXISTS accounts (
   ifrs_reference VARCHAR(50), -- e.g., 'IAS 38', 'IFRS 9'
   sort_order INTEGER DEFAULT 0,
   created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, code)
 );
 
 -- Cryptocurrency Asset Definitions
 CREATE TABLE IF NOT EXISTS crypto_assets (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  symbol VARCHAR(20) UNIQUE NOT NULL, -- BTC, ETH, USDT, etc.
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL for the template chart
+  symbol VARCHAR(20) NOT NULL, -- BTC, ETH, USDT, etc.
   name VARCHAR(100) NOT NULL, -- Bitcoin, Ethereum, Tether USD
   account_id UUID REFERENCES accounts(id), -- Link to the account for this asset
   contract_address VARCHAR(100), -- For tokens (ERC-20, etc.)
@@ -45,12 +51,14 @@ CREATE TABLE IF NOT EXISTS crypto_assets (
   is_stable_coin BOOLEAN DEFAULT FALSE,
   is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, symbol)
 );
 
 -- Account Mappings for AI (to help AI choose correct accounts)
 CREATE TABLE IF NOT EXISTS account_ai_mappings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL for the template chart
   account_id UUID REFERENCES accounts(id),
   keywords TEXT[], -- Array of keywords that should map to this account
   transaction_types TEXT[], -- Array of transaction types: purchase, sale, transfer, staking, etc.
@@ -62,13 +70,16 @@ CREATE TABLE IF NOT EXISTS account_ai_mappings (
 
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_accounts_code ON accounts(code);
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
 CREATE INDEX IF NOT EXISTS idx_accounts_category_id ON accounts(category_id);
 CREATE INDEX IF NOT EXISTS idx_accounts_parent_account_id ON accounts(parent_account_id);
 CREATE INDEX IF NOT EXISTS idx_accounts_account_type ON accounts(account_type);
 CREATE INDEX IF NOT EXISTS idx_accounts_currency ON accounts(currency);
 CREATE INDEX IF NOT EXISTS idx_crypto_assets_symbol ON crypto_assets(symbol);
 CREATE INDEX IF NOT EXISTS idx_crypto_assets_account_id ON crypto_assets(account_id);
+CREATE INDEX IF NOT EXISTS idx_crypto_assets_user_id ON crypto_assets(user_id);
 CREATE INDEX IF NOT EXISTS idx_account_ai_mappings_account_id ON account_ai_mappings(account_id);
+CREATE INDEX IF NOT EXISTS idx_account_ai_mappings_user_id ON account_ai_mappings(user_id);
 
 -- Updated at triggers
 CREATE TRIGGER update_account_categories_updated_at BEFORE UPDATE ON account_categories
@@ -1,5 +1,7 @@
 -- Seed Data for Chart of Accounts
 -- IFRS-Compliant Cryptocurrency Bookkeeping Structure
+-- Accounts, crypto assets and AI mappings seeded here have no user_id: they are the
+-- template every user's own chart is copied from (see accountService.ensureChart)
 
 -- Account Categories
 INSERT INTO account_categories (code, name, type, description, sort_order) VALUES
@@ -46,6 +48,7 @@ INSERT INTO accounts (code, name, category_id, account_type, sub_type, descripti
 ('3001', 'Share Capital', (SELECT id FROM account_categories WHERE code = '3000'), 'EQUITY', 'EQUITY', 'Issued share capital', 'IAS 1', 3001),
 ('3002', 'Retained Earnings', (SELECT id FROM account_categories WHERE code = '3000'), 'EQUITY', 'EQUITY', 'Accumulated profits/losses', 'IAS 1', 3002),
 ('3003', 'Crypto Revaluation Reserve', (SELECT id FROM account_categories WHERE code = '3000'), 'EQUITY', 'EQUITY', 'Unrealized gains/losses on crypto assets', 'IAS 38', 3003),
+('3004', 'Currency Trading', (SELECT id FROM account_categories WHERE code = '3000'), 'EQUITY', 'EQUITY', 'Other side of each currency of swaps and trades between currencies', 'IAS 21', 3004),
 
 -- Revenue
 ('4001', 'Trading Revenue', (SELECT id FROM account_categories WHERE code = '4000'), 'REVENUE', 'REVENUE', 'Revenue from cryptocurrency trading', 'IFRS 15', 4001),
@@ -67,36 +70,37 @@ INSERT INTO accounts (code, name, category_id, account_type, sub_type, descripti
 ('6003', 'Conversion Fees', (SELECT id FROM account_categories WHERE code = '6000'), 'EXPENSE', 'FINANCIAL_EXPENSE', 'Currency conversion fees', 'IAS 1', 6003),
 ('6004', 'Interest Expense', (SELECT id FROM account_categories WHERE code = '6000'), 'EXPENSE', 'FINANCIAL_EXPENSE', 'Interest on loans and credit', 'IAS 23', 6004),
 ('6005', 'Bank Fees', (SELECT id FROM account_categories WHERE code = '6000'), 'EXPENSE', 'FINANCIAL_EXPENSE', 'Banking and wire transfer fees', 'IAS 1', 6005),
-('6006', 'Realized Loss on Crypto', (SELECT id FROM account_categories WHERE code = '6000'), 'EXPENSE', 'FINANCIAL_EXPENSE', 'Realized losses from crypto sales', 'IAS 38', 6006)
-ON CONFLICT (code) DO NOTHING;
+('6006', 'Realized Loss on Crypto', (SELECT id FROM account_categories WHERE code = '6000'), 'EXPENSE', 'FINANCIAL_EXPENSE', 'Realized losses from crypto sales', 'IAS 38', 6006),
+('6007', 'Impairment Loss on Crypto', (SELECT id FROM account_categories WHERE code = '6000'), 'EXPENSE', 'FINANCIAL_EXPENSE', 'Period-end write-downs of crypto assets below their carrying value', 'IAS 36', 6007)
+ON CONFLICT (user_id, code) DO NOTHING;
 
 -- Cryptocurrency Asset Definitions
 INSERT INTO crypto_assets (symbol, name, account_id, blockchain, decimals, is_stable_coin) VALUES
-('BTC', 'Bitcoin', (SELECT id FROM accounts WHERE code = '1801'), 'bitcoin', 8, false),
-('ETH', 'Ethereum', (SELECT id FROM accounts WHERE code = '1802'), 'ethereum', 18, false),
-('USDT', 'Tether USD', (SELECT id FROM accounts WHERE code = '1803'), 'ethereum', 6, true),
-('USDC', 'USD Coin', (SELECT id FROM accounts WHERE code = '1804'), 'ethereum', 6, true),
-('DAI', 'Dai Stablecoin', (SELECT id FROM accounts WHERE code = '1805'), 'ethereum', 18, true),
-('BNB', 'Binance Coin', (SELECT id FROM accounts WHERE code = '1806'), 'binance-smart-chain', 18, false),
-('MATIC', 'Polygon', (SELECT id FROM accounts WHERE code = '1807'), 'polygon', 18, false)
-ON CONFLICT (symbol) DO NOTHING;
+('BTC', 'Bitcoin', (SELECT id FROM accounts WHERE code = '1801' AND user_id IS NULL), 'bitcoin', 8, false),
+('ETH', 'Ethereum', (SELECT id FROM accounts WHERE code = '1802' AND user_id IS NULL), 'ethereum', 18, false),
+('USDT', 'Tether USD', (SELECT id FROM accounts WHERE code = '1803' AND user_id IS NULL), 'ethereum', 6, true),
+('USDC', 'USD Coin', (SELECT id FROM accounts WHERE code = '1804' AND user_id IS NULL), 'ethereum', 6, true),
+('DAI', 'Dai Stablecoin', (SELECT id FROM accounts WHERE code = '1805' AND user_id IS NULL), 'ethereum', 18, true),
+('BNB', 'Binance Coin', (SELECT id FROM accounts WHERE code = '1806' AND user_id IS NULL), 'binance-smart-chain', 18, false),
+('MATIC', 'Polygon', (SELECT id FROM accounts WHERE code = '1807' AND user_id IS NULL), 'polygon', 18, false)
+ON CONFLICT (user_id, symbol) DO NOTHING;
 
 -- AI Mapping Keywords for Account Selection
 INSERT INTO account_ai_mappings (account_id, keywords, transaction_types, context_patterns) VALUES
 -- Digital Assets
-((SELECT id FROM accounts WHERE code = '1801'), ARRAY['bitcoin', 'btc'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought bitcoin', 'received btc', 'bitcoin payment']),
-((SELECT id FROM accounts WHERE code = '1802'), ARRAY['ethereum', 'eth'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought ethereum', 'received eth', 'ethereum payment']),
-((SELECT id FROM accounts WHERE code = '1803'), ARRAY['usdt', 'tether'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought usdt', 'received tether', 'usdt payment']),
-((SELECT id FROM accounts WHERE code = '1804'), ARRAY['usdc', 'usd coin'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought usdc', 'received usdc', 'usdc payment']),
+((SELECT id FROM accounts WHERE code = '1801' AND user_id IS NULL), ARRAY['bitcoin', 'btc'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought bitcoin', 'received btc', 'bitcoin payment']),
+((SELECT id FROM accounts WHERE code = '1802' AND user_id IS NULL), ARRAY['ethereum', 'eth'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought ethereum', 'received eth', 'ethereum payment']),
+((SELECT id FROM accounts WHERE code = '1803' AND user_id IS NULL), ARRAY['usdt', 'tether'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought usdt', 'received tether', 'usdt payment']),
+((SELECT id FROM accounts WHERE code = '1804' AND user_id IS NULL), ARRAY['usdc', 'usd coin'], ARRAY['purchase', 'sale', 'transfer', 'receive'], ARRAY['bought usdc', 'received usdc', 'usdc payment']),
 
 -- Expenses
-((SELECT id FROM accounts WHERE code = '6001'), ARRAY['gas', 'transaction fee', 'network fee'], ARRAY['transfer', 'contract_interaction'], ARRAY['gas fee', 'transaction cost', 'network fee']),
-((SELECT id FROM accounts WHERE code = '6002'), ARRAY['trading fee', 'exchange fee'], ARRAY['purchase', 'sale'], ARRAY['exchange fee', 'trading cost']),
-((SELECT id FROM accounts WHERE code = '5001'), ARRAY['salary', 'wages', 'payroll'], ARRAY['payment'], ARRAY['employee payment', 'salary payment', 'payroll']),
-((SELECT id FROM accounts WHERE code = '5003'), ARRAY['software', 'saas', 'subscription'], ARRAY['payment'], ARRAY['software subscription', 'saas payment', 'license fee']),
+((SELECT id FROM accounts WHERE code = '6001' AND user_id IS NULL), ARRAY['gas', 'transaction fee', 'network fee'], ARRAY['transfer', 'contract_interaction'], ARRAY['gas fee', 'transaction cost', 'network fee']),
+((SELECT id FROM accounts WHERE code = '6002' AND user_id IS NULL), ARRAY['trading fee', 'exchange fee'], ARRAY['purchase', 'sale'], ARRAY['exchange fee', 'trading cost']),
+((SELECT id FROM accounts WHERE code = '5001' AND user_id IS NULL), ARRAY['salary', 'wages', 'payroll'], ARRAY['payment'], ARRAY['employee payment', 'salary payment', 'payroll']),
+((SELECT id FROM accounts WHERE code = '5003' AND user_id IS NULL), ARRAY['software', 'saas', 'subscription'], ARRAY['payment'], ARRAY['software subscription', 'saas payment', 'license fee']),
 
 -- Revenue
-((SELECT id FROM accounts WHERE code = '4001'), ARRAY['trading profit', 'realized gain'], ARRAY['sale'], ARRAY['crypto sale profit', 'trading gain']),
-((SELECT id FROM accounts WHERE code = '4002'), ARRAY['staking reward', 'staking income'], ARRAY['staking'], ARRAY['staking reward', 'validator reward']),
-((SELECT id FROM accounts WHERE code = '4004'), ARRAY['defi yield', 'liquidity mining', 'yield farming'], ARRAY['defi'], ARRAY['defi reward', 'yield farming', 'liquidity reward'])
+((SELECT id FROM accounts WHERE code = '4001' AND user_id IS NULL), ARRAY['trading profit', 'realized gain'], ARRAY['sale'], ARRAY['crypto sale profit', 'trading gain']),
+((SELECT id FROM accounts WHERE code = '4002' AND user_id IS NULL), ARRAY['staking reward', 'staking income'], ARRAY['staking'], ARRAY['staking reward', 'validator reward']),
+((SELECT id FROM accounts WHERE code = '4004' AND user_id IS NULL), ARRAY['defi yield', 'liquidity mining', 'yield farming'], ARRAY['defi'], ARRAY['defi reward', 'yield farming', 'liquidity reward'])
 ON CONFLICT DO NOTHING; 
\ No newline at end of file
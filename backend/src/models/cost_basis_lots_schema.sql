@@ -0,0 +1,65 @@
+-- Cost Basis Lot Tracking
+-- Every acquisition of a crypto_assets symbol opens a lot carrying its USD cost;
+-- every disposal consumes lots using the user's cost basis method. Both tables are
+-- derived state: they are rebuilt from the journal at any time, so nothing here is
+-- the source of truth for the ledger itself.
+
+-- Per-user settings
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  cost_basis_method VARCHAR(20) NOT NULL DEFAULT 'FIFO'
+    CHECK (cost_basis_method IN ('FIFO', 'LIFO', 'HIFO', 'SPECIFIC_ID')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Acquisition lots
+CREATE TABLE IF NOT EXISTS asset_lots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- Stable identifier of the acquiring journal line: '<journal_entry_id>:<line_number>'
+  lot_key TEXT NOT NULL,
+  symbol VARCHAR(20) NOT NULL,
+  account_name TEXT NOT NULL,
+  journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  acquired_on DATE NOT NULL,
+  quantity NUMERIC(20, 8) NOT NULL CHECK (quantity > 0),
+  remaining_quantity NUMERIC(20, 8) NOT NULL CHECK (remaining_quantity >= 0),
+  cost_usd NUMERIC(20, 2) NULL, -- NULL when the acquisition has no USD value
+  unit_cost_usd NUMERIC(20, 8) NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, lot_key)
+);
+
+-- Lot consumption by disposals (one row per lot consumed, plus one row without a
+-- lot for any quantity disposed beyond the open lots)
+CREATE TABLE IF NOT EXISTS lot_disposals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  lot_id UUID REFERENCES asset_lots(id) ON DELETE CASCADE,
+  -- Identifier of the disposing journal line: '<journal_entry_id>:<line_number>'
+  disposal_key TEXT NOT NULL,
+  symbol VARCHAR(20) NOT NULL,
+  account_name TEXT NOT NULL,
+  journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE CASCADE,
+  disposed_on DATE NOT NULL,
+  method VARCHAR(20) NOT NULL,
+  quantity NUMERIC(20, 8) NOT NULL CHECK (quantity > 0),
+  cost_usd NUMERIC(20, 2) NULL,
+  proceeds_usd NUMERIC(20, 2) NULL,
+  gain_usd NUMERIC(20, 2) NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_lots_user_symbol ON asset_lots(user_id, symbol);
+CREATE INDEX IF NOT EXISTS idx_lot_disposals_user_symbol ON lot_disposals(user_id, symbol);
+CREATE INDEX IF NOT EXISTS idx_lot_disposals_lot_id ON lot_disposals(lot_id);
+CREATE INDEX IF NOT EXISTS idx_lot_disposals_journal_entry_id ON lot_disposals(journal_entry_id);
+
+CREATE TRIGGER update_user_settings_updated_at BEFORE UPDATE ON user_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN user_settings.cost_basis_method IS 'Lot relief order for disposals: FIFO, LIFO, HIFO (highest cost first) or SPECIFIC_ID';
+COMMENT ON COLUMN asset_lots.remaining_quantity IS 'Quantity of the lot not yet consumed by disposals';
+COMMENT ON COLUMN lot_disposals.lot_id IS 'Consumed lot; NULL for quantity disposed without an open lot (zero cost basis)';
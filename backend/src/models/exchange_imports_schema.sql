@@ -0,0 +1,30 @@
+-- Exchange Imports
+-- Account exports of centralized exchanges (Binance, Coinbase, Kraken) are read by a
+-- parser per export format and stored as pending transactions with a synthetic txid
+-- ("<exchange>:<hash>"), so uploading an export again skips what is already stored.
+-- One row per upload; an exchange_import job books its transactions.
+
+CREATE TABLE IF NOT EXISTS exchange_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  exchange VARCHAR(20) NOT NULL, -- Parser name
+  file_name TEXT,
+  records_total INTEGER NOT NULL DEFAULT 0, -- Records read from the file
+  records_imported INTEGER NOT NULL DEFAULT 0, -- Stored as new transactions
+  records_duplicate INTEGER NOT NULL DEFAULT 0, -- Already stored by an earlier import
+  rows_invalid INTEGER NOT NULL DEFAULT 0, -- Lines the parser could not read
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL, -- Latest job booking the transactions
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_imports_user_created ON exchange_imports(user_id, created_at);
+
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES exchange_imports(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_import_id ON transactions(import_id) WHERE import_id IS NOT NULL;
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_type_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_type_check CHECK (type IN ('wallet_analysis', 'bulk_process', 'exchange_import'));
+
+COMMENT ON COLUMN transactions.import_id IS 'Exchange import the transaction was read from; NULL for on-chain transactions';
@@ -0,0 +1,28 @@
+-- Background Jobs
+-- Long-running work (bulk wallet analysis, bulk transaction processing) runs as a
+-- persisted job instead of inside the HTTP request. The row is the job's queue
+-- entry, progress report and result, so jobs survive a server restart.
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL CHECK (type IN ('wallet_analysis', 'bulk_process')),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  payload JSONB NOT NULL DEFAULT '{}', -- Input of the job
+  progress JSONB NOT NULL DEFAULT '{}', -- Updated while the job runs
+  result JSONB, -- Output of a succeeded job
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0, -- Runs started (a restart puts running jobs back in the queue)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_created ON jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_user_created ON jobs(user_id, created_at);
+
+CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN jobs.progress IS 'Job-specific progress, e.g. per-category status of a wallet analysis';
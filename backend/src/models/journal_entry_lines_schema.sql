@@ -0,0 +1,70 @@
+-- Compound Journal Entries
+-- journal_entries becomes the entry header; the debit/credit postings live in
+-- journal_entry_lines so a single entry can carry N debit and M credit lines.
+
+-- Compound entries have no single debit/credit pair, so the legacy pair columns
+-- become optional. They are still populated for simple two-line entries.
+ALTER TABLE journal_entries
+ALTER COLUMN account_debit DROP NOT NULL,
+ALTER COLUMN account_credit DROP NOT NULL,
+ALTER COLUMN amount DROP NOT NULL,
+ALTER COLUMN currency DROP NOT NULL;
+
+ALTER TABLE journal_entries
+ADD COLUMN IF NOT EXISTS is_compound BOOLEAN DEFAULT FALSE;
+
+-- Journal Entry Lines
+CREATE TABLE IF NOT EXISTS journal_entry_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  journal_entry_id UUID NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  line_number INTEGER NOT NULL,
+  account_name TEXT NOT NULL,
+  entry_type VARCHAR(6) NOT NULL CHECK (entry_type IN ('debit', 'credit')),
+  amount NUMERIC(20, 8) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  narrative TEXT,
+  usd_value NUMERIC(20, 2) NULL,
+  usd_rate NUMERIC(20, 8) NULL,
+  usd_source VARCHAR(50) NULL,
+  usd_timestamp TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(journal_entry_id, line_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_entry_id ON journal_entry_lines(journal_entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_user_id ON journal_entry_lines(user_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_account_name ON journal_entry_lines(account_name);
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_currency ON journal_entry_lines(currency);
+
+CREATE TRIGGER update_journal_entry_lines_updated_at BEFORE UPDATE ON journal_entry_lines
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN journal_entry_lines.entry_type IS 'Posting side of the line (debit or credit)';
+COMMENT ON COLUMN journal_entry_lines.amount IS 'Positive line amount in the line currency';
+COMMENT ON COLUMN journal_entries.is_compound IS 'TRUE when the entry has more than one debit or credit line';
+
+-- Backfill: every existing single-pair entry becomes a debit line and a credit line
+INSERT INTO journal_entry_lines (
+  journal_entry_id, user_id, line_number, account_name, entry_type, amount, currency,
+  narrative, usd_value, usd_rate, usd_source, usd_timestamp
+)
+SELECT j.id, j.user_id, 1, j.account_debit, 'debit', j.amount, j.currency,
+       j.narrative, j.usd_value, j.usd_rate, j.usd_source, j.usd_timestamp
+FROM journal_entries j
+WHERE j.account_debit IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM journal_entry_lines l WHERE l.journal_entry_id = j.id);
+
+INSERT INTO journal_entry_lines (
+  journal_entry_id, user_id, line_number, account_name, entry_type, amount, currency,
+  narrative, usd_value, usd_rate, usd_source, usd_timestamp
+)
+SELECT j.id, j.user_id, 2, j.account_credit, 'credit', j.amount, j.currency,
+       j.narrative, j.usd_value, j.usd_rate, j.usd_source, j.usd_timestamp
+FROM journal_entries j
+WHERE j.account_credit IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM journal_entry_lines l
+    WHERE l.journal_entry_id = j.id AND l.entry_type = 'credit'
+  );
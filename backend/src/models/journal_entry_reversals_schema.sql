@@ -0,0 +1,16 @@
+-- Reversing and Correcting Entries
+-- A posted entry is never edited in place to fix it: a reversal mirrors its lines
+-- and, for a correction, a replacement entry is posted next to it. The links let
+-- reports net reversed entries out and the dashboard show what replaced what.
+
+ALTER TABLE journal_entries
+ADD COLUMN IF NOT EXISTS reverses_entry_id UUID REFERENCES journal_entries(id) ON DELETE RESTRICT, -- Set on the reversal
+ADD COLUMN IF NOT EXISTS reversed_by_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL, -- Set on the reversed entry
+ADD COLUMN IF NOT EXISTS corrects_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL; -- Set on the replacement
+
+-- An entry is reversed at most once, even when two requests race
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_reverses_entry
+  ON journal_entries(reverses_entry_id) WHERE reverses_entry_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_corrects_entry
+  ON journal_entries(corrects_entry_id) WHERE corrects_entry_id IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Journal Line Accounts
+-- Journal lines reference the account they post to by id, with its code copied
+-- alongside, so reports classify lines by the account's type and renaming an
+-- account keeps its history. account_name stays as the name the line was booked
+-- under. Lines outside the chart of accounts keep account_id NULL.
+-- Existing lines are linked per user through POST /api/accounts/link-journal-lines.
+
+ALTER TABLE journal_entry_lines
+ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts(id),
+ADD COLUMN IF NOT EXISTS account_code VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_account_id ON journal_entry_lines(account_id);
+
+-- Lines still to be linked
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_unlinked
+  ON journal_entry_lines(user_id, account_name) WHERE account_id IS NULL;
+
+COMMENT ON COLUMN journal_entry_lines.account_id IS 'Account of the user''s chart the line posts to; NULL when the name matched no account';
+COMMENT ON COLUMN journal_entry_lines.account_code IS 'Code of the account at the time the line was linked';
@@ -0,0 +1,24 @@
+-- Historical Price Storage
+-- Daily USD prices per symbol, used to value journal lines at their transaction
+-- date instead of the price at the time the entry was saved. Rows are filled by
+-- the price providers (on demand or through a backfill of a date range).
+
+CREATE TABLE IF NOT EXISTS price_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  symbol VARCHAR(20) NOT NULL,
+  price_date DATE NOT NULL,
+  usd_price NUMERIC(30, 12) NOT NULL CHECK (usd_price >= 0),
+  source VARCHAR(50) NOT NULL, -- Provider that supplied the price (coingecko, manual, ...)
+  fetched_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(symbol, price_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_symbol_date ON price_history(symbol, price_date);
+
+CREATE TRIGGER update_price_history_updated_at BEFORE UPDATE ON price_history
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN price_history.price_date IS 'UTC day the price applies to';
+COMMENT ON COLUMN price_history.usd_price IS 'USD price of one unit of the symbol on price_date';
@@ -0,0 +1,42 @@
+-- Price Provider Chain
+-- Prices are resolved through ordered providers (FTSO contract, Blockscout token
+-- price, manual prices, stablecoin pegs). Every resolved price is persisted with
+-- its source, and journal lines reference the price they were valued with, so
+-- reports can be reproduced later.
+
+-- User-maintained prices, e.g. for tokens no feed covers
+CREATE TABLE IF NOT EXISTS manual_prices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  symbol VARCHAR(20) NOT NULL,
+  price_date DATE NOT NULL, -- Applies from this day until a later manual price
+  usd_price NUMERIC(30, 12) NOT NULL CHECK (usd_price >= 0),
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, symbol, price_date)
+);
+
+-- Every price resolved by the provider chain (also the persisted price cache)
+CREATE TABLE IF NOT EXISTS resolved_prices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  symbol VARCHAR(20) NOT NULL,
+  usd_price NUMERIC(30, 12) NOT NULL CHECK (usd_price >= 0),
+  source VARCHAR(50) NOT NULL, -- ftso, blockscout, manual, stablecoin_peg, coingecko, mock
+  priced_at TIMESTAMPTZ NOT NULL, -- Moment the price applies to
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_manual_prices_user_symbol_date ON manual_prices(user_id, symbol, price_date);
+CREATE INDEX IF NOT EXISTS idx_resolved_prices_symbol_created_at ON resolved_prices(symbol, created_at);
+
+CREATE TRIGGER update_manual_prices_updated_at BEFORE UPDATE ON manual_prices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Journal lines reference the resolved price used for their USD value
+ALTER TABLE journal_entry_lines
+ADD COLUMN IF NOT EXISTS price_id UUID REFERENCES resolved_prices(id);
+
+COMMENT ON COLUMN resolved_prices.source IS 'Provider that supplied the price';
+COMMENT ON COLUMN journal_entry_lines.price_id IS 'Resolved price used for usd_value';
@@ -0,0 +1,29 @@
+-- Revaluation Runs
+-- A period-end run prices every digital asset account at the closing date and
+-- posts one USD entry that brings the booked carrying values to fair value:
+-- increases go to Crypto Revaluation Reserve, decreases to Impairment Loss on
+-- Crypto. The run is reversed at the start of the next period, so each run is
+-- measured against the booked values and at most one run is posted at a time.
+
+CREATE TABLE IF NOT EXISTS revaluation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  closing_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'posted' CHECK (status IN ('posted', 'no_change', 'reversed')),
+  entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL, -- Revaluation entry dated closing_date
+  reversal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+  accounts JSONB NOT NULL DEFAULT '[]', -- Per account: holdings, prices, carrying and fair value
+  skipped JSONB NOT NULL DEFAULT '[]', -- Accounts left out, with the reason
+  surplus_usd DECIMAL(20, 2) NOT NULL DEFAULT 0,
+  impairment_usd DECIMAL(20, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  reversed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_revaluation_runs_user_date ON revaluation_runs(user_id, closing_date);
+
+-- One posted run per user, even when two runs race
+CREATE UNIQUE INDEX IF NOT EXISTS idx_revaluation_runs_posted
+  ON revaluation_runs(user_id) WHERE status = 'posted';
+
+COMMENT ON COLUMN revaluation_runs.status IS 'posted = entry on the books, no_change = nothing to adjust, reversed = undone at the start of the next period';
@@ -0,0 +1,21 @@
+-- Journal Entry Review Queue
+-- Entries the AI books from a transaction analysis wait for review when their
+-- confidence is below the user's threshold or an account had to be substituted.
+-- Pending entries stay in the ledger (reports can leave them out); rejected
+-- entries are kept for the record but no longer count anywhere.
+
+ALTER TABLE journal_entries
+ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+  CHECK (review_status IN ('pending', 'approved', 'rejected')),
+ADD COLUMN IF NOT EXISTS review_reasons JSONB NOT NULL DEFAULT '[]', -- Why the entry was queued
+ADD COLUMN IF NOT EXISTS review_note TEXT, -- Reviewer's note, e.g. why an entry was rejected
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS review_confidence_threshold NUMERIC(3, 2) NOT NULL DEFAULT 0.80
+  CHECK (review_confidence_threshold >= 0 AND review_confidence_threshold <= 1);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_review_status ON journal_entries(user_id, review_status);
+
+COMMENT ON COLUMN journal_entries.review_reasons IS 'e.g. [{ "reason": "low_confidence", "confidence": 0.6, "threshold": 0.8 }, { "reason": "account_substituted", "side": "debit", "requested": "Gas", "substituted": "Transaction Fees" }]';
+COMMENT ON COLUMN user_settings.review_confidence_threshold IS 'AI entries below this confidence go to the review queue';
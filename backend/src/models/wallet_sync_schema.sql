@@ -0,0 +1,64 @@
+-- Wallet History Sync
+-- Wallet sync pages through the full Blockscout history of an address, one stream
+-- at a time (transactions, token transfers, internal transactions), and stores the
+-- transactions it finds. A per-wallet, per-chain, per-stream cursor lets later runs fetch only
+-- new history and lets an interrupted run resume where it stopped.
+
+-- Sync position of a wallet stream
+CREATE TABLE IF NOT EXISTS wallet_sync_cursors (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  address VARCHAR(42) NOT NULL, -- Lowercase wallet address
+  chain VARCHAR(50) NOT NULL DEFAULT 'coston2', -- Chain registry key
+  stream VARCHAR(30) NOT NULL CHECK (stream IN ('transactions', 'token_transfers', 'internal_transactions')),
+  last_block BIGINT, -- Every item up to this block has been ingested
+  sweep_floor_block BIGINT, -- The running sweep stops once it pages below this block
+  sweep_high_block BIGINT, -- Highest block seen by the running sweep
+  next_page_params JSONB, -- Blockscout next_page_params to resume the running sweep (NULL = no sweep running)
+  items_synced INTEGER NOT NULL DEFAULT 0,
+  last_synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, address, chain, stream)
+);
+
+-- One row per sync run, updated after every page as its progress report
+CREATE TABLE IF NOT EXISTS wallet_sync_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  address VARCHAR(42) NOT NULL,
+  chain VARCHAR(50) NOT NULL DEFAULT 'coston2',
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'partial', 'failed')),
+  current_stream VARCHAR(30),
+  pages_fetched INTEGER NOT NULL DEFAULT 0,
+  items_fetched INTEGER NOT NULL DEFAULT 0,
+  transactions_inserted INTEGER NOT NULL DEFAULT 0,
+  transactions_merged INTEGER NOT NULL DEFAULT 0, -- Already stored, gained data from another stream
+  transactions_skipped INTEGER NOT NULL DEFAULT 0, -- Already stored (same txid)
+  error TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+-- Upgrade from single-chain sync: existing cursors and runs belong to Coston2
+ALTER TABLE wallet_sync_cursors ADD COLUMN IF NOT EXISTS chain VARCHAR(50) NOT NULL DEFAULT 'coston2';
+ALTER TABLE wallet_sync_runs ADD COLUMN IF NOT EXISTS chain VARCHAR(50) NOT NULL DEFAULT 'coston2';
+ALTER TABLE wallet_sync_cursors DROP CONSTRAINT IF EXISTS wallet_sync_cursors_user_id_address_stream_key;
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'wallet_sync_cursors_user_id_address_chain_stream_key'
+  ) THEN
+    ALTER TABLE wallet_sync_cursors
+      ADD CONSTRAINT wallet_sync_cursors_user_id_address_chain_stream_key UNIQUE (user_id, address, chain, stream);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_wallet_sync_cursors_user_address ON wallet_sync_cursors(user_id, address);
+CREATE INDEX IF NOT EXISTS idx_wallet_sync_runs_user_address ON wallet_sync_runs(user_id, address, started_at);
+
+CREATE TRIGGER update_wallet_sync_cursors_updated_at BEFORE UPDATE ON wallet_sync_cursors
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN wallet_sync_cursors.next_page_params IS 'Blockscout keyset cursor of an unfinished sweep';
+COMMENT ON COLUMN wallet_sync_runs.transactions_skipped IS 'Items whose txid was already stored';
@@ -0,0 +1,42 @@
+-- Wallet Registry
+-- The addresses that belong to the business, grouped by owning entity. Ingestion
+-- and AI analysis use the registry to tell "our" side of a transaction from the
+-- counterparty, instead of a single address passed with each request.
+
+-- Legal entities (companies, funds, individuals) that own wallets
+CREATE TABLE IF NOT EXISTS entities (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name VARCHAR(200) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
+-- Wallets owned by the user's business
+CREATE TABLE IF NOT EXISTS wallets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  address VARCHAR(42) NOT NULL, -- Lowercase wallet address
+  label VARCHAR(100) NOT NULL,
+  chain VARCHAR(50) NOT NULL DEFAULT 'coston2',
+  entity_id UUID REFERENCES entities(id) ON DELETE SET NULL,
+  default_asset_account_id UUID REFERENCES accounts(id), -- Asset account for the wallet's native currency
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, address, chain)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entities_user_id ON entities(user_id);
+CREATE INDEX IF NOT EXISTS idx_wallets_user_id ON wallets(user_id);
+CREATE INDEX IF NOT EXISTS idx_wallets_address ON wallets(address);
+
+CREATE TRIGGER update_entities_updated_at BEFORE UPDATE ON entities
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_wallets_updated_at BEFORE UPDATE ON wallets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN wallets.default_asset_account_id IS 'Asset account booked for the wallet''s native currency';
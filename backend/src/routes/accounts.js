@@ -1,8 +1,9 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const accountService = require('../services/accountService');
+const journalEntryService = require('../services/journalEntryService');
 
 const router = express.Router();
 
@@ -33,6 +34,23 @@ const router = express.Router();
  *           type: string
  *         is_active:
  *           type: boolean
+ *         parent_account_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Parent of a sub-account; null for top-level accounts
+ *     AccountTreeNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Account'
+ *         - type: object
+ *           properties:
+ *             level:
+ *               type: integer
+ *               description: Depth in the tree, 0 for top-level accounts
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AccountTreeNode'
  *     CryptoAsset:
  *       type: object
  *       properties:
@@ -70,7 +88,7 @@ const router = express.Router();
  */
 router.get('/chart', async (req, res, next) => {
   try {
-    const accounts = await accountService.getChartOfAccounts();
+    const accounts = await accountService.getChartOfAccounts(req.user.id);
     
     // Group accounts by category for better organization
     const grouped = accounts.reduce((acc, account) => {
@@ -94,6 +112,42 @@ router.get('/chart', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/accounts/tree:
+ *   get:
+ *     summary: Get the chart of accounts as a tree of accounts and their sub-accounts
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Top-level accounts in sort order, each with its sub-accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tree:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountTreeNode'
+ *                 totalAccounts:
+ *                   type: integer
+ */
+router.get('/tree', async (req, res, next) => {
+  try {
+    const accounts = await accountService.getChartOfAccounts(req.user.id);
+
+    res.json({
+      tree: accountService.buildTree(accounts),
+      totalAccounts: accounts.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/accounts/search:
@@ -132,7 +186,7 @@ router.get('/search', [
     const { q, type } = req.query;
     
     // Search by name
-    let accounts = await accountService.getAccountByName(q);
+    let accounts = await accountService.getAccountByName(req.user.id, q);
     
     // Filter by type if specified
     if (type) {
@@ -140,7 +194,7 @@ router.get('/search', [
     }
 
     // Also search by code
-    const accountByCode = await accountService.getAccountByCode(q);
+    const accountByCode = await accountService.getAccountByCode(req.user.id, q);
     if (accountByCode && !accounts.find(a => a.id === accountByCode.id)) {
       accounts.unshift(accountByCode);
     }
@@ -180,7 +234,7 @@ router.get('/search', [
 router.get('/crypto/:symbol', async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const account = await accountService.getAccountForCrypto(symbol);
+    const account = await accountService.getAccountForCrypto(req.user.id, symbol);
     
     if (!account) {
       return res.status(404).json({
@@ -248,7 +302,7 @@ router.post('/crypto', [
     const { symbol, name, blockchain = 'ethereum', decimals = 18 } = req.body;
 
     // Check if already exists
-    const existing = await accountService.getAccountForCrypto(symbol);
+    const existing = await accountService.getAccountForCrypto(req.user.id, symbol);
     if (existing) {
       return res.status(409).json({
         error: 'Account already exists',
@@ -257,7 +311,7 @@ router.post('/crypto', [
       });
     }
 
-    const account = await accountService.createCryptoAssetAccount(symbol, name, blockchain, decimals);
+    const account = await accountService.createCryptoAssetAccount(req.user.id, symbol, name, blockchain, decimals);
 
     logger.info('Created new crypto asset account', { 
       symbol, 
@@ -292,8 +346,6 @@ router.post('/crypto', [
  *             type: object
  *             required:
  *               - name
- *               - accountType
- *               - categoryCode
  *             properties:
  *               name:
  *                 type: string
@@ -301,10 +353,14 @@ router.post('/crypto', [
  *               accountType:
  *                 type: string
  *                 enum: [ASSET, LIABILITY, EQUITY, REVENUE, EXPENSE]
- *                 description: Account type
+ *                 description: Account type; required without parentAccountId, otherwise it must be the parent's type
  *               categoryCode:
  *                 type: string
- *                 description: Category code (e.g., 5000 for Operating Expenses)
+ *                 description: Category code (e.g., 5000 for Operating Expenses); required without parentAccountId, defaults to the parent's category
+ *               parentAccountId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Create a sub-account of this account, coded after it (e.g. 1801.1)
  *               description:
  *                 type: string
  *                 description: Account description
@@ -316,14 +372,17 @@ router.post('/crypto', [
  *       201:
  *         description: Account created successfully
  *       400:
- *         description: Validation failed
+ *         description: Validation failed, or the account type differs from the parent's
+ *       404:
+ *         description: Parent account not found
  *       409:
  *         description: Account already exists
  */
 router.post('/create', [
   body('name').notEmpty().withMessage('Account name is required'),
-  body('accountType').isIn(['ASSET', 'LIABILITY', 'EQUITY', 'REVENUE', 'EXPENSE']).withMessage('Valid account type is required'),
-  body('categoryCode').notEmpty().withMessage('Category code is required'),
+  body('accountType').optional().isIn(['ASSET', 'LIABILITY', 'EQUITY', 'REVENUE', 'EXPENSE']).withMessage('Valid account type is required'),
+  body('categoryCode').optional().notEmpty().withMessage('Category code is required'),
+  body('parentAccountId').optional().isUUID().withMessage('Parent account ID must be a valid UUID'),
   body('description').optional().isString(),
   body('ifrsReference').optional().isString(),
 ], async (req, res, next) => {
@@ -333,10 +392,15 @@ router.post('/create', [
       return next(new AppError('Validation failed', 400));
     }
 
-    const { name, accountType, categoryCode, description, ifrsReference = 'IAS 1' } = req.body;
+    const { name, accountType, categoryCode, parentAccountId, description, ifrsReference = 'IAS 1' } = req.body;
+
+    // Sub-accounts take their type and category from the parent
+    if (!parentAccountId && (!accountType || !categoryCode)) {
+      return next(new AppError('Validation failed', 400));
+    }
 
     // Check if account already exists by name
-    const existing = await accountService.getAccountByName(name);
+    const existing = await accountService.getAccountByName(req.user.id, name);
     if (existing && existing.length > 0) {
       return res.status(409).json({
         error: 'Account already exists',
@@ -346,17 +410,20 @@ router.post('/create', [
     }
 
     const account = await accountService.createAccount({
+      userId: req.user.id,
       name,
       accountType,
       categoryCode,
       description,
       ifrsReference,
+      parentAccountId,
     });
 
     logger.info('Created new general account', { 
       name, 
-      accountType, 
+      accountType: account.account_type,
       categoryCode,
+      parentAccountId,
       accountId: account.id,
       userId: req.user.id 
     });
@@ -370,6 +437,66 @@ router.post('/create', [
   }
 });
 
+/**
+ * @swagger
+ * /api/accounts/{id}/parent:
+ *   put:
+ *     summary: Move an account under another account, or back to the top level
+ *     description: The account keeps its code; reports roll its balances up into the new parent. The parent must have the same account type and cannot be the account itself or one of its sub-accounts.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - parentAccountId
+ *             properties:
+ *               parentAccountId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: New parent; null for a top-level account
+ *     responses:
+ *       200:
+ *         description: Account moved
+ *       400:
+ *         description: Validation failed, a different account type, or a move under its own sub-account
+ *       404:
+ *         description: Account or parent not found
+ */
+router.put('/:id/parent', [
+  param('id').isUUID().withMessage('Account ID must be a valid UUID'),
+  body('parentAccountId').exists().withMessage('Parent account ID is required'),
+  body('parentAccountId').optional({ nullable: true }).isUUID().withMessage('Parent account ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const account = await accountService.moveAccount(req.user.id, req.params.id, req.body.parentAccountId);
+
+    res.json({
+      message: 'Account moved successfully',
+      account,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/accounts/validate:
@@ -407,7 +534,7 @@ router.post('/validate', [
     }
 
     const { debitAccount, creditAccount } = req.body;
-    const validation = await accountService.validateJournalEntry(debitAccount, creditAccount);
+    const validation = await accountService.validateJournalEntry(req.user.id, debitAccount, creditAccount);
 
     res.json(validation);
   } catch (error) {
@@ -415,6 +542,54 @@ router.post('/validate', [
   }
 });
 
+/**
+ * @swagger
+ * /api/accounts/link-journal-lines:
+ *   post:
+ *     summary: Link journal lines booked before lines carried account ids to their accounts
+ *     description: Matches the account name of every journal line without an account id against the chart of accounts (exact name, or the only account containing the name) and stores the account id and code on the line. Names without such a match are returned as unmatched with the most similar accounts as suggestions; confirm one by sending it in `accounts`, or create the account, and run it again.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accounts:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Account id confirmed for each account name, e.g. a suggestion from an earlier run
+ *     responses:
+ *       200:
+ *         description: Linked account names with their line counts, and the names left unmatched with suggested accounts
+ *       400:
+ *         description: A confirmed account is not in the chart of accounts
+ */
+router.post('/link-journal-lines', [
+  body('accounts').optional().isObject(),
+  body('accounts.*').isUUID().withMessage('Account ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await journalEntryService.linkExistingLines(req.user.id, req.body.accounts);
+
+    res.json({
+      message: `Linked ${result.linked.reduce((sum, link) => sum + link.lines, 0)} journal lines`,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/accounts/types/{type}:
@@ -442,7 +617,7 @@ router.get('/types/:type', async (req, res, next) => {
       return next(new AppError('Invalid account type', 400));
     }
 
-    const accounts = await accountService.getAccountsByType(type);
+    const accounts = await accountService.getAccountsByType(req.user.id, type);
 
     res.json({
       accountType: type,
@@ -494,7 +669,7 @@ router.post('/ai-suggest', [
 
     const { keywords = [], transactionType, description } = req.body;
     
-    const suggestion = await accountService.findAccountByAI(keywords, transactionType, description);
+    const suggestion = await accountService.findAccountByAI(req.user.id, keywords, transactionType, description);
 
     if (!suggestion) {
       return res.json({
@@ -2,8 +2,12 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/sse');
 const aiClient = require('../services/aiClients');
 const journalEntryService = require('../services/journalEntryService');
+const walletService = require('../services/walletService');
+const jobService = require('../services/jobService');
+const chainRegistry = require('../services/chainRegistry');
 
 const router = express.Router();
 
@@ -20,6 +24,10 @@ const router = express.Router();
  *         context:
  *           type: object
  *           description: Additional context for the AI
+ *           properties:
+ *             chain:
+ *               type: string
+ *               description: Chain registry key a transaction hash in the message is looked up on, the default chain when omitted
  *     ChatResponse:
  *       type: object
  *       properties:
@@ -36,6 +44,164 @@ const router = express.Router();
  *           description: AI's suggestions
  */
 
+/**
+ * Answer a chat message and save the journal entries it produced
+ * @param {Object} req - Validated chat request
+ * @param {Object} options - { onToken } to receive the answer as it streams
+ * @returns {Object} The response payload
+ */
+async function runChat(req, { onToken = null } = {}) {
+  const { message, context = {} } = req.body;
+  const userId = req.user.id;
+
+  logger.info('Processing AI chat request', {
+    userId,
+    messageLength: message.length,
+    hasContext: Object.keys(context).length > 0,
+  });
+
+  // Add user context
+  context.user = req.user;
+
+  // Get recent entries for context
+  if (!context.recentEntries) {
+    const { data: recentEntries } = await journalEntryService.supabase
+      .from('journal_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(5);
+
+    context.recentEntries = recentEntries || [];
+  }
+
+  // Process the chat message
+  let response;
+  try {
+    response = await aiClient.chat(message, context, { onToken });
+  } catch (aiError) {
+    logger.error('AI chat processing failed', {
+      userId,
+      error: aiError.message,
+      message: message.substring(0, 100),
+    });
+
+    const errorResponse = {
+      success: false,
+      error: 'AI service temporarily unavailable. Please try again in a moment.',
+      data: {
+        response: 'I apologize, but I\'m having trouble processing your request right now. Please try again in a moment.',
+        journalEntries: [],
+      },
+    };
+
+    return errorResponse;
+  }
+
+  // Check if the AI generated any journal entries and save them automatically
+  if (response.journalEntries && response.journalEntries.length > 0 && !response.alreadySaved) {
+    try {
+      logger.info('AI generated journal entries, saving automatically', {
+        userId,
+        entriesCount: response.journalEntries.length,
+      });
+
+      // Flatten nested journal entries structure if needed
+      const flattenedEntries = [];
+
+      for (const item of response.journalEntries) {
+        if (item.entries && Array.isArray(item.entries)) {
+          // This is a nested structure from bulk analysis
+          for (const entry of item.entries) {
+            flattenedEntries.push({
+              ...entry,
+              // Preserve transaction context in metadata
+              metadata: {
+                ...entry.metadata,
+                originalTransactionHash: item.transactionHash,
+                originalCategory: item.category,
+              },
+            });
+          }
+        } else if (item.accountDebit || item.accountCredit || Array.isArray(item.lines)) {
+          // This is already a flat entry structure
+          flattenedEntries.push(item);
+        } else {
+          // Unknown structure, log and include as-is
+          logger.warn('Unknown journal entry structure', {
+            userId,
+            entryStructure: Object.keys(item),
+          });
+          flattenedEntries.push(item);
+        }
+      }
+
+      logger.info('Flattened journal entries for saving', {
+        userId,
+        originalCount: response.journalEntries.length,
+        flattenedCount: flattenedEntries.length,
+        entryPreview: flattenedEntries.slice(0, 2).map(e => ({
+          debit: e.accountDebit,
+          credit: e.accountCredit,
+          amount: e.amount,
+          currency: e.currency,
+        })),
+      });
+
+      // Extract transaction date from the first flattened entry if available
+      const firstEntry = flattenedEntries[0];
+      const extractedTransactionDate = firstEntry?.transactionDate || null;
+
+      if (extractedTransactionDate) {
+        logger.info('Using extracted transaction date for journal entries', {
+          userId,
+          transactionDate: extractedTransactionDate.toISOString ? extractedTransactionDate.toISOString() : extractedTransactionDate,
+        });
+      }
+
+      const savedEntries = await journalEntryService.saveJournalEntries({
+        entries: flattenedEntries,
+        userId,
+        source: 'ai_chat',
+        metadata: {
+          originalMessage: message,
+          aiResponse: response.response.substring(0, 500), // First 500 chars
+          timestamp: new Date().toISOString(),
+          transactionDate: extractedTransactionDate, // Pass the extracted date
+          extractedFromMessage: !!extractedTransactionDate,
+          hadNestedStructure: response.journalEntries.some(item => item.entries && Array.isArray(item.entries)),
+        },
+      });
+
+      // Add saved entries info to response
+      response.savedEntries = savedEntries;
+      response.message = 'Journal entries have been automatically saved to your books.';
+
+      logger.info('Successfully saved AI-generated journal entries', {
+        userId,
+        savedCount: savedEntries.length,
+      });
+    } catch (saveError) {
+      logger.error('Failed to save AI-generated journal entries', {
+        userId,
+        error: saveError.message,
+        entries: response.journalEntries,
+      });
+
+      // Don't fail the whole request, just add a warning
+      response.warning = saveError.statusCode === 400
+        ? `Journal entries were generated but rejected: ${saveError.message}`
+        : 'Journal entries were generated but could not be saved automatically. Please review and save manually.';
+    }
+  }
+
+  // Wallet analysis answers right away with the id of its background job (see /api/jobs)
+  return {
+    success: true,
+    data: response,
+  };
+}
+
 /**
  * @swagger
  * /api/ai/chat:
@@ -59,6 +225,10 @@ const router = express.Router();
  *               context:
  *                 type: object
  *                 description: Additional context for the AI
+ *                 properties:
+ *                   chain:
+ *                     type: string
+ *                     description: Chain registry key a transaction hash in the message is looked up on, the default chain when omitted
  *     responses:
  *       200:
  *         description: AI response generated
@@ -71,6 +241,7 @@ router.post('/chat',
   [
     body('message').isString().notEmpty().withMessage('Message is required'),
     body('context').optional().isObject(),
+    body('context.chain').optional().isString().trim().custom(chain => chainRegistry.isSupported(chain)).withMessage('Unsupported chain'),
   ],
   async (req, res, next) => {
     try {
@@ -79,231 +250,89 @@ router.post('/chat',
         return next(new AppError('Validation failed', 400, errors.array()));
       }
 
-      const { message, context = {} } = req.body;
-      const userId = req.user.id;
-
-      logger.info('Processing AI chat request', {
-        userId,
-        messageLength: message.length,
-        hasContext: Object.keys(context).length > 0,
+      res.json(await runChat(req));
+    } catch (error) {
+      logger.error('AI chat request failed', {
+        userId: req.user?.id,
+        error: error.message,
       });
+      next(error);
+    }
+  },
+);
 
-      // Add user context
-      context.user = req.user;
-
-      // Check if this is a wallet analysis request (long-running operation)
-      const geminiClient = require('../services/aiClients/geminiClient');
-      const isWalletAnalysis = geminiClient.isWalletAnalysisRequest && 
-                               geminiClient.isWalletAnalysisRequest(message);
-
-      // Set extended timeout for wallet analysis (5 minutes)
-      if (isWalletAnalysis) {
-        req.setTimeout(300000); // 5 minutes
-        res.setTimeout(300000); // 5 minutes
-        
-        logger.info('Extended timeout set for wallet analysis', {
-          userId,
-          timeout: '5 minutes',
-        });
-
-        // Send immediate acknowledgment for wallet analysis
-        const walletAddress = geminiClient.extractWalletAddress && 
-                             geminiClient.extractWalletAddress(message);
-        if (walletAddress) {
-          // Send a "thinking" response immediately
-          res.writeHead(200, {
-            'Content-Type': 'application/json',
-            'Cache-Control': 'no-cache',
-          });
-          
-          // Send initial response
-          const initialResponse = {
-            success: true,
-            data: {
-              response: `🔍 **Starting Wallet Analysis**\n\n📍 **Address:** ${walletAddress}\n\n⏳ **Status:** Fetching transactions from blockchain...\n\nThis may take 1-2 minutes. Please wait while I:\n• Fetch all transactions\n• Categorize transaction types\n• Generate IFRS-compliant journal entries\n• Validate account mappings\n\n*Please keep this window open...*`,
-              thinking: `Starting comprehensive analysis of wallet ${walletAddress}. This involves blockchain API calls, AI processing, and account validation.`,
-              isProcessing: true,
-              walletAddress: walletAddress,
-              estimatedTime: '1-2 minutes',
-              suggestions: [
-                'Keep this window open while analysis completes',
-                'Analysis includes transaction categorization and journal entry generation',
-                'Results will update automatically when complete'
-              ],
-              journalEntries: [],
-            }
-          };
-          
-          res.write(JSON.stringify(initialResponse));
-          
-          logger.info('Sent initial wallet analysis response', {
-            userId,
-            walletAddress,
-          });
-        }
-      }
+/**
+ * @swagger
+ * /api/ai/chat/stream:
+ *   post:
+ *     summary: Send a message to the AI assistant and stream the answer
+ *     description: |
+ *       Server-sent events instead of one JSON response:
+ *       - `token` { text } for each chunk of the answer as Gemini writes it
+ *       - `response` with the same payload POST /api/ai/chat returns
+ *       - for a wallet analysis, `progress` { step, message, ... } for each step of its
+ *         background job and `finished` { job } when it ends
+ *       - `error` { message } if the request fails
+ *       The stream closes after the last event.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatMessage'
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/chat/stream',
+  [
+    body('message').isString().notEmpty().withMessage('Message is required'),
+    body('context').optional().isObject(),
+    body('context.chain').optional().isString().trim().custom(chain => chainRegistry.isSupported(chain)).withMessage('Unsupported chain'),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400, errors.array()));
+    }
 
-      // Get recent entries for context
-      if (!context.recentEntries) {
-        const { data: recentEntries } = await journalEntryService.supabase
-          .from('journal_entries')
-          .select('*')
-          .eq('user_id', userId)
-          .order('created_at', { ascending: false })
-          .limit(5);
-        
-        context.recentEntries = recentEntries || [];
-      }
+    const stream = openEventStream(req, res);
 
-      // Process the chat message
-      let response;
-      try {
-        response = await aiClient.chat(message, context);
-      } catch (aiError) {
-        logger.error('AI chat processing failed', {
-          userId,
-          error: aiError.message,
-          message: message.substring(0, 100),
-        });
-        
-        const errorResponse = {
-          success: false,
-          error: 'AI service temporarily unavailable. Please try again in a moment.',
-          data: {
-            response: 'I apologize, but I\'m having trouble processing your request right now. Please try again in a moment.',
-            journalEntries: [],
-          }
-        };
+    try {
+      const payload = await runChat(req, {
+        onToken: text => stream.send('token', { text }),
+      });
+      stream.send('response', payload);
 
-        if (isWalletAnalysis && walletAddress) {
-          // Send error update for wallet analysis
-          res.write('\n' + JSON.stringify(errorResponse));
-          res.end();
-        } else {
-          return res.json(errorResponse);
-        }
-        return;
+      const jobId = payload.data?.jobId;
+      if (!jobId || stream.isClosed()) {
+        return stream.close();
       }
 
-      // Check if the AI generated any journal entries and save them automatically
-      if (response.journalEntries && response.journalEntries.length > 0 && !response.alreadySaved) {
-        try {
-          logger.info('AI generated journal entries, saving automatically', {
-            userId,
-            entriesCount: response.journalEntries.length,
-          });
-
-          // Flatten nested journal entries structure if needed
-          let flattenedEntries = [];
-          
-          for (const item of response.journalEntries) {
-            if (item.entries && Array.isArray(item.entries)) {
-              // This is a nested structure from bulk analysis
-              for (const entry of item.entries) {
-                flattenedEntries.push({
-                  ...entry,
-                  // Preserve transaction context in metadata
-                  metadata: {
-                    ...entry.metadata,
-                    originalTransactionHash: item.transactionHash,
-                    originalCategory: item.category,
-                  }
-                });
-              }
-            } else if (item.accountDebit || item.accountCredit) {
-              // This is already a flat entry structure
-              flattenedEntries.push(item);
-            } else {
-              // Unknown structure, log and include as-is
-              logger.warn('Unknown journal entry structure', { 
-                userId, 
-                entryStructure: Object.keys(item) 
-              });
-              flattenedEntries.push(item);
-            }
-          }
-
-          logger.info('Flattened journal entries for saving', {
-            userId,
-            originalCount: response.journalEntries.length,
-            flattenedCount: flattenedEntries.length,
-            entryPreview: flattenedEntries.slice(0, 2).map(e => ({
-              debit: e.accountDebit,
-              credit: e.accountCredit,
-              amount: e.amount,
-              currency: e.currency,
-            })),
-          });
-
-          // Extract transaction date from the first flattened entry if available
-          const firstEntry = flattenedEntries[0];
-          const extractedTransactionDate = firstEntry?.transactionDate || null;
-          
-          if (extractedTransactionDate) {
-            logger.info('Using extracted transaction date for journal entries', {
-              userId,
-              transactionDate: extractedTransactionDate.toISOString ? extractedTransactionDate.toISOString() : extractedTransactionDate
-            });
-          }
-
-          const savedEntries = await journalEntryService.saveJournalEntries({
-            entries: flattenedEntries,
-            userId,
-            source: 'ai_chat',
-            metadata: {
-              originalMessage: message,
-              aiResponse: response.response.substring(0, 500), // First 500 chars
-              timestamp: new Date().toISOString(),
-              transactionDate: extractedTransactionDate, // Pass the extracted date
-              extractedFromMessage: !!extractedTransactionDate,
-              hadNestedStructure: response.journalEntries.some(item => item.entries && Array.isArray(item.entries)),
-            },
-          });
-
-          // Add saved entries info to response
-          response.savedEntries = savedEntries;
-          response.message = 'Journal entries have been automatically saved to your books.';
-
-          logger.info('Successfully saved AI-generated journal entries', {
-            userId,
-            savedCount: savedEntries.length,
-          });
-        } catch (saveError) {
-          logger.error('Failed to save AI-generated journal entries', {
-            userId,
-            error: saveError.message,
-            entries: response.journalEntries,
-          });
-          
-          // Don't fail the whole request, just add a warning
-          response.warning = 'Journal entries were generated but could not be saved automatically. Please review and save manually.';
+      // Follow the wallet analysis the answer started
+      const unsubscribe = jobService.subscribe(jobId, (event) => {
+        stream.send(event.type, event.type === 'finished' ? { job: event.job } : event.progress);
+        if (event.type === 'finished') {
+          stream.close();
         }
-      }
-
-      const finalResponse = {
-        success: true,
-        data: response,
-      };
-
-      if (isWalletAnalysis && walletAddress) {
-        // Send final update for wallet analysis
-        res.write('\n' + JSON.stringify(finalResponse));
-        res.end();
-        
-        logger.info('Completed wallet analysis streaming response', {
-          userId,
-          walletAddress,
-          entriesGenerated: response.journalEntries?.length || 0,
-        });
-      } else {
-        res.json(finalResponse);
-      }
+      });
+      stream.onClose(unsubscribe);
     } catch (error) {
-      logger.error('AI chat request failed', {
+      logger.error('AI chat stream failed', {
         userId: req.user?.id,
         error: error.message,
       });
-      next(error);
+      stream.send('error', { message: error.message });
+      stream.close();
     }
   },
 );
@@ -357,10 +386,14 @@ router.post('/analyze-transaction', [
       description,
     });
 
+    const ownWallets = userId ? await walletService.listWallets(userId, { activeOnly: true }) : [];
+
     // Create journal entries with Gemini only
     const journalEntries = await aiClient.createJournalEntry(
       transactionData,
       description,
+      ownWallets,
+      userId,
     );
 
     logger.info('Transaction analysis completed', {
@@ -0,0 +1,154 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Position in the hash chain
+ *         table_name:
+ *           type: string
+ *           enum: [journal_entries, accounts]
+ *         record_id:
+ *           type: string
+ *           format: uuid
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *         source:
+ *           type: string
+ *           enum: [ai, manual, api, system]
+ *         before:
+ *           type: object
+ *         after:
+ *           type: object
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { from, to } }"
+ *         recorded_at:
+ *           type: string
+ *           format: date-time
+ *         prev_hash:
+ *           type: string
+ *         hash:
+ *           type: string
+ *         intact:
+ *           type: boolean
+ *           description: Whether the event still matches its hash
+ */
+
+const idValidator = param('id').isUUID().withMessage('ID must be a valid UUID');
+
+/**
+ * @swagger
+ * /api/audit/journal-entries/{id}:
+ *   get:
+ *     summary: Full change history of a journal entry, oldest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Audit events of the entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *       404:
+ *         description: No history for this entry
+ */
+router.get('/journal-entries/:id', [idValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const history = await auditService.getHistory('journal_entries', req.params.id, req.user.id);
+    res.json({ history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/accounts/{id}:
+ *   get:
+ *     summary: Full change history of an account, oldest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Audit events of the account
+ *       404:
+ *         description: No history for this account
+ */
+router.get('/accounts/:id', [idValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const history = await auditService.getHistory('accounts', req.params.id, req.user.id);
+    res.json({ history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/verify:
+ *   get:
+ *     summary: Check the audit hash chain for tampering
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "`valid` is false when an event was altered or removed; `brokenAt` names the first bad event"
+ */
+router.get('/verify', async (req, res, next) => {
+  try {
+    const result = await auditService.verifyChain();
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
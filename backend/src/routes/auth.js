@@ -3,6 +3,7 @@ const { createClient } = require('@supabase/supabase-js');
 const { body, validationResult } = require('express-validator');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const accountService = require('../services/accountService');
 
 const router = express.Router();
 
@@ -41,6 +42,8 @@ const syncUserToDatabase = async (user) => {
         logger.error('Failed to sync user to database', { userId: user.id, error: insertError.message });
       } else {
         logger.info('User synced to database successfully', { userId: user.id, email: user.email });
+        // Start the new user from a copy of the template chart of accounts
+        await accountService.ensureChart(user.id);
       }
     }
   } catch (error) {
@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const categorizationRuleService = require('../services/categorizationRuleService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CategorizationRule:
+ *       type: object
+ *       description: Books the transactions whose conditions all hold on fixed accounts, before the AI
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         priority:
+ *           type: integer
+ *           description: Rules are tried in ascending priority; the first match books the transaction
+ *         is_active:
+ *           type: boolean
+ *         counterparty_address:
+ *           type: string
+ *           nullable: true
+ *           description: Lowercase address on the other side of the transfer
+ *         method_signature:
+ *           type: string
+ *           nullable: true
+ *           description: 4-byte selector of the called method, e.g. 0xa9059cbb
+ *         token:
+ *           type: string
+ *           nullable: true
+ *           description: Token symbol or lowercase contract address
+ *         min_amount:
+ *           type: number
+ *           nullable: true
+ *         max_amount:
+ *           type: number
+ *           nullable: true
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Category detected for the transaction (see /api/categorization-rules/categories)
+ *         debit_account:
+ *           type: string
+ *         credit_account:
+ *           type: string
+ *         narrative_template:
+ *           type: string
+ *           nullable: true
+ *           description: "Placeholders: {rule} {amount} {currency} {counterparty} {hash} {category}"
+ *         book_gas_fee:
+ *           type: boolean
+ *           description: Expense the gas of transactions sent from the business's wallets
+ *         match_count:
+ *           type: integer
+ *         last_matched_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+const ruleValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().isLength({ max: 200 }),
+    field('debitAccount').isString().trim().notEmpty(),
+    field('creditAccount').isString().trim().notEmpty(),
+    body('priority').optional().isInt({ min: 0 }).toInt(),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('counterpartyAddress').optional({ nullable: true }).matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid counterparty address format'),
+    body('methodSignature').optional({ nullable: true }).matches(/^0x[a-fA-F0-9]{8}$/).withMessage('Invalid method signature format'),
+    body('token').optional({ nullable: true }).isString().trim(),
+    body('minAmount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('maxAmount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('category').optional({ nullable: true }).isIn(categorizationRuleService.listCategories()),
+    body('narrativeTemplate').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('bookGasFee').optional().isBoolean().toBoolean(),
+  ];
+};
+
+/**
+ * @swagger
+ * /api/categorization-rules:
+ *   get:
+ *     summary: List the categorization rules in the order they are tried
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Categorization rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategorizationRule'
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const rules = await categorizationRuleService.listRules(req.user.id);
+    res.json({ rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules/categories:
+ *   get:
+ *     summary: List the transaction categories a rule can require
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Transaction categories
+ */
+router.get('/categories', (req, res) => {
+  res.json({ categories: categorizationRuleService.listCategories() });
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules:
+ *   post:
+ *     summary: Create a categorization rule
+ *     description: A rule needs at least one condition. Its accounts are looked up by name or code in the chart of accounts.
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - debitAccount
+ *               - creditAccount
+ *             properties:
+ *               name:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *                 default: 100
+ *               isActive:
+ *                 type: boolean
+ *               counterpartyAddress:
+ *                 type: string
+ *               methodSignature:
+ *                 type: string
+ *               token:
+ *                 type: string
+ *               minAmount:
+ *                 type: number
+ *               maxAmount:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *               debitAccount:
+ *                 type: string
+ *               creditAccount:
+ *                 type: string
+ *               narrativeTemplate:
+ *                 type: string
+ *               bookGasFee:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rule:
+ *                   $ref: '#/components/schemas/CategorizationRule'
+ *       400:
+ *         description: Invalid rule, no condition, or an account outside the chart
+ */
+router.post('/', ruleValidators(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const rule = await categorizationRuleService.createRule(req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'Rule created successfully',
+      rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   put:
+ *     summary: Update a categorization rule
+ *     description: Takes the fields of the create request; fields left out keep their value and null clears a condition.
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid rule, no condition, or an account outside the chart
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:id', [
+  param('id').isUUID().withMessage('Rule ID must be a valid UUID'),
+  ...ruleValidators(true),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const rule = await categorizationRuleService.updateRule(req.user.id, req.params.id, req.body);
+
+    res.json({
+      message: 'Rule updated successfully',
+      rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   delete:
+ *     summary: Delete a categorization rule
+ *     description: Entries the rule booked stay in the ledger.
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/:id', [
+  param('id').isUUID().withMessage('Rule ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    await categorizationRuleService.deleteRule(req.user.id, req.params.id);
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const costBasisService = require('../services/costBasisService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssetLot:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         lot_key:
+ *           type: string
+ *           description: Acquiring journal line as '<journal_entry_id>:<line_number>'
+ *         symbol:
+ *           type: string
+ *         account_name:
+ *           type: string
+ *         acquired_on:
+ *           type: string
+ *           format: date
+ *         quantity:
+ *           type: number
+ *         remaining_quantity:
+ *           type: number
+ *         cost_usd:
+ *           type: number
+ *           nullable: true
+ *         unit_cost_usd:
+ *           type: number
+ *           nullable: true
+ *     LotDisposal:
+ *       type: object
+ *       properties:
+ *         lot_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         disposal_key:
+ *           type: string
+ *         symbol:
+ *           type: string
+ *         journal_entry_id:
+ *           type: string
+ *           format: uuid
+ *         disposed_on:
+ *           type: string
+ *           format: date
+ *         method:
+ *           type: string
+ *           enum: [FIFO, LIFO, HIFO, SPECIFIC_ID]
+ *         quantity:
+ *           type: number
+ *         cost_usd:
+ *           type: number
+ *         proceeds_usd:
+ *           type: number
+ *         gain_usd:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/cost-basis/method:
+ *   get:
+ *     summary: Get the cost basis method used for disposals
+ *     tags: [Cost Basis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current method (FIFO unless changed)
+ */
+router.get('/method', async (req, res, next) => {
+  try {
+    const method = await costBasisService.getMethod(req.user.id);
+    res.json({ method });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cost-basis/method:
+ *   put:
+ *     summary: Change the cost basis method and rebuild lots with it
+ *     tags: [Cost Basis]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [FIFO, LIFO, HIFO, SPECIFIC_ID]
+ *     responses:
+ *       200:
+ *         description: Method saved and lots rebuilt
+ *       400:
+ *         description: Validation failed
+ */
+router.put('/method', [
+  body('method').isIn(['FIFO', 'LIFO', 'HIFO', 'SPECIFIC_ID']).withMessage('Method must be FIFO, LIFO, HIFO or SPECIFIC_ID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const summary = await costBasisService.setMethod(req.user.id, req.body.method);
+
+    res.json({
+      message: 'Cost basis method updated successfully',
+      ...summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cost-basis/rebuild:
+ *   post:
+ *     summary: Rebuild lots, disposals and realized gain entries from the ledger
+ *     tags: [Cost Basis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rebuild summary
+ */
+router.post('/rebuild', async (req, res, next) => {
+  try {
+    const summary = await costBasisService.rebuild(req.user.id);
+
+    logger.info('Cost basis rebuild requested', { userId: req.user.id });
+
+    res.json({
+      message: 'Cost basis lots rebuilt successfully',
+      ...summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cost-basis/lots:
+ *   get:
+ *     summary: Get acquisition lots
+ *     tags: [Cost Basis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: Filter by asset symbol (optional)
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *         description: Only lots with remaining quantity
+ *     responses:
+ *       200:
+ *         description: Lots in acquisition order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lots:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssetLot'
+ */
+router.get('/lots', [
+  query('symbol').optional().isString(),
+  query('open').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const lots = await costBasisService.getLots(req.user.id, {
+      symbol: req.query.symbol,
+      openOnly: req.query.open === 'true',
+    });
+
+    res.json({ lots });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cost-basis/disposals:
+ *   get:
+ *     summary: Get disposals with the lots they consumed and their realized gain or loss
+ *     tags: [Cost Basis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: Filter by asset symbol (optional)
+ *     responses:
+ *       200:
+ *         description: Lot consumption rows in disposal order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 disposals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LotDisposal'
+ *                 totals:
+ *                   type: object
+ */
+router.get('/disposals', [
+  query('symbol').optional().isString(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const disposals = await costBasisService.getDisposals(req.user.id, { symbol: req.query.symbol });
+
+    const totals = disposals.reduce((sum, disposal) => ({
+      costUSD: sum.costUSD + parseFloat(disposal.cost_usd || 0),
+      proceedsUSD: sum.proceedsUSD + parseFloat(disposal.proceeds_usd || 0),
+      gainUSD: sum.gainUSD + parseFloat(disposal.gain_usd || 0),
+    }), { costUSD: 0, proceedsUSD: 0, gainUSD: 0 });
+
+    res.json({
+      disposals,
+      totals: {
+        costUSD: Math.round(totals.costUSD * 100) / 100,
+        proceedsUSD: Math.round(totals.proceedsUSD * 100) / 100,
+        gainUSD: Math.round(totals.gainUSD * 100) / 100,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/cost-basis/disposals/{entryId}/lots:
+ *   put:
+ *     summary: Choose the lots a disposal consumes (SPECIFIC_ID method)
+ *     tags: [Cost Basis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lots
+ *             properties:
+ *               lots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lotKey:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Selection saved and lots rebuilt
+ *       404:
+ *         description: Journal entry not found
+ */
+router.put('/disposals/:entryId/lots', [
+  body('lots').isArray({ min: 1 }).withMessage('At least one lot is required'),
+  body('lots.*.lotKey').isString().withMessage('Each lot needs a lotKey'),
+  body('lots.*.quantity').optional().isFloat({ gt: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const summary = await costBasisService.setLotSelection(req.user.id, req.params.entryId, req.body.lots);
+
+    res.json({
+      message: 'Lot selection saved successfully',
+      ...summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
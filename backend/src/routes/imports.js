@@ -0,0 +1,565 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const exchangeImportService = require('../services/exchangeImportService');
+const bankStatementService = require('../services/bankStatementService');
+
+const router = express.Router();
+
+const EXCHANGES = exchangeImportService.listExchanges().map(exchange => exchange.name);
+const STATEMENT_FORMATS = bankStatementService.listFormats().map(format => format.name);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRecord:
+ *       type: object
+ *       description: A transaction read from an exchange export
+ *       properties:
+ *         txid:
+ *           type: string
+ *           description: Synthetic id, "<exchange>:<hash>", the same on every upload of the record
+ *         exchange:
+ *           type: string
+ *         externalId:
+ *           type: string
+ *           nullable: true
+ *           description: The exchange's own id, when the export has one
+ *         type:
+ *           type: string
+ *           enum: [trade, deposit, withdrawal, fee, staking_reward]
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         received:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             asset:
+ *               type: string
+ *             amount:
+ *               type: number
+ *         sent:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             asset:
+ *               type: string
+ *             amount:
+ *               type: number
+ *         fees:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               asset:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         description:
+ *           type: string
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Lines of the file the record was read from
+ *     ExchangeImport:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         exchange:
+ *           type: string
+ *         file_name:
+ *           type: string
+ *         records_total:
+ *           type: integer
+ *         records_imported:
+ *           type: integer
+ *         records_duplicate:
+ *           type: integer
+ *         rows_invalid:
+ *           type: integer
+ *         job_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     BankStatement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         account_id:
+ *           type: string
+ *           format: uuid
+ *           description: Chart account the statement was imported into
+ *         format:
+ *           type: string
+ *           enum: [camt053, mt940, ofx]
+ *         file_name:
+ *           type: string
+ *         statement_reference:
+ *           type: string
+ *           nullable: true
+ *         account_identifier:
+ *           type: string
+ *           nullable: true
+ *           description: IBAN or account number on the statement
+ *         currency:
+ *           type: string
+ *         period_start:
+ *           type: string
+ *           format: date
+ *         period_end:
+ *           type: string
+ *           format: date
+ *         opening_balance:
+ *           type: number
+ *           nullable: true
+ *         closing_balance:
+ *           type: number
+ *           nullable: true
+ *         closing_date:
+ *           type: string
+ *           format: date
+ *         transactions_total:
+ *           type: integer
+ *         transactions_imported:
+ *           type: integer
+ *         transactions_duplicate:
+ *           type: integer
+ *     BankTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         account_id:
+ *           type: string
+ *           format: uuid
+ *         statement_id:
+ *           type: string
+ *           format: uuid
+ *         booking_date:
+ *           type: string
+ *           format: date
+ *         value_date:
+ *           type: string
+ *           format: date
+ *         amount:
+ *           type: number
+ *           description: Received positive, paid negative
+ *         currency:
+ *           type: string
+ *         counterparty_name:
+ *           type: string
+ *           nullable: true
+ *         counterparty_account:
+ *           type: string
+ *           nullable: true
+ *         reference:
+ *           type: string
+ *           nullable: true
+ *           description: Payer's reference, such as the end-to-end id
+ *         bank_reference:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         match_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Bank reconciliation match, when matched to journal entries
+ */
+
+/**
+ * @swagger
+ * /api/imports/exchanges:
+ *   get:
+ *     summary: List the exchanges whose exports can be imported
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Supported exchanges
+ */
+router.get('/exchanges', (req, res) => {
+  res.json({ exchanges: exchangeImportService.listExchanges() });
+});
+
+/**
+ * @swagger
+ * /api/imports:
+ *   get:
+ *     summary: List exchange imports, latest first
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Imports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeImport'
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const imports = await exchangeImportService.listImports(req.user.id);
+    res.json({ imports });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/exchange:
+ *   post:
+ *     summary: Import an exchange CSV export
+ *     description: Reads trades, deposits, withdrawals, fees and staking rewards from the export and stores the ones not imported before as pending transactions, then queues an exchange_import job that books them (exchange rules first, the AI for crypto deposits and withdrawals). Poll GET /api/jobs/{id} for progress. With dryRun nothing is stored; the response lists the records, which are duplicates, and the entries the rules would book.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - exchange
+ *               - csv
+ *             properties:
+ *               exchange:
+ *                 type: string
+ *                 enum: [binance, coinbase, kraken]
+ *               csv:
+ *                 type: string
+ *                 description: Contents of the exported file
+ *               fileName:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry-run preview, or an import in which every record was a duplicate (job is null)
+ *       202:
+ *         description: Import stored and booking queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 import:
+ *                   $ref: '#/components/schemas/ExchangeImport'
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *                 errors:
+ *                   type: array
+ *                   description: Lines that could not be read
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Unsupported exchange, or nothing in the file reads as that exchange's export
+ */
+router.post('/exchange', [
+  body('exchange').isIn(EXCHANGES).withMessage(`Exchange must be one of: ${EXCHANGES.join(', ')}`),
+  body('csv').isString().notEmpty().withMessage('CSV contents are required'),
+  body('fileName').optional().isString().trim(),
+  body('dryRun').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { exchange, csv, fileName, dryRun = false } = req.body;
+    const userId = req.user.id;
+
+    if (dryRun) {
+      return res.json(await exchangeImportService.preview(userId, exchange, csv));
+    }
+
+    const result = await exchangeImportService.importFile(userId, { exchange, text: csv, fileName });
+    res.status(result.job ? 202 : 200).json(result);
+  } catch (error) {
+    logger.error('Exchange import failed', {
+      exchange: req.body.exchange,
+      error: error.message,
+      userId: req.user.id,
+    });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/{id}/process:
+ *   post:
+ *     summary: Book the transactions of an import again
+ *     description: Queues an exchange_import job for the import's transactions that are still pending or failed to book.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Booking queued
+ *       404:
+ *         description: Import not found
+ */
+router.post('/:id/process', [
+  param('id').isUUID(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await exchangeImportService.retryImport(req.user.id, req.params.id);
+    res.status(202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/bank-statements/formats:
+ *   get:
+ *     summary: List the bank statement formats that can be imported
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Supported formats
+ */
+router.get('/bank-statements/formats', (req, res) => {
+  res.json({ formats: bankStatementService.listFormats() });
+});
+
+/**
+ * @swagger
+ * /api/imports/bank-statements:
+ *   get:
+ *     summary: List imported bank statements, latest first
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only the statements of this account
+ *     responses:
+ *       200:
+ *         description: Statements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 statements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BankStatement'
+ */
+router.get('/bank-statements', [
+  query('accountId').optional().isUUID(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const statements = await bankStatementService.listStatements(req.user.id, req.query.accountId);
+    res.json({ statements });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/bank-statements:
+ *   post:
+ *     summary: Import a bank statement file into a bank account
+ *     description: Reads a CAMT.053, MT940 or OFX file into statements and bank transactions of the chosen asset account, keeping each transaction's counterparty and references. Transactions the account already has from an earlier statement are skipped. With dryRun nothing is stored; the response lists the statements and transactions and which are duplicates.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accountId
+ *               - statement
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Asset account of the chart, such as Bank Account - Operating
+ *               statement:
+ *                 type: string
+ *                 description: Contents of the statement file
+ *               format:
+ *                 type: string
+ *                 enum: [camt053, mt940, ofx]
+ *                 description: Detected from the contents when not given
+ *               fileName:
+ *                 type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry-run preview
+ *       201:
+ *         description: Statements stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                 statements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BankStatement'
+ *                 errors:
+ *                   type: array
+ *                   description: Parts of the file that could not be read
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Unrecognized format, or the account is not an asset account
+ *       404:
+ *         description: Account not found
+ */
+router.post('/bank-statements', [
+  body('accountId').isUUID().withMessage('Account ID must be a valid UUID'),
+  body('statement').isString().notEmpty().withMessage('Statement contents are required'),
+  body('format').optional().isIn(STATEMENT_FORMATS).withMessage(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+  body('fileName').optional().isString().trim(),
+  body('dryRun').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { accountId, statement, format, fileName, dryRun = false } = req.body;
+    const userId = req.user.id;
+
+    if (dryRun) {
+      return res.json(await bankStatementService.preview(userId, { accountId, text: statement, format }));
+    }
+
+    const result = await bankStatementService.importStatement(userId, { accountId, text: statement, format, fileName });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Bank statement import failed', {
+      accountId: req.body.accountId,
+      error: error.message,
+      userId: req.user.id,
+    });
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/imports/bank-statements/{id}:
+ *   get:
+ *     summary: Get an imported bank statement with its transactions
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Statement with the transactions it brought in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 statement:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BankStatement'
+ *                     - type: object
+ *                       properties:
+ *                         transactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/BankTransaction'
+ *       404:
+ *         description: Statement not found
+ */
+router.get('/bank-statements/:id', [
+  param('id').isUUID(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const statement = await bankStatementService.getStatement(req.user.id, req.params.id);
+    res.json({ statement });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const { openEventStream } = require('../utils/sse');
+const jobService = require('../services/jobService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [wallet_analysis, bulk_process]
+ *         status:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *         payload:
+ *           type: object
+ *           description: Input of the job
+ *         progress:
+ *           type: object
+ *           description: For wallet analysis { stage, totalTransactions, categories } with the status, transaction count and entries generated per category; for bulk processing { total, completed, successful, failed }
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Output of a succeeded job (the response the synchronous endpoint used to return)
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         attempts:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List the user's recent background jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [wallet_analysis, bulk_process]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Jobs without payload and result, newest first
+ */
+router.get('/', [
+  query('status').optional().isIn(['queued', 'running', 'succeeded', 'failed', 'cancelled']),
+  query('type').optional().isIn(['wallet_analysis', 'bulk_process']),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const jobs = await jobService.listJobs(req.user.id, {
+      status: req.query.status,
+      type: req.query.type,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+    });
+    res.json({ jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a background job with its progress and result
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', [
+  param('id').isUUID().withMessage('Job ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const job = await jobService.getJob(req.user.id, req.params.id);
+    res.json({ job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/events:
+ *   get:
+ *     summary: Stream the progress of a background job
+ *     description: |
+ *       Server-sent events: `job` with the current job first, then `progress` with each
+ *       new progress object and `finished` { job } when the job ends. The stream closes
+ *       once the job has finished.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id/events', [
+  param('id').isUUID().withMessage('Job ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const job = await jobService.getJob(req.user.id, req.params.id);
+    const stream = openEventStream(req, res);
+    stream.send('job', { job });
+
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+      return stream.close();
+    }
+
+    const unsubscribe = jobService.subscribe(job.id, (event) => {
+      stream.send(event.type, event.type === 'finished' ? { job: event.job } : event.progress);
+      if (event.type === 'finished') {
+        stream.close();
+      }
+    });
+    stream.onClose(unsubscribe);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a queued or running job
+ *     description: A running job stops before its next step; entries it already saved are kept.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job already finished
+ */
+router.post('/:id/cancel', [
+  param('id').isUUID().withMessage('Job ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const job = await jobService.cancelJob(req.user.id, req.params.id);
+    res.json({
+      message: 'Job cancelled',
+      job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
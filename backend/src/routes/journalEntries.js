@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const reversalService = require('../services/reversalService');
+
+const router = express.Router();
+
+const reversalValidators = [
+  param('id').isUUID().withMessage('Entry ID must be a valid UUID'),
+  body('date').optional().isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  body('reason').optional().isString().isLength({ max: 1000 }),
+];
+
+/**
+ * @swagger
+ * /api/journal-entries/{id}/reverse:
+ *   post:
+ *     summary: Reverse a posted journal entry
+ *     description: Posts a mirror entry (debits and credits swapped, same amounts and booked USD values) linked to the original through reverses_entry_id / reversed_by_entry_id.
+ *     tags: [Journal Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the reversal (default the original's date)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The reversal and the original entry
+ *       404:
+ *         description: Journal entry not found
+ *       409:
+ *         description: Already reversed, still in the review queue, or dated in a locked period
+ */
+router.post('/:id/reverse', reversalValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await reversalService.reverseEntry(req.user.id, req.params.id, {
+      date: req.body.date,
+      reason: req.body.reason,
+    });
+    res.status(201).json({
+      message: 'Journal entry reversed',
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/journal-entries/{id}/correct:
+ *   post:
+ *     summary: Correct a posted journal entry
+ *     description: Reverses the original and posts the corrected replacement in the same insert. Send accountDebit/accountCredit/amount/currency for a simple entry or the full `lines` for a compound one; the replacement is priced again and must balance.
+ *     tags: [Journal Entries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the reversal and, unless entryDate is given, of the replacement
+ *               reason:
+ *                 type: string
+ *               narrative:
+ *                 type: string
+ *               entryDate:
+ *                 type: string
+ *                 format: date
+ *               accountDebit:
+ *                 type: string
+ *               accountCredit:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     account:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [debit, credit]
+ *                     amount:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: The reversal, the replacement and the original entry
+ *       400:
+ *         description: No change given, or the replacement does not balance
+ *       404:
+ *         description: Journal entry not found
+ *       409:
+ *         description: Already reversed, still in the review queue, or dated in a locked period
+ */
+router.post('/:id/correct', [
+  ...reversalValidators,
+  body('narrative').optional().isString(),
+  body('entryDate').optional().isISO8601(),
+  body('accountDebit').optional().isString().notEmpty(),
+  body('accountCredit').optional().isString().notEmpty(),
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('currency').optional().isString().notEmpty(),
+  body('lines').optional().isArray({ min: 2 }),
+  body('lines.*.account').optional().isString().notEmpty(),
+  body('lines.*.type').optional().isIn(['debit', 'credit']),
+  body('lines.*.amount').optional().isFloat({ gt: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await reversalService.correctEntry(req.user.id, req.params.id, req.body);
+    res.status(201).json({
+      message: 'Journal entry corrected',
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const periodService = require('../services/periodService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/periods:
+ *   get:
+ *     summary: List the accounting periods that have a status (months without one are open)
+ *     tags: [Periods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only the months of this year
+ *     responses:
+ *       200:
+ *         description: Accounting periods
+ */
+router.get('/', [
+  query('year').optional().isInt({ min: 1900, max: 9999 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const periods = await periodService.listPeriods(req.user.id, req.query.year ? parseInt(req.query.year) : null);
+    res.json({ periods });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/{period}:
+ *   put:
+ *     summary: Open, soft-close or lock an accounting month
+ *     description: Soft-closed months refuse entries booked by the AI but take manual corrections; locked months refuse every write.
+ *     tags: [Periods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: period
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2025-05
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, soft_closed, locked]
+ *     responses:
+ *       200:
+ *         description: Period updated
+ */
+router.put('/:period', [
+  param('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be in YYYY-MM format'),
+  body('status').isIn(['open', 'soft_closed', 'locked']),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const period = await periodService.setStatus(req.user.id, req.params.period, req.body.status);
+    res.json({ period });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/years/{year}/close:
+ *   post:
+ *     summary: Close a year
+ *     description: Posts a closing entry on 31 December that moves the year's revenue and expense balances into Retained Earnings, then locks the twelve months.
+ *     tags: [Periods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Closing entry and locked periods
+ *       409:
+ *         description: The year is already closed or still has entries pending review
+ */
+router.post('/years/:year/close', [
+  param('year').isInt({ min: 1900, max: 9999 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await periodService.closeYear(req.user.id, parseInt(req.params.year));
+    res.json({
+      message: `Year ${result.year} closed`,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
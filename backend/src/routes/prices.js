@@ -0,0 +1,407 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const priceHistoryService = require('../services/priceHistoryService');
+const priceService = require('../services/priceService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceHistoryItem:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *         price_date:
+ *           type: string
+ *           format: date
+ *         usd_price:
+ *           type: number
+ *         source:
+ *           type: string
+ *         fetched_at:
+ *           type: string
+ *           format: date-time
+ *     ManualPrice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         symbol:
+ *           type: string
+ *         price_date:
+ *           type: string
+ *           format: date
+ *         usd_price:
+ *           type: number
+ *         note:
+ *           type: string
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/prices/history:
+ *   get:
+ *     summary: Get stored daily USD prices for a symbol
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: start
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Daily prices in date order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 symbol:
+ *                   type: string
+ *                 prices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceHistoryItem'
+ */
+router.get('/history', [
+  query('symbol').notEmpty().withMessage('Symbol is required'),
+  query('start').optional().isISO8601(),
+  query('end').optional().isISO8601(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { symbol, start, end } = req.query;
+    const prices = await priceHistoryService.getHistory(symbol, start, end);
+
+    res.json({
+      symbol: symbol.toUpperCase(),
+      prices,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/prices/at:
+ *   get:
+ *     summary: Get the USD price of a symbol at a point in time
+ *     description: Resolved through the price provider chain (FTSO, Blockscout, manual prices, stablecoin pegs for recent timestamps; stored daily prices, manual prices, stablecoin pegs for older ones) and persisted with its source.
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timestamp
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Price data
+ *       404:
+ *         description: No price available for that time
+ */
+router.get('/at', [
+  query('symbol').notEmpty().withMessage('Symbol is required'),
+  query('timestamp').isISO8601().withMessage('Timestamp must be an ISO 8601 date'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { symbol, timestamp } = req.query;
+    const price = await priceService.resolvePrice(symbol, { timestamp, userId: req.user.id });
+
+    if (!price) {
+      return next(new AppError(`No price available for ${symbol.toUpperCase()}`, 404));
+    }
+
+    res.json({
+      symbol: price.symbol,
+      timestamp,
+      usdPrice: price.usdPrice,
+      source: price.source,
+      priceTimestamp: price.pricedAt,
+      priceId: price.priceId,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/prices/backfill:
+ *   post:
+ *     summary: Fetch and store daily prices for a symbol over a date range
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symbol
+ *               - start
+ *               - end
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *               start:
+ *                 type: string
+ *                 format: date
+ *               end:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Backfill summary
+ *       400:
+ *         description: Validation failed, range too long or symbol not supported
+ */
+router.post('/backfill', [
+  body('symbol').notEmpty().withMessage('Symbol is required'),
+  body('start').isISO8601().withMessage('Start date must be in YYYY-MM-DD format'),
+  body('end').isISO8601().withMessage('End date must be in YYYY-MM-DD format'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { symbol, start, end } = req.body;
+    const summary = await priceHistoryService.backfill(symbol, start.split('T')[0], end.split('T')[0]);
+
+    logger.info('Price history backfill requested', { userId: req.user.id, ...summary });
+
+    res.json({
+      message: 'Price history backfilled successfully',
+      ...summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/prices/resolved/{id}:
+ *   get:
+ *     summary: Get a persisted resolved price, e.g. the one a journal line was valued with
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Resolved price with its source
+ *       404:
+ *         description: Resolved price not found
+ */
+router.get('/resolved/:id', [
+  param('id').isUUID().withMessage('Price ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const price = await priceService.getResolvedPrice(req.params.id);
+    if (!price) {
+      return next(new AppError('Resolved price not found', 404));
+    }
+
+    res.json({ price });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/prices/manual:
+ *   get:
+ *     summary: Get the user's manual prices
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Manual prices by symbol, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ManualPrice'
+ */
+router.get('/manual', async (req, res, next) => {
+  try {
+    const prices = await priceService.getManualPrices(req.user.id, req.query.symbol);
+    res.json({ prices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/prices/manual:
+ *   put:
+ *     summary: Set a manual USD price for a symbol from a date on
+ *     description: Used by the price provider chain for tokens no feed prices; replaces an existing manual price for the same symbol and date.
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symbol
+ *               - date
+ *               - usdPrice
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               usdPrice:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Manual price saved
+ *       400:
+ *         description: Validation failed
+ */
+router.put('/manual', [
+  body('symbol').notEmpty().withMessage('Symbol is required'),
+  body('date').isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  body('usdPrice').isFloat({ min: 0 }).withMessage('USD price must be a non-negative number'),
+  body('note').optional().isString(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { symbol, date, usdPrice, note } = req.body;
+    const price = await priceService.setManualPrice(req.user.id, {
+      symbol,
+      date: date.split('T')[0],
+      usdPrice: parseFloat(usdPrice),
+      note,
+    });
+
+    res.json({
+      message: 'Manual price saved successfully',
+      price,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/prices/manual/{id}:
+ *   delete:
+ *     summary: Delete a manual price
+ *     tags: [Prices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Manual price deleted
+ *       404:
+ *         description: Manual price not found
+ */
+router.delete('/manual/:id', [
+  param('id').isUUID().withMessage('Price ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const deleted = await priceService.deleteManualPrice(req.user.id, req.params.id);
+    if (!deleted) {
+      return next(new AppError('Manual price not found', 404));
+    }
+
+    res.json({ message: 'Manual price deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,591 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const onchainReconciliationService = require('../services/onchainReconciliationService');
+const bankReconciliationService = require('../services/bankReconciliationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/reconciliation/onchain:
+ *   get:
+ *     summary: Reconcile on-chain wallet balances with the digital asset accounts
+ *     description: For every registered wallet, reads the native and ERC-20 balances at a block or at the end of a date and compares them per asset with the balance of the digital asset accounts in the journal up to that date. Each transaction's change on chain is compared with what the journal booked for its hash; differences are listed as missing, not_on_chain, amount_mismatch, double_booked or double_booked_gas issues, and lines without a USD value as unpriced. Exchange import entries are left out. Wallets with a longer history than the report reads are compared by balance only (historyComplete false).
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Reconcile at the end of this date (default today, at the latest block)
+ *       - in: query
+ *         name: block
+ *         schema:
+ *           type: integer
+ *         description: Reconcile at this block instead; the wallets must be on one chain
+ *     responses:
+ *       200:
+ *         description: Balances per asset and the transactions that explain differences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 blocks:
+ *                   type: object
+ *                   description: Block read per chain; null for the latest block
+ *                 assets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       asset:
+ *                         type: string
+ *                       onChainBalance:
+ *                         type: number
+ *                         nullable: true
+ *                       ledgerBalance:
+ *                         type: number
+ *                       difference:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Ledger balance less on-chain balance
+ *                       reconciled:
+ *                         type: boolean
+ *                       explainedDifference:
+ *                         type: number
+ *                       historyComplete:
+ *                         type: boolean
+ *                       wallets:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       accounts:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                 issues:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [missing, not_on_chain, amount_mismatch, double_booked, double_booked_gas, unpriced]
+ *                       asset:
+ *                         type: string
+ *                       txid:
+ *                         type: string
+ *                         nullable: true
+ *                       onChainChange:
+ *                         type: number
+ *                       bookedChange:
+ *                         type: number
+ *                       difference:
+ *                         type: number
+ *                       entryIds:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       message:
+ *                         type: string
+ *                 summary:
+ *                   type: object
+ *       400:
+ *         description: No wallets registered, or a block number with wallets on several chains
+ *       404:
+ *         description: Block not found
+ */
+router.get('/onchain', [
+  query('date').optional().isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  query('block').optional().isInt({ min: 0 }).toInt(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const report = await onchainReconciliationService.reconcile(req.user.id, {
+      date: req.query.date || null,
+      blockNumber: req.query.block ?? null,
+    });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BankReconciliation:
+ *       type: object
+ *       properties:
+ *         reconciliation:
+ *           type: object
+ *           description: The bank_reconciliations row (period, currency, balances, status)
+ *         account:
+ *           type: object
+ *         summary:
+ *           type: object
+ *           properties:
+ *             openingBalance:
+ *               type: number
+ *             statementClosingBalance:
+ *               type: number
+ *             clearedBalance:
+ *               type: number
+ *               description: Opening balance plus the matched bank transactions of the period
+ *             reconciledDifference:
+ *               type: number
+ *               description: Total of the matched bank transactions of the period
+ *             unreconciledDifference:
+ *               type: number
+ *               description: Statement closing balance less the cleared balance
+ *             reconciled:
+ *               type: boolean
+ *             bankTransactions:
+ *               type: object
+ *             outstandingEntries:
+ *               type: object
+ *               description: Entries of the period posting to the account that no bank transaction matches
+ *         matches:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               bankTransactionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *         unmatchedTransactions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BankTransaction'
+ *         outstandingEntries:
+ *           type: array
+ *           items:
+ *             type: object
+ */
+
+const reconciliationIdValidator = param('id').isUUID().withMessage('Reconciliation ID must be a valid UUID');
+
+/**
+ * @swagger
+ * /api/reconciliation/bank:
+ *   get:
+ *     summary: List bank reconciliations, latest period first
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Reconciliations
+ *   post:
+ *     summary: Start reconciling a bank account over a period
+ *     description: The statement closing balance defaults to the imported statement closing on periodEnd, the opening balance to the closing balance of the previous completed reconciliation or the imported statement starting on periodStart.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accountId
+ *               - periodStart
+ *               - periodEnd
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 format: uuid
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *               statementClosingBalance:
+ *                 type: number
+ *               openingBalance:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: The reconciliation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BankReconciliation'
+ *       400:
+ *         description: No statement imported, or a balance that cannot be derived
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: The account already has a reconciliation ending on periodEnd
+ */
+router.get('/bank', [
+  query('accountId').optional().isUUID(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const reconciliations = await bankReconciliationService.listReconciliations(req.user.id, req.query.accountId || null);
+    res.json({ reconciliations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/bank', [
+  body('accountId').isUUID().withMessage('Account ID must be a valid UUID'),
+  body('periodStart').isISO8601().withMessage('Period start must be in YYYY-MM-DD format'),
+  body('periodEnd').isISO8601().withMessage('Period end must be in YYYY-MM-DD format'),
+  body('statementClosingBalance').optional().isNumeric(),
+  body('openingBalance').optional().isNumeric(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const report = await bankReconciliationService.createReconciliation(req.user.id, {
+      accountId: req.body.accountId,
+      periodStart: req.body.periodStart,
+      periodEnd: req.body.periodEnd,
+      statementClosingBalance: req.body.statementClosingBalance ?? null,
+      openingBalance: req.body.openingBalance ?? null,
+    });
+    res.status(201).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/bank/{id}:
+ *   get:
+ *     summary: A bank reconciliation with its balances, matches and what is left to match
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The reconciliation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BankReconciliation'
+ *       404:
+ *         description: Reconciliation not found
+ */
+router.get('/bank/:id', [reconciliationIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const report = await bankReconciliationService.getReconciliation(req.user.id, req.params.id);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/bank/{id}/auto-match:
+ *   post:
+ *     summary: Match bank transactions to journal entries on amount, date and reference
+ *     description: Each unmatched bank transaction of the period is matched to the journal entry with the same movement on the account, dated within BANK_MATCH_DATE_WINDOW_DAYS days, that quotes its reference, or else to the only such entry. Transactions with several candidates are returned in `ambiguous`.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The matches made, the ambiguous transactions and the reconciliation
+ *       409:
+ *         description: The reconciliation is completed
+ */
+router.post('/bank/:id/auto-match', [reconciliationIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await bankReconciliationService.autoMatch(req.user.id, req.params.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/bank/{id}/matches:
+ *   post:
+ *     summary: Match bank transactions to journal entries by hand
+ *     description: Several bank transactions or several entries make a split match. The bank transactions must total the entries' movement on the account.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bankTransactionIds
+ *               - entryIds
+ *             properties:
+ *               bankTransactionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               entryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       201:
+ *         description: The match and the reconciliation
+ *       400:
+ *         description: The totals differ, or an entry does not post to the account
+ *       404:
+ *         description: Bank transaction or journal entry not found
+ *       409:
+ *         description: Already matched, or the reconciliation is completed
+ */
+router.post('/bank/:id/matches', [
+  reconciliationIdValidator,
+  body('bankTransactionIds').isArray({ min: 1, max: 100 }).withMessage('bankTransactionIds must be a non-empty array'),
+  body('bankTransactionIds.*').isUUID().withMessage('Bank transaction IDs must be valid UUIDs'),
+  body('entryIds').isArray({ min: 1, max: 100 }).withMessage('entryIds must be a non-empty array'),
+  body('entryIds.*').isUUID().withMessage('Entry IDs must be valid UUIDs'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await bankReconciliationService.matchTransactions(req.user.id, req.params.id, {
+      bankTransactionIds: req.body.bankTransactionIds,
+      entryIds: req.body.entryIds,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/bank/{id}/matches/{matchId}:
+ *   delete:
+ *     summary: Undo a match of an open reconciliation
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The reconciliation
+ *       404:
+ *         description: Match not found
+ *       409:
+ *         description: The reconciliation is completed
+ */
+router.delete('/bank/:id/matches/:matchId', [
+  reconciliationIdValidator,
+  param('matchId').isUUID().withMessage('Match ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const report = await bankReconciliationService.removeMatch(req.user.id, req.params.id, req.params.matchId);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/bank/{id}/transactions/{transactionId}/entry:
+ *   post:
+ *     summary: Book a journal entry for a bank transaction and match it
+ *     description: Posts the bank transaction's amount between the bank account and the given account (money received debits the bank account) and matches the entry to the transaction.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - account
+ *             properties:
+ *               account:
+ *                 type: string
+ *                 description: Name or code of the other account, e.g. Bank Fees
+ *               narrative:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Entry date (default the booking date)
+ *     responses:
+ *       201:
+ *         description: The journal entry, the match and the reconciliation
+ *       400:
+ *         description: Account not found
+ *       404:
+ *         description: Bank transaction not found
+ *       409:
+ *         description: Already matched, the reconciliation is completed or the date is in a locked period
+ */
+router.post('/bank/:id/transactions/:transactionId/entry', [
+  reconciliationIdValidator,
+  param('transactionId').isUUID().withMessage('Bank transaction ID must be a valid UUID'),
+  body('account').isString().trim().notEmpty().withMessage('Account is required'),
+  body('narrative').optional().isString().isLength({ max: 1000 }),
+  body('date').optional().isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await bankReconciliationService.createEntryFromTransaction(req.user.id, req.params.id, req.params.transactionId, {
+      account: req.body.account,
+      narrative: req.body.narrative,
+      date: req.body.date,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reconciliation/bank/{id}/complete:
+ *   post:
+ *     summary: Complete a bank reconciliation
+ *     description: Needs every bank transaction of the period matched and no unreconciled difference. The matches of a completed reconciliation can no longer be undone.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The completed reconciliation
+ *       409:
+ *         description: Unmatched transactions or an unreconciled difference, or already completed
+ */
+router.post('/bank/:id/complete', [reconciliationIdValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const report = await bankReconciliationService.completeReconciliation(req.user.id, req.params.id);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const { query, validationResult } = require('express-validator');
 const { createClient } = require('@supabase/supabase-js');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const journalEntryService = require('../services/journalEntryService');
+const accountService = require('../services/accountService');
 
 const router = express.Router();
 
@@ -11,6 +13,17 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY,
 );
 
+// Native amounts are NUMERIC(20, 8); USD values are rounded to cents per line
+const NATIVE_BALANCE_TOLERANCE = 0.00000001;
+const USD_ROUNDING_TOLERANCE = 0.01;
+
+// Income statement comparison periods, in months
+const COMPARISON_MONTHS = {
+  month: 1,
+  quarter: 3,
+  year: 12,
+};
+
 /**
  * @swagger
  * components:
@@ -24,6 +37,95 @@ const supabase = createClient(
  *           type: number
  *         currency:
  *           type: string
+ *     TrialBalanceItem:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *         account:
+ *           type: string
+ *         accountType:
+ *           type: string
+ *           nullable: true
+ *           description: Type of the account in the chart of accounts; null for accounts outside it
+ *         currency:
+ *           type: string
+ *         debit:
+ *           type: number
+ *         credit:
+ *           type: number
+ *         balance:
+ *           type: number
+ *         usdDebit:
+ *           type: number
+ *         usdCredit:
+ *           type: number
+ *         usdBalance:
+ *           type: number
+ *     IncomeStatementAmounts:
+ *       type: object
+ *       description: USD total plus native totals per currency; prior and variance are present when comparing
+ *       properties:
+ *         current:
+ *           type: object
+ *           properties:
+ *             usdAmount:
+ *               type: number
+ *             byCurrency:
+ *               type: object
+ *         prior:
+ *           type: object
+ *         variance:
+ *           type: object
+ *     IncomeStatementSection:
+ *       type: object
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               accounts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               totals:
+ *                 $ref: '#/components/schemas/IncomeStatementAmounts'
+ *         totals:
+ *           $ref: '#/components/schemas/IncomeStatementAmounts'
+ *         tree:
+ *           type: array
+ *           description: The section's accounts along the account tree, parent accounts including their sub-accounts; each node has current, prior and variance like IncomeStatementAmounts
+ *           items:
+ *             $ref: '#/components/schemas/AccountRollUp'
+ *     AccountRollUp:
+ *       type: object
+ *       description: An account of the chart with the amounts of its whole branch (its own postings plus its sub-accounts'). The amount fields are those of the report; branches without postings are left out.
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         code:
+ *           type: string
+ *         account:
+ *           type: string
+ *         accountType:
+ *           type: string
+ *         level:
+ *           type: integer
+ *           description: Depth in the account tree, 0 for top-level accounts
+ *         own:
+ *           type: object
+ *           nullable: true
+ *           description: Amounts posted to the account itself; null when only its sub-accounts have postings
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AccountRollUp'
  *     CashFlowItem:
  *       type: object
  *       properties:
@@ -61,6 +163,12 @@ const supabase = createClient(
  *         schema:
  *           type: string
  *         description: Filter by currency (optional)
+ *       - in: query
+ *         name: includeUnreviewed
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Count entries still waiting in the review queue (rejected entries never count)
  *     responses:
  *       200:
  *         description: Balance sheet data
@@ -84,6 +192,27 @@ const supabase = createClient(
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/BalanceSheetItem'
+ *                 unclassified:
+ *                   type: array
+ *                   description: Accounts outside the chart of accounts, with their debit-positive balance
+ *                   items:
+ *                     $ref: '#/components/schemas/BalanceSheetItem'
+ *                 tree:
+ *                   type: object
+ *                   description: Assets, liabilities and equity along the account tree, parent accounts including their sub-accounts; each node has byCurrency balances on the section's normal side
+ *                   properties:
+ *                     assets:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AccountRollUp'
+ *                     liabilities:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AccountRollUp'
+ *                     equity:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AccountRollUp'
  *                 totals:
  *                   type: object
  *                   properties:
@@ -99,6 +228,7 @@ const supabase = createClient(
 router.get('/balance-sheet', [
   query('date').isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
   query('currency').optional().isString(),
+  query('includeUnreviewed').optional().isBoolean(),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -111,73 +241,67 @@ router.get('/balance-sheet', [
 
     logger.info('Generating balance sheet', { userId, date, currency });
 
-    // Get all journal entries up to the specified date
-    let query = supabase
+    // Get all journal entries (with their lines) up to the specified date
+    const { data: entries, error } = await supabase
       .from('journal_entries')
       .select(`
         *,
         transaction_date,
-        transactions(user_id)
+        transactions(user_id),
+        journal_entry_lines(*)
       `)
       .eq('user_id', userId)
-      .lte('entry_date', date);
-
-    if (currency) {
-      query = query.eq('currency', currency);
-    }
-
-    const { data: entries, error } = await query;
+      .lte('entry_date', date)
+      .in('review_status', reviewStatuses(req.query.includeUnreviewed));
 
     if (error) {
       logger.error('Failed to fetch journal entries for balance sheet', { error, userId });
       return next(new AppError('Failed to generate balance sheet', 500));
     }
 
-    // Calculate balances by account
-    const accountBalances = {};
+    let chartOfAccounts;
+    try {
+      chartOfAccounts = await accountService.getChartOfAccounts(userId);
+    } catch (chartError) {
+      logger.error('Failed to fetch chart of accounts for balance sheet', { error: chartError.message, userId });
+      return next(new AppError('Failed to generate balance sheet', 500));
+    }
 
-    // First pass: collect all unique accounts
-    const uniqueAccounts = new Set();
-    entries.forEach(entry => {
-      uniqueAccounts.add(entry.account_debit);
-      uniqueAccounts.add(entry.account_credit);
-    });
+    // Compound entries can mix currencies, so the currency filter applies per line
+    const ledgerLines = entries
+      .flatMap(entry => journalEntryService.getEntryLines(entry))
+      .filter(line => !currency || line.currency === currency);
 
-    // Classify all accounts upfront
-    const accountTypes = {};
-    for (const accountName of uniqueAccounts) {
-      accountTypes[accountName] = await classifyAccount(accountName);
-    }
+    // Balances per account and currency, classified by the account's type in the chart
+    const findAccount = accountService.indexChart(chartOfAccounts);
+    const accountBalances = {};
+    const chartBalances = new Map();
 
-    // Second pass: calculate balances using pre-classified accounts
-    entries.forEach(entry => {
-      const key = `${entry.account_debit}-${entry.currency}`;
+    ledgerLines.forEach(line => {
+      const chartAccount = findAccount(line);
+      const key = `${chartAccount?.id || line.account}-${line.currency}`;
       if (!accountBalances[key]) {
         accountBalances[key] = {
-          account: entry.account_debit,
+          account: chartAccount?.name || line.account,
           balance: 0,
-          currency: entry.currency,
-          type: accountTypes[entry.account_debit],
+          currency: line.currency,
+          type: chartAccount ? chartAccount.account_type.toLowerCase() : null,
         };
       }
-      accountBalances[key].balance += parseFloat(entry.amount);
+      const debitBalance = line.type === 'debit' ? line.amount : -line.amount;
+      accountBalances[key].balance += debitBalance;
 
-      const creditKey = `${entry.account_credit}-${entry.currency}`;
-      if (!accountBalances[creditKey]) {
-        accountBalances[creditKey] = {
-          account: entry.account_credit,
-          balance: 0,
-          currency: entry.currency,
-          type: accountTypes[entry.account_credit],
-        };
+      if (chartAccount) {
+        const normalBalance = chartAccount.account_type === 'ASSET' ? debitBalance : -debitBalance;
+        chartBalances.set(chartAccount.id, addBalances(chartBalances.get(chartAccount.id) || {}, { [line.currency]: normalBalance }));
       }
-      accountBalances[creditKey].balance -= parseFloat(entry.amount);
     });
 
     // Group by account type
     const assets = [];
     const liabilities = [];
     const equity = [];
+    const unclassified = [];
     let totalAssets = 0;
     let totalLiabilities = 0;
     let totalEquity = 0;
@@ -191,6 +315,13 @@ router.get('/balance-sheet', [
         currency: account.currency,
       };
 
+      // Accounts outside the chart have no type; they are listed with their
+      // debit-positive balance instead of being guessed from their name
+      if (!account.type) {
+        unclassified.push({ ...item, balance: account.balance });
+        return;
+      }
+
       switch (account.type) {
       case 'asset':
         if (account.balance > 0) {
@@ -218,11 +349,24 @@ router.get('/balance-sheet', [
     liabilities.sort((a, b) => b.balance - a.balance);
     equity.sort((a, b) => b.balance - a.balance);
 
+    // Sub-accounts share their parent's type, so each branch sits in one section
+    const tree = accountService.rollUp(chartOfAccounts, chartBalances, {
+      combine: addBalances,
+      present: byCurrency => ({ byCurrency }),
+    });
+    const branchesOf = type => tree.filter(node => node.accountType === type);
+
     res.json({
       asOfDate: date,
       assets,
       liabilities,
       equity,
+      unclassified,
+      tree: {
+        assets: branchesOf('ASSET'),
+        liabilities: branchesOf('LIABILITY'),
+        equity: branchesOf('EQUITY'),
+      },
       totals: {
         totalAssets: Math.abs(totalAssets),
         totalLiabilities: Math.abs(totalLiabilities),
@@ -262,6 +406,12 @@ router.get('/balance-sheet', [
  *         schema:
  *           type: string
  *         description: Filter by currency (optional)
+ *       - in: query
+ *         name: includeUnreviewed
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Count entries still waiting in the review queue (rejected entries never count)
  *     responses:
  *       200:
  *         description: Cash flow data
@@ -307,6 +457,7 @@ router.get('/cash-flow', [
   query('start').isISO8601().withMessage('Start date must be in YYYY-MM-DD format'),
   query('end').isISO8601().withMessage('End date must be in YYYY-MM-DD format'),
   query('currency').optional().isString(),
+  query('includeUnreviewed').optional().isBoolean(),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -324,29 +475,34 @@ router.get('/cash-flow', [
 
     logger.info('Generating cash flow report', { userId, start, end, currency });
 
-    // Get journal entries for the period
-    let query = supabase
+    // Get journal entries (with their lines) for the period
+    const { data: entries, error } = await supabase
       .from('journal_entries')
       .select(`
         *,
         transaction_date,
-        transactions(user_id)
+        transactions(user_id),
+        journal_entry_lines(*)
       `)
       .eq('user_id', userId)
       .gte('entry_date', start)
-      .lte('entry_date', end);
-
-    if (currency) {
-      query = query.eq('currency', currency);
-    }
-
-    const { data: entries, error } = await query;
+      .lte('entry_date', end)
+      .in('review_status', reviewStatuses(req.query.includeUnreviewed));
 
     if (error) {
       logger.error('Failed to fetch journal entries for cash flow', { error, userId });
       return next(new AppError('Failed to generate cash flow report', 500));
     }
 
+    let chartOfAccounts;
+    try {
+      chartOfAccounts = await accountService.getChartOfAccounts(userId);
+    } catch (chartError) {
+      logger.error('Failed to fetch chart of accounts for cash flow', { error: chartError.message, userId });
+      return next(new AppError('Failed to generate cash flow report', 500));
+    }
+    const findAccount = accountService.indexChart(chartOfAccounts);
+
     // Categorize cash flows
     const operating = [];
     const investing = [];
@@ -357,58 +513,41 @@ router.get('/cash-flow', [
     let netFinancing = 0;
 
     entries.forEach(entry => {
-      const cashFlowItem = {
-        date: entry.transaction_date || entry.entry_date,
-        account: entry.account_debit,
-        amount: parseFloat(entry.amount),
-        currency: entry.currency,
-        narrative: entry.narrative,
-        entryDate: entry.entry_date,
-      };
+      const lines = journalEntryService.getEntryLines(entry);
 
-      const category = categorizeCashFlow(entry.account_debit, entry.account_credit);
+      lines
+        .filter(line => !currency || line.currency === currency)
+        .forEach(line => {
+          const cashFlowItem = {
+            date: entry.transaction_date || entry.entry_date,
+            account: line.account,
+            amount: line.type === 'debit' ? line.amount : -line.amount,
+            currency: line.currency,
+            narrative: entry.narrative,
+            entryDate: entry.entry_date,
+          };
 
-      switch (category) {
-      case 'operating':
-        operating.push(cashFlowItem);
-        netOperating += cashFlowItem.amount;
-        break;
-      case 'investing':
-        investing.push(cashFlowItem);
-        netInvesting += cashFlowItem.amount;
-        break;
-      case 'financing':
-        financing.push(cashFlowItem);
-        netFinancing += cashFlowItem.amount;
-        break;
-      }
+          // Classify each line by its chart account and those on the opposite side of the entry
+          const category = categorizeCashFlow([
+            findAccount(line),
+            ...lines.filter(other => other.type !== line.type).map(findAccount),
+          ].filter(Boolean));
 
-      // Also consider credit side
-      const creditCashFlowItem = {
-        date: entry.transaction_date || entry.entry_date,
-        account: entry.account_credit,
-        amount: -parseFloat(entry.amount),
-        currency: entry.currency,
-        narrative: entry.narrative,
-        entryDate: entry.entry_date,
-      };
-
-      const creditCategory = categorizeCashFlow(entry.account_credit, entry.account_debit);
-
-      switch (creditCategory) {
-      case 'operating':
-        operating.push(creditCashFlowItem);
-        netOperating += creditCashFlowItem.amount;
-        break;
-      case 'investing':
-        investing.push(creditCashFlowItem);
-        netInvesting += creditCashFlowItem.amount;
-        break;
-      case 'financing':
-        financing.push(creditCashFlowItem);
-        netFinancing += creditCashFlowItem.amount;
-        break;
-      }
+          switch (category) {
+          case 'operating':
+            operating.push(cashFlowItem);
+            netOperating += cashFlowItem.amount;
+            break;
+          case 'investing':
+            investing.push(cashFlowItem);
+            netInvesting += cashFlowItem.amount;
+            break;
+          case 'financing':
+            financing.push(cashFlowItem);
+            netFinancing += cashFlowItem.amount;
+            break;
+          }
+        });
     });
 
     // Sort by date
@@ -436,6 +575,353 @@ router.get('/cash-flow', [
   }
 });
 
+/**
+ * @swagger
+ * /api/reports/trial-balance:
+ *   get:
+ *     summary: Generate trial balance report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Trial balance as of this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency (optional)
+ *       - in: query
+ *         name: includeUnreviewed
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Count entries still waiting in the review queue (rejected entries never count)
+ *     responses:
+ *       200:
+ *         description: Debit and credit totals for every account, per currency and in USD
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 asOfDate:
+ *                   type: string
+ *                   format: date
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrialBalanceItem'
+ *                 tree:
+ *                   type: array
+ *                   description: Accounts of the chart with postings along the account tree, parent accounts including their sub-accounts; each node has byCurrency debit, credit and balance plus usdDebit, usdCredit and usdBalance
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountRollUp'
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     byCurrency:
+ *                       type: object
+ *                     usd:
+ *                       type: object
+ *                     unpricedLines:
+ *                       type: integer
+ *                 isBalanced:
+ *                   type: boolean
+ *       400:
+ *         description: Validation error
+ */
+router.get('/trial-balance', [
+  query('date').isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  query('currency').optional().isString(),
+  query('includeUnreviewed').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { date, currency } = req.query;
+    const userId = req.user.id;
+
+    logger.info('Generating trial balance', { userId, date, currency });
+
+    let ledgerLines;
+    let chartOfAccounts;
+    try {
+      ledgerLines = await fetchLedgerLines(userId, { end: date, includeUnreviewed: req.query.includeUnreviewed });
+      chartOfAccounts = await accountService.getChartOfAccounts(userId);
+    } catch (error) {
+      logger.error('Failed to fetch ledger for trial balance', { error: error.message, userId });
+      return next(new AppError('Failed to generate trial balance', 500));
+    }
+
+    if (currency) {
+      ledgerLines = ledgerLines.filter(line => line.currency === currency);
+    }
+
+    const findAccount = accountService.indexChart(chartOfAccounts);
+    const rows = {};
+    const chartAmounts = new Map();
+    const postedAccounts = new Set();
+    const byCurrency = {};
+    const usd = { debit: 0, credit: 0 };
+    let unpricedLines = 0;
+
+    for (const line of ledgerLines) {
+      const chartAccount = findAccount(line);
+      const key = `${chartAccount?.id || line.account}-${line.currency}`;
+      if (!rows[key]) {
+        postedAccounts.add(chartAccount || line.account);
+        rows[key] = {
+          code: chartAccount?.code || null,
+          account: chartAccount?.name || line.account,
+          // Lines outside the chart have no account type
+          accountType: chartAccount?.account_type || null,
+          category: chartAccount?.account_categories?.name || null,
+          currency: line.currency,
+          debit: 0,
+          credit: 0,
+          usdDebit: 0,
+          usdCredit: 0,
+          inChartOfAccounts: !!chartAccount,
+          sortOrder: chartAccount?.sort_order ?? Number.MAX_SAFE_INTEGER,
+        };
+      }
+
+      const usdValue = lineUSDValue(line);
+      if (usdValue === null) {
+        unpricedLines++;
+      }
+
+      rows[key][line.type] += line.amount;
+      rows[key][line.type === 'debit' ? 'usdDebit' : 'usdCredit'] += usdValue || 0;
+
+      if (chartAccount) {
+        chartAmounts.set(chartAccount.id, addTrialBalanceAmounts(
+          chartAmounts.get(chartAccount.id) || emptyTrialBalanceAmounts(),
+          trialBalanceAmountsOf(line, usdValue),
+        ));
+      }
+
+      if (!byCurrency[line.currency]) {
+        byCurrency[line.currency] = { debit: 0, credit: 0 };
+      }
+      byCurrency[line.currency][line.type] += line.amount;
+      usd[line.type] += usdValue || 0;
+    }
+
+    // Chart accounts without postings are listed with zero totals
+    if (!currency) {
+      chartOfAccounts
+        .filter(account => !postedAccounts.has(account))
+        .forEach(account => {
+          rows[`${account.name}-none`] = {
+            code: account.code,
+            account: account.name,
+            accountType: account.account_type,
+            category: account.account_categories?.name || null,
+            currency: account.currency || null,
+            debit: 0,
+            credit: 0,
+            usdDebit: 0,
+            usdCredit: 0,
+            inChartOfAccounts: true,
+            sortOrder: account.sort_order ?? Number.MAX_SAFE_INTEGER,
+          };
+        });
+    }
+
+    const accounts = Object.values(rows)
+      .sort((a, b) => a.sortOrder - b.sortOrder || (a.code || '').localeCompare(b.code || '') || a.account.localeCompare(b.account))
+      .map(({ sortOrder: _sortOrder, ...row }) => ({
+        ...row,
+        balance: row.debit - row.credit,
+        usdBalance: roundUSD(row.usdDebit - row.usdCredit),
+        usdDebit: roundUSD(row.usdDebit),
+        usdCredit: roundUSD(row.usdCredit),
+      }));
+
+    const currencyTotals = {};
+    Object.entries(byCurrency).forEach(([code, totals]) => {
+      currencyTotals[code] = {
+        ...totals,
+        difference: totals.debit - totals.credit,
+        balanced: Math.abs(totals.debit - totals.credit) <= NATIVE_BALANCE_TOLERANCE,
+      };
+    });
+
+    const usdDifference = roundUSD(usd.debit - usd.credit);
+    const usdBalanced = Math.abs(usdDifference) <= USD_ROUNDING_TOLERANCE;
+
+    res.json({
+      asOfDate: date,
+      currency: currency || null,
+      accounts,
+      tree: accountService.rollUp(chartOfAccounts, chartAmounts, {
+        combine: addTrialBalanceAmounts,
+        present: presentTrialBalanceAmounts,
+      }),
+      totals: {
+        byCurrency: currencyTotals,
+        usd: {
+          debit: roundUSD(usd.debit),
+          credit: roundUSD(usd.credit),
+          difference: usdDifference,
+          balanced: usdBalanced,
+        },
+        unpricedLines,
+      },
+      isBalanced: Object.values(currencyTotals).every(totals => totals.balanced) && usdBalanced,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/income-statement:
+ *   get:
+ *     summary: Generate income statement (profit & loss) report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: start
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for the period
+ *       - in: query
+ *         name: end
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for the period
+ *       - in: query
+ *         name: compare
+ *         schema:
+ *           type: string
+ *           enum: [month, quarter, year]
+ *         description: Compare against the previous month, quarter or year (optional)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Filter by currency (optional)
+ *       - in: query
+ *         name: includeUnreviewed
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Count entries still waiting in the review queue (rejected entries never count)
+ *       - in: query
+ *         name: netOfReversals
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Leave out reversed entries together with their reversals
+ *     responses:
+ *       200:
+ *         description: Revenue and expenses grouped by account category, with gross and net result. Accounts are classified by their type in the chart of accounts; lines on accounts outside the chart are left out (the trial balance lists them).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: object
+ *                 comparisonPeriod:
+ *                   type: object
+ *                   nullable: true
+ *                 revenue:
+ *                   $ref: '#/components/schemas/IncomeStatementSection'
+ *                 expenses:
+ *                   $ref: '#/components/schemas/IncomeStatementSection'
+ *                 grossResult:
+ *                   $ref: '#/components/schemas/IncomeStatementAmounts'
+ *                 netResult:
+ *                   $ref: '#/components/schemas/IncomeStatementAmounts'
+ *       400:
+ *         description: Validation error
+ */
+router.get('/income-statement', [
+  query('start').isISO8601().withMessage('Start date must be in YYYY-MM-DD format'),
+  query('end').isISO8601().withMessage('End date must be in YYYY-MM-DD format'),
+  query('compare').optional().isIn(Object.keys(COMPARISON_MONTHS)),
+  query('currency').optional().isString(),
+  query('includeUnreviewed').optional().isBoolean(),
+  query('netOfReversals').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { start, end, compare, currency, includeUnreviewed, netOfReversals } = req.query;
+    const userId = req.user.id;
+
+    if (new Date(start) > new Date(end)) {
+      return next(new AppError('Start date must be before end date', 400));
+    }
+
+    const comparisonPeriod = compare
+      ? {
+        start: shiftMonths(start, -COMPARISON_MONTHS[compare]),
+        end: shiftPeriodEnd(end, -COMPARISON_MONTHS[compare]),
+        basis: compare,
+      }
+      : null;
+
+    logger.info('Generating income statement', { userId, start, end, compare, currency });
+
+    let chartOfAccounts;
+    let currentLines;
+    let priorLines = [];
+    try {
+      [chartOfAccounts, currentLines, priorLines] = await Promise.all([
+        accountService.getChartOfAccounts(userId),
+        fetchLedgerLines(userId, { start, end, includeUnreviewed, netOfReversals, excludeClosingEntries: true }),
+        comparisonPeriod
+          ? fetchLedgerLines(userId, { ...comparisonPeriod, includeUnreviewed, netOfReversals, excludeClosingEntries: true })
+          : [],
+      ]);
+    } catch (error) {
+      logger.error('Failed to fetch ledger for income statement', { error: error.message, userId });
+      return next(new AppError('Failed to generate income statement', 500));
+    }
+
+    const filterCurrency = lines => (currency ? lines.filter(line => line.currency === currency) : lines);
+    const current = summarizeIncome(filterCurrency(currentLines), chartOfAccounts);
+    const prior = comparisonPeriod ? summarizeIncome(filterCurrency(priorLines), chartOfAccounts) : null;
+
+    const statement = buildIncomeStatement(current, prior);
+    const tree = buildIncomeTree(chartOfAccounts, current, prior);
+
+    res.json({
+      period: { start, end },
+      comparisonPeriod,
+      currency: currency || null,
+      ...statement,
+      revenue: { ...statement.revenue, tree: tree.filter(node => node.accountType === 'REVENUE') },
+      expenses: { ...statement.expenses, tree: tree.filter(node => node.accountType === 'EXPENSE') },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/reports/journal-entries:
@@ -459,10 +945,18 @@ router.get('/cash-flow', [
  *         name: account
  *         schema:
  *           type: string
+ *         description: Entries with a line on an account whose name contains this text
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Entries with a line on this account
  *       - in: query
  *         name: currency
  *         schema:
  *           type: string
+ *         description: Entries with a line in this currency
  *       - in: query
  *         name: page
  *         schema:
@@ -476,6 +970,18 @@ router.get('/cash-flow', [
  *           minimum: 1
  *           maximum: 100
  *           default: 50
+ *       - in: query
+ *         name: includeUnreviewed
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Count entries still waiting in the review queue (rejected entries never count)
+ *       - in: query
+ *         name: netOfReversals
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Leave out reversed entries together with their reversals
  *     responses:
  *       200:
  *         description: Journal entries
@@ -484,9 +990,12 @@ router.get('/journal-entries', [
   query('start').optional().isISO8601(),
   query('end').optional().isISO8601(),
   query('account').optional().isString(),
+  query('accountId').optional().isUUID(),
   query('currency').optional().isString(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('includeUnreviewed').optional().isBoolean(),
+  query('netOfReversals').optional().isBoolean(),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -494,10 +1003,15 @@ router.get('/journal-entries', [
       return next(new AppError('Validation failed', 400));
     }
 
-    const { start, end, account, currency, page = 1, limit = 50 } = req.query;
+    const { start, end, account, accountId, currency, page = 1, limit = 50 } = req.query;
     const userId = req.user.id;
     const offset = (page - 1) * limit;
 
+    // Account and currency live on the lines (compound and multi-currency headers leave
+    // them empty), so those filters go through an inner join on the lines. The join is
+    // aliased to keep every line of a matching entry in journal_entry_lines
+    const filtersLines = Boolean(account || accountId || currency);
+
     let query = supabase
       .from('journal_entries')
       .select(`
@@ -507,9 +1021,12 @@ router.get('/journal-entries', [
         usd_rate,
         usd_source,
         usd_timestamp,
-        transactions(user_id, txid, description)
+        transactions(user_id, txid, description),
+        journal_entry_lines(*)
+        ${filtersLines ? ', matched_lines:journal_entry_lines!inner(id)' : ''}
       `, { count: 'exact' })
       .eq('user_id', userId)
+      .in('review_status', reviewStatuses(req.query.includeUnreviewed))
       .order('entry_date', { ascending: false })
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
@@ -521,10 +1038,16 @@ router.get('/journal-entries', [
       query = query.lte('entry_date', end);
     }
     if (account) {
-      query = query.or(`account_debit.ilike.%${account}%,account_credit.ilike.%${account}%`);
+      query = query.ilike('matched_lines.account_name', `%${account}%`);
+    }
+    if (accountId) {
+      query = query.eq('matched_lines.account_id', accountId);
     }
     if (currency) {
-      query = query.eq('currency', currency);
+      query = query.eq('matched_lines.currency', currency);
+    }
+    if (String(req.query.netOfReversals) === 'true') {
+      query = withoutReversals(query);
     }
 
     const { data: entries, error, count } = await query;
@@ -537,7 +1060,7 @@ router.get('/journal-entries', [
     const totalPages = Math.ceil(count / limit);
 
     res.json({
-      entries,
+      entries: entries.map(({ matched_lines: _matchedLines, ...entry }) => entry),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -551,86 +1074,369 @@ router.get('/journal-entries', [
 });
 
 // Helper functions
-async function classifyAccount(accountName) {
-  const accountService = require('../services/accountService');
-  
-  try {
-    // Try to find the account in our chart of accounts
-    const accounts = await accountService.getAccountByName(accountName);
-    
-    if (accounts && accounts.length > 0) {
-      // Return the account type from the database
-      const accountType = accounts[0].account_type;
-      return accountType.toLowerCase();
-    }
-    
-    // Fallback to string matching if account not found in chart
-    const account = accountName.toLowerCase();
-    
-    if (account.includes('asset') || account.includes('cash') || account.includes('digital')) {
-      return 'asset';
-    }
-    if (account.includes('liability') || account.includes('payable') || account.includes('loan')) {
-      return 'liability';
-    }
-    if (account.includes('equity') || account.includes('capital') || account.includes('retained')) {
-      return 'equity';
-    }
-    if (account.includes('expense') || account.includes('fee')) {
-      return 'asset'; // Expenses reduce assets
-    }
-    if (account.includes('revenue') || account.includes('income')) {
-      return 'equity'; // Revenue increases equity
+
+// Review statuses a report counts: rejected entries never, entries pending review
+// unless includeUnreviewed=false
+function reviewStatuses(includeUnreviewed) {
+  return String(includeUnreviewed) === 'false' ? ['approved'] : ['approved', 'pending'];
+}
+
+// Net of reversals: reversed entries and their reversals cancel out, so both are left out
+function withoutReversals(query) {
+  return query.is('reverses_entry_id', null).is('reversed_by_entry_id', null);
+}
+
+// Closing entries zero revenue and expenses at year end, so the income statement
+// leaves them out (excludeClosingEntries) while balances keep them
+async function fetchLedgerLines(userId, { start, end, includeUnreviewed, netOfReversals, excludeClosingEntries = false } = {}) {
+  let query = supabase
+    .from('journal_entries')
+    .select(`
+      id,
+      entry_date,
+      transaction_date,
+      narrative,
+      account_debit,
+      account_credit,
+      amount,
+      currency,
+      usd_value,
+      metadata,
+      journal_entry_lines(*)
+    `)
+    .eq('user_id', userId)
+    .in('review_status', reviewStatuses(includeUnreviewed));
+
+  if (start) {
+    query = query.gte('entry_date', start);
+  }
+  if (end) {
+    query = query.lte('entry_date', end);
+  }
+  if (String(netOfReversals) === 'true') {
+    query = withoutReversals(query);
+  }
+
+  const { data: entries, error } = await query;
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return entries
+    .filter(entry => !(excludeClosingEntries && entry.metadata?.periodClose))
+    .flatMap(entry => journalEntryService.getEntryLines(entry).map(line => ({
+      ...line,
+      entryId: entry.id,
+      entryDate: entry.entry_date,
+    })));
+}
+
+// USD lines are their own USD value; other lines rely on the stored usd_value
+function lineUSDValue(line) {
+  if (line.usdValue !== null && line.usdValue !== undefined) {
+    return line.usdValue;
+  }
+  return line.currency === 'USD' ? line.amount : null;
+}
+
+function roundUSD(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function lastDayOfMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+// Move a YYYY-MM-DD date by whole months, clamping to the end of shorter months
+function shiftMonths(dateString, months) {
+  const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  target.setUTCDate(Math.min(day, lastDayOfMonth(target.getUTCFullYear(), target.getUTCMonth())));
+  return target.toISOString().split('T')[0];
+}
+
+// Move the end of a period by whole months; a month-end stays a month-end, so
+// Apr 1 - Jun 30 compares against Jan 1 - Mar 31 rather than Jan 1 - Mar 30
+function shiftPeriodEnd(dateString, months) {
+  const [year, month, day] = dateString.split('T')[0].split('-').map(Number);
+  if (day !== lastDayOfMonth(year, month - 1)) {
+    return shiftMonths(dateString, months);
+  }
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  target.setUTCDate(lastDayOfMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  return target.toISOString().split('T')[0];
+}
+
+// Native balances per currency of two accounts (or branches) added up
+function addBalances(a, b) {
+  const result = { ...a };
+  Object.entries(b).forEach(([currency, amount]) => {
+    result[currency] = (result[currency] || 0) + amount;
+  });
+  return result;
+}
+
+function emptyTrialBalanceAmounts() {
+  return { usdDebit: 0, usdCredit: 0, byCurrency: {} };
+}
+
+// Debit and credit per currency and in USD, for trial balance roll-ups
+function trialBalanceAmountsOf(line, usdValue) {
+  return {
+    usdDebit: line.type === 'debit' ? usdValue || 0 : 0,
+    usdCredit: line.type === 'credit' ? usdValue || 0 : 0,
+    byCurrency: { [line.currency]: { debit: 0, credit: 0, [line.type]: line.amount } },
+  };
+}
+
+function addTrialBalanceAmounts(a, b) {
+  const byCurrency = { ...a.byCurrency };
+  Object.entries(b.byCurrency).forEach(([currency, totals]) => {
+    const sum = byCurrency[currency] || { debit: 0, credit: 0 };
+    byCurrency[currency] = { debit: sum.debit + totals.debit, credit: sum.credit + totals.credit };
+  });
+  return { usdDebit: a.usdDebit + b.usdDebit, usdCredit: a.usdCredit + b.usdCredit, byCurrency };
+}
+
+function presentTrialBalanceAmounts(amounts) {
+  const byCurrency = {};
+  Object.entries(amounts.byCurrency).forEach(([currency, totals]) => {
+    byCurrency[currency] = { ...totals, balance: totals.debit - totals.credit };
+  });
+  return {
+    byCurrency,
+    usdDebit: roundUSD(amounts.usdDebit),
+    usdCredit: roundUSD(amounts.usdCredit),
+    usdBalance: roundUSD(amounts.usdDebit - amounts.usdCredit),
+  };
+}
+
+// Net revenue/expense per account and currency; revenue is credit-normal, expenses debit-normal
+function summarizeIncome(lines, chartOfAccounts) {
+  const findAccount = accountService.indexChart(chartOfAccounts);
+  const rows = new Map();
+
+  lines.forEach(line => {
+    const chartAccount = findAccount(line);
+    const accountType = chartAccount?.account_type;
+    if (accountType !== 'REVENUE' && accountType !== 'EXPENSE') {
+      return;
     }
-    
-    return 'asset'; // Default to asset
-  } catch (error) {
-    // If there's an error, fall back to string matching
-    const account = accountName.toLowerCase();
-    
-    if (account.includes('asset') || account.includes('cash') || account.includes('digital')) {
-      return 'asset';
+
+    const key = `${chartAccount.id || chartAccount.name}-${line.currency}`;
+    if (!rows.has(key)) {
+      const category = chartAccount.account_categories;
+      rows.set(key, {
+        accountId: chartAccount.id,
+        code: chartAccount.code || null,
+        account: chartAccount.name,
+        accountType,
+        isFinancial: chartAccount.sub_type === 'FINANCIAL_EXPENSE',
+        categoryCode: category?.code || null,
+        categoryName: category?.name || (accountType === 'REVENUE' ? 'Other Revenue' : 'Other Expenses'),
+        sortOrder: chartAccount.sort_order ?? Number.MAX_SAFE_INTEGER,
+        currency: line.currency,
+        amount: 0,
+        usdAmount: 0,
+        unpricedLines: 0,
+      });
     }
-    if (account.includes('liability') || account.includes('payable') || account.includes('loan')) {
-      return 'liability';
+
+    const row = rows.get(key);
+    const normalSide = accountType === 'REVENUE' ? 'credit' : 'debit';
+    const sign = line.type === normalSide ? 1 : -1;
+    const usdValue = lineUSDValue(line);
+
+    row.amount += sign * line.amount;
+    row.usdAmount += sign * (usdValue || 0);
+    if (usdValue === null) {
+      row.unpricedLines++;
     }
-    if (account.includes('equity') || account.includes('capital') || account.includes('retained')) {
-      return 'equity';
+  });
+
+  return rows;
+}
+
+function emptyAmounts() {
+  return { usdAmount: 0, byCurrency: {} };
+}
+
+function addAmounts(totals, currency, amount, usdAmount) {
+  totals.usdAmount += usdAmount;
+  totals.byCurrency[currency] = (totals.byCurrency[currency] || 0) + amount;
+  return totals;
+}
+
+function combineAmounts(a, b, sign = 1) {
+  const result = { usdAmount: a.usdAmount + sign * b.usdAmount, byCurrency: { ...a.byCurrency } };
+  Object.entries(b.byCurrency).forEach(([currency, amount]) => {
+    result.byCurrency[currency] = (result.byCurrency[currency] || 0) + sign * amount;
+  });
+  return result;
+}
+
+function roundAmounts(amounts) {
+  return { ...amounts, usdAmount: roundUSD(amounts.usdAmount) };
+}
+
+function variance(current, prior) {
+  const amount = current - prior;
+  return {
+    amount,
+    percent: prior !== 0 ? Math.round((amount / Math.abs(prior)) * 10000) / 100 : null,
+  };
+}
+
+// Current vs. prior (with variance) for a pair of amount totals
+function compareAmounts(current, prior) {
+  if (!prior) {
+    return { current: roundAmounts(current) };
+  }
+
+  const difference = combineAmounts(current, prior, -1);
+  return {
+    current: roundAmounts(current),
+    prior: roundAmounts(prior),
+    variance: {
+      ...roundAmounts(difference),
+      usdPercent: variance(current.usdAmount, prior.usdAmount).percent,
+    },
+  };
+}
+
+function buildIncomeStatement(current, prior) {
+  const keys = new Set([...current.keys(), ...(prior ? prior.keys() : [])]);
+  const sections = { REVENUE: new Map(), EXPENSE: new Map() };
+  const totals = {
+    REVENUE: { current: emptyAmounts(), prior: emptyAmounts() },
+    OPERATING_EXPENSE: { current: emptyAmounts(), prior: emptyAmounts() },
+    FINANCIAL_EXPENSE: { current: emptyAmounts(), prior: emptyAmounts() },
+  };
+
+  keys.forEach(key => {
+    const currentRow = current.get(key);
+    const priorRow = prior?.get(key);
+    const base = currentRow || priorRow;
+    const totalKey = base.accountType === 'REVENUE'
+      ? 'REVENUE'
+      : (base.isFinancial ? 'FINANCIAL_EXPENSE' : 'OPERATING_EXPENSE');
+
+    const categoryKey = base.categoryCode || base.categoryName;
+    const categories = sections[base.accountType];
+    if (!categories.has(categoryKey)) {
+      categories.set(categoryKey, {
+        code: base.categoryCode,
+        name: base.categoryName,
+        sortOrder: base.sortOrder,
+        accounts: [],
+        totals: { current: emptyAmounts(), prior: emptyAmounts() },
+      });
     }
-    if (account.includes('expense') || account.includes('fee')) {
-      return 'asset'; // Expenses reduce assets
+    const category = categories.get(categoryKey);
+    category.sortOrder = Math.min(category.sortOrder, base.sortOrder);
+
+    const row = {
+      code: base.code,
+      account: base.account,
+      currency: base.currency,
+      amount: currentRow?.amount || 0,
+      usdAmount: roundUSD(currentRow?.usdAmount || 0),
+      unpricedLines: currentRow?.unpricedLines || 0,
+      sortOrder: base.sortOrder,
+    };
+
+    addAmounts(category.totals.current, row.currency, row.amount, currentRow?.usdAmount || 0);
+    addAmounts(totals[totalKey].current, row.currency, row.amount, currentRow?.usdAmount || 0);
+
+    if (prior) {
+      row.prior = { amount: priorRow?.amount || 0, usdAmount: roundUSD(priorRow?.usdAmount || 0) };
+      row.variance = {
+        ...variance(row.amount, row.prior.amount),
+        usdAmount: roundUSD(row.usdAmount - row.prior.usdAmount),
+      };
+      addAmounts(category.totals.prior, row.currency, row.prior.amount, priorRow?.usdAmount || 0);
+      addAmounts(totals[totalKey].prior, row.currency, row.prior.amount, priorRow?.usdAmount || 0);
     }
-    if (account.includes('revenue') || account.includes('income')) {
-      return 'equity'; // Revenue increases equity
+
+    category.accounts.push(row);
+  });
+
+  const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || (a.code || '').localeCompare(b.code || '');
+  const buildSection = (categories, sectionTotals) => ({
+    categories: [...categories.values()]
+      .sort(bySortOrder)
+      .map(({ sortOrder: _sortOrder, totals: categoryTotals, accounts, ...category }) => ({
+        ...category,
+        accounts: accounts
+          .sort(bySortOrder)
+          .map(({ sortOrder: _rowSortOrder, ...row }) => row),
+        totals: compareAmounts(categoryTotals.current, prior ? categoryTotals.prior : null),
+      })),
+    totals: compareAmounts(sectionTotals.current, prior ? sectionTotals.prior : null),
+  });
+
+  const expenseTotals = {
+    current: combineAmounts(totals.OPERATING_EXPENSE.current, totals.FINANCIAL_EXPENSE.current),
+    prior: combineAmounts(totals.OPERATING_EXPENSE.prior, totals.FINANCIAL_EXPENSE.prior),
+  };
+  const gross = {
+    current: combineAmounts(totals.REVENUE.current, totals.OPERATING_EXPENSE.current, -1),
+    prior: combineAmounts(totals.REVENUE.prior, totals.OPERATING_EXPENSE.prior, -1),
+  };
+  const net = {
+    current: combineAmounts(gross.current, totals.FINANCIAL_EXPENSE.current, -1),
+    prior: combineAmounts(gross.prior, totals.FINANCIAL_EXPENSE.prior, -1),
+  };
+
+  return {
+    revenue: buildSection(sections.REVENUE, totals.REVENUE),
+    expenses: buildSection(sections.EXPENSE, expenseTotals),
+    // Gross result is revenue less operating expenses; financial expenses sit below it
+    grossResult: compareAmounts(gross.current, prior ? gross.prior : null),
+    netResult: compareAmounts(net.current, prior ? net.prior : null),
+  };
+}
+
+// Revenue and expense accounts rolled up along the account tree, current vs. prior
+function buildIncomeTree(chartOfAccounts, current, prior) {
+  const amounts = new Map();
+  const collect = (rows, period) => rows.forEach(row => {
+    if (!amounts.has(row.accountId)) {
+      amounts.set(row.accountId, { current: emptyAmounts(), prior: prior ? emptyAmounts() : null });
     }
-    
-    return 'asset'; // Default to asset
+    addAmounts(amounts.get(row.accountId)[period], row.currency, row.amount, row.usdAmount);
+  });
+  collect(current, 'current');
+  if (prior) {
+    collect(prior, 'prior');
   }
+
+  return accountService.rollUp(chartOfAccounts, amounts, {
+    combine: (a, b) => ({
+      current: combineAmounts(a.current, b.current),
+      prior: a.prior && combineAmounts(a.prior, b.prior),
+    }),
+    present: amountsOf => compareAmounts(amountsOf.current, amountsOf.prior),
+  });
 }
 
-function categorizeCashFlow(debitAccount, creditAccount) {
-  const debit = debitAccount.toLowerCase();
-  const credit = creditAccount.toLowerCase();
+// Cash flow activity of a line from the chart accounts involved (IAS 7): anything touching
+// the income statement or working capital is operating, long-term and digital assets are
+// investing, equity and long-term liabilities are financing
+function categorizeCashFlow(chartAccounts) {
+  const involves = predicate => chartAccounts.some(predicate);
 
-  // Operating activities
-  if (debit.includes('revenue') || debit.includes('expense') || debit.includes('fee') ||
-      credit.includes('revenue') || credit.includes('expense') || credit.includes('fee')) {
+  if (involves(account => ['REVENUE', 'EXPENSE'].includes(account.account_type))) {
     return 'operating';
   }
-
-  // Investing activities
-  if (debit.includes('digital asset') || debit.includes('investment') ||
-      credit.includes('digital asset') || credit.includes('investment')) {
+  if (involves(account => ['NON_CURRENT_ASSET', 'DIGITAL_ASSET'].includes(account.sub_type))) {
     return 'investing';
   }
-
-  // Financing activities
-  if (debit.includes('loan') || debit.includes('equity') || debit.includes('capital') ||
-      credit.includes('loan') || credit.includes('equity') || credit.includes('capital')) {
+  if (involves(account => account.account_type === 'EQUITY' || account.sub_type === 'NON_CURRENT_LIABILITY')) {
     return 'financing';
   }
 
-  return 'operating'; // Default to operating
+  return 'operating';
 }
 
 module.exports = router;
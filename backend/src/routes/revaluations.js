@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const revaluationService = require('../services/revaluationService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/revaluations:
+ *   get:
+ *     summary: List revaluation runs, latest closing date first
+ *     tags: [Revaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Revaluation runs
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const runs = await revaluationService.listRuns(req.user.id);
+    res.json({ runs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/revaluations:
+ *   post:
+ *     summary: Revalue digital asset holdings at a closing date
+ *     description: Prices the native balance of every digital asset account at the closing date and posts one USD entry that brings the booked carrying values to fair value. Increases go to Crypto Revaluation Reserve, decreases to Impairment Loss on Crypto. Accounts with unpriced lines, negative balances or no price at the date are listed as skipped.
+ *     tags: [Revaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Closing date
+ *     responses:
+ *       201:
+ *         description: The stored run and its revaluation entry (null when nothing needed adjusting)
+ *       409:
+ *         description: An earlier run is still posted, entries are pending review, or the closing date is in a locked period
+ */
+router.post('/', [
+  body('date').isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await revaluationService.run(req.user.id, req.body.date);
+    res.status(201).json({
+      message: result.entry ? 'Revaluation posted' : 'Revaluation found nothing to adjust',
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/revaluations/{id}:
+ *   get:
+ *     summary: Get a revaluation run with its per-account valuation
+ *     tags: [Revaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Revaluation run
+ *       404:
+ *         description: Revaluation run not found
+ */
+router.get('/:id', [
+  param('id').isUUID().withMessage('Run ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const run = await revaluationService.getRun(req.user.id, req.params.id);
+    res.json({ run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/revaluations/{id}/reverse:
+ *   post:
+ *     summary: Reverse a posted revaluation run
+ *     description: Posts the reversal of the run's entry, by default on the day after the closing date.
+ *     tags: [Revaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the reversal, after the closing date
+ *     responses:
+ *       200:
+ *         description: The reversed run and the reversal entry
+ *       404:
+ *         description: Revaluation run not found
+ *       409:
+ *         description: The run is not posted, or the reversal date is in a locked period
+ */
+router.post('/:id/reverse', [
+  param('id').isUUID().withMessage('Run ID must be a valid UUID'),
+  body('date').optional().isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await revaluationService.reverseRun(req.user.id, req.params.id, { date: req.body.date });
+    res.json({
+      message: 'Revaluation reversed',
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const reviewService = require('../services/reviewService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewReason:
+ *       type: object
+ *       properties:
+ *         reason:
+ *           type: string
+ *           enum: [low_confidence, account_substituted, unknown_account]
+ *         confidence:
+ *           type: number
+ *         threshold:
+ *           type: number
+ *         side:
+ *           type: string
+ *           enum: [debit, credit]
+ *         requested:
+ *           type: string
+ *           description: Account name the AI asked for
+ *         substituted:
+ *           type: string
+ *           description: Chart account booked instead
+ */
+
+const entryIdsValidators = [
+  body('entryIds').isArray({ min: 1, max: 500 }).withMessage('entryIds must be a non-empty array'),
+  body('entryIds.*').isUUID().withMessage('Entry IDs must be valid UUIDs'),
+];
+
+/**
+ * @swagger
+ * /api/review/queue:
+ *   get:
+ *     summary: List journal entries waiting for review, oldest first
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Pending entries with their lines and review_reasons
+ */
+router.get('/queue', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const result = await reviewService.listQueue(req.user.id, {
+      page: req.query.page ? parseInt(req.query.page) : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/review/approve:
+ *   post:
+ *     summary: Approve pending journal entries
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - entryIds
+ *             properties:
+ *               entryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Approved entries; `skipped` lists ids that were not pending
+ */
+router.post('/approve', entryIdsValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { entries, skipped } = await reviewService.approveEntries(req.user.id, req.body.entryIds);
+    res.json({
+      message: `${entries.length} journal entries approved`,
+      entries,
+      skipped,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/review/reject:
+ *   post:
+ *     summary: Reject pending journal entries
+ *     description: Rejected entries are kept for the record but no longer count in reports or cost basis.
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - entryIds
+ *             properties:
+ *               entryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               note:
+ *                 type: string
+ *                 description: Why the entries were rejected
+ *     responses:
+ *       200:
+ *         description: Rejected entries; `skipped` lists ids that were not pending
+ */
+router.post('/reject', [
+  ...entryIdsValidators,
+  body('note').optional().isString().isLength({ max: 1000 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { entries, skipped } = await reviewService.rejectEntries(req.user.id, req.body.entryIds, req.body.note);
+    res.json({
+      message: `${entries.length} journal entries rejected`,
+      entries,
+      skipped,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/review/entries/{id}:
+ *   put:
+ *     summary: Correct a pending journal entry and approve it
+ *     description: Send accountDebit/accountCredit/amount/currency for a simple entry or the full `lines` for a compound one. Edited lines are priced again and must balance.
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               narrative:
+ *                 type: string
+ *               entryDate:
+ *                 type: string
+ *                 format: date
+ *               accountDebit:
+ *                 type: string
+ *               accountCredit:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     account:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [debit, credit]
+ *                     amount:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Approved entry
+ *       400:
+ *         description: Edited entry does not balance
+ *       404:
+ *         description: Journal entry not found
+ *       409:
+ *         description: Journal entry is not pending review
+ */
+router.put('/entries/:id', [
+  param('id').isUUID().withMessage('Entry ID must be a valid UUID'),
+  body('narrative').optional().isString(),
+  body('entryDate').optional().isISO8601(),
+  body('accountDebit').optional().isString().notEmpty(),
+  body('accountCredit').optional().isString().notEmpty(),
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('currency').optional().isString().notEmpty(),
+  body('lines').optional().isArray({ min: 2 }),
+  body('lines.*.account').optional().isString().notEmpty(),
+  body('lines.*.type').optional().isIn(['debit', 'credit']),
+  body('lines.*.amount').optional().isFloat({ gt: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const entry = await reviewService.editAndApprove(req.user.id, req.params.id, req.body);
+    res.json({
+      message: 'Journal entry corrected and approved',
+      entry,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/review/settings:
+ *   get:
+ *     summary: Get the confidence threshold below which AI entries are queued for review
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review settings
+ *   put:
+ *     summary: Set the review confidence threshold
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confidenceThreshold
+ *             properties:
+ *               confidenceThreshold:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *     responses:
+ *       200:
+ *         description: Review settings updated (applies to entries saved from now on)
+ */
+router.get('/settings', async (req, res, next) => {
+  try {
+    const confidenceThreshold = await reviewService.getThreshold(req.user.id);
+    res.json({ confidenceThreshold });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/settings', [
+  body('confidenceThreshold').isFloat({ min: 0, max: 1 }).withMessage('Confidence threshold must be between 0 and 1'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const confidenceThreshold = await reviewService.setThreshold(req.user.id, req.body.confidenceThreshold);
+    res.json({ confidenceThreshold });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,15 @@ const { createClient } = require('@supabase/supabase-js');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const blockscoutClient = require('../services/blockscoutClient');
+const chainRegistry = require('../services/chainRegistry');
 const aiClient = require('../services/aiClients');
+const journalEntryService = require('../services/journalEntryService');
+const walletService = require('../services/walletService');
+const jobService = require('../services/jobService');
+const auditService = require('../services/auditService');
+const periodService = require('../services/periodService');
+const bankReconciliationService = require('../services/bankReconciliationService');
+const reviewService = require('../services/reviewService');
 
 const router = express.Router();
 
@@ -13,6 +21,12 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY,
 );
 
+// Journal entry fields the PUT route may change; accounts and amount only while pending review
+const EDITABLE_ENTRY_FIELDS = ['account_debit', 'account_credit', 'amount', 'narrative', 'is_reviewed'];
+
+// Line columns the PUT route rewrites when an entry's accounts or amount change
+const SYNCED_LINE_FIELDS = ['account_name', 'account_id', 'account_code', 'amount', 'usd_value', 'usd_rate', 'usd_source', 'usd_timestamp', 'price_id'];
+
 /**
  * @swagger
  * components:
@@ -86,6 +100,7 @@ const supabase = createClient(
  * /api/transactions/wallet/analyze:
  *   post:
  *     summary: Analyze all transactions for a wallet address and generate journal entries
+ *     description: Queues a wallet_analysis job. Poll GET /api/jobs/{id} for per-category progress; the analysis is the job's result.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -95,15 +110,20 @@ const supabase = createClient(
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - address
  *             properties:
  *               address:
  *                 type: string
- *                 description: Wallet address to analyze
+ *                 description: Wallet address to analyze (required unless walletId is given)
+ *               walletId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Registered wallet to analyze instead of an address
  *               options:
  *                 type: object
  *                 properties:
+ *                   chain:
+ *                     type: string
+ *                     description: Chain registry key (defaults to the registered wallet's chain, else the default chain)
  *                   startDate:
  *                     type: string
  *                     format: date
@@ -131,34 +151,24 @@ const supabase = createClient(
  *                     default: true
  *                     description: Whether to save generated journal entries
  *     responses:
- *       200:
- *         description: Wallet analysis completed
+ *       202:
+ *         description: Wallet analysis queued
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                 walletAddress:
- *                   type: string
- *                 walletSummary:
- *                   type: object
- *                 analysis:
- *                   type: object
- *                 journalEntries:
- *                   type: array
- *                 processingResults:
- *                   type: object
- *                 saved:
- *                   type: boolean
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
  *       400:
  *         description: Invalid wallet address or parameters
- *       500:
- *         description: Analysis failed
+ *       404:
+ *         description: Registered wallet not found
  */
 router.post('/wallet/analyze', [
-  body('address').notEmpty().withMessage('Wallet address is required'),
+  body('address').if(body('walletId').not().exists()).notEmpty().withMessage('Wallet address is required'),
+  body('walletId').optional().isUUID().withMessage('Wallet ID must be a valid UUID'),
+  body('options.chain').optional().isString().trim().notEmpty(),
   body('options.limit').optional().isInt({ min: 1, max: 1000 }),
   body('options.minValue').optional().isFloat({ min: 0 }),
   body('options.startDate').optional().isISO8601(),
@@ -172,10 +182,11 @@ router.post('/wallet/analyze', [
       return next(new AppError('Validation failed', 400));
     }
 
-    const { address, options = {} } = req.body;
+    const { walletId, options = {} } = req.body;
     const userId = req.user.id;
-
-    logger.info('Starting wallet analysis', { address, userId, options });
+    const wallet = walletId ? await walletService.getWallet(userId, walletId) : null;
+    const address = wallet ? wallet.address : req.body.address;
+    const chain = options.chain || wallet?.chain;
 
     // Default options
     const analysisOptions = {
@@ -187,27 +198,25 @@ router.post('/wallet/analyze', [
       includeTokens: true,
       includeInternal: true,
       includeFailed: false,
-      ...options
+      ...options,
+      chain,
     };
 
-    // Perform bulk transaction analysis
-    const result = await aiClient.analyzeBulkTransactions(
+    // Runs in the background; the registered wallets are looked up when the job starts
+    const job = await jobService.enqueue(userId, 'wallet_analysis', {
       address,
-      analysisOptions,
-      options.saveEntries !== false ? userId : null
-    );
-
-    logger.info('Wallet analysis completed', {
-      address,
-      userId,
-      totalTransactions: result.analysis?.walletAnalysis?.totalTransactionsProcessed || 0,
-      totalEntries: result.analysis?.walletAnalysis?.totalJournalEntriesGenerated || 0,
+      walletId,
+      options: analysisOptions,
     });
 
-    res.json(result);
+    logger.info('Wallet analysis queued', { address, walletId, chain, userId, jobId: job.id });
 
+    res.status(202).json({
+      message: 'Wallet analysis started',
+      job,
+    });
   } catch (error) {
-    logger.error('Wallet analysis failed', {
+    logger.error('Wallet analysis request failed', {
       address: req.body.address,
       userId: req.user.id,
       error: error.message,
@@ -239,6 +248,9 @@ router.post('/wallet/analyze', [
  *               options:
  *                 type: object
  *                 properties:
+ *                   chain:
+ *                     type: string
+ *                     description: Chain registry key, the default chain when omitted
  *                   limit:
  *                     type: integer
  *                     default: 50
@@ -258,6 +270,7 @@ router.post('/wallet/analyze', [
  */
 router.post('/wallet/preview', [
   body('address').notEmpty().withMessage('Wallet address is required'),
+  body('options.chain').optional().isString().trim().notEmpty(),
   body('options.limit').optional().isInt({ min: 1, max: 500 }),
 ], async (req, res, next) => {
   try {
@@ -272,11 +285,12 @@ router.post('/wallet/preview', [
     logger.info('Fetching wallet preview', { address, userId, options });
 
     // Fetch wallet data without AI analysis
-    const walletData = await blockscoutClient.getWalletTransactions(address, {
+    const walletData = await blockscoutClient.forChain(options.chain).getWalletTransactions(address, {
       offset: options.limit || 50,
       includeTokens: options.includeTokens !== false,
       includeInternal: options.includeInternal !== false,
-      ...options
+      ...options,
+      ownAddresses: await walletService.getOwnAddresses(userId),
     });
 
     logger.info('Wallet preview completed', {
@@ -301,6 +315,7 @@ router.post('/wallet/preview', [
  * /api/transactions/bulk/process:
  *   post:
  *     summary: Process multiple transaction hashes at once
+ *     description: Queues a bulk_process job. Poll GET /api/jobs/{id} for progress; the processed and failed transactions are the job's result.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -322,28 +337,32 @@ router.post('/wallet/preview', [
  *                       type: string
  *                     description:
  *                       type: string
+ *                     chain:
+ *                       type: string
+ *                       description: Chain registry key, overrides the request's chain for this transaction
  *                 description: Array of transactions to process
+ *               chain:
+ *                 type: string
+ *                 description: Chain registry key the transactions were sent on, the default chain when omitted
  *               saveEntries:
  *                 type: boolean
  *                 default: true
  *     responses:
- *       200:
- *         description: Bulk processing completed
+ *       202:
+ *         description: Bulk processing queued
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 processed:
- *                   type: array
- *                 failed:
- *                   type: array
- *                 summary:
- *                   type: object
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
  */
 router.post('/bulk/process', [
   body('transactions').isArray().withMessage('Transactions array is required'),
   body('transactions.*.txid').notEmpty().withMessage('Transaction ID is required'),
+  body('transactions.*.chain').optional().isString().trim().custom(chain => chainRegistry.isSupported(chain)).withMessage('Unsupported chain'),
+  body('chain').optional().isString().trim().custom(chain => chainRegistry.isSupported(chain)).withMessage('Unsupported chain'),
   body('saveEntries').optional().isBoolean(),
 ], async (req, res, next) => {
   try {
@@ -352,157 +371,24 @@ router.post('/bulk/process', [
       return next(new AppError('Validation failed', 400));
     }
 
-    const { transactions, saveEntries = true } = req.body;
+    const { transactions, chain, saveEntries = true } = req.body;
     const userId = req.user.id;
 
-    logger.info('Starting bulk transaction processing', {
+    const job = await jobService.enqueue(userId, 'bulk_process', { transactions, chain, saveEntries });
+
+    logger.info('Bulk transaction processing queued', {
       userId,
       transactionCount: transactions.length,
       saveEntries,
+      jobId: job.id,
     });
 
-    const results = {
-      processed: [],
-      failed: [],
-      summary: {
-        total: transactions.length,
-        successful: 0,
-        failed: 0,
-        journalEntriesGenerated: 0,
-      }
-    };
-
-    // Process transactions in parallel (with concurrency limit)
-    const concurrencyLimit = 5;
-    const chunks = [];
-    for (let i = 0; i < transactions.length; i += concurrencyLimit) {
-      chunks.push(transactions.slice(i, i + concurrencyLimit));
-    }
-
-    for (const chunk of chunks) {
-      const chunkPromises = chunk.map(async (tx) => {
-        try {
-          logger.info('Processing transaction', { txid: tx.txid });
-
-          // Check if transaction already exists
-          const { data: existingTx } = await supabase
-            .from('transactions')
-            .select('*')
-            .eq('txid', tx.txid)
-            .eq('user_id', userId)
-            .single();
-
-          if (existingTx) {
-            results.failed.push({
-              txid: tx.txid,
-              error: 'Transaction already processed',
-              description: tx.description,
-            });
-            return;
-          }
-
-          // Fetch blockchain data
-          const blockchainData = await blockscoutClient.getTransactionInfo(tx.txid);
-
-          // Analyze with AI
-          const journalEntries = await aiClient.analyzeTransaction(blockchainData, tx.description);
-
-          let savedTransaction = null;
-          let savedEntries = [];
-
-          if (saveEntries) {
-            // Create transaction record
-            const { data: transaction, error: txError } = await supabase
-              .from('transactions')
-              .insert([{
-                user_id: userId,
-                txid: tx.txid,
-                description: tx.description,
-                blockchain_data: blockchainData,
-                status: 'processed',
-              }])
-              .select()
-              .single();
-
-            if (txError) {
-              throw new Error(`Failed to save transaction: ${txError.message}`);
-            }
-
-            savedTransaction = transaction;
-
-            // Save journal entries
-            for (const entry of journalEntries) {
-              const { data: journalEntry, error: entryError } = await supabase
-                .from('journal_entries')
-                .insert([{
-                  user_id: userId,
-                  transaction_id: transaction.id,
-                  account_debit: entry.accountDebit,
-                  account_credit: entry.accountCredit,
-                  amount: parseFloat(entry.amount),
-                  currency: entry.currency,
-                  entry_date: blockchainData.timestamp.toISOString().split('T')[0],
-                  narrative: entry.narrative,
-                  ai_confidence: entry.confidence || 0.8,
-                  source: 'ai_bulk_processing',
-                }])
-                .select()
-                .single();
-
-              if (entryError) {
-                logger.warn('Failed to save journal entry', { error: entryError });
-              } else {
-                savedEntries.push(journalEntry);
-              }
-            }
-          }
-
-          results.processed.push({
-            txid: tx.txid,
-            description: tx.description,
-            transaction: savedTransaction,
-            journalEntries: saveEntries ? savedEntries : journalEntries,
-            blockchainData,
-          });
-
-          results.summary.successful++;
-          results.summary.journalEntriesGenerated += journalEntries.length;
-
-          logger.info('Transaction processed successfully', {
-            txid: tx.txid,
-            entriesGenerated: journalEntries.length,
-          });
-
-        } catch (error) {
-          logger.error('Failed to process transaction', {
-            txid: tx.txid,
-            error: error.message,
-          });
-
-          results.failed.push({
-            txid: tx.txid,
-            description: tx.description,
-            error: error.message,
-          });
-
-          results.summary.failed++;
-        }
-      });
-
-      await Promise.all(chunkPromises);
-    }
-
-    logger.info('Bulk processing completed', {
-      userId,
-      total: results.summary.total,
-      successful: results.summary.successful,
-      failed: results.summary.failed,
+    res.status(202).json({
+      message: 'Bulk processing started',
+      job,
     });
-
-    res.json(results);
-
   } catch (error) {
-    logger.error('Bulk processing failed', {
+    logger.error('Bulk processing request failed', {
       error: error.message,
       userId: req.user.id,
     });
@@ -582,6 +468,9 @@ router.get('/categories', async (req, res, next) => {
  *               description:
  *                 type: string
  *                 description: User description of the transaction
+ *               chain:
+ *                 type: string
+ *                 description: Chain registry key the transaction was sent on, the default chain when omitted
  *     responses:
  *       201:
  *         description: Transaction processed successfully
@@ -597,7 +486,7 @@ router.get('/categories', async (req, res, next) => {
  *                   items:
  *                     $ref: '#/components/schemas/JournalEntry'
  *       400:
- *         description: Validation error
+ *         description: Validation error or unsupported chain
  *       404:
  *         description: Transaction not found on blockchain
  *       409:
@@ -606,6 +495,7 @@ router.get('/categories', async (req, res, next) => {
 router.post('/', [
   body('txid').notEmpty().withMessage('Transaction ID is required'),
   body('description').optional().isString(),
+  body('chain').optional().isString().trim().custom(chain => chainRegistry.isSupported(chain)).withMessage('Unsupported chain'),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -613,10 +503,10 @@ router.post('/', [
       return next(new AppError('Validation failed', 400));
     }
 
-    const { txid, description } = req.body;
+    const { txid, description, chain } = req.body;
     const userId = req.user.id;
 
-    logger.info('Processing new transaction', { txid, userId, description });
+    logger.info('Processing new transaction', { txid, userId, description, chain });
 
     // Check if transaction already exists
     const { data: existingTx } = await supabase
@@ -631,10 +521,11 @@ router.post('/', [
     }
 
     // Fetch blockchain data
-    const blockchainData = await blockscoutClient.getTransactionInfo(txid);
+    const explorer = blockscoutClient.forChain(chain);
+    const blockchainData = await explorer.getTransactionInfo(txid);
 
     // Get token transfers if applicable
-    const tokenTransfers = await blockscoutClient.getTokenTransfers(blockchainData.from);
+    const tokenTransfers = await explorer.getTokenTransfers(blockchainData.from);
     blockchainData.tokenTransfers = tokenTransfers.filter(transfer => transfer.hash === txid);
 
     // Create transaction record
@@ -657,34 +548,20 @@ router.post('/', [
 
     try {
       // Analyze with AI
-      const aiJournalEntries = await aiClient.analyzeTransaction(blockchainData, description);
-
-      // Save journal entries
-      const journalEntries = [];
-      for (const entry of aiJournalEntries) {
-        const { data: journalEntry, error: entryError } = await supabase
-          .from('journal_entries')
-          .insert([{
-            user_id: userId,
-            transaction_id: transaction.id,
-            account_debit: entry.accountDebit,
-            account_credit: entry.accountCredit,
-            amount: parseFloat(entry.amount),
-            currency: entry.currency,
-            entry_date: blockchainData.timestamp.toISOString().split('T')[0],
-            narrative: entry.narrative,
-            ai_confidence: entry.confidence || 0.8,
-          }])
-          .select()
-          .single();
-
-        if (entryError) {
-          logger.error('Failed to save journal entry', { error: entryError });
-          throw new Error('Failed to save journal entry');
-        }
-
-        journalEntries.push(journalEntry);
-      }
+      const ownWallets = await walletService.listWallets(userId, { activeOnly: true });
+      const aiJournalEntries = await aiClient.analyzeTransaction(blockchainData, description, ownWallets, userId);
+
+      // Save journal entries (header + lines, rejected if unbalanced)
+      const journalEntries = await journalEntryService.saveJournalEntries({
+        entries: aiJournalEntries.map(entry => ({
+          ...entry,
+          entryDate: blockchainData.timestamp.toISOString().split('T')[0],
+          confidence: entry.confidence || 0.8,
+        })),
+        userId,
+        source: 'ai_transaction',
+        transactionId: transaction.id,
+      });
 
       // Update transaction status
       await supabase
@@ -711,7 +588,8 @@ router.post('/', [
         .update({ status: 'failed' })
         .eq('id', transaction.id);
 
-      return next(new AppError('Failed to analyze transaction', 500));
+      // Unbalanced entries are a client-visible validation failure, not a server error
+      return next(aiError instanceof AppError ? aiError : new AppError('Failed to analyze transaction', 500));
     }
   } catch (error) {
     next(error);
@@ -868,7 +746,8 @@ router.get('/:id', async (req, res, next) => {
         usd_value,
         usd_rate,
         usd_source,
-        usd_timestamp
+        usd_timestamp,
+        journal_entry_lines(*)
       `)
       .eq('transaction_id', id)
       .order('created_at', { ascending: true });
@@ -892,6 +771,7 @@ router.get('/:id', async (req, res, next) => {
  * /api/transactions/{id}/journal-entries/{entryId}:
  *   put:
  *     summary: Update a journal entry
+ *     description: The narrative and review flag can be changed on any entry. Accounts and amount only change while the entry is pending review; posted entries are fixed through POST /api/journal-entries/{id}/correct.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -930,6 +810,10 @@ router.get('/:id', async (req, res, next) => {
  *         description: Journal entry updated successfully
  *       404:
  *         description: Journal entry not found
+ *       409:
+ *         description: The entry is posted and the change touches its accounts or amount, is dated in a locked accounting period, or is matched to a bank transaction
+ *       500:
+ *         description: The entry lines could not follow the change; the entry was put back as it was
  */
 router.put('/:id/journal-entries/:entryId', [
   body('account_debit').optional().isString(),
@@ -946,7 +830,9 @@ router.put('/:id/journal-entries/:entryId', [
 
     const { id, entryId } = req.params;
     const userId = req.user.id;
-    const updates = req.body;
+    const updates = Object.fromEntries(EDITABLE_ENTRY_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
 
     // Verify transaction ownership
     const { data: transaction } = await supabase
@@ -960,6 +846,55 @@ router.put('/:id/journal-entries/:entryId', [
       return next(new AppError('Transaction not found', 404));
     }
 
+    const touchesLines = ['account_debit', 'account_credit', 'amount']
+      .some(field => updates[field] !== undefined);
+
+    // Current version of the entry, kept for the audit trail
+    const { data: existingEntry } = await supabase
+      .from('journal_entries')
+      .select('*, journal_entry_lines(*)')
+      .eq('id', entryId)
+      .eq('transaction_id', id)
+      .single();
+
+    if (!existingEntry) {
+      return next(new AppError('Journal entry not found', 404));
+    }
+
+    // Posted entries are fixed with a reversal and a replacement, not edited
+    if (touchesLines && existingEntry.review_status !== 'pending') {
+      return next(new AppError('Posted entries cannot be edited; correct them through /api/journal-entries/:id/correct', 409));
+    }
+
+    if (touchesLines && existingEntry.is_compound) {
+      return next(new AppError('Compound entries cannot be edited as a single debit/credit pair', 400));
+    }
+
+    // Entries in locked periods, and entries matched to bank transactions, stay as they are
+    await periodService.assertWritable(userId, [existingEntry.entry_date], 'manual');
+    await bankReconciliationService.assertUnmatched(userId, [existingEntry.id]);
+
+    // New lines of the pair, priced again when the amount changed; the header follows them
+    let lines = null;
+    if (touchesLines) {
+      lines = await reviewService.buildEditedLines(userId, existingEntry, {
+        accountDebit: updates.account_debit,
+        accountCredit: updates.account_credit,
+        amount: updates.amount,
+      });
+      const header = journalEntryService.summarizeEntryLines(lines);
+      const pricedLine = lines.find(line => line.usdValue);
+      Object.assign(updates, {
+        account_debit: header.accountDebit,
+        account_credit: header.accountCredit,
+        amount: header.amount,
+        usd_value: header.usdValue,
+        usd_rate: pricedLine?.ftsoPrice || pricedLine?.exchangeRate || null,
+        usd_source: pricedLine ? (pricedLine.ftsoSource || pricedLine.priceSource || null) : null,
+        usd_timestamp: header.usdValue ? (pricedLine?.priceTimestamp || new Date().toISOString()) : null,
+      });
+    }
+
     // Update journal entry
     const { data: updatedEntry, error } = await supabase
       .from('journal_entries')
@@ -973,6 +908,42 @@ router.put('/:id/journal-entries/:entryId', [
       return next(new AppError('Journal entry not found', 404));
     }
 
+    // Keep the debit and credit lines of a simple entry in step with its header;
+    // the reports read the lines, so the entry is put back when they cannot follow
+    if (lines) {
+      try {
+        for (const record of journalEntryService.buildLineRecords(entryId, userId, lines)) {
+          const { error: lineError } = await supabase
+            .from('journal_entry_lines')
+            .update(pickFields(record, SYNCED_LINE_FIELDS))
+            .eq('journal_entry_id', entryId)
+            .eq('entry_type', record.entry_type);
+
+          if (lineError) throw lineError;
+        }
+      } catch (lineError) {
+        logger.error('Failed to sync journal entry lines, restoring the entry', { entryId, error: lineError });
+        await restoreEntry(existingEntry, Object.keys(updates));
+        throw new AppError('Failed to update the journal entry lines', 500);
+      }
+
+      await journalEntryService.refreshCostBasis(userId);
+    }
+
+    const before = { ...existingEntry };
+    delete before.journal_entry_lines;
+
+    await auditService.record({
+      tableName: 'journal_entries',
+      recordId: entryId,
+      action: 'update',
+      userId,
+      actorId: userId,
+      source: 'manual',
+      before,
+      after: updatedEntry,
+    });
+
     logger.info('Journal entry updated', { entryId, userId, updates });
 
     res.json({
@@ -984,4 +955,35 @@ router.put('/:id/journal-entries/:entryId', [
   }
 });
 
+function pickFields(row, fields) {
+  return Object.fromEntries(fields.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+}
+
+/**
+ * Put an entry's header columns and lines back to their stored values
+ * @param {Object} entry - journal_entries row with its journal_entry_lines, as read before the change
+ * @param {Array} fields - Header columns the change wrote
+ */
+async function restoreEntry(entry, fields) {
+  const { error } = await supabase
+    .from('journal_entries')
+    .update(pickFields(entry, fields))
+    .eq('id', entry.id);
+
+  if (error) {
+    logger.error('Failed to restore journal entry', { entryId: entry.id, error });
+  }
+
+  for (const line of entry.journal_entry_lines || []) {
+    const { error: lineError } = await supabase
+      .from('journal_entry_lines')
+      .update(pickFields(line, SYNCED_LINE_FIELDS))
+      .eq('id', line.id);
+
+    if (lineError) {
+      logger.error('Failed to restore journal entry line', { entryId: entry.id, lineId: line.id, error: lineError });
+    }
+  }
+}
+
 module.exports = router;
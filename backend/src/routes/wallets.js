@@ -0,0 +1,736 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const walletService = require('../services/walletService');
+const walletSyncService = require('../services/walletSyncService');
+const chainRegistry = require('../services/chainRegistry');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wallet:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         address:
+ *           type: string
+ *           description: Lowercase wallet address
+ *         label:
+ *           type: string
+ *         chain:
+ *           type: string
+ *           description: Chain registry key (see /api/wallets/chains)
+ *         is_active:
+ *           type: boolean
+ *         entity:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         default_asset_account:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             code:
+ *               type: string
+ *             name:
+ *               type: string
+ *             currency:
+ *               type: string
+ *     Entity:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *     WalletSyncRun:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         address:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [running, completed, partial, failed]
+ *           description: partial = page limit reached, the next run continues from the saved cursor
+ *         current_stream:
+ *           type: string
+ *           nullable: true
+ *         pages_fetched:
+ *           type: integer
+ *         items_fetched:
+ *           type: integer
+ *         transactions_inserted:
+ *           type: integer
+ *         transactions_merged:
+ *           type: integer
+ *         transactions_skipped:
+ *           type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/wallets:
+ *   get:
+ *     summary: List the registered wallets of the business
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only wallets owned by this entity
+ *     responses:
+ *       200:
+ *         description: Registered wallets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 wallets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Wallet'
+ */
+router.get('/', [
+  query('entityId').optional().isUUID().withMessage('Entity ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const wallets = await walletService.listWallets(req.user.id, { entityId: req.query.entityId });
+    res.json({ wallets });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets:
+ *   post:
+ *     summary: Register a wallet of the business
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - address
+ *               - label
+ *             properties:
+ *               address:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               chain:
+ *                 type: string
+ *                 description: Chain registry key, the deployment's default chain when omitted
+ *               entityId:
+ *                 type: string
+ *                 format: uuid
+ *               defaultAssetAccountId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Asset account for the wallet's native currency
+ *     responses:
+ *       201:
+ *         description: Wallet registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 wallet:
+ *                   $ref: '#/components/schemas/Wallet'
+ *       400:
+ *         description: Invalid wallet, entity or account
+ *       409:
+ *         description: The wallet is already registered
+ */
+router.post('/', [
+  body('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid wallet address format'),
+  body('label').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('chain').optional().isString().trim().notEmpty(),
+  body('entityId').optional({ nullable: true }).isUUID(),
+  body('defaultAssetAccountId').optional({ nullable: true }).isUUID(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { address, label, chain, entityId, defaultAssetAccountId } = req.body;
+    const wallet = await walletService.createWallet(req.user.id, {
+      address,
+      label,
+      chain,
+      entityId,
+      defaultAssetAccountId,
+    });
+
+    res.status(201).json({
+      message: 'Wallet registered successfully',
+      wallet,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/chains:
+ *   get:
+ *     summary: List the chains wallets can be registered and synced on
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Supported chains and the default chain
+ */
+router.get('/chains', (req, res) => {
+  res.json({
+    chains: chainRegistry.list().map(chain => ({
+      key: chain.key,
+      name: chain.name,
+      chainId: chain.chainId,
+      nativeSymbol: chain.nativeSymbol,
+      decimals: chain.decimals,
+      explorerBaseUrl: chain.explorerBaseUrl,
+      isTestnet: chain.isTestnet,
+    })),
+    defaultChain: chainRegistry.getDefaultChain().key,
+  });
+});
+
+/**
+ * @swagger
+ * /api/wallets/entities:
+ *   get:
+ *     summary: List the entities that own wallets
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Entities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entities:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Entity'
+ */
+router.get('/entities', async (req, res, next) => {
+  try {
+    const entities = await walletService.listEntities(req.user.id);
+    res.json({ entities });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/entities:
+ *   post:
+ *     summary: Create an entity
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entity created
+ *       409:
+ *         description: An entity with this name already exists
+ */
+router.post('/entities', [
+  body('name').isString().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional({ nullable: true }).isString(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const entity = await walletService.createEntity(req.user.id, {
+      name: req.body.name,
+      description: req.body.description,
+    });
+
+    res.status(201).json({
+      message: 'Entity created successfully',
+      entity,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/entities/{id}:
+ *   put:
+ *     summary: Update an entity
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entity updated
+ *       404:
+ *         description: Entity not found
+ */
+router.put('/entities/:id', [
+  param('id').isUUID().withMessage('Entity ID must be a valid UUID'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional({ nullable: true }).isString(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const entity = await walletService.updateEntity(req.user.id, req.params.id, {
+      name: req.body.name,
+      description: req.body.description,
+    });
+
+    res.json({
+      message: 'Entity updated successfully',
+      entity,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/entities/{id}:
+ *   delete:
+ *     summary: Delete an entity
+ *     description: Wallets owned by the entity stay registered without an owner.
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Entity deleted
+ *       404:
+ *         description: Entity not found
+ */
+router.delete('/entities/:id', [
+  param('id').isUUID().withMessage('Entity ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    await walletService.deleteEntity(req.user.id, req.params.id);
+    res.json({ message: 'Entity deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{address}/sync:
+ *   post:
+ *     summary: Sync the full transaction history of a wallet
+ *     description: Starts a background run that pages through the wallet history from its saved cursor and stores new transactions. Poll the returned run for progress.
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               chain:
+ *                 type: string
+ *                 description: Chain registry key, the chain the wallet is registered on when omitted
+ *               maxPages:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Pages to fetch per stream in this run
+ *     responses:
+ *       202:
+ *         description: Sync started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   $ref: '#/components/schemas/WalletSyncRun'
+ *       400:
+ *         description: Invalid wallet address, unsupported chain, or no chain for a wallet registered on several
+ *       409:
+ *         description: A sync is already running for this wallet
+ */
+router.post('/:address/sync', [
+  param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid wallet address format'),
+  body('chain').optional().isString().trim().notEmpty(),
+  body('maxPages').optional().isInt({ min: 1 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { run } = await walletSyncService.startSync(req.user.id, req.params.address, {
+      chain: req.body.chain,
+      maxPages: req.body.maxPages ? parseInt(req.body.maxPages) : undefined,
+    });
+
+    logger.info('Wallet sync requested', { userId: req.user.id, address: run.address, chain: run.chain, runId: run.id });
+
+    res.status(202).json({
+      message: 'Wallet sync started',
+      run,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{address}/sync:
+ *   get:
+ *     summary: Get the sync cursors and recent sync runs of a wallet
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *         description: Chain registry key, the chain the wallet is registered on when omitted
+ *     responses:
+ *       200:
+ *         description: Sync status
+ */
+router.get('/:address/sync', [
+  param('address').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid wallet address format'),
+  query('chain').optional().isString().trim().notEmpty(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const status = await walletSyncService.getSyncStatus(req.user.id, req.params.address, req.query.chain);
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/sync-runs/{runId}:
+ *   get:
+ *     summary: Get the progress of a sync run
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sync run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   $ref: '#/components/schemas/WalletSyncRun'
+ *       404:
+ *         description: Sync run not found
+ */
+router.get('/sync-runs/:runId', [
+  param('runId').isUUID().withMessage('Run ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const run = await walletSyncService.getRun(req.user.id, req.params.runId);
+    res.json({ run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{id}:
+ *   get:
+ *     summary: Get a registered wallet
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 wallet:
+ *                   $ref: '#/components/schemas/Wallet'
+ *       404:
+ *         description: Wallet not found
+ */
+router.get('/:id', [
+  param('id').isUUID().withMessage('Wallet ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const wallet = await walletService.getWallet(req.user.id, req.params.id);
+    res.json({ wallet });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{id}:
+ *   put:
+ *     summary: Update a registered wallet
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               chain:
+ *                 type: string
+ *               entityId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               defaultAssetAccountId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Wallet updated
+ *       400:
+ *         description: Invalid entity or account
+ *       404:
+ *         description: Wallet not found
+ */
+router.put('/:id', [
+  param('id').isUUID().withMessage('Wallet ID must be a valid UUID'),
+  body('label').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('chain').optional().isString().trim().notEmpty(),
+  body('entityId').optional({ nullable: true }).isUUID(),
+  body('defaultAssetAccountId').optional({ nullable: true }).isUUID(),
+  body('isActive').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    const { label, chain, entityId, defaultAssetAccountId, isActive } = req.body;
+    const wallet = await walletService.updateWallet(req.user.id, req.params.id, {
+      label,
+      chain,
+      entityId,
+      defaultAssetAccountId,
+      isActive,
+    });
+
+    res.json({
+      message: 'Wallet updated successfully',
+      wallet,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/wallets/{id}:
+ *   delete:
+ *     summary: Remove a wallet from the registry
+ *     description: Stored transactions and sync cursors of the wallet are kept.
+ *     tags: [Wallets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Wallet removed
+ *       404:
+ *         description: Wallet not found
+ */
+router.delete('/:id', [
+  param('id').isUUID().withMessage('Wallet ID must be a valid UUID'),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AppError('Validation failed', 400));
+    }
+
+    await walletService.deleteWallet(req.user.id, req.params.id);
+    res.json({ message: 'Wallet removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,222 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const auditService = require('./auditService');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY,
 );
 
+// Columns of a template row that are not copied to a user's chart
+const TEMPLATE_ONLY_COLUMNS = ['id', 'parent_account_id', 'account_id', 'template_account_id', 'created_at', 'updated_at'];
+
+// Rows of the user's chart, or the template chart (user_id NULL) without a user
+function ownedBy(query, userId) {
+  return userId ? query.eq('user_id', userId) : query.is('user_id', null);
+}
+
+function copyOf(templateRow, userId) {
+  const copy = { ...templateRow, user_id: userId };
+  TEMPLATE_ONLY_COLUMNS.forEach(column => delete copy[column]);
+  return copy;
+}
+
+/**
+ * Chart of accounts per user
+ * Accounts, crypto assets and AI mappings belong to one user. Rows without a
+ * user_id are the template chart from chart_of_accounts_seed.sql: a user's chart
+ * starts as a copy of it, and lookups without a user fall back to it.
+ */
 class AccountService {
+  constructor() {
+    // Template copies per user, made once per process
+    this.charts = new Map();
+  }
+
   /**
-   * Get all active accounts with their categories
+   * Make sure the user has their own chart
+   * Template accounts the user has no copy of yet (copies point at their template
+   * through template_account_id) are copied to them with their crypto assets and AI
+   * mappings. The copy runs once per user and process, so accounts added to the
+   * template later reach existing users after the next restart.
+   * @param {string} userId
    */
-  async getChartOfAccounts() {
-    try {
+  ensureChart(userId) {
+    if (!userId) {
+      return Promise.resolve();
+    }
+
+    if (!this.charts.has(userId)) {
+      const copy = this.copyTemplateChart(userId).catch((error) => {
+        this.charts.delete(userId);
+        throw error;
+      });
+      this.charts.set(userId, copy);
+    }
+    return this.charts.get(userId);
+  }
+
+  async copyTemplateChart(userId) {
+    const [templates, owned] = await Promise.all([
+      supabase.from('accounts').select('*').is('user_id', null),
+      supabase.from('accounts').select('id, code, template_account_id').eq('user_id', userId),
+    ]);
+    if (templates.error) throw templates.error;
+    if (owned.error) throw owned.error;
+
+    const copiedTemplateIds = new Set(owned.data.map(account => account.template_account_id).filter(Boolean));
+    const ownedCodes = new Set(owned.data.map(account => account.code));
+    const uncopied = templates.data.filter(account => !copiedTemplateIds.has(account.id));
+
+    // A code the user already gave an account of their own stays theirs; the template
+    // account is left out rather than mapped onto an unrelated account
+    const clashing = uncopied.filter(account => ownedCodes.has(account.code));
+    if (clashing.length > 0) {
+      logger.warn('Template accounts not copied, their codes are taken in the user\'s chart', {
+        userId,
+        codes: clashing.map(account => account.code),
+      });
+    }
+    const missing = uncopied.filter(account => !ownedCodes.has(account.code));
+
+    let copied = [];
+    if (missing.length > 0) {
+      // Concurrent copies (two servers) skip the codes the other one already inserted
       const { data, error } = await supabase
+        .from('accounts')
+        .upsert(
+          missing.map(account => ({ ...copyOf(account, userId), template_account_id: account.id })),
+          { onConflict: 'user_id,code', ignoreDuplicates: true },
+        )
+        .select();
+
+      if (error) throw error;
+      copied = data;
+    }
+
+    const idByTemplateId = new Map([...owned.data, ...copied]
+      .filter(account => account.template_account_id)
+      .map(account => [account.template_account_id, account.id]));
+    const justCopied = new Set(copied.map(account => account.template_account_id));
+    const userAccountId = templateId => idByTemplateId.get(templateId) || null;
+
+    const parentById = new Map();
+    for (const template of missing.filter(account => account.parent_account_id && justCopied.has(account.id))) {
+      const parentAccountId = userAccountId(template.parent_account_id);
+      const { error: parentError } = await supabase
+        .from('accounts')
+        .update({ parent_account_id: parentAccountId })
+        .eq('id', userAccountId(template.id));
+
+      if (parentError) throw parentError;
+      parentById.set(userAccountId(template.id), parentAccountId);
+    }
+
+    try {
+      await auditService.recordMany(copied.map(account => ({
+        tableName: 'accounts',
+        recordId: account.id,
+        action: 'create',
+        userId,
+        actorId: userId,
+        source: 'system',
+        after: parentById.has(account.id) ? { ...account, parent_account_id: parentById.get(account.id) } : account,
+      })));
+    } catch (auditError) {
+      // Copied again on the next request, once the audit log takes appends
+      await supabase.from('accounts').delete().in('id', copied.map(account => account.id));
+      throw auditError;
+    }
+
+    const cryptoAssets = await this.copyTemplateCryptoAssets(userId, userAccountId);
+
+    const mappings = await this.copyTemplateMappings(
+      userId,
+      [...justCopied],
+      userAccountId,
+    );
+
+    if (copied.length > 0 || cryptoAssets > 0) {
+      logger.info('Copied template chart of accounts', {
+        userId,
+        accounts: copied.length,
+        cryptoAssets,
+        mappings,
+      });
+    }
+
+    return { accounts: copied.length };
+  }
+
+  /**
+   * AI mappings of the template accounts that were just copied
+   */
+  async copyTemplateMappings(userId, templateAccountIds, userAccountId) {
+    if (templateAccountIds.length === 0) {
+      return 0;
+    }
+
+    const { data: mappings, error } = await supabase
+      .from('account_ai_mappings')
+      .select('*')
+      .is('user_id', null)
+      .in('account_id', templateAccountIds);
+
+    if (error) throw error;
+
+    if (mappings.length > 0) {
+      const { error: insertError } = await supabase
+        .from('account_ai_mappings')
+        .insert(mappings.map(mapping => ({ ...copyOf(mapping, userId), account_id: userAccountId(mapping.account_id) })));
+
+      if (insertError) throw insertError;
+    }
+
+    return mappings.length;
+  }
+
+  async copyTemplateCryptoAssets(userId, userAccountId) {
+    const [templates, owned] = await Promise.all([
+      supabase.from('crypto_assets').select('*').is('user_id', null),
+      supabase.from('crypto_assets').select('symbol').eq('user_id', userId),
+    ]);
+    if (templates.error) throw templates.error;
+    if (owned.error) throw owned.error;
+
+    const ownedSymbols = new Set(owned.data.map(asset => asset.symbol));
+    const missing = templates.data.filter(asset => !ownedSymbols.has(asset.symbol));
+    if (missing.length === 0) {
+      return 0;
+    }
+
+    const { error } = await supabase
+      .from('crypto_assets')
+      .upsert(
+        missing.map(asset => ({ ...copyOf(asset, userId), account_id: userAccountId(asset.account_id) })),
+        { onConflict: 'user_id,symbol', ignoreDuplicates: true },
+      );
+
+    if (error) throw error;
+    return missing.length;
+  }
+
+  /**
+   * Get all active accounts of the user's chart with their categories
+   */
+  async getChartOfAccounts(userId) {
+    try {
+      await this.ensureChart(userId);
+
+      const { data, error } = await ownedBy(supabase
         .from('accounts')
         .select(`
           *,
           account_categories(code, name, type)
-        `)
+        `), userId)
         .eq('is_active', true)
-        .order('sort_order');
+        .order('sort_order')
+        .order('code');
 
       if (error) throw error;
       return data;
@@ -32,14 +229,16 @@ class AccountService {
   /**
    * Find account by cryptocurrency symbol
    */
-  async getAccountForCrypto(symbol) {
+  async getAccountForCrypto(userId, symbol) {
     try {
-      const { data, error } = await supabase
+      await this.ensureChart(userId);
+
+      const { data, error } = await ownedBy(supabase
         .from('crypto_assets')
         .select(`
           *,
           accounts(*)
-        `)
+        `), userId)
         .eq('symbol', symbol.toUpperCase())
         .eq('is_active', true)
         .single();
@@ -55,19 +254,21 @@ class AccountService {
   /**
    * Find best matching account using AI mappings
    */
-  async findAccountByAI(keywords, transactionType, description) {
+  async findAccountByAI(userId, keywords, transactionType, description) {
     try {
+      await this.ensureChart(userId);
+
       // Convert inputs to lowercase for matching
       const keywordArray = keywords.map(k => k.toLowerCase());
       const descriptionLower = description?.toLowerCase() || '';
       const transactionTypeLower = transactionType?.toLowerCase();
 
-      const { data, error } = await supabase
+      const { data, error } = await ownedBy(supabase
         .from('account_ai_mappings')
         .select(`
           *,
           accounts(*)
-        `)
+        `), userId)
         .eq('accounts.is_active', true);
 
       if (error) throw error;
@@ -118,14 +319,16 @@ class AccountService {
   /**
    * Get account by code
    */
-  async getAccountByCode(code) {
+  async getAccountByCode(userId, code) {
     try {
-      const { data, error } = await supabase
+      await this.ensureChart(userId);
+
+      const { data, error } = await ownedBy(supabase
         .from('accounts')
         .select(`
           *,
           account_categories(code, name, type)
-        `)
+        `), userId)
         .eq('code', code)
         .eq('is_active', true)
         .single();
@@ -141,14 +344,16 @@ class AccountService {
   /**
    * Get account by name (fuzzy match)
    */
-  async getAccountByName(name) {
+  async getAccountByName(userId, name) {
     try {
-      const { data, error } = await supabase
+      await this.ensureChart(userId);
+
+      const { data, error } = await ownedBy(supabase
         .from('accounts')
         .select(`
           *,
           account_categories(code, name, type)
-        `)
+        `), userId)
         .ilike('name', `%${name}%`)
         .eq('is_active', true)
         .order('sort_order')
@@ -165,10 +370,10 @@ class AccountService {
   /**
    * Validate journal entry accounts
    */
-  async validateJournalEntry(debitAccountName, creditAccountName) {
+  async validateJournalEntry(userId, debitAccountName, creditAccountName) {
     try {
-      const debitAccounts = await this.getAccountByName(debitAccountName);
-      const creditAccounts = await this.getAccountByName(creditAccountName);
+      const debitAccounts = await this.getAccountByName(userId, debitAccountName);
+      const creditAccounts = await this.getAccountByName(userId, creditAccountName);
 
       const validation = {
         isValid: true,
@@ -184,7 +389,7 @@ class AccountService {
         validation.errors.push(`Debit account "${debitAccountName}" not found in chart of accounts`);
         
         // Suggest similar accounts
-        const similar = await this.findSimilarAccounts(debitAccountName);
+        const similar = await this.findSimilarAccounts(userId, debitAccountName);
         if (similar.length > 0) {
           validation.suggestions.push(`Did you mean: ${similar.map(a => a.name).join(', ')}?`);
         }
@@ -195,7 +400,7 @@ class AccountService {
         validation.errors.push(`Credit account "${creditAccountName}" not found in chart of accounts`);
         
         // Suggest similar accounts
-        const similar = await this.findSimilarAccounts(creditAccountName);
+        const similar = await this.findSimilarAccounts(userId, creditAccountName);
         if (similar.length > 0) {
           validation.suggestions.push(`Did you mean: ${similar.map(a => a.name).join(', ')}?`);
         }
@@ -226,11 +431,11 @@ class AccountService {
   /**
    * Find similar account names using fuzzy matching
    */
-  async findSimilarAccounts(searchTerm, limit = 3) {
+  async findSimilarAccounts(userId, searchTerm, limit = 3) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await ownedBy(supabase
         .from('accounts')
-        .select('code, name, account_type')
+        .select('id, code, name, account_type'), userId)
         .eq('is_active', true)
         .order('sort_order');
 
@@ -265,18 +470,19 @@ class AccountService {
   }
 
   /**
-   * Create new crypto asset account if it doesn't exist
+   * Create new crypto asset account in the user's chart if it doesn't exist
+   * @param {string} userId - Owner of the account, also recorded as its creator
    */
-  async createCryptoAssetAccount(symbol, name, blockchain = 'ethereum', decimals = 18) {
+  async createCryptoAssetAccount(userId, symbol, name, blockchain = 'ethereum', decimals = 18) {
     try {
       // Check if crypto asset already exists
-      const existing = await this.getAccountForCrypto(symbol);
+      const existing = await this.getAccountForCrypto(userId, symbol);
       if (existing) {
         return existing;
       }
 
       // Get the "Digital Assets - Other" account as parent
-      const parentAccount = await this.getAccountByCode('1808');
+      const parentAccount = await this.getAccountByCode(userId, '1808');
       if (!parentAccount) {
         throw new Error('Parent account "Digital Assets - Other" not found');
       }
@@ -288,6 +494,7 @@ class AccountService {
       const { data: newAccount, error: accountError } = await supabase
         .from('accounts')
         .insert([{
+          user_id: userId,
           code: accountCode,
           name: accountName,
           category_id: parentAccount.category_id,
@@ -307,6 +514,7 @@ class AccountService {
       const { data: cryptoAsset, error: cryptoError } = await supabase
         .from('crypto_assets')
         .insert([{
+          user_id: userId,
           symbol: symbol.toUpperCase(),
           name,
           account_id: newAccount.id,
@@ -319,7 +527,17 @@ class AccountService {
 
       if (cryptoError) throw cryptoError;
 
-      logger.info('Created new crypto asset account', { symbol, accountCode, accountName });
+      await auditService.record({
+        tableName: 'accounts',
+        recordId: newAccount.id,
+        action: 'create',
+        userId,
+        actorId: userId,
+        source: userId ? 'manual' : 'system',
+        after: newAccount,
+      });
+
+      logger.info('Created new crypto asset account', { userId, symbol, accountCode, accountName });
 
       return newAccount;
     } catch (error) {
@@ -328,17 +546,202 @@ class AccountService {
     }
   }
 
+  /**
+   * Index a chart of accounts for finding the account of journal lines
+   * @param {Array} chartOfAccounts - Accounts as returned by getChartOfAccounts
+   * @returns {Function} line => account by the line's accountId, then accountCode, then
+   * account name (case-insensitive); null for lines outside the chart
+   */
+  indexChart(chartOfAccounts) {
+    const byId = new Map(chartOfAccounts.map(account => [account.id, account]));
+    const byCode = new Map(chartOfAccounts.map(account => [account.code, account]));
+    const byName = new Map(chartOfAccounts.map(account => [account.name.toLowerCase(), account]));
+
+    return line => (line.accountId && byId.get(line.accountId)) ||
+      (line.accountCode && byCode.get(line.accountCode)) ||
+      (line.account && byName.get(line.account.toLowerCase())) ||
+      null;
+  }
+
+  /**
+   * Find the account a free-text account name refers to, for lines booked before
+   * they carried account ids: the account with that exact name, or the only account
+   * containing the name. Similar accounts are only suggestions (findSimilarAccounts)
+   * @returns {Object|null} The account, or null when no account matches unambiguously
+   */
+  async matchAccountName(userId, name) {
+    const matches = await this.getAccountByName(userId, name);
+    const exact = matches.find(account => account.name.toLowerCase() === name.toLowerCase());
+    if (exact) {
+      return exact;
+    }
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Arrange accounts along their parent_account_id
+   * Accounts whose parent is not among them (e.g. inactive) become roots.
+   * @param {Array} accounts - Accounts as returned by getChartOfAccounts, in sort order
+   * @returns {Array} Root accounts with their sub-accounts in `children` and their depth in `level`
+   */
+  buildTree(accounts) {
+    const nodes = new Map(accounts.map(account => [account.id, { ...account, children: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.parent_account_id && nodes.get(node.parent_account_id);
+      (parent ? parent.children : roots).push(node);
+    });
+
+    const setLevel = (node, level) => {
+      node.level = level;
+      node.children.forEach(child => setLevel(child, level + 1));
+    };
+    roots.forEach(root => setLevel(root, 0));
+
+    return roots;
+  }
+
+  /**
+   * Get the user's chart of accounts as a tree of accounts and sub-accounts
+   */
+  async getAccountTree(userId) {
+    return this.buildTree(await this.getChartOfAccounts(userId));
+  }
+
+  /**
+   * Roll amounts posted to accounts up into their parent accounts
+   * @param {Array} chartOfAccounts - Accounts as returned by getChartOfAccounts
+   * @param {Map} amountsByAccountId - Amounts posted to each account itself
+   * @param {Object} options
+   * @param {Function} options.combine - (a, b) => sum of two amounts, without changing either
+   * @param {Function} options.present - amounts => fields to show for them
+   * @returns {Array} Root nodes { id, code, account, accountType, level, ...present(total), own, children }
+   * of the branches with amounts; `own` is what was posted to the account itself, null when nothing
+   */
+  rollUp(chartOfAccounts, amountsByAccountId, { combine, present }) {
+    const rollUpNode = (account) => {
+      const children = account.children.map(rollUpNode).filter(Boolean);
+      const own = amountsByAccountId.get(account.id) || null;
+      if (!own && children.length === 0) {
+        return null;
+      }
+
+      const total = children.reduce((sum, child) => (sum ? combine(sum, child.total) : child.total), own);
+      return {
+        total,
+        node: {
+          id: account.id,
+          code: account.code,
+          account: account.name,
+          accountType: account.account_type,
+          level: account.level,
+          ...present(total),
+          own: own ? present(own) : null,
+          children: children.map(child => child.node),
+        },
+      };
+    };
+
+    return this.buildTree(chartOfAccounts)
+      .map(rollUpNode)
+      .filter(Boolean)
+      .map(root => root.node);
+  }
+
+  /**
+   * Find a parent for a (new or moved) account in the user's chart
+   * @param {Array} chartOfAccounts - The user's chart
+   * @param {string} parentAccountId
+   * @param {string} accountType - Type of the sub-account; it must match the parent's so roll-ups stay within one type
+   * @throws {AppError} 404 when the parent is not in the chart, 400 when its type differs
+   */
+  findParentAccount(chartOfAccounts, parentAccountId, accountType) {
+    const parent = chartOfAccounts.find(account => account.id === parentAccountId);
+    if (!parent) {
+      throw new AppError('Parent account not found', 404);
+    }
+    if (accountType && parent.account_type !== accountType) {
+      throw new AppError(`A sub-account of ${parent.name} must be of type ${parent.account_type}`, 400);
+    }
+    return parent;
+  }
+
+  /**
+   * Move an account under another parent, or to the top level with a null parent
+   * @throws {AppError} 404 for accounts outside the chart, 400 when the move would make
+   * an account its own ancestor or mix account types
+   */
+  async moveAccount(userId, accountId, parentAccountId) {
+    const chartOfAccounts = await this.getChartOfAccounts(userId);
+    const account = chartOfAccounts.find(candidate => candidate.id === accountId);
+    if (!account) {
+      throw new AppError('Account not found', 404);
+    }
+
+    if (parentAccountId) {
+      const parent = this.findParentAccount(chartOfAccounts, parentAccountId, account.account_type);
+      const byId = new Map(chartOfAccounts.map(candidate => [candidate.id, candidate]));
+      for (let ancestor = parent; ancestor; ancestor = byId.get(ancestor.parent_account_id)) {
+        if (ancestor.id === account.id) {
+          throw new AppError(`${account.name} cannot be moved under its own sub-account`, 400);
+        }
+      }
+    }
+
+    const { data: moved, error } = await supabase
+      .from('accounts')
+      .update({ parent_account_id: parentAccountId || null })
+      .eq('id', accountId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const accountRecord = { ...account };
+    delete accountRecord.account_categories;
+    await auditService.record({
+      tableName: 'accounts',
+      recordId: accountId,
+      action: 'update',
+      userId,
+      actorId: userId,
+      source: 'manual',
+      before: accountRecord,
+      after: moved,
+    });
+
+    logger.info('Moved account', { userId, accountId, parentAccountId: parentAccountId || null });
+    return moved;
+  }
+
+  /**
+   * Next code for a sub-account: the parent's code with the next free suffix (1801.1, 1801.2, ...)
+   */
+  nextSubAccountCode(chartOfAccounts, parent) {
+    const prefix = `${parent.code}.`;
+    const suffixes = chartOfAccounts
+      .filter(account => account.code.startsWith(prefix))
+      .map(account => parseInt(account.code.slice(prefix.length)))
+      .filter(suffix => !isNaN(suffix));
+
+    return `${prefix}${suffixes.length > 0 ? Math.max(...suffixes) + 1 : 1}`;
+  }
+
   /**
    * Get accounts by type for reporting
    */
-  async getAccountsByType(accountType) {
+  async getAccountsByType(userId, accountType) {
     try {
-      const { data, error } = await supabase
+      await this.ensureChart(userId);
+
+      const { data, error } = await ownedBy(supabase
         .from('accounts')
         .select(`
           *,
           account_categories(code, name, type)
-        `)
+        `), userId)
         .eq('account_type', accountType)
         .eq('is_active', true)
         .order('sort_order');
@@ -352,17 +755,30 @@ class AccountService {
   }
 
   /**
-   * Create a new general account with proper IFRS categorization
+   * Create a new general account in the user's chart with proper IFRS categorization
    * @param {Object} accountData - Account details
+   * @param {string} accountData.userId - Owner of the account, also recorded as its creator
    * @param {string} accountData.name - Account name
    * @param {string} accountData.accountType - ASSET, LIABILITY, EQUITY, REVENUE, EXPENSE
    * @param {string} accountData.categoryCode - Category code (e.g., '5000' for Operating Expenses)
    * @param {string} accountData.description - Account description
    * @param {string} accountData.ifrsReference - IFRS/IAS reference
+   * @param {string} accountData.parentAccountId - Parent of a sub-account; its type and category apply when not given
    * @returns {Object} Created account
    */
-  async createAccount({ name, accountType, categoryCode, description, ifrsReference = 'IAS 1' }) {
+  async createAccount({ userId, name, accountType, categoryCode, description, ifrsReference = 'IAS 1', parentAccountId = null }) {
     try {
+      await this.ensureChart(userId);
+
+      let chartOfAccounts = null;
+      let parent = null;
+      if (parentAccountId) {
+        chartOfAccounts = await this.getChartOfAccounts(userId);
+        parent = this.findParentAccount(chartOfAccounts, parentAccountId, accountType);
+        accountType = accountType || parent.account_type;
+        categoryCode = categoryCode || parent.account_categories?.code;
+      }
+
       // Get the category
       const { data: category, error: categoryError } = await supabase
         .from('account_categories')
@@ -376,14 +792,16 @@ class AccountService {
       }
 
       // Generate account code - use category base + increment
-      const existingAccountsInCategory = await supabase
+      const existingAccountsInCategory = await ownedBy(supabase
         .from('accounts')
-        .select('code')
+        .select('code'), userId)
         .eq('category_id', category.id)
         .order('code');
 
       let newCode;
-      if (existingAccountsInCategory.data && existingAccountsInCategory.data.length > 0) {
+      if (parent) {
+        newCode = this.nextSubAccountCode(chartOfAccounts, parent);
+      } else if (existingAccountsInCategory.data && existingAccountsInCategory.data.length > 0) {
         // Find the highest code in this category and increment
         const highestCode = existingAccountsInCategory.data
           .map(acc => parseInt(acc.code))
@@ -420,6 +838,7 @@ class AccountService {
       const { data: newAccount, error: accountError } = await supabase
         .from('accounts')
         .insert([{
+          user_id: userId,
           code: newCode,
           name: name,
           category_id: category.id,
@@ -428,7 +847,9 @@ class AccountService {
           description: description || `${name} account`,
           ifrs_reference: ifrsReference,
           is_system_account: false, // User-created account
-          sort_order: parseInt(newCode),
+          parent_account_id: parent?.id || null,
+          // Sub-accounts sort with their parent, then by code
+          sort_order: parent ? parent.sort_order : parseInt(newCode),
         }])
         .select(`
           *,
@@ -438,11 +859,23 @@ class AccountService {
 
       if (accountError) throw accountError;
 
+      await auditService.record({
+        tableName: 'accounts',
+        recordId: newAccount.id,
+        action: 'create',
+        userId,
+        actorId: userId,
+        source: userId ? 'manual' : 'system',
+        after: newAccount,
+      });
+
       logger.info('Created new account', { 
+        userId,
         code: newCode, 
         name: name, 
         accountType: accountType,
-        categoryCode: categoryCode
+        categoryCode,
+        parentAccountId: parent?.id || null,
       });
 
       return newAccount;
@@ -3,8 +3,16 @@ const { createClient } = require('@supabase/supabase-js');
 const logger = require('../../utils/logger');
 const { AppError } = require('../../middleware/errorHandler');
 const BlockscoutClient = require('../blockscoutClient');
+const chainRegistry = require('../chainRegistry');
 const accountService = require('../accountService');
 const journalEntryService = require('../journalEntryService');
+const periodService = require('../periodService');
+const walletService = require('../walletService');
+const internalTransferService = require('../internalTransferService');
+const exchangeEntryService = require('../exchangeEntryService');
+const categorizationRuleService = require('../categorizationRuleService');
+const jobService = require('../jobService');
+const { toAddressSet } = require('../../utils/addresses');
 
 class GeminiClient {
   constructor() {
@@ -23,12 +31,26 @@ class GeminiClient {
   /**
    * Analyze multiple transactions from a wallet address and create bulk journal entries
    * @param {string} walletAddress - The wallet address to analyze
-   * @param {Object} options - Options for transaction fetching and analysis
+   * @param {Object} options - Options for transaction fetching and analysis (chain: chain key of the
+   *   wallet, default chain when omitted; ownWallets: registered wallets of the business, looked up
+   *   for userId when omitted; signal: AbortSignal checked between categories; onProgress: called
+   *   with { stage, step, message, totalTransactions, categories } at every step of the analysis)
    * @param {string} userId - User ID for saving entries
    * @returns {Object} Complete analysis with journal entries
    */
   async analyzeBulkTransactions(walletAddress, options = {}, userId = null) {
+    const { signal, onProgress } = options;
+    const progress = { stage: 'fetching', step: null, message: null, totalTransactions: 0, categories: {} };
+    const reportProgress = async (updates = {}) => {
+      Object.assign(progress, updates);
+      if (onProgress) {
+        await onProgress(progress);
+      }
+    };
+
     try {
+      await reportProgress({ step: 'blockchain_fetch', message: 'Fetching the wallet\'s transactions from the blockchain' });
+
       logger.info('🚀 Starting bulk transaction analysis', {
         walletAddress,
         userId,
@@ -44,7 +66,14 @@ class GeminiClient {
         message: 'Connecting to blockchain API to retrieve transaction history'
       });
 
-      const walletData = await BlockscoutClient.getWalletTransactions(walletAddress, options);
+      // The business's registered wallets, so transfers between them read as internal
+      const ownWallets = options.ownWallets ||
+        (userId ? await walletService.listWallets(userId, { activeOnly: true }) : []);
+      const chain = chainRegistry.getChain(options.chain);
+      const walletData = await BlockscoutClient.forChain(chain.key).getWalletTransactions(walletAddress, {
+        ...options,
+        ownAddresses: ownWallets.map(wallet => wallet.address),
+      });
       
       logger.info('✅ Blockchain data retrieved successfully', {
         walletAddress,
@@ -67,6 +96,7 @@ class GeminiClient {
           step: 'no_transactions',
           message: 'Filters resulted in zero transactions to analyze'
         });
+        await reportProgress({ stage: 'completed', step: 'no_transactions', message: 'No transactions match the analysis criteria' });
 
         return {
           success: true,
@@ -89,6 +119,28 @@ class GeminiClient {
 
       const transactionGroups = this.groupTransactionsByCategory(filteredTransactions);
 
+      // An internal transfer seen from both wallets is booked once
+      if (userId && transactionGroups.internal_transfer) {
+        transactionGroups.internal_transfer = await internalTransferService.filterUnbooked(
+          userId,
+          transactionGroups.internal_transfer,
+        );
+        if (transactionGroups.internal_transfer.length === 0) {
+          delete transactionGroups.internal_transfer;
+        }
+      }
+
+      await reportProgress({
+        stage: 'analyzing',
+        step: 'categorization_complete',
+        message: `Grouped ${filteredTransactions.length} transactions into ${Object.keys(transactionGroups).length} categories`,
+        totalTransactions: filteredTransactions.length,
+        categories: Object.fromEntries(Object.entries(transactionGroups).map(([category, txs]) => [
+          category,
+          { status: 'pending', transactions: txs.length, entriesGenerated: 0 },
+        ])),
+      });
+
       logger.info('✅ Transaction categorization complete', {
         categories: Object.keys(transactionGroups),
         counts: Object.fromEntries(
@@ -108,6 +160,13 @@ class GeminiClient {
       });
 
       for (const [category, transactions] of Object.entries(transactionGroups)) {
+        signal?.throwIfAborted();
+        progress.categories[category].status = 'running';
+        await reportProgress({
+          step: `ai_process_${category}`,
+          message: `Analyzing ${transactions.length} ${category} transactions`,
+        });
+
         logger.info(`🔄 Processing ${category} transactions`, { 
           count: transactions.length,
           step: `ai_process_${category}`,
@@ -118,11 +177,21 @@ class GeminiClient {
           const categoryResult = await this.processCategoryTransactions(
             category,
             transactions,
-            walletAddress
+            walletAddress,
+            ownWallets,
+            userId,
           );
 
           allJournalEntries.push(...categoryResult.journalEntries);
           processingResults[category] = categoryResult;
+          Object.assign(progress.categories[category], {
+            status: 'completed',
+            entriesGenerated: categoryResult.journalEntries.length,
+          });
+          await reportProgress({
+            step: `ai_complete_${category}`,
+            message: `Generated ${categoryResult.journalEntries.length} journal entries for ${category}`,
+          });
 
           logger.info(`✅ Completed ${category} processing`, {
             entriesGenerated: categoryResult.journalEntries.length,
@@ -142,9 +211,16 @@ class GeminiClient {
             journalEntries: [],
             transactions: transactions.length,
           };
+          Object.assign(progress.categories[category], { status: 'failed', error: categoryError.message });
+          await reportProgress({
+            step: `ai_error_${category}`,
+            message: `Analysis of the ${category} transactions failed`,
+          });
         }
       }
 
+      signal?.throwIfAborted();
+
       logger.info('🏁 AI analysis phase complete', {
         totalEntries: allJournalEntries.length,
         successfulCategories: Object.values(processingResults).filter(r => !r.error).length,
@@ -155,6 +231,11 @@ class GeminiClient {
       // Save journal entries if user ID provided
       let savedEntries = null;
       if (userId && allJournalEntries.length > 0) {
+        await reportProgress({
+          stage: 'saving',
+          step: 'database_save',
+          message: `Saving ${allJournalEntries.length} journal entries`,
+        });
         try {
           logger.info('💾 Saving journal entries to database', {
             userId,
@@ -163,7 +244,7 @@ class GeminiClient {
             message: 'Persisting generated journal entries to user account'
           });
 
-          savedEntries = await this.saveBulkJournalEntries(allJournalEntries, userId, walletAddress);
+          savedEntries = await this.saveBulkJournalEntries(allJournalEntries, userId, walletAddress, chain);
           
           logger.info('✅ Journal entries saved successfully', {
             userId,
@@ -194,6 +275,12 @@ class GeminiClient {
         processingResults
       );
 
+      await reportProgress({
+        stage: 'completed',
+        step: 'analysis_complete',
+        message: `Generated ${allJournalEntries.length} journal entries`,
+      });
+
       logger.info('🎉 Bulk transaction analysis completed successfully', {
         walletAddress,
         totalTransactions: analysis.walletAnalysis?.totalTransactionsProcessed || 0,
@@ -215,6 +302,11 @@ class GeminiClient {
       };
 
     } catch (error) {
+      // A cancelled analysis is not a failure
+      if (signal?.aborted) {
+        throw error;
+      }
+
       logger.error('💥 Bulk transaction analysis failed', {
         walletAddress,
         error: error.message,
@@ -288,9 +380,66 @@ class GeminiClient {
   }
 
   /**
-   * Process transactions for a specific category
+   * Process transactions for a specific category: the user's categorization rules
+   * book the transactions they match, the rest are analyzed
+   * @param {string} userId - Owner of the chart of accounts and categorization rules
+   */
+  async processCategoryTransactions(category, transactions, walletAddress, ownWallets = [], userId = null) {
+    const { matched, unmatched } = await categorizationRuleService.applyRules(
+      userId,
+      transactions,
+      ownWallets.map(wallet => wallet.address),
+    );
+    if (matched.length === 0) {
+      return this.analyzeCategoryTransactions(category, transactions, walletAddress, ownWallets, userId);
+    }
+
+    const ruleEntries = [];
+    for (const { transaction, rule, entry } of matched) {
+      ruleEntries.push({
+        transactionHash: transaction.hash,
+        category,
+        rule,
+        entries: await this.validateAndCorrectAccounts([entry], userId),
+      });
+    }
+
+    if (unmatched.length === 0) {
+      return {
+        category,
+        summary: {
+          totalEntries: ruleEntries.length,
+          totalTransactionsProcessed: transactions.length,
+          method: 'rules',
+          rulesApplied: matched.length,
+        },
+        journalEntries: ruleEntries,
+        accountingNotes: {
+          note: 'Booked by the user\'s categorization rules',
+        },
+        transactions: transactions.length,
+      };
+    }
+
+    const result = await this.analyzeCategoryTransactions(category, unmatched, walletAddress, ownWallets, userId);
+    return {
+      ...result,
+      summary: { ...result.summary, rulesApplied: matched.length },
+      journalEntries: [...ruleEntries, ...result.journalEntries],
+      transactions: transactions.length,
+    };
+  }
+
+  /**
+   * Analyze transactions of a specific category that no categorization rule matched
+   * @param {string} userId - Owner of the chart of accounts the entries are booked against
    */
-  async processCategoryTransactions(category, transactions, walletAddress) {
+  async analyzeCategoryTransactions(category, transactions, walletAddress, ownWallets = [], userId = null) {
+    // Transfers between the business's own wallets are booked without AI
+    if (category === 'internal_transfer') {
+      return this.processInternalTransfers(transactions, ownWallets, userId);
+    }
+
     // **NUCLEAR OPTION**: Handle token transfers with hardcoded logic to bypass AI stubbornness
     if (category === 'token_transfer') {
       logger.info('🔥 NUCLEAR OPTION: Bypassing AI for token transfers', {
@@ -362,7 +511,7 @@ class GeminiClient {
         for (const entryGroup of hardcodedEntries) {
           const validatedGroup = {
             ...entryGroup,
-            entries: await this.validateAndCorrectAccounts(entryGroup.entries),
+            entries: await this.validateAndCorrectAccounts(entryGroup.entries, userId),
           };
           validatedEntries.push(validatedGroup);
         }
@@ -384,7 +533,7 @@ class GeminiClient {
     }
     
     // **FALLBACK**: Continue with normal AI processing for non-XYD tokens or other categories
-    const chartOfAccounts = await this.getFormattedChartOfAccounts();
+    const chartOfAccounts = await this.getFormattedChartOfAccounts(userId);
     const ifrsTemplates = require('./enhancedIfrsTemplates.json');
 
     // Get category-specific template
@@ -399,7 +548,8 @@ class GeminiClient {
       formattedTransactions,
       walletAddress,
       chartOfAccounts,
-      categoryTemplate
+      categoryTemplate,
+      ownWallets,
     );
 
     try {
@@ -428,7 +578,7 @@ class GeminiClient {
       for (const entryGroup of analysisResult.journalEntries) {
         const validatedGroup = {
           ...entryGroup,
-          entries: await this.validateAndCorrectAccounts(entryGroup.entries),
+          entries: await this.validateAndCorrectAccounts(entryGroup.entries, userId),
         };
         validatedEntries.push(validatedGroup);
       }
@@ -451,22 +601,53 @@ class GeminiClient {
     }
   }
 
+  /**
+   * Book transfers between the business's own wallets as asset-to-asset movements
+   */
+  async processInternalTransfers(transactions, ownWallets, userId = null) {
+    const journalEntries = [];
+    for (const tx of transactions) {
+      const entry = await internalTransferService.buildJournalEntry(tx, ownWallets, userId);
+      journalEntries.push({
+        transactionHash: tx.hash,
+        category: 'internal_transfer',
+        entries: await this.validateAndCorrectAccounts([entry], userId),
+      });
+    }
+
+    logger.info('Booked internal transfers between own wallets', {
+      transactionCount: transactions.length,
+    });
+
+    return {
+      category: 'internal_transfer',
+      summary: {
+        totalEntries: journalEntries.length,
+        totalTransactionsProcessed: transactions.length,
+        method: 'internal_transfer',
+      },
+      journalEntries,
+      accountingNotes: {
+        note: 'Movements between the business\'s own wallets; only gas fees are expensed',
+      },
+      transactions: transactions.length,
+    };
+  }
+
   /**
    * Build category-specific analysis prompt
    */
-  buildCategoryAnalysisPrompt(category, transactions, walletAddress, chartOfAccounts, categoryTemplate) {
+  buildCategoryAnalysisPrompt(category, transactions, walletAddress, chartOfAccounts, categoryTemplate, ownWallets = []) {
     const ifrsTemplates = require('./enhancedIfrsTemplates.json');
 
     // Calculate category summary
     const categorySummary = this.calculateCategorySummary(transactions, category);
     
-    // Detect blockchain network based on environment or transaction data
-    const isCoston2 = process.env.BLOCKSCOUT_BASE_URL?.includes('coston2') || 
-                      process.env.FLARE_CHAIN_ID === '114';
-    
-    const blockchain = isCoston2 ? 'Coston2 (Chain ID 114)' : 'Ethereum Mainnet';
-    const gasCurrency = isCoston2 ? 'C2FLR' : 'ETH';
-    const gasAccount = isCoston2 ? 'Digital Assets - C2FLR' : 'Digital Assets - Ethereum';
+    // Network of the analyzed wallet (every transaction of a run is on the same chain)
+    const chain = chainRegistry.getChain(transactions[0]?.chain);
+    const blockchain = `${chain.name} (Chain ID ${chain.chainId})`;
+    const gasCurrency = chain.nativeSymbol;
+    const gasAccount = chain.gasAssetAccount;
     
     // Extract actual token symbols from the transactions for this category
     const actualTokens = new Set();
@@ -515,16 +696,16 @@ Transaction: "100 XYD token transfer"
 - Network: ${blockchain}
 - Gas Currency: ${gasCurrency} (NEVER use "GAS" as currency)
 - Gas Account Mapping: Debit "Transaction Fees", Credit "${gasAccount}"
-- Base URL: ${process.env.BLOCKSCOUT_BASE_URL || 'not set'}
-- Chain ID: ${process.env.FLARE_CHAIN_ID || 'not set'}
+- Explorer: ${chain.explorerBaseUrl}
+- Chain ID: ${chain.chainId}
 
 **MANDATORY GAS FEE RULES:**
 1. For ALL gas fee entries on ${blockchain}:
-   - Currency: "${gasCurrency}" (NOT "GAS", NOT "ETH" on Coston2)
+   - Currency: "${gasCurrency}" (NOT "GAS"${gasCurrency !== 'ETH' ? `, NOT "ETH" on ${chain.name}` : ''})
    - Debit Account: "Transaction Fees"
    - Credit Account: "${gasAccount}"
    - Amount Range: 0.00001 to 1.0 ${gasCurrency}
-2. Gas amounts > 100,000 are Wei conversion errors - divide by 10^18
+2. Gas amounts > 100,000 are Wei conversion errors - divide by 10^${chain.decimals}
 3. NEVER use "Bank Account - Crypto Exchange" for gas fees
 
 **CRITICAL TOKEN CURRENCY RULES FOR ${category.toUpperCase()}:**
@@ -559,7 +740,32 @@ ${tokenEnforcementRules}`;
       .replace('{volumeSummary}', JSON.stringify(categorySummary))
       .replace('{categoryBreakdown}', this.formatCategoryBreakdown(category, categoryTemplate))
       .replace('{transactions}', this.formatTransactionsForPrompt(transactions))
-      .replace('{chartOfAccounts}', chartOfAccounts + '\n' + networkRules);
+      .replace('{chartOfAccounts}', `${chartOfAccounts}\n${networkRules}${this.formatOwnWalletsForPrompt(ownWallets)}`);
+  }
+
+  /**
+   * Describe the business's registered wallets for an AI prompt
+   * @param {Array} ownWallets - Wallet registry records ({ address, label, entity })
+   * @returns {string} Prompt section, empty when no wallets are registered
+   */
+  formatOwnWalletsForPrompt(ownWallets = []) {
+    if (ownWallets.length === 0) {
+      return '';
+    }
+
+    const walletLines = ownWallets.map(wallet => {
+      const owner = wallet.entity?.name ? ` (owned by ${wallet.entity.name})` : '';
+      return `- ${wallet.label}: ${wallet.address}${owner}`;
+    });
+
+    return `
+
+**BUSINESS WALLETS (OUR ADDRESSES):**
+${walletLines.join('\n')}
+
+Transfers between these wallets are internal movements of the business's own assets, not revenue or expenses.
+Any other address is an external counterparty.
+`;
   }
 
   /**
@@ -568,8 +774,9 @@ ${tokenEnforcementRules}`;
   formatTransactionsForPrompt(transactions) {
     return transactions.map((tx, index) => {
       // Emphasize token information for the AI
-      const isTokenTransfer = tx.tokenSymbol && tx.tokenSymbol !== 'ETH' && tx.tokenSymbol !== 'C2FLR';
-      const currency = tx.tokenSymbol || 'C2FLR'; // Default to C2FLR for Coston2, not ETH
+      const chain = chainRegistry.getChain(tx.chain);
+      const isTokenTransfer = tx.tokenSymbol && tx.tokenSymbol !== chain.nativeSymbol;
+      const currency = tx.tokenSymbol || chain.nativeSymbol;
       const amount = tx.actualAmount || tx.value || 0;
       
       let transactionDescription = `${index + 1}. Hash: ${tx.hash}
@@ -593,7 +800,7 @@ ${tokenEnforcementRules}`;
         // For native currency transactions
         transactionDescription += `
    Value: ${amount} ${currency}
-   ${currency === 'C2FLR' ? '(Native Coston2 currency)' : '(Native currency)'}`;
+   (Native ${chain.name} currency)`;
       }
       
       if (tx.input && tx.input.length > 10) {
@@ -686,7 +893,8 @@ IFRS Notes: ${template.ifrsNotes}`;
       from: tx.from,
       to: tx.to,
       value: tx.actualAmount || tx.value || 0, // FIXED: prioritize actualAmount (ETH) over value (Wei)
-      currency: tx.tokenSymbol || 'ETH',
+      currency: tx.tokenSymbol || tx.networkCurrency || chainRegistry.getChain(tx.chain).nativeSymbol,
+      chain: tx.chain,
       category: tx.category,
       direction: tx.direction,
       timestamp: tx.timestamp,
@@ -721,7 +929,7 @@ IFRS Notes: ${template.ifrsNotes}`;
           totalTransactionsProcessed: parsed.journalEntries.length,
           categoryBreakdown: { [category]: parsed.journalEntries.length },
         },
-        journalEntries: parsed.journalEntries,
+        journalEntries: parsed.journalEntries.map(group => this.normalizeEntryGroup(group)),
         accountingNotes: parsed.accountingNotes || {},
       };
 
@@ -741,7 +949,7 @@ IFRS Notes: ${template.ifrsNotes}`;
             totalTransactionsProcessed: entries.length,
             categoryBreakdown: { [category]: entries.length },
           },
-          journalEntries: entries,
+          journalEntries: entries.map(group => this.normalizeEntryGroup(group)),
           accountingNotes: { note: 'Parsed using fallback method due to response format issues' },
         };
       } catch (fallbackError) {
@@ -750,6 +958,20 @@ IFRS Notes: ${template.ifrsNotes}`;
     }
   }
 
+  /**
+   * Normalize the entries of one bulk analysis transaction group into the compound shape
+   */
+  normalizeEntryGroup(group) {
+    if (!Array.isArray(group.entries)) {
+      return group;
+    }
+
+    return {
+      ...group,
+      entries: group.entries.map(entry => this.normalizeCompoundEntry(entry)),
+    };
+  }
+
   /**
    * Extract journal entries using fallback parsing
    */
@@ -782,7 +1004,7 @@ IFRS Notes: ${template.ifrsNotes}`;
   /**
    * Save bulk journal entries to database
    */
-  async saveBulkJournalEntries(journalEntries, userId, walletAddress) {
+  async saveBulkJournalEntries(journalEntries, userId, walletAddress, chain = null) {
     try {
       logger.info('Starting bulk journal entries save', {
         userId,
@@ -790,17 +1012,72 @@ IFRS Notes: ${template.ifrsNotes}`;
         entryGroupsCount: journalEntries.length,
       });
 
-      // Detect network for proper gas currency conversion
-      const isCoston2 = process.env.BLOCKSCOUT_BASE_URL?.includes('coston2') || 
-                        process.env.FLARE_CHAIN_ID === '114';
-      const correctGasCurrency = isCoston2 ? 'C2FLR' : 'ETH';
-      const correctGasAccount = isCoston2 ? 'Digital Assets - C2FLR' : 'Digital Assets - Ethereum';
+      // Network of the wallet, for proper gas currency conversion
+      const network = chainRegistry.getChain(chain);
+      const correctGasCurrency = network.nativeSymbol;
+      const correctGasAccount = network.gasAssetAccount;
+
+      // A job requeued after a restart analyzes the wallet again; skip what its first run saved.
+      // Fallback parsing numbers its groups instead of naming the transaction, so those always save
+      const transactionHashes = journalEntries
+        .map(entryGroup => entryGroup.transactionHash)
+        .filter(hash => hash && !hash.startsWith('fallback_'));
+      const booked = await journalEntryService.getBookedTransactionHashes(userId, [...new Set(transactionHashes)]);
+      if (booked.size > 0) {
+        logger.info('Skipping transactions that already have journal entries', {
+          userId,
+          walletAddress,
+          skipped: [...booked],
+        });
+      }
 
       // Flatten the nested structure into individual entries
       const flattenedEntries = [];
       
-      for (const entryGroup of journalEntries) {
+      for (const entryGroup of journalEntries.filter(candidate => !booked.has(candidate.transactionHash))) {
         for (const entry of entryGroup.entries) {
+          if (entry.isCompound) {
+            // Apply the same gas currency and Wei fixes line by line
+            const lines = entry.lines.map(line => {
+              const lineCurrency = line.currency?.includes('GAS') ? correctGasCurrency : line.currency;
+              let lineAmount = parseFloat(line.amount);
+              if (lineAmount > 100000 && ['ETH', 'C2FLR', 'BTC'].includes(lineCurrency)) {
+                lineAmount = lineAmount / Math.pow(10, 18);
+              }
+              return { ...line, currency: lineCurrency, amount: lineAmount };
+            });
+
+            const balance = journalEntryService.validateEntryBalance(lines);
+            if (!balance.balanced) {
+              logger.warn('Skipping unbalanced compound entry', {
+                transactionHash: entryGroup.transactionHash,
+                reasons: balance.reasons,
+              });
+              continue;
+            }
+
+            flattenedEntries.push({
+              lines,
+              narrative: `${entry.narrative} (Bulk analysis from ${walletAddress})`,
+              confidence: entry.confidence || 0.8,
+              entryType: entry.entryType || 'main',
+              // Read by the review queue
+              requiresAccountCreation: entry.requiresAccountCreation || false,
+              accountSubstitutions: entry.accountSubstitutions || [],
+              metadata: {
+                walletAddress,
+                transactionHash: entryGroup.transactionHash,
+                category: entryGroup.category,
+                entryType: entry.entryType || 'main',
+                bulkAnalysis: true,
+                requiresAccountCreation: entry.requiresAccountCreation || false,
+                accountCreationSuggestions: entry.accountCreationSuggestions || null,
+                ...(entryGroup.rule ? { categorizationRule: entryGroup.rule } : {}),
+              },
+            });
+            continue;
+          }
+
           let amount = parseFloat(entry.amount);
           let currency = entry.currency?.toUpperCase();
           let accountCredit = entry.accountCredit;
@@ -903,6 +1180,9 @@ IFRS Notes: ${template.ifrsNotes}`;
             narrative: `${entry.narrative} (Bulk analysis from ${walletAddress})`,
             confidence: entry.confidence || 0.8,
             entryType: entry.entryType || 'main',
+            // Read by the review queue
+            requiresAccountCreation: entry.requiresAccountCreation || false,
+            accountSubstitutions: entry.accountSubstitutions || [],
             // Add metadata about the source transaction
             metadata: {
               walletAddress,
@@ -934,8 +1214,19 @@ IFRS Notes: ${template.ifrsNotes}`;
         })),
       });
 
+      // A re-run must not write into closed months; skip those entries instead of failing the batch
+      const { writable, blocked } = await periodService.partitionWritable(userId, flattenedEntries, 'ai_bulk_analysis');
+      if (blocked.length > 0) {
+        logger.warn('Skipped bulk journal entries dated in closed accounting periods', {
+          userId,
+          walletAddress,
+          skippedCount: blocked.length,
+          transactionHashes: blocked.map(entry => entry.metadata?.transactionHash),
+        });
+      }
+
       // Check if we have any valid entries after filtering
-      if (flattenedEntries.length === 0) {
+      if (writable.length === 0) {
         logger.warn('No valid entries remaining after amount filtering', {
           userId,
           walletAddress,
@@ -946,7 +1237,7 @@ IFRS Notes: ${template.ifrsNotes}`;
 
       // Use the correct function name with proper structure
       const savedEntries = await journalEntryService.saveJournalEntries({
-        entries: flattenedEntries,
+        entries: writable,
         userId: userId,
         source: 'ai_bulk_analysis',
         metadata: {
@@ -954,7 +1245,7 @@ IFRS Notes: ${template.ifrsNotes}`;
           bulkAnalysis: true,
           analysisTimestamp: new Date().toISOString(),
           totalTransactionGroups: journalEntries.length,
-          networkDetected: isCoston2 ? 'Coston2' : 'Ethereum',
+          networkDetected: network.name,
           gassCurrency: correctGasCurrency,
         },
       });
@@ -975,6 +1266,7 @@ IFRS Notes: ${template.ifrsNotes}`;
         entriesCount: journalEntries.length,
       });
 
+      if (error instanceof AppError) throw error;
       throw new AppError(`Failed to save journal entries: ${error.message}`, 500);
     }
   }
@@ -1176,7 +1468,12 @@ IFRS Notes: ${template.ifrsNotes}`;
     return compliance;
   }
 
-  async chatResponse(message, context = {}) {
+  /**
+   * @param {string} message - User message
+   * @param {Object} context - Chat context (user, recentEntries)
+   * @param {Object} options - { onToken } called with each chunk of Gemini's answer as it streams
+   */
+  async chatResponse(message, context = {}, options = {}) {
     try {
       logger.info('Processing chat message with Gemini AI', {
         messageLength: message.length,
@@ -1198,10 +1495,10 @@ IFRS Notes: ${template.ifrsNotes}`;
         result = await this.handleWalletAnalysisChat(message, context);
       } else if (isJournalEntryRequest) {
         logger.info('Handling journal entry chat');
-        result = await this.handleJournalEntryChat(message, context);
+        result = await this.handleJournalEntryChat(message, context, options);
       } else {
         logger.info('Handling general chat');
-        result = await this.handleGeneralChat(message, context);
+        result = await this.handleGeneralChat(message, context, options);
       }
 
       logger.info('Chat response completed successfully', {
@@ -1236,17 +1533,18 @@ IFRS Notes: ${template.ifrsNotes}`;
     try {
       logger.info('Starting wallet analysis chat handler', { messageLength: message.length });
       
-      // Extract wallet address from message
-      const walletAddress = this.extractWalletAddress(message);
+      // Address from the message, else a registered wallet named in it (or the only one)
+      const wallet = await walletService.resolveWalletFromMessage(context.user?.id, message);
+      const walletAddress = wallet?.address || null;
       
       if (!walletAddress) {
         return {
-          response: 'I can see you want to analyze a wallet, but I couldn\'t find a valid Ethereum address in your message. Please provide a wallet address starting with 0x followed by 40 characters.\n\nExample: "Analyze wallet 0x742e8c9b3be7936e2f6d143de3e9bb8f4b4d2b9e"',
-          thinking: 'User requested wallet analysis but no valid Ethereum address was found in the message.',
+          response: 'I can see you want to analyze a wallet, but I couldn\'t find a valid Ethereum address or a registered wallet name in your message. Please provide a wallet address starting with 0x followed by 40 characters, or the label of one of your registered wallets.\n\nExample: "Analyze wallet 0x742e8c9b3be7936e2f6d143de3e9bb8f4b4d2b9e"',
+          thinking: 'User requested wallet analysis but neither a valid Ethereum address nor a registered wallet was found in the message.',
           suggestions: [
             'Provide a valid Ethereum wallet address (0x...)',
-            'Make sure the address is complete (42 characters total)',
-            'Double-check the address format'
+            'Mention the label of a registered wallet',
+            'Register your wallets under /api/wallets',
           ],
           journalEntries: [],
         };
@@ -1266,6 +1564,37 @@ IFRS Notes: ${template.ifrsNotes}`;
         message: 'Configured analysis parameters based on user message'
       });
 
+      // Signed-in users get a background job instead of a request that blocks for minutes
+      if (context.user?.id) {
+        const job = await jobService.enqueue(context.user.id, 'wallet_analysis', {
+          address: walletAddress,
+          walletId: wallet.id || null,
+          options: {
+            limit: options.limit || 20, // Reasonable default for chat
+            minValue: options.minValue || 0.001,
+            categories: options.categories,
+            saveEntries: options.saveEntries !== false,
+            includeTokens: true,
+            includeInternal: true,
+            chain: wallet.chain,
+          },
+        });
+
+        return {
+          response: `🔍 **Wallet Analysis Started**\n\n📍 **Address:** ${walletAddress}${wallet.label ? ` (${wallet.label})` : ''}\n\n⏳ The analysis runs in the background. Track its progress per transaction category under job \`${job.id}\`; the journal entries are saved when it completes.`,
+          thinking: `Queued wallet analysis job ${job.id} for ${walletAddress}. Fetching, categorizing and booking the transactions can take a few minutes.`,
+          suggestions: [
+            'Check the job status for per-category progress',
+            'Cancel the job if you started it by mistake',
+            'Review the generated journal entries once it completes',
+          ],
+          journalEntries: [],
+          isProcessing: true,
+          jobId: job.id,
+          walletAddress,
+        };
+      }
+
       try {
         // Perform bulk analysis with progress logging
         logger.info('🚀 Starting Bulk Transaction Analysis', { 
@@ -1556,6 +1885,8 @@ IFRS Notes: ${template.ifrsNotes}`;
       'transaction history',
       'analyze the wallet',
       'analyze this wallet',
+      'analyze my wallet',
+      'analyze our wallet',
       'bulk process'
     ];
 
@@ -1589,7 +1920,7 @@ IFRS Notes: ${template.ifrsNotes}`;
     return addressMatch ? addressMatch[0] : null;
   }
 
-  async handleJournalEntryChat(message, context) {
+  async handleJournalEntryChat(message, context, options = {}) {
     try {
       logger.info('Starting handleJournalEntryChat', { messageLength: message.length });
       
@@ -1602,12 +1933,22 @@ IFRS Notes: ${template.ifrsNotes}`;
         try {
           logger.info('Fetching transaction data from Blockscout', {
             txHash: transactionDetails.transactionHash,
+            chain: context.chain,
           });
 
-          const transactionData = await BlockscoutClient.getTransactionInfo(transactionDetails.transactionHash);
+          const transactionData = await BlockscoutClient.forChain(context.chain)
+            .getTransactionInfo(transactionDetails.transactionHash);
           
           // Use the real transaction data to create journal entries
-          const journalEntries = await this.analyzeTransaction(transactionData, transactionDetails.description);
+          const ownWallets = context.user?.id
+            ? await walletService.listWallets(context.user.id, { activeOnly: true })
+            : [];
+          const journalEntries = await this.analyzeTransaction(
+            transactionData,
+            transactionDetails.description,
+            ownWallets,
+            context.user?.id,
+          );
 
           // Save using universal service if user context is available
           let savedEntries = null;
@@ -1677,7 +2018,7 @@ IFRS Notes: ${template.ifrsNotes}`;
       } else {
         // General journal entry guidance without specific transaction
         logger.info('No transaction hash found, handling as general journal entry guidance');
-        return await this.handleGeneralJournalEntryGuidance(message, context);
+        return await this.handleGeneralJournalEntryGuidance(message, context, options);
       }
     } catch (error) {
       logger.error('Error in handleJournalEntryChat', { 
@@ -1696,12 +2037,12 @@ IFRS Notes: ${template.ifrsNotes}`;
     }
   }
 
-  async handleGeneralJournalEntryGuidance(message, context) {
+  async handleGeneralJournalEntryGuidance(message, context, options = {}) {
     try {
       logger.info('Starting handleGeneralJournalEntryGuidance', { messageLength: message.length });
       
       // Get the current chart of accounts for consistent account usage
-      const chartOfAccounts = await this.getFormattedChartOfAccounts();
+      const chartOfAccounts = await this.getFormattedChartOfAccounts(context.user?.id);
       logger.info('Chart of accounts loaded', { chartLength: chartOfAccounts.length });
       
       // Extract transaction details to get dates and other info
@@ -1747,6 +2088,13 @@ Recording your 999 USDC investment as equity financing.
 
 Journal entry saved successfully.
 
+EXAMPLE COMPOUND ENTRY (use "lines" when one event needs several debits or credits; debits must equal credits per currency):
+Recording a 500 USDC supplier payment with a 2 USDC fee.
+
+[{"lines":[{"account":"Accounts Payable","type":"debit","amount":500,"currency":"USDC"},{"account":"Transaction Fees","type":"debit","amount":2,"currency":"USDC"},{"account":"Digital Assets - USDC","type":"credit","amount":502,"currency":"USDC"}],"narrative":"Supplier payment including transfer fee","confidence":0.9,"ifrsReference":"IAS 1"}]
+
+Journal entry saved successfully.
+
 IMPORTANT:
 - NO \`\`\`json blocks
 - NO // comments  
@@ -1757,13 +2105,10 @@ IMPORTANT:
       const userPrompt = this.buildChatPromptWithAccounts(message, context, chartOfAccounts);
       logger.info('Prompts prepared, calling Gemini API');
 
-    const result = await this.model.generateContent([
-      { text: systemPrompt },
-      { text: userPrompt },
-    ]);
-
-    const response = await result.response;
-    const text = response.text();
+      const text = await this.generateChatText([
+        { text: systemPrompt },
+        { text: userPrompt },
+      ], options.onToken);
 
       logger.info('AI response received for journal entry guidance', {
         responseLength: text.length,
@@ -1788,7 +2133,7 @@ IMPORTANT:
       if (structuredEntries.length > 0) {
         try {
           logger.info('Validating and correcting accounts');
-          validatedEntries = await this.validateAndCorrectAccounts(structuredEntries);
+          validatedEntries = await this.validateAndCorrectAccounts(structuredEntries, context.user?.id);
           
           // Apply extracted date if AI didn't include transactionDate but we found one
           if (transactionDetails.extractedDate) {
@@ -1860,9 +2205,9 @@ Journal entry created successfully and will be saved to your accounting system.`
     }
   }
 
-  async handleGeneralChat(message, context) {
+  async handleGeneralChat(message, context, options = {}) {
     // Get the current chart of accounts for consistent account usage
-    const chartOfAccounts = await this.getFormattedChartOfAccounts();
+    const chartOfAccounts = await this.getFormattedChartOfAccounts(context.user?.id);
     
     // Extract transaction details to get dates and other info
     const transactionDetails = this.extractTransactionDetails(message);
@@ -1920,13 +2265,10 @@ CRITICAL RULES:
 
     const userPrompt = this.buildChatPromptWithAccounts(message, context, chartOfAccounts);
 
-    const result = await this.model.generateContent([
+    const text = await this.generateChatText([
       { text: systemPrompt },
       { text: userPrompt },
-    ]);
-
-    const response = await result.response;
-    const text = response.text();
+    ], options.onToken);
 
     logger.info('AI response received for general chat', {
       responseLength: text.length,
@@ -1944,7 +2286,7 @@ CRITICAL RULES:
     // Validate accounts if entries were found
     let validatedEntries = [];
     if (extractedEntries.length > 0) {
-      validatedEntries = await this.validateAndCorrectAccounts(extractedEntries);
+      validatedEntries = await this.validateAndCorrectAccounts(extractedEntries, context.user?.id);
       
       // Add extracted transaction date to entries
       if (transactionDetails.extractedDate) {
@@ -2004,6 +2346,27 @@ Journal entry created successfully and will be saved to your accounting system.`
     };
   }
 
+  /**
+   * Generate a chat answer, streaming it chunk by chunk to onToken when given
+   * @returns {string} The full answer
+   */
+  async generateChatText(parts, onToken = null) {
+    if (!onToken) {
+      const result = await this.model.generateContent(parts);
+      const response = await result.response;
+      return response.text();
+    }
+
+    const result = await this.model.generateContentStream(parts);
+    let text = '';
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      text += chunkText;
+      onToken(chunkText);
+    }
+    return text;
+  }
+
   buildChatPrompt(message, context) {
     let prompt = `User message: ${message}`;
 
@@ -2155,15 +2518,37 @@ User message: ${message}`;
     return [];
   }
 
-  async analyzeTransaction(blockchainData, description = '') {
+  /**
+   * Analyze a single transaction into journal entries
+   * @param {Object} blockchainData - Transaction data from Blockscout
+   * @param {string} description - User description of the transaction
+   * @param {Array} ownWallets - The business's registered wallets
+   * @param {string} userId - Owner of the chart of accounts the entries are booked against
+   */
+  async analyzeTransaction(blockchainData, description = '', ownWallets = [], userId = null) {
     try {
       logger.info('Starting Gemini transaction analysis', {
         hash: blockchainData.hash,
         description,
       });
 
+      // A matching categorization rule books the transaction without AI
+      const ownAddresses = ownWallets.map(wallet => wallet.address);
+      const { matched: [ruleMatch] } = await categorizationRuleService.applyRules(userId, [blockchainData], ownAddresses);
+      if (ruleMatch) {
+        return this.validateAndCorrectAccounts([ruleMatch.entry], userId);
+      }
+
+      // Transfers between the business's own wallets are booked without AI
+      if (BlockscoutClient.detectTransactionCategory(blockchainData, ownAddresses) === 'internal_transfer') {
+        const entry = await internalTransferService.buildJournalEntry(blockchainData, ownWallets, userId);
+        // The fields internalTransferService.filterUnbooked dedupes on, as in bulk analysis
+        entry.metadata = { category: 'internal_transfer', transactionHash: blockchainData.hash };
+        return this.validateAndCorrectAccounts([entry], userId);
+      }
+
       // Get the current chart of accounts
-      const chartOfAccounts = await this.getFormattedChartOfAccounts();
+      const chartOfAccounts = await this.getFormattedChartOfAccounts(userId);
 
       // Load enhanced IFRS templates
       const ifrsTemplates = require('./enhancedIfrsTemplates.json');
@@ -2171,32 +2556,27 @@ User message: ${message}`;
       // Format token transfers data
       const tokenTransfersText = this.formatTokenTransfers(blockchainData.tokenTransfers || []);
 
-      // Detect blockchain based on environment or chain ID (Coston2 vs Ethereum)
-      const isCoston2 = process.env.BLOCKSCOUT_BASE_URL?.includes('coston2') || 
-                        blockchainData.chainId === 114 || 
-                        blockchainData.chain_id === 114 ||
-                        process.env.FLARE_CHAIN_ID === '114';
-      
-      const blockchain = isCoston2 ? 'Coston2 (Chain ID 114)' : 'Ethereum Mainnet';
-      const gasCurrency = isCoston2 ? 'C2FLR' : 'ETH';
+      // Network the transaction was fetched from
+      const chain = chainRegistry.getChain(blockchainData.chain || blockchainData.chainId || blockchainData.chain_id);
+      const blockchain = `${chain.name} (Chain ID ${chain.chainId})`;
+      const gasCurrency = chain.nativeSymbol;
       
       logger.info('Blockchain detection', {
         hash: blockchainData.hash,
         blockchain,
         gasCurrency,
-        isCoston2,
-        baseUrl: process.env.BLOCKSCOUT_BASE_URL,
-        chainId: blockchainData.chainId || blockchainData.chain_id
+        chain: chain.key,
+        baseUrl: chain.explorerBaseUrl,
       });
 
       // Convert gas values for proper accounting
       const gasUsed = blockchainData.gas_used || blockchainData.gasUsed || 0;
       const gasPrice = blockchainData.gas_price || blockchainData.gasPrice || 0;
       const gasFeeWei = parseFloat(gasUsed) * parseFloat(gasPrice);
-      const gasFee = gasFeeWei / Math.pow(10, 18); // Convert Wei to base units
+      const gasFee = gasFeeWei / Math.pow(10, chain.decimals); // Convert Wei to base units
       
       // Convert native token value properly 
-      const nativeValue = parseFloat(blockchainData.value || 0) / Math.pow(10, 18);
+      const nativeValue = parseFloat(blockchainData.value || 0) / Math.pow(10, chain.decimals);
 
       // Build the analysis prompt with chart of accounts and properly converted values
       const prompt = ifrsTemplates.transactionAnalysisPrompt
@@ -2219,10 +2599,10 @@ User message: ${message}`;
 - Gas Price: ${(parseFloat(gasPrice) / Math.pow(10, 9)).toFixed(4)} Gwei
 - Total Gas Fee: ${gasFee.toFixed(8)} ${gasCurrency}
 - Blockchain: ${blockchain}
-- Gas Currency: ${gasCurrency} (${isCoston2 ? 'Coston2 Testnet Token' : 'Ethereum'})
+- Gas Currency: ${gasCurrency} (${chain.name} native currency)
 
 BLOCKCHAIN-SPECIFIC RULES:
-1. For ${blockchain}: Use ${gasCurrency} for gas fees, NOT ETH
+1. For ${blockchain}: Use ${gasCurrency} for gas fees${gasCurrency !== 'ETH' ? ', NOT ETH' : ''}
 2. All amounts MUST be in reasonable accounting units (${gasCurrency}, not Wei or Gwei)
 3. Gas fees should be recorded as separate journal entries only if > 0.0001 ${gasCurrency}
 4. For token transfers, use token amounts from tokenTransfers data
@@ -2231,7 +2611,7 @@ BLOCKCHAIN-SPECIFIC RULES:
 
 CRITICAL ACCOUNT MAPPING FIXES:
 - ETH transfers → "Digital Assets - Ethereum" (NEVER "Digital Assets - Other")
-- C2FLR gas fees → "Digital Assets - C2FLR" 
+- ${gasCurrency} gas fees → "${chain.gasAssetAccount}"
 - BTC transfers → "Digital Assets - Bitcoin"
 - XYD transfers → "Digital Assets - XYD"
 - Gas fees → "Transaction Fees" (debit account)
@@ -2240,7 +2620,7 @@ AMOUNT VALIDATION:
 - If amount > 100,000: This is likely a Wei conversion error - divide by appropriate decimals
 - ETH amounts should be 0.000001 to 10,000 range
 - Token amounts should match the actual transfer amounts from tokenTransfers data
-- Gas fees in ${gasCurrency} should be 0.00001 to 1.0 range`;
+- Gas fees in ${gasCurrency} should be 0.00001 to 1.0 range` + this.formatOwnWalletsForPrompt(ownWallets);
 
       const systemPrompt = ifrsTemplates.systemPrompt;
 
@@ -2317,7 +2697,7 @@ AMOUNT VALIDATION:
       });
 
       // Validate accounts against chart of accounts
-      const validatedEntries = await this.validateAndCorrectAccounts(validEntries);
+      const validatedEntries = await this.validateAndCorrectAccounts(validEntries, userId);
 
       logger.info('Transaction analysis completed', {
         hash: blockchainData.hash,
@@ -2338,9 +2718,56 @@ AMOUNT VALIDATION:
       }
   }
 
-  async getFormattedChartOfAccounts() {
+  /**
+   * Analyze a record imported from an exchange export into journal entries
+   * @param {Object} record - Normalized exchange record (see exchangeImporters)
+   * @param {string} description - Description of the imported transaction
+   * @param {Array} ownWallets - The business's registered wallets
+   * @param {string} userId - Owner of the chart of accounts the entries are booked against
+   */
+  async analyzeExchangeTransaction(record, description = '', ownWallets = [], userId = null) {
+    logger.info('Starting exchange transaction analysis', {
+      exchange: record.exchange,
+      type: record.type,
+    });
+
+    // Trades, fees, staking rewards and fiat transfers are booked without AI
+    const ruleEntry = await exchangeEntryService.buildJournalEntry(record, userId);
+    if (ruleEntry) {
+      return this.validateAndCorrectAccounts([ruleEntry], userId);
+    }
+
+    const chartOfAccounts = await this.getFormattedChartOfAccounts(userId);
+    const ifrsTemplates = require('./enhancedIfrsTemplates.json');
+    const moved = record.received || record.sent;
+
+    const prompt = ifrsTemplates.exchangeTransactionPrompt
+      .replace('{exchange}', record.exchange)
+      .replace('{type}', record.type)
+      .replace('{amount}', moved.amount)
+      .replace('{asset}', moved.asset)
+      .replace('{fees}', record.fees.map(fee => `${fee.amount} ${fee.asset}`).join(', ') || 'None')
+      .replace('{address}', record.address || 'Not in the export')
+      .replace('{timestamp}', record.timestamp)
+      .replace('{note}', record.note || 'None')
+      .replace('{description}', description || 'No description provided')
+      .replace('{chartOfAccounts}', chartOfAccounts);
+
+    const result = await this.model.generateContent([
+      { text: ifrsTemplates.systemPrompt },
+      { text: prompt + this.formatOwnWalletsForPrompt(ownWallets) },
+    ]);
+    const response = await result.response;
+
+    const journalEntries = this.parseJournalEntries(response.text())
+      .filter(entry => parseFloat(entry.amount) > 0);
+
+    return this.validateAndCorrectAccounts(journalEntries, userId);
+  }
+
+  async getFormattedChartOfAccounts(userId = null) {
     try {
-      const accounts = await accountService.getChartOfAccounts();
+      const accounts = await accountService.getChartOfAccounts(userId);
       
       // Format accounts by category for AI prompt
       const accountsByCategory = accounts.reduce((acc, account) => {
@@ -2380,24 +2807,35 @@ Revenue:
     }
   }
 
-  async validateAndCorrectAccounts(journalEntries) {
+  async validateAndCorrectAccounts(journalEntries, userId = null) {
     const validatedEntries = [];
 
     for (const entry of journalEntries) {
       try {
-        // Validate the account names against our chart of accounts
+        if (entry.isCompound) {
+          validatedEntries.push(await this.validateAndCorrectCompoundEntry(entry, userId));
+          continue;
+        }
+
+        // Validate the account names against the user's chart of accounts
         const validation = await accountService.validateJournalEntry(
+          userId,
           entry.accountDebit,
           entry.accountCredit
         );
 
         let correctedEntry = { ...entry };
         let accountCreationSuggestions = [];
+        // Accounts replaced by a different chart account (sends the entry to review)
+        const accountSubstitutions = [];
 
         // Handle debit account
         if (validation.debitAccount) {
           // Exact match found - use it
           correctedEntry.accountDebit = validation.debitAccount.name;
+          if (isSubstitution(entry.accountDebit, validation.debitAccount.name)) {
+            accountSubstitutions.push({ side: 'debit', requested: entry.accountDebit, substituted: validation.debitAccount.name });
+          }
           logger.info('Found exact debit account match', {
             requested: entry.accountDebit,
             found: validation.debitAccount.name,
@@ -2427,6 +2865,9 @@ Revenue:
         if (validation.creditAccount) {
           // Exact match found - use it
           correctedEntry.accountCredit = validation.creditAccount.name;
+          if (isSubstitution(entry.accountCredit, validation.creditAccount.name)) {
+            accountSubstitutions.push({ side: 'credit', requested: entry.accountCredit, substituted: validation.creditAccount.name });
+          }
           logger.info('Found exact credit account match', {
             requested: entry.accountCredit,
             found: validation.creditAccount.name,
@@ -2465,6 +2906,7 @@ Revenue:
         } else {
           correctedEntry.requiresAccountCreation = false;
         }
+        correctedEntry.accountSubstitutions = accountSubstitutions;
 
         validatedEntries.push(correctedEntry);
       } catch (error) {
@@ -2483,6 +2925,116 @@ Revenue:
     return validatedEntries;
   }
 
+  /**
+   * Validate every line account of a compound entry against the chart of accounts
+   */
+  async validateAndCorrectCompoundEntry(entry, userId = null) {
+    const accountCreationSuggestions = [];
+    const accountSubstitutions = [];
+    const lines = [];
+
+    for (const line of entry.lines) {
+      const matches = await accountService.getAccountByName(userId, line.account);
+
+      if (matches && matches.length > 0) {
+        if (isSubstitution(line.account, matches[0].name)) {
+          accountSubstitutions.push({ side: line.type, requested: line.account, substituted: matches[0].name });
+        }
+        lines.push({ ...line, account: matches[0].name });
+        continue;
+      }
+
+      logger.info('Compound entry line account not found, suggesting creation', {
+        requested: line.account,
+        type: line.type,
+      });
+
+      const suggestion = await accountService.suggestAccountCreation(
+        line.account,
+        line.type === 'debit' ? 'expense' : 'liability',
+      );
+
+      accountCreationSuggestions.push({
+        type: line.type,
+        requestedName: line.account,
+        suggestion,
+      });
+      lines.push(line);
+    }
+
+    return {
+      ...entry,
+      lines,
+      accountSubstitutions,
+      requiresAccountCreation: accountCreationSuggestions.length > 0,
+      ...(accountCreationSuggestions.length > 0 ? { accountCreationSuggestions } : {}),
+    };
+  }
+
+  /**
+   * Normalize an AI journal entry into the compound (header + lines) shape.
+   * Lines may be { account, type: 'debit'|'credit', amount, currency } or
+   * { account, debit: amount } / { account, credit: amount }. Legacy single-pair
+   * entries get two lines. For simple one-debit/one-credit entries the
+   * accountDebit/accountCredit/amount/currency fields stay populated.
+   */
+  normalizeCompoundEntry(entry) {
+    if (!Array.isArray(entry.lines) || entry.lines.length === 0) {
+      const amount = parseFloat(entry.amount) || 0;
+      const currency = entry.currency || 'USD';
+      return {
+        ...entry,
+        isCompound: false,
+        lines: [
+          { account: entry.accountDebit, type: 'debit', amount, currency },
+          { account: entry.accountCredit, type: 'credit', amount, currency },
+        ],
+      };
+    }
+
+    const lines = entry.lines.map(line => {
+      let type = String(line.type || line.entryType || line.side || '').toLowerCase();
+      let amount = parseFloat(line.amount);
+
+      if (!type) {
+        if (parseFloat(line.debit) > 0) {
+          type = 'debit';
+          amount = parseFloat(line.debit);
+        } else if (parseFloat(line.credit) > 0) {
+          type = 'credit';
+          amount = parseFloat(line.credit);
+        }
+      }
+
+      return {
+        account: line.account || line.accountName,
+        type,
+        amount: Math.abs(amount) || 0,
+        currency: (line.currency || entry.currency || 'USD').toUpperCase(),
+        ...(line.narrative ? { narrative: line.narrative } : {}),
+      };
+    });
+
+    const debitLines = lines.filter(line => line.type === 'debit');
+    const creditLines = lines.filter(line => line.type === 'credit');
+    const isCompound = debitLines.length !== 1 || creditLines.length !== 1 ||
+      debitLines[0].currency !== creditLines[0].currency ||
+      debitLines[0].amount !== creditLines[0].amount;
+    const currency = (debitLines[0] || lines[0]).currency;
+
+    return {
+      ...entry,
+      accountDebit: isCompound ? null : debitLines[0].account,
+      accountCredit: isCompound ? null : creditLines[0].account,
+      amount: debitLines
+        .filter(line => line.currency === currency)
+        .reduce((sum, line) => sum + line.amount, 0),
+      currency,
+      isCompound,
+      lines,
+    };
+  }
+
   formatTokenTransfers(tokenTransfers) {
     if (!tokenTransfers || tokenTransfers.length === 0) {
       return 'No token transfers detected';
@@ -2548,6 +3100,19 @@ DO NOT convert or calculate - use the numbers directly.`;
         }
       }
 
+      // Strategy 1b: Compound entries nest a lines array, so retry with a greedy match
+      if (entries.length === 0) {
+        jsonMatch = jsonText.match(/\[\s*\{[\s\S]*\}\s*\]/);
+        if (jsonMatch) {
+          try {
+            entries = JSON.parse(jsonMatch[0].replace(/,(\s*[}\]])/g, '$1'));
+            logger.info('Successfully parsed nested JSON array', { entriesCount: entries.length });
+          } catch (e) {
+            logger.warn('Failed to parse nested JSON array', { error: e.message });
+          }
+        }
+      }
+
       // Strategy 2: Look for nested journalEntries object
       if (entries.length === 0) {
         const objectMatch = jsonText.match(/\{[\s\S]*?"journalEntries"[\s\S]*?\[[\s\S]*?\][\s\S]*?\}/);
@@ -2691,15 +3256,17 @@ DO NOT convert or calculate - use the numbers directly.`;
           }
         }
         
-        const normalizedEntry = {
+        const hasLines = Array.isArray(entry.lines) && entry.lines.length > 0;
+        const normalizedEntry = this.normalizeCompoundEntry({
           accountDebit: entry.accountDebit || entry.debit || 'Digital Assets - Other',
           accountCredit: entry.accountCredit || entry.credit || 'Share Capital',
           amount: amount,
           currency: entry.currency || 'USD',
+          ...(hasLines ? { lines: entry.lines } : {}),
           narrative: entry.narrative || entry.description || `Transaction of ${amount}`,
           confidence: entry.confidence || 0.8,
           ifrsReference: entry.ifrsReference || '',
-        };
+        });
         
         // Only add transactionDate if it was successfully parsed
         if (transactionDate) {
@@ -2736,7 +3303,7 @@ DO NOT convert or calculate - use the numbers directly.`;
    * Analyze enhanced transaction context with rich Blockscout v2 data
    * @param {Object} params - Analysis parameters
    * @param {Object} params.context - Rich transaction context from enhanced Blockscout client
-   * @param {string} params.userAddress - User's wallet address
+   * @param {string|Array<string>} params.userAddress - User's wallet address, or all registered wallets
    * @param {Object} params.availableCategories - Enhanced category definitions
    * @param {string} params.analysisDepth - Analysis depth (detailed/basic)
    * @returns {Object} AI analysis result with category selection
@@ -2839,20 +3406,22 @@ ANALYSIS GUIDELINES:
   /**
    * Build comprehensive analysis prompt with enhanced context
    * @param {Object} context - Enhanced transaction context
-   * @param {string} userAddress - User's wallet address
+   * @param {string|Array<string>} userAddress - User's wallet address, or all registered wallets
    * @param {Object} availableCategories - Category definitions
    * @param {string} analysisDepth - Analysis depth
    * @returns {string} Formatted analysis prompt
    */
   buildEnhancedContextPrompt(context, userAddress, availableCategories, analysisDepth) {
-    const isUserSender = context.from.hash.toLowerCase() === userAddress.toLowerCase();
-    const isUserReceiver = context.to?.hash.toLowerCase() === userAddress.toLowerCase();
+    const owned = toAddressSet(userAddress);
+    const isUserSender = owned.has(context.from.hash.toLowerCase());
+    const isUserReceiver = owned.has(context.to?.hash.toLowerCase());
 
     return `
 ENHANCED BLOCKCHAIN TRANSACTION ANALYSIS
 
 **TRANSACTION OVERVIEW:**
 - Hash: ${context.hash}
+- Network: ${context.network ? `${context.network.name} (Chain ID ${context.network.chainId}, native currency ${context.network.nativeSymbol})` : 'Unknown'}
 - Status: ${context.status}
 - Method Called: ${context.method || 'N/A'}
 - User Perspective: ${isUserSender ? 'Sender' : isUserReceiver ? 'Receiver' : 'Observer'}
@@ -2932,7 +3501,7 @@ Key factors to consider:
 2. **Method Call**: What specific function was executed?
 3. **Token Flow**: How do tokens move and what does this indicate?
 4. **Event Logs**: What events were emitted by the contracts?
-5. **User Perspective**: How does this transaction affect the user (${userAddress})?
+5. **User Perspective**: How does this transaction affect the user (${[...owned].join(', ')})?
 6. **DeFi Patterns**: Does this match known DeFi interaction patterns?
 
 **CONFIDENCE SCORING:**
@@ -3021,4 +3590,12 @@ Analyze the transaction and provide categorization in the required JSON format.`
   }
 }
 
+/**
+ * Whether the chart account matched for a requested name is a different account
+ * (getAccountByName matches partial names)
+ */
+function isSubstitution(requested, matched) {
+  return String(requested || '').trim().toLowerCase() !== String(matched || '').trim().toLowerCase();
+}
+
 module.exports = GeminiClient;
@@ -35,13 +35,19 @@ class AIClientFactory {
     }
   }
 
-  async analyzeTransaction(transactionData, userDescription) {
+  /**
+   * @param {Object} transactionData - Transaction data from Blockscout
+   * @param {string} userDescription - User description of the transaction
+   * @param {Array} ownWallets - The business's registered wallets (see walletService)
+   * @param {string} userId - Owner of the chart of accounts the entries are booked against
+   */
+  async analyzeTransaction(transactionData, userDescription, ownWallets = [], userId = null) {
     if (!this.geminiClient) {
       throw new AppError('Gemini client not available for transaction analysis', 500);
     }
 
     try {
-      return await this.geminiClient.analyzeTransaction(transactionData, userDescription);
+      return await this.geminiClient.analyzeTransaction(transactionData, userDescription, ownWallets, userId);
     } catch (error) {
       logger.error('Transaction analysis failed', {
         txHash: transactionData.hash,
@@ -51,6 +57,29 @@ class AIClientFactory {
     }
   }
 
+  /**
+   * @param {Object} record - Normalized exchange record (see exchangeImporters)
+   * @param {string} userDescription - Description of the imported transaction
+   * @param {Array} ownWallets - The business's registered wallets (see walletService)
+   * @param {string} userId - Owner of the chart of accounts the entries are booked against
+   */
+  async analyzeExchangeTransaction(record, userDescription, ownWallets = [], userId = null) {
+    if (!this.geminiClient) {
+      throw new AppError('Gemini client not available for transaction analysis', 500);
+    }
+
+    try {
+      return await this.geminiClient.analyzeExchangeTransaction(record, userDescription, ownWallets, userId);
+    } catch (error) {
+      logger.error('Exchange transaction analysis failed', {
+        exchange: record.exchange,
+        type: record.type,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Analyze multiple transactions from a wallet address - BULK PROCESSING
    * @param {string} walletAddress - The wallet address to analyze
@@ -83,7 +112,7 @@ class AIClientFactory {
   /**
    * Get wallet transaction preview without AI analysis
    * @param {string} walletAddress - The wallet address 
-   * @param {Object} options - Fetching options
+   * @param {Object} options - Fetching options (ownAddresses: the business's registered wallets)
    * @returns {Object} Wallet transaction data with categorization
    */
   async getWalletPreview(walletAddress, options = {}) {
@@ -123,13 +152,16 @@ class AIClientFactory {
     }
   }
 
-  async chatResponse(message, context = {}) {
+  /**
+   * @param {Object} options - { onToken } to receive the answer as it streams
+   */
+  async chatResponse(message, context = {}, options = {}) {
     if (!this.geminiClient) {
       throw new AppError('Gemini client not available for chat', 500);
     }
 
     try {
-      return await this.geminiClient.chatResponse(message, context);
+      return await this.geminiClient.chatResponse(message, context, options);
     } catch (error) {
       logger.error('Chat response failed', {
         messageLength: message.length,
@@ -140,11 +172,11 @@ class AIClientFactory {
   }
 
   // Alias for chat method used by routes
-  async chat(message, context = {}) {
-    return this.chatResponse(message, context);
+  async chat(message, context = {}, options = {}) {
+    return this.chatResponse(message, context, options);
   }
 
-  async createJournalEntry(transactionData, userDescription) {
+  async createJournalEntry(transactionData, userDescription, ownWallets = [], userId = null) {
     try {
       logger.info('Creating journal entry with Gemini', {
         txHash: transactionData?.hash,
@@ -152,7 +184,7 @@ class AIClientFactory {
       });
 
       // Use Gemini to create journal entry
-      const journalEntries = await this.analyzeTransaction(transactionData, userDescription);
+      const journalEntries = await this.analyzeTransaction(transactionData, userDescription, ownWallets, userId);
 
       logger.info('Journal entry creation completed', {
         txHash: transactionData?.hash,
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// prev_hash of the first row in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Another writer appending first makes the insert hit the unique prev_hash; retry on the new tail
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Bookkeeping columns that change on every write and say nothing about the record
+const UNTRACKED_FIELDS = ['updated_at'];
+
+/**
+ * JSON with object keys sorted at every level, so a row hashes the same after a
+ * round trip through JSONB (which does not keep key order)
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Append-only, hash-chained history of journal entries and accounts
+ * Each event stores the record before and after the change plus a field-level diff.
+ * Its hash covers the previous row's hash, so editing or deleting a past event is
+ * detected by verifyChain. A change must not outlive a failed append: record
+ * throws, and the caller fails the request (removing what it created where it can).
+ */
+class AuditService {
+  constructor() {
+    // Appends from this process run one at a time so they do not race for the tail
+    this.appending = Promise.resolve();
+  }
+
+  /**
+   * Map a journal entry source to the audit source
+   * @param {string} entrySource - e.g. 'ai_transaction', 'manual', 'api', 'cost_basis'
+   * @returns {string} 'ai' | 'manual' | 'api' | 'system'
+   */
+  sourceOf(entrySource) {
+    if (entrySource === 'manual' || entrySource === 'api') {
+      return entrySource;
+    }
+    if (entrySource && (entrySource.startsWith('ai') || entrySource === 'blockchain_analysis')) {
+      return 'ai';
+    }
+    return 'system';
+  }
+
+  /**
+   * Field-level diff of two versions of a record
+   * @returns {Object} { field: { from, to } } for every field that changed
+   */
+  diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+      if (UNTRACKED_FIELDS.includes(field)) return;
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+      if (canonicalize(from) !== canonicalize(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  }
+
+  hashEvent(prevHash, event) {
+    return crypto.createHash('sha256').update(prevHash + canonicalize(event)).digest('hex');
+  }
+
+  /**
+   * Record one change
+   * @param {Object} params
+   * @param {string} params.tableName - 'journal_entries' | 'accounts'
+   * @param {string} params.recordId
+   * @param {string} params.action - 'create' | 'update' | 'delete'
+   * @param {string} params.userId - Owner of the record (null for shared accounts)
+   * @param {string} params.actorId - Who made the change
+   * @param {string} params.source - 'ai' | 'manual' | 'api' | 'system'
+   * @param {Object} params.before - Record before the change (null for a create)
+   * @param {Object} params.after - Record after the change (null for a delete)
+   * @returns {Object|null} The stored event, null if nothing changed
+   * @throws {AppError} 500 when the event could not be appended
+   */
+  async record({ tableName, recordId, action, userId = null, actorId = null, source, before = null, after = null }) {
+    const changes = this.diff(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    const event = {
+      tableName,
+      recordId,
+      action,
+      userId,
+      actorId,
+      source,
+      before,
+      after,
+      changes,
+      recordedAt: new Date().toISOString(),
+    };
+
+    const run = this.appending.catch(() => {}).then(() => this.append(event));
+    this.appending = run;
+
+    try {
+      return await run;
+    } catch (error) {
+      logger.error('Failed to record audit event', { tableName, recordId, action, error: error.message });
+      throw new AppError('Failed to record audit event', 500);
+    }
+  }
+
+  /**
+   * Record several changes in order
+   */
+  async recordMany(events) {
+    const recorded = [];
+    for (const event of events) {
+      recorded.push(await this.record(event));
+    }
+    return recorded;
+  }
+
+  async append(event) {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const { data: tail, error: tailError } = await supabase
+        .from('audit_log')
+        .select('hash')
+        .order('id', { ascending: false })
+        .limit(1);
+
+      if (tailError) throw tailError;
+
+      const prevHash = tail?.[0]?.hash || GENESIS_HASH;
+      const { data, error } = await supabase
+        .from('audit_log')
+        .insert({
+          table_name: event.tableName,
+          record_id: event.recordId,
+          action: event.action,
+          user_id: event.userId,
+          actor_id: event.actorId,
+          source: event.source,
+          before: event.before,
+          after: event.after,
+          changes: event.changes,
+          recorded_at: event.recordedAt,
+          prev_hash: prevHash,
+          hash: this.hashEvent(prevHash, event),
+        })
+        .select()
+        .single();
+
+      if (!error) return data;
+      if (error.code !== '23505') throw error; // 23505 = another event took this position
+    }
+
+    throw new Error(`Audit chain kept moving, gave up after ${MAX_APPEND_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Rebuild the hashed event from a stored row
+   */
+  eventOf(row) {
+    return {
+      tableName: row.table_name,
+      recordId: row.record_id,
+      action: row.action,
+      userId: row.user_id,
+      actorId: row.actor_id,
+      source: row.source,
+      before: row.before,
+      after: row.after,
+      changes: row.changes,
+      recordedAt: new Date(row.recorded_at).toISOString(),
+    };
+  }
+
+  /**
+   * Full history of one record, oldest first
+   * @param {string} tableName - 'journal_entries' | 'accounts'
+   * @param {string} recordId
+   * @param {string} userId - Only events on records this user owns (omit for shared accounts)
+   * @returns {Array} Events, each with `intact` telling whether its hash still matches
+   */
+  async getHistory(tableName, recordId, userId = null) {
+    let query = supabase
+      .from('audit_log')
+      .select('*')
+      .eq('table_name', tableName)
+      .eq('record_id', recordId);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.order('id', { ascending: true });
+    if (error) throw error;
+
+    if (data.length === 0) {
+      throw new AppError('No history found for this record', 404);
+    }
+
+    return data.map(row => ({
+      ...row,
+      intact: this.hashEvent(row.prev_hash, this.eventOf(row)) === row.hash,
+    }));
+  }
+
+  /**
+   * Walk the whole chain and check every link and hash
+   * @returns {Object} { valid, checked, brokenAt: { id, reason } | null }
+   */
+  async verifyChain({ batchSize = 1000 } = {}) {
+    let expectedPrevHash = GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+
+    for (;;) {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('*')
+        .gt('id', lastId)
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (error) throw error;
+
+      for (const row of data) {
+        if (row.prev_hash !== expectedPrevHash) {
+          return { valid: false, checked, brokenAt: { id: row.id, reason: 'chain_broken' } };
+        }
+        if (this.hashEvent(row.prev_hash, this.eventOf(row)) !== row.hash) {
+          return { valid: false, checked, brokenAt: { id: row.id, reason: 'hash_mismatch' } };
+        }
+        expectedPrevHash = row.hash;
+        lastId = row.id;
+        checked++;
+      }
+
+      if (data.length < batchSize) break;
+    }
+
+    logger.info('Audit chain verified', { checked });
+    return { valid: true, checked, brokenAt: null };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,676 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const accountService = require('./accountService');
+const bankStatementService = require('./bankStatementService');
+const journalEntryService = require('./journalEntryService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Days a journal entry may be dated before or after the bank booking it matches
+const DATE_WINDOW_DAYS = parseInt(process.env.BANK_MATCH_DATE_WINDOW_DAYS || '5');
+// Bank amounts are stored as DECIMAL(20, 2)
+const AMOUNT_TOLERANCE = 0.005;
+// Shorter references (cheque numbers, "1") say nothing on their own
+const MIN_REFERENCE_LENGTH = 4;
+// Journal source of entries booked from a bank transaction; they are posted by a person
+const CREATED_ENTRY_SOURCE = 'manual';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const sumAmounts = rows => roundAmount(rows.reduce((sum, row) => sum + parseFloat(row.amount), 0));
+const daysBetween = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+const shiftDate = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Bank reconciliation
+ * Matches the bank transactions imported from statements (see BankStatementService)
+ * to the journal entries that book them, per bank account and period. A match joins
+ * bank transactions and entries whose totals agree, where an entry counts with its
+ * movement on the bank account (debits less credits in the account's currency), so
+ * one bank transaction can be split over several entries and the other way round.
+ *
+ * A reconciliation starts from an opening balance, the previous reconciliation's
+ * closing balance or the bank's balance at the start of the period. Its cleared
+ * balance is the opening balance plus the matched bank transactions of the period;
+ * what the statement's closing balance differs from it is unreconciled. Completing a
+ * reconciliation freezes its matches. Matched journal entries cannot be edited.
+ */
+class BankReconciliationService {
+  /**
+   * Reconciliations of the user, latest period first
+   * @param {string} userId
+   * @param {string} accountId - Only the reconciliations of this account
+   */
+  async listReconciliations(userId, accountId = null) {
+    let query = supabase
+      .from('bank_reconciliations')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (accountId) {
+      query = query.eq('account_id', accountId);
+    }
+
+    const { data, error } = await query.order('period_end', { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  async getSession(userId, reconciliationId) {
+    const { data: session, error } = await supabase
+      .from('bank_reconciliations')
+      .select('*')
+      .eq('id', reconciliationId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!session) {
+      throw new AppError('Reconciliation not found', 404);
+    }
+    return session;
+  }
+
+  async getOpenSession(userId, reconciliationId) {
+    const session = await this.getSession(userId, reconciliationId);
+    if (session.status === 'completed') {
+      throw new AppError(`The reconciliation of ${session.period_start} to ${session.period_end} is completed`, 409);
+    }
+    return session;
+  }
+
+  /**
+   * Start reconciling a bank account over a period
+   * @param {string} userId
+   * @param {Object} params - { accountId, periodStart, periodEnd, statementClosingBalance, openingBalance };
+   *   the balances default to the imported statements of the period and the previous reconciliation
+   * @returns {Object} The reconciliation with its report (see getReconciliation)
+   */
+  async createReconciliation(userId, { accountId, periodStart, periodEnd, statementClosingBalance = null, openingBalance = null }) {
+    if (periodStart > periodEnd) {
+      throw new AppError('The period must start before it ends', 400);
+    }
+
+    const account = await bankStatementService.getBankAccount(userId, accountId);
+
+    const { data: statements, error: statementsError } = await supabase
+      .from('bank_statements')
+      .select('currency, period_start, period_end, closing_date, opening_balance, closing_balance')
+      .eq('account_id', account.id)
+      .order('created_at', { ascending: false });
+
+    if (statementsError) throw statementsError;
+
+    const { data: previous, error: previousError } = await supabase
+      .from('bank_reconciliations')
+      .select('period_end, statement_closing_balance')
+      .eq('account_id', account.id)
+      .eq('status', 'completed')
+      .lt('period_end', periodStart)
+      .order('period_end', { ascending: false })
+      .limit(1);
+
+    if (previousError) throw previousError;
+
+    const currency = statements.find(statement => statement.currency)?.currency;
+    if (!currency) {
+      throw new AppError(`Import a statement into ${account.name} before reconciling it`, 400);
+    }
+
+    const closing = statementClosingBalance ?? statements.find(statement =>
+      statement.closing_balance !== null && (statement.closing_date || statement.period_end) === periodEnd,
+    )?.closing_balance;
+    if (closing === undefined || closing === null) {
+      throw new AppError(`No imported statement closes on ${periodEnd}; give the statement closing balance`, 400);
+    }
+
+    const opening = openingBalance ?? previous[0]?.statement_closing_balance ?? statements.find(statement =>
+      statement.opening_balance !== null && statement.period_start === periodStart,
+    )?.opening_balance;
+    if (opening === undefined || opening === null) {
+      throw new AppError(`No reconciliation or statement gives the balance on ${periodStart}; give the opening balance`, 400);
+    }
+
+    const { data: session, error } = await supabase
+      .from('bank_reconciliations')
+      .insert({
+        user_id: userId,
+        account_id: account.id,
+        period_start: periodStart,
+        period_end: periodEnd,
+        currency,
+        opening_balance: parseFloat(opening),
+        statement_closing_balance: parseFloat(closing),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new AppError(`${account.name} already has a reconciliation ending on ${periodEnd}`, 409);
+      }
+      throw error;
+    }
+
+    logger.info('Bank reconciliation started', { userId, accountId: account.id, periodStart, periodEnd });
+
+    return this.getReconciliation(userId, session.id);
+  }
+
+  /**
+   * The movements of journal entries on a bank account: debits less credits of the
+   * lines posted to it in its currency. Lines saved before they carried account ids
+   * are recognized by the account name.
+   * @param {string} userId
+   * @param {Object} account - Chart account
+   * @param {string} currency
+   * @param {string} from - First entry date (inclusive)
+   * @param {string} until - Last entry date (inclusive)
+   * @returns {Array} [{ entryId, entryDate, narrative, amount, text }], oldest first
+   */
+  async fetchMovements(userId, account, currency, from, until) {
+    const { data: entries, error } = await supabase
+      .from('journal_entries')
+      .select('id, entry_date, narrative, metadata, account_debit, account_credit, amount, currency, journal_entry_lines(*)')
+      .eq('user_id', userId)
+      .neq('review_status', 'rejected')
+      .gte('entry_date', from)
+      .lte('entry_date', until)
+      .order('entry_date', { ascending: true });
+
+    if (error) throw error;
+
+    const accountName = account.name.toLowerCase();
+    const postsToAccount = line => (line.accountId
+      ? line.accountId === account.id
+      : line.account?.toLowerCase() === accountName);
+
+    return entries
+      .map((entry) => {
+        const amount = journalEntryService.getEntryLines(entry)
+          .filter(line => line.currency === currency && postsToAccount(line))
+          .reduce((sum, line) => sum + (line.type === 'debit' ? line.amount : -line.amount), 0);
+
+        return {
+          entryId: entry.id,
+          entryDate: entry.entry_date,
+          narrative: entry.narrative,
+          amount: roundAmount(amount),
+          text: `${entry.narrative || ''} ${entry.metadata ? JSON.stringify(entry.metadata) : ''}`.toLowerCase(),
+        };
+      })
+      .filter(movement => movement.amount !== 0);
+  }
+
+  /**
+   * Everything a reconciliation works on: the account, its bank transactions up to
+   * the period end, the journal movements on it around the period and the matches
+   */
+  async loadState(userId, session) {
+    const chartOfAccounts = await accountService.getChartOfAccounts(userId);
+    const account = chartOfAccounts.find(candidate => candidate.id === session.account_id);
+    if (!account) {
+      throw new AppError('Account not found', 404);
+    }
+
+    const { data: bankTransactions, error: bankError } = await supabase
+      .from('bank_transactions')
+      .select('*')
+      .eq('account_id', account.id)
+      .eq('currency', session.currency)
+      .lte('booking_date', session.period_end)
+      .order('booking_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (bankError) throw bankError;
+
+    const { data: matchedEntries, error: matchedError } = await supabase
+      .from('bank_match_entries')
+      .select('match_id, journal_entry_id, amount')
+      .eq('account_id', account.id);
+
+    if (matchedError) throw matchedError;
+
+    const movements = await this.fetchMovements(
+      userId,
+      account,
+      session.currency,
+      shiftDate(session.period_start, -DATE_WINDOW_DAYS),
+      shiftDate(session.period_end, DATE_WINDOW_DAYS),
+    );
+
+    return {
+      account,
+      bankTransactions,
+      movements,
+      matchedEntryIds: new Set(matchedEntries.map(row => row.journal_entry_id)),
+      matchedEntries,
+    };
+  }
+
+  /**
+   * Balances of a reconciliation
+   * @returns {Object} { openingBalance, statementClosingBalance, clearedBalance, reconciledDifference,
+   *   unreconciledDifference, reconciled, bankTransactions: { total, matched, unmatched }, outstandingEntries }
+   */
+  summarize(session, state) {
+    const inPeriod = date => date >= session.period_start && date <= session.period_end;
+    const periodTransactions = state.bankTransactions.filter(transaction => inPeriod(transaction.booking_date));
+    const matched = periodTransactions.filter(transaction => transaction.match_id);
+    const unmatched = periodTransactions.filter(transaction => !transaction.match_id);
+    const outstanding = state.movements.filter(movement =>
+      inPeriod(movement.entryDate) && !state.matchedEntryIds.has(movement.entryId));
+
+    const openingBalance = parseFloat(session.opening_balance);
+    const statementClosingBalance = parseFloat(session.statement_closing_balance);
+    const reconciledDifference = sumAmounts(matched);
+    const clearedBalance = roundAmount(openingBalance + reconciledDifference);
+    const unreconciledDifference = roundAmount(statementClosingBalance - clearedBalance);
+
+    return {
+      openingBalance,
+      statementClosingBalance,
+      clearedBalance,
+      reconciledDifference,
+      unreconciledDifference,
+      reconciled: Math.abs(unreconciledDifference) < AMOUNT_TOLERANCE && unmatched.length === 0,
+      bankTransactions: {
+        total: periodTransactions.length,
+        matched: matched.length,
+        unmatched: unmatched.length,
+        unmatchedAmount: sumAmounts(unmatched),
+      },
+      outstandingEntries: {
+        count: outstanding.length,
+        amount: sumAmounts(outstanding),
+      },
+    };
+  }
+
+  /**
+   * A reconciliation with its balances, matches and what is left to match
+   * @returns {Object} { reconciliation, account, summary, matches, unmatchedTransactions, outstandingEntries }
+   */
+  async getReconciliation(userId, reconciliationId) {
+    const session = await this.getSession(userId, reconciliationId);
+    const state = await this.loadState(userId, session);
+    return this.buildReport(session, state);
+  }
+
+  buildReport(session, state) {
+    const inPeriod = date => date >= session.period_start && date <= session.period_end;
+    const matchIds = new Set(state.bankTransactions
+      .filter(transaction => transaction.match_id && inPeriod(transaction.booking_date))
+      .map(transaction => transaction.match_id));
+
+    const matches = [...matchIds].map(matchId => ({
+      id: matchId,
+      bankTransactionIds: state.bankTransactions
+        .filter(transaction => transaction.match_id === matchId)
+        .map(transaction => transaction.id),
+      entries: state.matchedEntries
+        .filter(row => row.match_id === matchId)
+        .map(row => ({ entryId: row.journal_entry_id, amount: parseFloat(row.amount) })),
+    }));
+
+    return {
+      reconciliation: session,
+      account: { id: state.account.id, code: state.account.code, name: state.account.name },
+      summary: this.summarize(session, state),
+      matches,
+      unmatchedTransactions: state.bankTransactions.filter(transaction =>
+        inPeriod(transaction.booking_date) && !transaction.match_id),
+      outstandingEntries: state.movements
+        .filter(movement => inPeriod(movement.entryDate) && !state.matchedEntryIds.has(movement.entryId))
+        .map(({ entryId, entryDate, narrative, amount }) => ({ entryId, entryDate, narrative, amount })),
+    };
+  }
+
+  /**
+   * Whether a bank transaction's references appear in a journal entry's narrative or metadata
+   */
+  referenceMatches(transaction, movement) {
+    return [transaction.reference, transaction.bank_reference]
+      .filter(reference => reference && reference.length >= MIN_REFERENCE_LENGTH)
+      .some(reference => movement.text.includes(reference.toLowerCase()));
+  }
+
+  /**
+   * Match the unmatched bank transactions of the period to journal entries with the
+   * same movement on the account, dated within BANK_MATCH_DATE_WINDOW_DAYS. An entry
+   * quoting the transaction's reference wins; without one, a transaction is only
+   * matched when a single entry qualifies. Transactions with several candidates are
+   * returned as ambiguous, for a manual match.
+   * @returns {Object} { matched: [{ bankTransactionId, entryId, byReference }], ambiguous: [{ bankTransactionId, entryIds }], ...report }
+   */
+  async autoMatch(userId, reconciliationId) {
+    const session = await this.getOpenSession(userId, reconciliationId);
+    const state = await this.loadState(userId, session);
+    const available = state.movements.filter(movement => !state.matchedEntryIds.has(movement.entryId));
+    const matched = [];
+    const ambiguous = [];
+
+    const pending = state.bankTransactions.filter(transaction => !transaction.match_id &&
+      transaction.booking_date >= session.period_start && transaction.booking_date <= session.period_end);
+
+    for (const transaction of pending) {
+      const amount = parseFloat(transaction.amount);
+      const candidates = available
+        .filter(movement => Math.abs(movement.amount - amount) < AMOUNT_TOLERANCE &&
+          daysBetween(movement.entryDate, transaction.booking_date) <= DATE_WINDOW_DAYS)
+        .sort((a, b) => daysBetween(a.entryDate, transaction.booking_date) - daysBetween(b.entryDate, transaction.booking_date));
+
+      const byReference = candidates.filter(movement => this.referenceMatches(transaction, movement));
+      const choice = byReference.length === 1 ? byReference[0] : (byReference.length === 0 && candidates.length === 1 ? candidates[0] : null);
+
+      if (!choice) {
+        if (candidates.length > 1) {
+          ambiguous.push({
+            bankTransactionId: transaction.id,
+            entryIds: (byReference.length > 1 ? byReference : candidates).map(movement => movement.entryId),
+          });
+        }
+        continue;
+      }
+
+      await this.saveMatch(userId, session, state.account, [transaction], [choice], 'auto');
+      available.splice(available.indexOf(choice), 1);
+      matched.push({ bankTransactionId: transaction.id, entryId: choice.entryId, byReference: byReference.length === 1 });
+    }
+
+    logger.info('Bank transactions matched automatically', {
+      userId,
+      reconciliationId,
+      matched: matched.length,
+      ambiguous: ambiguous.length,
+    });
+
+    return { matched, ambiguous, ...(await this.getReconciliation(userId, reconciliationId)) };
+  }
+
+  /**
+   * Match bank transactions to journal entries by hand. Several transactions or
+   * several entries make a split match; both sides must have the same total.
+   * @param {string} userId
+   * @param {string} reconciliationId
+   * @param {Object} params - { bankTransactionIds, entryIds }
+   * @returns {Object} { match, ...report }
+   */
+  async matchTransactions(userId, reconciliationId, { bankTransactionIds, entryIds }) {
+    const session = await this.getOpenSession(userId, reconciliationId);
+    const state = await this.loadState(userId, session);
+
+    const transactions = [...new Set(bankTransactionIds)].map((id) => {
+      const transaction = state.bankTransactions.find(candidate => candidate.id === id);
+      if (!transaction || transaction.booking_date < session.period_start) {
+        throw new AppError(`Bank transaction ${id} is not in this reconciliation`, 404);
+      }
+      if (transaction.match_id) {
+        throw new AppError(`Bank transaction ${id} is already matched`, 409);
+      }
+      return transaction;
+    });
+
+    const movements = await this.fetchEntryMovements(userId, state, session, [...new Set(entryIds)]);
+
+    const bankTotal = sumAmounts(transactions);
+    const entryTotal = sumAmounts(movements);
+    if (Math.abs(bankTotal - entryTotal) >= AMOUNT_TOLERANCE) {
+      throw new AppError(`The bank transactions total ${bankTotal} but the journal entries move ${state.account.name} by ${entryTotal}`, 400);
+    }
+
+    const match = await this.saveMatch(userId, session, state.account, transactions, movements, 'manual');
+    return { match, ...(await this.getReconciliation(userId, reconciliationId)) };
+  }
+
+  /**
+   * The movements of the given entries on the reconciled account
+   * @throws {AppError} 404 for entries of another user, 400 for entries that do not post to the account, 409 for matched ones
+   */
+  async fetchEntryMovements(userId, state, session, entryIds) {
+    const { data: entries, error } = await supabase
+      .from('journal_entries')
+      .select('id, entry_date')
+      .eq('user_id', userId)
+      .in('id', entryIds);
+
+    if (error) throw error;
+
+    const dates = entries.map(entry => entry.entry_date).sort();
+    const movements = dates.length > 0
+      ? await this.fetchMovements(userId, state.account, session.currency, dates[0], dates[dates.length - 1])
+      : [];
+
+    return entryIds.map((entryId) => {
+      if (!entries.some(entry => entry.id === entryId)) {
+        throw new AppError(`Journal entry ${entryId} not found`, 404);
+      }
+      const movement = movements.find(candidate => candidate.entryId === entryId);
+      if (!movement) {
+        throw new AppError(`Journal entry ${entryId} does not post to ${state.account.name} in ${session.currency}`, 400);
+      }
+      if (state.matchedEntryIds.has(entryId)) {
+        throw new AppError(`Journal entry ${entryId} is already matched`, 409);
+      }
+      return movement;
+    });
+  }
+
+  /**
+   * Store a match; a transaction matched in the meantime undoes it with a 409
+   */
+  async saveMatch(userId, session, account, transactions, movements, method) {
+    const { data: match, error } = await supabase
+      .from('bank_matches')
+      .insert({
+        user_id: userId,
+        account_id: account.id,
+        reconciliation_id: session.id,
+        method,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const removeMatch = async () => {
+      await supabase.from('bank_matches').delete().eq('id', match.id);
+    };
+
+    const { error: entriesError } = await supabase
+      .from('bank_match_entries')
+      .insert(movements.map(movement => ({
+        match_id: match.id,
+        user_id: userId,
+        account_id: account.id,
+        journal_entry_id: movement.entryId,
+        amount: movement.amount,
+      })));
+
+    if (entriesError) {
+      await removeMatch();
+      if (entriesError.code === '23505') {
+        throw new AppError('A journal entry was matched in the meantime', 409); // Unique (account_id, journal_entry_id)
+      }
+      throw entriesError;
+    }
+
+    const { data: linked, error: linkError } = await supabase
+      .from('bank_transactions')
+      .update({ match_id: match.id })
+      .in('id', transactions.map(transaction => transaction.id))
+      .is('match_id', null)
+      .select('id');
+
+    if (linkError || linked.length !== transactions.length) {
+      await removeMatch();
+      if (linkError) throw linkError;
+      throw new AppError('A bank transaction was matched in the meantime', 409);
+    }
+
+    return {
+      ...match,
+      bankTransactionIds: transactions.map(transaction => transaction.id),
+      entries: movements.map(movement => ({ entryId: movement.entryId, amount: movement.amount })),
+    };
+  }
+
+  /**
+   * Undo a match made in an open reconciliation
+   */
+  async removeMatch(userId, reconciliationId, matchId) {
+    await this.getOpenSession(userId, reconciliationId);
+
+    const { data: match, error } = await supabase
+      .from('bank_matches')
+      .select('id')
+      .eq('id', matchId)
+      .eq('reconciliation_id', reconciliationId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!match) {
+      throw new AppError('Match not found', 404);
+    }
+
+    const { error: deleteError } = await supabase
+      .from('bank_matches')
+      .delete()
+      .eq('id', matchId);
+
+    if (deleteError) throw deleteError;
+
+    logger.info('Bank match removed', { userId, reconciliationId, matchId });
+    return this.getReconciliation(userId, reconciliationId);
+  }
+
+  /**
+   * Book a journal entry for a bank transaction the ledger does not have yet, against
+   * a chart account, and match the two
+   * @param {string} userId
+   * @param {string} reconciliationId
+   * @param {string} bankTransactionId
+   * @param {Object} params - { account (name or code of the other side), narrative, date }
+   * @returns {Object} { journalEntry, match, ...report }
+   */
+  async createEntryFromTransaction(userId, reconciliationId, bankTransactionId, { account, narrative = null, date = null }) {
+    const session = await this.getOpenSession(userId, reconciliationId);
+    const state = await this.loadState(userId, session);
+
+    const transaction = state.bankTransactions.find(candidate => candidate.id === bankTransactionId);
+    if (!transaction || transaction.booking_date < session.period_start) {
+      throw new AppError(`Bank transaction ${bankTransactionId} is not in this reconciliation`, 404);
+    }
+    if (transaction.match_id) {
+      throw new AppError(`Bank transaction ${bankTransactionId} is already matched`, 409);
+    }
+
+    const findAccount = await journalEntryService.getAccountFinder(userId);
+    const counterAccount = findAccount({ account, accountCode: account });
+    if (!counterAccount) {
+      throw new AppError(`Account not found: ${account}`, 400);
+    }
+    if (counterAccount.id === state.account.id) {
+      throw new AppError('Book the bank transaction against another account than the bank account', 400);
+    }
+
+    const amount = parseFloat(transaction.amount);
+    const received = amount > 0;
+    const bankLine = { accountId: state.account.id, account: state.account.name, amount: Math.abs(amount), currency: transaction.currency };
+    const counterLine = { accountId: counterAccount.id, account: counterAccount.name, amount: Math.abs(amount), currency: transaction.currency };
+
+    const [journalEntry] = await journalEntryService.saveJournalEntries({
+      entries: [{
+        entryDate: date || transaction.booking_date,
+        narrative: narrative || [transaction.counterparty_name, transaction.description || transaction.reference]
+          .filter(Boolean).join(' - ') || `Bank transaction of ${transaction.booking_date}`,
+        lines: [
+          { ...(received ? bankLine : counterLine), type: 'debit' },
+          { ...(received ? counterLine : bankLine), type: 'credit' },
+        ],
+      }],
+      userId,
+      source: CREATED_ENTRY_SOURCE,
+      metadata: {
+        transactionDate: transaction.booking_date,
+        bankTransactionId: transaction.id,
+        bankReference: transaction.bank_reference || transaction.reference || null,
+      },
+    });
+
+    const match = await this.saveMatch(userId, session, state.account, [transaction], [{
+      entryId: journalEntry.id,
+      amount: roundAmount(amount),
+    }], 'created');
+
+    logger.info('Journal entry booked from bank transaction', {
+      userId,
+      reconciliationId,
+      bankTransactionId,
+      entryId: journalEntry.id,
+    });
+
+    return { journalEntry, match, ...(await this.getReconciliation(userId, reconciliationId)) };
+  }
+
+  /**
+   * Complete a reconciliation whose cleared balance reaches the statement's closing
+   * balance with every bank transaction of the period matched; its matches are then final
+   */
+  async completeReconciliation(userId, reconciliationId) {
+    const session = await this.getOpenSession(userId, reconciliationId);
+    const state = await this.loadState(userId, session);
+    const summary = this.summarize(session, state);
+
+    if (summary.bankTransactions.unmatched > 0) {
+      throw new AppError(`${summary.bankTransactions.unmatched} bank transactions of the period are not matched`, 409);
+    }
+    if (!summary.reconciled) {
+      throw new AppError(`The reconciliation has an unreconciled difference of ${summary.unreconciledDifference}`, 409);
+    }
+
+    const { data: completed, error } = await supabase
+      .from('bank_reconciliations')
+      .update({ status: 'completed', completed_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Bank reconciliation completed', {
+      userId,
+      reconciliationId,
+      accountId: session.account_id,
+      periodEnd: session.period_end,
+    });
+
+    return this.buildReport(completed, state);
+  }
+
+  /**
+   * Refuse edits of journal entries matched to bank transactions
+   * @throws {AppError} 409 when one of the entries is matched
+   */
+  async assertUnmatched(userId, entryIds) {
+    const { data, error } = await supabase
+      .from('bank_match_entries')
+      .select('journal_entry_id')
+      .eq('user_id', userId)
+      .in('journal_entry_id', entryIds);
+
+    if (error) throw error;
+    if (data.length > 0) {
+      throw new AppError(`Journal entry ${data[0].journal_entry_id} is reconciled with a bank transaction; remove the match before editing it`, 409);
+    }
+  }
+}
+
+module.exports = new BankReconciliationService();
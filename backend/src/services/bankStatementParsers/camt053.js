@@ -0,0 +1,165 @@
+const { parseXml, find, findAll, textOf } = require('./xml');
+
+// Balance types that open and close the statement period
+const OPENING_BALANCES = ['OPBD', 'PRCD'];
+const CLOSING_BALANCES = ['CLBD'];
+// End-to-end id banks fill in when the payer gave none
+const NOT_PROVIDED = 'NOTPROVIDED';
+
+// Date of a <Dt>/<DtTm> choice
+function dateOf(element) {
+  const value = textOf(element, 'Dt') || textOf(element, 'DtTm');
+  return value ? value.slice(0, 10) : null;
+}
+
+// Amount signed by its CdtDbtInd sibling: credits add to the account, debits take from it
+function signedAmount(amountElement, indicator) {
+  const amount = parseFloat(amountElement?.text.trim());
+  if (!Number.isFinite(amount)) {
+    return null;
+  }
+  return indicator === 'DBIT' ? -amount : amount;
+}
+
+function accountIdOf(element) {
+  return textOf(element, 'Id', 'IBAN') || textOf(element, 'Id', 'Othr', 'Id');
+}
+
+// Party name, in <Nm> before camt.053.001.08 and in <Pty><Nm> after
+function partyName(element) {
+  return textOf(element, 'Nm') || textOf(element, 'Pty', 'Nm');
+}
+
+function readBalance(statement, codes) {
+  const balance = findAll(statement, 'Bal')
+    .find(element => codes.includes(textOf(element, 'Tp', 'CdOrPrtry', 'Cd')));
+  if (!balance) {
+    return { amount: null, date: null };
+  }
+  return {
+    amount: signedAmount(find(balance, 'Amt'), textOf(balance, 'CdtDbtInd')),
+    date: dateOf(find(balance, 'Dt')),
+  };
+}
+
+// The other party of a payment: the debtor of money received, the creditor of money paid
+function counterpartyOf(details, amount) {
+  const parties = find(details, 'RltdPties');
+  const [party, account] = amount < 0 ? ['Cdtr', 'CdtrAcct'] : ['Dbtr', 'DbtrAcct'];
+  return {
+    name: partyName(find(parties, party)),
+    account: accountIdOf(find(parties, account)),
+  };
+}
+
+function readTransaction(entry, details, { amount, currency, bankReference }) {
+  const remittance = find(details, 'RmtInf');
+  const endToEndId = textOf(details, 'Refs', 'EndToEndId');
+  const description = [
+    ...findAll(remittance, 'Ustrd').map(element => element.text.trim()),
+    textOf(details, 'AddtlTxInf'),
+    textOf(entry, 'AddtlNtryInf'),
+  ].filter(Boolean).join(' ');
+
+  return {
+    bookingDate: dateOf(find(entry, 'BookgDt')),
+    valueDate: dateOf(find(entry, 'ValDt')),
+    amount,
+    currency,
+    counterparty: counterpartyOf(details, amount),
+    reference: (endToEndId !== NOT_PROVIDED && endToEndId) || textOf(remittance, 'Strd', 'CdtrRefInf', 'Ref'),
+    bankReference,
+    description: description || null,
+    line: details?.line || entry.line,
+  };
+}
+
+/**
+ * Bank transactions of one <Ntry>. A batch booking with details per payment gives a
+ * transaction per payment, so each keeps its counterparty.
+ */
+function readEntry(entry) {
+  const status = textOf(entry, 'Sts', 'Cd') || textOf(entry, 'Sts');
+  if (status && status !== 'BOOK') {
+    return [];
+  }
+
+  const amountElement = find(entry, 'Amt');
+  const amount = signedAmount(amountElement, textOf(entry, 'CdtDbtInd'));
+  if (amount === null) {
+    throw new Error('Entry has no amount');
+  }
+  const currency = amountElement.attributes.Ccy || null;
+  const entryReference = textOf(entry, 'AcctSvcrRef') || textOf(entry, 'NtryRef');
+
+  const details = findAll(entry, 'NtryDtls').flatMap(element => findAll(element, 'TxDtls'));
+  const detailAmounts = details.map(element => find(element, 'Amt') || find(element, 'AmtDtls', 'TxAmt', 'Amt'));
+
+  if (details.length > 1 && detailAmounts.every(Boolean)) {
+    return details.map((element, index) => readTransaction(entry, element, {
+      amount: signedAmount(detailAmounts[index], textOf(element, 'CdtDbtInd') || textOf(entry, 'CdtDbtInd')),
+      currency: detailAmounts[index].attributes.Ccy || currency,
+      bankReference: textOf(element, 'Refs', 'AcctSvcrRef') || (entryReference && `${entryReference}/${index + 1}`),
+    }));
+  }
+
+  return [readTransaction(entry, details[0] || null, {
+    amount,
+    currency,
+    bankReference: entryReference || textOf(details[0], 'Refs', 'AcctSvcrRef'),
+  })];
+}
+
+/**
+ * ISO 20022 bank-to-customer statement (camt.053), any version. Every <Stmt> is a
+ * statement; booked <Ntry> elements are its transactions.
+ */
+module.exports = {
+  name: 'camt053',
+  label: 'CAMT.053',
+
+  detect(text) {
+    return /<(\w+:)?BkToCstmrStmt[\s>]/.test(text);
+  },
+
+  parse(text) {
+    const statements = [];
+    const errors = [];
+
+    let document;
+    try {
+      document = parseXml(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      return { statements, errors: [{ line: null, message: `Invalid XML: ${error.message}` }] };
+    }
+
+    const report = find(document, 'Document', 'BkToCstmrStmt');
+    findAll(report, 'Stmt').forEach((statement) => {
+      const opening = readBalance(statement, OPENING_BALANCES);
+      const closing = readBalance(statement, CLOSING_BALANCES);
+      const transactions = [];
+
+      findAll(statement, 'Ntry').forEach((entry) => {
+        try {
+          transactions.push(...readEntry(entry));
+        } catch (error) {
+          errors.push({ line: entry.line, message: error.message });
+        }
+      });
+
+      statements.push({
+        statementId: textOf(statement, 'Id'),
+        accountIdentifier: accountIdOf(find(statement, 'Acct')),
+        currency: textOf(statement, 'Acct', 'Ccy') || transactions[0]?.currency || null,
+        periodStart: textOf(statement, 'FrToDt', 'FrDtTm')?.slice(0, 10) || null,
+        periodEnd: textOf(statement, 'FrToDt', 'ToDtTm')?.slice(0, 10) || null,
+        openingBalance: opening.amount,
+        closingBalance: closing.amount,
+        closingDate: closing.date,
+        transactions,
+      });
+    });
+
+    return { statements, errors };
+  },
+};
@@ -0,0 +1,43 @@
+const camt053 = require('./camt053');
+const mt940 = require('./mt940');
+const ofx = require('./ofx');
+
+/**
+ * Bank statement parsers
+ *
+ * Parsers share one interface:
+ * - name: stored with every imported statement
+ * - label: display name
+ * - detect(text): whether a file is in this format
+ * - parse(text): { statements, errors }, where errors are parts of the file that
+ *   could not be read ({ line, message }) and every statement is normalized to
+ *   { statementId, accountIdentifier, currency, periodStart, periodEnd,
+ *     openingBalance, closingBalance, closingDate, transactions }
+ *
+ * Each transaction is
+ * { bookingDate, valueDate, amount, currency, counterparty: { name, account },
+ *   reference, bankReference, description, line }
+ * amount is signed from the account holder's side: money received is positive, money
+ * paid negative. Balances are signed the same way. reference is the payer's reference
+ * (end-to-end id, cheque number), bankReference the bank's own id for the booking;
+ * dates are YYYY-MM-DD and line is where the transaction starts in the file.
+ */
+const PARSERS = [camt053, mt940, ofx];
+
+function getParser(format) {
+  return PARSERS.find(parser => parser.name === format) || null;
+}
+
+function detectParser(text) {
+  return PARSERS.find(parser => parser.detect(text)) || null;
+}
+
+function listParsers() {
+  return PARSERS.map(({ name, label }) => ({ name, label }));
+}
+
+module.exports = {
+  getParser,
+  detectParser,
+  listParsers,
+};
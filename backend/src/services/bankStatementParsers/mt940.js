@@ -0,0 +1,230 @@
+// :61: statement line: value date, entry date, mark, funds code, amount, type, references, details
+const STATEMENT_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^/\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+// :60F:, :62F: and their intermediate forms: mark, date, currency, amount
+const BALANCE = /^([CD])(\d{6})([A-Z]{3})(\d+,\d*)$/;
+// Customer reference of a payment made without one
+const NO_REFERENCE = 'NONREF';
+
+// MT940 amounts use a decimal comma and carry no sign
+function parseAmount(value) {
+  return parseFloat(value.replace(',', '.'));
+}
+
+function parseDate(value) {
+  const year = parseInt(value.slice(0, 2), 10);
+  return `${year < 80 ? 2000 + year : 1900 + year}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+// Entry date (MMDD) of a line, in the year of its value date or the next one around New Year
+function entryDate(valueDate, monthDay) {
+  let year = parseInt(valueDate.slice(0, 4), 10);
+  const valueMonth = parseInt(valueDate.slice(5, 7), 10);
+  const month = parseInt(monthDay.slice(0, 2), 10);
+  if (valueMonth === 12 && month === 1) {
+    year++;
+  } else if (valueMonth === 1 && month === 12) {
+    year--;
+  }
+  return `${year}-${monthDay.slice(0, 2)}-${monthDay.slice(2, 4)}`;
+}
+
+function readBalance(value) {
+  const match = BALANCE.exec(value.replace(/\s/g, ''));
+  if (!match) {
+    return null;
+  }
+  const amount = parseAmount(match[4]);
+  return { amount: match[1] === 'D' ? -amount : amount, date: parseDate(match[2]), currency: match[3] };
+}
+
+/**
+ * Details of a :86: field. Three layouts are common: German banks' "?20".."?63"
+ * subfields after a business code, the Dutch/SEPA "/EREF/.../NAME/..." keywords,
+ * and free text.
+ */
+function readInformation(value) {
+  const text = value.replace(/\n/g, '');
+
+  if (/^\d{3}\?/.test(text)) {
+    const fields = {};
+    text.slice(3).split('?').slice(1).forEach((field) => {
+      const code = field.slice(0, 2);
+      fields[code] = (fields[code] || '') + field.slice(2);
+    });
+    const purpose = Object.keys(fields)
+      .filter(code => (code >= '20' && code <= '29') || (code >= '60' && code <= '63'))
+      .sort()
+      .map(code => fields[code])
+      .join('');
+    const eref = /EREF\+(\S+)/.exec(purpose);
+
+    return {
+      name: [fields['32'], fields['33']].filter(Boolean).join('') || null,
+      account: fields['31'] || null,
+      reference: eref ? eref[1] : null,
+      description: purpose || fields['00'] || null,
+    };
+  }
+
+  if (/^\/[A-Z]{3,4}\//.test(text)) {
+    const keywords = {};
+    const pattern = /\/(EREF|CNTP|NAME|IBAN|BIC|REMI|ORDP|BENM|MARF|PREF|TRCD|ADDR|CSID|ID|RTRN)\/([\s\S]*?)(?=\/(?:EREF|CNTP|NAME|IBAN|BIC|REMI|ORDP|BENM|MARF|PREF|TRCD|ADDR|CSID|ID|RTRN)\/|$)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      keywords[match[1]] = match[2].trim().replace(/\/$/, '');
+    }
+    // /CNTP/<account>/<bic>/<name>/<city>/ groups the counterparty in one keyword
+    const counterparty = keywords.CNTP ? keywords.CNTP.split('/') : [];
+
+    return {
+      name: keywords.NAME || counterparty[2] || null,
+      account: keywords.IBAN || counterparty[0] || null,
+      reference: (keywords.EREF !== 'NOTPROVIDED' && keywords.EREF) || keywords.PREF || null,
+      description: (keywords.REMI || '').replace(/^(USTD|STRD)\/\/?(CUR\/\/)?/, '') || null,
+    };
+  }
+
+  return { name: null, account: null, reference: null, description: text.trim() || null };
+}
+
+/**
+ * Fields of the file in order as { tag, value, line }; values keep the line breaks of
+ * multi-line fields. The SWIFT {1:}{2:}{4: envelope and "-" block ends are dropped.
+ */
+function readFields(text) {
+  const fields = [];
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const line = raw.replace(/^\{1:[^}]*\}(\{2:[^}]*\})?(\{3:[^}]*\})?\{4:/, '');
+    const tag = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2], line: index + 1 });
+    } else if (/^-\}?$/.test(line.trim())) {
+      fields.push({ tag: '-', value: '', line: index + 1 });
+    } else if (fields.length > 0 && line.trim() !== '') {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+  return fields;
+}
+
+/**
+ * SWIFT MT940 customer statement. A statement starts at each :20: field; :61:
+ * lines are its transactions, each described by the :86: field that follows it.
+ */
+module.exports = {
+  name: 'mt940',
+  label: 'MT940',
+
+  detect(text) {
+    return /^:20:/m.test(text) && /^:6[01][FM]?:/m.test(text);
+  },
+
+  parse(text) {
+    const statements = [];
+    const errors = [];
+    let statement = null;
+    let transaction = null;
+
+    readFields(text).forEach(({ tag, value, line }) => {
+      if (tag === '20') {
+        statement = {
+          statementId: value.trim(),
+          accountIdentifier: null,
+          currency: null,
+          periodStart: null,
+          periodEnd: null,
+          openingBalance: null,
+          closingBalance: null,
+          closingDate: null,
+          transactions: [],
+        };
+        statements.push(statement);
+        transaction = null;
+        return;
+      }
+      if (!statement || tag === '-') {
+        transaction = null;
+        return;
+      }
+
+      switch (tag) {
+      case '25':
+        statement.accountIdentifier = value.trim();
+        break;
+      case '28C':
+        statement.statementId = `${statement.statementId}/${value.trim()}`;
+        break;
+      case '60F':
+      case '60M': {
+        const balance = readBalance(value);
+        if (!balance) {
+          errors.push({ line, message: 'Invalid opening balance' });
+          break;
+        }
+        // An intermediate (M) balance continues a statement split over several messages
+        if (tag === '60F' || statement.openingBalance === null) {
+          statement.openingBalance = balance.amount;
+          statement.periodStart = balance.date;
+        }
+        statement.currency = balance.currency;
+        break;
+      }
+      case '62F':
+      case '62M': {
+        const balance = readBalance(value);
+        if (!balance) {
+          errors.push({ line, message: 'Invalid closing balance' });
+          break;
+        }
+        statement.closingBalance = balance.amount;
+        statement.closingDate = balance.date;
+        statement.periodEnd = balance.date;
+        break;
+      }
+      case '61': {
+        const match = STATEMENT_LINE.exec(value);
+        if (!match) {
+          errors.push({ line, message: 'Unreadable statement line' });
+          transaction = null;
+          break;
+        }
+        const [, valueDate, monthDay, mark, , amount, , reference, bankReference, details] = match;
+        const booked = parseDate(valueDate);
+        const customerReference = reference.trim();
+        // Reversals: RC takes back a credit, RD a debit
+        const sign = mark === 'D' || mark === 'RC' ? -1 : 1;
+
+        transaction = {
+          bookingDate: monthDay ? entryDate(booked, monthDay) : booked,
+          valueDate: booked,
+          amount: sign * parseAmount(amount),
+          currency: statement.currency,
+          counterparty: { name: null, account: null },
+          reference: customerReference && customerReference !== NO_REFERENCE ? customerReference : null,
+          bankReference: bankReference ? bankReference.trim() : null,
+          description: details ? details.trim() : null,
+          line,
+        };
+        statement.transactions.push(transaction);
+        break;
+      }
+      case '86': {
+        if (!transaction) {
+          break;
+        }
+        const information = readInformation(value);
+        transaction.counterparty = { name: information.name, account: information.account };
+        transaction.reference = transaction.reference || information.reference;
+        transaction.description = information.description || transaction.description;
+        transaction = null;
+        break;
+      }
+      default:
+        break;
+      }
+    });
+
+    return { statements, errors };
+  },
+};
@@ -0,0 +1,119 @@
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+};
+
+/**
+ * Value of a leaf element in an OFX block. OFX 1.x is SGML whose leaf elements have
+ * no closing tag, OFX 2.x is XML; both put the value right after the opening tag.
+ */
+function valueOf(block, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  const value = match ? match[1].trim().replace(/&(\w+);/g, (entity, name) => ENTITIES[name.toLowerCase()] ?? entity) : '';
+  return value || null;
+}
+
+// Contents of each <TAG>...</TAG> aggregate, with the line it starts on
+function blocksOf(text, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    blocks.push({ content: match[1], line: text.slice(0, match.index).split('\n').length });
+  }
+  return blocks;
+}
+
+// YYYYMMDD[HHMMSS[.XXX]][[+-hh:TZ]] to YYYY-MM-DD
+function parseDate(value) {
+  const match = value && /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Some banks write a decimal comma
+function parseAmount(value) {
+  const amount = value ? parseFloat(value.replace(',', '.')) : NaN;
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function readTransaction(block, currency) {
+  const amount = parseAmount(valueOf(block.content, 'TRNAMT'));
+  const bookingDate = parseDate(valueOf(block.content, 'DTPOSTED'));
+  if (amount === null || !bookingDate) {
+    throw new Error('Transaction has no amount or posting date');
+  }
+
+  const payee = blocksOf(block.content, 'PAYEE')[0];
+  const accountTo = blocksOf(block.content, 'BANKACCTTO')[0] || blocksOf(block.content, 'CCACCTTO')[0];
+  const originalCurrency = blocksOf(block.content, 'ORIGCURRENCY')[0];
+
+  return {
+    bookingDate,
+    valueDate: parseDate(valueOf(block.content, 'DTUSER')) || bookingDate,
+    amount,
+    currency: (originalCurrency ? null : valueOf(block.content, 'CURSYM')) || currency,
+    counterparty: {
+      name: valueOf(block.content, 'NAME') || (payee && valueOf(payee.content, 'NAME')),
+      account: accountTo ? valueOf(accountTo.content, 'ACCTID') : null,
+    },
+    reference: valueOf(block.content, 'REFNUM') || valueOf(block.content, 'CHECKNUM'),
+    bankReference: valueOf(block.content, 'FITID'),
+    description: valueOf(block.content, 'MEMO'),
+    line: block.line,
+  };
+}
+
+/**
+ * Open Financial Exchange statement download (OFX 1.x SGML or 2.x XML, .ofx/.qfx).
+ * Each bank or credit card statement response is a statement; OFX carries no
+ * opening balance, only the ledger balance at its end.
+ */
+module.exports = {
+  name: 'ofx',
+  label: 'OFX',
+
+  detect(text) {
+    return /OFXHEADER/.test(text) || /<OFX>/i.test(text);
+  },
+
+  parse(text) {
+    const statements = [];
+    const errors = [];
+
+    const responses = [...blocksOf(text, 'STMTRS'), ...blocksOf(text, 'CCSTMTRS')];
+    responses.forEach((response) => {
+      const currency = valueOf(response.content, 'CURDEF');
+      const account = blocksOf(response.content, 'BANKACCTFROM')[0] || blocksOf(response.content, 'CCACCTFROM')[0];
+      const transactionList = blocksOf(response.content, 'BANKTRANLIST')[0];
+      const ledgerBalance = blocksOf(response.content, 'LEDGERBAL')[0];
+      const transactions = [];
+
+      blocksOf(response.content, 'STMTTRN').forEach((block) => {
+        const located = { ...block, line: response.line + block.line - 1 };
+        try {
+          transactions.push(readTransaction(located, currency));
+        } catch (error) {
+          errors.push({ line: located.line, message: error.message });
+        }
+      });
+
+      statements.push({
+        statementId: null,
+        accountIdentifier: account ? valueOf(account.content, 'ACCTID') : null,
+        currency,
+        periodStart: transactionList ? parseDate(valueOf(transactionList.content, 'DTSTART')) : null,
+        periodEnd: transactionList ? parseDate(valueOf(transactionList.content, 'DTEND')) : null,
+        openingBalance: null,
+        closingBalance: ledgerBalance ? parseAmount(valueOf(ledgerBalance.content, 'BALAMT')) : null,
+        closingDate: ledgerBalance ? parseDate(valueOf(ledgerBalance.content, 'DTASOF')) : null,
+        transactions,
+      });
+    });
+
+    return { statements, errors };
+  },
+};
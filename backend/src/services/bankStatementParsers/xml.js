@@ -0,0 +1,109 @@
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[localName(match[1])] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+// Element name without its namespace prefix
+function localName(name) {
+  return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+}
+
+/**
+ * Minimal XML reader for bank statements: elements, attributes, text, CDATA and
+ * entities. Namespace prefixes are dropped; processing instructions, comments and
+ * doctypes are skipped.
+ * @param {string} text - Document
+ * @returns {Object} Root element { name, attributes, children, text, line }
+ */
+function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '', line: 1 };
+  const stack = [root];
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let line = 1;
+  let offset = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    line += (text.slice(offset, match.index).match(/\n/g) || []).length;
+    offset = match.index;
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, name, attributes, selfClosing, characters] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (characters !== undefined) {
+      current.text += decodeEntities(characters);
+    } else if (name && closing) {
+      if (stack.length === 1 || current.name !== localName(name)) {
+        throw new Error(`Unexpected closing tag </${name}> on line ${line}`);
+      }
+      stack.pop();
+    } else if (name) {
+      const element = { name: localName(name), attributes: parseAttributes(attributes), children: [], text: '', line };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Element <${stack[stack.length - 1].name}> is not closed`);
+  }
+  return root;
+}
+
+/**
+ * First element along a path of child names, or null
+ */
+function find(element, ...path) {
+  return path.reduce((node, name) => node?.children.find(child => child.name === name) || null, element);
+}
+
+/**
+ * All children of an element with a name
+ */
+function findAll(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Trimmed text of the element along a path, or null when it is missing or empty
+ */
+function textOf(element, ...path) {
+  const node = find(element, ...path);
+  const text = node?.text.trim();
+  return text || null;
+}
+
+module.exports = {
+  parseXml,
+  find,
+  findAll,
+  textOf,
+};
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const bankStatementParsers = require('./bankStatementParsers');
+const accountService = require('./accountService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Fingerprints looked up per query
+const LOOKUP_BATCH_SIZE = 200;
+
+/**
+ * Bank statement imports
+ * Reads CAMT.053, MT940 and OFX files (see bankStatementParsers) into
+ * bank_statements and bank_transactions rows of one asset account of the user's
+ * chart, usually 'Bank Account - Operating' or 'Bank Account - Crypto Exchange'.
+ * Transactions keep their counterparty and references for categorization and
+ * reconciliation against the journal.
+ *
+ * Statements overlap (a monthly file repeats the days of the weekly ones), so each
+ * transaction gets a fingerprint from the bank's reference for it, or from its
+ * contents when the bank gives none. Transactions whose fingerprint the account
+ * already has are duplicates and are not stored again.
+ */
+class BankStatementService {
+  listFormats() {
+    return bankStatementParsers.listParsers();
+  }
+
+  /**
+   * Fingerprint of a transaction in an account; `occurrence` tells apart identical
+   * transactions without a bank reference in one file
+   */
+  fingerprint(accountId, transaction, occurrence = 0) {
+    const key = transaction.bankReference
+      ? `ref|${transaction.bankReference}`
+      : JSON.stringify([
+        transaction.bookingDate,
+        transaction.amount,
+        transaction.currency,
+        transaction.reference,
+        transaction.counterparty.name,
+        transaction.description,
+        occurrence,
+      ]);
+    return crypto.createHash('sha256').update(`${accountId}|${key}`).digest('hex');
+  }
+
+  /**
+   * Parse a statement file with the parser of `format`, or the one that recognizes it
+   * @param {string} accountId - Account the transactions are fingerprinted for
+   * @param {string} text - File contents
+   * @param {string} format - camt053, mt940 or ofx; detected when not given
+   * @returns {Object} { format, statements, errors }
+   */
+  parse(accountId, text, format = null) {
+    let parser;
+    if (format) {
+      parser = bankStatementParsers.getParser(format);
+      if (!parser) {
+        throw new AppError(`Unsupported statement format: ${format}`, 400);
+      }
+      if (!parser.detect(text)) {
+        throw new AppError(`The file is not a ${parser.label} statement`, 400);
+      }
+    } else {
+      parser = bankStatementParsers.detectParser(text);
+      if (!parser) {
+        const labels = this.listFormats().map(({ label }) => label).join(', ');
+        throw new AppError(`Unrecognized statement format; expected one of: ${labels}`, 400);
+      }
+    }
+
+    const { statements, errors } = parser.parse(text);
+    if (statements.length === 0 && errors.length === 0) {
+      throw new AppError(`No ${parser.label} statements found in the file`, 400);
+    }
+
+    const occurrences = new Map();
+    const fingerprinted = statements.map(statement => ({
+      ...statement,
+      transactions: statement.transactions.map((transaction) => {
+        const withCurrency = { ...transaction, currency: transaction.currency || statement.currency };
+        let occurrence = 0;
+        if (!transaction.bankReference) {
+          const plain = this.fingerprint(accountId, withCurrency);
+          occurrence = occurrences.get(plain) || 0;
+          occurrences.set(plain, occurrence + 1);
+        }
+        return { ...withCurrency, fingerprint: this.fingerprint(accountId, withCurrency, occurrence) };
+      }),
+    }));
+
+    return { format: parser.name, statements: fingerprinted, errors };
+  }
+
+  /**
+   * The asset account of the user's chart that statements are imported into
+   */
+  async getBankAccount(userId, accountId) {
+    const chartOfAccounts = await accountService.getChartOfAccounts(userId);
+    const account = chartOfAccounts.find(candidate => candidate.id === accountId);
+
+    if (!account) {
+      throw new AppError('Account not found', 404);
+    }
+    if (account.account_type !== 'ASSET') {
+      throw new AppError(`Statements can only be imported into an asset account, not ${account.name}`, 400);
+    }
+    return account;
+  }
+
+  /**
+   * Fingerprints among `fingerprints` the account already has
+   * @returns {Set<string>}
+   */
+  async findExistingFingerprints(accountId, fingerprints) {
+    const existing = new Set();
+
+    for (let i = 0; i < fingerprints.length; i += LOOKUP_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('bank_transactions')
+        .select('fingerprint')
+        .eq('account_id', accountId)
+        .in('fingerprint', fingerprints.slice(i, i + LOOKUP_BATCH_SIZE));
+
+      if (error) throw error;
+      data.forEach(row => existing.add(row.fingerprint));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Dry run of an import: the statements and transactions the file holds, and which
+   * transactions the account already has
+   * @param {string} userId
+   * @param {Object} params - { accountId, text, format }
+   * @returns {Object} { format, account, summary, statements, errors }
+   */
+  async preview(userId, { accountId, text, format = null }) {
+    const account = await this.getBankAccount(userId, accountId);
+    const parsed = this.parse(account.id, text, format);
+    const transactions = parsed.statements.flatMap(statement => statement.transactions);
+    const existing = await this.findExistingFingerprints(account.id, transactions.map(transaction => transaction.fingerprint));
+
+    const statements = parsed.statements.map(statement => ({
+      ...statement,
+      transactions: statement.transactions.map(transaction => ({
+        ...transaction,
+        duplicate: existing.has(transaction.fingerprint),
+      })),
+    }));
+    const previewed = statements.flatMap(statement => statement.transactions);
+
+    return {
+      format: parsed.format,
+      account: { id: account.id, code: account.code, name: account.name },
+      summary: {
+        statements: statements.length,
+        transactions: previewed.length,
+        new: previewed.filter(transaction => !transaction.duplicate).length,
+        duplicates: previewed.filter(transaction => transaction.duplicate).length,
+        invalidLines: parsed.errors.length,
+      },
+      statements,
+      errors: parsed.errors,
+    };
+  }
+
+  /**
+   * Store the statements of a file and the transactions the account does not have yet
+   * @param {string} userId
+   * @param {Object} params - { accountId, text, format, fileName }
+   * @returns {Object} { format, statements, errors } - statements as stored, with their counts
+   */
+  async importStatement(userId, { accountId, text, format = null, fileName = null }) {
+    const account = await this.getBankAccount(userId, accountId);
+    const parsed = this.parse(account.id, text, format);
+    const stored = [];
+
+    for (const statement of parsed.statements) {
+      const { data: statementRow, error: statementError } = await supabase
+        .from('bank_statements')
+        .insert({
+          user_id: userId,
+          account_id: account.id,
+          format: parsed.format,
+          file_name: fileName,
+          statement_reference: statement.statementId,
+          account_identifier: statement.accountIdentifier,
+          currency: statement.currency,
+          period_start: statement.periodStart,
+          period_end: statement.periodEnd,
+          opening_balance: statement.openingBalance,
+          closing_balance: statement.closingBalance,
+          closing_date: statement.closingDate,
+          transactions_total: statement.transactions.length,
+        })
+        .select()
+        .single();
+
+      if (statementError) throw statementError;
+
+      let imported = [];
+      if (statement.transactions.length > 0) {
+        // ignoreDuplicates skips the fingerprints already stored, by earlier imports or a concurrent one
+        const { data, error } = await supabase
+          .from('bank_transactions')
+          .upsert(statement.transactions.map(transaction => ({
+            user_id: userId,
+            account_id: account.id,
+            statement_id: statementRow.id,
+            fingerprint: transaction.fingerprint,
+            booking_date: transaction.bookingDate,
+            value_date: transaction.valueDate,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            counterparty_name: transaction.counterparty.name,
+            counterparty_account: transaction.counterparty.account,
+            reference: transaction.reference,
+            bank_reference: transaction.bankReference,
+            description: transaction.description,
+          })), { onConflict: 'account_id,fingerprint', ignoreDuplicates: true })
+          .select('id');
+
+        if (error) throw error;
+        imported = data;
+      }
+
+      const { data: updatedRow, error: updateError } = await supabase
+        .from('bank_statements')
+        .update({
+          transactions_imported: imported.length,
+          transactions_duplicate: statement.transactions.length - imported.length,
+        })
+        .eq('id', statementRow.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+      stored.push(updatedRow);
+    }
+
+    logger.info('Bank statement imported', {
+      userId,
+      accountId: account.id,
+      format: parsed.format,
+      statements: stored.length,
+      imported: stored.reduce((sum, statement) => sum + statement.transactions_imported, 0),
+      invalidLines: parsed.errors.length,
+    });
+
+    return { format: parsed.format, statements: stored, errors: parsed.errors };
+  }
+
+  /**
+   * Imported statements, latest first
+   * @param {string} userId
+   * @param {string} accountId - Only the statements of this account
+   */
+  async listStatements(userId, accountId = null) {
+    let query = supabase
+      .from('bank_statements')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (accountId) {
+      query = query.eq('account_id', accountId);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * A statement with the transactions it brought in, in booking order
+   */
+  async getStatement(userId, statementId) {
+    const { data: statement, error } = await supabase
+      .from('bank_statements')
+      .select('*')
+      .eq('id', statementId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!statement) {
+      throw new AppError('Statement not found', 404);
+    }
+
+    const { data: transactions, error: transactionsError } = await supabase
+      .from('bank_transactions')
+      .select('*')
+      .eq('statement_id', statementId)
+      .order('booking_date')
+      .order('created_at');
+
+    if (transactionsError) throw transactionsError;
+    return { ...statement, transactions };
+  }
+}
+
+module.exports = new BankStatementService();
@@ -1,15 +1,59 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { AppError } = require('../middleware/errorHandler');
+const { toAddressSet } = require('../utils/addresses');
+const chainRegistry = require('./chainRegistry');
+
+// Address history streams walked by wallet sync, with their v2 endpoint and normalizer
+const ADDRESS_HISTORY_STREAMS = {
+  transactions: {
+    path: 'transactions',
+    params: { filter: 'to|from' },
+    normalize: 'normalizeTransactionData',
+  },
+  token_transfers: {
+    path: 'token-transfers',
+    params: { type: 'ERC-20,ERC-721,ERC-1155' },
+    normalize: 'normalizeTokenTransfer',
+  },
+  internal_transactions: {
+    path: 'internal-transactions',
+    params: {},
+    normalize: 'normalizeInternalTransaction',
+  },
+};
+
+// One client per chain, created on first use
+const chainClients = new Map();
 
 class BlockscoutClient {
-  constructor() {
-    this.baseURL = process.env.BLOCKSCOUT_BASE_URL || 'https://eth.blockscout.com';
+  /**
+   * @param {string|Object} chain - Chain key or registry record (default chain when omitted)
+   */
+  constructor(chain = null) {
+    this.chain = chainRegistry.getChain(chain);
+    this.baseURL = this.chain.explorerBaseUrl;
     this.apiKey = process.env.BLOCKSCOUT_API_KEY;
     this.client = null;
     this.initialized = false;
   }
 
+  /**
+   * Client for another chain's explorer
+   * @param {string} chain - Chain key or chain id (default chain when omitted)
+   * @returns {BlockscoutClient}
+   */
+  forChain(chain) {
+    const target = chainRegistry.getChain(chain);
+    if (target.key === this.chain.key) {
+      return this;
+    }
+    if (!chainClients.has(target.key)) {
+      chainClients.set(target.key, new BlockscoutClient(target));
+    }
+    return chainClients.get(target.key);
+  }
+
   initialize() {
     if (this.initialized) return;
 
@@ -66,7 +110,8 @@ class BlockscoutClient {
   /**
    * Get all transactions for a wallet address (comprehensive bulk fetching)
    * @param {string} address - Wallet address
-   * @param {Object} options - Pagination and filtering options
+   * @param {Object} options - Pagination and filtering options; ownAddresses lists the
+   *   other wallets of the business, so transfers between them are recognized
    * @returns {Object} Complete transaction history with categorization
    */
   async getWalletTransactions(address, options = {}) {
@@ -83,7 +128,8 @@ class BlockscoutClient {
         sort = 'desc',
         includeTokens = true,
         includeInternal = true,
-        includeFailed = false
+        includeFailed = false,
+        ownAddresses = [],
       } = options;
 
       // Fetch all transaction types in parallel
@@ -111,7 +157,7 @@ class BlockscoutClient {
       );
 
       // Categorize transaction types for AI analysis
-      const categorizedTransactions = await this.categorizeTransactions(sortedTransactions, address);
+      const categorizedTransactions = await this.categorizeTransactions(sortedTransactions, [address, ...ownAddresses]);
 
       logger.info(`Fetched ${categorizedTransactions.length} transactions for ${address}`, {
         regular: regularTxs.length,
@@ -216,13 +262,46 @@ class BlockscoutClient {
     }
   }
 
+  /**
+   * Fetch one page of an address history stream using Blockscout v2 keyset pagination
+   * Unlike the per-type fetchers above, errors are thrown so callers never mistake
+   * a failed request for the end of the history.
+   * @param {string} address - Wallet address
+   * @param {string} stream - 'transactions', 'token_transfers' or 'internal_transactions'
+   * @param {Object|null} pageParams - next_page_params of the previous page (null = newest page)
+   * @returns {Object} { items, nextPageParams } with items normalized, newest first
+   */
+  async getAddressHistoryPage(address, stream, pageParams = null) {
+    this.initialize();
+
+    const endpoint = ADDRESS_HISTORY_STREAMS[stream];
+    if (!endpoint) {
+      throw new AppError(`Unknown address history stream: ${stream}`, 400);
+    }
+
+    const response = await this.client.get(`/api/v2/addresses/${address}/${endpoint.path}`, {
+      params: { ...endpoint.params, ...pageParams },
+    });
+
+    const items = response.data.items || [];
+
+    return {
+      items: items.map(item => this[endpoint.normalize](item)),
+      nextPageParams: response.data.next_page_params || null,
+    };
+  }
+
   /**
    * Categorize transactions by type for better AI analysis
+   * @param {Array} transactions - Normalized transactions
+   * @param {string|Array<string>} ownAddresses - The analyzed wallet, or every wallet of the business
    */
-  async categorizeTransactions(transactions, userAddress) {
+  async categorizeTransactions(transactions, ownAddresses) {
+    const owned = toAddressSet(ownAddresses);
+
     return transactions.map(tx => {
-      const category = this.detectTransactionCategory(tx, userAddress);
-      const direction = this.getTransactionDirection(tx, userAddress);
+      const category = this.detectTransactionCategory(tx, owned);
+      const direction = this.getTransactionDirection(tx, owned);
       
       // For token transfers, override actualAmount and currency with token data
       let finalAmount = tx.actualAmount;
@@ -244,7 +323,7 @@ class BlockscoutClient {
         ...tx,
         category,
         direction,
-        isUserInitiated: tx.from && tx.from.toLowerCase() === userAddress.toLowerCase(),
+        isUserInitiated: owned.has(tx.from?.toLowerCase()),
         // Override amount and currency for display
         actualAmount: finalAmount,
         currency: currency,
@@ -261,8 +340,8 @@ class BlockscoutClient {
   /**
    * Detect transaction category based on patterns and contract interactions
    */
-  detectTransactionCategory(tx, userAddress) {
-    const lowerAddress = userAddress.toLowerCase();
+  detectTransactionCategory(tx, ownAddresses) {
+    const owned = toAddressSet(ownAddresses);
     const fromAddress = tx.from?.toLowerCase();
     const toAddress = tx.to?.toLowerCase();
     const input = tx.input || '';
@@ -273,9 +352,11 @@ class BlockscoutClient {
       const tokenFromAddress = tx.tokenTransfer.from?.toLowerCase();
       const tokenToAddress = tx.tokenTransfer.to?.toLowerCase();
       
-      if (tokenFromAddress === lowerAddress) {
+      if (owned.has(tokenFromAddress) && owned.has(tokenToAddress)) {
+        return 'internal_transfer'; // Tokens moved between the user's own wallets
+      } else if (owned.has(tokenFromAddress)) {
         return 'token_transfer'; // User sent tokens
-      } else if (tokenToAddress === lowerAddress) {
+      } else if (owned.has(tokenToAddress)) {
         return 'token_received'; // User received tokens
       } else {
         return 'token_transfer'; // Token transfer involving user
@@ -284,16 +365,23 @@ class BlockscoutClient {
 
     // PRIORITY 2: Legacy token detection for compatibility
     if (tx.tokenSymbol && tx.actualAmount !== undefined) {
-      if (fromAddress === lowerAddress) {
+      if (owned.has(fromAddress) && owned.has(toAddress)) {
+        return 'internal_transfer';
+      } else if (owned.has(fromAddress)) {
         return 'token_transfer'; // User sent tokens
-      } else if (toAddress === lowerAddress) {
+      } else if (owned.has(toAddress)) {
         return 'token_received'; // User received tokens
       } else {
         return 'token_transfer'; // Token transfer involving user
       }
     }
 
-    // PRIORITY 3: Check for token transfer patterns in transaction data
+    // PRIORITY 3: Native value moved between the user's own wallets
+    if (value > 0 && owned.has(fromAddress) && owned.has(toAddress)) {
+      return 'internal_transfer';
+    }
+
+    // PRIORITY 4: Check for token transfer patterns in transaction data
     if (input.length > 10) {
       const functionSig = input.slice(0, 10);
       
@@ -319,7 +407,7 @@ class BlockscoutClient {
       }
     }
 
-    // PRIORITY 4: Known contract patterns and addresses for categorization
+    // PRIORITY 5: Known contract patterns and addresses for categorization
     const contractPatterns = {
       // Staking patterns
       staking: [
@@ -353,30 +441,29 @@ class BlockscoutClient {
       }
     }
 
-    // PRIORITY 5: Value-based categorization for native currency transfers
+    // PRIORITY 6: Value-based categorization for native currency transfers
     // Only categorize as native transfer if there's meaningful value (> gas fees)
     // Use the network currency for proper thresholds
-    const isCoston2 = tx.networkCurrency === 'C2FLR';
-    const minTransferThreshold = isCoston2 ? 0.1 : 0.01; // Higher threshold for C2FLR since it's testnet
+    const minTransferThreshold = chainRegistry.getChain(tx.chain || this.chain).minTransferValue;
     
     if (value > minTransferThreshold) {
-      if (fromAddress === lowerAddress) {
+      if (owned.has(fromAddress)) {
         return 'outgoing_transfer';
-      } else if (toAddress === lowerAddress) {
+      } else if (owned.has(toAddress)) {
         return 'incoming_transfer';
       }
     }
 
-    // PRIORITY 6: Contract interaction with small native value
+    // PRIORITY 7: Contract interaction with small native value
     if (input && input.length > 10 && value <= minTransferThreshold) {
       return 'contract_interaction';
     }
 
-    // PRIORITY 7: Small native value transactions (likely gas fees or minimal transfers)
+    // PRIORITY 8: Small native value transactions (likely gas fees or minimal transfers)
     if (value > 0 && value <= minTransferThreshold) {
-      if (fromAddress === lowerAddress) {
+      if (owned.has(fromAddress)) {
         return 'outgoing_transfer';
-      } else if (toAddress === lowerAddress) {
+      } else if (owned.has(toAddress)) {
         return 'incoming_transfer';
       }
     }
@@ -386,17 +473,18 @@ class BlockscoutClient {
 
   /**
    * Determine transaction direction (incoming/outgoing)
+   * 'self' covers transfers between two wallets of the business
    */
-  getTransactionDirection(tx, userAddress) {
-    const lowerAddress = userAddress.toLowerCase();
+  getTransactionDirection(tx, ownAddresses) {
+    const owned = toAddressSet(ownAddresses);
     const fromAddress = tx.from?.toLowerCase();
     const toAddress = tx.to?.toLowerCase();
 
-    if (fromAddress === lowerAddress && toAddress === lowerAddress) {
+    if (owned.has(fromAddress) && owned.has(toAddress)) {
       return 'self';
-    } else if (fromAddress === lowerAddress) {
+    } else if (owned.has(fromAddress)) {
       return 'outgoing';
-    } else if (toAddress === lowerAddress) {
+    } else if (owned.has(toAddress)) {
       return 'incoming';
     } else {
       return 'internal'; // Internal transaction where user address is involved
@@ -518,9 +606,9 @@ class BlockscoutClient {
 
       // Volume calculations
       if (tx.direction === 'incoming' && tx.value) {
-        summary.volume.eth.incoming += parseFloat(tx.value) / Math.pow(10, 18);
+        summary.volume.eth.incoming += parseFloat(tx.value) / Math.pow(10, this.chain.decimals);
       } else if (tx.direction === 'outgoing' && tx.value) {
-        summary.volume.eth.outgoing += parseFloat(tx.value) / Math.pow(10, 18);
+        summary.volume.eth.outgoing += parseFloat(tx.value) / Math.pow(10, this.chain.decimals);
       }
 
       if (tx.tokenSymbol && tx.actualAmount) {
@@ -610,19 +698,17 @@ class BlockscoutClient {
   }
 
   normalizeTransactionData(txData) {
-    // Convert Wei to native currency (C2FLR for Coston2, ETH for Ethereum)
+    const nativeDecimals = this.chain.decimals;
+
+    // Convert Wei to the chain's native currency
     const rawValue = txData.value?.value || txData.value || '0';
-    const actualValue = parseFloat(rawValue) / Math.pow(10, 18); // Convert Wei to native currency
+    const actualValue = parseFloat(rawValue) / Math.pow(10, nativeDecimals); // Convert Wei to native currency
     
     // Calculate gas fee properly
     const gasUsed = parseInt(txData.gas_used || txData.gasUsed || 0);
     const gasPrice = parseInt(txData.gas_price || txData.gasPrice || 0);
     const gasFeeWei = gasUsed * gasPrice;
-    const gasFeeNative = gasFeeWei / Math.pow(10, 18); // Convert to native currency
-    
-    // Determine network currency based on base URL
-    const isCoston2 = this.baseURL.includes('coston2');
-    const networkCurrency = isCoston2 ? 'C2FLR' : 'ETH';
+    const gasFeeNative = gasFeeWei / Math.pow(10, nativeDecimals); // Convert to native currency
     
     // Process token transfers if present
     let tokenTransferData = null;
@@ -651,7 +737,8 @@ class BlockscoutClient {
       gasPrice: gasPrice,
       gasFee: gasFeeNative, // Calculated gas fee in native currency
       gasFeeWei: gasFeeWei, // Raw gas fee in Wei
-      networkCurrency: networkCurrency, // C2FLR or ETH
+      networkCurrency: this.chain.nativeSymbol, // Native symbol of the chain (C2FLR, FLR, ETH, ...)
+      chain: this.chain.key,
       blockNumber: txData.block_number || txData.blockNumber,
       timestamp: new Date(txData.timestamp || parseInt(txData.timeStamp) * 1000),
       status: txData.status === 'ok' || txData.success ? 'success' : 'failed',
@@ -693,6 +780,8 @@ class BlockscoutClient {
       gasUsed: transfer.gas_used || transfer.gasUsed,
       gasPrice: transfer.gas_price || transfer.gasPrice,
       type: transfer.type || 'ERC-20',
+      networkCurrency: this.chain.nativeSymbol,
+      chain: this.chain.key,
     };
   }
 
@@ -700,16 +789,16 @@ class BlockscoutClient {
    * Normalize internal transactions
    */
   normalizeInternalTransaction(tx) {
-    // Convert Wei to ETH for internal transactions
+    // Convert Wei to the chain's native currency for internal transactions
     const rawValue = tx.value?.value || tx.value || '0';
-    const actualValue = parseFloat(rawValue) / Math.pow(10, 18); // Convert Wei to ETH
+    const actualValue = parseFloat(rawValue) / Math.pow(10, this.chain.decimals);
 
     return {
       hash: tx.transaction_hash || tx.hash,
       from: tx.from?.hash || tx.from,
       to: tx.to?.hash || tx.to,
       value: rawValue, // Keep raw Wei value for reference
-      actualAmount: actualValue, // Converted ETH value for calculations
+      actualAmount: actualValue, // Converted native value for calculations
       blockNumber: tx.block_number || tx.blockNumber,
       timestamp: new Date(tx.timestamp || parseInt(tx.timeStamp) * 1000),
       type: tx.type || 'call',
@@ -719,6 +808,8 @@ class BlockscoutClient {
       gas: tx.gas,
       gasUsed: tx.gas_used,
       error: tx.error,
+      networkCurrency: this.chain.nativeSymbol,
+      chain: this.chain.key,
     };
   }
 
@@ -737,7 +828,7 @@ class BlockscoutClient {
       return {
         address,
         balance: balance,
-        balanceEth: (parseInt(balance) / Math.pow(10, 18)).toString(),
+        balanceEth: (parseInt(balance) / Math.pow(10, this.chain.decimals)).toString(),
         // Additional v2 API data
         transactionsCount: addressData.transactions_count || 0,
         tokenBalances: addressData.token_balances || [],
@@ -756,6 +847,96 @@ class BlockscoutClient {
       throw new AppError('Failed to fetch account balance', 500);
     }
   }
+
+  /**
+   * One page of an address's native balance history
+   * @param {string} address
+   * @param {Object|null} pageParams - next_page_params of the previous page (null = newest page)
+   * @returns {Object} { items, nextPageParams }; items newest first as
+   *   { hash, blockNumber, timestamp, delta, balance } in the native currency, hash
+   *   null for changes without a transaction (block rewards)
+   */
+  async getCoinBalanceHistoryPage(address, pageParams = null) {
+    this.initialize();
+
+    const response = await this.client.get(`/api/v2/addresses/${address}/coin-balance-history`, {
+      params: { ...pageParams },
+    });
+    const unit = Math.pow(10, this.chain.decimals);
+
+    return {
+      items: (response.data.items || []).map(item => ({
+        hash: item.transaction_hash || null,
+        blockNumber: item.block_number,
+        timestamp: item.block_timestamp,
+        delta: parseFloat(item.delta || '0') / unit,
+        balance: parseFloat(item.value || '0') / unit,
+      })),
+      nextPageParams: response.data.next_page_params || null,
+    };
+  }
+
+  /**
+   * Current ERC-20 balances of an address
+   * @returns {Array} { contractAddress, symbol, name, decimals, balance }
+   */
+  async getTokenBalances(address) {
+    this.initialize();
+
+    const response = await this.client.get(`/api/v2/addresses/${address}/token-balances`);
+
+    return (response.data || [])
+      .filter(item => (item.token?.type || 'ERC-20') === 'ERC-20')
+      .map((item) => {
+        const decimals = parseInt(item.token.decimals) || 18;
+        return {
+          contractAddress: (item.token.address || item.token.address_hash || '').toLowerCase(),
+          symbol: item.token.symbol,
+          name: item.token.name,
+          decimals,
+          balance: parseFloat(item.value || '0') / Math.pow(10, decimals),
+        };
+      });
+  }
+
+  /**
+   * Number and time of a block
+   * @returns {Object} { blockNumber, timestamp }
+   */
+  async getBlock(blockNumber) {
+    this.initialize();
+
+    try {
+      const response = await this.client.get(`/api/v2/blocks/${blockNumber}`);
+      return { blockNumber: response.data.height, timestamp: response.data.timestamp };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError(`Block not found: ${blockNumber}`, 404);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Last block mined at or before a time, through the Etherscan-compatible API
+   * @param {Date|string} time
+   * @returns {number}
+   */
+  async getBlockNumberAt(time) {
+    this.initialize();
+
+    const timestamp = Math.floor(new Date(time).getTime() / 1000);
+    const response = await this.client.get('/api', {
+      params: { module: 'block', action: 'getblocknobytime', timestamp, closest: 'before' },
+    });
+
+    const blockNumber = parseInt(response.data?.result?.blockNumber);
+    if (response.data?.status !== '1' || !Number.isFinite(blockNumber)) {
+      throw new AppError(`No ${this.chain.name} block found before ${new Date(time).toISOString()}`, 404);
+    }
+    return blockNumber;
+  }
 }
 
+// Default-chain client; use forChain() for the others
 module.exports = new BlockscoutClient();
@@ -0,0 +1,178 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const aiClient = require('./aiClients');
+const blockscoutClient = require('./blockscoutClient');
+const journalEntryService = require('./journalEntryService');
+const walletService = require('./walletService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Transactions fetched and analyzed at the same time
+const CONCURRENCY_LIMIT = 5;
+
+/**
+ * Bulk transaction processing
+ * Fetches, analyzes and (optionally) books a list of transaction hashes. Runs as
+ * a `bulk_process` job (see jobService).
+ */
+class BulkTransactionService {
+  /**
+   * @param {string} userId
+   * @param {Array} transactions - [{ txid, description, chain }]
+   * @param {Object} options - { chain, saveEntries, signal, onProgress }; a transaction's own chain wins
+   * @returns {Object} { processed, failed, summary }
+   */
+  async processTransactions(userId, transactions, { chain, saveEntries = true, signal, onProgress } = {}) {
+    logger.info('Starting bulk transaction processing', {
+      userId,
+      transactionCount: transactions.length,
+      saveEntries,
+    });
+
+    const ownWallets = await walletService.listWallets(userId, { activeOnly: true });
+
+    const results = {
+      processed: [],
+      failed: [],
+      summary: {
+        total: transactions.length,
+        successful: 0,
+        failed: 0,
+        journalEntriesGenerated: 0,
+      },
+    };
+
+    // Process transactions in parallel (with concurrency limit)
+    const chunks = [];
+    for (let i = 0; i < transactions.length; i += CONCURRENCY_LIMIT) {
+      chunks.push(transactions.slice(i, i + CONCURRENCY_LIMIT));
+    }
+
+    // Entries are saved without replaying the cost basis lots; the batch replays them once
+    try {
+      for (const chunk of chunks) {
+        signal?.throwIfAborted();
+
+        await Promise.all(chunk.map(tx => this.processTransaction(userId, tx, { chain, saveEntries, ownWallets, results })));
+
+        if (onProgress) {
+          await onProgress({ ...results.summary, completed: results.summary.successful + results.summary.failed });
+        }
+      }
+    } finally {
+      if (saveEntries && results.summary.journalEntriesGenerated > 0) {
+        await journalEntryService.refreshCostBasis(userId);
+      }
+    }
+
+    logger.info('Bulk processing completed', {
+      userId,
+      total: results.summary.total,
+      successful: results.summary.successful,
+      failed: results.summary.failed,
+    });
+
+    return results;
+  }
+
+  async processTransaction(userId, tx, { chain, saveEntries, ownWallets, results }) {
+    try {
+      logger.info('Processing transaction', { txid: tx.txid });
+
+      // Check if transaction already exists
+      const { data: existingTx } = await supabase
+        .from('transactions')
+        .select('*')
+        .eq('txid', tx.txid)
+        .eq('user_id', userId)
+        .single();
+
+      if (existingTx) {
+        results.failed.push({
+          txid: tx.txid,
+          error: 'Transaction already processed',
+          description: tx.description,
+        });
+        results.summary.failed++;
+        return;
+      }
+
+      // Fetch blockchain data
+      const blockchainData = await blockscoutClient.forChain(tx.chain || chain).getTransactionInfo(tx.txid);
+
+      // Analyze with AI
+      const journalEntries = await aiClient.analyzeTransaction(blockchainData, tx.description, ownWallets, userId);
+
+      let savedTransaction = null;
+      let savedEntries = [];
+
+      if (saveEntries) {
+        // Create transaction record
+        const { data: transaction, error: txError } = await supabase
+          .from('transactions')
+          .insert([{
+            user_id: userId,
+            txid: tx.txid,
+            description: tx.description,
+            blockchain_data: blockchainData,
+            status: 'processed',
+          }])
+          .select()
+          .single();
+
+        if (txError) {
+          throw new Error(`Failed to save transaction: ${txError.message}`);
+        }
+
+        savedTransaction = transaction;
+
+        // Save journal entries (header + lines, rejected if unbalanced)
+        savedEntries = await journalEntryService.saveJournalEntries({
+          entries: journalEntries.map(entry => ({
+            ...entry,
+            entryDate: blockchainData.timestamp.toISOString().split('T')[0],
+            confidence: entry.confidence || 0.8,
+          })),
+          userId,
+          source: 'ai_bulk_processing',
+          transactionId: transaction.id,
+          rebuildCostBasis: false,
+        });
+      }
+
+      results.processed.push({
+        txid: tx.txid,
+        description: tx.description,
+        transaction: savedTransaction,
+        journalEntries: saveEntries ? savedEntries : journalEntries,
+        blockchainData,
+      });
+
+      results.summary.successful++;
+      results.summary.journalEntriesGenerated += journalEntries.length;
+
+      logger.info('Transaction processed successfully', {
+        txid: tx.txid,
+        entriesGenerated: journalEntries.length,
+      });
+    } catch (error) {
+      logger.error('Failed to process transaction', {
+        txid: tx.txid,
+        error: error.message,
+      });
+
+      results.failed.push({
+        txid: tx.txid,
+        description: tx.description,
+        error: error.message,
+      });
+
+      results.summary.failed++;
+    }
+  }
+}
+
+module.exports = new BulkTransactionService();
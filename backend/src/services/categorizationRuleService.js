@@ -0,0 +1,409 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const accountService = require('./accountService');
+const blockscoutClient = require('./blockscoutClient');
+const chainRegistry = require('./chainRegistry');
+const { toAddressSet } = require('../utils/addresses');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Categories BlockscoutClient.detectTransactionCategory returns
+const CATEGORIES = [
+  'internal_transfer',
+  'token_transfer',
+  'token_received',
+  'token_approval',
+  'dex_trade',
+  'liquidity_provision',
+  'liquidity_removal',
+  'staking',
+  'lending',
+  'nft',
+  'outgoing_transfer',
+  'incoming_transfer',
+  'contract_interaction',
+  'unknown',
+];
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+const METHOD_SIGNATURE_PATTERN = /^0x[0-9a-f]{8}$/;
+const GAS_FEE_ACCOUNT = 'Transaction Fees';
+const DEFAULT_NARRATIVE = '{rule}: {amount} {currency}';
+
+// Rule fields a caller may set, as request field -> column
+const RULE_FIELDS = {
+  name: 'name',
+  priority: 'priority',
+  isActive: 'is_active',
+  counterpartyAddress: 'counterparty_address',
+  methodSignature: 'method_signature',
+  token: 'token',
+  minAmount: 'min_amount',
+  maxAmount: 'max_amount',
+  category: 'category',
+  debitAccount: 'debit_account',
+  creditAccount: 'credit_account',
+  narrativeTemplate: 'narrative_template',
+  bookGasFee: 'book_gas_fee',
+};
+const CONDITION_COLUMNS = ['counterparty_address', 'method_signature', 'token', 'min_amount', 'max_amount', 'category'];
+
+const isSet = value => value !== null && value !== undefined && value !== '';
+
+/**
+ * Categorization rules
+ * The user's own rules for transactions whose booking is obvious, such as a recurring
+ * USDT payment to the same vendor. They run before the AI in transaction analysis:
+ * the first active rule (by priority) whose conditions all hold books the transaction
+ * on its fixed accounts, and only transactions no rule matches go to the AI. A rule
+ * can require the counterparty address, the method signature, the token, an amount
+ * range and the category detectTransactionCategory gives the transaction.
+ *
+ * Transfers between the business's own wallets are booked by InternalTransferService,
+ * so they only match rules that ask for the internal_transfer category.
+ */
+class CategorizationRuleService {
+  listCategories() {
+    return CATEGORIES;
+  }
+
+  /**
+   * Rules of the user in the order they are tried
+   */
+  async listRules(userId, { activeOnly = false } = {}) {
+    let query = supabase
+      .from('categorization_rules')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getRule(userId, ruleId) {
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!rule) {
+      throw new AppError('Rule not found', 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Check a rule and bring it into its stored form: addresses and signatures in
+   * lowercase, accounts under their name in the user's chart
+   * @param {string} userId
+   * @param {Object} rule - Rule columns (see RULE_FIELDS)
+   * @returns {Object} Normalized columns
+   * @throws {AppError} 400 for a rule without conditions, an unknown category or account, or an empty amount range
+   */
+  async normalizeRule(userId, rule) {
+    const normalized = { ...rule };
+
+    ['counterparty_address', 'method_signature'].forEach((column) => {
+      if (isSet(normalized[column])) {
+        normalized[column] = normalized[column].toLowerCase();
+      }
+    });
+    if (isSet(normalized.token) && normalized.token.startsWith('0x')) {
+      normalized.token = normalized.token.toLowerCase();
+    }
+
+    if (!CONDITION_COLUMNS.some(column => isSet(normalized[column]))) {
+      throw new AppError('A rule needs at least one condition', 400);
+    }
+    if (isSet(normalized.counterparty_address) && !ADDRESS_PATTERN.test(normalized.counterparty_address)) {
+      throw new AppError('Counterparty address must be a 0x-prefixed 20-byte address', 400);
+    }
+    if (isSet(normalized.method_signature) && !METHOD_SIGNATURE_PATTERN.test(normalized.method_signature)) {
+      throw new AppError('Method signature must be a 4-byte selector such as 0xa9059cbb', 400);
+    }
+    if (isSet(normalized.category) && !CATEGORIES.includes(normalized.category)) {
+      throw new AppError(`Category must be one of ${CATEGORIES.join(', ')}`, 400);
+    }
+    if (isSet(normalized.min_amount) && isSet(normalized.max_amount) && Number(normalized.min_amount) > Number(normalized.max_amount)) {
+      throw new AppError('Minimum amount must not exceed the maximum amount', 400);
+    }
+
+    const findAccount = accountService.indexChart(await accountService.getChartOfAccounts(userId));
+    ['debit_account', 'credit_account'].forEach((column) => {
+      if (!isSet(normalized[column])) {
+        throw new AppError('A rule needs a debit and a credit account', 400);
+      }
+      const account = findAccount({ account: normalized[column], accountCode: normalized[column] });
+      if (!account) {
+        throw new AppError(`Account not found: ${normalized[column]}`, 400);
+      }
+      normalized[column] = account.name;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Columns of a rule from request fields; fields left out are not included
+   */
+  toColumns(fields) {
+    return Object.fromEntries(Object.entries(RULE_FIELDS)
+      .filter(([field]) => fields[field] !== undefined)
+      .map(([field, column]) => [column, fields[field]]));
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} fields - { name, priority, isActive, counterpartyAddress, methodSignature, token,
+   *   minAmount, maxAmount, category, debitAccount, creditAccount, narrativeTemplate, bookGasFee }
+   */
+  async createRule(userId, fields) {
+    const record = await this.normalizeRule(userId, this.toColumns(fields));
+
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .insert({ ...record, user_id: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Categorization rule created', { userId, ruleId: rule.id, name: rule.name });
+    return rule;
+  }
+
+  /**
+   * Change some fields of a rule; the result is checked as a whole
+   */
+  async updateRule(userId, ruleId, fields) {
+    const existing = await this.getRule(userId, ruleId);
+    const changes = this.toColumns(fields);
+    const record = await this.normalizeRule(userId, { ...existing, ...changes });
+
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .update(Object.fromEntries(Object.keys(RULE_FIELDS).map(field => [RULE_FIELDS[field], record[RULE_FIELDS[field]]])))
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Categorization rule updated', { userId, ruleId, fields: Object.keys(changes) });
+    return rule;
+  }
+
+  async deleteRule(userId, ruleId) {
+    await this.getRule(userId, ruleId);
+
+    const { error } = await supabase
+      .from('categorization_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    logger.info('Categorization rule deleted', { userId, ruleId });
+  }
+
+  /**
+   * What rules look at in a normalized transaction (see BlockscoutClient): the token
+   * transfer's amount and parties when there is one, else the native ones
+   * @param {Object} tx - Normalized, optionally categorized transaction
+   * @param {Array<string>} ownAddresses - Addresses of the business's wallets
+   * @returns {Object} { hash, category, counterparty, outgoing, methodSignature, currency, tokenContract, amount,
+   *   gasFee, nativeCurrency, gasAssetAccount, paysGas }
+   */
+  describeTransaction(tx, ownAddresses) {
+    const owned = toAddressSet(ownAddresses);
+    const transfer = tx.tokenTransfer || null;
+    const from = (transfer?.from || tx.from)?.toLowerCase() || null;
+    const to = (transfer?.to || tx.to)?.toLowerCase() || null;
+    const outgoing = owned.has(from);
+    const chain = chainRegistry.getChain(tx.chain);
+    const nativeCurrency = tx.networkCurrency || chain.nativeSymbol;
+    const tokenSymbol = transfer?.tokenSymbol || tx.tokenSymbol || null;
+    const input = tx.input || '';
+
+    return {
+      hash: tx.hash,
+      category: tx.category || blockscoutClient.detectTransactionCategory(tx, owned),
+      counterparty: outgoing ? to : from,
+      outgoing,
+      methodSignature: input.length >= 10 ? input.slice(0, 10).toLowerCase() : null,
+      currency: (tokenSymbol || nativeCurrency).toUpperCase(),
+      tokenContract: (transfer?.tokenContract || tx.contractAddress)?.toLowerCase() || null,
+      amount: parseFloat(transfer?.tokenAmount ?? tx.actualAmount ?? 0),
+      gasFee: parseFloat(tx.gasFee || 0),
+      nativeCurrency,
+      gasAssetAccount: chain.gasAssetAccount,
+      paysGas: owned.has(tx.from?.toLowerCase()),
+    };
+  }
+
+  /**
+   * Whether every condition of a rule holds for a transaction
+   * @param {Object} rule - categorization_rules row
+   * @param {Object} facts - From describeTransaction
+   */
+  matchesRule(rule, facts) {
+    if (facts.category === 'internal_transfer' && rule.category !== 'internal_transfer') {
+      return false;
+    }
+    if (isSet(rule.counterparty_address) && rule.counterparty_address !== facts.counterparty) {
+      return false;
+    }
+    if (isSet(rule.method_signature) && rule.method_signature !== facts.methodSignature) {
+      return false;
+    }
+    if (isSet(rule.token) && rule.token.toUpperCase() !== facts.currency && rule.token !== facts.tokenContract) {
+      return false;
+    }
+    if (isSet(rule.min_amount) && facts.amount < parseFloat(rule.min_amount)) {
+      return false;
+    }
+    if (isSet(rule.max_amount) && facts.amount > parseFloat(rule.max_amount)) {
+      return false;
+    }
+    // Approvals and other contract calls move no value; a rule only books them for their gas
+    if (facts.amount <= 0 && !this.booksGasFee(rule, facts)) {
+      return false;
+    }
+    return !isSet(rule.category) || rule.category === facts.category;
+  }
+
+  booksGasFee(rule, facts) {
+    return Boolean(rule.book_gas_fee && facts.paysGas && facts.gasFee > 0);
+  }
+
+  renderNarrative(rule, facts) {
+    const values = {
+      rule: rule.name,
+      amount: facts.amount,
+      currency: facts.currency,
+      counterparty: facts.counterparty || 'unknown',
+      hash: facts.hash,
+      category: facts.category,
+    };
+    return (rule.narrative_template || DEFAULT_NARRATIVE)
+      .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+  }
+
+  /**
+   * Journal entry of a transaction matched by a rule: the amount on the rule's accounts,
+   * and the gas fee when the business sent the transaction and the rule books gas.
+   * A transaction without value only gets its gas lines.
+   * @returns {Object} Compound journal entry; its metadata names the rule
+   */
+  async buildJournalEntry(rule, facts, userId = null) {
+    const lines = facts.amount > 0
+      ? [
+        { account: rule.debit_account, type: 'debit', amount: facts.amount, currency: facts.currency },
+        { account: rule.credit_account, type: 'credit', amount: facts.amount, currency: facts.currency },
+      ]
+      : [];
+
+    if (this.booksGasFee(rule, facts)) {
+      const gasAccount = await accountService.getAccountForCrypto(userId, facts.nativeCurrency.toUpperCase());
+      lines.push(
+        { account: GAS_FEE_ACCOUNT, type: 'debit', amount: facts.gasFee, currency: facts.nativeCurrency, narrative: 'Gas fee' },
+        { account: gasAccount?.name || facts.gasAssetAccount, type: 'credit', amount: facts.gasFee, currency: facts.nativeCurrency, narrative: 'Gas fee' },
+      );
+    }
+
+    return {
+      isCompound: true,
+      lines,
+      narrative: this.renderNarrative(rule, facts),
+      confidence: 1,
+      entryType: 'rule',
+      metadata: {
+        categorizationRule: { id: rule.id, name: rule.name },
+      },
+    };
+  }
+
+  /**
+   * Book the transactions the user's rules match
+   * @param {string} userId - Without a user there are no rules and nothing matches
+   * @param {Array} transactions - Normalized transactions
+   * @param {Array<string>} ownAddresses - Addresses of the business's wallets
+   * @returns {Object} { matched: [{ transaction, rule: { id, name }, entry }], unmatched: [transaction] }
+   */
+  async applyRules(userId, transactions, ownAddresses = []) {
+    if (!userId || transactions.length === 0) {
+      return { matched: [], unmatched: transactions };
+    }
+
+    const rules = await this.listRules(userId, { activeOnly: true });
+    if (rules.length === 0) {
+      return { matched: [], unmatched: transactions };
+    }
+
+    const matched = [];
+    const unmatched = [];
+    for (const transaction of transactions) {
+      const facts = this.describeTransaction(transaction, ownAddresses);
+      const rule = rules.find(candidate => this.matchesRule(candidate, facts));
+      if (rule) {
+        matched.push({
+          transaction,
+          rule: { id: rule.id, name: rule.name },
+          entry: await this.buildJournalEntry(rule, facts, userId),
+        });
+      } else {
+        unmatched.push(transaction);
+      }
+    }
+
+    if (matched.length > 0) {
+      await this.recordMatches(rules, matched);
+      logger.info('Transactions booked by categorization rules', {
+        userId,
+        matched: matched.length,
+        unmatched: unmatched.length,
+      });
+    }
+
+    return { matched, unmatched };
+  }
+
+  /**
+   * Count the matches of each rule; counting never fails the booking
+   */
+  async recordMatches(rules, matched) {
+    const counts = new Map();
+    matched.forEach(({ rule }) => counts.set(rule.id, (counts.get(rule.id) || 0) + 1));
+    const now = new Date().toISOString();
+
+    for (const [ruleId, count] of counts) {
+      const rule = rules.find(candidate => candidate.id === ruleId);
+      const { error } = await supabase
+        .from('categorization_rules')
+        .update({ match_count: (rule.match_count || 0) + count, last_matched_at: now })
+        .eq('id', ruleId);
+
+      if (error) {
+        logger.warn('Failed to count categorization rule matches', { ruleId, error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = new CategorizationRuleService();
@@ -0,0 +1,137 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Supported networks. The explorer of each chain can be overridden with
+// BLOCKSCOUT_BASE_URL_<KEY> (e.g. BLOCKSCOUT_BASE_URL_FLARE).
+const CHAINS = [
+  {
+    key: 'coston2',
+    name: 'Coston2 Testnet',
+    chainId: 114,
+    nativeSymbol: 'C2FLR',
+    decimals: 18,
+    explorerBaseUrl: 'https://coston2-explorer.flare.network',
+    gasAssetAccount: 'Digital Assets - C2FLR',
+    // Native value below this is treated as dust, not a transfer
+    minTransferValue: 0.1,
+    isTestnet: true,
+  },
+  {
+    key: 'flare',
+    name: 'Flare',
+    chainId: 14,
+    nativeSymbol: 'FLR',
+    decimals: 18,
+    explorerBaseUrl: 'https://flare-explorer.flare.network',
+    gasAssetAccount: 'Digital Assets - FLR',
+    minTransferValue: 0.1,
+    isTestnet: false,
+  },
+  {
+    key: 'songbird',
+    name: 'Songbird',
+    chainId: 19,
+    nativeSymbol: 'SGB',
+    decimals: 18,
+    explorerBaseUrl: 'https://songbird-explorer.flare.network',
+    gasAssetAccount: 'Digital Assets - SGB',
+    minTransferValue: 0.1,
+    isTestnet: false,
+  },
+  {
+    key: 'ethereum',
+    name: 'Ethereum Mainnet',
+    chainId: 1,
+    nativeSymbol: 'ETH',
+    decimals: 18,
+    explorerBaseUrl: 'https://eth.blockscout.com',
+    gasAssetAccount: 'Digital Assets - Ethereum',
+    minTransferValue: 0.01,
+    isTestnet: false,
+  },
+  {
+    key: 'base',
+    name: 'Base',
+    chainId: 8453,
+    nativeSymbol: 'ETH',
+    decimals: 18,
+    explorerBaseUrl: 'https://base.blockscout.com',
+    gasAssetAccount: 'Digital Assets - Ethereum',
+    minTransferValue: 0.01,
+    isTestnet: false,
+  },
+];
+
+/**
+ * Chain registry
+ * One place for the per-network facts (chain id, native symbol, decimals, explorer,
+ * gas asset account) that explorer clients, categorization and AI prompts need.
+ */
+class ChainRegistry {
+  constructor() {
+    this.chains = new Map(CHAINS.map(chain => [chain.key, {
+      ...chain,
+      explorerBaseUrl: process.env[`BLOCKSCOUT_BASE_URL_${chain.key.toUpperCase()}`] || chain.explorerBaseUrl,
+    }]));
+    this.defaultChain = this.resolveDefaultChain();
+  }
+
+  /**
+   * The deployment's default chain: DEFAULT_CHAIN, else the chain of FLARE_CHAIN_ID /
+   * NETWORK_CHAIN_ID or BLOCKSCOUT_BASE_URL, else Ethereum. BLOCKSCOUT_BASE_URL stays
+   * the explorer of the default chain.
+   */
+  resolveDefaultChain() {
+    const chainId = parseInt(process.env.FLARE_CHAIN_ID || process.env.NETWORK_CHAIN_ID);
+    const explorerUrl = process.env.BLOCKSCOUT_BASE_URL;
+
+    const chain = (process.env.DEFAULT_CHAIN && this.chains.get(process.env.DEFAULT_CHAIN.toLowerCase())) ||
+      this.list().find(candidate => candidate.chainId === chainId) ||
+      (explorerUrl && this.list().find(candidate => explorerUrl.includes(candidate.key))) ||
+      this.chains.get('ethereum');
+
+    if (explorerUrl) {
+      chain.explorerBaseUrl = explorerUrl;
+    }
+    return chain;
+  }
+
+  list() {
+    return [...this.chains.values()];
+  }
+
+  getDefaultChain() {
+    return this.defaultChain;
+  }
+
+  /**
+   * Look up a chain by key or chain id; no value means the default chain
+   * @param {string|number|Object} chain - Chain key, chain id or chain record
+   * @returns {Object} Chain record
+   */
+  getChain(chain) {
+    if (chain === undefined || chain === null || chain === '') {
+      return this.defaultChain;
+    }
+    if (typeof chain === 'object') {
+      return chain;
+    }
+
+    const found = this.chains.get(String(chain).toLowerCase()) ||
+      this.list().find(candidate => candidate.chainId === parseInt(chain));
+    if (!found) {
+      throw new AppError(`Unsupported chain: ${chain}`, 400);
+    }
+    return found;
+  }
+
+  isSupported(chain) {
+    try {
+      this.getChain(chain);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new ChainRegistry();
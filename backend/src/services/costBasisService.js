@@ -0,0 +1,637 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const journalEntryService = require('./journalEntryService');
+const accountService = require('./accountService');
+const auditService = require('./auditService');
+const periodService = require('./periodService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'HIFO', 'SPECIFIC_ID'];
+const DEFAULT_METHOD = 'FIFO';
+
+// Journal source of the realized gain/loss entries posted by this service
+const COST_BASIS_SOURCE = 'cost_basis';
+const GAIN_ACCOUNT = 'Trading Revenue';
+const LOSS_ACCOUNT = 'Realized Loss on Crypto';
+
+// Native amounts are stored as NUMERIC(20, 8); USD values as NUMERIC(20, 2)
+const QUANTITY_TOLERANCE = 0.00000001;
+const USD_TOLERANCE = 0.01;
+
+/**
+ * Cost basis lot tracking
+ * Replays the journal in date order: debits to a digital asset account in the
+ * asset's own currency open lots, credits consume them in the order given by the
+ * user's method, and the difference between proceeds and consumed cost is posted
+ * as a realized gain (Trading Revenue) or loss (Realized Loss on Crypto).
+ * Lots are derived state and can be rebuilt from the ledger at any time.
+ */
+class CostBasisService {
+  constructor() {
+    // Rebuilds per user are chained so concurrent saves do not post gains twice
+    this.rebuilds = new Map();
+  }
+
+  /**
+   * Get the user's cost basis method (FIFO when never set)
+   */
+  async getMethod(userId) {
+    const { data, error } = await supabase
+      .from('user_settings')
+      .select('cost_basis_method')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    return data?.cost_basis_method || DEFAULT_METHOD;
+  }
+
+  /**
+   * Set the user's cost basis method and rebuild their lots with it
+   */
+  async setMethod(userId, method) {
+    const normalizedMethod = (method || '').toUpperCase();
+    if (!COST_BASIS_METHODS.includes(normalizedMethod)) {
+      throw new AppError(`Cost basis method must be one of ${COST_BASIS_METHODS.join(', ')}`, 400);
+    }
+
+    const { error } = await supabase
+      .from('user_settings')
+      .upsert({ user_id: userId, cost_basis_method: normalizedMethod }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    logger.info('Cost basis method updated', { userId, method: normalizedMethod });
+    return this.rebuild(userId);
+  }
+
+  /**
+   * Choose the lots a disposal entry consumes (used by the SPECIFIC_ID method)
+   * @param {string} userId
+   * @param {string} entryId - Disposal journal entry
+   * @param {Array} lots - [{ lotKey, quantity }]
+   */
+  async setLotSelection(userId, entryId, lots) {
+    const { data: entry, error } = await supabase
+      .from('journal_entries')
+      .select('*')
+      .eq('id', entryId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !entry) {
+      throw new AppError('Journal entry not found', 404);
+    }
+
+    // The selection decides the entry's realized gain, so closed periods keep theirs
+    await periodService.assertWritable(userId, [entry.entry_date], 'manual');
+
+    const selection = lots.map(lot => ({ lotKey: lot.lotKey, quantity: lot.quantity ? parseFloat(lot.quantity) : null }));
+    const { data: updated, error: updateError } = await supabase
+      .from('journal_entries')
+      .update({ metadata: { ...(entry.metadata || {}), costBasisLots: selection } })
+      .eq('id', entryId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    await auditService.record({
+      tableName: 'journal_entries',
+      recordId: entryId,
+      action: 'update',
+      userId,
+      actorId: userId,
+      source: 'manual',
+      before: entry,
+      after: updated,
+    });
+
+    return this.rebuild(userId);
+  }
+
+  /**
+   * Rebuild the user's lots and realized gain entries from the ledger
+   * @returns {Object} Rebuild summary
+   */
+  rebuild(userId) {
+    const previous = this.rebuilds.get(userId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.performRebuild(userId));
+    const cleanup = () => {
+      if (this.rebuilds.get(userId) === run) {
+        this.rebuilds.delete(userId);
+      }
+    };
+
+    this.rebuilds.set(userId, run);
+    run.then(cleanup, cleanup);
+    return run;
+  }
+
+  async performRebuild(userId) {
+    const [method, assets, entries] = await Promise.all([
+      this.getMethod(userId),
+      this.getAssetAccounts(userId),
+      this.fetchLedger(userId),
+    ]);
+
+    const result = this.computeLots(entries, { method, assets });
+    await this.replaceLots(userId, result);
+    const { posted, removed } = await this.syncGainEntries(userId, result.realized);
+
+    const summary = {
+      method,
+      lots: result.lots.length,
+      openLots: result.lots.filter(lot => lot.remainingQuantity > QUANTITY_TOLERANCE).length,
+      disposals: result.realized.length,
+      realizedGainUSD: roundUSD(result.realized.reduce((sum, disposal) => sum + (disposal.gainUSD || 0), 0)),
+      gainEntriesPosted: posted,
+      gainEntriesRemoved: removed,
+    };
+
+    logger.info('Rebuilt cost basis lots', { userId, ...summary });
+    return summary;
+  }
+
+  /**
+   * Symbols from the user's crypto_assets and the account names that hold them
+   */
+  async getAssetAccounts(userId) {
+    await accountService.ensureChart(userId);
+
+    const [{ data: cryptoAssets, error }, chartOfAccounts] = await Promise.all([
+      supabase
+        .from('crypto_assets')
+        .select('symbol, accounts(name)')
+        .eq('user_id', userId)
+        .eq('is_active', true),
+      accountService.getChartOfAccounts(userId),
+    ]);
+
+    if (error) throw error;
+
+    const accounts = new Set(chartOfAccounts
+      .filter(account => account.sub_type === 'DIGITAL_ASSET')
+      .map(account => account.name.toLowerCase()));
+    cryptoAssets.forEach(asset => {
+      if (asset.accounts?.name) {
+        accounts.add(asset.accounts.name.toLowerCase());
+      }
+    });
+
+    return {
+      symbols: new Set(cryptoAssets.map(asset => asset.symbol.toUpperCase())),
+      accounts,
+    };
+  }
+
+  /**
+   * Load the user's journal with lines, oldest first (rejected entries left out)
+   */
+  async fetchLedger(userId) {
+    const { data: entries, error } = await supabase
+      .from('journal_entries')
+      .select(`
+        id,
+        entry_date,
+        created_at,
+        source,
+        metadata,
+        account_debit,
+        account_credit,
+        amount,
+        currency,
+        usd_value,
+        usd_rate,
+        journal_entry_lines(*)
+      `)
+      .eq('user_id', userId)
+      .neq('review_status', 'rejected')
+      .order('entry_date', { ascending: true });
+
+    if (error) throw error;
+
+    return entries.map(entry => ({
+      id: entry.id,
+      entryDate: entry.entry_date,
+      createdAt: entry.created_at,
+      source: entry.source,
+      lotSelection: entry.metadata?.costBasisLots || null,
+      lines: journalEntryService.getEntryLines(entry),
+    }));
+  }
+
+  isAssetLine(line, assets) {
+    if (!line.currency || !assets.symbols.has(line.currency.toUpperCase())) {
+      return false;
+    }
+    return this.isAssetAccount(line.account, assets);
+  }
+
+  /**
+   * Whether an account holds digital assets
+   */
+  isAssetAccount(accountName, assets) {
+    const account = accountName.toLowerCase();
+    return assets.accounts.has(account) || account.startsWith('digital assets');
+  }
+
+  /**
+   * Replay journal entries into lots and disposals
+   * Within one entry, debits and credits of the same symbol offset each other
+   * (a move between the user's own accounts), so only the net quantity opens a lot
+   * or is disposed of.
+   * @param {Array} entries - [{ id, entryDate, createdAt, source, lotSelection, lines }]
+   * @param {Object} options - { method, assets: { symbols, accounts } }
+   * @returns {Object} { lots, disposals, realized }
+   */
+  computeLots(entries, { method = DEFAULT_METHOD, assets }) {
+    const lots = [];
+    const openLots = {};
+    const disposals = [];
+    const realized = [];
+
+    const ordered = entries
+      .filter(entry => entry.source !== COST_BASIS_SOURCE)
+      .sort((a, b) => (a.entryDate || '').localeCompare(b.entryDate || '') ||
+        (a.createdAt || '').localeCompare(b.createdAt || '') ||
+        a.id.localeCompare(b.id));
+
+    ordered.forEach(entry => {
+      const movements = {};
+      entry.lines
+        .filter(line => this.isAssetLine(line, assets))
+        .forEach(line => {
+          const symbol = line.currency.toUpperCase();
+          movements[symbol] = movements[symbol] || { debit: [], credit: [] };
+          movements[symbol][line.type].push(line);
+        });
+
+      Object.entries(movements).forEach(([symbol, { debit, credit }]) => {
+        const debitSide = summarizeSide(debit);
+        const creditSide = summarizeSide(credit);
+        const transferred = Math.min(debitSide.quantity, creditSide.quantity);
+        const acquired = debitSide.quantity - transferred;
+        const disposed = creditSide.quantity - transferred;
+
+        if (acquired > QUANTITY_TOLERANCE) {
+          const costUSD = debitSide.usd === null ? null : debitSide.usd * (acquired / debitSide.quantity);
+          const lot = {
+            lotKey: `${entry.id}:${debit[0].lineNumber}`,
+            symbol,
+            account: debit[0].account,
+            entryId: entry.id,
+            lineNumber: debit[0].lineNumber,
+            acquiredOn: entry.entryDate,
+            quantity: acquired,
+            remainingQuantity: acquired,
+            costUSD,
+            unitCostUSD: costUSD === null ? null : costUSD / acquired,
+            sequence: lots.length,
+          };
+          lots.push(lot);
+          openLots[symbol] = openLots[symbol] || [];
+          openLots[symbol].push(lot);
+        }
+
+        if (disposed > QUANTITY_TOLERANCE) {
+          const proceedsUSD = creditSide.usd === null ? null : creditSide.usd * (disposed / creditSide.quantity);
+          const disposal = {
+            disposalKey: `${entry.id}:${credit[0].lineNumber}`,
+            symbol,
+            account: credit[0].account,
+            entryId: entry.id,
+            disposedOn: entry.entryDate,
+            method,
+          };
+          const consumed = this.consumeLots(openLots[symbol] || [], disposed, method, entry.lotSelection);
+
+          consumed.forEach(({ lot, quantity }) => {
+            const share = quantity / disposed;
+            const costUSD = lot ? (lot.unitCostUSD === null ? null : lot.unitCostUSD * quantity) : 0;
+            const rowProceeds = proceedsUSD === null ? null : proceedsUSD * share;
+            disposals.push({
+              ...disposal,
+              lotKey: lot ? lot.lotKey : null,
+              quantity,
+              costUSD,
+              proceedsUSD: rowProceeds,
+              gainUSD: costUSD === null || rowProceeds === null ? null : rowProceeds - costUSD,
+            });
+          });
+
+          const uncoveredQuantity = consumed
+            .filter(({ lot }) => !lot)
+            .reduce((sum, { quantity }) => sum + quantity, 0);
+          const costUSD = consumed.some(({ lot }) => lot && lot.unitCostUSD === null)
+            ? null
+            : consumed.reduce((sum, { lot, quantity }) => sum + (lot ? lot.unitCostUSD * quantity : 0), 0);
+
+          if (uncoveredQuantity > QUANTITY_TOLERANCE) {
+            logger.warn('Disposal exceeds open lots, using zero cost basis for the remainder', {
+              entryId: entry.id,
+              symbol,
+              uncoveredQuantity,
+            });
+          }
+
+          realized.push({
+            ...disposal,
+            entryDate: entry.entryDate,
+            quantity: disposed,
+            uncoveredQuantity,
+            costUSD,
+            proceedsUSD,
+            gainUSD: costUSD === null || proceedsUSD === null ? null : proceedsUSD - costUSD,
+          });
+        }
+      });
+    });
+
+    return {
+      lots: lots.map(({ sequence: _sequence, ...lot }) => lot),
+      disposals,
+      realized,
+    };
+  }
+
+  /**
+   * Take quantity out of the open lots in method order
+   * @returns {Array} [{ lot, quantity }] - lot is null for quantity beyond the open lots
+   */
+  consumeLots(openLots, quantity, method, selection = null) {
+    const consumed = [];
+    let remaining = quantity;
+
+    const take = (lot, maxQuantity) => {
+      const taken = Math.min(remaining, lot.remainingQuantity, maxQuantity);
+      if (taken <= QUANTITY_TOLERANCE) {
+        return;
+      }
+      lot.remainingQuantity -= taken;
+      if (lot.remainingQuantity <= QUANTITY_TOLERANCE) {
+        lot.remainingQuantity = 0;
+      }
+      remaining -= taken;
+      consumed.push({ lot, quantity: taken });
+    };
+
+    if (method === 'SPECIFIC_ID' && Array.isArray(selection)) {
+      selection.forEach(({ lotKey, quantity: selectedQuantity }) => {
+        const lot = openLots.find(openLot => openLot.lotKey === lotKey);
+        if (lot && remaining > QUANTITY_TOLERANCE) {
+          take(lot, selectedQuantity > 0 ? selectedQuantity : Infinity);
+        }
+      });
+    }
+
+    this.orderLots(openLots, method).forEach(lot => {
+      if (remaining > QUANTITY_TOLERANCE) {
+        take(lot, Infinity);
+      }
+    });
+
+    if (remaining > QUANTITY_TOLERANCE) {
+      consumed.push({ lot: null, quantity: remaining });
+    }
+
+    return consumed;
+  }
+
+  /**
+   * Lot relief order; SPECIFIC_ID falls back to FIFO for anything not selected
+   */
+  orderLots(openLots, method) {
+    const lots = openLots.filter(lot => lot.remainingQuantity > QUANTITY_TOLERANCE);
+    switch (method) {
+    case 'LIFO':
+      return lots.sort((a, b) => b.sequence - a.sequence);
+    case 'HIFO':
+      // Lots without a USD cost are treated as the cheapest
+      return lots.sort((a, b) => (b.unitCostUSD ?? -1) - (a.unitCostUSD ?? -1) || a.sequence - b.sequence);
+    default:
+      return lots.sort((a, b) => a.sequence - b.sequence);
+    }
+  }
+
+  /**
+   * Journal entries booking the realized result of each priced disposal
+   */
+  buildGainEntries(realized) {
+    return realized
+      .filter(disposal => disposal.gainUSD !== null && Math.abs(disposal.gainUSD) >= USD_TOLERANCE)
+      .map(disposal => {
+        const gainUSD = roundUSD(disposal.gainUSD);
+        const isGain = gainUSD > 0;
+        const amount = Math.abs(gainUSD);
+
+        return {
+          disposalKey: disposal.disposalKey,
+          gainUSD,
+          entry: {
+            entryDate: disposal.entryDate,
+            narrative: `Realized ${isGain ? 'gain' : 'loss'} on disposal of ${disposal.quantity} ${disposal.symbol} (${disposal.method})`,
+            lines: [
+              { account: isGain ? disposal.account : LOSS_ACCOUNT, type: 'debit', amount, currency: 'USD' },
+              { account: isGain ? GAIN_ACCOUNT : disposal.account, type: 'credit', amount, currency: 'USD' },
+            ],
+          },
+        };
+      });
+  }
+
+  /**
+   * Bring the posted gain/loss entries in line with the realized results:
+   * stale entries are removed and missing ones posted. Gain entries dated in a
+   * locked accounting period are left as they are.
+   */
+  async syncGainEntries(userId, realized) {
+    const desired = new Map(this.buildGainEntries(realized).map(gain => [gain.disposalKey, gain]));
+
+    const { data: existing, error } = await supabase
+      .from('journal_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('source', COST_BASIS_SOURCE);
+
+    if (error) throw error;
+
+    const closedPeriods = await periodService.getClosedPeriods(userId);
+    const isLocked = date => periodService.blocks(closedPeriods.get(periodService.periodOf(date)), COST_BASIS_SOURCE);
+
+    const stale = [];
+    existing.forEach(row => {
+      const posted = row.metadata?.costBasis;
+      const gain = posted && desired.get(posted.disposalKey);
+      if (gain && gain.gainUSD === posted.gainUSD && gain.entry.entryDate === row.entry_date) {
+        desired.delete(posted.disposalKey);
+      } else if (!isLocked(row.entry_date)) {
+        stale.push(row);
+      }
+    });
+
+    desired.forEach((gain, disposalKey) => {
+      if (isLocked(gain.entry.entryDate)) {
+        desired.delete(disposalKey);
+      }
+    });
+
+    if (stale.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('journal_entries')
+        .delete()
+        .in('id', stale.map(row => row.id));
+
+      if (deleteError) throw deleteError;
+
+      await auditService.recordMany(stale.map(row => ({
+        tableName: 'journal_entries',
+        recordId: row.id,
+        action: 'delete',
+        userId,
+        actorId: userId,
+        source: 'system',
+        before: row,
+      })));
+    }
+
+    for (const gain of desired.values()) {
+      await journalEntryService.saveJournalEntries({
+        entries: [gain.entry],
+        userId,
+        source: COST_BASIS_SOURCE,
+        metadata: {
+          costBasis: { disposalKey: gain.disposalKey, gainUSD: gain.gainUSD },
+        },
+      });
+    }
+
+    return { posted: desired.size, removed: stale.length };
+  }
+
+  /**
+   * Replace the stored lots and disposals with a fresh replay
+   */
+  async replaceLots(userId, { lots, disposals }) {
+    const { error: disposalDeleteError } = await supabase
+      .from('lot_disposals')
+      .delete()
+      .eq('user_id', userId);
+    if (disposalDeleteError) throw disposalDeleteError;
+
+    const { error: lotDeleteError } = await supabase
+      .from('asset_lots')
+      .delete()
+      .eq('user_id', userId);
+    if (lotDeleteError) throw lotDeleteError;
+
+    if (lots.length === 0) {
+      return;
+    }
+
+    const { data: savedLots, error: lotError } = await supabase
+      .from('asset_lots')
+      .insert(lots.map(lot => ({
+        user_id: userId,
+        lot_key: lot.lotKey,
+        symbol: lot.symbol,
+        account_name: lot.account,
+        journal_entry_id: lot.entryId,
+        line_number: lot.lineNumber,
+        acquired_on: lot.acquiredOn,
+        quantity: lot.quantity,
+        remaining_quantity: lot.remainingQuantity,
+        cost_usd: lot.costUSD === null ? null : roundUSD(lot.costUSD),
+        unit_cost_usd: lot.unitCostUSD,
+      })))
+      .select('id, lot_key');
+    if (lotError) throw lotError;
+
+    if (disposals.length === 0) {
+      return;
+    }
+
+    const lotIds = new Map(savedLots.map(lot => [lot.lot_key, lot.id]));
+    const { error: disposalError } = await supabase
+      .from('lot_disposals')
+      .insert(disposals.map(disposal => ({
+        user_id: userId,
+        lot_id: disposal.lotKey ? lotIds.get(disposal.lotKey) : null,
+        disposal_key: disposal.disposalKey,
+        symbol: disposal.symbol,
+        account_name: disposal.account,
+        journal_entry_id: disposal.entryId,
+        disposed_on: disposal.disposedOn,
+        method: disposal.method,
+        quantity: disposal.quantity,
+        cost_usd: disposal.costUSD === null ? null : roundUSD(disposal.costUSD),
+        proceeds_usd: disposal.proceedsUSD === null ? null : roundUSD(disposal.proceedsUSD),
+        gain_usd: disposal.gainUSD === null ? null : roundUSD(disposal.gainUSD),
+      })));
+    if (disposalError) throw disposalError;
+  }
+
+  /**
+   * Stored lots for a user
+   */
+  async getLots(userId, { symbol, openOnly = false } = {}) {
+    let query = supabase
+      .from('asset_lots')
+      .select('*')
+      .eq('user_id', userId)
+      .order('acquired_on', { ascending: true });
+
+    if (symbol) {
+      query = query.eq('symbol', symbol.toUpperCase());
+    }
+    if (openOnly) {
+      query = query.gt('remaining_quantity', 0);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Stored disposals (lot consumption) for a user
+   */
+  async getDisposals(userId, { symbol } = {}) {
+    let query = supabase
+      .from('lot_disposals')
+      .select('*, asset_lots(lot_key, acquired_on)')
+      .eq('user_id', userId)
+      .order('disposed_on', { ascending: true });
+
+    if (symbol) {
+      query = query.eq('symbol', symbol.toUpperCase());
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+}
+
+// Quantity and USD value of one side of an entry; USD is null unless every line is priced
+function summarizeSide(lines) {
+  let quantity = 0;
+  let usd = 0;
+  lines.forEach(line => {
+    quantity += line.amount;
+    const value = line.usdValue ?? (line.usdRate ? line.amount * line.usdRate : null);
+    usd = usd === null || value === null ? null : usd + value;
+  });
+  return { quantity, usd };
+}
+
+function roundUSD(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new CostBasisService();
@@ -1,10 +1,16 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { AppError } = require('../middleware/errorHandler');
+const { toAddressSet } = require('../utils/addresses');
+const chainRegistry = require('./chainRegistry');
 
 class EnhancedBlockscoutClient {
-  constructor() {
-    this.baseURL = process.env.BLOCKSCOUT_BASE_URL || 'https://eth.blockscout.com';
+  /**
+   * @param {string|Object} chain - Chain key or registry record (default chain when omitted)
+   */
+  constructor(chain = null) {
+    this.chain = chainRegistry.getChain(chain);
+    this.baseURL = this.chain.explorerBaseUrl;
     this.apiKey = process.env.BLOCKSCOUT_API_KEY;
     this.client = null;
     this.initialized = false;
@@ -68,6 +74,12 @@ class EnhancedBlockscoutClient {
       const enhancedContext = {
         // Basic transaction data
         hash: txData.hash,
+        network: {
+          key: this.chain.key,
+          name: this.chain.name,
+          chainId: this.chain.chainId,
+          nativeSymbol: this.chain.nativeSymbol,
+        },
         status: txData.status,
         method: txData.method,
         decoded_input: txData.decoded_input,
@@ -248,6 +260,8 @@ class EnhancedBlockscoutClient {
    * @returns {Object} Token price data
    */
   async getTokenPrice(tokenAddress) {
+    this.initialize();
+
     try {
       const response = await this.client.get(`/api/v2/tokens/${tokenAddress}`);
       return {
@@ -319,7 +333,7 @@ class EnhancedBlockscoutClient {
   /**
    * AI-powered transaction categorization using enhanced context
    * @param {string} txHash - Transaction hash
-   * @param {string} userAddress - User's wallet address
+   * @param {string|Array<string>} userAddress - User's wallet address, or all registered wallets
    * @param {Object} geminiClient - AI client for analysis
    * @returns {Object} Categorization result
    */
@@ -360,7 +374,7 @@ class EnhancedBlockscoutClient {
         enrichedData: enrichedContext,
         aiAnalysis: aiAnalysis,
         direction: this.getTransactionDirection(enrichedContext, userAddress),
-        isUserInitiated: enrichedContext.from.hash.toLowerCase() === userAddress.toLowerCase()
+        isUserInitiated: toAddressSet(userAddress).has(enrichedContext.from.hash.toLowerCase()),
       };
 
     } catch (error) {
@@ -626,19 +640,19 @@ class EnhancedBlockscoutClient {
   /**
    * Determine transaction direction relative to user
    * @param {Object} context - Transaction context
-   * @param {string} userAddress - User's wallet address
+   * @param {string|Array<string>} userAddress - User's wallet address, or all registered wallets
    * @returns {string} Direction (incoming/outgoing/self)
    */
   getTransactionDirection(context, userAddress) {
-    const lowerAddress = userAddress.toLowerCase();
+    const owned = toAddressSet(userAddress);
     const fromAddress = context.from.hash.toLowerCase();
     const toAddress = context.to?.hash.toLowerCase();
 
-    if (fromAddress === lowerAddress && toAddress === lowerAddress) {
+    if (owned.has(fromAddress) && owned.has(toAddress)) {
       return 'self';
-    } else if (fromAddress === lowerAddress) {
+    } else if (owned.has(fromAddress)) {
       return 'outgoing';
-    } else if (toAddress === lowerAddress) {
+    } else if (owned.has(toAddress)) {
       return 'incoming';
     } else {
       return 'internal';
@@ -648,7 +662,7 @@ class EnhancedBlockscoutClient {
   /**
    * Fallback categorization using enhanced hardcoded logic
    * @param {string} txHash - Transaction hash
-   * @param {string} userAddress - User's wallet address
+   * @param {string|Array<string>} userAddress - User's wallet address, or all registered wallets
    * @returns {Object} Fallback categorization result
    */
   async fallbackCategorization(txHash, userAddress) {
@@ -666,7 +680,7 @@ class EnhancedBlockscoutClient {
         transactionPattern: 'Generic blockchain transaction',
         enrichedData: context,
         direction: this.getTransactionDirection(context, userAddress),
-        isUserInitiated: context.from.hash.toLowerCase() === userAddress.toLowerCase()
+        isUserInitiated: toAddressSet(userAddress).has(context.from.hash.toLowerCase()),
       };
     } catch (error) {
       logger.error('Fallback categorization also failed', { txHash, error: error.message });
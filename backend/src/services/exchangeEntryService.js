@@ -0,0 +1,160 @@
+const logger = require('../utils/logger');
+const accountService = require('./accountService');
+const priceService = require('./priceService');
+
+const EXCHANGE_CASH_ACCOUNT = 'Bank Account - Crypto Exchange';
+const BANK_ACCOUNT = 'Bank Account - Operating';
+const EXCHANGE_FEES_ACCOUNT = 'Exchange Fees';
+const STAKING_REVENUE_ACCOUNT = 'Staking Revenue';
+// Takes the other side of each currency of a trade, so the entry balances per currency
+const CURRENCY_TRADING_ACCOUNT = 'Currency Trading';
+const FIAT_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY'];
+
+/**
+ * Exchange journal entries
+ * Books imported exchange records (see exchangeImporters) without AI where the
+ * export says all there is to know: trades, fees, staking rewards and fiat moving
+ * between the bank and the exchange. Crypto deposits and withdrawals could come
+ * from anyone, so they are left to the AI.
+ *
+ * A trade exchanges one currency for another, but entries must balance per currency.
+ * Each side of the trade is booked against the Currency Trading account instead, and
+ * both sides are valued at the same USD amount, so cost basis sees the bought asset
+ * at what was paid for it.
+ */
+class ExchangeEntryService {
+  isFiat(asset) {
+    return FIAT_CURRENCIES.includes(asset);
+  }
+
+  /**
+   * Whether a record is booked by rule rather than by the AI
+   */
+  isRuleBased(record) {
+    if (record.type === 'deposit') {
+      return this.isFiat(record.received.asset);
+    }
+    if (record.type === 'withdrawal') {
+      return this.isFiat(record.sent.asset);
+    }
+    return ['trade', 'fee', 'staking_reward'].includes(record.type);
+  }
+
+  /**
+   * Account holding an asset on the exchange: fiat in the exchange bank account,
+   * crypto in the chart's account for the asset
+   */
+  async resolveAssetAccount(userId, asset) {
+    if (this.isFiat(asset)) {
+      return EXCHANGE_CASH_ACCOUNT;
+    }
+    const cryptoAccount = await accountService.getAccountForCrypto(userId, asset);
+    return cryptoAccount?.name || `Digital Assets - ${asset}`;
+  }
+
+  /**
+   * USD value of a trade: a USD side as is, else the first side with a price at the trade time
+   * @returns {number|null}
+   */
+  async valueTrade(record, userId) {
+    const sides = [record.sent, record.received];
+    const usdSide = sides.find(side => side.asset === 'USD');
+    if (usdSide) {
+      return usdSide.amount;
+    }
+
+    for (const side of sides) {
+      const price = await priceService.getPriceForJournalEntry(side.asset, side.amount, record.timestamp, userId);
+      if (price.supported && price.usdValue) {
+        return price.usdValue;
+      }
+    }
+
+    logger.warn('No USD value for exchange trade, booking it unpriced', {
+      exchange: record.exchange,
+      sent: record.sent.asset,
+      received: record.received.asset,
+    });
+    return null;
+  }
+
+  /**
+   * Build the journal entry of an exchange record
+   * @param {Object} record - Normalized exchange record
+   * @param {string} userId - Owner of the chart the accounts come from
+   * @param {Object} options - { valueTrades: false skips pricing trades, for previews }
+   * @returns {Object|null} Compound journal entry, or null when the record needs the AI
+   */
+  async buildJournalEntry(record, userId = null, { valueTrades = true } = {}) {
+    if (!this.isRuleBased(record)) {
+      return null;
+    }
+
+    const label = record.exchange.charAt(0).toUpperCase() + record.exchange.slice(1);
+    const lines = [];
+    let narrative;
+    let confidence = 0.95;
+
+    if (record.type === 'trade') {
+      const { sent, received } = record;
+      const bookValueUSD = valueTrades ? await this.valueTrade(record, userId) : undefined;
+      const valued = bookValueUSD === undefined ? {} : { bookValueUSD };
+      lines.push(
+        { account: await this.resolveAssetAccount(userId, received.asset), type: 'debit', amount: received.amount, currency: received.asset, narrative: `Bought ${received.asset}`, ...valued },
+        { account: CURRENCY_TRADING_ACCOUNT, type: 'credit', amount: received.amount, currency: received.asset, narrative: `Bought ${received.asset}`, ...valued },
+        { account: CURRENCY_TRADING_ACCOUNT, type: 'debit', amount: sent.amount, currency: sent.asset, narrative: `Sold ${sent.asset}`, ...valued },
+        { account: await this.resolveAssetAccount(userId, sent.asset), type: 'credit', amount: sent.amount, currency: sent.asset, narrative: `Sold ${sent.asset}`, ...valued },
+      );
+      narrative = `${label} trade: ${sent.amount} ${sent.asset} for ${received.amount} ${received.asset}`;
+    } else if (record.type === 'staking_reward') {
+      const { received } = record;
+      const assetAccount = await this.resolveAssetAccount(userId, received.asset);
+      lines.push(
+        { account: assetAccount, type: 'debit', amount: received.amount, currency: received.asset, narrative: 'Staking reward' },
+        { account: STAKING_REVENUE_ACCOUNT, type: 'credit', amount: received.amount, currency: received.asset, narrative: 'Staking reward' },
+      );
+      narrative = `${label} staking reward of ${received.amount} ${received.asset}`;
+    } else if (record.type === 'deposit') {
+      const { received } = record;
+      lines.push(
+        { account: EXCHANGE_CASH_ACCOUNT, type: 'debit', amount: received.amount, currency: received.asset, narrative: `Deposit to ${label}` },
+        { account: BANK_ACCOUNT, type: 'credit', amount: received.amount, currency: received.asset, narrative: `Deposit to ${label}` },
+      );
+      narrative = `${label} deposit of ${received.amount} ${received.asset}`;
+      // The export does not say which bank account the money came from
+      confidence = 0.85;
+    } else if (record.type === 'withdrawal') {
+      const { sent } = record;
+      lines.push(
+        { account: BANK_ACCOUNT, type: 'debit', amount: sent.amount, currency: sent.asset, narrative: `Withdrawal from ${label}` },
+        { account: EXCHANGE_CASH_ACCOUNT, type: 'credit', amount: sent.amount, currency: sent.asset, narrative: `Withdrawal from ${label}` },
+      );
+      narrative = `${label} withdrawal of ${sent.amount} ${sent.asset}`;
+      confidence = 0.85;
+    } else {
+      narrative = `${label} fee`;
+    }
+
+    for (const fee of record.fees) {
+      const feeAccount = await this.resolveAssetAccount(userId, fee.asset);
+      lines.push(
+        { account: EXCHANGE_FEES_ACCOUNT, type: 'debit', amount: fee.amount, currency: fee.asset, narrative: `${label} fee` },
+        { account: feeAccount, type: 'credit', amount: fee.amount, currency: fee.asset, narrative: `${label} fee` },
+      );
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    return {
+      isCompound: true,
+      lines,
+      narrative,
+      confidence,
+      entryType: record.type,
+    };
+  }
+}
+
+module.exports = new ExchangeEntryService();
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const exchangeImporters = require('./exchangeImporters');
+const exchangeEntryService = require('./exchangeEntryService');
+const journalEntryService = require('./journalEntryService');
+const walletService = require('./walletService');
+const jobService = require('./jobService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Records analyzed and booked at the same time
+const CONCURRENCY_LIMIT = 5;
+// Transaction ids looked up per query
+const LOOKUP_BATCH_SIZE = 200;
+
+/**
+ * Exchange CSV imports
+ * Reads an exchange's account export with its parser (see exchangeImporters) and
+ * stores every record as a pending row of `transactions`. Exchange records have no
+ * tx hash, so each gets a synthetic txid ("<exchange>:<hash>") derived from the
+ * user and the record: the exchange's own id when the export has one, else the
+ * record's contents. Uploading the same or an overlapping export again yields the
+ * same txids, which are recognized as duplicates and not stored twice.
+ *
+ * An `exchange_import` job then books the stored records through
+ * aiClient.analyzeExchangeTransaction, which applies the exchange rules first (see
+ * exchangeEntryService) and asks the AI about the rest.
+ */
+class ExchangeImportService {
+  listExchanges() {
+    return exchangeImporters.listImporters();
+  }
+
+  /**
+   * Synthetic txid of a record; `occurrence` tells apart identical records of one file
+   */
+  syntheticTxid(userId, record, occurrence = 0) {
+    const key = record.externalId || JSON.stringify([record.type, record.timestamp, record.received, record.sent, record.fees]);
+    const hash = crypto.createHash('sha256').update(`${userId}|${key}|${occurrence}`).digest('hex');
+    return `${record.exchange}:${hash.slice(0, 32)}`;
+  }
+
+  describe(record) {
+    const label = record.exchange.charAt(0).toUpperCase() + record.exchange.slice(1);
+    const amountOf = side => `${side.amount} ${side.asset}`;
+
+    switch (record.type) {
+    case 'trade':
+      return `${label} trade: ${amountOf(record.sent)} for ${amountOf(record.received)}`;
+    case 'deposit':
+      return `${label} deposit: ${amountOf(record.received)}`;
+    case 'withdrawal':
+      return `${label} withdrawal: ${amountOf(record.sent)}`;
+    case 'staking_reward':
+      return `${label} staking reward: ${amountOf(record.received)}`;
+    default:
+      return `${label} fee: ${record.fees.map(amountOf).join(', ')}`;
+    }
+  }
+
+  /**
+   * Parse an export into records with their synthetic txid and description
+   * @param {string} userId
+   * @param {string} exchange - Parser name (binance, coinbase, kraken)
+   * @param {string} text - CSV file contents
+   * @returns {Object} { records, errors }
+   */
+  parse(userId, exchange, text) {
+    const importer = exchangeImporters.getImporter(exchange);
+    if (!importer) {
+      throw new AppError(`Unsupported exchange: ${exchange}`, 400);
+    }
+
+    const { records, errors } = importer.parse(text);
+    if (records.length === 0 && errors.length === 0) {
+      throw new AppError(`No ${importer.label} transactions found in the file`, 400);
+    }
+
+    const occurrences = new Map();
+    const identified = records
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .map((record) => {
+        const plainTxid = this.syntheticTxid(userId, record);
+        const occurrence = occurrences.get(plainTxid) || 0;
+        occurrences.set(plainTxid, occurrence + 1);
+
+        return {
+          ...record,
+          txid: occurrence === 0 ? plainTxid : this.syntheticTxid(userId, record, occurrence),
+          description: this.describe(record),
+        };
+      });
+
+    return { records: identified, errors };
+  }
+
+  /**
+   * Txids among `txids` the user already has
+   * @returns {Set<string>}
+   */
+  async findExistingTxids(userId, txids) {
+    const existing = new Set();
+
+    for (let i = 0; i < txids.length; i += LOOKUP_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('transactions')
+        .select('txid')
+        .eq('user_id', userId)
+        .in('txid', txids.slice(i, i + LOOKUP_BATCH_SIZE));
+
+      if (error) throw error;
+      data.forEach(row => existing.add(row.txid));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Dry run of an import: the records the file holds, which of them were imported
+   * before, and the entries the exchange rules would book (null for records left to
+   * the AI; trades are shown unpriced)
+   * @returns {Object} { exchange, summary, records, errors }
+   */
+  async preview(userId, exchange, text) {
+    const { records, errors } = this.parse(userId, exchange, text);
+    const existing = await this.findExistingTxids(userId, records.map(record => record.txid));
+
+    const previewed = [];
+    for (const record of records) {
+      const entry = await exchangeEntryService.buildJournalEntry(record, userId, { valueTrades: false });
+      previewed.push({ ...record, duplicate: existing.has(record.txid), entry, needsAi: !entry });
+    }
+
+    return {
+      exchange,
+      summary: {
+        records: previewed.length,
+        new: previewed.filter(record => !record.duplicate).length,
+        duplicates: previewed.filter(record => record.duplicate).length,
+        invalidRows: errors.length,
+        needsAi: previewed.filter(record => record.needsAi).length,
+      },
+      records: previewed,
+      errors,
+    };
+  }
+
+  /**
+   * Store the new records of an export and queue the job that books them
+   * @param {string} userId
+   * @param {Object} params - { exchange, text, fileName }
+   * @returns {Object} { import, job, errors } - job is null when every record was a duplicate
+   */
+  async importFile(userId, { exchange, text, fileName = null }) {
+    const { records, errors } = this.parse(userId, exchange, text);
+
+    const { data: importRun, error: importError } = await supabase
+      .from('exchange_imports')
+      .insert({
+        user_id: userId,
+        exchange,
+        file_name: fileName,
+        records_total: records.length,
+        rows_invalid: errors.length,
+      })
+      .select()
+      .single();
+
+    if (importError) throw importError;
+
+    let imported = [];
+    if (records.length > 0) {
+      // ignoreDuplicates skips the txids already stored, by earlier imports or a concurrent one
+      const { data, error } = await supabase
+        .from('transactions')
+        .upsert(records.map(({ txid, description, ...record }) => ({
+          user_id: userId,
+          txid,
+          description,
+          blockchain_data: { source: 'exchange_import', ...record },
+          status: 'pending',
+          import_id: importRun.id,
+        })), { onConflict: 'txid', ignoreDuplicates: true })
+        .select('id');
+
+      if (error) throw error;
+      imported = data;
+    }
+
+    const job = imported.length > 0
+      ? await jobService.enqueue(userId, 'exchange_import', { importId: importRun.id })
+      : null;
+
+    const { data: updatedRun, error: updateError } = await supabase
+      .from('exchange_imports')
+      .update({
+        records_imported: imported.length,
+        records_duplicate: records.length - imported.length,
+        job_id: job?.id || null,
+      })
+      .eq('id', importRun.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    logger.info('Exchange export imported', {
+      userId,
+      exchange,
+      importId: importRun.id,
+      records: records.length,
+      imported: imported.length,
+      invalidRows: errors.length,
+    });
+
+    return { import: updatedRun, job, errors };
+  }
+
+  /**
+   * Queue the records of an import that are still pending or failed to book again
+   * @returns {Object} { import, job }
+   */
+  async retryImport(userId, importId) {
+    const { data: importRun, error } = await supabase
+      .from('exchange_imports')
+      .select('*')
+      .eq('id', importId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!importRun) {
+      throw new AppError('Import not found', 404);
+    }
+
+    const job = await jobService.enqueue(userId, 'exchange_import', { importId });
+
+    const { data: updatedRun, error: updateError } = await supabase
+      .from('exchange_imports')
+      .update({ job_id: job.id })
+      .eq('id', importId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    return { import: updatedRun, job };
+  }
+
+  /**
+   * Book the records of an import that are pending or failed before. Runs as an
+   * `exchange_import` job.
+   * @param {string} userId
+   * @param {string} importId
+   * @param {Object} options - { signal, onProgress }
+   * @returns {Object} { processed, failed, summary }
+   */
+  async processImport(userId, importId, { signal, onProgress } = {}) {
+    // Required lazily so imports can be previewed and stored without the AI clients
+    const aiClient = require('./aiClients');
+
+    const { data: transactions, error } = await supabase
+      .from('transactions')
+      .select('id, txid, description, blockchain_data')
+      .eq('user_id', userId)
+      .eq('import_id', importId)
+      .in('status', ['pending', 'failed']);
+
+    if (error) throw error;
+
+    const ownWallets = await walletService.listWallets(userId, { activeOnly: true });
+    const results = {
+      processed: [],
+      failed: [],
+      summary: {
+        total: transactions.length,
+        successful: 0,
+        failed: 0,
+        journalEntriesGenerated: 0,
+      },
+    };
+
+    // Records are saved without replaying the cost basis lots; the import replays them once
+    try {
+      for (let i = 0; i < transactions.length; i += CONCURRENCY_LIMIT) {
+        signal?.throwIfAborted();
+
+        await Promise.all(transactions.slice(i, i + CONCURRENCY_LIMIT)
+          .map(transaction => this.processTransaction(aiClient, userId, transaction, ownWallets, results)));
+
+        if (onProgress) {
+          await onProgress({ ...results.summary, completed: results.summary.successful + results.summary.failed });
+        }
+      }
+    } finally {
+      if (results.summary.journalEntriesGenerated > 0) {
+        await journalEntryService.refreshCostBasis(userId);
+      }
+    }
+
+    logger.info('Exchange import processed', {
+      userId,
+      importId,
+      successful: results.summary.successful,
+      failed: results.summary.failed,
+    });
+
+    return results;
+  }
+
+  async processTransaction(aiClient, userId, transaction, ownWallets, results) {
+    const record = transaction.blockchain_data;
+
+    try {
+      const journalEntries = await aiClient.analyzeExchangeTransaction(record, transaction.description, ownWallets, userId);
+
+      const savedEntries = await journalEntryService.saveJournalEntries({
+        entries: journalEntries.map(entry => ({
+          ...entry,
+          entryDate: record.timestamp.split('T')[0],
+          transactionDate: record.timestamp,
+          confidence: entry.confidence || 0.8,
+        })),
+        userId,
+        source: 'exchange_import',
+        transactionId: transaction.id,
+        rebuildCostBasis: false,
+      });
+
+      await this.setStatus(transaction.id, 'processed');
+
+      results.processed.push({ txid: transaction.txid, description: transaction.description, journalEntries: savedEntries });
+      results.summary.successful++;
+      results.summary.journalEntriesGenerated += savedEntries.length;
+    } catch (error) {
+      logger.error('Failed to book imported exchange transaction', {
+        txid: transaction.txid,
+        error: error.message,
+      });
+
+      await this.setStatus(transaction.id, 'failed');
+
+      results.failed.push({ txid: transaction.txid, description: transaction.description, error: error.message });
+      results.summary.failed++;
+    }
+  }
+
+  async setStatus(transactionId, status) {
+    const { error } = await supabase
+      .from('transactions')
+      .update({ status })
+      .eq('id', transactionId);
+
+    if (error) {
+      logger.warn('Failed to update imported transaction status', { transactionId, status, error: error.message });
+    }
+  }
+
+  async listImports(userId) {
+    const { data, error } = await supabase
+      .from('exchange_imports')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = new ExchangeImportService();
@@ -0,0 +1,116 @@
+const { parseCsv, parseAmount, parseTimestamp } = require('./csv');
+
+// Rows of one spot trade, booked with the same UTC_Time
+const TRADE_OPERATIONS = [
+  'Buy', 'Sell', 'Transaction Buy', 'Transaction Spend', 'Transaction Sold', 'Transaction Revenue',
+  'Small Assets Exchange BNB', 'Binance Convert', 'Large OTC Trading',
+];
+const FEE_OPERATIONS = ['Fee', 'Transaction Fee'];
+const DEPOSIT_OPERATIONS = ['Deposit', 'Fiat Deposit'];
+const WITHDRAWAL_OPERATIONS = ['Withdraw', 'Fiat Withdraw', 'Fiat Withdrawal'];
+const REWARD_OPERATIONS = [
+  'Staking Rewards', 'ETH 2.0 Staking Rewards', 'POS savings interest', 'Savings Interest',
+  'Simple Earn Flexible Interest', 'Simple Earn Locked Rewards', 'Launchpool Interest',
+];
+// Moves between the user's own Binance accounts
+const IGNORED_OPERATIONS = [
+  'Transfer Between Main and Funding Wallet', 'Transfer Between Spot Account and UM Futures Account',
+  'Staking Purchase', 'Staking Redemption', 'Simple Earn Flexible Subscription', 'Simple Earn Flexible Redemption',
+  'Simple Earn Locked Subscription', 'Simple Earn Locked Redemption', 'POS savings purchase', 'POS savings redemption',
+];
+
+/**
+ * Sum the changes of a trade's rows per asset
+ * @returns {Array} [{ asset, amount }] with signed amounts
+ */
+function netByAsset(rows) {
+  const totals = new Map();
+  rows.forEach(({ asset, change }) => totals.set(asset, (totals.get(asset) || 0) + change));
+  return [...totals.entries()].map(([asset, amount]) => ({ asset, amount }));
+}
+
+/**
+ * Binance "Transaction History" export (Account > Orders > Transaction History)
+ * Columns: User_ID, UTC_Time, Account, Operation, Coin, Change, Remark. A spot trade
+ * is several rows at the same time (what was spent, what was bought, the fee),
+ * grouped here into one trade. The export has no ids.
+ */
+module.exports = {
+  name: 'binance',
+  label: 'Binance',
+
+  detect(header) {
+    return header.includes('UTC_Time') && header.includes('Operation') && header.includes('Change');
+  },
+
+  parse(text) {
+    const records = [];
+    const errors = [];
+    const trades = new Map();
+
+    parseCsv(text, this.detect).forEach((line) => {
+      const timestamp = parseTimestamp(line.UTC_Time);
+      const change = parseAmount(line.Change);
+      const asset = (line.Coin || '').toUpperCase();
+      const operation = line.Operation;
+
+      if (!timestamp || change === null || !asset) {
+        errors.push({ row: line.row, message: 'Missing or invalid UTC_Time, Coin or Change' });
+        return;
+      }
+      if (IGNORED_OPERATIONS.includes(operation) || change === 0) {
+        return;
+      }
+
+      if (TRADE_OPERATIONS.includes(operation) || FEE_OPERATIONS.includes(operation)) {
+        const key = `${line.Account}|${timestamp}`;
+        if (!trades.has(key)) {
+          trades.set(key, { timestamp, rows: [] });
+        }
+        trades.get(key).rows.push({ row: line.row, asset, change, isFee: FEE_OPERATIONS.includes(operation) });
+        return;
+      }
+
+      const base = { exchange: 'binance', externalId: null, timestamp, fees: [], address: null, note: line.Remark || null, rows: [line.row] };
+      if (DEPOSIT_OPERATIONS.includes(operation)) {
+        records.push({ ...base, type: 'deposit', received: { asset, amount: Math.abs(change) }, sent: null });
+      } else if (WITHDRAWAL_OPERATIONS.includes(operation)) {
+        records.push({ ...base, type: 'withdrawal', received: null, sent: { asset, amount: Math.abs(change) } });
+      } else if (REWARD_OPERATIONS.includes(operation) || /interest|reward|distribution/i.test(operation)) {
+        records.push({ ...base, type: 'staking_reward', received: { asset, amount: Math.abs(change) }, sent: null });
+      } else {
+        errors.push({ row: line.row, message: `Unsupported Binance operation "${operation}"` });
+      }
+    });
+
+    trades.forEach(({ timestamp, rows }) => {
+      const rowNumbers = rows.map(row => row.row);
+      const fees = netByAsset(rows.filter(row => row.isFee))
+        .map(({ asset, amount }) => ({ asset, amount: Math.abs(amount) }));
+      const legs = netByAsset(rows.filter(row => !row.isFee)).filter(leg => leg.amount !== 0);
+      const received = legs.filter(leg => leg.amount > 0);
+      const sent = legs.filter(leg => leg.amount < 0);
+
+      if (legs.length === 0) {
+        records.push({ exchange: 'binance', externalId: null, type: 'fee', timestamp, received: null, sent: null, fees, address: null, note: null, rows: rowNumbers });
+      } else if (received.length === 1 && sent.length === 1) {
+        records.push({
+          exchange: 'binance',
+          externalId: null,
+          type: 'trade',
+          timestamp,
+          received: received[0],
+          sent: { asset: sent[0].asset, amount: Math.abs(sent[0].amount) },
+          fees,
+          address: null,
+          note: null,
+          rows: rowNumbers,
+        });
+      } else {
+        errors.push({ row: rowNumbers[0], message: `Trade rows at ${timestamp} do not pair one bought asset with one sold asset` });
+      }
+    });
+
+    return { records, errors };
+  },
+};
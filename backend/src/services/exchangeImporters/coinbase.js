@@ -0,0 +1,77 @@
+const { parseCsv, parseAmount, parseTimestamp } = require('./csv');
+
+const REWARD_TYPES = ['Staking Income', 'Rewards Income', 'Inflation Reward', 'Interest Payout'];
+// "Converted 0.1 ETH to 310.25 USDC"
+const CONVERT_NOTE = /Converted\s+([\d.,]+)\s+(\S+)\s+to\s+([\d.,]+)\s+(\S+)/i;
+
+/**
+ * Coinbase transaction history export (Statements > Generate report, CSV)
+ * Columns: [ID,] Timestamp, Transaction Type, Asset, Quantity Transacted,
+ * (Spot) Price Currency, (Spot) Price at Transaction, Subtotal, Total (inclusive of
+ * fees and/or spread), Fees and/or Spread, Notes. Newer exports carry an ID and a few
+ * lines above the header. Buys and sells are against the price currency; the fee
+ * is charged in it.
+ */
+module.exports = {
+  name: 'coinbase',
+  label: 'Coinbase',
+
+  detect(header) {
+    return header.includes('Timestamp') && header.includes('Transaction Type') && header.includes('Quantity Transacted');
+  },
+
+  parse(text) {
+    const records = [];
+    const errors = [];
+
+    parseCsv(text, this.detect).forEach((line) => {
+      const type = line['Transaction Type'];
+      const timestamp = parseTimestamp(line.Timestamp);
+      const asset = (line.Asset || '').toUpperCase();
+      const quantity = Math.abs(parseAmount(line['Quantity Transacted']) || 0);
+      const priceCurrency = (line['Price Currency'] || line['Spot Price Currency'] || 'USD').toUpperCase();
+      const subtotal = Math.abs(parseAmount(line.Subtotal) || 0);
+      const fee = Math.abs(parseAmount(line['Fees and/or Spread']) || 0);
+      const fees = fee > 0 ? [{ asset: priceCurrency, amount: fee }] : [];
+
+      if (!timestamp || !asset || !quantity) {
+        errors.push({ row: line.row, message: 'Missing or invalid Timestamp, Asset or Quantity Transacted' });
+        return;
+      }
+
+      const base = { exchange: 'coinbase', externalId: line.ID || null, timestamp, fees, address: null, note: line.Notes || null, rows: [line.row] };
+
+      if (type === 'Buy' || type === 'Advanced Trade Buy') {
+        records.push({ ...base, type: 'trade', received: { asset, amount: quantity }, sent: { asset: priceCurrency, amount: subtotal } });
+      } else if (type === 'Sell' || type === 'Advanced Trade Sell') {
+        records.push({ ...base, type: 'trade', received: { asset: priceCurrency, amount: subtotal }, sent: { asset, amount: quantity } });
+      } else if (type === 'Convert') {
+        const match = CONVERT_NOTE.exec(line.Notes || '');
+        if (!match) {
+          errors.push({ row: line.row, message: 'Convert without a "Converted X A to Y B" note' });
+          return;
+        }
+        // The spread is priced into the conversion rate, not charged separately
+        records.push({
+          ...base,
+          type: 'trade',
+          fees: [],
+          sent: { asset: match[2].toUpperCase(), amount: parseAmount(match[1]) },
+          received: { asset: match[4].toUpperCase(), amount: parseAmount(match[3]) },
+        });
+      } else if (type === 'Receive' || type === 'Deposit') {
+        records.push({ ...base, type: 'deposit', received: { asset, amount: quantity }, sent: null });
+      } else if (type === 'Send' || type === 'Withdrawal') {
+        // Sends name the destination address in the note: "Sent 0.1 ETH to 0xabc..."
+        const address = /to\s+(0x[0-9a-fA-F]{40}|\S+)$/.exec(line.Notes || '')?.[1] || null;
+        records.push({ ...base, type: 'withdrawal', received: null, sent: { asset, amount: quantity }, address });
+      } else if (REWARD_TYPES.includes(type)) {
+        records.push({ ...base, type: 'staking_reward', received: { asset, amount: quantity }, sent: null });
+      } else {
+        errors.push({ row: line.row, message: `Unsupported Coinbase transaction type "${type}"` });
+      }
+    });
+
+    return { records, errors };
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * Minimal RFC 4180 CSV reader for exchange exports: quoted fields, doubled quotes,
+ * line breaks inside quotes, CRLF line endings and a leading byte order mark
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} Rows of fields, blank lines left out
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read a CSV export into records keyed by its header
+ * @param {string} text - File contents
+ * @param {Function} isHeader - Picks the header row, for exports with lines above it (default: the first row)
+ * @returns {Array<Object>} Records with their 1-based line in the file as `row`
+ */
+function parseCsv(text, isHeader = () => true) {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex(fields => isHeader(fields.map(value => value.trim())));
+  if (headerIndex === -1) {
+    return [];
+  }
+
+  const header = rows[headerIndex].map(value => value.trim());
+  return rows.slice(headerIndex + 1).map((fields, index) => {
+    const record = { row: headerIndex + index + 2 };
+    header.forEach((column, position) => {
+      record[column] = (fields[position] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Parse an amount as exported ("1,234.5", "-$10.00", "0.1 BTC"), or null when it is not a number
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const amount = parseFloat(String(value).replace(/[^0-9.eE+-]/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parse an exported date as UTC unless it names a zone
+ * @returns {string|null} ISO timestamp
+ */
+function parseTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim().replace(' UTC', 'Z');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const date = new Date(hasZone ? text.replace(' ', 'T') : `${text.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  parseAmount,
+  parseTimestamp,
+};
@@ -0,0 +1,34 @@
+const binance = require('./binance');
+const coinbase = require('./coinbase');
+const kraken = require('./kraken');
+
+/**
+ * Exchange export parsers
+ *
+ * Parsers share one interface:
+ * - name: stored with every imported record
+ * - label: display name
+ * - detect(header): whether a CSV header row is this exchange's export
+ * - parse(text): { records, errors }, where errors are rows that could not be read
+ *   ({ row, message }) and every record is normalized to
+ *   { exchange, externalId, type, timestamp, received, sent, fees, address, note, rows }
+ *
+ * type is trade, deposit, withdrawal, fee or staking_reward. received and sent are
+ * { asset, amount } or null, fees a list of { asset, amount }; amounts are positive.
+ * externalId is the exchange's own id when the export has one, and rows the file
+ * lines the record was read from.
+ */
+const IMPORTERS = [binance, coinbase, kraken];
+
+function getImporter(exchange) {
+  return IMPORTERS.find(importer => importer.name === exchange) || null;
+}
+
+function listImporters() {
+  return IMPORTERS.map(({ name, label }) => ({ name, label }));
+}
+
+module.exports = {
+  getImporter,
+  listImporters,
+};
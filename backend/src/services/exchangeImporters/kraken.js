@@ -0,0 +1,123 @@
+const { parseCsv, parseAmount, parseTimestamp } = require('./csv');
+
+// Kraken's legacy asset codes
+const ASSET_CODES = {
+  XXBT: 'BTC',
+  XBT: 'BTC',
+  XETH: 'ETH',
+  XLTC: 'LTC',
+  XXRP: 'XRP',
+  XXLM: 'XLM',
+  XXMR: 'XMR',
+  XZEC: 'ZEC',
+  XETC: 'ETC',
+  XXDG: 'DOGE',
+  XDG: 'DOGE',
+  XMLN: 'MLN',
+  XREP: 'REP',
+  ZUSD: 'USD',
+  ZEUR: 'EUR',
+  ZGBP: 'GBP',
+  ZCAD: 'CAD',
+  ZJPY: 'JPY',
+  ZAUD: 'AUD',
+  ZCHF: 'CHF',
+};
+// Ledger rows that pair up into one trade under the same refid
+const TRADE_TYPES = ['trade', 'spend', 'receive'];
+const REWARD_TYPES = ['staking', 'earn', 'dividend'];
+// Moves between the user's own Kraken wallets (spot, staking, futures)
+const IGNORED_TYPES = ['transfer', 'margin', 'rollover', 'settled'];
+
+/**
+ * Symbol of a Kraken asset, without the staking suffix (ETH2.S, DOT.S, USDC.M)
+ */
+function normalizeAsset(asset) {
+  const code = asset.toUpperCase().replace(/\.[A-Z]$/, '');
+  return ASSET_CODES[code] || code;
+}
+
+/**
+ * Kraken ledger export (History > Export > Ledgers)
+ * Columns: txid, refid, time, type, subtype, aclass, asset, amount, fee, balance.
+ * Each row moves one asset with its own fee; the two rows of a trade share a refid,
+ * which identifies the record.
+ */
+module.exports = {
+  name: 'kraken',
+  label: 'Kraken',
+
+  detect(header) {
+    return header.includes('refid') && header.includes('asset') && header.includes('amount');
+  },
+
+  parse(text) {
+    const records = [];
+    const errors = [];
+    const trades = new Map();
+
+    parseCsv(text, this.detect).forEach((line) => {
+      const timestamp = parseTimestamp(line.time);
+      const amount = parseAmount(line.amount);
+      const fee = Math.abs(parseAmount(line.fee) || 0);
+      const asset = line.asset ? normalizeAsset(line.asset) : '';
+      const type = (line.type || '').toLowerCase();
+
+      if (!timestamp || amount === null || !asset) {
+        errors.push({ row: line.row, message: 'Missing or invalid time, asset or amount' });
+        return;
+      }
+      // Rows without a txid are unconfirmed duplicates Kraken includes in the export
+      if (!line.txid || IGNORED_TYPES.includes(type)) {
+        return;
+      }
+
+      const fees = fee > 0 ? [{ asset, amount: fee }] : [];
+      if (TRADE_TYPES.includes(type)) {
+        if (!trades.has(line.refid)) {
+          trades.set(line.refid, { timestamp, rows: [] });
+        }
+        trades.get(line.refid).rows.push({ row: line.row, asset, amount, fees });
+        return;
+      }
+
+      const base = { exchange: 'kraken', externalId: line.refid || line.txid, timestamp, fees, address: null, note: line.subtype || null, rows: [line.row] };
+      if (type === 'deposit') {
+        records.push({ ...base, type: 'deposit', received: { asset, amount: Math.abs(amount) }, sent: null });
+      } else if (type === 'withdrawal') {
+        records.push({ ...base, type: 'withdrawal', received: null, sent: { asset, amount: Math.abs(amount) } });
+      } else if (REWARD_TYPES.includes(type) && amount > 0) {
+        records.push({ ...base, type: 'staking_reward', received: { asset, amount }, sent: null });
+      } else if (amount === 0 && fee > 0) {
+        records.push({ ...base, type: 'fee', received: null, sent: null });
+      } else {
+        errors.push({ row: line.row, message: `Unsupported Kraken ledger type "${line.type}"` });
+      }
+    });
+
+    trades.forEach(({ timestamp, rows }, refid) => {
+      const received = rows.filter(row => row.amount > 0);
+      const sent = rows.filter(row => row.amount < 0);
+
+      if (received.length !== 1 || sent.length !== 1) {
+        errors.push({ row: rows[0].row, message: `Trade ${refid} does not pair one bought asset with one sold asset` });
+        return;
+      }
+
+      records.push({
+        exchange: 'kraken',
+        externalId: refid,
+        type: 'trade',
+        timestamp,
+        received: { asset: received[0].asset, amount: received[0].amount },
+        sent: { asset: sent[0].asset, amount: Math.abs(sent[0].amount) },
+        fees: rows.flatMap(row => row.fees),
+        address: null,
+        note: null,
+        rows: rows.map(row => row.row),
+      });
+    });
+
+    return { records, errors };
+  },
+};
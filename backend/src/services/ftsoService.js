@@ -13,6 +13,8 @@ class FTSOService {
     this.enabled = process.env.FTSO_PRICE_CONSUMER_ENABLED === 'true';
     this.priceCache = new Map();
     this.cacheTimeout = parseInt(process.env.PRICE_FEED_CACHE_TTL) || 60000; // 1 minute default
+    // The mock table is a development aid only; production never prices from it
+    this.allowMockPrices = process.env.NODE_ENV !== 'production' && process.env.FTSO_ALLOW_MOCK_PRICES !== 'false';
     
     // Contract ABI - updated to match the actual deployed contract
     this.contractABI = [
@@ -173,22 +175,7 @@ class FTSOService {
       });
 
       try {
-        // Try to get price from our deployed contract using staticCall
-        const [price, decimals, timestamp] = await this.contract.getPrice.staticCall(querySymbol);
-        
-        // Convert price to USD (handle decimals correctly)
-        const usdPrice = Number(price) / Math.pow(10, Number(decimals));
-        
-        const priceData = {
-          symbol: normalizedSymbol,
-          price: Number(price),
-          decimals: Number(decimals),
-          timestamp: Number(timestamp),
-          usdPrice: usdPrice,
-          lastUpdated: new Date(Number(timestamp) * 1000).toISOString(),
-          source: 'ftso-contract',
-          contractAddress: this.contractAddress,
-        };
+        const priceData = await this.getContractPrice(normalizedSymbol);
 
         // Cache the result
         this.priceCache.set(cacheKey, {
@@ -225,10 +212,47 @@ class FTSOService {
     }
   }
 
+  /**
+   * Get the price straight from the FTSO contract, without cache or mock fallback
+   * @param {string} symbol - The cryptocurrency symbol
+   * @returns {Object} Price data; throws when the contract is unavailable or fails
+   */
+  async getContractPrice(symbol) {
+    if (!this.isAvailable()) {
+      throw new Error('FTSO Service not available');
+    }
+
+    const normalizedSymbol = symbol.toUpperCase();
+    // Map Coston2 FLR to mainnet FLR
+    const querySymbol = normalizedSymbol === 'C2FLR' ? 'FLR' : normalizedSymbol;
+
+    // Try to get price from our deployed contract using staticCall
+    const [price, decimals, timestamp] = await this.contract.getPrice.staticCall(querySymbol);
+
+    // Convert price to USD (handle decimals correctly)
+    const usdPrice = Number(price) / Math.pow(10, Number(decimals));
+
+    return {
+      symbol: normalizedSymbol,
+      price: Number(price),
+      decimals: Number(decimals),
+      timestamp: Number(timestamp),
+      usdPrice,
+      lastUpdated: new Date(Number(timestamp) * 1000).toISOString(),
+      source: 'ftso-contract',
+      contractAddress: this.contractAddress,
+    };
+  }
+
   /**
    * Get mock price for any token (fallback when FTSO contract fails)
+   * Disabled in production so no value is ever booked from the mock table
    */
   getMockPrice(symbol) {
+    if (!this.allowMockPrices) {
+      throw new Error(`Mock prices are disabled; no FTSO price available for symbol: ${symbol}`);
+    }
+
     const normalizedSymbol = symbol.toUpperCase();
     const mockPrice = this.mockPrices[normalizedSymbol];
     
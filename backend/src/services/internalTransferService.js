@@ -0,0 +1,129 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const accountService = require('./accountService');
+const chainRegistry = require('./chainRegistry');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const INTERNAL_TRANSFER_CATEGORY = 'internal_transfer';
+
+/**
+ * Internal transfers
+ * Books a movement between two of the business's own wallets as one asset-to-asset
+ * entry. Both wallets see the same txid, so the transfer is booked once, whichever
+ * wallet is analyzed first, and only the gas fee is expensed.
+ */
+class InternalTransferService {
+  /**
+   * Sending and receiving address of a transfer (the token transfer's, when there is one)
+   * @returns {Object} { from, to } in lowercase
+   */
+  getTransferParties(tx) {
+    const from = tx.tokenTransfer?.from || tx.from;
+    const to = tx.tokenTransfer?.to || tx.to;
+    return {
+      from: from?.toLowerCase() || null,
+      to: to?.toLowerCase() || null,
+    };
+  }
+
+  /**
+   * Drop internal transfers that are already booked from the other wallet's side
+   * @param {string} userId
+   * @param {Array} transactions - Transactions categorized as internal_transfer
+   * @returns {Array} Transactions still to book
+   */
+  async filterUnbooked(userId, transactions) {
+    if (transactions.length === 0) {
+      return transactions;
+    }
+
+    const { data, error } = await supabase
+      .from('journal_entries')
+      .select('metadata')
+      .eq('user_id', userId)
+      .eq('metadata->>category', INTERNAL_TRANSFER_CATEGORY)
+      .in('metadata->>transactionHash', transactions.map(tx => tx.hash));
+
+    if (error) throw error;
+
+    const booked = new Set(data.map(row => row.metadata.transactionHash));
+    if (booked.size > 0) {
+      logger.info('Skipping internal transfers booked from the other wallet', {
+        userId,
+        skipped: [...booked],
+      });
+    }
+
+    return transactions.filter(tx => !booked.has(tx.hash));
+  }
+
+  /**
+   * Build the journal entry for a transfer between two registered wallets: debit the
+   * receiving wallet's asset account, credit the sending one, and expense the gas fee
+   * @param {Object} tx - Normalized (optionally categorized) transaction
+   * @param {Array} ownWallets - The business's registered wallets
+   * @param {string} userId - Owner of the chart the asset accounts come from
+   * @returns {Object} Compound journal entry
+   */
+  async buildJournalEntry(tx, ownWallets = [], userId = null) {
+    const { from, to } = this.getTransferParties(tx);
+    const fromWallet = ownWallets.find(wallet => wallet.address === from);
+    const toWallet = ownWallets.find(wallet => wallet.address === to);
+
+    const nativeCurrency = tx.networkCurrency || chainRegistry.getChain(tx.chain).nativeSymbol;
+    const isToken = !!(tx.tokenTransfer || tx.tokenSymbol);
+    const currency = (tx.tokenTransfer?.tokenSymbol || tx.tokenSymbol || nativeCurrency).toUpperCase();
+    const amount = parseFloat(tx.tokenTransfer?.tokenAmount ?? tx.actualAmount ?? 0);
+    const gasFee = parseFloat(tx.gasFee || 0);
+
+    const fromAccount = await this.resolveAssetAccount(userId, fromWallet, currency, isToken);
+    const toAccount = await this.resolveAssetAccount(userId, toWallet, currency, isToken);
+    const fromLabel = fromWallet?.label || from;
+    const toLabel = toWallet?.label || to;
+
+    const lines = [
+      { account: toAccount, type: 'debit', amount, currency, narrative: `Received from ${fromLabel}` },
+      { account: fromAccount, type: 'credit', amount, currency, narrative: `Sent to ${toLabel}` },
+    ];
+
+    if (gasFee > 0) {
+      const gasAccount = await this.resolveAssetAccount(userId, fromWallet, nativeCurrency.toUpperCase(), false);
+      lines.push(
+        { account: 'Transaction Fees', type: 'debit', amount: gasFee, currency: nativeCurrency, narrative: 'Gas fee' },
+        { account: gasAccount, type: 'credit', amount: gasFee, currency: nativeCurrency, narrative: 'Gas fee' },
+      );
+    }
+
+    return {
+      isCompound: true,
+      lines,
+      narrative: `Internal transfer of ${amount} ${currency} from ${fromLabel} to ${toLabel}`,
+      confidence: 0.95,
+      entryType: INTERNAL_TRANSFER_CATEGORY,
+      internalTransfer: { from, to },
+    };
+  }
+
+  /**
+   * Asset account of a wallet for a currency: the wallet's default asset account when
+   * it holds that currency, else the chart's account for the asset
+   */
+  async resolveAssetAccount(userId, wallet, currency, isToken) {
+    const account = wallet?.default_asset_account;
+    if (account) {
+      const accountCurrency = account.currency?.toUpperCase();
+      if (accountCurrency ? accountCurrency === currency : !isToken) {
+        return account.name;
+      }
+    }
+
+    const cryptoAccount = await accountService.getAccountForCrypto(userId, currency);
+    return cryptoAccount?.name || `Digital Assets - ${currency}`;
+  }
+}
+
+module.exports = new InternalTransferService();
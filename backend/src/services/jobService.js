@@ -0,0 +1,408 @@
+const { EventEmitter } = require('events');
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+// Jobs run at the same time by this process
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+// How often the queue is checked for jobs enqueued elsewhere
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+// A job interrupted by this many restarts is failed instead of queued again
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+/**
+ * Job handlers by type: (job, { signal, reportProgress }) => result
+ * Required lazily so the queue can be loaded without the AI clients.
+ */
+const JOB_HANDLERS = {
+  wallet_analysis: async (job, { signal, reportProgress }) => {
+    const aiClient = require('./aiClients');
+    const walletService = require('./walletService');
+    const { address, options = {} } = job.payload;
+    return aiClient.analyzeBulkTransactions(
+      address,
+      {
+        ...options,
+        // Looked up when the job runs, so a queued job sees the current registry
+        ownWallets: await walletService.listWallets(job.user_id, { activeOnly: true }),
+        signal,
+        onProgress: reportProgress,
+      },
+      options.saveEntries !== false ? job.user_id : null,
+    );
+  },
+  bulk_process: (job, { signal, reportProgress }) => {
+    const bulkTransactionService = require('./bulkTransactionService');
+    const { transactions, chain, saveEntries = true } = job.payload;
+    return bulkTransactionService.processTransactions(job.user_id, transactions, {
+      chain,
+      saveEntries,
+      signal,
+      onProgress: reportProgress,
+    });
+  },
+  exchange_import: (job, { signal, reportProgress }) => {
+    const exchangeImportService = require('./exchangeImportService');
+    return exchangeImportService.processImport(job.user_id, job.payload.importId, {
+      signal,
+      onProgress: reportProgress,
+    });
+  },
+};
+
+/**
+ * Background jobs
+ * Long-running work is stored in `jobs` and run by a queue inside the API process,
+ * so requests return at once and clients poll GET /api/jobs/:id for progress.
+ *
+ * A job is claimed by moving it from 'queued' to 'running'. Jobs still 'running'
+ * when the server starts were interrupted by a restart and are queued again.
+ * Cancelling marks the job 'cancelled'; the runner notices on its next progress
+ * report and aborts the handler through its AbortSignal.
+ *
+ * Progress and completion are also published as events (see subscribe), which the
+ * SSE endpoints forward to the browser.
+ */
+class JobService {
+  constructor() {
+    // AbortControllers of the jobs running in this process, by job id
+    this.running = new Map();
+    this.pollTimer = null;
+    this.draining = false;
+    // Events of the jobs run by this process, emitted under the job id
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Recover interrupted jobs and start polling the queue (called once at server start)
+   */
+  async start() {
+    await this.recoverInterruptedJobs();
+
+    this.pollTimer = setInterval(() => this.processQueue(), JOB_POLL_INTERVAL_MS);
+    this.pollTimer.unref();
+
+    this.processQueue();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Put jobs left 'running' by a previous process back in the queue
+   */
+  async recoverInterruptedJobs() {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('id, attempts')
+      .eq('status', 'running');
+
+    if (error) throw error;
+
+    for (const job of data) {
+      const exhausted = job.attempts >= JOB_MAX_ATTEMPTS;
+      const { error: updateError } = await supabase
+        .from('jobs')
+        .update(exhausted
+          ? { status: 'failed', error: 'Interrupted by server restarts too many times', finished_at: new Date().toISOString() }
+          : { status: 'queued' })
+        .eq('id', job.id)
+        .eq('status', 'running');
+
+      if (updateError) throw updateError;
+    }
+
+    if (data.length > 0) {
+      logger.info('Recovered interrupted jobs', { count: data.length });
+    }
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} type - Job type (wallet_analysis, bulk_process, exchange_import)
+   * @param {Object} payload - Input of the job
+   * @returns {Object} The queued job
+   */
+  async enqueue(userId, type, payload = {}) {
+    if (!JOB_HANDLERS[type]) {
+      throw new AppError(`Unknown job type: ${type}`, 400);
+    }
+
+    const { data, error } = await supabase
+      .from('jobs')
+      .insert({ user_id: userId, type, payload, status: 'queued' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Job queued', { jobId: data.id, userId, type });
+
+    this.processQueue();
+    return data;
+  }
+
+  /**
+   * Start queued jobs while this process has capacity
+   */
+  async processQueue() {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+
+    try {
+      while (this.running.size < JOB_CONCURRENCY) {
+        const job = await this.claimNextJob();
+        if (!job) {
+          break;
+        }
+        this.runJob(job);
+      }
+    } catch (error) {
+      logger.error('Failed to process job queue', { error: error.message });
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Move the oldest queued job to 'running'
+   * @returns {Object|null} The claimed job, or null when the queue is empty
+   */
+  async claimNextJob() {
+    for (;;) {
+      const { data: queued, error } = await supabase
+        .from('jobs')
+        .select('id, attempts')
+        .eq('status', 'queued')
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      if (error) throw error;
+      if (queued.length === 0) {
+        return null;
+      }
+
+      const { data: claimed, error: claimError } = await supabase
+        .from('jobs')
+        .update({ status: 'running', started_at: new Date().toISOString(), attempts: queued[0].attempts + 1 })
+        .eq('id', queued[0].id)
+        .eq('status', 'queued')
+        .select();
+
+      if (claimError) throw claimError;
+      // Another worker (or a cancel) got there first; try the next job
+      if (claimed.length > 0) {
+        return claimed[0];
+      }
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @returns {Object} The finished job
+   */
+  async runJob(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    const reportProgress = async (progress) => {
+      try {
+        const { data, error } = await supabase
+          .from('jobs')
+          .update({ progress })
+          .eq('id', job.id)
+          .eq('status', 'running')
+          .select('id');
+
+        if (error) throw error;
+        // No longer running: the job was cancelled
+        if (data.length === 0) {
+          controller.abort();
+          return;
+        }
+        this.events.emit(job.id, { type: 'progress', progress });
+      } catch (error) {
+        logger.warn('Failed to report job progress', { jobId: job.id, error: error.message });
+      }
+    };
+
+    logger.info('Job started', { jobId: job.id, type: job.type, attempt: job.attempts });
+
+    let finished;
+    try {
+      const result = await JOB_HANDLERS[job.type](job, { signal: controller.signal, reportProgress });
+      finished = await this.finishJob(job.id, { status: 'succeeded', result });
+      logger.info('Job succeeded', { jobId: job.id, type: job.type });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        logger.info('Job cancelled', { jobId: job.id, type: job.type });
+        finished = { ...job, status: 'cancelled' };
+      } else {
+        logger.error('Job failed', { jobId: job.id, type: job.type, error: error.message });
+        finished = await this.finishJob(job.id, { status: 'failed', error: error.message }).catch((finishError) => {
+          logger.error('Failed to record job failure', { jobId: job.id, error: finishError.message });
+          return { ...job, status: 'failed', error: error.message };
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+    }
+
+    this.events.emit(job.id, { type: 'finished', job: finished || { ...job, status: 'cancelled' } });
+    this.processQueue();
+    return finished;
+  }
+
+  /**
+   * Record the outcome of a running job (a cancelled job keeps its status)
+   */
+  async finishJob(jobId, updates) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({ ...updates, finished_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', 'running')
+      .select();
+
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async getJob(userId, jobId) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!data) {
+      throw new AppError('Job not found', 404);
+    }
+    return data;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} filters - { status, type, limit }
+   */
+  async listJobs(userId, { status = null, type = null, limit = 20 } = {}) {
+    let query = supabase
+      .from('jobs')
+      .select('id, type, status, progress, error, attempts, created_at, started_at, finished_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (type) {
+      query = query.eq('type', type);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Follow a job until it finishes. Events of jobs run by this process arrive right
+   * away; jobs run elsewhere are followed by polling their row.
+   * @param {string} jobId
+   * @param {Function} listener - Called with { type: 'progress', progress } or { type: 'finished', job }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    let stopped = false;
+    let lastUpdate = null;
+
+    const onEvent = (event) => {
+      if (stopped) return;
+      if (event.type === 'finished') {
+        stop();
+      }
+      listener(event);
+    };
+
+    const poll = setInterval(async () => {
+      if (this.running.has(jobId)) return;
+      try {
+        const { data, error } = await supabase
+          .from('jobs')
+          .select('*')
+          .eq('id', jobId)
+          .single();
+
+        if (error) throw error;
+        if (FINISHED_STATUSES.includes(data.status)) {
+          onEvent({ type: 'finished', job: data });
+        } else if (data.updated_at !== lastUpdate) {
+          lastUpdate = data.updated_at;
+          onEvent({ type: 'progress', progress: data.progress });
+        }
+      } catch (error) {
+        logger.warn('Failed to poll job', { jobId, error: error.message });
+      }
+    }, JOB_POLL_INTERVAL_MS);
+    poll.unref();
+
+    const stop = () => {
+      stopped = true;
+      clearInterval(poll);
+      this.events.off(jobId, onEvent);
+    };
+
+    this.events.on(jobId, onEvent);
+    return stop;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {Object} The cancelled job
+   */
+  async cancelJob(userId, jobId) {
+    const job = await this.getJob(userId, jobId);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new AppError(`Job already ${job.status}`, 409);
+    }
+
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({ status: 'cancelled', finished_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .in('status', ['queued', 'running'])
+      .select();
+
+    if (error) throw error;
+    if (data.length === 0) {
+      throw new AppError('Job already finished', 409);
+    }
+
+    // A job running in this process stops right away, others at their next progress report
+    const controller = this.running.get(jobId);
+    if (controller) {
+      controller.abort();
+    } else {
+      this.events.emit(jobId, { type: 'finished', job: data[0] });
+    }
+
+    logger.info('Job cancelled by user', { jobId, userId, previousStatus: job.status });
+    return data[0];
+  }
+}
+
+module.exports = new JobService();
@@ -1,6 +1,13 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
-const ftsoService = require('./ftsoService'); // Add FTSO service import
+const { AppError } = require('../middleware/errorHandler');
+const priceService = require('./priceService');
+const auditService = require('./auditService');
+const accountService = require('./accountService');
+
+// Native amounts are stored as NUMERIC(20, 8); USD values as NUMERIC(20, 2)
+const NATIVE_BALANCE_TOLERANCE = 0.00000001;
+const USD_BALANCE_TOLERANCE_PER_LINE = 0.01;
 
 class JournalEntryService {
   constructor() {
@@ -12,20 +19,33 @@ class JournalEntryService {
 
   /**
    * Universal journal entry saver - saves whatever entries AI generates
+   * Each entry is stored as a header plus its debit/credit lines. Entries may be a
+   * legacy single pair (accountDebit/accountCredit/amount) or carry a `lines` array
+   * ({ account, type: 'debit'|'credit', amount, currency }, optionally with accountId
+   * or accountCode). Every line is linked to its account in the user's chart (see
+   * linkAccounts). Entries whose lines do not balance per currency and in USD are
+   * rejected with a 400.
    * @param {Object} params
-   * @param {Array} params.entries - Array of journal entries from AI
+   * @param {Array} params.entries - Array of journal entries from AI (an entry's own `metadata` is merged into the batch metadata)
    * @param {string} params.userId - User ID
    * @param {string} params.source - Entry source ('ai', 'manual', 'api')
    * @param {string} params.transactionId - Optional: link to crypto transaction
    * @param {Object} params.metadata - Optional: additional data
+   * @param {boolean} params.rebuildCostBasis - Replay the cost basis lots after saving; batches
+   *   saving entry by entry pass false and call refreshCostBasis once at the end
    * @returns {Array} Saved journal entries
+   *
+   * Entries from AI transaction analysis that need a human look (low confidence,
+   * substituted or unknown accounts) are saved with review_status 'pending'.
+   * Entries dated in a locked (or, for AI sources, soft-closed) period are refused with a 409.
    */
   async saveJournalEntries({ 
     entries, 
     userId, 
     source = 'ai', 
     transactionId = null, 
-    metadata = null 
+    metadata = null,
+    rebuildCostBasis = true,
   }) {
     try {
       logger.info('Saving journal entries with USD enhancement', {
@@ -37,6 +57,7 @@ class JournalEntryService {
 
       // Extract transaction date from various sources
       let transactionDate = new Date(); // Default to now
+      let hasTransactionDate = false;
 
       if (transactionId) {
         // Try to get date from blockchain transaction
@@ -48,14 +69,18 @@ class JournalEntryService {
         
         if (transaction && transaction.timestamp) {
           transactionDate = new Date(transaction.timestamp * 1000); // Convert Unix timestamp
+          hasTransactionDate = true;
         } else if (transaction && transaction.timeStamp) {
           transactionDate = new Date(transaction.timeStamp * 1000); // Alternative timestamp field
+          hasTransactionDate = true;
         } else if (transaction && transaction.created_at) {
           transactionDate = new Date(transaction.created_at);
+          hasTransactionDate = true;
         }
       } else if (metadata && metadata.transactionDate) {
         // Use provided transaction date from metadata
         transactionDate = new Date(metadata.transactionDate);
+        hasTransactionDate = true;
       }
 
       // Validate the transaction date
@@ -64,6 +89,7 @@ class JournalEntryService {
           originalDate: transactionId || metadata?.transactionDate 
         });
         transactionDate = new Date();
+        hasTransactionDate = false;
       }
 
       // If we have a transactionId, ensure the transaction exists
@@ -83,54 +109,104 @@ class JournalEntryService {
         }
       }
 
-      // **NEW: Enhance entries with USD values using FTSO service**
-      const enhancedEntries = await this.enhanceEntriesWithUSDValues(entries);
+      // Normalize every entry into header + lines, link them to the user's accounts,
+      // then price each line in USD at the moment the entry's transaction happened
+      const findAccount = await this.getAccountFinder(userId);
+      const normalizedEntries = [];
+      for (const entry of entries) {
+        const pricedAt = entry.transactionDate || entry.transaction_date ||
+          (hasTransactionDate ? transactionDate.toISOString() : (entry.entryDate || entry.entry_date || null));
+        const lines = await this.enhanceEntriesWithUSDValues(
+          this.linkAccounts(this.normalizeEntryLines(entry), findAccount),
+          pricedAt,
+          userId,
+        );
+        normalizedEntries.push({ entry, lines });
+      }
+
+      // Reject the whole batch if any entry does not balance
+      const unbalancedEntries = normalizedEntries
+        .map(({ entry, lines }, index) => ({
+          index,
+          narrative: entry.narrative || entry.description,
+          ...this.validateEntryBalance(lines),
+        }))
+        .filter(result => !result.balanced);
+
+      if (unbalancedEntries.length > 0) {
+        logger.warn('Rejected unbalanced journal entries', {
+          userId,
+          source,
+          unbalancedEntries: unbalancedEntries.map(({ index, narrative, reasons }) => ({ index, narrative, reasons })),
+        });
+        const details = unbalancedEntries
+          .map(({ index, reasons }) => `entry ${index + 1}: ${reasons.join('; ')}`)
+          .join(' | ');
+        throw new AppError(`Journal entries do not balance - ${details}`, 400);
+      }
+
+      // Required lazily: the review service edits entries through this service
+      const reviewService = require('./reviewService');
+      const reviewThreshold = reviewService.isReviewedSource(source)
+        ? await reviewService.getThreshold(userId)
+        : null;
 
-      // Prepare journal entry records - now with USD values in dedicated columns
-      const journalEntryRecords = enhancedEntries.map(entry => {
+      // Prepare journal entry header records - USD values in dedicated columns
+      const journalEntryRecords = normalizedEntries.map(({ entry, lines }) => {
         // Preserve original business narrative (don't overwrite with FTSO data)
         const originalNarrative = entry.narrative || entry.description;
-        
+        const header = this.summarizeEntryLines(lines);
+        const pricedLine = lines.find(line => line.type === 'debit' && line.usdValue);
+        const reviewReasons = reviewThreshold === null ? [] : reviewService.assessEntry(entry, reviewThreshold);
+
         return {
           user_id: userId,
           transaction_id: finalTransactionId,
-          account_debit: entry.accountDebit || entry.account_debit,
-          account_credit: entry.accountCredit || entry.account_credit,
-          amount: Math.abs(parseFloat(entry.amount)), // Ensure positive amount
-          currency: entry.currency || 'USD',
+          // Single-pair columns are only filled for simple two-line entries
+          account_debit: header.accountDebit,
+          account_credit: header.accountCredit,
+          amount: header.amount,
+          currency: header.currency,
+          is_compound: header.isCompound,
           // **UPDATED: Keep original business narrative in narrative field**
           narrative: originalNarrative, // Keep business description here
           entry_date: entry.entryDate || entry.entry_date || new Date().toISOString().split('T')[0],
-          transaction_date: entry.transactionDate || entry.transaction_date || null,
+          transaction_date: entry.transactionDate || entry.transaction_date ||
+            (hasTransactionDate ? transactionDate.toISOString() : null),
           ai_confidence: entry.confidence || entry.ai_confidence || null,
           is_reviewed: entry.isReviewed || entry.is_reviewed || false,
+          review_status: reviewReasons.length > 0 ? 'pending' : 'approved',
+          review_reasons: reviewReasons,
+          // Links of reversals and corrections (see ReversalService)
+          ...(entry.reversesEntryId ? { reverses_entry_id: entry.reversesEntryId } : {}),
+          ...(entry.correctsEntryId ? { corrects_entry_id: entry.correctsEntryId } : {}),
           // **NEW: Populate dedicated USD columns**
-          usd_value: entry.usdValue || null,
-          usd_rate: entry.ftsoPrice || entry.exchangeRate || null,
-          usd_source: entry.ftsoSource || entry.priceSource || null,
-          usd_timestamp: entry.ftsoTimestamp || (entry.usdValue ? new Date().toISOString() : null),
+          usd_value: header.usdValue,
+          usd_rate: header.isCompound ? null : (pricedLine?.ftsoPrice || pricedLine?.exchangeRate || null),
+          usd_source: pricedLine ? (pricedLine.ftsoSource || pricedLine.priceSource || null) : null,
+          usd_timestamp: header.usdValue ? (pricedLine?.priceTimestamp || new Date().toISOString()) : null,
           // **UPDATED: Store FTSO technical data in metadata instead of narrative**
           metadata: {
             ...metadata,
+            ...entry.metadata,
             originalEntry: {
               accountDebit: entry.accountDebit || entry.account_debit,
               accountCredit: entry.accountCredit || entry.account_credit,
               amount: entry.amount,
               currency: entry.currency,
-              narrative: originalNarrative
+              narrative: originalNarrative,
+              lines: entry.lines || undefined,
             },
-            ftsoEnhancement: entry.usdValue ? {
-              usdValue: entry.usdValue,
-              exchangeRate: entry.ftsoPrice || entry.exchangeRate,
-              source: entry.ftsoSource || entry.priceSource,
-              timestamp: entry.ftsoTimestamp,
-              priceInfo: entry.usdValue ? `${entry.amount} ${entry.currency} (${entry.usdValue.toFixed(2)} USD at $${(entry.ftsoPrice || entry.exchangeRate)?.toFixed(4)}/${entry.currency} via ${entry.ftsoSource || entry.priceSource})` : null
-            } : null
-          }
+            ftsoEnhancement: this.describeUSDEnhancement(header, lines, pricedLine),
+          },
         };
       });
 
-      // Save to database
+      // Required lazily: closing a year posts its closing entry through this service
+      const periodService = require('./periodService');
+      await periodService.assertWritable(userId, journalEntryRecords.map(record => record.entry_date), source);
+
+      // Save headers to database
       const { data: savedEntries, error } = await this.supabase
         .from('journal_entries')
         .insert(journalEntryRecords)
@@ -141,10 +217,15 @@ class JournalEntryService {
           account_credit,
           amount,
           currency,
+          is_compound,
           entry_date,
           narrative,
           ai_confidence,
           is_reviewed,
+          review_status,
+          review_reasons,
+          reverses_entry_id,
+          corrects_entry_id,
           created_at,
           updated_at,
           transaction_date,
@@ -162,21 +243,73 @@ class JournalEntryService {
           error: error.message,
           entries: journalEntryRecords,
         });
+        if (error.code === '23505') {
+          throw new AppError('Journal entry was already reversed', 409); // Unique reverses_entry_id
+        }
         throw new Error(`Failed to save journal entries: ${error.message}`);
       }
 
+      // Save the lines for each header (inserted rows come back in insert order)
+      const lineRecords = savedEntries.flatMap((savedEntry, index) =>
+        this.buildLineRecords(savedEntry.id, userId, normalizedEntries[index].lines),
+      );
+
+      const { data: savedLines, error: linesError } = await this.supabase
+        .from('journal_entry_lines')
+        .insert(lineRecords)
+        .select();
+
+      if (linesError) {
+        logger.error('Failed to save journal entry lines, removing headers', {
+          userId,
+          error: linesError.message,
+        });
+        await this.supabase
+          .from('journal_entries')
+          .delete()
+          .in('id', savedEntries.map(entry => entry.id));
+        throw new Error(`Failed to save journal entry lines: ${linesError.message}`);
+      }
+
+      savedEntries.forEach(savedEntry => {
+        savedEntry.journal_entry_lines = savedLines
+          .filter(line => line.journal_entry_id === savedEntry.id)
+          .sort((a, b) => a.line_number - b.line_number);
+      });
+
       logger.info('Successfully saved journal entries with USD enhancement', {
         userId,
         savedCount: savedEntries.length,
+        pendingReview: savedEntries.filter(e => e.review_status === 'pending').length,
+        linesCount: savedLines.length,
+        compoundCount: savedEntries.filter(e => e.is_compound).length,
         source,
-        usdEnhanced: savedEntries.filter(e => {
-          try {
-            const metadata = JSON.parse(e.metadata || '{}');
-            return metadata.ftsoEnhanced;
-          } catch { return false; }
-        }).length
+        usdEnhanced: savedEntries.filter(e => e.usd_value).length,
       });
 
+      try {
+        await auditService.recordMany(savedEntries.map(savedEntry => ({
+          tableName: 'journal_entries',
+          recordId: savedEntry.id,
+          action: 'create',
+          userId,
+          actorId: userId,
+          source: auditService.sourceOf(source),
+          after: savedEntry,
+        })));
+      } catch (auditError) {
+        logger.error('Failed to audit journal entries, removing them', { userId, error: auditError.message });
+        await this.supabase
+          .from('journal_entries')
+          .delete()
+          .in('id', savedEntries.map(entry => entry.id));
+        throw auditError;
+      }
+
+      if (rebuildCostBasis) {
+        await this.refreshCostBasis(userId, source);
+      }
+
       return savedEntries;
     } catch (error) {
       logger.error('Journal entry save operation failed', {
@@ -189,27 +322,410 @@ class JournalEntryService {
   }
 
   /**
-   * Enhance journal entries with USD values using FTSO service
+   * Replay the user's cost basis lots after the ledger changed. Runs after every
+   * save except the realized gain entries the lot engine posts itself, and once at
+   * the end of a batch that saved with rebuildCostBasis: false; failures are
+   * logged and never undo the save (lots can be rebuilt at any time).
+   * @param {string} userId - User ID
+   * @param {string} source - Source of the entries that were saved
+   */
+  async refreshCostBasis(userId, source = null) {
+    if (source === 'cost_basis') {
+      return;
+    }
+
+    try {
+      // Required lazily: the lot engine posts its gain entries through this service
+      const costBasisService = require('./costBasisService');
+      await costBasisService.rebuild(userId);
+    } catch (error) {
+      logger.warn('Failed to rebuild cost basis lots', { userId, error: error.message });
+    }
+  }
+
+  /**
+   * Transaction hashes the user already has entries for (rejected entries do not
+   * count), so a re-run of an analysis does not book a transaction twice
+   * @param {string} userId
+   * @param {Array<string>} transactionHashes
+   * @returns {Set<string>}
+   */
+  async getBookedTransactionHashes(userId, transactionHashes) {
+    if (transactionHashes.length === 0) {
+      return new Set();
+    }
+
+    const { data, error } = await this.supabase
+      .from('journal_entries')
+      .select('metadata')
+      .eq('user_id', userId)
+      .neq('review_status', 'rejected')
+      .in('metadata->>transactionHash', transactionHashes);
+
+    if (error) throw error;
+    return new Set(data.map(row => row.metadata.transactionHash));
+  }
+
+  /**
+   * Build the journal_entry_lines rows of an entry
+   * @param {string} entryId - journal_entries id
+   * @param {string} userId - User ID
+   * @param {Array} lines - Normalized and USD-enhanced lines
+   */
+  buildLineRecords(entryId, userId, lines) {
+    return lines.map((line, lineIndex) => ({
+      journal_entry_id: entryId,
+      user_id: userId,
+      line_number: lineIndex + 1,
+      account_name: line.account,
+      account_id: line.accountId || null,
+      account_code: line.accountCode || null,
+      entry_type: line.type,
+      amount: line.amount,
+      currency: line.currency,
+      narrative: line.narrative || null,
+      usd_value: line.usdValue || null,
+      usd_rate: line.ftsoPrice || line.exchangeRate || null,
+      usd_source: line.ftsoSource || line.priceSource || null,
+      usd_timestamp: line.usdValue ? (line.priceTimestamp || new Date().toISOString()) : null,
+      price_id: line.priceId || null,
+    }));
+  }
+
+  /**
+   * Account lookup in the user's chart of accounts, for linkAccounts
+   * @param {string} userId
+   * @returns {Function} line => account or null (see AccountService.indexChart)
+   */
+  async getAccountFinder(userId) {
+    return accountService.indexChart(await accountService.getChartOfAccounts(userId));
+  }
+
+  /**
+   * Point journal lines at their accounts: lines found in the chart (by accountId,
+   * accountCode or name) get the account's id, code and current name; other lines
+   * keep their name without an account id
+   * @param {Array} lines - Normalized journal lines
+   * @param {Function} findAccount - From getAccountFinder
+   * @returns {Array} Lines with accountId and accountCode
+   */
+  linkAccounts(lines, findAccount) {
+    return lines.map((line) => {
+      const account = findAccount(line);
+      return account
+        ? { ...line, account: account.name, accountId: account.id, accountCode: account.code }
+        : { ...line, accountId: null, accountCode: null };
+    });
+  }
+
+  /**
+   * Link the user's journal lines that have no account id yet, matching their
+   * account names against the chart (AccountService.matchAccountName). Used for
+   * lines booked before lines carried account ids; safe to run again after
+   * creating accounts for the names that did not match. Names without an exact
+   * or unique match come back with similar accounts as suggestions, and are only
+   * linked once the user confirms one in `confirmed`.
+   * @param {string} userId
+   * @param {Object} confirmed - Account id to link per account name, { [accountName]: accountId }
+   * @returns {Object} { linked: [{ accountName, account, code, lines }], unmatched: [{ accountName, suggestions }] }
+   */
+  async linkExistingLines(userId, confirmed = {}) {
+    const { data: unlinked, error } = await this.supabase
+      .from('journal_entry_lines')
+      .select('account_name')
+      .eq('user_id', userId)
+      .is('account_id', null);
+
+    if (error) throw error;
+
+    // Check every confirmed account before linking anything
+    const confirmedAccounts = new Map();
+    if (Object.keys(confirmed).length > 0) {
+      const chartOfAccounts = await accountService.getChartOfAccounts(userId);
+      Object.entries(confirmed).forEach(([accountName, accountId]) => {
+        const account = chartOfAccounts.find(candidate => candidate.id === accountId);
+        if (!account) {
+          throw new AppError(`Account not found: ${accountId}`, 400);
+        }
+        confirmedAccounts.set(accountName, account);
+      });
+    }
+
+    const linked = [];
+    const unmatched = [];
+    for (const accountName of [...new Set(unlinked.map(line => line.account_name))]) {
+      const account = confirmedAccounts.get(accountName) ||
+        await accountService.matchAccountName(userId, accountName);
+
+      if (!account) {
+        const similar = await accountService.findSimilarAccounts(userId, accountName);
+        unmatched.push({
+          accountName,
+          suggestions: similar.map(({ id, code, name }) => ({ id, code, name })),
+        });
+        continue;
+      }
+
+      const { data: updated, error: updateError } = await this.supabase
+        .from('journal_entry_lines')
+        .update({ account_id: account.id, account_code: account.code })
+        .eq('user_id', userId)
+        .eq('account_name', accountName)
+        .is('account_id', null)
+        .select('id');
+
+      if (updateError) throw updateError;
+      linked.push({ accountName, account: account.name, code: account.code, lines: updated.length });
+    }
+
+    logger.info('Linked journal lines to accounts', {
+      userId,
+      lines: linked.reduce((sum, link) => sum + link.lines, 0),
+      accounts: linked.length,
+      unmatched: unmatched.map(({ accountName }) => accountName),
+    });
+
+    return { linked, unmatched };
+  }
+
+  /**
+   * Normalize an entry into journal lines
+   * @param {Object} entry - Compound entry with `lines` or legacy debit/credit pair
+   * @returns {Array} Lines as { account, type, amount, currency, narrative }, plus usdValue for lines given a bookValueUSD (null keeps them unpriced)
+   * and accountId/accountCode for lines given one
+   */
+  normalizeEntryLines(entry) {
+    // A populated debit/credit pair wins over `lines`, since account corrections
+    // applied after parsing only touch the pair fields of simple entries
+    const hasPair = (entry.accountDebit || entry.account_debit) && (entry.accountCredit || entry.account_credit);
+
+    if (Array.isArray(entry.lines) && entry.lines.length > 0 && !hasPair) {
+      return entry.lines.map(line => ({
+        account: line.account || line.accountName || line.account_name,
+        type: String(line.type || line.entryType || line.entry_type || '').toLowerCase(),
+        amount: Math.abs(parseFloat(line.amount)),
+        currency: line.currency || entry.currency || 'USD',
+        narrative: line.narrative || null,
+        ...(line.accountId || line.account_id ? { accountId: line.accountId || line.account_id } : {}),
+        ...(line.accountCode || line.account_code ? { accountCode: line.accountCode || line.account_code } : {}),
+        // Lines that move an existing balance (closing entries) keep the USD value it was booked at
+        ...(line.bookValueUSD !== undefined
+          ? { usdValue: line.bookValueUSD === null ? null : parseFloat(line.bookValueUSD), priceSource: 'book_value' }
+          : {}),
+      }));
+    }
+
+    const amount = Math.abs(parseFloat(entry.amount)); // Ensure positive amount
+    const currency = entry.currency || 'USD';
+    return [
+      { account: entry.accountDebit || entry.account_debit, type: 'debit', amount, currency, narrative: null },
+      { account: entry.accountCredit || entry.account_credit, type: 'credit', amount, currency, narrative: null },
+    ];
+  }
+
+  /**
+   * Apply edits to a stored entry, giving an entry in the shape saveJournalEntries takes
+   * @param {Object} entry - journal_entries row with its lines
+   * @param {Object} changes - { accountDebit, accountCredit, amount, currency } or { lines }
+   * @returns {Object} { lines, currency } or { accountDebit, accountCredit, amount, currency }
+   */
+  applyEntryChanges(entry, changes) {
+    if (changes.lines !== undefined) {
+      return { lines: changes.lines, currency: changes.currency || entry.currency };
+    }
+    if (entry.is_compound) {
+      throw new AppError('Compound entries are edited through their lines', 400);
+    }
+
+    const currentLines = this.getEntryLines(entry);
+    const debit = currentLines.find(line => line.type === 'debit');
+    const credit = currentLines.find(line => line.type === 'credit');
+    return {
+      accountDebit: changes.accountDebit ?? debit?.account,
+      accountCredit: changes.accountCredit ?? credit?.account,
+      amount: changes.amount ?? debit?.amount,
+      currency: changes.currency ?? debit?.currency,
+    };
+  }
+
+  /**
+   * Check that journal lines balance per currency and, when every line is priced, in USD
+   * @param {Array} lines - Normalized journal lines
+   * @returns {Object} { balanced, reasons, currencyTotals, usdTotals }
+   */
+  validateEntryBalance(lines) {
+    const reasons = [];
+    const currencyTotals = {};
+    const usdTotals = { debit: 0, credit: 0 };
+    let allPriced = lines.length > 0;
+
+    if (lines.length < 2) {
+      reasons.push('an entry needs at least one debit and one credit line');
+    }
+
+    lines.forEach((line, index) => {
+      if (!line.account) {
+        reasons.push(`line ${index + 1} has no account`);
+      }
+      if (line.type !== 'debit' && line.type !== 'credit') {
+        reasons.push(`line ${index + 1} must be a debit or a credit`);
+        return;
+      }
+      if (!(line.amount > 0)) {
+        reasons.push(`line ${index + 1} amount must be greater than zero`);
+        return;
+      }
+
+      if (!currencyTotals[line.currency]) {
+        currencyTotals[line.currency] = { debit: 0, credit: 0 };
+      }
+      currencyTotals[line.currency][line.type] += line.amount;
+
+      if (line.usdValue) {
+        usdTotals[line.type] += parseFloat(line.usdValue);
+      } else {
+        allPriced = false;
+      }
+    });
+
+    if (!lines.some(line => line.type === 'debit') || !lines.some(line => line.type === 'credit')) {
+      reasons.push('an entry needs at least one debit and one credit line');
+    }
+
+    Object.entries(currencyTotals).forEach(([currency, totals]) => {
+      if (!amountsMatch(totals.debit, totals.credit, NATIVE_BALANCE_TOLERANCE)) {
+        reasons.push(`${currency} debits ${totals.debit} do not equal credits ${totals.credit}`);
+      }
+    });
+
+    if (allPriced && !amountsMatch(usdTotals.debit, usdTotals.credit, USD_BALANCE_TOLERANCE_PER_LINE * lines.length)) {
+      reasons.push(`USD debits ${usdTotals.debit.toFixed(2)} do not equal credits ${usdTotals.credit.toFixed(2)}`);
+    }
+
+    return {
+      balanced: reasons.length === 0,
+      reasons: [...new Set(reasons)],
+      currencyTotals,
+      usdTotals: allPriced ? usdTotals : null,
+    };
+  }
+
+  /**
+   * Derive the header columns for a set of balanced lines
+   * @param {Array} lines - Normalized (and USD-enhanced) journal lines
+   * @returns {Object} { accountDebit, accountCredit, amount, currency, usdValue, isCompound }
+   */
+  summarizeEntryLines(lines) {
+    const debitLines = lines.filter(line => line.type === 'debit');
+    const creditLines = lines.filter(line => line.type === 'credit');
+    const currencies = [...new Set(lines.map(line => line.currency))];
+    const isCompound = debitLines.length !== 1 || creditLines.length !== 1;
+
+    const usdValue = debitLines.every(line => line.usdValue)
+      ? debitLines.reduce((sum, line) => sum + parseFloat(line.usdValue), 0)
+      : null;
+
+    return {
+      accountDebit: isCompound ? null : debitLines[0].account,
+      accountCredit: isCompound ? null : creditLines[0].account,
+      amount: currencies.length === 1 ? debitLines.reduce((sum, line) => sum + line.amount, 0) : null,
+      currency: currencies.length === 1 ? currencies[0] : null,
+      usdValue,
+      isCompound,
+    };
+  }
+
+  /**
+   * Build the ftsoEnhancement metadata block for an entry header
+   */
+  describeUSDEnhancement(header, lines, pricedLine) {
+    if (!header.usdValue) {
+      return null;
+    }
+
+    const exchangeRate = pricedLine?.ftsoPrice || pricedLine?.exchangeRate;
+    const source = pricedLine?.ftsoSource || pricedLine?.priceSource;
+    const priceInfo = header.isCompound
+      ? `${lines.length} lines totalling ${header.usdValue.toFixed(2)} USD`
+      : `${header.amount} ${header.currency} (${header.usdValue.toFixed(2)} USD at $${exchangeRate?.toFixed(4)}/${header.currency} via ${source})`;
+
+    return {
+      usdValue: header.usdValue,
+      exchangeRate,
+      source,
+      timestamp: pricedLine?.priceTimestamp,
+      priceInfo,
+    };
+  }
+
+  /**
+   * Read the lines of a stored journal entry, falling back to the single-pair
+   * columns for rows saved before journal_entry_lines existed
+   * @param {Object} entry - journal_entries row, optionally with journal_entry_lines
+   * @returns {Array} Lines as { lineNumber, account, accountId, accountCode, type, amount, currency, usdValue, usdRate }
+   */
+  getEntryLines(entry) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    if (Array.isArray(entry.journal_entry_lines) && entry.journal_entry_lines.length > 0) {
+      return [...entry.journal_entry_lines]
+        .sort((a, b) => a.line_number - b.line_number)
+        .map(line => ({
+          lineNumber: line.line_number,
+          account: line.account_name,
+          accountId: line.account_id || null,
+          accountCode: line.account_code || null,
+          type: line.entry_type,
+          amount: parseFloat(line.amount),
+          currency: line.currency,
+          usdValue: toNumber(line.usd_value),
+          usdRate: toNumber(line.usd_rate),
+        }));
+    }
+
+    if (!entry.account_debit || !entry.account_credit) {
+      return [];
+    }
+
+    const amount = parseFloat(entry.amount);
+    const usdValue = toNumber(entry.usd_value);
+    const usdRate = toNumber(entry.usd_rate);
+    return [
+      { lineNumber: 1, account: entry.account_debit, type: 'debit', amount, currency: entry.currency, usdValue, usdRate },
+      { lineNumber: 2, account: entry.account_credit, type: 'credit', amount, currency: entry.currency, usdValue, usdRate },
+    ];
+  }
+
+  /**
+   * Enhance journal entries with USD values at the transaction time, resolved
+   * through the price provider chain (see PriceService)
    * @param {Array} entries - Original journal entries
+   * @param {string|Date|null} pricedAt - When the transaction happened (default: now)
+   * @param {string|null} userId - Owner of the entries, for manual prices
    * @returns {Array} Enhanced entries with USD values
    */
-  async enhanceEntriesWithUSDValues(entries) {
+  async enhanceEntriesWithUSDValues(entries, pricedAt = null, userId = null) {
     const enhancedEntries = [];
 
     for (const entry of entries) {
       let enhancedEntry = { ...entry };
       
       try {
-        // Only enhance if we have a valid currency and amount
-        if (entry.currency && entry.amount && parseFloat(entry.amount) > 0) {
+        if (entry.priceSource === 'book_value') {
+          // Already valued at its booked USD amount
+          enhancedEntry = { ...entry, ftsoEnhanced: false, ftsoSkipped: true };
+        } else if (entry.currency && entry.amount && parseFloat(entry.amount) > 0) {
+          // Only enhance if we have a valid currency and amount
           logger.info('Attempting FTSO enhancement for entry', {
             currency: entry.currency,
             amount: entry.amount
           });
 
-          const ftsoData = await ftsoService.getPriceForJournalEntry(
-            entry.currency, 
-            parseFloat(entry.amount)
+          const ftsoData = await priceService.getPriceForJournalEntry(
+            entry.currency,
+            parseFloat(entry.amount),
+            pricedAt,
+            userId,
           );
 
           if (ftsoData.supported && ftsoData.usdValue) {
@@ -221,6 +737,8 @@ class JournalEntryService {
               usdValueFormatted: ftsoData.usdValueFormatted,
               ftsoPrice: ftsoData.priceData?.usdPrice,
               ftsoSource: ftsoData.source,
+              priceTimestamp: ftsoData.priceData?.lastUpdated || null,
+              priceId: ftsoData.priceData?.priceId || null,
               ftsoSupported: true,
               ftsoEnhanced: true,
               // Enhanced narrative with USD value
@@ -367,7 +885,7 @@ class JournalEntryService {
       const savedEntries = await this.saveJournalEntries({
         entries: journalEntries,
         userId,
-        source: 'ai',
+        source: transactionDetails.source || 'ai',
         transactionId: transactionRecord?.id,
         metadata: {
           ...transactionDetails,
@@ -390,4 +908,11 @@ class JournalEntryService {
   }
 }
 
+/**
+ * Compare two totals, allowing for floating point drift on large amounts
+ */
+function amountsMatch(a, b, tolerance) {
+  return Math.abs(a - b) <= Math.max(tolerance, Math.max(Math.abs(a), Math.abs(b)) * 1e-12);
+}
+
 module.exports = new JournalEntryService(); 
\ No newline at end of file
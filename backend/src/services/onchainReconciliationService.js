@@ -0,0 +1,429 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const blockscoutClient = require('./blockscoutClient');
+const chainRegistry = require('./chainRegistry');
+const walletService = require('./walletService');
+const journalEntryService = require('./journalEntryService');
+const costBasisService = require('./costBasisService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// History pages read per wallet and stream; a longer history is compared by balance only
+const MAX_HISTORY_PAGES = parseInt(process.env.RECONCILIATION_MAX_PAGES) || 40;
+// Native amounts are stored as NUMERIC(20, 8)
+const QUANTITY_TOLERANCE = 0.00000001;
+const roundNative = value => Math.round(value * 1e8) / 1e8;
+const TX_HASH = /^0x[0-9a-f]{64}$/i;
+// Entries of holdings at exchanges, which the wallets do not show
+const OFF_CHAIN_SOURCES = ['exchange_import'];
+const GAS_ACCOUNT = /gas/i;
+
+function sameQuantity(a, b) {
+  return Math.abs(a - b) <= Math.max(QUANTITY_TOLERANCE, Math.abs(b) * 1e-6);
+}
+
+function addTo(map, key, amount) {
+  map.set(key, (map.get(key) || 0) + amount);
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * On-chain balance reconciliation
+ * Compares what the registered wallets hold on chain at a block or date with the
+ * balance of the digital asset accounts in the journal, per asset. The native
+ * balance history and the token transfers of each wallet give the change every
+ * transaction made on chain, which is compared with what the journal booked for
+ * that transaction hash. Differences are listed as transactions that are missing
+ * from the books, booked for an asset they did not move, booked with a different
+ * amount, booked twice, or with a gas fee booked twice. Lines without a USD value
+ * are listed as unpriced.
+ *
+ * The journal side is cut off at the end of the date (or the date of the block),
+ * since entries carry no block. Entries of exchange imports are left out: they
+ * record holdings at the exchange, not in the wallets.
+ */
+class OnchainReconciliationService {
+  /**
+   * @param {string} userId
+   * @param {Object} options - { date (YYYY-MM-DD, default today), blockNumber }
+   * @returns {Object} { date, blocks, assets, issues, summary }
+   */
+  async reconcile(userId, { date = null, blockNumber = null } = {}) {
+    // Always every wallet: the asset accounts of the journal hold what all of them moved
+    const wallets = await walletService.listWallets(userId, { activeOnly: true });
+
+    if (wallets.length === 0) {
+      throw new AppError('Register a wallet before reconciling balances', 400);
+    }
+
+    const chains = [...new Set(wallets.map(wallet => wallet.chain))];
+    if (blockNumber !== null && blockNumber !== undefined && chains.length > 1) {
+      throw new AppError('A block number belongs to one chain; reconcile wallets on several chains by date', 400);
+    }
+
+    const cutoffs = await this.resolveCutoffs(chains, { date, blockNumber });
+    const ledgerDate = [...cutoffs.values()][0].date;
+
+    const holdings = [];
+    for (const wallet of wallets) {
+      holdings.push(...await this.readWallet(wallet, cutoffs.get(wallet.chain).blockNumber));
+    }
+
+    const [entries, assetAccounts] = await Promise.all([
+      this.fetchLedger(userId, ledgerDate),
+      costBasisService.getAssetAccounts(userId),
+    ]);
+    const ledger = this.buildLedger(entries, assetAccounts);
+    const { assets, issues } = this.compare(holdings, ledger);
+
+    const summary = {
+      assets: assets.length,
+      reconciled: assets.filter(asset => asset.reconciled).length,
+      differences: assets.filter(asset => !asset.reconciled).length,
+      issues: issues.length,
+    };
+
+    logger.info('On-chain balances reconciled', { userId, date: ledgerDate, wallets: wallets.length, ...summary });
+
+    return {
+      date: ledgerDate,
+      blocks: Object.fromEntries([...cutoffs].map(([chain, cutoff]) => [chain, cutoff.blockNumber])),
+      assets,
+      issues,
+      summary,
+    };
+  }
+
+  /**
+   * Block of every chain to read the balances at; null means the latest block
+   * @returns {Map} chain -> { blockNumber, date }
+   */
+  async resolveCutoffs(chains, { date, blockNumber }) {
+    const cutoffs = new Map();
+
+    if (blockNumber !== null && blockNumber !== undefined) {
+      const block = await blockscoutClient.forChain(chains[0]).getBlock(blockNumber);
+      cutoffs.set(chains[0], { blockNumber: block.blockNumber, date: String(block.timestamp).split('T')[0] });
+      return cutoffs;
+    }
+
+    const day = date ? String(date).split('T')[0] : today();
+    for (const chain of chains) {
+      cutoffs.set(chain, {
+        blockNumber: day >= today() ? null : await blockscoutClient.forChain(chain).getBlockNumberAt(`${day}T23:59:59.999Z`),
+        date: day,
+      });
+    }
+    return cutoffs;
+  }
+
+  /**
+   * Balances of a wallet at a block, with the change each transaction made
+   * @returns {Array} { wallet, asset, contractAddress, balance, changes: Map txid -> quantity, complete }
+   */
+  async readWallet(wallet, blockNumber) {
+    const client = blockscoutClient.forChain(wallet.chain);
+    const address = wallet.address.toLowerCase();
+
+    const native = await this.readNativeHistory(client, address, blockNumber);
+    const tokens = await this.readTokenHistory(client, address, blockNumber);
+
+    return [
+      { asset: chainRegistry.getChain(wallet.chain).nativeSymbol, contractAddress: null, ...native },
+      ...tokens,
+    ].map(holding => ({ ...holding, wallet }));
+  }
+
+  async readNativeHistory(client, address, blockNumber) {
+    const changes = new Map();
+    let balance = null;
+    let pageParams = null;
+    let pages = 0;
+
+    do {
+      const page = await client.getCoinBalanceHistoryPage(address, pageParams);
+      page.items.forEach((item) => {
+        if (blockNumber !== null && item.blockNumber > blockNumber) {
+          return;
+        }
+        // Newest first: the first change at or before the block sets the balance
+        if (balance === null) {
+          balance = item.balance;
+        }
+        addTo(changes, item.hash ? item.hash.toLowerCase() : `block:${item.blockNumber}`, item.delta);
+      });
+      pageParams = page.nextPageParams;
+      pages++;
+    } while (pageParams && pages < MAX_HISTORY_PAGES);
+
+    const complete = !pageParams;
+    // Without a change at or before the block the address held nothing yet
+    return { balance: balance ?? (complete ? 0 : null), changes, complete };
+  }
+
+  /**
+   * ERC-20 balances at a block: the current balance less the transfers after the block
+   */
+  async readTokenHistory(client, address, blockNumber) {
+    const tokens = new Map((await client.getTokenBalances(address)).map(token => [token.contractAddress, {
+      asset: token.symbol,
+      contractAddress: token.contractAddress,
+      current: token.balance,
+      later: 0,
+      changes: new Map(),
+    }]));
+    let reachedBlock = blockNumber === null;
+    let pageParams = null;
+    let pages = 0;
+
+    do {
+      const page = await client.getAddressHistoryPage(address, 'token_transfers', pageParams);
+      page.items.forEach((transfer) => {
+        const contractAddress = (transfer.contractAddress || '').toLowerCase();
+        const amount = transfer.actualAmount;
+        if (!contractAddress || !Number.isFinite(amount) || amount === 0) {
+          return;
+        }
+
+        const net = (transfer.to?.toLowerCase() === address ? amount : 0) -
+          (transfer.from?.toLowerCase() === address ? amount : 0);
+        if (!tokens.has(contractAddress)) {
+          tokens.set(contractAddress, { asset: transfer.tokenSymbol, contractAddress, current: 0, later: 0, changes: new Map() });
+        }
+
+        const token = tokens.get(contractAddress);
+        if (blockNumber !== null && transfer.blockNumber > blockNumber) {
+          token.later += net;
+        } else {
+          reachedBlock = true;
+          addTo(token.changes, transfer.hash.toLowerCase(), net);
+        }
+      });
+      pageParams = page.nextPageParams;
+      pages++;
+    } while (pageParams && pages < MAX_HISTORY_PAGES);
+
+    const complete = !pageParams;
+    return [...tokens.values()]
+      .filter(token => token.asset)
+      .map(({ current, later, ...token }) => ({
+        ...token,
+        // Unknown when the history read stops short of the block
+        balance: complete || reachedBlock ? current - later : null,
+        complete,
+      }));
+  }
+
+  /**
+   * Journal entries up to the date with their lines and transaction hash
+   */
+  async fetchLedger(userId, date) {
+    const { data: entries, error } = await supabase
+      .from('journal_entries')
+      .select('id, entry_date, source, metadata, reverses_entry_id, account_debit, account_credit, amount, currency, usd_value, usd_rate, transactions(txid), journal_entry_lines(*)')
+      .eq('user_id', userId)
+      .neq('review_status', 'rejected')
+      .lte('entry_date', date);
+
+    if (error) throw error;
+    return entries.filter(entry => !OFF_CHAIN_SOURCES.includes(entry.source));
+  }
+
+  /**
+   * Booked quantities per asset: the balance over the digital asset accounts, and
+   * per transaction hash the change, the entries and their gas fee lines
+   * @returns {Map} asset -> { balance, accounts: Map, transactions: Map, unpriced: Map }
+   */
+  buildLedger(entries, assetAccounts) {
+    const ledger = new Map();
+    const holdingOf = (asset) => {
+      if (!ledger.has(asset)) {
+        ledger.set(asset, { balance: 0, accounts: new Map(), transactions: new Map(), unpriced: new Map() });
+      }
+      return ledger.get(asset);
+    };
+    const bookedFor = (holding, txid) => {
+      if (!holding.transactions.has(txid)) {
+        holding.transactions.set(txid, { change: 0, lines: 0, entryIds: new Set(), gasFees: [] });
+      }
+      return holding.transactions.get(txid);
+    };
+
+    // A reversed entry and its reversal cancel out; neither counts as a booking of the transaction
+    const reversedIds = new Set(entries.map(entry => entry.reverses_entry_id).filter(Boolean));
+
+    entries.forEach((entry) => {
+      const txid = (entry.transactions?.txid || entry.metadata?.txHash || '').toLowerCase() || null;
+      const counted = !entry.reverses_entry_id && !reversedIds.has(entry.id);
+
+      journalEntryService.getEntryLines(entry).forEach((line) => {
+        const asset = (line.currency || 'USD').toUpperCase();
+        if (asset === 'USD') {
+          return;
+        }
+
+        if (!costBasisService.isAssetAccount(line.account, assetAccounts)) {
+          if (txid && counted && line.type === 'debit' && GAS_ACCOUNT.test(line.account)) {
+            bookedFor(holdingOf(asset), txid).gasFees.push(line.amount);
+          }
+          return;
+        }
+
+        const holding = holdingOf(asset);
+        const quantity = line.type === 'debit' ? line.amount : -line.amount;
+        holding.balance += quantity;
+        addTo(holding.accounts, line.account, quantity);
+
+        if (line.usdValue === null || line.usdValue === undefined) {
+          holding.unpriced.set(entry.id, { entryId: entry.id, entryDate: entry.entry_date, txid });
+        }
+        if (txid) {
+          const booked = bookedFor(holding, txid);
+          booked.change += quantity;
+          booked.lines++;
+          if (counted) {
+            booked.entryIds.add(entry.id);
+          }
+        }
+      });
+    });
+
+    return ledger;
+  }
+
+  /**
+   * Balances and transaction issues per asset
+   * An asset is compared when a wallet holds or moved it, or when the journal booked
+   * it for a transaction hash.
+   * @returns {Object} { assets, issues }
+   */
+  compare(holdings, ledger) {
+    const onChain = new Map();
+    holdings.forEach((holding) => {
+      const asset = holding.asset.toUpperCase();
+      if (!onChain.has(asset)) {
+        onChain.set(asset, { balance: 0, complete: true, wallets: [], changes: new Map() });
+      }
+
+      const group = onChain.get(asset);
+      group.balance = group.balance === null || holding.balance === null ? null : group.balance + holding.balance;
+      group.complete = group.complete && holding.complete;
+      holding.changes.forEach((quantity, txid) => addTo(group.changes, txid, quantity));
+      group.wallets.push({
+        walletId: holding.wallet.id,
+        label: holding.wallet.label,
+        address: holding.wallet.address,
+        chain: holding.wallet.chain,
+        contractAddress: holding.contractAddress,
+        balance: holding.balance === null ? null : roundNative(holding.balance),
+      });
+    });
+
+    const assetNames = new Set([
+      ...[...onChain].filter(([, group]) => group.balance !== 0 || group.changes.size > 0).map(([asset]) => asset),
+      ...[...ledger].filter(([, holding]) => [...holding.transactions.keys()].some(txid => TX_HASH.test(txid))).map(([asset]) => asset),
+    ]);
+
+    const assets = [];
+    const issues = [];
+    [...assetNames].sort().forEach((asset) => {
+      const group = onChain.get(asset) || { balance: 0, complete: true, wallets: [], changes: new Map() };
+      const holding = ledger.get(asset) || { balance: 0, accounts: new Map(), transactions: new Map(), unpriced: new Map() };
+
+      const assetIssues = [
+        ...(group.complete ? this.compareTransactions(asset, group.changes, holding.transactions) : []),
+        ...[...holding.unpriced.values()].map(line => ({
+          type: 'unpriced',
+          asset,
+          txid: line.txid,
+          entryIds: [line.entryId],
+          difference: 0,
+          message: `Entry of ${line.entryDate} books ${asset} without a USD value`,
+        })),
+      ];
+      issues.push(...assetIssues);
+
+      const onChainBalance = group.balance === null ? null : roundNative(group.balance);
+      const ledgerBalance = roundNative(holding.balance);
+      const difference = onChainBalance === null ? null : roundNative(ledgerBalance - onChainBalance);
+
+      assets.push({
+        asset,
+        onChainBalance,
+        ledgerBalance,
+        difference,
+        reconciled: difference !== null && Math.abs(difference) <= QUANTITY_TOLERANCE,
+        // Part of the difference the listed transactions account for
+        explainedDifference: roundNative(assetIssues.reduce((sum, issue) => sum + issue.difference, 0)),
+        historyComplete: group.complete,
+        wallets: group.wallets,
+        accounts: [...holding.accounts].map(([account, balance]) => ({ account, balance: roundNative(balance) })),
+      });
+    });
+
+    return { assets, issues };
+  }
+
+  /**
+   * Transactions whose booked change of an asset differs from the change on chain
+   * @param {string} asset
+   * @param {Map} changes - txid -> quantity on chain (`block:<n>` for changes without a transaction)
+   * @param {Map} booked - txid -> { change, lines, entryIds, gasFees } from the journal
+   * @returns {Array} Issues as { type, asset, txid, onChainChange, bookedChange, difference, entryIds, message }
+   */
+  compareTransactions(asset, changes, booked) {
+    const issues = [];
+    const txids = new Set([
+      ...changes.keys(),
+      ...[...booked].filter(([txid, record]) => TX_HASH.test(txid) && record.lines > 0).map(([txid]) => txid),
+    ]);
+
+    txids.forEach((txid) => {
+      const record = booked.get(txid);
+      const onChainChange = roundNative(changes.get(txid) || 0);
+      const bookedChange = roundNative(record?.change || 0);
+      if (sameQuantity(bookedChange, onChainChange)) {
+        return;
+      }
+
+      const issue = {
+        asset,
+        txid: txid.startsWith('block:') ? null : txid,
+        onChainChange,
+        bookedChange,
+        difference: roundNative(bookedChange - onChainChange),
+        entryIds: record ? [...record.entryIds] : [],
+      };
+      const entryCount = record ? record.entryIds.size : 0;
+
+      if (!record || record.lines === 0) {
+        issues.push({
+          ...issue,
+          type: 'missing',
+          message: issue.txid
+            ? `${onChainChange} ${asset} moved on chain but nothing is booked`
+            : `${onChainChange} ${asset} moved on chain in block ${txid.slice(6)} without a transaction`,
+        });
+      } else if (!changes.has(txid)) {
+        issues.push({ ...issue, type: 'not_on_chain', message: `${bookedChange} ${asset} is booked but the transaction did not move ${asset} in the wallets` });
+      } else if (issue.difference < 0 && record.gasFees.some(fee => sameQuantity(fee, -issue.difference))) {
+        issues.push({ ...issue, type: 'double_booked_gas', message: `The gas fee of ${-issue.difference} ${asset} is booked twice` });
+      } else if (entryCount > 1 && sameQuantity(bookedChange, onChainChange * entryCount)) {
+        issues.push({ ...issue, type: 'double_booked', message: `The transaction is booked ${entryCount} times` });
+      } else {
+        issues.push({ ...issue, type: 'amount_mismatch', message: `${bookedChange} ${asset} is booked but ${onChainChange} moved on chain` });
+      }
+    });
+
+    return issues;
+  }
+}
+
+module.exports = new OnchainReconciliationService();
@@ -0,0 +1,335 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const journalEntryService = require('./journalEntryService');
+const accountService = require('./accountService');
+const auditService = require('./auditService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const PERIOD_STATUSES = ['open', 'soft_closed', 'locked'];
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Journal source of the closing entries posted when a year is closed
+const CLOSING_SOURCE = 'period_close';
+const RETAINED_EARNINGS_ACCOUNT = 'Retained Earnings';
+
+// Native amounts are stored as NUMERIC(20, 8); USD values as NUMERIC(20, 2)
+const roundNative = value => Math.round(value * 1e8) / 1e8;
+const roundUSD = value => Math.round(value * 100) / 100;
+
+/**
+ * Accounting periods: monthly open / soft-closed / locked states per user
+ * Writes are checked against the period of their entry date. Soft-closed months
+ * refuse entries booked by the AI, locked months refuse every write. Closing a
+ * year moves the year's revenue and expense balances into Retained Earnings and
+ * locks the year.
+ */
+class PeriodService {
+  /**
+   * Period (YYYY-MM) a date falls in
+   * @param {string|Date} date
+   */
+  periodOf(date) {
+    const value = date instanceof Date ? date.toISOString() : String(date);
+    return value.slice(0, 7);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {number} year - Optional: only this year's periods
+   * @returns {Array} Stored periods; months without a row are open
+   */
+  async listPeriods(userId, year = null) {
+    let query = supabase
+      .from('accounting_periods')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (year) {
+      query = query.gte('period', `${year}-01`).lte('period', `${year}-12`);
+    }
+
+    const { data, error } = await query.order('period', { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Periods that are not open
+   * @returns {Map} period -> status
+   */
+  async getClosedPeriods(userId) {
+    const { data, error } = await supabase
+      .from('accounting_periods')
+      .select('period, status')
+      .eq('user_id', userId)
+      .neq('status', 'open');
+
+    if (error) throw error;
+    return new Map(data.map(row => [row.period, row.status]));
+  }
+
+  /**
+   * Whether a period in this status refuses a write from this journal source
+   */
+  blocks(status, source) {
+    if (source === CLOSING_SOURCE) {
+      return false;
+    }
+    if (status === 'locked') {
+      return true;
+    }
+    return status === 'soft_closed' && auditService.sourceOf(source) === 'ai';
+  }
+
+  /**
+   * Refuse a write when one of its dates falls in a closed period
+   * @param {string} userId
+   * @param {Array} dates - Entry dates touched by the write
+   * @param {string} source - Journal source of the write ('ai_transaction', 'manual', ...)
+   * @throws {AppError} 409 naming the first closed period
+   */
+  async assertWritable(userId, dates, source) {
+    const closed = await this.getClosedPeriods(userId);
+    if (closed.size === 0) {
+      return;
+    }
+
+    const periods = [...new Set(dates.filter(Boolean).map(date => this.periodOf(date)))].sort();
+    const blocked = periods.find(period => this.blocks(closed.get(period), source));
+    if (blocked) {
+      const state = closed.get(blocked) === 'locked' ? 'locked' : 'soft-closed';
+      throw new AppError(`Accounting period ${blocked} is ${state}`, 409);
+    }
+  }
+
+  /**
+   * Split entries into those that may be saved and those dated in a closed period
+   * @param {Array} entries - Entries as passed to saveJournalEntries (undated ones are booked today)
+   * @returns {Object} { writable, blocked }
+   */
+  async partitionWritable(userId, entries, source) {
+    const closed = await this.getClosedPeriods(userId);
+    const today = new Date().toISOString().split('T')[0];
+    const writable = [];
+    const blocked = [];
+
+    entries.forEach(entry => {
+      const period = this.periodOf(entry.entryDate || entry.entry_date || today);
+      (this.blocks(closed.get(period), source) ? blocked : writable).push(entry);
+    });
+
+    return { writable, blocked };
+  }
+
+  /**
+   * Set the status of a month
+   * @param {string} userId
+   * @param {string} period - YYYY-MM
+   * @param {string} status - 'open' | 'soft_closed' | 'locked'
+   */
+  async setStatus(userId, period, status) {
+    if (!PERIOD_PATTERN.test(period)) {
+      throw new AppError('Period must be in YYYY-MM format', 400);
+    }
+    if (!PERIOD_STATUSES.includes(status)) {
+      throw new AppError(`Period status must be one of ${PERIOD_STATUSES.join(', ')}`, 400);
+    }
+
+    const now = new Date().toISOString();
+    const record = { user_id: userId, period, status };
+    if (status !== 'open') {
+      record.closed_at = now;
+    }
+    if (status === 'locked') {
+      record.locked_at = now;
+    }
+
+    const { data, error } = await supabase
+      .from('accounting_periods')
+      .upsert(record, { onConflict: 'user_id,period' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Accounting period status changed', { userId, period, status });
+    return data;
+  }
+
+  /**
+   * Close a year: post the closing entry and lock its twelve months
+   * @param {string} userId
+   * @param {number} year
+   * @returns {Object} { year, closingEntry, periods }
+   */
+  async closeYear(userId, year) {
+    // Closing locks all twelve months; a year without revenue or expenses has no closing entry
+    const { data: locked, error: lockedError } = await supabase
+      .from('accounting_periods')
+      .select('period')
+      .eq('user_id', userId)
+      .eq('status', 'locked')
+      .gte('period', `${year}-01`)
+      .lte('period', `${year}-12`);
+
+    if (lockedError) throw lockedError;
+    if (locked.length === 12) {
+      throw new AppError(`Year ${year} is already closed`, 409);
+    }
+
+    const { data: entries, error } = await supabase
+      .from('journal_entries')
+      .select('id, review_status, metadata, account_debit, account_credit, amount, currency, usd_value, journal_entry_lines(*)')
+      .eq('user_id', userId)
+      .neq('review_status', 'rejected')
+      .gte('entry_date', `${year}-01-01`)
+      .lte('entry_date', `${year}-12-31`);
+
+    if (error) throw error;
+
+    const pending = entries.filter(entry => entry.review_status === 'pending').length;
+    if (pending > 0) {
+      throw new AppError(`Review the ${pending} pending journal entries of ${year} before closing it`, 409);
+    }
+
+    const yearEntries = entries.filter(entry => !entry.metadata?.periodClose);
+    const chartOfAccounts = await accountService.getChartOfAccounts(userId);
+
+    // Revenue and expenses are found by account type, so every line needs an account
+    const findAccount = accountService.indexChart(chartOfAccounts);
+    const outsideChart = [...new Set(yearEntries
+      .flatMap(entry => journalEntryService.getEntryLines(entry))
+      .filter(line => !findAccount(line))
+      .map(line => line.account))];
+    if (outsideChart.length > 0) {
+      throw new AppError(
+        `Journal lines of ${year} post to accounts outside the chart of accounts (${outsideChart.join(', ')}); link or correct them before closing it`,
+        409,
+      );
+    }
+
+    const lines = this.buildClosingLines(yearEntries, chartOfAccounts);
+
+    let closingEntry = null;
+    if (lines.length > 0) {
+      [closingEntry] = await journalEntryService.saveJournalEntries({
+        entries: [{
+          lines,
+          narrative: `Closing entry ${year}: revenue and expenses to ${RETAINED_EARNINGS_ACCOUNT}`,
+          entryDate: `${year}-12-31`,
+          confidence: 1,
+        }],
+        userId,
+        source: CLOSING_SOURCE,
+        metadata: { periodClose: { year } },
+      });
+    }
+
+    const now = new Date().toISOString();
+    const periods = Array.from({ length: 12 }, (_, index) => ({
+      user_id: userId,
+      period: `${year}-${String(index + 1).padStart(2, '0')}`,
+      status: 'locked',
+      closed_at: now,
+      locked_at: now,
+      closing_entry_id: index === 11 ? closingEntry?.id || null : null,
+    }));
+
+    const { data: lockedPeriods, error: lockError } = await supabase
+      .from('accounting_periods')
+      .upsert(periods, { onConflict: 'user_id,period' })
+      .select();
+
+    if (lockError) throw lockError;
+
+    logger.info('Accounting year closed', { userId, year, closingEntryId: closingEntry?.id, lines: lines.length });
+
+    return { year, closingEntry, periods: lockedPeriods };
+  }
+
+  /**
+   * Lines that bring every revenue and expense balance of the entries to zero,
+   * at the USD values they were booked at, with the net result per currency
+   * going to Retained Earnings
+   * @param {Array} entries - journal_entries rows with their lines
+   * @param {Array} chartOfAccounts
+   * @returns {Array} Lines as { account, accountId, type, amount, currency, bookValueUSD }
+   */
+  buildClosingLines(entries, chartOfAccounts) {
+    const findAccount = accountService.indexChart(chartOfAccounts);
+    const balances = new Map();
+
+    entries.flatMap(entry => journalEntryService.getEntryLines(entry)).forEach(line => {
+      const chartAccount = findAccount(line);
+      const accountType = chartAccount?.account_type;
+      if (accountType !== 'REVENUE' && accountType !== 'EXPENSE') {
+        return;
+      }
+
+      const key = `${chartAccount.id || chartAccount.name}-${line.currency}`;
+      if (!balances.has(key)) {
+        balances.set(key, {
+          account: chartAccount.name,
+          accountId: chartAccount.id,
+          currency: line.currency,
+          amount: 0,
+          usdValue: 0,
+        });
+      }
+
+      // Credit-positive, so revenue is positive and expenses negative
+      const balance = balances.get(key);
+      const sign = line.type === 'credit' ? 1 : -1;
+      balance.amount += sign * line.amount;
+      balance.usdValue += sign * (line.usdValue || 0);
+    });
+
+    const lines = [];
+    const results = new Map();
+
+    balances.forEach(({ account, accountId, currency, amount, usdValue }) => {
+      const nativeAmount = roundNative(amount);
+      if (nativeAmount === 0) {
+        return;
+      }
+
+      lines.push({
+        account,
+        accountId,
+        type: nativeAmount > 0 ? 'debit' : 'credit',
+        amount: Math.abs(nativeAmount),
+        currency,
+        bookValueUSD: Math.abs(roundUSD(usdValue)) || null,
+      });
+
+      const result = results.get(currency) || { amount: 0, usdValue: 0 };
+      result.amount += nativeAmount;
+      result.usdValue += usdValue;
+      results.set(currency, result);
+    });
+
+    results.forEach(({ amount, usdValue }, currency) => {
+      const nativeAmount = roundNative(amount);
+      if (nativeAmount === 0) {
+        return;
+      }
+
+      lines.push({
+        account: RETAINED_EARNINGS_ACCOUNT,
+        type: nativeAmount > 0 ? 'credit' : 'debit',
+        amount: Math.abs(nativeAmount),
+        currency,
+        bookValueUSD: Math.abs(roundUSD(usdValue)) || null,
+      });
+    });
+
+    return lines;
+  }
+}
+
+module.exports = new PeriodService();
@@ -0,0 +1,152 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const CoinGeckoProvider = require('./priceProviders/coinGeckoProvider');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const MAX_BACKFILL_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Historical USD prices
+ * Daily prices in price_history, filled from the historical price providers on
+ * demand or through a backfill. Used by PriceService for past transaction dates.
+ */
+class PriceHistoryService {
+  constructor() {
+    this.name = 'price_history';
+    this.providers = [new CoinGeckoProvider()];
+  }
+
+  /**
+   * Price provider interface: the stored (or fetched) daily price for past dates
+   */
+  async getPrice(symbol, { date, recent } = {}) {
+    if (recent) {
+      return null;
+    }
+
+    const price = await this.getHistoricalPrice(symbol, date);
+    return price
+      ? { usdPrice: price.usdPrice, source: price.source, pricedAt: `${date}T00:00:00.000Z` }
+      : null;
+  }
+
+  /**
+   * Daily price for a symbol, fetching and storing it when not yet known
+   * @returns {Object|null} { usdPrice, source } or null when no provider has it
+   */
+  async getHistoricalPrice(symbol, date) {
+    const normalizedSymbol = symbol.toUpperCase();
+
+    const { data: stored, error } = await supabase
+      .from('price_history')
+      .select('usd_price, source')
+      .eq('symbol', normalizedSymbol)
+      .eq('price_date', date)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (stored) {
+      return { usdPrice: parseFloat(stored.usd_price), source: stored.source };
+    }
+
+    const provider = this.providers.find(candidate => candidate.supports(normalizedSymbol));
+    if (!provider) {
+      return null;
+    }
+
+    const prices = await provider.getDailyPrices(normalizedSymbol, date, date);
+    await this.storePrices(normalizedSymbol, prices, provider.name);
+
+    const price = prices.find(row => row.date === date);
+    return price ? { usdPrice: price.usdPrice, source: provider.name } : null;
+  }
+
+  /**
+   * Fetch and store daily prices for a symbol over an inclusive date range
+   * @returns {Object} Backfill summary
+   */
+  async backfill(symbol, startDate, endDate) {
+    const normalizedSymbol = symbol.toUpperCase();
+    const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+
+    if (days < 1) {
+      throw new AppError('Start date must be before end date', 400);
+    }
+    if (days > MAX_BACKFILL_DAYS) {
+      throw new AppError(`Backfill range cannot exceed ${MAX_BACKFILL_DAYS} days`, 400);
+    }
+
+    const provider = this.providers.find(candidate => candidate.supports(normalizedSymbol));
+    if (!provider) {
+      throw new AppError(`No price provider supports ${normalizedSymbol}`, 400);
+    }
+
+    const prices = await provider.getDailyPrices(normalizedSymbol, startDate, endDate);
+    await this.storePrices(normalizedSymbol, prices, provider.name);
+
+    logger.info('Backfilled price history', {
+      symbol: normalizedSymbol,
+      startDate,
+      endDate,
+      provider: provider.name,
+      stored: prices.length,
+    });
+
+    return {
+      symbol: normalizedSymbol,
+      startDate,
+      endDate,
+      provider: provider.name,
+      requestedDays: days,
+      storedDays: prices.length,
+    };
+  }
+
+  /**
+   * Stored daily prices for a symbol
+   */
+  async getHistory(symbol, startDate, endDate) {
+    let query = supabase
+      .from('price_history')
+      .select('symbol, price_date, usd_price, source, fetched_at')
+      .eq('symbol', symbol.toUpperCase())
+      .order('price_date', { ascending: true });
+
+    if (startDate) {
+      query = query.gte('price_date', startDate);
+    }
+    if (endDate) {
+      query = query.lte('price_date', endDate);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  async storePrices(symbol, prices, source) {
+    if (prices.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('price_history')
+      .upsert(prices.map(price => ({
+        symbol,
+        price_date: price.date,
+        usd_price: price.usdPrice,
+        source,
+        fetched_at: new Date().toISOString(),
+      })), { onConflict: 'symbol,price_date' });
+
+    if (error) throw error;
+  }
+}
+
+module.exports = new PriceHistoryService();
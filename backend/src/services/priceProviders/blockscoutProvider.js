@@ -0,0 +1,63 @@
+const { createClient } = require('@supabase/supabase-js');
+const EnhancedBlockscoutClient = require('../enhancedBlockscoutClient');
+const chainRegistry = require('../chainRegistry');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+/**
+ * Current token prices from Blockscout, for crypto_assets with a contract address
+ */
+class BlockscoutProvider {
+  constructor() {
+    this.name = 'blockscout';
+    // Explorer clients by chain key, created on first use
+    this.clients = new Map();
+  }
+
+  /**
+   * Explorer client for the asset's chain (crypto_assets.blockchain), else the default chain
+   */
+  getClient(blockchain) {
+    const chain = chainRegistry.isSupported(blockchain) ? chainRegistry.getChain(blockchain) : chainRegistry.getDefaultChain();
+    if (!this.clients.has(chain.key)) {
+      this.clients.set(chain.key, new EnhancedBlockscoutClient(chain));
+    }
+    return this.clients.get(chain.key);
+  }
+
+  async getPrice(symbol, { recent, userId } = {}) {
+    if (!recent) {
+      return null;
+    }
+
+    // The contract address comes from the user's own chart, else the template chart
+    let query = supabase
+      .from('crypto_assets')
+      .select('contract_address, blockchain')
+      .eq('symbol', symbol);
+    query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+    const { data: asset, error } = await query.single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!asset?.contract_address) {
+      return null;
+    }
+
+    const tokenPrice = await this.getClient(asset.blockchain).getTokenPrice(asset.contract_address);
+    const usdPrice = parseFloat(tokenPrice?.price);
+    if (!Number.isFinite(usdPrice)) {
+      return null;
+    }
+
+    return {
+      usdPrice,
+      metadata: { tokenAddress: asset.contract_address },
+    };
+  }
+}
+
+module.exports = BlockscoutProvider;
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+// CoinGecko coin ids for the symbols we book; testnet tokens map to their mainnet coin
+const COIN_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  USDT: 'tether',
+  USDC: 'usd-coin',
+  DAI: 'dai',
+  BNB: 'binancecoin',
+  MATIC: 'matic-network',
+  FLR: 'flare-networks',
+  C2FLR: 'flare-networks',
+  AVAX: 'avalanche-2',
+  ADA: 'cardano',
+  DOT: 'polkadot',
+  LTC: 'litecoin',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Historical price provider backed by the CoinGecko market chart API
+ *
+ * Daily price providers (used by PriceHistoryService) share one interface:
+ * - name: stored as price_history.source
+ * - supports(symbol): whether the provider can price the symbol
+ * - getDailyPrices(symbol, startDate, endDate): [{ date: 'YYYY-MM-DD', usdPrice }]
+ *   for the UTC days in the inclusive range it has data for
+ */
+class CoinGeckoProvider {
+  constructor() {
+    this.name = 'coingecko';
+    this.baseURL = process.env.COINGECKO_BASE_URL || 'https://api.coingecko.com/api/v3';
+    this.apiKey = process.env.COINGECKO_API_KEY;
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: 30000,
+      headers: {
+        Accept: 'application/json',
+        ...(this.apiKey && { 'x-cg-demo-api-key': this.apiKey }),
+      },
+    });
+  }
+
+  supports(symbol) {
+    return Boolean(COIN_IDS[symbol.toUpperCase()]);
+  }
+
+  async getDailyPrices(symbol, startDate, endDate) {
+    const coinId = COIN_IDS[symbol.toUpperCase()];
+    if (!coinId) {
+      return [];
+    }
+
+    const from = Math.floor(Date.parse(`${startDate}T00:00:00Z`) / 1000);
+    const to = Math.floor((Date.parse(`${endDate}T00:00:00Z`) + DAY_MS) / 1000);
+
+    logger.info('Fetching historical prices from CoinGecko', { symbol, coinId, startDate, endDate });
+
+    const response = await this.client.get(`/coins/${coinId}/market_chart/range`, {
+      params: { vs_currency: 'usd', from, to },
+    });
+
+    // Keep the first price of each UTC day (closest to 00:00, like CoinGecko's daily history)
+    const byDay = new Map();
+    (response.data?.prices || []).forEach(([timestampMs, usdPrice]) => {
+      const date = new Date(timestampMs).toISOString().split('T')[0];
+      if (date >= startDate && date <= endDate && !byDay.has(date)) {
+        byDay.set(date, usdPrice);
+      }
+    });
+
+    return [...byDay.entries()].map(([date, usdPrice]) => ({ date, usdPrice }));
+  }
+}
+
+module.exports = CoinGeckoProvider;
@@ -0,0 +1,25 @@
+const ftsoService = require('../ftsoService');
+
+/**
+ * Current prices from the FTSO price consumer contract (no mock fallback)
+ */
+class FtsoProvider {
+  constructor() {
+    this.name = 'ftso';
+  }
+
+  async getPrice(symbol, { recent } = {}) {
+    if (!recent || !ftsoService.isAvailable()) {
+      return null;
+    }
+
+    const priceData = await ftsoService.getContractPrice(symbol);
+    return {
+      usdPrice: priceData.usdPrice,
+      pricedAt: priceData.lastUpdated,
+      metadata: { contractAddress: priceData.contractAddress },
+    };
+  }
+}
+
+module.exports = FtsoProvider;
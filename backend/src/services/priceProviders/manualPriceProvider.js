@@ -0,0 +1,43 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+/**
+ * Prices the user maintains by hand; the latest price on or before the date applies
+ */
+class ManualPriceProvider {
+  constructor() {
+    this.name = 'manual';
+  }
+
+  async getPrice(symbol, { date, userId } = {}) {
+    if (!userId) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('manual_prices')
+      .select('id, price_date, usd_price')
+      .eq('user_id', userId)
+      .eq('symbol', symbol)
+      .lte('price_date', date)
+      .order('price_date', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    return {
+      usdPrice: parseFloat(data[0].usd_price),
+      pricedAt: `${data[0].price_date}T00:00:00.000Z`,
+      metadata: { manualPriceId: data[0].id },
+    };
+  }
+}
+
+module.exports = ManualPriceProvider;
@@ -0,0 +1,21 @@
+const ftsoService = require('../ftsoService');
+
+/**
+ * FTSOService mock table - only added to the chain outside production, and its
+ * prices are persisted with source 'mock' so they are never mistaken for real ones
+ */
+class MockPriceProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async getPrice(symbol, { recent } = {}) {
+    if (!recent || !ftsoService.allowMockPrices || !ftsoService.mockPrices[symbol]) {
+      return null;
+    }
+
+    return { usdPrice: ftsoService.getMockPrice(symbol).usdPrice };
+  }
+}
+
+module.exports = MockPriceProvider;
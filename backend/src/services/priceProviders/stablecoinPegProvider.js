@@ -0,0 +1,50 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const DEFAULT_STABLECOINS = ['USDC', 'USDT', 'DAI'];
+const STABLECOIN_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * 1 USD for stablecoins (crypto_assets.is_stable_coin); last in the chain so a
+ * feed price, which would show a depeg, always wins. Only the template chart and
+ * the user's own chart count, so one user's asset flags never price another's.
+ */
+class StablecoinPegProvider {
+  constructor() {
+    this.name = 'stablecoin_peg';
+    // { stablecoins, loadedAt } per user ('' for the template chart)
+    this.cache = new Map();
+  }
+
+  async getStablecoins(userId = null) {
+    const key = userId || '';
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < STABLECOIN_CACHE_TTL) {
+      return cached.stablecoins;
+    }
+
+    let query = supabase
+      .from('crypto_assets')
+      .select('symbol')
+      .eq('is_stable_coin', true);
+    query = userId ? query.or(`user_id.is.null,user_id.eq.${userId}`) : query.is('user_id', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const stablecoins = new Set([...DEFAULT_STABLECOINS, ...data.map(asset => asset.symbol.toUpperCase())]);
+    this.cache.set(key, { stablecoins, loadedAt: Date.now() });
+    return stablecoins;
+  }
+
+  async getPrice(symbol, { userId } = {}) {
+    const stablecoins = await this.getStablecoins(userId);
+    return stablecoins.has(symbol) ? { usdPrice: 1 } : null;
+  }
+}
+
+module.exports = StablecoinPegProvider;
@@ -0,0 +1,320 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const ftsoService = require('./ftsoService');
+const priceHistoryService = require('./priceHistoryService');
+const FtsoProvider = require('./priceProviders/ftsoProvider');
+const BlockscoutProvider = require('./priceProviders/blockscoutProvider');
+const ManualPriceProvider = require('./priceProviders/manualPriceProvider');
+const StablecoinPegProvider = require('./priceProviders/stablecoinPegProvider');
+const MockPriceProvider = require('./priceProviders/mockPriceProvider');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Timestamps closer to now than this are priced with the live feeds
+const RECENT_PRICE_WINDOW_MS = parseInt(process.env.PRICE_HISTORY_RECENT_WINDOW_MS) || 60 * 60 * 1000; // 1 hour default
+const LIVE_PRICE_CACHE_TTL = parseInt(process.env.PRICE_FEED_CACHE_TTL) || 60000; // 1 minute default
+// Persisted live prices that can be reused within the cache TTL. The cache is keyed by
+// symbol only, so Blockscout prices (looked up by the contract in each user's own chart)
+// are never shared.
+const CACHEABLE_SOURCES = ['ftso'];
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * USD price resolution through an ordered chain of price providers
+ *
+ * Price providers share one interface:
+ * - name: stored as resolved_prices.source
+ * - getPrice(symbol, { date, recent, userId }): { usdPrice, pricedAt?, source?, metadata? },
+ *   or null when the provider has no price; throwing moves on to the next provider
+ *
+ * Every resolved price is persisted in resolved_prices and journal lines keep its
+ * id, so reports can be reproduced. The mock table only joins the chain when
+ * ftsoService allows mock prices, which it never does in production.
+ */
+class PriceService {
+  constructor() {
+    const manualProvider = new ManualPriceProvider();
+    const stablecoinPegProvider = new StablecoinPegProvider();
+
+    this.currentProviders = [
+      new FtsoProvider(),
+      new BlockscoutProvider(),
+      manualProvider,
+      stablecoinPegProvider,
+      ...(ftsoService.allowMockPrices ? [new MockPriceProvider()] : []),
+    ];
+    this.historicalProviders = [
+      priceHistoryService,
+      manualProvider,
+      stablecoinPegProvider,
+    ];
+  }
+
+  /**
+   * Whether a timestamp is current enough for the live price feeds
+   * @param {string|Date|null} timestamp - Missing timestamps count as "now"
+   */
+  isRecent(timestamp) {
+    if (!timestamp) {
+      return true;
+    }
+
+    const time = new Date(timestamp).getTime();
+    if (isNaN(time)) {
+      return true;
+    }
+
+    // A bare date means "that day": today is current, earlier days are history
+    if (typeof timestamp === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(timestamp)) {
+      return timestamp >= toDateString(new Date());
+    }
+
+    return Date.now() - time <= RECENT_PRICE_WINDOW_MS;
+  }
+
+  /**
+   * Resolve the USD price of a symbol at a point in time and persist it
+   * @param {string} symbol - The currency symbol
+   * @param {Object} options - { timestamp, userId }
+   * @returns {Object|null} { symbol, usdPrice, source, pricedAt, priceId } or null
+   */
+  async resolvePrice(symbol, { timestamp = null, userId = null } = {}) {
+    const normalizedSymbol = symbol.toUpperCase();
+    const recent = this.isRecent(timestamp);
+    const date = recent ? toDateString(new Date()) : toDateString(new Date(timestamp));
+
+    if (recent) {
+      const cached = await this.getCachedPrice(normalizedSymbol);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const providers = recent ? this.currentProviders : this.historicalProviders;
+
+    for (const provider of providers) {
+      let price;
+      try {
+        price = await provider.getPrice(normalizedSymbol, { date, recent, userId });
+      } catch (error) {
+        logger.warn('Price provider failed, trying next provider', {
+          symbol: normalizedSymbol,
+          provider: provider.name,
+          error: error.message,
+        });
+        continue;
+      }
+
+      if (price && Number.isFinite(price.usdPrice)) {
+        return this.persistPrice({
+          symbol: normalizedSymbol,
+          usdPrice: price.usdPrice,
+          source: price.source || provider.name,
+          pricedAt: price.pricedAt || (recent ? new Date().toISOString() : `${date}T00:00:00.000Z`),
+          metadata: { ...price.metadata, provider: provider.name },
+        });
+      }
+    }
+
+    logger.warn('No price provider could price symbol', { symbol: normalizedSymbol, date, recent });
+    return null;
+  }
+
+  /**
+   * Latest live price resolved within the cache TTL
+   */
+  async getCachedPrice(symbol) {
+    const { data, error } = await supabase
+      .from('resolved_prices')
+      .select('id, usd_price, source, priced_at')
+      .eq('symbol', symbol)
+      .in('source', CACHEABLE_SOURCES)
+      .gte('created_at', new Date(Date.now() - LIVE_PRICE_CACHE_TTL).toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      logger.warn('Failed to read resolved price cache', { symbol, error: error.message });
+      return null;
+    }
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    return {
+      symbol,
+      usdPrice: parseFloat(data[0].usd_price),
+      source: data[0].source,
+      pricedAt: data[0].priced_at,
+      priceId: data[0].id,
+    };
+  }
+
+  async persistPrice({ symbol, usdPrice, source, pricedAt, metadata }) {
+    const { data, error } = await supabase
+      .from('resolved_prices')
+      .insert({
+        symbol,
+        usd_price: usdPrice,
+        source,
+        priced_at: pricedAt,
+        metadata,
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      // The price is still valid; only its audit record is missing
+      logger.error('Failed to persist resolved price', { symbol, source, error: error.message });
+    }
+
+    return {
+      symbol,
+      usdPrice,
+      source,
+      pricedAt,
+      priceId: data?.id || null,
+    };
+  }
+
+  /**
+   * A persisted resolved price, e.g. the one a journal line was valued with
+   */
+  async getResolvedPrice(priceId) {
+    const { data, error } = await supabase
+      .from('resolved_prices')
+      .select('*')
+      .eq('id', priceId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    return data || null;
+  }
+
+  /**
+   * The user's manual prices, newest first
+   */
+  async getManualPrices(userId, symbol = null) {
+    let query = supabase
+      .from('manual_prices')
+      .select('id, symbol, price_date, usd_price, note, updated_at')
+      .eq('user_id', userId)
+      .order('symbol', { ascending: true })
+      .order('price_date', { ascending: false });
+
+    if (symbol) {
+      query = query.eq('symbol', symbol.toUpperCase());
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create or replace the user's manual price for a symbol on a day
+   */
+  async setManualPrice(userId, { symbol, date, usdPrice, note = null }) {
+    const { data, error } = await supabase
+      .from('manual_prices')
+      .upsert({
+        user_id: userId,
+        symbol: symbol.toUpperCase(),
+        price_date: date,
+        usd_price: usdPrice,
+        note,
+      }, { onConflict: 'user_id,symbol,price_date' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Manual price saved', { userId, symbol: data.symbol, date, usdPrice });
+    return data;
+  }
+
+  /**
+   * @returns {boolean} Whether a manual price was deleted
+   */
+  async deleteManualPrice(userId, priceId) {
+    const { data, error } = await supabase
+      .from('manual_prices')
+      .delete()
+      .eq('id', priceId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Get price data for journal entry enhancement at the given timestamp
+   * Same result shape as ftsoService.getPriceForJournalEntry
+   * @param {string} currency - The currency symbol
+   * @param {number} amount - The amount in the currency
+   * @param {string|Date|null} timestamp - When the transaction happened
+   * @param {string|null} userId - Owner of the journal, for manual prices
+   */
+  async getPriceForJournalEntry(currency, amount, timestamp = null, userId = null) {
+    try {
+      const price = await this.resolvePrice(currency, { timestamp, userId });
+
+      if (!price) {
+        return {
+          currency,
+          amount,
+          usdValue: null,
+          priceData: null,
+          supported: false,
+          error: `No price available for ${currency}`,
+          source: 'price-chain',
+        };
+      }
+
+      const usdValue = Number(amount) * price.usdPrice;
+
+      return {
+        currency,
+        amount,
+        usdValue,
+        usdValueFormatted: usdValue.toFixed(2),
+        priceData: {
+          symbol: price.symbol,
+          usdPrice: price.usdPrice,
+          timestamp: Math.floor(Date.parse(price.pricedAt) / 1000),
+          lastUpdated: price.pricedAt,
+          source: price.source,
+          priceId: price.priceId,
+        },
+        supported: true,
+        source: price.source,
+        enhancedNarrative: `${amount} ${currency} (${usdValue.toFixed(2)} USD at $${price.usdPrice.toFixed(4)}/${currency} via ${price.source})`,
+      };
+    } catch (error) {
+      logger.error('Failed to get price for journal entry', {
+        currency,
+        amount,
+        error: error.message,
+      });
+
+      return {
+        currency,
+        amount,
+        usdValue: null,
+        priceData: null,
+        supported: false,
+        error: error.message,
+        source: 'price-chain',
+      };
+    }
+  }
+}
+
+module.exports = new PriceService();
@@ -0,0 +1,372 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const journalEntryService = require('./journalEntryService');
+const costBasisService = require('./costBasisService');
+const priceService = require('./priceService');
+const reversalService = require('./reversalService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Journal source of the revaluation entries posted by this service
+const REVALUATION_SOURCE = 'revaluation';
+const SURPLUS_ACCOUNT = 'Crypto Revaluation Reserve';
+const IMPAIRMENT_ACCOUNT = 'Impairment Loss on Crypto';
+
+// Native amounts are stored as NUMERIC(20, 8); USD values as NUMERIC(20, 2)
+const QUANTITY_TOLERANCE = 0.00000001;
+const USD_TOLERANCE = 0.01;
+const roundNative = value => Math.round(value * 1e8) / 1e8;
+const roundUSD = value => Math.round(value * 100) / 100;
+
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00.000Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Period-end revaluation of digital asset holdings (IAS 38 revaluation model)
+ * A run prices the native balance of every digital asset account at the closing
+ * date and compares it with the USD value the account is carried at in the
+ * ledger. Increases are posted to Crypto Revaluation Reserve (equity), decreases
+ * to Impairment Loss on Crypto, as one USD entry dated the closing date. Runs are
+ * reversed at the start of the next period, so every run is measured against the
+ * booked values and only one run can be posted at a time.
+ */
+class RevaluationService {
+  /**
+   * @returns {Array} The user's runs, latest closing date first
+   */
+  async listRuns(userId) {
+    const { data, error } = await supabase
+      .from('revaluation_runs')
+      .select('*')
+      .eq('user_id', userId)
+      .order('closing_date', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getRun(userId, runId) {
+    const { data: run, error } = await supabase
+      .from('revaluation_runs')
+      .select('*')
+      .eq('id', runId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!run) {
+      throw new AppError('Revaluation run not found', 404);
+    }
+    return run;
+  }
+
+  /**
+   * Revalue the user's digital asset accounts at a closing date
+   * @param {string} userId
+   * @param {string} closingDate - YYYY-MM-DD
+   * @returns {Object} { run, entry }
+   */
+  async run(userId, closingDate) {
+    const date = String(closingDate).split('T')[0];
+
+    const { data: posted, error: postedError } = await supabase
+      .from('revaluation_runs')
+      .select('closing_date')
+      .eq('user_id', userId)
+      .eq('status', 'posted')
+      .single();
+
+    if (postedError && postedError.code !== 'PGRST116') throw postedError; // PGRST116 = no rows returned
+    if (posted) {
+      throw new AppError(`The revaluation of ${posted.closing_date} is still posted; reverse it first`, 409);
+    }
+
+    const { data: entries, error } = await supabase
+      .from('journal_entries')
+      .select('id, review_status, metadata, reverses_entry_id, account_debit, account_credit, amount, currency, usd_value, journal_entry_lines(*)')
+      .eq('user_id', userId)
+      .neq('review_status', 'rejected')
+      .lte('entry_date', date);
+
+    if (error) throw error;
+
+    const pending = entries.filter(entry => entry.review_status === 'pending').length;
+    if (pending > 0) {
+      throw new AppError(`Review the ${pending} pending journal entries up to ${date} before revaluing`, 409);
+    }
+
+    // Earlier runs and their reversals cancel out; leaving them out keeps the booked values
+    const revaluationIds = new Set(entries.filter(entry => entry.metadata?.revaluation).map(entry => entry.id));
+    const booked = entries.filter(entry => !revaluationIds.has(entry.id) && !revaluationIds.has(entry.reverses_entry_id));
+
+    const holdings = this.buildHoldings(booked, await costBasisService.getAssetAccounts(userId));
+    const prices = await this.resolvePrices(holdings, date, userId);
+    const { accounts, skipped } = this.valueAccounts(holdings, prices, date);
+    const lines = this.buildRevaluationLines(accounts);
+
+    const surplusUSD = roundUSD(accounts.reduce((sum, account) => sum + Math.max(account.adjustmentUSD, 0), 0));
+    const impairmentUSD = roundUSD(accounts.reduce((sum, account) => sum + Math.max(-account.adjustmentUSD, 0), 0));
+
+    const { data: run, error: insertError } = await supabase
+      .from('revaluation_runs')
+      .insert({
+        user_id: userId,
+        closing_date: date,
+        status: lines.length > 0 ? 'posted' : 'no_change',
+        accounts,
+        skipped,
+        surplus_usd: surplusUSD,
+        impairment_usd: impairmentUSD,
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      if (insertError.code === '23505') {
+        throw new AppError('Another revaluation is already posted', 409);
+      }
+      throw insertError;
+    }
+
+    if (lines.length === 0) {
+      logger.info('Revaluation found nothing to adjust', { userId, closingDate: date, skipped: skipped.length });
+      return { run, entry: null };
+    }
+
+    let entry;
+    try {
+      [entry] = await journalEntryService.saveJournalEntries({
+        entries: [{
+          lines,
+          narrative: `Revaluation of digital assets at ${date}`,
+          entryDate: date,
+          confidence: 1,
+        }],
+        userId,
+        source: REVALUATION_SOURCE,
+        metadata: { revaluation: { runId: run.id, closingDate: date } },
+      });
+    } catch (saveError) {
+      // Free the posted slot again, the run never reached the books
+      await supabase.from('revaluation_runs').delete().eq('id', run.id);
+      throw saveError;
+    }
+
+    const { data: postedRun, error: linkError } = await supabase
+      .from('revaluation_runs')
+      .update({ entry_id: entry.id })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (linkError) throw linkError;
+
+    logger.info('Revaluation posted', { userId, closingDate: date, entryId: entry.id, surplusUSD, impairmentUSD });
+    return { run: postedRun, entry };
+  }
+
+  /**
+   * Reverse a posted run, by default on the day after its closing date
+   * @param {string} userId
+   * @param {string} runId
+   * @param {Object} options - { date }
+   * @returns {Object} { run, reversal }
+   */
+  async reverseRun(userId, runId, { date = null } = {}) {
+    const run = await this.getRun(userId, runId);
+    if (run.status !== 'posted') {
+      throw new AppError(`Revaluation run is ${run.status}; only posted runs are reversed`, 409);
+    }
+
+    const reversalDate = date ? String(date).split('T')[0] : nextDay(run.closing_date);
+    if (reversalDate <= run.closing_date) {
+      throw new AppError('A revaluation is reversed after its closing date', 400);
+    }
+
+    let reversal = null;
+    if (run.entry_id) {
+      ({ reversal } = await reversalService.reverseEntry(userId, run.entry_id, {
+        date: reversalDate,
+        reason: `Revaluation of ${run.closing_date} reversed at the start of the next period`,
+        system: true,
+      }));
+    }
+
+    const { data: reversedRun, error } = await supabase
+      .from('revaluation_runs')
+      .update({
+        status: 'reversed',
+        reversal_entry_id: reversal?.id || null,
+        reversed_at: new Date().toISOString(),
+      })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Revaluation reversed', { userId, runId, reversalId: reversal?.id, date: reversalDate });
+    return { run: reversedRun, reversal };
+  }
+
+  /**
+   * Native balances and carrying USD value of every digital asset account
+   * USD lines on an asset account (realized gain entries) adjust its carrying value.
+   * @param {Array} entries - journal_entries rows with their lines
+   * @param {Object} assets - From costBasisService.getAssetAccounts
+   * @returns {Map} account -> { account, carryingValueUSD, unpricedLines, balances: Map currency -> quantity }
+   */
+  buildHoldings(entries, assets) {
+    const holdings = new Map();
+
+    entries.flatMap(entry => journalEntryService.getEntryLines(entry)).forEach(line => {
+      if (!costBasisService.isAssetAccount(line.account, assets)) {
+        return;
+      }
+
+      if (!holdings.has(line.account)) {
+        holdings.set(line.account, { account: line.account, carryingValueUSD: 0, unpricedLines: 0, balances: new Map() });
+      }
+
+      const holding = holdings.get(line.account);
+      const sign = line.type === 'debit' ? 1 : -1;
+      const currency = (line.currency || 'USD').toUpperCase();
+
+      if (currency === 'USD') {
+        holding.carryingValueUSD += sign * line.amount;
+        return;
+      }
+
+      holding.balances.set(currency, (holding.balances.get(currency) || 0) + sign * line.amount);
+      if (line.usdValue === null || line.usdValue === undefined) {
+        holding.unpricedLines += 1;
+      } else {
+        holding.carryingValueUSD += sign * line.usdValue;
+      }
+    });
+
+    return holdings;
+  }
+
+  /**
+   * Price every held currency at the closing date through the price chain
+   * @returns {Map} currency -> resolved price, or null when no provider has one
+   */
+  async resolvePrices(holdings, date, userId) {
+    const currencies = new Set();
+    holdings.forEach(holding => holding.balances.forEach((quantity, currency) => {
+      if (Math.abs(quantity) > QUANTITY_TOLERANCE) {
+        currencies.add(currency);
+      }
+    }));
+
+    const prices = new Map();
+    for (const currency of currencies) {
+      prices.set(currency, await priceService.resolvePrice(currency, { timestamp: date, userId }));
+    }
+    return prices;
+  }
+
+  /**
+   * Fair value of every account that can be revalued
+   * An account is skipped when one of its lines was booked without a USD value,
+   * when a currency it holds has no price, or when a balance is negative.
+   * @returns {Object} { accounts, skipped }
+   */
+  valueAccounts(holdings, prices, date) {
+    const accounts = [];
+    const skipped = [];
+
+    holdings.forEach(holding => {
+      const balances = Array.from(holding.balances.entries())
+        .map(([currency, quantity]) => ({ currency, quantity: roundNative(quantity) }))
+        .filter(({ quantity }) => Math.abs(quantity) > QUANTITY_TOLERANCE);
+
+      if (balances.length === 0) {
+        return;
+      }
+
+      const skip = reason => skipped.push({ account: holding.account, reason });
+      if (holding.unpricedLines > 0) {
+        return skip(`${holding.unpricedLines} lines have no booked USD value`);
+      }
+      const negative = balances.find(({ quantity }) => quantity < 0);
+      if (negative) {
+        return skip(`Negative ${negative.currency} balance`);
+      }
+      const unpriced = balances.find(({ currency }) => !prices.get(currency));
+      if (unpriced) {
+        return skip(`No price for ${unpriced.currency} at ${date}`);
+      }
+
+      const valued = balances.map(({ currency, quantity }) => {
+        const price = prices.get(currency);
+        return {
+          currency,
+          quantity,
+          usdPrice: price.usdPrice,
+          priceSource: price.source,
+          priceId: price.priceId || null,
+          fairValueUSD: roundUSD(quantity * price.usdPrice),
+        };
+      });
+
+      const carryingValueUSD = roundUSD(holding.carryingValueUSD);
+      const fairValueUSD = roundUSD(valued.reduce((sum, balance) => sum + balance.fairValueUSD, 0));
+
+      accounts.push({
+        account: holding.account,
+        holdings: valued,
+        carryingValueUSD,
+        fairValueUSD,
+        adjustmentUSD: roundUSD(fairValueUSD - carryingValueUSD),
+      });
+    });
+
+    return { accounts, skipped };
+  }
+
+  /**
+   * USD lines that bring each account to its fair value: increases against
+   * Crypto Revaluation Reserve, decreases against Impairment Loss on Crypto
+   * @param {Array} accounts - From valueAccounts
+   * @returns {Array} Lines as { account, type, amount, currency, bookValueUSD }
+   */
+  buildRevaluationLines(accounts) {
+    const usdLine = (account, type, amount) => ({ account, type, amount, currency: 'USD', bookValueUSD: amount });
+    const lines = [];
+    let surplus = 0;
+    let impairment = 0;
+
+    accounts.forEach(({ account, adjustmentUSD }) => {
+      if (Math.abs(adjustmentUSD) < USD_TOLERANCE) {
+        return;
+      }
+      if (adjustmentUSD > 0) {
+        lines.push(usdLine(account, 'debit', adjustmentUSD));
+        surplus += adjustmentUSD;
+      } else {
+        lines.push(usdLine(account, 'credit', -adjustmentUSD));
+        impairment -= adjustmentUSD;
+      }
+    });
+
+    if (surplus > 0) {
+      lines.push(usdLine(SURPLUS_ACCOUNT, 'credit', roundUSD(surplus)));
+    }
+    if (impairment > 0) {
+      lines.push(usdLine(IMPAIRMENT_ACCOUNT, 'debit', roundUSD(impairment)));
+    }
+
+    return lines;
+  }
+}
+
+module.exports = new RevaluationService();
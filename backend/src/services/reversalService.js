@@ -0,0 +1,185 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const journalEntryService = require('./journalEntryService');
+const auditService = require('./auditService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Journal source of reversals and replacements; they are posted by a person
+const REVERSAL_SOURCE = 'manual';
+
+// Entries posted by a process, by source and the metadata key the process marks them with.
+// The process replaces them itself, so they are not reversed by hand; the process
+// reverses them through reverseEntry with { system: true }.
+const SYSTEM_ENTRIES = [
+  { source: 'cost_basis', metadataKey: 'costBasis', process: 'the cost basis calculation' },
+  { source: 'period_close', metadataKey: 'periodClose', process: 'the year-end close' },
+  { source: 'revaluation', metadataKey: 'revaluation', process: 'the revaluation run' },
+];
+
+/**
+ * Reversing and correcting entries
+ * A posted entry is fixed by posting a reversal that mirrors its lines (debits
+ * become credits at the same amounts and booked USD values) and, for a correction,
+ * a replacement entry. The reversal and the replacement are saved in one insert,
+ * so a correction never leaves half of itself behind.
+ */
+class ReversalService {
+  /**
+   * Reverse a posted entry
+   * @param {string} userId
+   * @param {string} entryId
+   * @param {Object} options - { date, reason, system }; the reversal is dated like the original unless date is given.
+   *   system is set by the process that posted the entry, which may reverse its own entries
+   * @returns {Object} { original, reversal }
+   */
+  async reverseEntry(userId, entryId, { date = null, reason = null, system = false } = {}) {
+    const original = await this.getReversibleEntry(userId, entryId, { system });
+
+    const [reversal] = await journalEntryService.saveJournalEntries({
+      entries: [this.buildReversal(original, date, reason)],
+      userId,
+      source: REVERSAL_SOURCE,
+      transactionId: original.transaction_id,
+    });
+
+    const linked = await this.linkReversal(userId, original, reversal);
+    logger.info('Journal entry reversed', { userId, entryId, reversalId: reversal.id });
+
+    return { original: linked, reversal };
+  }
+
+  /**
+   * Reverse a posted entry and post its corrected replacement
+   * @param {string} userId
+   * @param {string} entryId
+   * @param {Object} changes - { narrative, entryDate, accountDebit, accountCredit, amount, currency } or { lines },
+   *   plus { date, reason } for the reversal
+   * @returns {Object} { original, reversal, replacement }
+   */
+  async correctEntry(userId, entryId, changes) {
+    const original = await this.getReversibleEntry(userId, entryId);
+    const date = changes.date || original.entry_date;
+
+    const touchesLines = ['lines', 'accountDebit', 'accountCredit', 'amount', 'currency']
+      .some(field => changes[field] !== undefined);
+    if (!touchesLines && changes.narrative === undefined && changes.entryDate === undefined) {
+      throw new AppError('A correction needs at least one change', 400);
+    }
+
+    const replacement = {
+      ...(touchesLines
+        ? journalEntryService.applyEntryChanges(original, changes)
+        : { lines: this.copyLines(original) }),
+      narrative: changes.narrative ?? original.narrative,
+      entryDate: changes.entryDate || date,
+      transactionDate: original.transaction_date,
+      correctsEntryId: original.id,
+      metadata: { correction: { of: original.id, reason: changes.reason || null } },
+    };
+
+    const [reversal, corrected] = await journalEntryService.saveJournalEntries({
+      entries: [this.buildReversal(original, date, changes.reason), replacement],
+      userId,
+      source: REVERSAL_SOURCE,
+      transactionId: original.transaction_id,
+    });
+
+    const linked = await this.linkReversal(userId, original, reversal);
+    logger.info('Journal entry corrected', { userId, entryId, reversalId: reversal.id, replacementId: corrected.id });
+
+    return { original: linked, reversal, replacement: corrected };
+  }
+
+  async getReversibleEntry(userId, entryId, { system: bySystem = false } = {}) {
+    const { data: entry, error } = await supabase
+      .from('journal_entries')
+      .select('*, journal_entry_lines(*)')
+      .eq('id', entryId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!entry) {
+      throw new AppError('Journal entry not found', 404);
+    }
+    if (entry.reverses_entry_id) {
+      throw new AppError('A reversal cannot be reversed; correct the original entry instead', 400);
+    }
+    if (entry.reversed_by_entry_id) {
+      throw new AppError('Journal entry was already reversed', 409);
+    }
+    if (entry.review_status !== 'approved') {
+      throw new AppError(`Journal entry is ${entry.review_status}; settle it in the review queue instead`, 409);
+    }
+
+    const system = SYSTEM_ENTRIES.find(kind => entry.source === kind.source || entry.metadata?.[kind.metadataKey]);
+    if (system && !bySystem) {
+      throw new AppError(`Journal entry was posted by ${system.process}; re-run it instead of reversing the entry`, 409);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Lines of the entry at their booked USD values
+   */
+  copyLines(entry) {
+    return journalEntryService.getEntryLines(entry).map(line => ({
+      account: line.account,
+      type: line.type,
+      amount: line.amount,
+      currency: line.currency,
+      bookValueUSD: line.usdValue,
+    }));
+  }
+
+  /**
+   * Mirror of the entry: every debit becomes a credit and the other way round
+   */
+  buildReversal(entry, date, reason) {
+    return {
+      lines: this.copyLines(entry).map(line => ({ ...line, type: line.type === 'debit' ? 'credit' : 'debit' })),
+      narrative: `Reversal of: ${entry.narrative || entry.id}`,
+      entryDate: date || entry.entry_date,
+      transactionDate: entry.transaction_date,
+      reversesEntryId: entry.id,
+      metadata: { reversal: { of: entry.id, reason: reason || null } },
+    };
+  }
+
+  /**
+   * Point the original entry at its reversal
+   */
+  async linkReversal(userId, original, reversal) {
+    const { data: linked, error } = await supabase
+      .from('journal_entries')
+      .update({ reversed_by_entry_id: reversal.id })
+      .eq('id', original.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const before = { ...original };
+    delete before.journal_entry_lines;
+    await auditService.record({
+      tableName: 'journal_entries',
+      recordId: original.id,
+      action: 'update',
+      userId,
+      actorId: userId,
+      source: 'manual',
+      before,
+      after: linked,
+    });
+
+    return linked;
+  }
+}
+
+module.exports = new ReversalService();
@@ -0,0 +1,329 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const journalEntryService = require('./journalEntryService');
+const auditService = require('./auditService');
+const periodService = require('./periodService');
+const bankReconciliationService = require('./bankReconciliationService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+// Confidence below which AI entries are queued when the user never set a threshold
+const DEFAULT_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.8;
+
+// Entry sources booked from an AI transaction analysis, which go through review
+const REVIEWED_SOURCES = ['ai_transaction', 'ai_bulk_processing', 'ai_bulk_analysis', 'blockchain_analysis', 'exchange_import'];
+
+/**
+ * Journal entry review queue
+ * AI entries whose confidence is below the user's threshold, or whose accounts had to
+ * be substituted or do not exist in the chart, are saved as 'pending'. A reviewer
+ * approves them (optionally after editing) or rejects them; rejected entries are kept
+ * but left out of reports and cost basis.
+ */
+class ReviewService {
+  isReviewedSource(source) {
+    return REVIEWED_SOURCES.includes(source);
+  }
+
+  /**
+   * Get the user's review confidence threshold
+   */
+  async getThreshold(userId) {
+    const { data, error } = await supabase
+      .from('user_settings')
+      .select('review_confidence_threshold')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    const threshold = parseFloat(data?.review_confidence_threshold);
+    return Number.isNaN(threshold) ? DEFAULT_CONFIDENCE_THRESHOLD : threshold;
+  }
+
+  async setThreshold(userId, threshold) {
+    const value = parseFloat(threshold);
+    if (Number.isNaN(value) || value < 0 || value > 1) {
+      throw new AppError('Confidence threshold must be between 0 and 1', 400);
+    }
+
+    const { error } = await supabase
+      .from('user_settings')
+      .upsert({ user_id: userId, review_confidence_threshold: value }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    logger.info('Review confidence threshold updated', { userId, threshold: value });
+    return value;
+  }
+
+  /**
+   * Reasons an AI entry needs review
+   * @param {Object} entry - Entry as returned by the AI clients
+   * @param {number} threshold - Confidence threshold of the user
+   * @returns {Array} [{ reason, ... }], empty when the entry can be booked as is
+   */
+  assessEntry(entry, threshold) {
+    const reasons = [];
+
+    const confidence = parseFloat(entry.confidence ?? entry.ai_confidence);
+    if (!Number.isNaN(confidence) && confidence < threshold) {
+      reasons.push({ reason: 'low_confidence', confidence, threshold });
+    }
+
+    (entry.accountSubstitutions || []).forEach(({ side, requested, substituted }) => {
+      reasons.push({ reason: 'account_substituted', side, requested, substituted });
+    });
+
+    (entry.accountCreationSuggestions || []).forEach(({ type, requestedName }) => {
+      reasons.push({ reason: 'unknown_account', side: type, requested: requestedName });
+    });
+    if (entry.requiresAccountCreation && !entry.accountCreationSuggestions?.length) {
+      reasons.push({ reason: 'unknown_account' });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { entries, pagination }
+   */
+  async listQueue(userId, { page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { data, error, count } = await supabase
+      .from('journal_entries')
+      .select(`
+        *,
+        transactions(txid, description),
+        journal_entry_lines(*)
+      `, { count: 'exact' })
+      .eq('user_id', userId)
+      .eq('review_status', 'pending')
+      .order('entry_date', { ascending: true })
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return {
+      entries: data,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+    };
+  }
+
+  /**
+   * Approve pending entries
+   * @returns {Object} { entries, skipped } - skipped ids were not pending
+   */
+  async approveEntries(userId, entryIds) {
+    return this.reviewEntries(userId, entryIds, 'approved');
+  }
+
+  /**
+   * Reject pending entries; they stay stored but no longer count in the books
+   * @returns {Object} { entries, skipped } - skipped ids were not pending
+   */
+  async rejectEntries(userId, entryIds, note = null) {
+    return this.reviewEntries(userId, entryIds, 'rejected', note);
+  }
+
+  async reviewEntries(userId, entryIds, status, note = null) {
+    const updates = {
+      review_status: status,
+      is_reviewed: true,
+      reviewed_at: new Date().toISOString(),
+    };
+
+    const { data: pending, error: pendingError } = await supabase
+      .from('journal_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('review_status', 'pending')
+      .in('id', entryIds);
+
+    if (pendingError) throw pendingError;
+
+    // Reviewing moves entries into or out of the books, which closed periods and
+    // bank reconciliations holding the entries refuse
+    await periodService.assertWritable(userId, pending.map(entry => entry.entry_date), 'manual');
+    if (pending.length > 0) {
+      await bankReconciliationService.assertUnmatched(userId, pending.map(entry => entry.id));
+    }
+
+    const { data, error } = await supabase
+      .from('journal_entries')
+      .update(note ? { ...updates, review_note: note } : updates)
+      .eq('user_id', userId)
+      .eq('review_status', 'pending')
+      .in('id', entryIds)
+      .select();
+
+    if (error) throw error;
+
+    const reviewedIds = new Set(data.map(entry => entry.id));
+    const skipped = entryIds.filter(id => !reviewedIds.has(id));
+
+    const previous = new Map(pending.map(entry => [entry.id, entry]));
+    await auditService.recordMany(data.map(entry => ({
+      tableName: 'journal_entries',
+      recordId: entry.id,
+      action: 'update',
+      userId,
+      actorId: userId,
+      source: 'manual',
+      before: previous.get(entry.id) || null,
+      after: entry,
+    })));
+
+    logger.info('Journal entries reviewed', { userId, status, reviewed: data.length, skipped: skipped.length });
+
+    // Rejecting takes entries out of the ledger the lots are built from
+    if (status === 'rejected' && data.length > 0) {
+      await journalEntryService.refreshCostBasis(userId);
+    }
+
+    return { entries: data, skipped };
+  }
+
+  /**
+   * Correct a pending entry and approve it
+   * @param {string} userId
+   * @param {string} entryId
+   * @param {Object} changes - { narrative, entryDate, accountDebit, accountCredit, amount, currency } or { lines }
+   * @returns {Object} The approved entry with its lines
+   */
+  async editAndApprove(userId, entryId, changes) {
+    const { data: entry, error } = await supabase
+      .from('journal_entries')
+      .select('*, journal_entry_lines(*)')
+      .eq('id', entryId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!entry) {
+      throw new AppError('Journal entry not found', 404);
+    }
+    if (entry.review_status !== 'pending') {
+      throw new AppError(`Journal entry is already ${entry.review_status}`, 409);
+    }
+
+    // Neither the current nor the new date may sit in a closed period, and entries
+    // matched to bank transactions stay as the bank reconciliation matched them
+    await periodService.assertWritable(userId, [entry.entry_date, changes.entryDate], 'manual');
+    await bankReconciliationService.assertUnmatched(userId, [entry.id]);
+
+    const updates = {
+      review_status: 'approved',
+      is_reviewed: true,
+      reviewed_at: new Date().toISOString(),
+    };
+    if (changes.narrative !== undefined) {
+      updates.narrative = changes.narrative;
+    }
+    if (changes.entryDate !== undefined) {
+      updates.entry_date = changes.entryDate;
+    }
+
+    const touchesLines = ['lines', 'accountDebit', 'accountCredit', 'amount', 'currency']
+      .some(field => changes[field] !== undefined);
+
+    let lines = null;
+    if (touchesLines) {
+      lines = await this.buildEditedLines(userId, entry, changes);
+      const header = journalEntryService.summarizeEntryLines(lines);
+      Object.assign(updates, {
+        account_debit: header.accountDebit,
+        account_credit: header.accountCredit,
+        amount: header.amount,
+        currency: header.currency,
+        is_compound: header.isCompound,
+        usd_value: header.usdValue,
+      });
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('journal_entries')
+      .update(updates)
+      .eq('id', entryId)
+      .eq('review_status', 'pending')
+      .select()
+      .single();
+
+    if (updateError && updateError.code !== 'PGRST116') throw updateError;
+    if (!updated) {
+      throw new AppError('Journal entry was reviewed in the meantime', 409);
+    }
+
+    if (lines) {
+      const { error: deleteError } = await supabase
+        .from('journal_entry_lines')
+        .delete()
+        .eq('journal_entry_id', entryId);
+
+      if (deleteError) throw deleteError;
+
+      const { data: savedLines, error: linesError } = await supabase
+        .from('journal_entry_lines')
+        .insert(journalEntryService.buildLineRecords(entryId, userId, lines))
+        .select();
+
+      if (linesError) throw linesError;
+      updated.journal_entry_lines = savedLines;
+    } else {
+      updated.journal_entry_lines = entry.journal_entry_lines;
+    }
+
+    await auditService.record({
+      tableName: 'journal_entries',
+      recordId: entryId,
+      action: 'update',
+      userId,
+      actorId: userId,
+      source: 'manual',
+      before: entry,
+      after: updated,
+    });
+
+    logger.info('Journal entry edited and approved', { userId, entryId, linesChanged: !!lines });
+
+    await journalEntryService.refreshCostBasis(userId);
+    return updated;
+  }
+
+  /**
+   * Apply the edits to the lines of an entry, priced again and checked for balance
+   */
+  async buildEditedLines(userId, entry, changes) {
+    const edited = journalEntryService.applyEntryChanges(entry, changes);
+
+    const pricedAt = entry.transaction_date || entry.entry_date;
+    const lines = await journalEntryService.enhanceEntriesWithUSDValues(
+      journalEntryService.linkAccounts(
+        journalEntryService.normalizeEntryLines(edited),
+        await journalEntryService.getAccountFinder(userId),
+      ),
+      pricedAt,
+      userId,
+    );
+
+    const balance = journalEntryService.validateEntryBalance(lines);
+    if (!balance.balanced) {
+      throw new AppError(`Journal entry does not balance - ${balance.reasons.join('; ')}`, 400);
+    }
+    return lines;
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,317 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const chainRegistry = require('./chainRegistry');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const WALLET_SELECT = `
+  id, address, label, chain, is_active, created_at, updated_at,
+  entity:entities(id, name),
+  default_asset_account:accounts(id, code, name, currency)
+`;
+
+/**
+ * Wallet registry
+ * The wallets (and owning entities) that belong to a user's business. Ingestion
+ * and AI analysis resolve "our" addresses from here, so a transfer between two
+ * registered wallets is recognized as internal.
+ */
+class WalletService {
+  /**
+   * @param {string} userId
+   * @param {Object} filters - { entityId, activeOnly }
+   */
+  async listWallets(userId, { entityId = null, activeOnly = false } = {}) {
+    let query = supabase
+      .from('wallets')
+      .select(WALLET_SELECT)
+      .eq('user_id', userId)
+      .order('label', { ascending: true });
+
+    if (entityId) {
+      query = query.eq('entity_id', entityId);
+    }
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  async getWallet(userId, walletId) {
+    const { data, error } = await supabase
+      .from('wallets')
+      .select(WALLET_SELECT)
+      .eq('id', walletId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!data) {
+      throw new AppError('Wallet not found', 404);
+    }
+    return data;
+  }
+
+  /**
+   * Chains an address is registered on
+   * @param {string} address - Lowercase wallet address
+   * @returns {Array<string>} Chain keys
+   */
+  async getWalletChains(userId, address) {
+    const { data, error } = await supabase
+      .from('wallets')
+      .select('chain')
+      .eq('user_id', userId)
+      .eq('address', address);
+
+    if (error) throw error;
+    return (data || []).map(wallet => wallet.chain);
+  }
+
+  /**
+   * Lowercase addresses of the user's active wallets
+   * @returns {Array<string>}
+   */
+  async getOwnAddresses(userId) {
+    if (!userId) {
+      return [];
+    }
+
+    const wallets = await this.listWallets(userId, { activeOnly: true });
+    return [...new Set(wallets.map(wallet => wallet.address))];
+  }
+
+  /**
+   * Find the wallet a chat message refers to: an address in the message, a wallet
+   * label mentioned in it, or the only registered wallet
+   * @returns {Object|null} Registered wallet, { address } for an unregistered address, or null
+   */
+  async resolveWalletFromMessage(userId, message) {
+    const addressMatch = message.match(/0x[a-fA-F0-9]{40}(?![a-fA-F0-9])/);
+    const wallets = userId ? await this.listWallets(userId, { activeOnly: true }) : [];
+
+    if (addressMatch) {
+      const address = addressMatch[0].toLowerCase();
+      return wallets.find(wallet => wallet.address === address) || { address: addressMatch[0] };
+    }
+
+    const lowerMessage = message.toLowerCase();
+    const labelled = wallets
+      .filter(wallet => lowerMessage.includes(wallet.label.toLowerCase()))
+      .sort((a, b) => b.label.length - a.label.length);
+
+    if (labelled.length > 0) {
+      return labelled[0];
+    }
+
+    return wallets.length === 1 ? wallets[0] : null;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} wallet - { address, label, chain, entityId, defaultAssetAccountId }
+   */
+  async createWallet(userId, { address, label, chain, entityId, defaultAssetAccountId }) {
+    const record = await this.buildWalletRecord(userId, { address, label, chain, entityId, defaultAssetAccountId });
+
+    const { data, error } = await supabase
+      .from('wallets')
+      .insert({ user_id: userId, chain: chainRegistry.getDefaultChain().key, ...record })
+      .select(WALLET_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation
+        throw new AppError('This wallet is already registered', 409);
+      }
+      throw error;
+    }
+
+    logger.info('Wallet registered', { userId, walletId: data.id, address: data.address, chain: data.chain });
+    return data;
+  }
+
+  async updateWallet(userId, walletId, updates) {
+    await this.getWallet(userId, walletId);
+    const record = await this.buildWalletRecord(userId, updates);
+
+    const { data, error } = await supabase
+      .from('wallets')
+      .update(record)
+      .eq('id', walletId)
+      .eq('user_id', userId)
+      .select(WALLET_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation
+        throw new AppError('This wallet is already registered', 409);
+      }
+      throw error;
+    }
+
+    logger.info('Wallet updated', { userId, walletId, updates: Object.keys(record) });
+    return data;
+  }
+
+  async deleteWallet(userId, walletId) {
+    await this.getWallet(userId, walletId);
+
+    const { error } = await supabase
+      .from('wallets')
+      .delete()
+      .eq('id', walletId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    logger.info('Wallet removed', { userId, walletId });
+  }
+
+  /**
+   * Validate wallet fields and map them to columns (only the fields given)
+   */
+  async buildWalletRecord(userId, { address, label, chain, entityId, defaultAssetAccountId, isActive }) {
+    const record = {};
+
+    if (address !== undefined) {
+      if (!ADDRESS_PATTERN.test(address)) {
+        throw new AppError('Invalid wallet address format', 400);
+      }
+      record.address = address.toLowerCase();
+    }
+    if (label !== undefined) {
+      record.label = label.trim();
+    }
+    if (chain !== undefined) {
+      record.chain = chainRegistry.getChain(chain).key;
+    }
+    if (isActive !== undefined) {
+      record.is_active = isActive;
+    }
+
+    if (entityId !== undefined) {
+      if (entityId) {
+        await this.getEntity(userId, entityId);
+      }
+      record.entity_id = entityId || null;
+    }
+
+    if (defaultAssetAccountId !== undefined) {
+      if (defaultAssetAccountId) {
+        const { data: account, error } = await supabase
+          .from('accounts')
+          .select('id, account_type, is_active')
+          .eq('id', defaultAssetAccountId)
+          .eq('user_id', userId)
+          .single();
+
+        if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+        if (!account || !account.is_active) {
+          throw new AppError('Default asset account not found', 400);
+        }
+        if (account.account_type !== 'ASSET') {
+          throw new AppError('Default asset account must be an asset account', 400);
+        }
+      }
+      record.default_asset_account_id = defaultAssetAccountId || null;
+    }
+
+    return record;
+  }
+
+  async listEntities(userId) {
+    const { data, error } = await supabase
+      .from('entities')
+      .select('id, name, description, created_at, updated_at')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getEntity(userId, entityId) {
+    const { data, error } = await supabase
+      .from('entities')
+      .select('id, name, description, created_at, updated_at')
+      .eq('id', entityId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!data) {
+      throw new AppError('Entity not found', 404);
+    }
+    return data;
+  }
+
+  async createEntity(userId, { name, description = null }) {
+    const { data, error } = await supabase
+      .from('entities')
+      .insert({ user_id: userId, name: name.trim(), description })
+      .select('id, name, description, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation
+        throw new AppError('An entity with this name already exists', 409);
+      }
+      throw error;
+    }
+
+    logger.info('Entity created', { userId, entityId: data.id });
+    return data;
+  }
+
+  async updateEntity(userId, entityId, { name, description }) {
+    await this.getEntity(userId, entityId);
+
+    const { data, error } = await supabase
+      .from('entities')
+      .update({
+        ...(name !== undefined && { name: name.trim() }),
+        ...(description !== undefined && { description }),
+      })
+      .eq('id', entityId)
+      .eq('user_id', userId)
+      .select('id, name, description, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation
+        throw new AppError('An entity with this name already exists', 409);
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete an entity; its wallets stay registered without an owner
+   */
+  async deleteEntity(userId, entityId) {
+    await this.getEntity(userId, entityId);
+
+    const { error } = await supabase
+      .from('entities')
+      .delete()
+      .eq('id', entityId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    logger.info('Entity removed', { userId, entityId });
+  }
+}
+
+module.exports = new WalletService();
@@ -0,0 +1,457 @@
+const { createClient } = require('@supabase/supabase-js');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const blockscoutClient = require('./blockscoutClient');
+const walletService = require('./walletService');
+const chainRegistry = require('./chainRegistry');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const SYNC_STREAMS = ['transactions', 'token_transfers', 'internal_transactions'];
+// Pages fetched per stream in one run; the cursor keeps the rest for the next run
+const DEFAULT_MAX_PAGES = parseInt(process.env.WALLET_SYNC_MAX_PAGES) || 500;
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+function blockNumberOf(item) {
+  const blockNumber = parseInt(item.blockNumber);
+  return isNaN(blockNumber) ? null : blockNumber;
+}
+
+/**
+ * Wallet history sync
+ * Pages through the full Blockscout history of a wallet and stores every
+ * transaction in `transactions` (status 'pending'), one row per txid.
+ *
+ * Each stream of a wallet on a chain keeps a cursor in wallet_sync_cursors. A sweep walks the history
+ * newest first and stops at the block where the previous sweep started
+ * (`last_block`), so later runs only fetch new transactions. While a sweep is
+ * unfinished its next_page_params are saved after every page, so a run that
+ * stops (page limit, error, restart) resumes where it left off. Rows are keyed
+ * on txid, which makes re-running a sync safe.
+ */
+class WalletSyncService {
+  constructor() {
+    // Running syncs by `${userId}:${chain}:${address}`; one sync per wallet at a time
+    this.syncs = new Map();
+  }
+
+  normalizeAddress(address) {
+    if (!ADDRESS_PATTERN.test(address || '')) {
+      throw new AppError('Invalid wallet address format', 400);
+    }
+    return address.toLowerCase();
+  }
+
+  /**
+   * Chain to sync a wallet on: the given chain, else the chain the wallet is
+   * registered on, else the default chain for an unregistered address
+   * @param {string} address - Lowercase wallet address
+   * @returns {string} Chain key
+   */
+  async resolveChain(userId, address, chain = null) {
+    if (chain) {
+      return chainRegistry.getChain(chain).key;
+    }
+
+    const registered = [...new Set(await walletService.getWalletChains(userId, address))];
+    if (registered.length > 1) {
+      throw new AppError('Wallet is registered on several chains; pass the chain to sync', 400);
+    }
+    return chainRegistry.getChain(registered[0]).key;
+  }
+
+  /**
+   * Start syncing a wallet in the background
+   * @param {string} userId
+   * @param {string} address - Wallet address
+   * @param {Object} options - { chain, maxPages, onProgress } (the wallet's registered chain when chain is omitted)
+   * @returns {Object} { run, completion } - the created run and a promise of the finished run
+   */
+  async startSync(userId, address, options = {}) {
+    const normalizedAddress = this.normalizeAddress(address);
+    const chain = await this.resolveChain(userId, normalizedAddress, options.chain);
+    const key = `${userId}:${chain}:${normalizedAddress}`;
+
+    if (this.syncs.has(key)) {
+      throw new AppError('A sync is already running for this wallet', 409);
+    }
+    this.syncs.set(key, null);
+
+    let run;
+    try {
+      run = await this.createRun(userId, normalizedAddress, chain);
+    } catch (error) {
+      this.syncs.delete(key);
+      throw error;
+    }
+
+    const completion = this.performSync(run, options)
+      .catch((error) => {
+        logger.error('Wallet sync crashed', { runId: run.id, error: error.message });
+        return { ...run, status: 'failed', error: error.message };
+      })
+      .finally(() => this.syncs.delete(key));
+
+    this.syncs.set(key, completion);
+    return { run, completion };
+  }
+
+  /**
+   * Sync a wallet and wait for the run to finish
+   * @returns {Object} The finished run
+   */
+  async syncWallet(userId, address, options = {}) {
+    const { completion } = await this.startSync(userId, address, options);
+    return completion;
+  }
+
+  /**
+   * Sync every registered wallet and every wallet that has been synced before (nightly job)
+   * @returns {Array} Finished runs
+   */
+  async syncAll(options = {}) {
+    const { data, error } = await supabase
+      .from('wallet_sync_cursors')
+      .select('user_id, address, chain');
+
+    if (error) throw error;
+
+    const { data: registered, error: registryError } = await supabase
+      .from('wallets')
+      .select('user_id, address, chain')
+      .eq('is_active', true);
+
+    if (registryError) throw registryError;
+
+    const rows = [...data, ...registered];
+    const wallets = [...new Map(rows.map(row => [`${row.user_id}:${row.chain}:${row.address}`, row])).values()];
+    const runs = [];
+
+    for (const wallet of wallets) {
+      try {
+        runs.push(await this.syncWallet(wallet.user_id, wallet.address, { ...options, chain: wallet.chain }));
+      } catch (syncError) {
+        logger.warn('Skipping wallet sync', {
+          userId: wallet.user_id,
+          address: wallet.address,
+          chain: wallet.chain,
+          error: syncError.message,
+        });
+      }
+    }
+
+    return runs;
+  }
+
+  async performSync(run, { maxPages = DEFAULT_MAX_PAGES, onProgress } = {}) {
+    const client = blockscoutClient.forChain(run.chain);
+    const progress = {
+      currentStream: null,
+      pagesFetched: 0,
+      itemsFetched: 0,
+      transactionsInserted: 0,
+      transactionsMerged: 0,
+      transactionsSkipped: 0,
+    };
+
+    logger.info('Starting wallet sync', { runId: run.id, userId: run.user_id, address: run.address, chain: run.chain, maxPages });
+
+    try {
+      let complete = true;
+      for (const stream of SYNC_STREAMS) {
+        progress.currentStream = stream;
+        const streamComplete = await this.syncStream(client, run, stream, progress, { maxPages, onProgress });
+        complete = complete && streamComplete;
+      }
+
+      const finished = await this.finishRun(run.id, complete ? 'completed' : 'partial', progress);
+      logger.info('Wallet sync finished', { runId: run.id, status: finished.status, ...progress });
+      return finished;
+    } catch (error) {
+      logger.error('Wallet sync failed', { runId: run.id, address: run.address, error: error.message });
+      return this.finishRun(run.id, 'failed', progress, error.message);
+    }
+  }
+
+  /**
+   * Continue (or start) the sweep of one stream
+   * @param {BlockscoutClient} client - Explorer client of the run's chain
+   * @returns {boolean} Whether the stream is fully synced
+   */
+  async syncStream(client, run, stream, progress, { maxPages, onProgress }) {
+    const cursor = await this.getCursor(run.user_id, run.address, run.chain, stream);
+
+    const sweep = cursor.next_page_params
+      ? { floor: cursor.sweep_floor_block, high: cursor.sweep_high_block, pageParams: cursor.next_page_params }
+      : { floor: cursor.last_block, high: null, pageParams: null };
+    let itemsSynced = cursor.items_synced || 0;
+
+    for (let page = 0; page < maxPages; page++) {
+      const { items, nextPageParams } = await client.getAddressHistoryPage(run.address, stream, sweep.pageParams);
+
+      // Pending transactions have no block yet; they are picked up once mined
+      const minedItems = items.filter(item => blockNumberOf(item) !== null);
+      const newItems = sweep.floor === null
+        ? minedItems
+        : minedItems.filter(item => blockNumberOf(item) >= sweep.floor);
+      const reachedFloor = newItems.length < minedItems.length;
+
+      const stored = await this.storeTransactions(client, run.user_id, run.address, stream, newItems);
+
+      newItems.forEach((item) => {
+        sweep.high = Math.max(sweep.high || 0, blockNumberOf(item));
+      });
+      itemsSynced += newItems.length;
+
+      progress.pagesFetched++;
+      progress.itemsFetched += newItems.length;
+      progress.transactionsInserted += stored.inserted;
+      progress.transactionsMerged += stored.merged;
+      progress.transactionsSkipped += stored.skipped;
+
+      const done = reachedFloor || !nextPageParams;
+      const cursorUpdate = done
+        ? {
+          last_block: sweep.high === null ? cursor.last_block : Math.max(cursor.last_block || 0, sweep.high),
+          sweep_floor_block: null,
+          sweep_high_block: null,
+          next_page_params: null,
+          last_synced_at: new Date().toISOString(),
+        }
+        : {
+          sweep_floor_block: sweep.floor,
+          sweep_high_block: sweep.high,
+          next_page_params: nextPageParams,
+        };
+      await this.saveCursor(cursor.id, { ...cursorUpdate, items_synced: itemsSynced });
+
+      await this.updateRun(run.id, progress);
+      if (onProgress) {
+        onProgress({ runId: run.id, ...progress });
+      }
+
+      if (done) {
+        return true;
+      }
+      sweep.pageParams = nextPageParams;
+    }
+
+    logger.info('Wallet sync page limit reached, cursor saved', { runId: run.id, stream, maxPages });
+    return false;
+  }
+
+  /**
+   * Store a page of history items, one transactions row per txid
+   * Known txids only gain the data of a stream they have not been seen in yet.
+   * @returns {Object} { inserted, merged, skipped }
+   */
+  async storeTransactions(client, userId, address, stream, items) {
+    const result = { inserted: 0, merged: 0, skipped: 0 };
+    if (items.length === 0) {
+      return result;
+    }
+
+    const merged = client.deduplicateTransactions(items.map(item => ({ ...item, source: stream })));
+    // Transfers to the user's other registered wallets are internal, not sends
+    const ownAddresses = await walletService.getOwnAddresses(userId);
+    const transactions = await client.categorizeTransactions(merged, [address, ...ownAddresses]);
+
+    const { data: existingRows, error } = await supabase
+      .from('transactions')
+      .select('id, txid, user_id, blockchain_data')
+      .in('txid', transactions.map(tx => tx.hash));
+
+    if (error) throw error;
+
+    const existingByTxid = new Map(existingRows.map(row => [row.txid, row]));
+    const fetchedAt = new Date().toISOString();
+
+    const newRows = transactions
+      .filter(tx => !existingByTxid.has(tx.hash))
+      .map(tx => ({
+        user_id: userId,
+        txid: tx.hash,
+        description: `Wallet sync: ${tx.category}`,
+        blockchain_data: { ...tx, syncStreams: [stream] },
+        status: 'pending',
+        fetched_at: fetchedAt,
+      }));
+
+    if (newRows.length > 0) {
+      // ignoreDuplicates keeps a concurrent insert of the same txid from failing the page
+      const { data: inserted, error: insertError } = await supabase
+        .from('transactions')
+        .upsert(newRows, { onConflict: 'txid', ignoreDuplicates: true })
+        .select('id');
+
+      if (insertError) throw insertError;
+      result.inserted = inserted.length;
+      result.skipped += newRows.length - inserted.length;
+    }
+
+    for (const tx of transactions) {
+      const existing = existingByTxid.get(tx.hash);
+      if (!existing) {
+        continue;
+      }
+
+      const syncStreams = existing.blockchain_data?.syncStreams || [];
+      if (existing.user_id !== userId || syncStreams.includes(stream)) {
+        result.skipped++;
+        continue;
+      }
+
+      const [combined] = client.deduplicateTransactions([existing.blockchain_data, tx]);
+      const { error: updateError } = await supabase
+        .from('transactions')
+        .update({
+          blockchain_data: { ...combined, syncStreams: [...syncStreams, stream] },
+          fetched_at: fetchedAt,
+        })
+        .eq('id', existing.id);
+
+      if (updateError) throw updateError;
+      result.merged++;
+    }
+
+    return result;
+  }
+
+  async getCursor(userId, address, chain, stream) {
+    const { data, error } = await supabase
+      .from('wallet_sync_cursors')
+      .upsert({ user_id: userId, address, chain, stream }, { onConflict: 'user_id,address,chain,stream', ignoreDuplicates: true })
+      .select('*');
+
+    if (error) throw error;
+    if (data && data.length > 0) {
+      return data[0];
+    }
+
+    // The cursor already existed, so the upsert returned nothing
+    const { data: cursor, error: selectError } = await supabase
+      .from('wallet_sync_cursors')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('address', address)
+      .eq('chain', chain)
+      .eq('stream', stream)
+      .single();
+
+    if (selectError) throw selectError;
+    return cursor;
+  }
+
+  async saveCursor(cursorId, updates) {
+    const { error } = await supabase
+      .from('wallet_sync_cursors')
+      .update(updates)
+      .eq('id', cursorId);
+
+    if (error) throw error;
+  }
+
+  async createRun(userId, address, chain) {
+    const { data, error } = await supabase
+      .from('wallet_sync_runs')
+      .insert({ user_id: userId, address, chain, status: 'running' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateRun(runId, progress, updates = {}) {
+    const { data, error } = await supabase
+      .from('wallet_sync_runs')
+      .update({
+        current_stream: progress.currentStream,
+        pages_fetched: progress.pagesFetched,
+        items_fetched: progress.itemsFetched,
+        transactions_inserted: progress.transactionsInserted,
+        transactions_merged: progress.transactionsMerged,
+        transactions_skipped: progress.transactionsSkipped,
+        ...updates,
+      })
+      .eq('id', runId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  finishRun(runId, status, progress, errorMessage = null) {
+    return this.updateRun(runId, { ...progress, currentStream: null }, {
+      status,
+      error: errorMessage,
+      finished_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * A sync run with its progress
+   */
+  async getRun(userId, runId) {
+    const { data, error } = await supabase
+      .from('wallet_sync_runs')
+      .select('*')
+      .eq('id', runId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows returned
+    if (!data) {
+      throw new AppError('Sync run not found', 404);
+    }
+    return data;
+  }
+
+  /**
+   * Cursors and recent runs of a wallet on a chain (its registered chain when omitted)
+   */
+  async getSyncStatus(userId, address, chain = null) {
+    const normalizedAddress = this.normalizeAddress(address);
+    const chainKey = await this.resolveChain(userId, normalizedAddress, chain);
+
+    const [cursors, runs] = await Promise.all([
+      supabase
+        .from('wallet_sync_cursors')
+        .select('stream, last_block, next_page_params, items_synced, last_synced_at')
+        .eq('user_id', userId)
+        .eq('address', normalizedAddress)
+        .eq('chain', chainKey),
+      supabase
+        .from('wallet_sync_runs')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('address', normalizedAddress)
+        .eq('chain', chainKey)
+        .order('started_at', { ascending: false })
+        .limit(10),
+    ]);
+
+    if (cursors.error) throw cursors.error;
+    if (runs.error) throw runs.error;
+
+    return {
+      address: normalizedAddress,
+      chain: chainKey,
+      running: this.syncs.has(`${userId}:${chainKey}:${normalizedAddress}`),
+      cursors: cursors.data.map(cursor => ({
+        stream: cursor.stream,
+        lastBlock: cursor.last_block,
+        sweepInProgress: Boolean(cursor.next_page_params),
+        itemsSynced: cursor.items_synced,
+        lastSyncedAt: cursor.last_synced_at,
+      })),
+      runs: runs.data,
+    };
+  }
+}
+
+module.exports = new WalletSyncService();
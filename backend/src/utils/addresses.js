@@ -0,0 +1,18 @@
+/**
+ * Normalize one address or a list of addresses into a Set of lowercase addresses,
+ * so "is this ours?" checks work the same for a single wallet and a registry
+ * @param {string|Array<string>|Set<string>|null} addresses
+ * @returns {Set<string>}
+ */
+function toAddressSet(addresses) {
+  if (!addresses) {
+    return new Set();
+  }
+
+  const list = typeof addresses === 'string' ? [addresses] : [...addresses];
+  return new Set(list.filter(Boolean).map(address => address.toLowerCase()));
+}
+
+module.exports = {
+  toAddressSet,
+};
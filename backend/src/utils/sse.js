@@ -0,0 +1,55 @@
+// Comment line sent while a stream is idle, so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Turn a response into a server-sent events stream
+ * @param {Object} req - Express request (closing it closes the stream)
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), close(), onClose(callback), isClosed() }
+ */
+function openEventStream(req, res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const closeCallbacks = [];
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const markClosed = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    closeCallbacks.forEach(callback => callback());
+  };
+
+  req.on('close', markClosed);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      markClosed();
+      res.end();
+    },
+    onClose(callback) {
+      closeCallbacks.push(callback);
+    },
+    isClosed() {
+      return closed;
+    },
+  };
+}
+
+module.exports = {
+  openEventStream,
+};
@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+const walletSyncService = require('./src/services/walletSyncService');
+
+// Nightly job: continue the history sync of every wallet synced before.
+// Runs pick up from each wallet's saved cursor, so only new transactions are fetched.
+async function main() {
+  const maxPages = process.argv[2] ? parseInt(process.argv[2]) : undefined;
+
+  try {
+    console.log('🔄 Syncing wallet histories...');
+    const runs = await walletSyncService.syncAll({ maxPages });
+
+    runs.forEach((run) => {
+      console.log(`   • ${run.address}: ${run.status} - ${run.transactions_inserted} new, ${run.transactions_merged} merged, ${run.transactions_skipped} already stored (${run.pages_fetched} pages)`);
+    });
+
+    const failed = runs.filter(run => run.status === 'failed');
+    console.log(`\n✅ Synced ${runs.length - failed.length}/${runs.length} wallets`);
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Wallet sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,25 @@
+// Query builder methods the services chain on a Supabase client
+const QUERY_METHODS = [
+  'select', 'insert', 'upsert', 'update', 'delete',
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is', 'in', 'ilike',
+  'order', 'range', 'limit', 'single',
+];
+
+/**
+ * Chainable query builder resolving to `result` whichever method ends the chain;
+ * records the calls made on it in `calls`
+ * @param {Object} result - What awaiting the query returns, e.g. { data, error }
+ */
+const mockQuery = (result) => {
+  const builder = { calls: [] };
+  QUERY_METHODS.forEach((method) => {
+    builder[method] = jest.fn((...args) => {
+      builder.calls.push([method, ...args]);
+      return builder;
+    });
+  });
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+module.exports = { mockQuery };
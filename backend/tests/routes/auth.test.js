@@ -2,6 +2,9 @@ const request = require('supertest');
 
 // Mock Supabase before importing the app
 jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  ensureChart: jest.fn(),
+}));
 
 const { createClient } = require('@supabase/supabase-js');
 
@@ -0,0 +1,414 @@
+const request = require('supertest');
+
+// Mock Supabase and the account service before importing the routes
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+  indexChart: chart => jest.requireActual('../../src/services/accountService').indexChart(chart),
+  rollUp: (...args) => jest.requireActual('../../src/services/accountService').rollUp(...args),
+}));
+jest.mock('../../src/services/ftsoService', () => ({}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Chainable query builder that resolves to the configured result when awaited.
+// Queued results are used first, one per awaited query.
+let mockQueryResult = { data: [], error: null };
+let mockQueuedResults = [];
+const mockQueryBuilder = {
+  select: jest.fn(() => mockQueryBuilder),
+  eq: jest.fn(() => mockQueryBuilder),
+  gte: jest.fn(() => mockQueryBuilder),
+  lte: jest.fn(() => mockQueryBuilder),
+  in: jest.fn(() => mockQueryBuilder),
+  is: jest.fn(() => mockQueryBuilder),
+  ilike: jest.fn(() => mockQueryBuilder),
+  order: jest.fn(() => mockQueryBuilder),
+  range: jest.fn(() => mockQueryBuilder),
+  then: (resolve, reject) => Promise.resolve(
+    mockQueuedResults.length > 0 ? mockQueuedResults.shift() : mockQueryResult,
+  ).then(resolve, reject),
+};
+
+const mockSupabaseClient = {
+  from: jest.fn(() => mockQueryBuilder),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const express = require('express');
+const accountService = require('../../src/services/accountService');
+const reportRoutes = require('../../src/routes/reports');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+// Create test app with a stubbed authenticated user
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'test-user-id' };
+  next();
+});
+app.use('/api/reports', reportRoutes);
+app.use(errorHandler);
+
+const chartOfAccounts = [
+  { id: 'acc-1805', code: '1805', name: 'Digital Assets - USDC', account_type: 'ASSET', sort_order: 10, account_categories: { name: 'Digital Assets' } },
+  { id: 'acc-3001', code: '3001', name: 'Share Capital', account_type: 'EQUITY', sort_order: 20, account_categories: { name: 'Equity' } },
+  { id: 'acc-4002', code: '4002', name: 'Staking Revenue', account_type: 'REVENUE', sort_order: 25, account_categories: { code: '4000', name: 'Revenue' } },
+  { id: 'acc-5003', code: '5003', name: 'Software and Technology', account_type: 'EXPENSE', sub_type: 'OPERATING_EXPENSE', sort_order: 28, account_categories: { code: '5000', name: 'Operating Expenses' } },
+  { id: 'acc-6001', code: '6001', name: 'Transaction Fees', account_type: 'EXPENSE', sub_type: 'FINANCIAL_EXPENSE', sort_order: 30, account_categories: { code: '6000', name: 'Financial Expenses' } },
+];
+
+describe('Report Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQueuedResults = [];
+    accountService.getChartOfAccounts.mockResolvedValue(chartOfAccounts);
+  });
+
+  describe('GET /api/reports/balance-sheet', () => {
+    it('should classify accounts by their type in the chart and list the others as unclassified', async () => {
+      mockQueryResult = {
+        data: [
+          {
+            id: 'entry-1',
+            entry_date: '2025-05-01',
+            journal_entry_lines: [
+              // Booked before the account was renamed
+              { line_number: 1, account_id: 'acc-1805', account_name: 'USDC Wallet', entry_type: 'debit', amount: '1000', currency: 'USDC' },
+              { line_number: 2, account_id: 'acc-3001', account_name: 'Share Capital', entry_type: 'credit', amount: '1000', currency: 'USDC' },
+            ],
+          },
+          {
+            id: 'entry-2',
+            entry_date: '2025-05-02',
+            account_debit: 'Consulting Fee Income',
+            account_credit: 'Digital Assets - USDC',
+            amount: '5',
+            currency: 'USDC',
+          },
+        ],
+        error: null,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/balance-sheet')
+        .query({ date: '2025-05-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.assets).toEqual([{ account: 'Digital Assets - USDC', balance: 995, currency: 'USDC' }]);
+      expect(response.body.equity).toEqual([{ account: 'Share Capital', balance: 1000, currency: 'USDC' }]);
+      expect(response.body.unclassified).toEqual([{ account: 'Consulting Fee Income', balance: 5, currency: 'USDC' }]);
+    });
+  });
+
+  describe('GET /api/reports/cash-flow', () => {
+    it('should classify lines by the type of the accounts in the chart', async () => {
+      accountService.getChartOfAccounts.mockResolvedValue([
+        ...chartOfAccounts.map(account => (account.code === '1805' ? { ...account, sub_type: 'DIGITAL_ASSET' } : account)),
+        { id: 'acc-1002', code: '1002', name: 'Bank Account - Operating', account_type: 'ASSET', sub_type: 'CURRENT_ASSET' },
+        { id: 'acc-2501', code: '2501', name: 'Term Financing', account_type: 'LIABILITY', sub_type: 'NON_CURRENT_LIABILITY' },
+      ]);
+      const pair = (id, debit, credit, amount, currency) => ({
+        id,
+        entry_date: '2025-03-10',
+        account_debit: debit,
+        account_credit: credit,
+        amount: String(amount),
+        currency,
+      });
+      mockQueryResult = {
+        data: [
+          pair('e1', 'Digital Assets - USDC', 'Staking Revenue', 100, 'USDC'),
+          pair('e2', 'Bank Account - Operating', 'Term Financing', 5000, 'USD'),
+          pair('e3', 'Digital Assets - USDC', 'Bank Account - Operating', 1000, 'USD'),
+        ],
+        error: null,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/cash-flow')
+        .query({ start: '2025-03-01', end: '2025-03-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.operating.map(item => item.account)).toEqual(['Digital Assets - USDC', 'Staking Revenue']);
+      expect(response.body.financing.map(item => item.account)).toEqual(['Bank Account - Operating', 'Term Financing']);
+      expect(response.body.investing.map(item => item.account)).toEqual(['Digital Assets - USDC', 'Bank Account - Operating']);
+    });
+  });
+
+  describe('GET /api/reports/trial-balance', () => {
+    it('should total debits and credits per account, per currency and in USD', async () => {
+      mockQueryResult = {
+        data: [
+          {
+            id: 'entry-1',
+            entry_date: '2025-05-01',
+            account_debit: 'Digital Assets - USDC',
+            account_credit: 'Share Capital',
+            amount: '1000',
+            currency: 'USDC',
+            usd_value: '1000',
+          },
+          {
+            id: 'entry-2',
+            entry_date: '2025-05-02',
+            journal_entry_lines: [
+              { line_number: 1, account_name: 'Transaction Fees', entry_type: 'debit', amount: '2', currency: 'USDC', usd_value: '2' },
+              { line_number: 2, account_name: 'Digital Assets - USDC', entry_type: 'credit', amount: '2', currency: 'USDC', usd_value: '2' },
+            ],
+          },
+        ],
+        error: null,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/trial-balance')
+        .query({ date: '2025-05-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.isBalanced).toBe(true);
+      expect(response.body.totals.byCurrency.USDC).toEqual(expect.objectContaining({ debit: 1002, credit: 1002, balanced: true }));
+      expect(response.body.totals.usd).toEqual(expect.objectContaining({ debit: 1002, credit: 1002, balanced: true }));
+
+      const usdc = response.body.accounts.find(row => row.account === 'Digital Assets - USDC');
+      expect(usdc).toEqual(expect.objectContaining({ code: '1805', debit: 1000, credit: 2, balance: 998, usdBalance: 998 }));
+      expect(response.body.accounts.map(row => row.code)).toEqual(['1805', '3001', '4002', '5003', '6001']);
+    });
+
+    it('should roll sub-account balances up into their parent account', async () => {
+      accountService.getChartOfAccounts.mockResolvedValue([
+        { id: 'acc-1800', code: '1800', name: 'Digital Assets', account_type: 'ASSET', sort_order: 5 },
+        { ...chartOfAccounts[0], parent_account_id: 'acc-1800' },
+        { ...chartOfAccounts[0], id: 'acc-1805.1', code: '1805.1', name: 'USDC - Cold Wallet', parent_account_id: 'acc-1805' },
+        ...chartOfAccounts.slice(1),
+      ]);
+      mockQueryResult = {
+        data: [{
+          id: 'entry-1',
+          entry_date: '2025-05-01',
+          journal_entry_lines: [
+            { line_number: 1, account_id: 'acc-1805', account_name: 'Digital Assets - USDC', entry_type: 'debit', amount: '600', currency: 'USDC', usd_value: '600' },
+            { line_number: 2, account_id: 'acc-1805.1', account_name: 'USDC - Cold Wallet', entry_type: 'debit', amount: '400', currency: 'USDC', usd_value: '400' },
+            { line_number: 3, account_id: 'acc-3001', account_name: 'Share Capital', entry_type: 'credit', amount: '1000', currency: 'USDC', usd_value: '1000' },
+          ],
+        }],
+        error: null,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/trial-balance')
+        .query({ date: '2025-05-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tree.map(node => node.code)).toEqual(['1800', '3001']);
+
+      const [digitalAssets] = response.body.tree;
+      expect(digitalAssets).toEqual(expect.objectContaining({
+        level: 0,
+        own: null,
+        usdBalance: 1000,
+        byCurrency: { USDC: { debit: 1000, credit: 0, balance: 1000 } },
+      }));
+
+      const [usdc] = digitalAssets.children;
+      expect(usdc).toEqual(expect.objectContaining({ code: '1805', level: 1, usdDebit: 1000 }));
+      expect(usdc.own).toEqual(expect.objectContaining({ usdDebit: 600 }));
+      expect(usdc.children).toEqual([expect.objectContaining({ code: '1805.1', level: 2, usdDebit: 400, children: [] })]);
+    });
+
+    it('should flag a ledger that does not balance', async () => {
+      mockQueryResult = {
+        data: [{
+          id: 'entry-1',
+          entry_date: '2025-05-01',
+          journal_entry_lines: [
+            { line_number: 1, account_name: 'Transaction Fees', entry_type: 'debit', amount: '5', currency: 'USDC', usd_value: null },
+          ],
+        }],
+        error: null,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/trial-balance')
+        .query({ date: '2025-05-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.isBalanced).toBe(false);
+      expect(response.body.totals.byCurrency.USDC.difference).toBe(5);
+      expect(response.body.totals.unpricedLines).toBe(1);
+    });
+
+    it('should leave out entries pending review only when asked to', async () => {
+      mockQueryResult = { data: [], error: null };
+
+      await request(app).get('/api/reports/trial-balance').query({ date: '2025-05-31' });
+      expect(mockQueryBuilder.in).toHaveBeenLastCalledWith('review_status', ['approved', 'pending']);
+
+      await request(app).get('/api/reports/trial-balance').query({ date: '2025-05-31', includeUnreviewed: 'false' });
+      expect(mockQueryBuilder.in).toHaveBeenLastCalledWith('review_status', ['approved']);
+    });
+
+    it('should require a date', async () => {
+      const response = await request(app).get('/api/reports/trial-balance');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/reports/income-statement', () => {
+    const pair = (id, debit, credit, amount, currency, usdValue) => ({
+      id,
+      entry_date: '2025-03-10',
+      account_debit: debit,
+      account_credit: credit,
+      amount: String(amount),
+      currency,
+      usd_value: usdValue === null ? null : String(usdValue),
+    });
+
+    it('should group revenue and expenses by category with gross and net result', async () => {
+      mockQueryResult = {
+        data: [
+          pair('e1', 'Digital Assets - USDC', 'Staking Revenue', 100, 'USDC', 100),
+          pair('e2', 'Software and Technology', 'Digital Assets - USDC', 30, 'USDC', 30),
+          pair('e3', 'Transaction Fees', 'Digital Assets - Ethereum', 0.001, 'ETH', 3),
+        ],
+        error: null,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-03-01', end: '2025-03-31' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.comparisonPeriod).toBeNull();
+      expect(response.body.revenue.categories[0]).toEqual(expect.objectContaining({ code: '4000', name: 'Revenue' }));
+      expect(response.body.revenue.totals.current).toEqual({ usdAmount: 100, byCurrency: { USDC: 100 } });
+      expect(response.body.expenses.categories.map(category => category.code)).toEqual(['5000', '6000']);
+      expect(response.body.grossResult.current.usdAmount).toBe(70);
+      expect(response.body.netResult.current).toEqual({ usdAmount: 67, byCurrency: { USDC: 70, ETH: -0.001 } });
+    });
+
+    it('should compare against the previous month with variance columns', async () => {
+      mockQueuedResults = [
+        { data: [pair('e1', 'Digital Assets - USDC', 'Staking Revenue', 150, 'USDC', 150)], error: null },
+        { data: [pair('e0', 'Digital Assets - USDC', 'Staking Revenue', 100, 'USDC', 100)], error: null },
+      ];
+
+      const response = await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-03-01', end: '2025-03-31', compare: 'month' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.comparisonPeriod).toEqual({ start: '2025-02-01', end: '2025-02-28', basis: 'month' });
+
+      const staking = response.body.revenue.categories[0].accounts[0];
+      expect(staking).toEqual(expect.objectContaining({
+        account: 'Staking Revenue',
+        amount: 150,
+        prior: { amount: 100, usdAmount: 100 },
+        variance: { amount: 50, percent: 50, usdAmount: 50 },
+      }));
+      expect(response.body.netResult.variance).toEqual({ usdAmount: 50, byCurrency: { USDC: 50 }, usdPercent: 50 });
+    });
+
+    it('should keep month-end days in the comparison period', async () => {
+      mockQueryResult = { data: [], error: null };
+
+      const quarter = await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-04-01', end: '2025-06-30', compare: 'quarter' });
+      expect(quarter.body.comparisonPeriod).toEqual({ start: '2025-01-01', end: '2025-03-31', basis: 'quarter' });
+
+      const month = await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-02-01', end: '2025-02-28', compare: 'month' });
+      expect(month.body.comparisonPeriod).toEqual({ start: '2025-01-01', end: '2025-01-31', basis: 'month' });
+    });
+
+    it('should roll sub-account results up into their parent with the comparison', async () => {
+      accountService.getChartOfAccounts.mockResolvedValue([
+        ...chartOfAccounts,
+        { ...chartOfAccounts[2], id: 'acc-4002.1', code: '4002.1', name: 'Staking Revenue - ETH', parent_account_id: 'acc-4002' },
+      ]);
+      mockQueuedResults = [
+        {
+          data: [
+            pair('e1', 'Digital Assets - USDC', 'Staking Revenue', 150, 'USDC', 150),
+            pair('e2', 'Digital Assets - Ethereum', 'Staking Revenue - ETH', 0.1, 'ETH', 300),
+          ],
+          error: null,
+        },
+        { data: [pair('e0', 'Digital Assets - USDC', 'Staking Revenue', 100, 'USDC', 100)], error: null },
+      ];
+
+      const response = await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-03-01', end: '2025-03-31', compare: 'month' });
+
+      expect(response.status).toBe(200);
+      const [staking] = response.body.revenue.tree;
+      expect(staking).toEqual(expect.objectContaining({
+        code: '4002',
+        current: { usdAmount: 450, byCurrency: { USDC: 150, ETH: 0.1 } },
+        prior: { usdAmount: 100, byCurrency: { USDC: 100 } },
+      }));
+      expect(staking.own.current).toEqual({ usdAmount: 150, byCurrency: { USDC: 150 } });
+      expect(staking.children).toEqual([expect.objectContaining({
+        code: '4002.1',
+        current: { usdAmount: 300, byCurrency: { ETH: 0.1 } },
+      })]);
+      expect(response.body.expenses.tree).toEqual([]);
+    });
+
+    it('should leave out reversed entries and their reversals when netting reversals', async () => {
+      mockQueryResult = { data: [], error: null };
+
+      await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-03-01', end: '2025-03-31' });
+      expect(mockQueryBuilder.is).not.toHaveBeenCalled();
+
+      await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-03-01', end: '2025-03-31', netOfReversals: 'true' });
+      expect(mockQueryBuilder.is).toHaveBeenCalledWith('reverses_entry_id', null);
+      expect(mockQueryBuilder.is).toHaveBeenCalledWith('reversed_by_entry_id', null);
+    });
+
+    it('should reject an unknown comparison basis', async () => {
+      const response = await request(app)
+        .get('/api/reports/income-statement')
+        .query({ start: '2025-03-01', end: '2025-03-31', compare: 'week' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/reports/journal-entries', () => {
+    it('should filter on the lines so compound and multi-currency entries are found', async () => {
+      const lines = [
+        { line_number: 1, account_name: 'Digital Assets - USDC', entry_type: 'debit', amount: '2500', currency: 'USDC' },
+        { line_number: 2, account_name: 'Currency Trading', entry_type: 'credit', amount: '2500', currency: 'USDC' },
+        { line_number: 3, account_name: 'Currency Trading', entry_type: 'debit', amount: '1', currency: 'ETH' },
+        { line_number: 4, account_name: 'Digital Assets - Ethereum', entry_type: 'credit', amount: '1', currency: 'ETH' },
+      ];
+      mockQueryResult = {
+        data: [{ id: 'swap-1', is_compound: true, currency: null, journal_entry_lines: lines, matched_lines: [{ id: 'line-4' }] }],
+        error: null,
+        count: 1,
+      };
+
+      const response = await request(app)
+        .get('/api/reports/journal-entries?account=Ethereum&currency=ETH')
+        .expect(200);
+
+      expect(mockQueryBuilder.select.mock.calls[0][0]).toContain('matched_lines:journal_entry_lines!inner(id)');
+      expect(mockQueryBuilder.ilike).toHaveBeenCalledWith('matched_lines.account_name', '%Ethereum%');
+      expect(mockQueryBuilder.eq).toHaveBeenCalledWith('matched_lines.currency', 'ETH');
+      expect(mockQueryBuilder.eq).not.toHaveBeenCalledWith('currency', 'ETH');
+      expect(response.body.entries).toEqual([{ id: 'swap-1', is_compound: true, currency: null, journal_entry_lines: lines }]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+
+// Mock Supabase and the AI and explorer clients before importing the routes
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/aiClients', () => ({}));
+jest.mock('../../src/services/blockscoutClient', () => ({}));
+jest.mock('../../src/services/ftsoService', () => ({}));
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const express = require('express');
+const { mockQuery } = require('../helpers/mockQuery');
+const journalEntryService = require('../../src/services/journalEntryService');
+const periodService = require('../../src/services/periodService');
+const bankReconciliationService = require('../../src/services/bankReconciliationService');
+const reviewService = require('../../src/services/reviewService');
+const transactionRoutes = require('../../src/routes/transactions');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+// Create test app with a stubbed authenticated user
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'test-user-id' };
+  next();
+});
+app.use('/api/transactions', transactionRoutes);
+app.use(errorHandler);
+
+const TX_ID = '11111111-1111-4111-8111-111111111111';
+const ENTRY_ID = '22222222-2222-4222-8222-222222222222';
+
+const pendingEntry = {
+  id: ENTRY_ID,
+  transaction_id: TX_ID,
+  review_status: 'pending',
+  is_compound: false,
+  entry_date: '2025-05-01',
+  transaction_date: '2025-05-01T10:00:00Z',
+  account_debit: 'Transaction Fees',
+  account_credit: 'Digital Assets - Ethereum',
+  amount: '0.01',
+  currency: 'ETH',
+  usd_value: '25.00',
+  usd_rate: '2500',
+  journal_entry_lines: [
+    { id: 'line-1', line_number: 1, account_name: 'Transaction Fees', entry_type: 'debit', amount: '0.01', currency: 'ETH', usd_value: '25.00', usd_rate: '2500' },
+    { id: 'line-2', line_number: 2, account_name: 'Digital Assets - Ethereum', entry_type: 'credit', amount: '0.01', currency: 'ETH', usd_value: '25.00', usd_rate: '2500' },
+  ],
+};
+
+// Lines of the entry at the new amount, priced again
+const editedLines = [
+  { account: 'Transaction Fees', type: 'debit', amount: 0.02, currency: 'ETH', usdValue: 60, ftsoPrice: 3000, ftsoSource: 'price_history' },
+  { account: 'Digital Assets - Ethereum', type: 'credit', amount: 0.02, currency: 'ETH', usdValue: 60, ftsoPrice: 3000, ftsoSource: 'price_history' },
+];
+
+describe('Transaction Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(periodService, 'assertWritable').mockResolvedValue();
+    jest.spyOn(bankReconciliationService, 'assertUnmatched').mockResolvedValue();
+    jest.spyOn(reviewService, 'buildEditedLines').mockResolvedValue(editedLines);
+    jest.spyOn(journalEntryService, 'refreshCostBasis').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /api/transactions/:id/journal-entries/:entryId', () => {
+    it('should reprice the lines and the header when the amount changes', async () => {
+      const header = mockQuery({ data: { ...pendingEntry, amount: 0.02, usd_value: 60 }, error: null });
+      const debit = mockQuery({ data: null, error: null });
+      const credit = mockQuery({ data: null, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: { id: TX_ID }, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: pendingEntry, error: null }))
+        .mockReturnValueOnce(header)
+        .mockReturnValueOnce(debit)
+        .mockReturnValueOnce(credit);
+
+      const response = await request(app)
+        .put(`/api/transactions/${TX_ID}/journal-entries/${ENTRY_ID}`)
+        .send({ amount: 0.02 })
+        .expect(200);
+
+      expect(reviewService.buildEditedLines).toHaveBeenCalledWith('test-user-id', pendingEntry, expect.objectContaining({ amount: 0.02 }));
+      expect(header.update).toHaveBeenCalledWith(expect.objectContaining({ amount: 0.02, usd_value: 60, usd_rate: 3000 }));
+      expect(debit.update).toHaveBeenCalledWith(expect.objectContaining({ amount: 0.02, usd_value: 60, usd_rate: 3000 }));
+      expect(credit.eq).toHaveBeenCalledWith('entry_type', 'credit');
+      expect(journalEntryService.refreshCostBasis).toHaveBeenCalledWith('test-user-id');
+      expect(response.body.journalEntry.amount).toBe(0.02);
+    });
+
+    it('should put the entry back and fail when a line cannot be updated', async () => {
+      const restoredHeader = mockQuery({ data: null, error: null });
+      const restoredDebit = mockQuery({ data: null, error: null });
+      const restoredCredit = mockQuery({ data: null, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: { id: TX_ID }, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: pendingEntry, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: { ...pendingEntry, amount: 0.02 }, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: null, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: null, error: { message: 'connection reset' } }))
+        .mockReturnValueOnce(restoredHeader)
+        .mockReturnValueOnce(restoredDebit)
+        .mockReturnValueOnce(restoredCredit);
+
+      await request(app)
+        .put(`/api/transactions/${TX_ID}/journal-entries/${ENTRY_ID}`)
+        .send({ amount: 0.02 })
+        .expect(500);
+
+      expect(restoredHeader.update).toHaveBeenCalledWith(expect.objectContaining({ amount: '0.01', usd_value: '25.00', usd_rate: '2500' }));
+      expect(restoredDebit.update).toHaveBeenCalledWith(expect.objectContaining({ amount: '0.01', usd_value: '25.00' }));
+      expect(restoredCredit.eq).toHaveBeenCalledWith('id', 'line-2');
+      expect(journalEntryService.refreshCostBasis).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,254 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const auditService = require('../../src/services/auditService');
+const accountService = require('../../src/services/accountService');
+
+const USER_ID = 'test-user-id';
+
+const templateAccounts = [
+  { id: 't-1', user_id: null, code: '1000', name: 'Current Assets', parent_account_id: null, created_at: '2025-01-01' },
+  { id: 't-2', user_id: null, code: '1808', name: 'Digital Assets - Bitcoin', parent_account_id: 't-1', created_at: '2025-01-01' },
+  { id: 't-3', user_id: null, code: '4001', name: 'Sales Revenue', parent_account_id: null, created_at: '2025-01-01' },
+];
+
+describe('AccountService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountService.charts.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ensureChart', () => {
+    it('should copy the template accounts the user does not have, with their assets and mappings', async () => {
+      const upsertAccounts = mockQuery({
+        data: [{ id: 'u-1', code: '1000', template_account_id: 't-1' }, { id: 'u-2', code: '1808', template_account_id: 't-2' }],
+        error: null,
+      });
+      const updateParent = mockQuery({ error: null });
+      const upsertAssets = mockQuery({ error: null });
+      const insertMappings = mockQuery({ error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: templateAccounts, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [{ id: 'u-3', code: '4001', template_account_id: 't-3' }], error: null }))
+        .mockReturnValueOnce(upsertAccounts)
+        .mockReturnValueOnce(updateParent)
+        .mockReturnValueOnce(mockQuery({ data: [{ id: 'c-1', user_id: null, symbol: 'BTC', account_id: 't-2' }], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(upsertAssets)
+        .mockReturnValueOnce(mockQuery({ data: [{ id: 'm-1', user_id: null, account_id: 't-1', keywords: ['cash'] }], error: null }))
+        .mockReturnValueOnce(insertMappings);
+
+      await accountService.ensureChart(USER_ID);
+
+      expect(upsertAccounts.upsert).toHaveBeenCalledWith([
+        { user_id: USER_ID, code: '1000', name: 'Current Assets', template_account_id: 't-1' },
+        { user_id: USER_ID, code: '1808', name: 'Digital Assets - Bitcoin', template_account_id: 't-2' },
+      ], { onConflict: 'user_id,code', ignoreDuplicates: true });
+      expect(updateParent.update).toHaveBeenCalledWith({ parent_account_id: 'u-1' });
+      expect(updateParent.eq).toHaveBeenCalledWith('id', 'u-2');
+      expect(upsertAssets.upsert).toHaveBeenCalledWith(
+        [{ user_id: USER_ID, symbol: 'BTC', account_id: 'u-2' }],
+        { onConflict: 'user_id,symbol', ignoreDuplicates: true },
+      );
+      expect(insertMappings.insert).toHaveBeenCalledWith([{ user_id: USER_ID, account_id: 'u-1', keywords: ['cash'] }]);
+      expect(auditService.recordMany).toHaveBeenCalledWith([
+        expect.objectContaining({ tableName: 'accounts', recordId: 'u-1', action: 'create', source: 'system', after: expect.objectContaining({ id: 'u-1', code: '1000' }) }),
+        expect.objectContaining({ recordId: 'u-2', after: expect.objectContaining({ id: 'u-2', code: '1808', parent_account_id: 'u-1' }) }),
+      ]);
+    });
+
+    it('should not map template accounts onto a user account that took their code', async () => {
+      const upsertAccounts = mockQuery({ data: [{ id: 'u-2', code: '1808', template_account_id: 't-2' }], error: null });
+      const updateParent = mockQuery({ error: null });
+      const upsertAssets = mockQuery({ error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: templateAccounts, error: null }))
+        // The user's own account with the code of the template's Current Assets, and a copy of Sales Revenue
+        .mockReturnValueOnce(mockQuery({
+          data: [{ id: 'u-own', code: '1000', template_account_id: null }, { id: 'u-3', code: '4001', template_account_id: 't-3' }],
+          error: null,
+        }))
+        .mockReturnValueOnce(upsertAccounts)
+        .mockReturnValueOnce(updateParent)
+        .mockReturnValueOnce(mockQuery({ data: [{ id: 'c-1', user_id: null, symbol: 'BTC', account_id: 't-1' }], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(upsertAssets)
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }));
+
+      await accountService.ensureChart(USER_ID);
+
+      expect(upsertAccounts.upsert).toHaveBeenCalledWith(
+        [{ user_id: USER_ID, code: '1808', name: 'Digital Assets - Bitcoin', template_account_id: 't-2' }],
+        { onConflict: 'user_id,code', ignoreDuplicates: true },
+      );
+      expect(updateParent.update).toHaveBeenCalledWith({ parent_account_id: null });
+      expect(upsertAssets.upsert).toHaveBeenCalledWith(
+        [{ user_id: USER_ID, symbol: 'BTC', account_id: null }],
+        { onConflict: 'user_id,symbol', ignoreDuplicates: true },
+      );
+    });
+
+    it('should remove the copied accounts when their audit events cannot be recorded', async () => {
+      const removeAccounts = mockQuery({ error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: templateAccounts.slice(2), error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [{ id: 'u-3', code: '4001', template_account_id: 't-3' }], error: null }))
+        .mockReturnValueOnce(removeAccounts);
+      auditService.recordMany.mockRejectedValueOnce(Object.assign(new Error('Failed to record audit event'), { statusCode: 500 }));
+
+      await expect(accountService.ensureChart(USER_ID)).rejects.toMatchObject({ statusCode: 500 });
+
+      expect(removeAccounts.delete).toHaveBeenCalled();
+      expect(removeAccounts.in).toHaveBeenCalledWith('id', ['u-3']);
+      expect(accountService.charts.has(USER_ID)).toBe(false);
+    });
+
+    it('should copy the template only once per user', async () => {
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: templateAccounts, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: templateAccounts.map(({ id, code }) => ({ id: `u${id}`, code, template_account_id: id })), error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }));
+
+      await Promise.all([accountService.ensureChart(USER_ID), accountService.ensureChart(USER_ID)]);
+      await accountService.ensureChart(USER_ID);
+
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('matchAccountName', () => {
+    it('should prefer the account with exactly that name', async () => {
+      jest.spyOn(accountService, 'getAccountByName').mockResolvedValue([
+        { id: 'u-1', name: 'Transaction Fees Payable' },
+        { id: 'u-2', name: 'Transaction Fees' },
+      ]);
+
+      await expect(accountService.matchAccountName(USER_ID, 'transaction fees')).resolves.toEqual({ id: 'u-2', name: 'Transaction Fees' });
+    });
+
+    it('should take the only account containing the name', async () => {
+      jest.spyOn(accountService, 'getAccountByName').mockResolvedValue([{ id: 'u-2', name: 'Transaction Fees' }]);
+
+      await expect(accountService.matchAccountName(USER_ID, 'Transaction')).resolves.toEqual({ id: 'u-2', name: 'Transaction Fees' });
+    });
+
+    it('should not link a merely similar account', async () => {
+      jest.spyOn(accountService, 'getAccountByName').mockResolvedValue([]);
+      const similarSpy = jest.spyOn(accountService, 'findSimilarAccounts')
+        .mockResolvedValue([{ id: 'u-2', name: 'Transaction Fees', score: 2 }]);
+
+      await expect(accountService.matchAccountName(USER_ID, 'Gas Transaction Fees')).resolves.toBeNull();
+      expect(similarSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getChartOfAccounts', () => {
+    it('should only return the accounts of the user', async () => {
+      jest.spyOn(accountService, 'ensureChart').mockResolvedValue();
+      const query = mockQuery({ data: [{ id: 'u-1', code: '1000' }], error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(query);
+
+      const accounts = await accountService.getChartOfAccounts(USER_ID);
+
+      expect(accountService.ensureChart).toHaveBeenCalledWith(USER_ID);
+      expect(query.eq).toHaveBeenCalledWith('user_id', USER_ID);
+      expect(query.is).not.toHaveBeenCalled();
+      expect(accounts).toEqual([{ id: 'u-1', code: '1000' }]);
+    });
+
+    it('should fall back to the template chart without a user', async () => {
+      const query = mockQuery({ data: [], error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(query);
+
+      await accountService.getChartOfAccounts(null);
+
+      expect(query.is).toHaveBeenCalledWith('user_id', null);
+    });
+  });
+
+  describe('account tree', () => {
+    const chart = [
+      { id: 'u-1', code: '1800', name: 'Digital Assets', account_type: 'ASSET', sort_order: 1800, parent_account_id: null, account_categories: { code: '1800' } },
+      { id: 'u-2', code: '1805', name: 'Digital Assets - USDC', account_type: 'ASSET', sort_order: 1805, parent_account_id: 'u-1', account_categories: { code: '1800' } },
+      { id: 'u-3', code: '1805.1', name: 'USDC - Cold Wallet', account_type: 'ASSET', sort_order: 1805, parent_account_id: 'u-2' },
+      { id: 'u-4', code: '4001', name: 'Trading Revenue', account_type: 'REVENUE', sort_order: 4001, parent_account_id: null },
+    ];
+
+    it('should nest sub-accounts under their parents with their depth', () => {
+      const tree = accountService.buildTree(chart);
+
+      expect(tree.map(node => node.code)).toEqual(['1800', '4001']);
+      expect(tree[0].children[0]).toEqual(expect.objectContaining({ code: '1805', level: 1 }));
+      expect(tree[0].children[0].children[0]).toEqual(expect.objectContaining({ code: '1805.1', level: 2, children: [] }));
+    });
+
+    it('should create a sub-account with the type, category and next code after its parent', async () => {
+      jest.spyOn(accountService, 'ensureChart').mockResolvedValue();
+      jest.spyOn(accountService, 'getChartOfAccounts').mockResolvedValue(chart);
+      const categoryQuery = mockQuery({ data: { id: 'cat-1800', code: '1800' }, error: null });
+      const insert = mockQuery({ data: { id: 'u-5', code: '1805.2' }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(categoryQuery)
+        .mockReturnValueOnce(mockQuery({ data: [{ code: '1805' }], error: null }))
+        .mockReturnValueOnce(insert);
+
+      await accountService.createAccount({ userId: USER_ID, name: 'USDC - Exchange', parentAccountId: 'u-2' });
+
+      expect(categoryQuery.eq).toHaveBeenCalledWith('code', '1800');
+      expect(categoryQuery.eq).toHaveBeenCalledWith('type', 'ASSET');
+      expect(insert.insert).toHaveBeenCalledWith([expect.objectContaining({
+        code: '1805.2',
+        account_type: 'ASSET',
+        parent_account_id: 'u-2',
+        sort_order: 1805,
+      })]);
+    });
+
+    it('should refuse a sub-account of another type than its parent', async () => {
+      jest.spyOn(accountService, 'ensureChart').mockResolvedValue();
+      jest.spyOn(accountService, 'getChartOfAccounts').mockResolvedValue(chart);
+
+      await expect(accountService.createAccount({
+        userId: USER_ID, name: 'USDC Fees', accountType: 'EXPENSE', categoryCode: '6000', parentAccountId: 'u-2',
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+
+    it('should not move an account under its own sub-account', async () => {
+      jest.spyOn(accountService, 'getChartOfAccounts').mockResolvedValue(chart);
+
+      await expect(accountService.moveAccount(USER_ID, 'u-1', 'u-3')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(accountService.moveAccount(USER_ID, 'u-3', 'u-9')).rejects.toMatchObject({ statusCode: 404 });
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+
+    it('should move an account to the top level', async () => {
+      jest.spyOn(accountService, 'getChartOfAccounts').mockResolvedValue(chart);
+      const update = mockQuery({ data: { id: 'u-3', parent_account_id: null }, error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(update);
+
+      await accountService.moveAccount(USER_ID, 'u-3', null);
+
+      expect(update.update).toHaveBeenCalledWith({ parent_account_id: null });
+      expect(update.eq).toHaveBeenCalledWith('user_id', USER_ID);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock('@supabase/supabase-js');
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const auditService = require('../../src/services/auditService');
+
+const GENESIS_HASH = '0'.repeat(64);
+const ENTRY_ID = '5f0c6b7e-8a8f-4a3e-9a39-2f4f0d7f2a11';
+
+// Stored row for an event chained onto prevHash, as PostgREST would return it
+const storedRow = (id, prevHash, overrides = {}) => {
+  const event = {
+    tableName: 'journal_entries',
+    recordId: ENTRY_ID,
+    action: 'update',
+    userId: 'test-user-id',
+    actorId: 'test-user-id',
+    source: 'manual',
+    before: { narrative: 'Gas', amount: 0.01 },
+    after: { narrative: 'Gas fee', amount: 0.01 },
+    changes: { narrative: { from: 'Gas', to: 'Gas fee' } },
+    recordedAt: `2025-05-0${id}T10:00:00.000Z`,
+  };
+  return {
+    id,
+    table_name: event.tableName,
+    record_id: event.recordId,
+    action: event.action,
+    user_id: event.userId,
+    actor_id: event.actorId,
+    source: event.source,
+    // Key order differs from the hashed event, like after a JSONB round trip
+    before: { amount: 0.01, narrative: 'Gas' },
+    after: { amount: 0.01, narrative: 'Gas fee' },
+    changes: event.changes,
+    recorded_at: `2025-05-0${id}T10:00:00+00:00`,
+    prev_hash: prevHash,
+    hash: auditService.hashEvent(prevHash, event),
+    ...overrides,
+  };
+};
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diff', () => {
+    it('should list the changed fields and ignore updated_at', () => {
+      const changes = auditService.diff(
+        { narrative: 'Gas', amount: 0.01, metadata: { a: 1, b: 2 }, updated_at: '2025-05-01' },
+        { narrative: 'Gas fee', amount: 0.01, metadata: { b: 2, a: 1 }, updated_at: '2025-05-02' },
+      );
+
+      expect(changes).toEqual({ narrative: { from: 'Gas', to: 'Gas fee' } });
+    });
+  });
+
+  describe('record', () => {
+    it('should chain the new event onto the last hash', async () => {
+      const tail = mockQuery({ data: [{ hash: 'a'.repeat(64) }], error: null });
+      const insert = mockQuery({ data: { id: 2 }, error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(tail).mockReturnValueOnce(insert);
+
+      await auditService.record({
+        tableName: 'journal_entries',
+        recordId: ENTRY_ID,
+        action: 'update',
+        source: 'manual',
+        before: { narrative: 'Gas' },
+        after: { narrative: 'Gas fee' },
+      });
+
+      const row = insert.insert.mock.calls[0][0];
+      expect(row.prev_hash).toBe('a'.repeat(64));
+      expect(row.changes).toEqual({ narrative: { from: 'Gas', to: 'Gas fee' } });
+      expect(row.hash).toBe(auditService.hashEvent(row.prev_hash, auditService.eventOf(row)));
+    });
+
+    it('should retry on the new tail when another event took the position', async () => {
+      const conflict = mockQuery({ data: null, error: { code: '23505', message: 'duplicate key' } });
+      const insert = mockQuery({ data: { id: 2 }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(conflict)
+        .mockReturnValueOnce(mockQuery({ data: [{ hash: 'b'.repeat(64) }], error: null }))
+        .mockReturnValueOnce(insert);
+
+      const stored = await auditService.record({
+        tableName: 'accounts',
+        recordId: ENTRY_ID,
+        action: 'create',
+        source: 'manual',
+        after: { name: 'Gas' },
+      });
+
+      expect(conflict.insert.mock.calls[0][0].prev_hash).toBe(GENESIS_HASH);
+      expect(insert.insert.mock.calls[0][0].prev_hash).toBe('b'.repeat(64));
+      expect(stored).toEqual({ id: 2 });
+    });
+
+    it('should fail when the event cannot be appended', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: null, error: { message: 'connection reset' } }));
+
+      await expect(auditService.record({
+        tableName: 'accounts',
+        recordId: ENTRY_ID,
+        action: 'create',
+        source: 'manual',
+        after: { name: 'Gas' },
+      })).rejects.toMatchObject({ statusCode: 500, message: 'Failed to record audit event' });
+    });
+
+    it('should skip updates that change nothing', async () => {
+      const stored = await auditService.record({
+        tableName: 'journal_entries',
+        recordId: ENTRY_ID,
+        action: 'update',
+        source: 'manual',
+        before: { narrative: 'Gas', updated_at: '2025-05-01' },
+        after: { narrative: 'Gas', updated_at: '2025-05-02' },
+      });
+
+      expect(stored).toBeNull();
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('should accept an untouched chain', async () => {
+      const first = storedRow(1, GENESIS_HASH);
+      const second = storedRow(2, first.hash);
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: [first, second], error: null }));
+
+      await expect(auditService.verifyChain()).resolves.toEqual({ valid: true, checked: 2, brokenAt: null });
+    });
+
+    it('should detect an edited event', async () => {
+      const first = storedRow(1, GENESIS_HASH);
+      const second = storedRow(2, first.hash, { after: { amount: 10, narrative: 'Gas fee' } });
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: [first, second], error: null }));
+
+      await expect(auditService.verifyChain()).resolves.toEqual({
+        valid: false,
+        checked: 1,
+        brokenAt: { id: 2, reason: 'hash_mismatch' },
+      });
+    });
+
+    it('should detect a removed event', async () => {
+      const first = storedRow(1, GENESIS_HASH);
+      const second = storedRow(2, first.hash);
+      const third = storedRow(3, second.hash);
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: [first, third], error: null }));
+
+      await expect(auditService.verifyChain()).resolves.toEqual({
+        valid: false,
+        checked: 1,
+        brokenAt: { id: 3, reason: 'chain_broken' },
+      });
+    });
+  });
+});
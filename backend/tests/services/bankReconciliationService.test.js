@@ -0,0 +1,327 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+}));
+jest.mock('../../src/services/bankStatementService', () => ({
+  getBankAccount: jest.fn(),
+}));
+jest.mock('../../src/services/journalEntryService', () => ({
+  getEntryLines: jest.fn(entry => entry.journal_entry_lines.map(line => ({
+    account: line.account_name,
+    accountId: line.account_id || null,
+    type: line.entry_type,
+    amount: line.amount,
+    currency: line.currency,
+  }))),
+  getAccountFinder: jest.fn(),
+  saveJournalEntries: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const accountService = require('../../src/services/accountService');
+const journalEntryService = require('../../src/services/journalEntryService');
+const bankReconciliationService = require('../../src/services/bankReconciliationService');
+
+const USER_ID = 'test-user-id';
+const BANK = { id: 'account-bank', code: '1001', name: 'Bank Account - Operating', account_type: 'ASSET' };
+const REVENUE = { id: 'account-revenue', code: '4001', name: 'Consulting Revenue', account_type: 'REVENUE' };
+const EXPENSE = { id: 'account-expense', code: '5001', name: 'Hosting Expense', account_type: 'EXPENSE' };
+
+const SESSION = {
+  id: 'reconciliation-1',
+  user_id: USER_ID,
+  account_id: BANK.id,
+  period_start: '2025-03-01',
+  period_end: '2025-03-31',
+  currency: 'EUR',
+  opening_balance: '1000.00',
+  statement_closing_balance: '2379.50',
+  status: 'open',
+};
+
+// Answer each table's queries in turn; the last answer of a table repeats
+const mockTables = (tables) => {
+  const queries = {};
+  mockSupabaseClient.from.mockImplementation((table) => {
+    const results = tables[table];
+    if (!results) {
+      throw new Error(`Unexpected query of ${table}`);
+    }
+    const query = mockQuery(results.length > 1 ? results.shift() : results[0]);
+    (queries[table] = queries[table] || []).push(query);
+    return query;
+  });
+  return queries;
+};
+
+const bankTransaction = (id, date, amount, extra = {}) => ({
+  id,
+  account_id: BANK.id,
+  booking_date: date,
+  amount: String(amount),
+  currency: 'EUR',
+  reference: null,
+  bank_reference: null,
+  counterparty_name: null,
+  description: null,
+  match_id: null,
+  ...extra,
+});
+
+// An entry moving the bank account by `amount` against `other`
+const entry = (id, date, amount, narrative = null, other = REVENUE) => {
+  const bankSide = { account_name: BANK.name, account_id: BANK.id, amount: Math.abs(amount), currency: 'EUR' };
+  const otherSide = { account_name: other.name, account_id: other.id, amount: Math.abs(amount), currency: 'EUR' };
+  return {
+    id,
+    entry_date: date,
+    narrative,
+    metadata: null,
+    journal_entry_lines: amount > 0
+      ? [{ ...bankSide, entry_type: 'debit' }, { ...otherSide, entry_type: 'credit' }]
+      : [{ ...otherSide, entry_type: 'debit' }, { ...bankSide, entry_type: 'credit' }],
+  };
+};
+
+describe('BankReconciliationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountService.getChartOfAccounts.mockResolvedValue([BANK, REVENUE, EXPENSE]);
+  });
+
+  describe('summarize', () => {
+    it('should clear the opening balance with the matched bank transactions of the period', () => {
+      const summary = bankReconciliationService.summarize(SESSION, {
+        bankTransactions: [
+          bankTransaction('bt-0', '2025-02-27', 50, { match_id: 'match-0' }),
+          bankTransaction('bt-1', '2025-03-03', 1500, { match_id: 'match-1' }),
+          bankTransaction('bt-2', '2025-03-05', -120.5),
+        ],
+        movements: [
+          { entryId: 'e1', entryDate: '2025-03-02', amount: 1500 },
+          { entryId: 'e2', entryDate: '2025-03-20', amount: -75 },
+        ],
+        matchedEntryIds: new Set(['e1']),
+      });
+
+      expect(summary).toEqual({
+        openingBalance: 1000,
+        statementClosingBalance: 2379.5,
+        clearedBalance: 2500,
+        reconciledDifference: 1500,
+        unreconciledDifference: -120.5,
+        reconciled: false,
+        bankTransactions: { total: 2, matched: 1, unmatched: 1, unmatchedAmount: -120.5 },
+        outstandingEntries: { count: 1, amount: -75 },
+      });
+    });
+  });
+
+  describe('autoMatch', () => {
+    it('should match on amount and date, prefer the entry quoting the reference and leave ties alone', async () => {
+      const bankTransactions = [
+        bankTransaction('bt-1', '2025-03-03', 1500, { reference: 'INV-2025-017' }),
+        bankTransaction('bt-2', '2025-03-05', -100),
+        bankTransaction('bt-3', '2025-03-05', -20.5),
+        bankTransaction('bt-4', '2025-03-28', -300),
+      ];
+      const queries = mockTables({
+        bank_reconciliations: [{ data: SESSION, error: null }],
+        bank_transactions: [
+          { data: bankTransactions, error: null },
+          { data: [{ id: 'bt-1' }], error: null },
+          { data: [{ id: 'bt-3' }], error: null },
+          { data: bankTransactions, error: null },
+        ],
+        bank_match_entries: [{ data: [], error: null }, { data: null, error: null }, { data: null, error: null }, { data: [], error: null }],
+        bank_matches: [{ data: { id: 'match-1' }, error: null }, { data: { id: 'match-2' }, error: null }],
+        journal_entries: [{
+          data: [
+            entry('e1', '2025-03-02', 1500, 'Invoice inv-2025-017 to Acme'),
+            entry('e2', '2025-03-04', 1500, 'Invoice 2025-018 to Acme'),
+            entry('e3', '2025-03-04', -100, 'Hosting', EXPENSE),
+            entry('e4', '2025-03-06', -100, 'Hosting backup', EXPENSE),
+            entry('e5', '2025-03-09', -20.5, 'Domains', EXPENSE),
+            // Outside the date window
+            entry('e6', '2025-03-14', -300, 'Rent', EXPENSE),
+          ],
+          error: null,
+        }],
+      });
+
+      const result = await bankReconciliationService.autoMatch(USER_ID, SESSION.id);
+
+      expect(result.matched).toEqual([
+        { bankTransactionId: 'bt-1', entryId: 'e1', byReference: true },
+        { bankTransactionId: 'bt-3', entryId: 'e5', byReference: false },
+      ]);
+      expect(result.ambiguous).toEqual([{ bankTransactionId: 'bt-2', entryIds: ['e3', 'e4'] }]);
+
+      expect(queries.bank_matches[0].insert).toHaveBeenCalledWith({
+        user_id: USER_ID,
+        account_id: BANK.id,
+        reconciliation_id: SESSION.id,
+        method: 'auto',
+      });
+      expect(queries.bank_match_entries[1].insert).toHaveBeenCalledWith([
+        { match_id: 'match-1', user_id: USER_ID, account_id: BANK.id, journal_entry_id: 'e1', amount: 1500 },
+      ]);
+      expect(queries.bank_transactions[1].update).toHaveBeenCalledWith({ match_id: 'match-1' });
+      expect(queries.bank_transactions[1].is).toHaveBeenCalledWith('match_id', null);
+      expect(queries.journal_entries[0].gte).toHaveBeenCalledWith('entry_date', '2025-02-24');
+      expect(queries.journal_entries[0].lte).toHaveBeenCalledWith('entry_date', '2025-04-05');
+    });
+
+    it('should refuse a completed reconciliation', async () => {
+      mockTables({ bank_reconciliations: [{ data: { ...SESSION, status: 'completed' }, error: null }] });
+
+      await expect(bankReconciliationService.autoMatch(USER_ID, SESSION.id))
+        .rejects.toThrow('The reconciliation of 2025-03-01 to 2025-03-31 is completed');
+    });
+  });
+
+  describe('matchTransactions', () => {
+    const bankTransactions = [bankTransaction('bt-2', '2025-03-05', -120.5)];
+    const entries = [entry('e3', '2025-03-04', -100, 'Hosting', EXPENSE), entry('e5', '2025-03-06', -20.5, 'Domains', EXPENSE)];
+
+    it('should split a bank transaction over several journal entries', async () => {
+      const queries = mockTables({
+        bank_reconciliations: [{ data: SESSION, error: null }],
+        bank_transactions: [{ data: bankTransactions, error: null }, { data: [{ id: 'bt-2' }], error: null }, { data: bankTransactions, error: null }],
+        bank_match_entries: [{ data: [], error: null }, { data: null, error: null }, { data: [], error: null }],
+        bank_matches: [{ data: { id: 'match-1', method: 'manual' }, error: null }],
+        journal_entries: [
+          { data: entries, error: null },
+          { data: [{ id: 'e3', entry_date: '2025-03-04' }, { id: 'e5', entry_date: '2025-03-06' }], error: null },
+          { data: entries, error: null },
+        ],
+      });
+
+      const result = await bankReconciliationService.matchTransactions(USER_ID, SESSION.id, {
+        bankTransactionIds: ['bt-2'],
+        entryIds: ['e3', 'e5'],
+      });
+
+      expect(result.match).toEqual({
+        id: 'match-1',
+        method: 'manual',
+        bankTransactionIds: ['bt-2'],
+        entries: [{ entryId: 'e3', amount: -100 }, { entryId: 'e5', amount: -20.5 }],
+      });
+      expect(queries.bank_match_entries[1].insert).toHaveBeenCalledWith([
+        expect.objectContaining({ journal_entry_id: 'e3', amount: -100 }),
+        expect.objectContaining({ journal_entry_id: 'e5', amount: -20.5 }),
+      ]);
+    });
+
+    it('should refuse totals that do not agree', async () => {
+      mockTables({
+        bank_reconciliations: [{ data: SESSION, error: null }],
+        bank_transactions: [{ data: bankTransactions, error: null }],
+        bank_match_entries: [{ data: [], error: null }],
+        journal_entries: [
+          { data: entries, error: null },
+          { data: [{ id: 'e3', entry_date: '2025-03-04' }], error: null },
+          { data: [entries[0]], error: null },
+        ],
+      });
+
+      await expect(bankReconciliationService.matchTransactions(USER_ID, SESSION.id, {
+        bankTransactionIds: ['bt-2'],
+        entryIds: ['e3'],
+      })).rejects.toThrow('The bank transactions total -120.5 but the journal entries move Bank Account - Operating by -100');
+      expect(mockSupabaseClient.from).not.toHaveBeenCalledWith('bank_matches');
+    });
+
+    it('should refuse a journal entry that is already matched', async () => {
+      mockTables({
+        bank_reconciliations: [{ data: SESSION, error: null }],
+        bank_transactions: [{ data: bankTransactions, error: null }],
+        bank_match_entries: [{ data: [{ match_id: 'match-0', journal_entry_id: 'e3', amount: '-100' }], error: null }],
+        journal_entries: [
+          { data: entries, error: null },
+          { data: [{ id: 'e3', entry_date: '2025-03-04' }], error: null },
+          { data: [entries[0]], error: null },
+        ],
+      });
+
+      await expect(bankReconciliationService.matchTransactions(USER_ID, SESSION.id, {
+        bankTransactionIds: ['bt-2'],
+        entryIds: ['e3'],
+      })).rejects.toThrow('Journal entry e3 is already matched');
+    });
+  });
+
+  describe('createEntryFromTransaction', () => {
+    it('should book the bank transaction against the given account and match the entry', async () => {
+      const bankTransactions = [bankTransaction('bt-1', '2025-03-03', 1500, { counterparty_name: 'Acme GmbH', reference: 'INV-2025-017' })];
+      const queries = mockTables({
+        bank_reconciliations: [{ data: SESSION, error: null }],
+        bank_transactions: [{ data: bankTransactions, error: null }, { data: [{ id: 'bt-1' }], error: null }, { data: bankTransactions, error: null }],
+        bank_match_entries: [{ data: [], error: null }, { data: null, error: null }, { data: [], error: null }],
+        bank_matches: [{ data: { id: 'match-1', method: 'created' }, error: null }],
+        journal_entries: [{ data: [], error: null }],
+      });
+      journalEntryService.getAccountFinder.mockResolvedValue(line => [BANK, REVENUE, EXPENSE]
+        .find(account => account.code === line.accountCode || account.name === line.account) || null);
+      journalEntryService.saveJournalEntries.mockResolvedValue([{ id: 'e9' }]);
+
+      const result = await bankReconciliationService.createEntryFromTransaction(USER_ID, SESSION.id, 'bt-1', { account: '4001' });
+
+      expect(journalEntryService.saveJournalEntries).toHaveBeenCalledWith({
+        entries: [{
+          entryDate: '2025-03-03',
+          narrative: 'Acme GmbH - INV-2025-017',
+          lines: [
+            { accountId: BANK.id, account: BANK.name, amount: 1500, currency: 'EUR', type: 'debit' },
+            { accountId: REVENUE.id, account: REVENUE.name, amount: 1500, currency: 'EUR', type: 'credit' },
+          ],
+        }],
+        userId: USER_ID,
+        source: 'manual',
+        metadata: { transactionDate: '2025-03-03', bankTransactionId: 'bt-1', bankReference: 'INV-2025-017' },
+      });
+      expect(queries.bank_matches[0].insert).toHaveBeenCalledWith(expect.objectContaining({ method: 'created' }));
+      expect(result.journalEntry).toEqual({ id: 'e9' });
+      expect(result.match.entries).toEqual([{ entryId: 'e9', amount: 1500 }]);
+    });
+  });
+
+  describe('completeReconciliation', () => {
+    it('should refuse a reconciliation with an unreconciled difference', async () => {
+      const queries = mockTables({
+        bank_reconciliations: [{ data: SESSION, error: null }],
+        bank_transactions: [{ data: [bankTransaction('bt-1', '2025-03-03', 1500, { match_id: 'match-1' })], error: null }],
+        bank_match_entries: [{ data: [{ match_id: 'match-1', journal_entry_id: 'e1', amount: '1500' }], error: null }],
+        journal_entries: [{ data: [entry('e1', '2025-03-02', 1500)], error: null }],
+      });
+
+      await expect(bankReconciliationService.completeReconciliation(USER_ID, SESSION.id))
+        .rejects.toThrow('The reconciliation has an unreconciled difference of -120.5');
+      expect(queries.bank_reconciliations[0].update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertUnmatched', () => {
+    it('should refuse edits of matched journal entries', async () => {
+      mockTables({ bank_match_entries: [{ data: [{ journal_entry_id: 'e1' }], error: null }] });
+
+      await expect(bankReconciliationService.assertUnmatched(USER_ID, ['e1']))
+        .rejects.toThrow('Journal entry e1 is reconciled with a bank transaction; remove the match before editing it');
+    });
+
+    it('should let unmatched entries through', async () => {
+      mockTables({ bank_match_entries: [{ data: [], error: null }] });
+
+      await expect(bankReconciliationService.assertUnmatched(USER_ID, ['e2'])).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,276 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const accountService = require('../../src/services/accountService');
+const bankStatementService = require('../../src/services/bankStatementService');
+
+const USER_ID = 'test-user-id';
+const BANK_ACCOUNT_ID = '7c1f0e2a-9a4b-4f43-8d25-0a4c55f0b001';
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>MSG-1</MsgId></GrpHdr>
+    <Stmt>
+      <Id>STMT-2025-03</Id>
+      <FrToDt><FrDtTm>2025-03-01T00:00:00</FrDtTm><ToDtTm>2025-03-31T23:59:59</ToDtTm></FrToDt>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-03-01</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">2379.50</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2025-03-31</Dt></Dt>
+      </Bal>
+      <Ntry>
+        <Amt Ccy="EUR">1500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2025-03-03</Dt></BookgDt><ValDt><Dt>2025-03-03</Dt></ValDt>
+        <AcctSvcrRef>BANK-REF-1</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>INV-2025-017</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>Acme GmbH</Nm></Dbtr><DbtrAcct><Id><IBAN>DE02120300000000202051</IBAN></Id></DbtrAcct></RltdPties>
+          <RmtInf><Ustrd>Invoice 2025-017 &amp; support</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">120.50</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><Dt>2025-03-05</Dt></BookgDt><ValDt><Dt>2025-03-04</Dt></ValDt>
+        <AcctSvcrRef>BANK-REF-2</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+            <Amt Ccy="EUR">100.00</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+            <RltdPties><Cdtr><Pty><Nm>Hosting Ltd</Nm></Pty></Cdtr></RltdPties>
+          </TxDtls>
+          <TxDtls>
+            <Amt Ccy="EUR">20.50</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+            <RltdPties><Cdtr><Nm>Domains Inc</Nm></Cdtr></RltdPties>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">99.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts>
+        <BookgDt><Dt>2025-03-31</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const MT940 = [
+  '{1:F01BANKDEFFXXXX0000000000}{2:O940BANKDEFFXXXXN}{4:',
+  ':20:STARTUMS',
+  ':25:37040044/0532013000',
+  ':28C:00012/001',
+  ':60F:C250228EUR1000,00',
+  ':61:2503030303CR1500,00NTRFINV-2025-017//BANK-REF-1',
+  ':86:166?00SEPA-GUTSCHRIFT?20EREF+INV-2025-017?21Invoice 2025-017?30COBADEFFXXX',
+  '?31DE02120300000000202051?32Acme GmbH',
+  ':61:250304D120,50NDDTNONREF',
+  ':86:/EREF/NOTPROVIDED/NAME/Hosting Ltd/REMI/USTD//March hosting/',
+  ':61:2512310102D10,00NCHGNONREF//FEE-1',
+  ':86:Account fees',
+  ':62F:C250331EUR2369,50',
+  '-}',
+].join('\r\n');
+
+const OFX = [
+  'OFXHEADER:100',
+  'DATA:OFXSGML',
+  'VERSION:102',
+  '',
+  '<OFX>',
+  '<BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+  '<CURDEF>USD',
+  '<BANKACCTFROM><BANKID>121000248<ACCTID>0123456789<ACCTTYPE>CHECKING</BANKACCTFROM>',
+  '<BANKTRANLIST><DTSTART>20250301<DTEND>20250331',
+  '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250303120000[-5:EST]<TRNAMT>1500.00<FITID>F-1<NAME>Acme Corp<MEMO>Invoice 17</STMTTRN>',
+  '<STMTTRN><TRNTYPE>CHECK<DTPOSTED>20250305<TRNAMT>-250.00<FITID>F-2<CHECKNUM>1042<NAME>Landlord &amp; Co</STMTTRN>',
+  '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250306<FITID>F-3</STMTTRN>',
+  '</BANKTRANLIST>',
+  '<LEDGERBAL><BALAMT>5250.00<DTASOF>20250331</LEDGERBAL>',
+  '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>',
+].join('\n');
+
+describe('BankStatementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountService.getChartOfAccounts.mockResolvedValue([
+      { id: BANK_ACCOUNT_ID, code: '1002', name: 'Bank Account - Operating', account_type: 'ASSET' },
+      { id: 'revenue-account-id', code: '4001', name: 'Consulting Revenue', account_type: 'REVENUE' },
+    ]);
+  });
+
+  describe('parse', () => {
+    it('should read CAMT.053 balances and booked entries, one transaction per payment of a batch', () => {
+      const { format, statements, errors } = bankStatementService.parse(BANK_ACCOUNT_ID, CAMT053);
+
+      expect(format).toBe('camt053');
+      expect(errors).toEqual([]);
+      expect(statements).toHaveLength(1);
+      expect(statements[0]).toEqual(expect.objectContaining({
+        statementId: 'STMT-2025-03',
+        accountIdentifier: 'DE89370400440532013000',
+        currency: 'EUR',
+        periodStart: '2025-03-01',
+        periodEnd: '2025-03-31',
+        openingBalance: 1000,
+        closingBalance: 2379.5,
+      }));
+      expect(statements[0].transactions.map(({ amount, counterparty, reference, bankReference }) => ({ amount, counterparty, reference, bankReference }))).toEqual([
+        { amount: 1500, counterparty: { name: 'Acme GmbH', account: 'DE02120300000000202051' }, reference: 'INV-2025-017', bankReference: 'BANK-REF-1' },
+        { amount: -100, counterparty: { name: 'Hosting Ltd', account: null }, reference: null, bankReference: 'BANK-REF-2/1' },
+        { amount: -20.5, counterparty: { name: 'Domains Inc', account: null }, reference: null, bankReference: 'BANK-REF-2/2' },
+      ]);
+      expect(statements[0].transactions[0]).toEqual(expect.objectContaining({
+        bookingDate: '2025-03-03',
+        description: 'Invoice 2025-017 & support',
+      }));
+    });
+
+    it('should read MT940 statement lines with German and SEPA keyword details', () => {
+      const { format, statements } = bankStatementService.parse(BANK_ACCOUNT_ID, MT940);
+      const [received, paid, fee] = statements[0].transactions;
+
+      expect(format).toBe('mt940');
+      expect(statements[0]).toEqual(expect.objectContaining({
+        statementId: 'STARTUMS/00012/001',
+        accountIdentifier: '37040044/0532013000',
+        currency: 'EUR',
+        openingBalance: 1000,
+        closingBalance: 2369.5,
+        closingDate: '2025-03-31',
+      }));
+      expect(received).toEqual(expect.objectContaining({
+        bookingDate: '2025-03-03',
+        amount: 1500,
+        currency: 'EUR',
+        counterparty: { name: 'Acme GmbH', account: 'DE02120300000000202051' },
+        reference: 'INV-2025-017',
+        bankReference: 'BANK-REF-1',
+        description: 'EREF+INV-2025-017Invoice 2025-017',
+      }));
+      expect(paid).toEqual(expect.objectContaining({
+        amount: -120.5,
+        counterparty: { name: 'Hosting Ltd', account: null },
+        reference: null,
+        description: 'March hosting',
+      }));
+      // Booked on 2 January for a value date of 31 December
+      expect(fee).toEqual(expect.objectContaining({ valueDate: '2025-12-31', bookingDate: '2026-01-02', amount: -10 }));
+    });
+
+    it('should read OFX transactions and report the ones it cannot read', () => {
+      const { format, statements, errors } = bankStatementService.parse(BANK_ACCOUNT_ID, OFX);
+
+      expect(format).toBe('ofx');
+      expect(statements[0]).toEqual(expect.objectContaining({
+        accountIdentifier: '0123456789',
+        currency: 'USD',
+        openingBalance: null,
+        closingBalance: 5250,
+        periodEnd: '2025-03-31',
+      }));
+      expect(statements[0].transactions).toEqual([
+        expect.objectContaining({ bookingDate: '2025-03-03', amount: 1500, bankReference: 'F-1', counterparty: { name: 'Acme Corp', account: null }, description: 'Invoice 17' }),
+        expect.objectContaining({ amount: -250, reference: '1042', counterparty: { name: 'Landlord & Co', account: null } }),
+      ]);
+      expect(errors).toEqual([{ line: 12, message: 'Transaction has no amount or posting date' }]);
+    });
+
+    it('should give a transaction the same fingerprint in overlapping statements of the account', () => {
+      const march = bankStatementService.parse(BANK_ACCOUNT_ID, MT940).statements[0].transactions;
+      const again = bankStatementService.parse(BANK_ACCOUNT_ID, MT940.replace(':20:STARTUMS', ':20:OTHER')).statements[0].transactions;
+      const otherAccount = bankStatementService.parse('other-account-id', MT940).statements[0].transactions;
+
+      expect(again.map(transaction => transaction.fingerprint)).toEqual(march.map(transaction => transaction.fingerprint));
+      expect(otherAccount[0].fingerprint).not.toBe(march[0].fingerprint);
+    });
+
+    it('should refuse files in no supported format or not in the requested one', () => {
+      expect(() => bankStatementService.parse(BANK_ACCOUNT_ID, 'Date,Amount\n2025-03-01,10'))
+        .toThrow('Unrecognized statement format; expected one of: CAMT.053, MT940, OFX');
+      expect(() => bankStatementService.parse(BANK_ACCOUNT_ID, OFX, 'camt053')).toThrow('The file is not a CAMT.053 statement');
+    });
+  });
+
+  describe('preview', () => {
+    it('should flag transactions the account already has', async () => {
+      const [first] = bankStatementService.parse(BANK_ACCOUNT_ID, CAMT053).statements[0].transactions;
+      const lookup = mockQuery({ data: [{ fingerprint: first.fingerprint }], error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(lookup);
+
+      const preview = await bankStatementService.preview(USER_ID, { accountId: BANK_ACCOUNT_ID, text: CAMT053 });
+
+      expect(lookup.eq).toHaveBeenCalledWith('account_id', BANK_ACCOUNT_ID);
+      expect(preview.account).toEqual({ id: BANK_ACCOUNT_ID, code: '1002', name: 'Bank Account - Operating' });
+      expect(preview.summary).toEqual({ statements: 1, transactions: 3, new: 2, duplicates: 1, invalidLines: 0 });
+      expect(preview.statements[0].transactions.map(transaction => transaction.duplicate)).toEqual([true, false, false]);
+    });
+
+    it('should only import into an asset account of the user', async () => {
+      await expect(bankStatementService.preview(USER_ID, { accountId: 'revenue-account-id', text: CAMT053 }))
+        .rejects.toThrow('Statements can only be imported into an asset account, not Consulting Revenue');
+      await expect(bankStatementService.preview(USER_ID, { accountId: 'someone-elses-account', text: CAMT053 }))
+        .rejects.toThrow('Account not found');
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importStatement', () => {
+    it('should store the statement and its new transactions linked to the bank account', async () => {
+      const insertStatement = mockQuery({ data: { id: 'statement-1' }, error: null });
+      const upsert = mockQuery({ data: [{ id: 'bank-tx-1' }, { id: 'bank-tx-2' }], error: null });
+      const updateStatement = mockQuery({ data: { id: 'statement-1', transactions_imported: 2 }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(insertStatement)
+        .mockReturnValueOnce(upsert)
+        .mockReturnValueOnce(updateStatement);
+
+      const result = await bankStatementService.importStatement(USER_ID, {
+        accountId: BANK_ACCOUNT_ID,
+        text: MT940,
+        fileName: 'march.sta',
+      });
+
+      expect(insertStatement.insert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        account_id: BANK_ACCOUNT_ID,
+        format: 'mt940',
+        file_name: 'march.sta',
+        statement_reference: 'STARTUMS/00012/001',
+        opening_balance: 1000,
+        closing_balance: 2369.5,
+        transactions_total: 3,
+      }));
+      const [rows, options] = upsert.upsert.mock.calls[0];
+      expect(options).toEqual({ onConflict: 'account_id,fingerprint', ignoreDuplicates: true });
+      expect(rows[0]).toEqual(expect.objectContaining({
+        user_id: USER_ID,
+        account_id: BANK_ACCOUNT_ID,
+        statement_id: 'statement-1',
+        booking_date: '2025-03-03',
+        amount: 1500,
+        currency: 'EUR',
+        counterparty_name: 'Acme GmbH',
+        counterparty_account: 'DE02120300000000202051',
+        reference: 'INV-2025-017',
+        bank_reference: 'BANK-REF-1',
+      }));
+      expect(updateStatement.update).toHaveBeenCalledWith({ transactions_imported: 2, transactions_duplicate: 1 });
+      expect(result).toEqual({ format: 'mt940', statements: [{ id: 'statement-1', transactions_imported: 2 }], errors: [] });
+    });
+  });
+});
@@ -164,4 +164,29 @@ describe('BlockscoutClient', () => {
       });
     });
   });
+
+  describe('detectTransactionCategory', () => {
+    const operating = '0xd423b4b575d2808459035294bf971a5834eb7b87';
+    const treasury = '0x742e8c9b3be7936e2f6d143de3e9bb8f4b4d2b9e';
+
+    it('should detect native transfers between own wallets as internal transfers', () => {
+      const tx = { from: operating, to: treasury.toUpperCase().replace('0X', '0x'), actualAmount: 5, networkCurrency: 'C2FLR' };
+
+      expect(blockscoutClient.detectTransactionCategory(tx, [operating, treasury])).toBe('internal_transfer');
+      expect(blockscoutClient.detectTransactionCategory(tx, [operating])).toBe('outgoing_transfer');
+      expect(blockscoutClient.detectTransactionCategory(tx, [treasury])).toBe('incoming_transfer');
+    });
+
+    it('should detect token transfers between own wallets as internal transfers', () => {
+      const tx = {
+        from: operating,
+        to: '0x0000000000000000000000000000000000000002',
+        isTokenTransfer: true,
+        tokenTransfer: { from: operating, to: treasury, tokenSymbol: 'USDC', tokenAmount: 250 },
+      };
+
+      expect(blockscoutClient.detectTransactionCategory(tx, [operating, treasury])).toBe('internal_transfer');
+      expect(blockscoutClient.detectTransactionCategory(tx, [operating])).toBe('token_transfer');
+    });
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,223 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+  getAccountForCrypto: jest.fn(),
+  indexChart: jest.requireActual('../../src/services/accountService').indexChart,
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const accountService = require('../../src/services/accountService');
+const categorizationRuleService = require('../../src/services/categorizationRuleService');
+
+const USER_ID = 'test-user-id';
+const OPERATING = '0xd423b4b575d2808459035294bf971a5834eb7b87';
+const TREASURY = '0x742e8c9b3be7936e2f6d143de3e9bb8f4b4d2b9e';
+const VENDOR = '0xfeedfacefeedfacefeedfacefeedfacefeedface';
+const OTHER_VENDOR = '0x3333333333333333333333333333333333333333';
+const USDT_CONTRACT = '0x2222222222222222222222222222222222222222';
+
+const CHART = [
+  { id: 'account-usdt', code: '1803', name: 'Digital Assets - USDT', account_type: 'ASSET' },
+  { id: 'account-hosting', code: '5001', name: 'Hosting Expense', account_type: 'EXPENSE' },
+  { id: 'account-fees', code: '6001', name: 'Transaction Fees', account_type: 'EXPENSE' },
+];
+
+const HOSTING_RULE = {
+  id: 'rule-hosting',
+  name: 'Monthly hosting',
+  priority: 10,
+  counterparty_address: VENDOR,
+  token: 'USDT',
+  min_amount: '1000',
+  max_amount: '2000',
+  category: null,
+  method_signature: null,
+  debit_account: 'Hosting Expense',
+  credit_account: 'Digital Assets - USDT',
+  narrative_template: '{rule} paid to {counterparty}',
+  book_gas_fee: true,
+  match_count: 2,
+};
+
+// USDT payment from the operating wallet to the vendor
+const usdtPayment = (overrides = {}) => ({
+  hash: '0xpayment',
+  from: OPERATING,
+  to: USDT_CONTRACT,
+  input: `0xa9059cbb${'0'.repeat(128)}`,
+  actualAmount: 0,
+  gasFee: 0.01,
+  networkCurrency: 'C2FLR',
+  chain: 'coston2',
+  isTokenTransfer: true,
+  tokenTransfer: {
+    tokenSymbol: 'USDT',
+    tokenAmount: 1500,
+    tokenContract: USDT_CONTRACT,
+    from: OPERATING,
+    to: VENDOR,
+  },
+  ...overrides,
+});
+
+describe('CategorizationRuleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountService.getChartOfAccounts.mockResolvedValue(CHART);
+    accountService.getAccountForCrypto.mockResolvedValue(null);
+  });
+
+  describe('applyRules', () => {
+    it('should book a matched transaction on the rule accounts and expense the gas', async () => {
+      const update = mockQuery({ data: null, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [HOSTING_RULE], error: null }))
+        .mockReturnValueOnce(update);
+
+      const { matched, unmatched } = await categorizationRuleService.applyRules(USER_ID, [usdtPayment()], [OPERATING]);
+
+      expect(unmatched).toEqual([]);
+      expect(matched).toHaveLength(1);
+      expect(matched[0].rule).toEqual({ id: 'rule-hosting', name: 'Monthly hosting' });
+      expect(matched[0].entry).toEqual(expect.objectContaining({
+        isCompound: true,
+        narrative: `Monthly hosting paid to ${VENDOR}`,
+        confidence: 1,
+        metadata: { categorizationRule: { id: 'rule-hosting', name: 'Monthly hosting' } },
+      }));
+      expect(matched[0].entry.lines).toEqual([
+        expect.objectContaining({ account: 'Hosting Expense', type: 'debit', amount: 1500, currency: 'USDT' }),
+        expect.objectContaining({ account: 'Digital Assets - USDT', type: 'credit', amount: 1500, currency: 'USDT' }),
+        expect.objectContaining({ account: 'Transaction Fees', type: 'debit', amount: 0.01, currency: 'C2FLR' }),
+        expect.objectContaining({ account: 'Digital Assets - C2FLR', type: 'credit', amount: 0.01, currency: 'C2FLR' }),
+      ]);
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ match_count: 3 }));
+    });
+
+    it('should leave transactions outside every rule for the AI', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: [HOSTING_RULE], error: null }));
+
+      const aboveRange = usdtPayment({ hash: '0xlarge', tokenTransfer: { ...usdtPayment().tokenTransfer, tokenAmount: 2500 } });
+      const otherVendor = usdtPayment({ hash: '0xother', tokenTransfer: { ...usdtPayment().tokenTransfer, to: OTHER_VENDOR } });
+
+      const { matched, unmatched } = await categorizationRuleService.applyRules(USER_ID, [aboveRange, otherVendor], [OPERATING]);
+
+      expect(matched).toEqual([]);
+      expect(unmatched.map(tx => tx.hash)).toEqual(['0xlarge', '0xother']);
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only book the gas of a transaction without value', async () => {
+      const approvalRule = { ...HOSTING_RULE, id: 'rule-approve', min_amount: null, max_amount: null, token: null, method_signature: '0x095ea7b3' };
+      const approval = usdtPayment({ hash: '0xapprove', to: VENDOR, input: `0x095ea7b3${'0'.repeat(128)}`, tokenTransfer: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [approvalRule], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: null, error: null }));
+
+      const { matched } = await categorizationRuleService.applyRules(USER_ID, [approval], [OPERATING]);
+
+      expect(matched[0].entry.lines).toEqual([
+        expect.objectContaining({ account: 'Transaction Fees', type: 'debit', amount: 0.01, currency: 'C2FLR' }),
+        expect.objectContaining({ account: 'Digital Assets - C2FLR', type: 'credit', amount: 0.01, currency: 'C2FLR' }),
+      ]);
+    });
+
+    it('should leave a transaction without value to the AI when the rule does not book gas', async () => {
+      const approvalRule = { ...HOSTING_RULE, min_amount: null, max_amount: null, token: null, book_gas_fee: false };
+      const approval = usdtPayment({ hash: '0xapprove', to: VENDOR, tokenTransfer: null });
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: [approvalRule], error: null }));
+
+      const { matched, unmatched } = await categorizationRuleService.applyRules(USER_ID, [approval], [OPERATING]);
+
+      expect(matched).toEqual([]);
+      expect(unmatched.map(tx => tx.hash)).toEqual(['0xapprove']);
+    });
+
+    it('should match on method signature and token contract', async () => {
+      const rule = {
+        ...HOSTING_RULE,
+        counterparty_address: null,
+        token: USDT_CONTRACT,
+        min_amount: null,
+        max_amount: null,
+        method_signature: '0xa9059cbb',
+        book_gas_fee: false,
+      };
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [rule], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: null, error: null }));
+
+      const { matched } = await categorizationRuleService.applyRules(USER_ID, [usdtPayment()], [OPERATING]);
+
+      expect(matched).toHaveLength(1);
+      expect(matched[0].entry.lines).toHaveLength(2);
+    });
+
+    it('should only match internal transfers with rules asking for them', async () => {
+      const catchAll = { ...HOSTING_RULE, counterparty_address: null, min_amount: null, max_amount: null };
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: [catchAll], error: null }));
+
+      const internal = usdtPayment({ tokenTransfer: { ...usdtPayment().tokenTransfer, to: TREASURY } });
+      const { matched, unmatched } = await categorizationRuleService.applyRules(USER_ID, [internal], [OPERATING, TREASURY]);
+
+      expect(matched).toEqual([]);
+      expect(unmatched).toEqual([internal]);
+    });
+
+    it('should not look up rules without a user', async () => {
+      const { matched, unmatched } = await categorizationRuleService.applyRules(null, [usdtPayment()], [OPERATING]);
+
+      expect(matched).toEqual([]);
+      expect(unmatched).toHaveLength(1);
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createRule', () => {
+    it('should store the chart names of the accounts and a lowercase address', async () => {
+      const insert = mockQuery({ data: { id: 'rule-1', name: 'Hosting' }, error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(insert);
+
+      await categorizationRuleService.createRule(USER_ID, {
+        name: 'Hosting',
+        counterpartyAddress: VENDOR.toUpperCase().replace('0X', '0x'),
+        debitAccount: '5001',
+        creditAccount: 'digital assets - usdt',
+      });
+
+      expect(insert.insert).toHaveBeenCalledWith({
+        name: 'Hosting',
+        counterparty_address: VENDOR,
+        debit_account: 'Hosting Expense',
+        credit_account: 'Digital Assets - USDT',
+        user_id: USER_ID,
+      });
+    });
+
+    it('should reject a rule without conditions', async () => {
+      await expect(categorizationRuleService.createRule(USER_ID, {
+        name: 'Everything',
+        debitAccount: 'Hosting Expense',
+        creditAccount: 'Digital Assets - USDT',
+      })).rejects.toMatchObject({ statusCode: 400, message: 'A rule needs at least one condition' });
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+
+    it('should reject accounts outside the chart', async () => {
+      await expect(categorizationRuleService.createRule(USER_ID, {
+        name: 'Hosting',
+        token: 'USDT',
+        debitAccount: 'Cloud Costs',
+        creditAccount: 'Digital Assets - USDT',
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Account not found: Cloud Costs' });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const CHAIN_ENV = ['DEFAULT_CHAIN', 'FLARE_CHAIN_ID', 'NETWORK_CHAIN_ID', 'BLOCKSCOUT_BASE_URL', 'BLOCKSCOUT_BASE_URL_FLARE'];
+
+// The registry resolves its defaults from the environment when it is loaded
+const loadRegistry = (env = {}) => {
+  CHAIN_ENV.forEach((name) => {
+    delete process.env[name];
+  });
+  Object.assign(process.env, env);
+
+  let registry;
+  jest.isolateModules(() => {
+    registry = require('../../src/services/chainRegistry');
+  });
+  return registry;
+};
+
+describe('ChainRegistry', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('getDefaultChain', () => {
+    it('should use DEFAULT_CHAIN when set', () => {
+      const registry = loadRegistry({ DEFAULT_CHAIN: 'Songbird', NETWORK_CHAIN_ID: '114' });
+
+      expect(registry.getDefaultChain().key).toBe('songbird');
+    });
+
+    it('should fall back to the configured chain id and explorer', () => {
+      const registry = loadRegistry({
+        NETWORK_CHAIN_ID: '114',
+        BLOCKSCOUT_BASE_URL: 'https://coston2-explorer.example.org',
+      });
+
+      expect(registry.getDefaultChain()).toEqual(expect.objectContaining({
+        key: 'coston2',
+        nativeSymbol: 'C2FLR',
+        explorerBaseUrl: 'https://coston2-explorer.example.org',
+      }));
+    });
+
+    it('should default to Ethereum without configuration', () => {
+      expect(loadRegistry().getDefaultChain().key).toBe('ethereum');
+    });
+  });
+
+  describe('getChain', () => {
+    it('should look chains up by key or chain id', () => {
+      const registry = loadRegistry({ BLOCKSCOUT_BASE_URL_FLARE: 'https://flare.example.org' });
+
+      expect(registry.getChain('FLARE')).toEqual(expect.objectContaining({
+        chainId: 14,
+        nativeSymbol: 'FLR',
+        explorerBaseUrl: 'https://flare.example.org',
+      }));
+      expect(registry.getChain(8453).key).toBe('base');
+      expect(registry.getChain('19').key).toBe('songbird');
+      expect(registry.getChain(null)).toBe(registry.getDefaultChain());
+    });
+
+    it('should reject unsupported chains', () => {
+      const registry = loadRegistry();
+
+      expect(() => registry.getChain('dogechain')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(registry.isSupported('dogechain')).toBe(false);
+      expect(registry.isSupported('base')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({
+  getPriceForJournalEntry: jest.fn(),
+}));
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+jest.mock('../../src/services/accountService', () => ({
+  ensureChart: jest.fn(),
+  getChartOfAccounts: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const journalEntryService = require('../../src/services/journalEntryService');
+const costBasisService = require('../../src/services/costBasisService');
+const periodService = require('../../src/services/periodService');
+
+const assets = {
+  symbols: new Set(['ETH', 'BTC']),
+  accounts: new Set(['digital assets - ethereum', 'digital assets - bitcoin']),
+};
+
+// One journal entry moving ETH in (debit) or out (credit) of the asset account
+const ethEntry = (id, entryDate, type, amount, usdValue, counterAccount = 'Bank Account') => ({
+  id,
+  entryDate,
+  createdAt: `${entryDate}T00:00:00Z`,
+  source: 'manual',
+  lotSelection: null,
+  lines: [
+    { lineNumber: 1, account: type === 'debit' ? 'Digital Assets - Ethereum' : counterAccount, type: 'debit', amount, currency: 'ETH', usdValue },
+    { lineNumber: 2, account: type === 'debit' ? counterAccount : 'Digital Assets - Ethereum', type: 'credit', amount, currency: 'ETH', usdValue },
+  ],
+});
+
+describe('CostBasisService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computeLots', () => {
+    const twoBuysAndASale = [
+      ethEntry('buy-1', '2025-01-01', 'debit', 1, 1000),
+      ethEntry('buy-2', '2025-02-01', 'debit', 1, 2000),
+      ethEntry('sell-1', '2025-03-01', 'credit', 1.5, 4500),
+    ];
+
+    it('should consume the oldest lots first with FIFO', () => {
+      const { lots, realized } = costBasisService.computeLots(twoBuysAndASale, { method: 'FIFO', assets });
+
+      expect(lots.map(lot => lot.remainingQuantity)).toEqual([0, 0.5]);
+      expect(realized).toEqual([expect.objectContaining({
+        disposalKey: 'sell-1:2',
+        quantity: 1.5,
+        costUSD: 2000,
+        proceedsUSD: 4500,
+        gainUSD: 2500,
+      })]);
+    });
+
+    it('should consume the newest lots first with LIFO', () => {
+      const { lots, realized } = costBasisService.computeLots(twoBuysAndASale, { method: 'LIFO', assets });
+
+      expect(lots.map(lot => lot.remainingQuantity)).toEqual([0.5, 0]);
+      expect(realized[0]).toEqual(expect.objectContaining({ costUSD: 2500, gainUSD: 2000 }));
+    });
+
+    it('should consume the most expensive lots first with HIFO', () => {
+      const { disposals, realized } = costBasisService.computeLots([
+        ethEntry('buy-1', '2025-01-01', 'debit', 1, 1000),
+        ethEntry('buy-2', '2025-02-01', 'debit', 1, 3000),
+        ethEntry('buy-3', '2025-03-01', 'debit', 1, 2000),
+        ethEntry('sell-1', '2025-04-01', 'credit', 1, 2500),
+      ], { method: 'HIFO', assets });
+
+      expect(disposals).toEqual([expect.objectContaining({ lotKey: 'buy-2:1', quantity: 1, costUSD: 3000 })]);
+      expect(realized[0].gainUSD).toBe(-500);
+    });
+
+    it('should consume the selected lots with SPECIFIC_ID and fall back to FIFO', () => {
+      const sale = { ...ethEntry('sell-1', '2025-03-01', 'credit', 1.5, 4500), lotSelection: [{ lotKey: 'buy-2:1', quantity: 1 }] };
+
+      const { disposals } = costBasisService.computeLots([
+        ethEntry('buy-1', '2025-01-01', 'debit', 1, 1000),
+        ethEntry('buy-2', '2025-02-01', 'debit', 1, 2000),
+        sale,
+      ], { method: 'SPECIFIC_ID', assets });
+
+      expect(disposals.map(row => [row.lotKey, row.quantity])).toEqual([['buy-2:1', 1], ['buy-1:1', 0.5]]);
+    });
+
+    it('should replay entries in date order regardless of input order', () => {
+      const { realized } = costBasisService.computeLots([...twoBuysAndASale].reverse(), { method: 'FIFO', assets });
+
+      expect(realized[0].costUSD).toBe(2000);
+    });
+
+    it('should treat a move between asset accounts as neither acquisition nor disposal', () => {
+      const { lots, realized } = costBasisService.computeLots([
+        ethEntry('buy-1', '2025-01-01', 'debit', 1, 1000),
+        ethEntry('move-1', '2025-01-02', 'debit', 1, 1100, 'Digital Assets - Ethereum'),
+      ], { method: 'FIFO', assets });
+
+      expect(lots).toHaveLength(1);
+      expect(realized).toHaveLength(0);
+    });
+
+    it('should use a zero cost basis for quantity beyond the open lots', () => {
+      const { disposals, realized } = costBasisService.computeLots([
+        ethEntry('buy-1', '2025-01-01', 'debit', 1, 1000),
+        ethEntry('sell-1', '2025-02-01', 'credit', 2, 3000),
+      ], { method: 'FIFO', assets });
+
+      expect(disposals[1]).toEqual(expect.objectContaining({ lotKey: null, quantity: 1, costUSD: 0 }));
+      expect(realized[0]).toEqual(expect.objectContaining({ uncoveredQuantity: 1, gainUSD: 2000 }));
+    });
+
+    it('should ignore the gain entries it posted and lines in other currencies', () => {
+      const gainEntry = {
+        id: 'gain-1',
+        entryDate: '2025-03-01',
+        source: 'cost_basis',
+        lines: [
+          { lineNumber: 1, account: 'Digital Assets - Ethereum', type: 'debit', amount: 2500, currency: 'USD', usdValue: null },
+          { lineNumber: 2, account: 'Trading Revenue', type: 'credit', amount: 2500, currency: 'USD', usdValue: null },
+        ],
+      };
+
+      const { lots } = costBasisService.computeLots([...twoBuysAndASale, gainEntry], { method: 'FIFO', assets });
+
+      expect(lots).toHaveLength(2);
+    });
+  });
+
+  describe('buildGainEntries', () => {
+    it('should book gains to Trading Revenue and losses to Realized Loss on Crypto', () => {
+      const entries = costBasisService.buildGainEntries([
+        { disposalKey: 'a:2', entryDate: '2025-03-01', symbol: 'ETH', account: 'Digital Assets - Ethereum', quantity: 1, method: 'FIFO', gainUSD: 250.004 },
+        { disposalKey: 'b:2', entryDate: '2025-03-02', symbol: 'ETH', account: 'Digital Assets - Ethereum', quantity: 1, method: 'FIFO', gainUSD: -100 },
+        { disposalKey: 'c:2', entryDate: '2025-03-03', symbol: 'ETH', account: 'Digital Assets - Ethereum', quantity: 1, method: 'FIFO', gainUSD: null },
+      ]);
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0].gainUSD).toBe(250);
+      expect(entries[0].entry.lines).toEqual([
+        { account: 'Digital Assets - Ethereum', type: 'debit', amount: 250, currency: 'USD' },
+        { account: 'Trading Revenue', type: 'credit', amount: 250, currency: 'USD' },
+      ]);
+      expect(entries[1].entry.lines.map(line => line.account)).toEqual(['Realized Loss on Crypto', 'Digital Assets - Ethereum']);
+    });
+  });
+
+  describe('syncGainEntries', () => {
+    beforeEach(() => {
+      jest.spyOn(periodService, 'getClosedPeriods').mockResolvedValue(new Map());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep matching entries, remove stale ones and post missing ones', async () => {
+      const deleteIn = jest.fn().mockResolvedValue({ error: null });
+      mockSupabaseClient.from.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          eq: jest.fn().mockReturnValue({
+            eq: jest.fn().mockResolvedValue({
+              data: [
+                { id: 'kept', entry_date: '2025-03-01', metadata: { costBasis: { disposalKey: 'a:2', gainUSD: 250 } } },
+                { id: 'stale', entry_date: '2025-03-02', metadata: { costBasis: { disposalKey: 'b:2', gainUSD: -50 } } },
+              ],
+              error: null,
+            }),
+          }),
+        }),
+        delete: jest.fn().mockReturnValue({ in: deleteIn }),
+      });
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([]);
+
+      const result = await costBasisService.syncGainEntries('test-user-id', [
+        { disposalKey: 'a:2', entryDate: '2025-03-01', symbol: 'ETH', account: 'Digital Assets - Ethereum', quantity: 1, method: 'FIFO', gainUSD: 250 },
+        { disposalKey: 'b:2', entryDate: '2025-03-02', symbol: 'ETH', account: 'Digital Assets - Ethereum', quantity: 1, method: 'FIFO', gainUSD: -100 },
+      ]);
+
+      expect(result).toEqual({ posted: 1, removed: 1 });
+      expect(deleteIn).toHaveBeenCalledWith('id', ['stale']);
+      expect(saveSpy).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'cost_basis',
+        metadata: { costBasis: { disposalKey: 'b:2', gainUSD: -100 } },
+      }));
+
+      saveSpy.mockRestore();
+    });
+
+    it('should leave gain entries of locked periods untouched', async () => {
+      periodService.getClosedPeriods.mockResolvedValue(new Map([['2024-12', 'locked']]));
+      const deleteIn = jest.fn().mockResolvedValue({ error: null });
+      mockSupabaseClient.from.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          eq: jest.fn().mockReturnValue({
+            eq: jest.fn().mockResolvedValue({
+              data: [
+                { id: 'locked', entry_date: '2024-12-20', metadata: { costBasis: { disposalKey: 'a:2', gainUSD: 250 } } },
+              ],
+              error: null,
+            }),
+          }),
+        }),
+        delete: jest.fn().mockReturnValue({ in: deleteIn }),
+      });
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([]);
+
+      const result = await costBasisService.syncGainEntries('test-user-id', [
+        { disposalKey: 'a:2', entryDate: '2024-12-20', symbol: 'ETH', account: 'Digital Assets - Ethereum', quantity: 1, method: 'FIFO', gainUSD: 300 },
+      ]);
+
+      expect(result).toEqual({ posted: 0, removed: 0 });
+      expect(deleteIn).not.toHaveBeenCalled();
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../../src/services/accountService', () => ({
+  getAccountForCrypto: jest.fn(),
+}));
+jest.mock('../../src/services/priceService', () => ({
+  getPriceForJournalEntry: jest.fn(),
+}));
+
+const accountService = require('../../src/services/accountService');
+const priceService = require('../../src/services/priceService');
+const exchangeEntryService = require('../../src/services/exchangeEntryService');
+
+const USER_ID = 'test-user-id';
+
+const record = overrides => ({
+  exchange: 'kraken',
+  externalId: 'R-1',
+  type: 'trade',
+  timestamp: '2025-03-10T14:30:00.000Z',
+  received: null,
+  sent: null,
+  fees: [],
+  address: null,
+  note: null,
+  rows: [2],
+  ...overrides,
+});
+
+// Debits minus credits per currency
+const netByCurrency = lines => lines.reduce((totals, line) => ({
+  ...totals,
+  [line.currency]: (totals[line.currency] || 0) + (line.type === 'debit' ? line.amount : -line.amount),
+}), {});
+
+describe('ExchangeEntryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountService.getAccountForCrypto.mockImplementation((userId, symbol) =>
+      Promise.resolve(symbol === 'BTC' ? { name: 'Digital Assets - Bitcoin' } : null));
+  });
+
+  describe('buildJournalEntry', () => {
+    it('should book each side of a trade against Currency Trading at the same USD value', async () => {
+      priceService.getPriceForJournalEntry.mockResolvedValue({ supported: true, usdValue: 6000 });
+
+      const entry = await exchangeEntryService.buildJournalEntry(record({
+        received: { asset: 'BTC', amount: 0.1 },
+        sent: { asset: 'USDT', amount: 6010 },
+        fees: [{ asset: 'USDT', amount: 6 }],
+      }), USER_ID);
+
+      expect(priceService.getPriceForJournalEntry).toHaveBeenCalledWith('USDT', 6010, '2025-03-10T14:30:00.000Z', USER_ID);
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ account: 'Digital Assets - Bitcoin', type: 'debit', amount: 0.1, currency: 'BTC', bookValueUSD: 6000 }),
+        expect.objectContaining({ account: 'Currency Trading', type: 'credit', amount: 0.1, currency: 'BTC', bookValueUSD: 6000 }),
+        expect.objectContaining({ account: 'Currency Trading', type: 'debit', amount: 6010, currency: 'USDT', bookValueUSD: 6000 }),
+        expect.objectContaining({ account: 'Digital Assets - USDT', type: 'credit', amount: 6010, currency: 'USDT', bookValueUSD: 6000 }),
+        expect.objectContaining({ account: 'Exchange Fees', type: 'debit', amount: 6, currency: 'USDT' }),
+        expect.objectContaining({ account: 'Digital Assets - USDT', type: 'credit', amount: 6, currency: 'USDT' }),
+      ]);
+      expect(netByCurrency(entry.lines)).toEqual({ BTC: 0, USDT: 0 });
+      expect(entry.narrative).toBe('Kraken trade: 6010 USDT for 0.1 BTC');
+    });
+
+    it('should value a trade against USD at its USD amount and hold fiat in the exchange bank account', async () => {
+      const entry = await exchangeEntryService.buildJournalEntry(record({
+        exchange: 'coinbase',
+        received: { asset: 'USD', amount: 2950 },
+        sent: { asset: 'BTC', amount: 0.05 },
+      }), USER_ID);
+
+      expect(priceService.getPriceForJournalEntry).not.toHaveBeenCalled();
+      expect(entry.lines[0]).toEqual(expect.objectContaining({ account: 'Bank Account - Crypto Exchange', currency: 'USD', bookValueUSD: 2950 }));
+      expect(entry.lines[3]).toEqual(expect.objectContaining({ account: 'Digital Assets - Bitcoin', type: 'credit', bookValueUSD: 2950 }));
+    });
+
+    it('should leave a trade unpriced when neither side has a price, and skip pricing for previews', async () => {
+      priceService.getPriceForJournalEntry.mockResolvedValue({ supported: false, usdValue: null });
+      const trade = record({ received: { asset: 'XYD', amount: 1000 }, sent: { asset: 'FOO', amount: 50 } });
+
+      const entry = await exchangeEntryService.buildJournalEntry(trade, USER_ID);
+      expect(entry.lines.every(line => line.bookValueUSD === null)).toBe(true);
+
+      priceService.getPriceForJournalEntry.mockClear();
+      const preview = await exchangeEntryService.buildJournalEntry(trade, USER_ID, { valueTrades: false });
+      expect(priceService.getPriceForJournalEntry).not.toHaveBeenCalled();
+      expect(preview.lines.some(line => 'bookValueUSD' in line)).toBe(false);
+    });
+
+    it('should book staking rewards as revenue and fiat deposits as a move from the bank', async () => {
+      const reward = await exchangeEntryService.buildJournalEntry(record({
+        type: 'staking_reward',
+        received: { asset: 'BTC', amount: 0.001 },
+      }), USER_ID);
+      const deposit = await exchangeEntryService.buildJournalEntry(record({
+        type: 'deposit',
+        received: { asset: 'EUR', amount: 500 },
+      }), USER_ID);
+
+      expect(reward.lines.map(line => [line.account, line.type])).toEqual([
+        ['Digital Assets - Bitcoin', 'debit'],
+        ['Staking Revenue', 'credit'],
+      ]);
+      expect(deposit.lines.map(line => [line.account, line.type])).toEqual([
+        ['Bank Account - Crypto Exchange', 'debit'],
+        ['Bank Account - Operating', 'credit'],
+      ]);
+      expect(deposit.confidence).toBeLessThan(reward.confidence);
+    });
+
+    it('should leave crypto deposits and withdrawals to the AI', async () => {
+      await expect(exchangeEntryService.buildJournalEntry(record({
+        type: 'deposit',
+        received: { asset: 'BTC', amount: 0.5 },
+      }), USER_ID)).resolves.toBeNull();
+      await expect(exchangeEntryService.buildJournalEntry(record({
+        type: 'withdrawal',
+        sent: { asset: 'ETH', amount: 1 },
+        fees: [{ asset: 'ETH', amount: 0.001 }],
+      }), USER_ID)).resolves.toBeNull();
+    });
+  });
+});
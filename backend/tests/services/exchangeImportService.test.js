@@ -0,0 +1,240 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  getAccountForCrypto: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../src/services/priceService', () => ({
+  getPriceForJournalEntry: jest.fn(),
+}));
+jest.mock('../../src/services/journalEntryService', () => ({
+  saveJournalEntries: jest.fn(),
+  refreshCostBasis: jest.fn(),
+}));
+jest.mock('../../src/services/walletService', () => ({
+  listWallets: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../src/services/jobService', () => ({
+  enqueue: jest.fn(),
+}));
+jest.mock('../../src/services/aiClients', () => ({
+  analyzeExchangeTransaction: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const aiClient = require('../../src/services/aiClients');
+const jobService = require('../../src/services/jobService');
+const journalEntryService = require('../../src/services/journalEntryService');
+const exchangeImportService = require('../../src/services/exchangeImportService');
+
+const USER_ID = 'test-user-id';
+
+const BINANCE_CSV = [
+  'User_ID,UTC_Time,Account,Operation,Coin,Change,Remark',
+  '1001,2025-03-10 14:30:00,Spot,Transaction Spend,USDT,-6010,',
+  '1001,2025-03-10 14:30:00,Spot,Transaction Buy,BTC,0.1,',
+  '1001,2025-03-10 14:30:00,Spot,Transaction Fee,BNB,-0.01,',
+  '1001,2025-03-11 09:00:00,Spot,Deposit,ETH,2,',
+  '1001,2025-03-12 00:00:00,Earn,Simple Earn Flexible Interest,USDT,0.35,',
+  '1001,2025-03-12 00:00:00,Spot,Transfer Between Main and Funding Wallet,USDT,-100,',
+  '1001,2025-03-13 00:00:00,Spot,Margin Liquidation,USDT,-5,',
+].join('\n');
+
+const COINBASE_CSV = [
+  '"Transactions"',
+  '"User","someone@example.com"',
+  'ID,Timestamp,Transaction Type,Asset,Quantity Transacted,Price Currency,Price at Transaction,Subtotal,Total (inclusive of fees and/or spread),Fees and/or Spread,Notes',
+  'cb-1,2025-03-10 14:30:00 UTC,Buy,BTC,0.05,USD,$59000.00,$2950.00,$2965.00,$15.00,"Bought 0.05 BTC for $2,965.00 USD"',
+  'cb-2,2025-03-11 08:00:00 UTC,Convert,ETH,1,USD,$3000.00,$3000.00,$3000.00,$20.00,Converted 1 ETH to 2980.5 USDC',
+  'cb-3,2025-03-12 08:00:00 UTC,Send,ETH,0.5,USD,$3000.00,$1500.00,$1500.00,$0.00,Sent 0.5 ETH to 0xd423b4b575d2808459035294bf971a5834eb7b87',
+].join('\n');
+
+const KRAKEN_CSV = [
+  '"txid","refid","time","type","subtype","aclass","asset","amount","fee","balance"',
+  '"L1","T-1","2025-03-10 14:30:00","trade","","currency","ZEUR","-2500.0000","4.0000","7500.0000"',
+  '"L2","T-1","2025-03-10 14:30:00","trade","","currency","XXBT","0.0500000000","0.0000000000","0.0500000000"',
+  '"L3","S-1","2025-03-11 01:00:00","staking","","currency","DOT.S","0.4200000000","0.0000000000","10.42"',
+  '"","S-1","2025-03-11 01:00:00","staking","","currency","DOT.S","0.4200000000","0.0000000000","10.42"',
+].join('\n');
+
+describe('ExchangeImportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parse', () => {
+    it('should group the rows of a Binance trade and read deposits and rewards', () => {
+      const { records, errors } = exchangeImportService.parse(USER_ID, 'binance', BINANCE_CSV);
+
+      expect(records.map(record => record.type)).toEqual(['trade', 'deposit', 'staking_reward']);
+      expect(records[0]).toEqual(expect.objectContaining({
+        timestamp: '2025-03-10T14:30:00.000Z',
+        received: { asset: 'BTC', amount: 0.1 },
+        sent: { asset: 'USDT', amount: 6010 },
+        fees: [{ asset: 'BNB', amount: 0.01 }],
+        rows: [2, 3, 4],
+        description: 'Binance trade: 6010 USDT for 0.1 BTC',
+      }));
+      expect(records[0].txid).toMatch(/^binance:[0-9a-f]{32}$/);
+      expect(errors).toEqual([{ row: 8, message: 'Unsupported Binance operation "Margin Liquidation"' }]);
+    });
+
+    it('should find the Coinbase header below the preamble and read buys, converts and sends', () => {
+      const { records } = exchangeImportService.parse(USER_ID, 'coinbase', COINBASE_CSV);
+
+      expect(records[0]).toEqual(expect.objectContaining({
+        externalId: 'cb-1',
+        type: 'trade',
+        received: { asset: 'BTC', amount: 0.05 },
+        sent: { asset: 'USD', amount: 2950 },
+        fees: [{ asset: 'USD', amount: 15 }],
+      }));
+      expect(records[1]).toEqual(expect.objectContaining({
+        type: 'trade',
+        sent: { asset: 'ETH', amount: 1 },
+        received: { asset: 'USDC', amount: 2980.5 },
+        fees: [],
+      }));
+      expect(records[2]).toEqual(expect.objectContaining({
+        type: 'withdrawal',
+        sent: { asset: 'ETH', amount: 0.5 },
+        address: '0xd423b4b575d2808459035294bf971a5834eb7b87',
+      }));
+    });
+
+    it('should pair Kraken ledger rows by refid and translate its asset codes', () => {
+      const { records } = exchangeImportService.parse(USER_ID, 'kraken', KRAKEN_CSV);
+
+      expect(records).toEqual([
+        expect.objectContaining({
+          externalId: 'T-1',
+          type: 'trade',
+          received: { asset: 'BTC', amount: 0.05 },
+          sent: { asset: 'EUR', amount: 2500 },
+          fees: [{ asset: 'EUR', amount: 4 }],
+        }),
+        expect.objectContaining({ externalId: 'S-1', type: 'staking_reward', received: { asset: 'DOT', amount: 0.42 } }),
+      ]);
+    });
+
+    it('should give a record the same txid on every upload, per user', () => {
+      const first = exchangeImportService.parse(USER_ID, 'binance', BINANCE_CSV).records;
+      const again = exchangeImportService.parse(USER_ID, 'binance', BINANCE_CSV.split('\n').slice(0, 4).join('\n')).records;
+      const otherUser = exchangeImportService.parse('other-user-id', 'binance', BINANCE_CSV).records;
+
+      expect(again[0].txid).toBe(first[0].txid);
+      expect(otherUser[0].txid).not.toBe(first[0].txid);
+      expect(new Set(first.map(record => record.txid)).size).toBe(first.length);
+    });
+
+    it('should refuse a file that is not the exchange\'s export', () => {
+      expect(() => exchangeImportService.parse(USER_ID, 'kraken', BINANCE_CSV)).toThrow('No Kraken transactions found in the file');
+      expect(() => exchangeImportService.parse(USER_ID, 'bitstamp', BINANCE_CSV)).toThrow('Unsupported exchange: bitstamp');
+    });
+  });
+
+  describe('preview', () => {
+    it('should flag records imported before and show the entries the rules would book', async () => {
+      const { records } = exchangeImportService.parse(USER_ID, 'binance', BINANCE_CSV);
+      const lookup = mockQuery({ data: [{ txid: records[0].txid }], error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(lookup);
+
+      const preview = await exchangeImportService.preview(USER_ID, 'binance', BINANCE_CSV);
+
+      expect(lookup.eq).toHaveBeenCalledWith('user_id', USER_ID);
+      expect(preview.summary).toEqual({ records: 3, new: 2, duplicates: 1, invalidRows: 1, needsAi: 1 });
+      expect(preview.records[0].duplicate).toBe(true);
+      expect(preview.records[1]).toEqual(expect.objectContaining({ type: 'deposit', entry: null, needsAi: true }));
+      expect(preview.records[2].entry.lines[1]).toEqual(expect.objectContaining({ account: 'Staking Revenue', type: 'credit' }));
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('importFile', () => {
+    it('should store the new records as pending transactions and queue their booking', async () => {
+      const insertImport = mockQuery({ data: { id: 'import-1' }, error: null });
+      const upsert = mockQuery({ data: [{ id: 'tx-1' }, { id: 'tx-2' }], error: null });
+      const updateImport = mockQuery({ data: { id: 'import-1', records_imported: 2 }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(insertImport)
+        .mockReturnValueOnce(upsert)
+        .mockReturnValueOnce(updateImport);
+      jobService.enqueue.mockResolvedValue({ id: 'job-1' });
+
+      const result = await exchangeImportService.importFile(USER_ID, { exchange: 'binance', text: BINANCE_CSV, fileName: 'march.csv' });
+
+      expect(insertImport.insert).toHaveBeenCalledWith(expect.objectContaining({ exchange: 'binance', file_name: 'march.csv', records_total: 3, rows_invalid: 1 }));
+      const [rows, options] = upsert.upsert.mock.calls[0];
+      expect(options).toEqual({ onConflict: 'txid', ignoreDuplicates: true });
+      expect(rows[0]).toEqual(expect.objectContaining({
+        user_id: USER_ID,
+        status: 'pending',
+        import_id: 'import-1',
+        description: 'Binance trade: 6010 USDT for 0.1 BTC',
+        blockchain_data: expect.objectContaining({ source: 'exchange_import', type: 'trade' }),
+      }));
+      expect(jobService.enqueue).toHaveBeenCalledWith(USER_ID, 'exchange_import', { importId: 'import-1' });
+      expect(updateImport.update).toHaveBeenCalledWith({ records_imported: 2, records_duplicate: 1, job_id: 'job-1' });
+      expect(result.job).toEqual({ id: 'job-1' });
+    });
+
+    it('should not queue a job when every record was imported before', async () => {
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: { id: 'import-2' }, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: { id: 'import-2' }, error: null }));
+
+      const result = await exchangeImportService.importFile(USER_ID, { exchange: 'kraken', text: KRAKEN_CSV });
+
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+      expect(result.job).toBeNull();
+    });
+  });
+
+  describe('processImport', () => {
+    it('should book each record at its own time and mark it processed or failed', async () => {
+      const record = { exchange: 'kraken', type: 'staking_reward', timestamp: '2025-03-11T01:00:00.000Z', received: { asset: 'DOT', amount: 0.42 }, fees: [] };
+      const pending = mockQuery({
+        data: [
+          { id: 'tx-1', txid: 'kraken:a', description: 'Kraken staking reward: 0.42 DOT', blockchain_data: record },
+          { id: 'tx-2', txid: 'kraken:b', description: 'Kraken deposit: 1 ETH', blockchain_data: { ...record, type: 'deposit' } },
+        ],
+        error: null,
+      });
+      const statusUpdates = [];
+      mockSupabaseClient.from
+        .mockReturnValueOnce(pending)
+        .mockImplementation(() => {
+          const update = mockQuery({ error: null });
+          statusUpdates.push(update);
+          return update;
+        });
+      aiClient.analyzeExchangeTransaction
+        .mockResolvedValueOnce([{ isCompound: true, lines: [], confidence: 0.95 }])
+        .mockRejectedValueOnce(new Error('AI unavailable'));
+      journalEntryService.saveJournalEntries.mockResolvedValue([{ id: 'je-1' }]);
+
+      const result = await exchangeImportService.processImport(USER_ID, 'import-1');
+
+      expect(pending.in).toHaveBeenCalledWith('status', ['pending', 'failed']);
+      expect(journalEntryService.saveJournalEntries).toHaveBeenCalledWith(expect.objectContaining({
+        entries: [expect.objectContaining({ entryDate: '2025-03-11', transactionDate: '2025-03-11T01:00:00.000Z' })],
+        source: 'exchange_import',
+        transactionId: 'tx-1',
+        rebuildCostBasis: false,
+      }));
+      expect(journalEntryService.refreshCostBasis).toHaveBeenCalledTimes(1);
+      expect(journalEntryService.refreshCostBasis).toHaveBeenCalledWith(USER_ID);
+      const statusOf = id => statusUpdates.find(update => update.eq.mock.calls[0][1] === id).update.mock.calls[0][0];
+      expect(statusOf('tx-1')).toEqual({ status: 'processed' });
+      expect(statusOf('tx-2')).toEqual({ status: 'failed' });
+      expect(result.summary).toEqual({ total: 2, successful: 1, failed: 1, journalEntriesGenerated: 1 });
+    });
+  });
+});
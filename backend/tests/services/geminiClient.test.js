@@ -0,0 +1,72 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('@google/generative-ai');
+jest.mock('../../src/services/ftsoService', () => ({}));
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+process.env.GOOGLE_GEMINI_API_KEY = 'test-key';
+
+const journalEntryService = require('../../src/services/journalEntryService');
+const periodService = require('../../src/services/periodService');
+const reviewService = require('../../src/services/reviewService');
+const GeminiClient = require('../../src/services/aiClients/geminiClient');
+
+const USER_ID = 'test-user-id';
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+describe('GeminiClient', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = new GeminiClient();
+    jest.spyOn(journalEntryService, 'getBookedTransactionHashes').mockResolvedValue(new Set());
+    jest.spyOn(periodService, 'partitionWritable').mockImplementation(async (userId, entries) => ({ writable: entries, blocked: [] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('saveBulkJournalEntries', () => {
+    it('should pass the account substitutions of compound entries on to the review queue', async () => {
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([{ id: 'entry-1' }]);
+      const substitution = { side: 'debit', requested: 'Swap Fees', substituted: 'Transaction Fees' };
+
+      await client.saveBulkJournalEntries([{
+        transactionHash: '0xabc',
+        category: 'swaps',
+        entries: [{
+          isCompound: true,
+          narrative: 'Swap ETH for USDC',
+          confidence: 0.9,
+          lines: [
+            { account: 'Digital Assets - USDC', type: 'debit', amount: 2500, currency: 'USDC' },
+            { account: 'Currency Trading', type: 'credit', amount: 2500, currency: 'USDC' },
+            { account: 'Currency Trading', type: 'debit', amount: 1, currency: 'ETH' },
+            { account: 'Digital Assets - Ethereum', type: 'credit', amount: 1, currency: 'ETH' },
+          ],
+          accountSubstitutions: [substitution],
+          requiresAccountCreation: false,
+        }],
+      }], USER_ID, WALLET);
+
+      const [saved] = saveSpy.mock.calls[0][0].entries;
+      expect(saved).toEqual(expect.objectContaining({
+        accountSubstitutions: [substitution],
+        requiresAccountCreation: false,
+      }));
+      expect(reviewService.assessEntry(saved, 0.7)).toEqual([{ reason: 'account_substituted', ...substitution }]);
+    });
+  });
+});
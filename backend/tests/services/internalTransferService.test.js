@@ -0,0 +1,99 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/accountService', () => ({
+  getAccountForCrypto: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const accountService = require('../../src/services/accountService');
+const internalTransferService = require('../../src/services/internalTransferService');
+
+const USER_ID = 'test-user-id';
+const OPERATING = '0xd423b4b575d2808459035294bf971a5834eb7b87';
+const TREASURY = '0x742e8c9b3be7936e2f6d143de3e9bb8f4b4d2b9e';
+
+const ownWallets = [
+  {
+    address: OPERATING,
+    label: 'Operating',
+    default_asset_account: { id: 'acc-op', name: 'Digital Assets - C2FLR (Operating)', currency: 'C2FLR' },
+  },
+  {
+    address: TREASURY,
+    label: 'Treasury',
+    default_asset_account: { id: 'acc-tr', name: 'Digital Assets - C2FLR (Treasury)', currency: 'C2FLR' },
+  },
+];
+
+describe('InternalTransferService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountService.getAccountForCrypto.mockResolvedValue(null);
+  });
+
+  describe('buildJournalEntry', () => {
+    it('should move the asset between the wallets and only expense the gas fee', async () => {
+      const entry = await internalTransferService.buildJournalEntry({
+        hash: '0xabc',
+        from: OPERATING,
+        to: TREASURY,
+        actualAmount: 5,
+        gasFee: 0.002,
+        networkCurrency: 'C2FLR',
+      }, ownWallets, USER_ID);
+
+      expect(entry.isCompound).toBe(true);
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ account: 'Digital Assets - C2FLR (Treasury)', type: 'debit', amount: 5, currency: 'C2FLR' }),
+        expect.objectContaining({ account: 'Digital Assets - C2FLR (Operating)', type: 'credit', amount: 5, currency: 'C2FLR' }),
+        expect.objectContaining({ account: 'Transaction Fees', type: 'debit', amount: 0.002, currency: 'C2FLR' }),
+        expect.objectContaining({ account: 'Digital Assets - C2FLR (Operating)', type: 'credit', amount: 0.002, currency: 'C2FLR' }),
+      ]);
+      expect(entry.narrative).toBe('Internal transfer of 5 C2FLR from Operating to Treasury');
+    });
+
+    it('should use the asset account of the token for token transfers', async () => {
+      accountService.getAccountForCrypto.mockResolvedValue({ name: 'Digital Assets - USDC' });
+
+      const entry = await internalTransferService.buildJournalEntry({
+        hash: '0xabc',
+        from: OPERATING,
+        to: '0x0000000000000000000000000000000000000002',
+        networkCurrency: 'C2FLR',
+        tokenTransfer: { from: OPERATING, to: TREASURY, tokenSymbol: 'USDC', tokenAmount: 250 },
+      }, ownWallets, USER_ID);
+
+      expect(accountService.getAccountForCrypto).toHaveBeenCalledWith(USER_ID, 'USDC');
+      expect(entry.lines).toEqual([
+        expect.objectContaining({ account: 'Digital Assets - USDC', type: 'debit', amount: 250, currency: 'USDC' }),
+        expect.objectContaining({ account: 'Digital Assets - USDC', type: 'credit', amount: 250, currency: 'USDC' }),
+      ]);
+    });
+  });
+
+  describe('filterUnbooked', () => {
+    it('should drop transfers already booked from the other wallet', async () => {
+      const builder = {};
+      ['select', 'eq'].forEach((method) => {
+        builder[method] = jest.fn(() => builder);
+      });
+      builder.in = jest.fn().mockResolvedValue({
+        data: [{ metadata: { transactionHash: '0xa1', category: 'internal_transfer' } }],
+        error: null,
+      });
+      mockSupabaseClient.from.mockReturnValue(builder);
+
+      const remaining = await internalTransferService.filterUnbooked('test-user-id', [{ hash: '0xa1' }, { hash: '0xa2' }]);
+
+      expect(remaining).toEqual([{ hash: '0xa2' }]);
+      expect(builder.eq).toHaveBeenCalledWith('metadata->>category', 'internal_transfer');
+      expect(builder.in).toHaveBeenCalledWith('metadata->>transactionHash', ['0xa1', '0xa2']);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/aiClients', () => ({
+  analyzeBulkTransactions: jest.fn(),
+}));
+jest.mock('../../src/services/walletService', () => ({
+  listWallets: jest.fn(),
+}));
+jest.mock('../../src/services/bulkTransactionService', () => ({
+  processTransactions: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const aiClient = require('../../src/services/aiClients');
+const walletService = require('../../src/services/walletService');
+const jobService = require('../../src/services/jobService');
+
+const USER_ID = 'test-user-id';
+const ADDRESS = '0xd423b4b575d2808459035294bf971a5834eb7b87';
+
+// In-memory jobs table behind a chainable, awaitable query builder
+let mockJobs;
+
+const mockMatches = (row, calls) => calls.every(([method, column, value]) => {
+  if (method === 'eq') return row[column] === value;
+  if (method === 'in') return value.includes(row[column]);
+  return true;
+});
+
+const mockHandleQuery = (calls) => {
+  const [operation, payload] = calls[0];
+  const rows = mockJobs.filter(row => mockMatches(row, calls));
+
+  if (operation === 'insert') {
+    const row = { id: `job-${mockJobs.length + 1}`, progress: {}, attempts: 0, ...payload };
+    mockJobs.push(row);
+    return { data: { ...row }, error: null };
+  }
+  if (operation === 'update') {
+    rows.forEach(row => Object.assign(row, payload));
+    return { data: rows.map(row => ({ ...row })), error: null };
+  }
+
+  const limit = calls.find(([method]) => method === 'limit');
+  const selected = limit ? rows.slice(0, limit[1]) : rows;
+  if (calls.some(([method]) => method === 'single')) {
+    return selected[0]
+      ? { data: { ...selected[0] }, error: null }
+      : { data: null, error: { code: 'PGRST116' } };
+  }
+  return { data: selected.map(row => ({ ...row })), error: null };
+};
+
+const mockQueryBuilder = () => {
+  const calls = [];
+  const builder = {};
+  ['select', 'insert', 'update', 'eq', 'in', 'order', 'limit', 'single'].forEach((method) => {
+    builder[method] = jest.fn((...args) => {
+      // select() after insert/update only shapes the returned rows
+      if (!(method === 'select' && calls.length > 0)) {
+        calls.push([method, ...args]);
+      }
+      return builder;
+    });
+  });
+  builder.then = (resolve, reject) => Promise.resolve().then(() => mockHandleQuery(calls)).then(resolve, reject);
+  return builder;
+};
+
+// Resolves once the job reaches a finished status
+const waitForJob = async (jobId) => {
+  for (let i = 0; i < 50; i++) {
+    const job = mockJobs.find(row => row.id === jobId);
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status) && jobService.running.size === 0) {
+      return job;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+describe('JobService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockJobs = [];
+    mockSupabaseClient.from.mockImplementation(mockQueryBuilder);
+    walletService.listWallets.mockResolvedValue([{ address: ADDRESS }]);
+  });
+
+  it('should run a queued wallet analysis and store its progress and result', async () => {
+    aiClient.analyzeBulkTransactions.mockImplementation(async (address, options) => {
+      await options.onProgress({ stage: 'analyzing', categories: { token_transfer: { status: 'running' } } });
+      return { success: true, walletAddress: address };
+    });
+
+    const job = await jobService.enqueue(USER_ID, 'wallet_analysis', { address: ADDRESS, options: { limit: 20 } });
+    expect(job.status).toBe('queued');
+
+    const finished = await waitForJob(job.id);
+
+    expect(aiClient.analyzeBulkTransactions).toHaveBeenCalledWith(
+      ADDRESS,
+      expect.objectContaining({ limit: 20, ownWallets: [{ address: ADDRESS }], signal: expect.any(AbortSignal) }),
+      USER_ID,
+    );
+    expect(finished).toEqual(expect.objectContaining({
+      status: 'succeeded',
+      attempts: 1,
+      progress: { stage: 'analyzing', categories: { token_transfer: { status: 'running' } } },
+      result: { success: true, walletAddress: ADDRESS },
+    }));
+  });
+
+  it('should record the error of a failed job', async () => {
+    aiClient.analyzeBulkTransactions.mockRejectedValue(new Error('Blockscout unavailable'));
+
+    const job = await jobService.enqueue(USER_ID, 'wallet_analysis', { address: ADDRESS });
+
+    await expect(waitForJob(job.id)).resolves.toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Blockscout unavailable',
+    }));
+  });
+
+  it('should abort a running job when it is cancelled', async () => {
+    let markStarted;
+    const started = new Promise((resolve) => {
+      markStarted = resolve;
+    });
+    aiClient.analyzeBulkTransactions.mockImplementation((address, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      markStarted(options.signal);
+    }));
+
+    const job = await jobService.enqueue(USER_ID, 'wallet_analysis', { address: ADDRESS });
+    const signal = await started;
+
+    const cancelled = await jobService.cancelJob(USER_ID, job.id);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(signal.aborted).toBe(true);
+    const finished = await waitForJob(job.id);
+    expect(finished.status).toBe('cancelled');
+    expect(finished).not.toHaveProperty('result');
+    await expect(jobService.cancelJob(USER_ID, job.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should publish progress and completion to subscribers', async () => {
+    aiClient.analyzeBulkTransactions.mockImplementation(async (address, options) => {
+      await options.onProgress({ step: 'blockchain_fetch', message: 'Fetching transactions' });
+      return { success: true };
+    });
+
+    const events = [];
+    const job = await jobService.enqueue(USER_ID, 'wallet_analysis', { address: ADDRESS });
+    const unsubscribe = jobService.subscribe(job.id, event => events.push(event));
+
+    await waitForJob(job.id);
+    unsubscribe();
+
+    expect(events).toEqual([
+      { type: 'progress', progress: { step: 'blockchain_fetch', message: 'Fetching transactions' } },
+      { type: 'finished', job: expect.objectContaining({ id: job.id, status: 'succeeded' }) },
+    ]);
+    expect(jobService.events.listenerCount(job.id)).toBe(0);
+  });
+
+  it('should queue jobs interrupted by a restart again', async () => {
+    mockJobs = [
+      { id: 'job-a', user_id: USER_ID, status: 'running', attempts: 1 },
+      { id: 'job-b', user_id: USER_ID, status: 'running', attempts: 3 },
+      { id: 'job-c', user_id: USER_ID, status: 'succeeded', attempts: 1 },
+    ];
+
+    await jobService.recoverInterruptedJobs();
+
+    expect(mockJobs.map(job => job.status)).toEqual(['queued', 'failed', 'succeeded']);
+  });
+
+  it('should only show a job to its owner', async () => {
+    mockJobs = [{ id: 'job-a', user_id: 'other-user', status: 'queued' }];
+
+    await expect(jobService.getJob(USER_ID, 'job-a')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should reject unknown job types', async () => {
+    await expect(jobService.enqueue(USER_ID, 'mining', {})).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
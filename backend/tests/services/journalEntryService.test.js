@@ -0,0 +1,449 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({
+  getPriceForJournalEntry: jest.fn(),
+}));
+jest.mock('../../src/services/costBasisService', () => ({
+  rebuild: jest.fn(),
+}));
+jest.mock('../../src/services/periodService', () => ({
+  assertWritable: jest.fn(),
+}));
+jest.mock('../../src/services/auditService', () => ({
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+  matchAccountName: jest.fn(),
+  findSimilarAccounts: jest.fn(),
+  indexChart: chart => jest.requireActual('../../src/services/accountService').indexChart(chart),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const ftsoService = require('../../src/services/ftsoService');
+const costBasisService = require('../../src/services/costBasisService');
+const periodService = require('../../src/services/periodService');
+const accountService = require('../../src/services/accountService');
+const auditService = require('../../src/services/auditService');
+const priceService = require('../../src/services/priceService');
+const journalEntryService = require('../../src/services/journalEntryService');
+const { AppError } = require('../../src/middleware/errorHandler');
+
+const chartOfAccounts = [
+  { id: 'acc-1805', code: '1805', name: 'Digital Assets - USDC', account_type: 'ASSET' },
+  { id: 'acc-2001', code: '2001', name: 'Accounts Payable', account_type: 'LIABILITY' },
+  { id: 'acc-6001', code: '6001', name: 'Transaction Fees', account_type: 'EXPENSE' },
+];
+
+describe('JournalEntryService - compound entries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    journalEntryService.supabase = mockSupabaseClient;
+    ftsoService.getPriceForJournalEntry.mockResolvedValue({ supported: false });
+    accountService.getChartOfAccounts.mockResolvedValue(chartOfAccounts);
+  });
+
+  describe('normalizeEntryLines', () => {
+    it('should turn a legacy debit/credit pair into two lines', () => {
+      const lines = journalEntryService.normalizeEntryLines({
+        accountDebit: 'Digital Assets - USDC',
+        accountCredit: 'Share Capital',
+        amount: '-999',
+        currency: 'USDC',
+      });
+
+      expect(lines).toEqual([
+        { account: 'Digital Assets - USDC', type: 'debit', amount: 999, currency: 'USDC', narrative: null },
+        { account: 'Share Capital', type: 'credit', amount: 999, currency: 'USDC', narrative: null },
+      ]);
+    });
+
+    it('should keep compound lines when no pair is present', () => {
+      const lines = journalEntryService.normalizeEntryLines({
+        lines: [
+          { account: 'Accounts Payable', type: 'debit', amount: 500, currency: 'USDC' },
+          { account: 'Transaction Fees', type: 'DEBIT', amount: 2, currency: 'USDC' },
+          { account: 'Digital Assets - USDC', type: 'credit', amount: 502, currency: 'USDC' },
+        ],
+      });
+
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toEqual(expect.objectContaining({ type: 'debit', amount: 2 }));
+    });
+  });
+
+  describe('validateEntryBalance', () => {
+    it('should accept lines that balance per currency', () => {
+      const result = journalEntryService.validateEntryBalance([
+        { account: 'Digital Assets - USDC', type: 'debit', amount: 3400, currency: 'USDC' },
+        { account: 'Currency Trading', type: 'credit', amount: 3400, currency: 'USDC' },
+        { account: 'Currency Trading', type: 'debit', amount: 1, currency: 'ETH' },
+        { account: 'Digital Assets - Ethereum', type: 'credit', amount: 1, currency: 'ETH' },
+      ]);
+
+      expect(result.balanced).toBe(true);
+      expect(result.reasons).toEqual([]);
+    });
+
+    it('should reject lines that do not balance in a currency', () => {
+      const result = journalEntryService.validateEntryBalance([
+        { account: 'Digital Assets - USDC', type: 'debit', amount: 3400, currency: 'USDC' },
+        { account: 'Digital Assets - Ethereum', type: 'credit', amount: 1, currency: 'ETH' },
+      ]);
+
+      expect(result.balanced).toBe(false);
+      expect(result.reasons).toEqual(expect.arrayContaining([
+        expect.stringContaining('USDC debits 3400 do not equal credits 0'),
+        expect.stringContaining('ETH debits 0 do not equal credits 1'),
+      ]));
+    });
+
+    it('should reject lines that balance natively but not in USD', () => {
+      const result = journalEntryService.validateEntryBalance([
+        { account: 'Digital Assets - XYD', type: 'debit', amount: 10, currency: 'XYD', usdValue: 15 },
+        { account: 'Trading Revenue', type: 'credit', amount: 10, currency: 'XYD', usdValue: 12 },
+      ]);
+
+      expect(result.balanced).toBe(false);
+      expect(result.reasons[0]).toContain('USD debits 15.00 do not equal credits 12.00');
+    });
+
+    it('should require both a debit and a credit side', () => {
+      const result = journalEntryService.validateEntryBalance([
+        { account: 'Transaction Fees', type: 'debit', amount: 1, currency: 'ETH' },
+      ]);
+
+      expect(result.balanced).toBe(false);
+    });
+  });
+
+  describe('saveJournalEntries', () => {
+    it('should reject an unbalanced entry before writing anything', async () => {
+      await expect(journalEntryService.saveJournalEntries({
+        entries: [{
+          lines: [
+            { account: 'Accounts Payable', type: 'debit', amount: 500, currency: 'USDC' },
+            { account: 'Digital Assets - USDC', type: 'credit', amount: 502, currency: 'USDC' },
+          ],
+          narrative: 'Supplier payment',
+        }],
+        userId: 'test-user-id',
+      })).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(mockSupabaseClient.from).not.toHaveBeenCalledWith('journal_entries');
+      expect(costBasisService.rebuild).not.toHaveBeenCalled();
+    });
+
+    it('should refuse entries dated in a locked period before writing anything', async () => {
+      periodService.assertWritable.mockRejectedValueOnce(new AppError('Accounting period 2024-12 is locked', 409));
+
+      await expect(journalEntryService.saveJournalEntries({
+        entries: [{
+          accountDebit: 'Transaction Fees',
+          accountCredit: 'Digital Assets - USDC',
+          amount: 2,
+          currency: 'USDC',
+          entryDate: '2024-12-15',
+        }],
+        userId: 'test-user-id',
+        source: 'manual',
+      })).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(periodService.assertWritable).toHaveBeenCalledWith('test-user-id', ['2024-12-15'], 'manual');
+      expect(mockSupabaseClient.from).not.toHaveBeenCalledWith('journal_entries');
+    });
+
+    it('should save a compound entry as a header with its lines', async () => {
+      const headerInsert = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          data: [{ id: 'entry-1', is_compound: true }],
+          error: null,
+        }),
+      });
+      const lineInsert = jest.fn(rows => ({
+        select: jest.fn().mockResolvedValue({
+          data: rows.map((row, index) => ({ id: `line-${index}`, ...row })),
+          error: null,
+        }),
+      }));
+
+      mockSupabaseClient.from.mockImplementation(table => (
+        table === 'journal_entries' ? { insert: headerInsert } : { insert: lineInsert }
+      ));
+
+      const saved = await journalEntryService.saveJournalEntries({
+        entries: [{
+          lines: [
+            { account: 'Accounts Payable', type: 'debit', amount: 500, currency: 'USDC' },
+            { account: 'transaction fees', type: 'debit', amount: 2, currency: 'USDC' },
+            { accountCode: '1805', type: 'credit', amount: 502, currency: 'USDC' },
+          ],
+          narrative: 'Supplier payment including transfer fee',
+        }],
+        userId: 'test-user-id',
+      });
+
+      expect(headerInsert).toHaveBeenCalledWith([expect.objectContaining({
+        account_debit: null,
+        account_credit: null,
+        amount: 502,
+        currency: 'USDC',
+        is_compound: true,
+      })]);
+      expect(lineInsert.mock.calls[0][0]).toHaveLength(3);
+      expect(lineInsert.mock.calls[0][0][2]).toEqual(expect.objectContaining({
+        journal_entry_id: 'entry-1',
+        line_number: 3,
+        account_name: 'Digital Assets - USDC',
+        account_id: 'acc-1805',
+        account_code: '1805',
+        entry_type: 'credit',
+      }));
+      expect(lineInsert.mock.calls[0][0][1]).toEqual(expect.objectContaining({
+        account_name: 'Transaction Fees',
+        account_id: 'acc-6001',
+      }));
+      expect(saved[0].journal_entry_lines).toHaveLength(3);
+      expect(costBasisService.rebuild).toHaveBeenCalledWith('test-user-id');
+    });
+
+    it('should leave the cost basis rebuild to the batch when asked to', async () => {
+      mockSupabaseClient.from.mockImplementation(() => ({
+        insert: jest.fn(rows => ({
+          select: jest.fn().mockResolvedValue({ data: rows.map((row, index) => ({ id: `row-${index}`, ...row })), error: null }),
+        })),
+      }));
+
+      await journalEntryService.saveJournalEntries({
+        entries: [{ accountDebit: 'Transaction Fees', accountCredit: 'Digital Assets - USDC', amount: 2, currency: 'USDC' }],
+        userId: 'test-user-id',
+        rebuildCostBasis: false,
+      });
+
+      expect(costBasisService.rebuild).not.toHaveBeenCalled();
+    });
+
+    it('should remove the saved entries when their audit events cannot be recorded', async () => {
+      const remove = { delete: jest.fn().mockReturnThis(), in: jest.fn().mockResolvedValue({ error: null }) };
+      const headerInsert = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({ data: [{ id: 'entry-1' }], error: null }),
+      });
+      const lineInsert = jest.fn(rows => ({
+        select: jest.fn().mockResolvedValue({ data: rows, error: null }),
+      }));
+      mockSupabaseClient.from.mockImplementation(table => (
+        table === 'journal_entries' ? { insert: headerInsert, ...remove } : { insert: lineInsert }
+      ));
+      auditService.recordMany.mockRejectedValueOnce(new AppError('Failed to record audit event', 500));
+
+      await expect(journalEntryService.saveJournalEntries({
+        entries: [{ accountDebit: 'Transaction Fees', accountCredit: 'Digital Assets - USDC', amount: 2, currency: 'USDC' }],
+        userId: 'test-user-id',
+      })).rejects.toMatchObject({ statusCode: 500, message: 'Failed to record audit event' });
+
+      expect(remove.in).toHaveBeenCalledWith('id', ['entry-1']);
+      expect(costBasisService.rebuild).not.toHaveBeenCalled();
+    });
+
+    it('should queue AI analysis entries for review below the user threshold', async () => {
+      const headerInsert = jest.fn(rows => ({
+        select: jest.fn().mockResolvedValue({
+          data: rows.map((row, index) => ({ id: `entry-${index}`, ...row })),
+          error: null,
+        }),
+      }));
+      const lineInsert = jest.fn(rows => ({
+        select: jest.fn().mockResolvedValue({ data: rows, error: null }),
+      }));
+      const settingsQuery = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        single: jest.fn().mockResolvedValue({ data: { review_confidence_threshold: '0.90' }, error: null }),
+      };
+
+      mockSupabaseClient.from.mockImplementation(table => ({
+        journal_entries: { insert: headerInsert },
+        journal_entry_lines: { insert: lineInsert },
+        user_settings: settingsQuery,
+      }[table]));
+
+      const pair = { accountDebit: 'Transaction Fees', accountCredit: 'Digital Assets - USDC', amount: 1, currency: 'USDC' };
+      const saved = await journalEntryService.saveJournalEntries({
+        entries: [
+          { ...pair, confidence: 0.95 },
+          { ...pair, confidence: 0.7 },
+        ],
+        userId: 'test-user-id',
+        source: 'ai_bulk_processing',
+      });
+
+      expect(saved.map(entry => entry.review_status)).toEqual(['approved', 'pending']);
+      expect(saved[1].review_reasons).toEqual([{ reason: 'low_confidence', confidence: 0.7, threshold: 0.9 }]);
+    });
+
+    it('should price lines at the transaction date instead of now', async () => {
+      const priceSpy = jest.spyOn(priceService, 'getPriceForJournalEntry').mockResolvedValue({
+        supported: true,
+        usdValue: 2000,
+        source: 'coingecko',
+        priceData: { usdPrice: 2000, lastUpdated: '2025-03-10T00:00:00.000Z', priceId: 'price-1' },
+      });
+      const headerInsert = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({ data: [{ id: 'entry-1' }], error: null }),
+      });
+      const lineInsert = jest.fn(rows => ({
+        select: jest.fn().mockResolvedValue({ data: rows, error: null }),
+      }));
+
+      mockSupabaseClient.from.mockImplementation(table => (
+        table === 'journal_entries' ? { insert: headerInsert } : { insert: lineInsert }
+      ));
+
+      await journalEntryService.saveJournalEntries({
+        entries: [{
+          accountDebit: 'Digital Assets - Ethereum',
+          accountCredit: 'Share Capital',
+          amount: 1,
+          currency: 'ETH',
+          transactionDate: '2025-03-10T14:30:00Z',
+        }],
+        userId: 'test-user-id',
+      });
+
+      expect(priceSpy).toHaveBeenCalledWith('ETH', 1, '2025-03-10T14:30:00Z', 'test-user-id');
+      expect(headerInsert.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+        usd_value: 2000,
+        usd_timestamp: '2025-03-10T00:00:00.000Z',
+      }));
+      expect(lineInsert.mock.calls[0][0][0]).toEqual(expect.objectContaining({
+        usd_timestamp: '2025-03-10T00:00:00.000Z',
+        usd_source: 'coingecko',
+        price_id: 'price-1',
+      }));
+
+      priceSpy.mockRestore();
+    });
+
+    it('should keep lines outside the chart of accounts without an account id', async () => {
+      const headerInsert = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue({ data: [{ id: 'entry-1' }], error: null }),
+      });
+      const lineInsert = jest.fn(rows => ({
+        select: jest.fn().mockResolvedValue({ data: rows, error: null }),
+      }));
+
+      mockSupabaseClient.from.mockImplementation(table => (
+        table === 'journal_entries' ? { insert: headerInsert } : { insert: lineInsert }
+      ));
+
+      await journalEntryService.saveJournalEntries({
+        entries: [{ accountDebit: 'Consulting Fees Paid', accountCredit: 'Digital Assets - USDC', amount: 100, currency: 'USDC' }],
+        userId: 'test-user-id',
+      });
+
+      expect(lineInsert.mock.calls[0][0].map(line => [line.account_name, line.account_id, line.account_code])).toEqual([
+        ['Consulting Fees Paid', null, null],
+        ['Digital Assets - USDC', 'acc-1805', '1805'],
+      ]);
+    });
+  });
+
+  describe('getBookedTransactionHashes', () => {
+    it('should return the hashes that have entries other than rejected ones', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        neq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockResolvedValue({ data: [{ metadata: { transactionHash: '0xa1' } }], error: null }),
+      };
+      mockSupabaseClient.from.mockReturnValueOnce(query);
+
+      const booked = await journalEntryService.getBookedTransactionHashes('test-user-id', ['0xa1', '0xa2']);
+
+      expect(query.neq).toHaveBeenCalledWith('review_status', 'rejected');
+      expect(query.in).toHaveBeenCalledWith('metadata->>transactionHash', ['0xa1', '0xa2']);
+      expect([...booked]).toEqual(['0xa1']);
+    });
+
+    it('should not query without hashes', async () => {
+      await expect(journalEntryService.getBookedTransactionHashes('test-user-id', [])).resolves.toEqual(new Set());
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkExistingLines', () => {
+    it('should link the lines of every matched account name and report the rest', async () => {
+      const unlinked = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        is: jest.fn().mockResolvedValue({
+          data: [{ account_name: 'Gas Fees' }, { account_name: 'Gas Fees' }, { account_name: 'Misc' }],
+          error: null,
+        }),
+      };
+      const update = {
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        is: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue({ data: [{ id: 'line-1' }, { id: 'line-2' }], error: null }),
+      };
+      mockSupabaseClient.from.mockReturnValueOnce(unlinked).mockReturnValueOnce(update);
+      accountService.matchAccountName.mockImplementation(async (userId, name) => (
+        name === 'Gas Fees' ? chartOfAccounts[2] : null
+      ));
+      accountService.findSimilarAccounts.mockResolvedValue([{ ...chartOfAccounts[1], score: 1 }]);
+
+      const result = await journalEntryService.linkExistingLines('test-user-id');
+
+      expect(update.update).toHaveBeenCalledWith({ account_id: 'acc-6001', account_code: '6001' });
+      expect(update.eq).toHaveBeenCalledWith('account_name', 'Gas Fees');
+      expect(accountService.findSimilarAccounts).toHaveBeenCalledWith('test-user-id', 'Misc');
+      expect(result).toEqual({
+        linked: [{ accountName: 'Gas Fees', account: 'Transaction Fees', code: '6001', lines: 2 }],
+        unmatched: [{ accountName: 'Misc', suggestions: [{ id: 'acc-2001', code: '2001', name: 'Accounts Payable' }] }],
+      });
+    });
+
+    it('should link a name to the account the user confirmed', async () => {
+      const unlinked = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        is: jest.fn().mockResolvedValue({ data: [{ account_name: 'Misc' }], error: null }),
+      };
+      const update = {
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        is: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue({ data: [{ id: 'line-1' }], error: null }),
+      };
+      mockSupabaseClient.from.mockReturnValueOnce(unlinked).mockReturnValueOnce(update);
+      accountService.getChartOfAccounts.mockResolvedValue(chartOfAccounts);
+
+      const result = await journalEntryService.linkExistingLines('test-user-id', { Misc: 'acc-2001' });
+
+      expect(accountService.matchAccountName).not.toHaveBeenCalled();
+      expect(update.update).toHaveBeenCalledWith({ account_id: 'acc-2001', account_code: '2001' });
+      expect(result.linked).toEqual([{ accountName: 'Misc', account: 'Accounts Payable', code: '2001', lines: 1 }]);
+    });
+
+    it('should refuse a confirmed account outside the chart before linking anything', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce({
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        is: jest.fn().mockResolvedValue({ data: [{ account_name: 'Misc' }], error: null }),
+      });
+      accountService.getChartOfAccounts.mockResolvedValue(chartOfAccounts);
+
+      await expect(journalEntryService.linkExistingLines('test-user-id', { Misc: 'acc-9999' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Account not found: acc-9999' });
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/blockscoutClient', () => ({
+  forChain: jest.fn(),
+}));
+jest.mock('../../src/services/walletService', () => ({
+  listWallets: jest.fn(),
+}));
+jest.mock('../../src/services/costBasisService', () => ({
+  getAssetAccounts: jest.fn(),
+  isAssetAccount: jest.fn((account) => account.toLowerCase().startsWith('digital assets')),
+}));
+jest.mock('../../src/services/journalEntryService', () => ({
+  getEntryLines: jest.fn(entry => entry.journal_entry_lines.map(line => ({
+    account: line.account_name,
+    type: line.entry_type,
+    amount: line.amount,
+    currency: line.currency,
+    usdValue: line.usd_value === undefined ? 1 : line.usd_value,
+  }))),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const blockscoutClient = require('../../src/services/blockscoutClient');
+const walletService = require('../../src/services/walletService');
+const costBasisService = require('../../src/services/costBasisService');
+const onchainReconciliationService = require('../../src/services/onchainReconciliationService');
+
+const USER_ID = 'test-user-id';
+const WALLET = { id: 'wallet-1', label: 'Treasury', address: '0xAAAA000000000000000000000000000000000001', chain: 'coston2' };
+const ADDRESS = WALLET.address.toLowerCase();
+const USDT = '0x00000000000000000000000000000000000000ff';
+
+// Transaction hashes: h(1) = 0x000...01
+const h = n => `0x${String(n).padStart(64, '0')}`;
+
+const line = (account, type, amount, currency, extra = {}) => ({ account_name: account, entry_type: type, amount, currency, ...extra });
+const entry = (id, txid, lines, extra = {}) => ({
+  id,
+  entry_date: '2025-03-10',
+  source: 'ai_transaction',
+  metadata: null,
+  reverses_entry_id: null,
+  transactions: txid ? { txid } : null,
+  journal_entry_lines: lines,
+  ...extra,
+});
+
+const LEDGER = [
+  entry('e1', h(1), [line('Digital Assets - C2FLR', 'debit', 100, 'C2FLR'), line('Consulting Revenue', 'credit', 100, 'C2FLR')]),
+  // Payment of 10 C2FLR with its gas fee, and the gas fee booked again on its own
+  entry('e2', h(2), [
+    line('Software Expense', 'debit', 10, 'C2FLR'),
+    line('Gas Fees', 'debit', 0.001, 'C2FLR'),
+    line('Digital Assets - C2FLR', 'credit', 10.001, 'C2FLR'),
+  ]),
+  entry('e3', h(2), [line('Gas Fees', 'debit', 0.001, 'C2FLR'), line('Digital Assets - C2FLR', 'credit', 0.001, 'C2FLR')]),
+  // A duplicate that was reversed: the pair nets to nothing
+  entry('e4', h(1), [line('Digital Assets - C2FLR', 'debit', 100, 'C2FLR'), line('Consulting Revenue', 'credit', 100, 'C2FLR')]),
+  entry('e5', h(1), [line('Consulting Revenue', 'debit', 100, 'C2FLR'), line('Digital Assets - C2FLR', 'credit', 100, 'C2FLR')], { reverses_entry_id: 'e4' }),
+  entry('e6', h(11), [
+    line('Digital Assets - USDT', 'debit', 250, 'USDT', { usd_value: null }),
+    line('Consulting Revenue', 'credit', 250, 'USDT', { usd_value: null }),
+  ]),
+  // One token payment booked twice
+  entry('e7', h(12), [line('Supplier Payments', 'debit', 50, 'USDT'), line('Digital Assets - USDT', 'credit', 50, 'USDT')]),
+  entry('e8', h(12), [line('Supplier Payments', 'debit', 50, 'USDT'), line('Digital Assets - USDT', 'credit', 50, 'USDT')]),
+  // Gas of a Coston2 transaction booked in ETH
+  entry('e9', h(2), [line('Gas Fees', 'debit', 0.001, 'ETH'), line('Digital Assets - Ethereum', 'credit', 0.001, 'ETH')]),
+  // Holdings at an exchange are not in the wallets
+  entry('e10', 'kraken:abc', [line('Digital Assets - Bitcoin', 'debit', 0.1, 'BTC'), line('Currency Trading', 'credit', 0.1, 'BTC')], { source: 'exchange_import' }),
+];
+
+describe('OnchainReconciliationService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = {
+      getBlockNumberAt: jest.fn().mockResolvedValue(1000),
+      getBlock: jest.fn(),
+      // Native history, newest first: h(4) comes after the cut-off block
+      getCoinBalanceHistoryPage: jest.fn().mockResolvedValue({
+        items: [
+          { hash: h(4), blockNumber: 1200, delta: 5, balance: 95.999 },
+          { hash: h(3), blockNumber: 900, delta: 1, balance: 90.999 },
+          { hash: h(2), blockNumber: 500, delta: -10.001, balance: 89.999 },
+          { hash: h(1).toUpperCase().replace('0X', '0x'), blockNumber: 100, delta: 100, balance: 100 },
+        ],
+        nextPageParams: null,
+      }),
+      getTokenBalances: jest.fn().mockResolvedValue([
+        { contractAddress: USDT, symbol: 'USDT', name: 'Tether', decimals: 6, balance: 300 },
+      ]),
+      getAddressHistoryPage: jest.fn().mockResolvedValue({
+        items: [
+          { hash: h(13), from: '0xbbbb', to: ADDRESS, actualAmount: 100, tokenSymbol: 'USDT', contractAddress: USDT, blockNumber: 1100 },
+          { hash: h(12), from: ADDRESS, to: '0xcccc', actualAmount: 50, tokenSymbol: 'USDT', contractAddress: USDT, blockNumber: 600 },
+          { hash: h(11), from: '0xbbbb', to: ADDRESS, actualAmount: 250, tokenSymbol: 'USDT', contractAddress: USDT, blockNumber: 200 },
+        ],
+        nextPageParams: null,
+      }),
+    };
+    blockscoutClient.forChain.mockReturnValue(client);
+    walletService.listWallets.mockResolvedValue([WALLET]);
+    costBasisService.getAssetAccounts.mockResolvedValue({ symbols: new Set(), accounts: new Set() });
+  });
+
+  describe('reconcile', () => {
+    it('should compare balances at the block of the date and explain the differences by transaction', async () => {
+      const ledgerQuery = mockQuery({ data: LEDGER, error: null });
+      mockSupabaseClient.from.mockReturnValue(ledgerQuery);
+
+      const report = await onchainReconciliationService.reconcile(USER_ID, { date: '2025-03-31' });
+
+      expect(client.getBlockNumberAt).toHaveBeenCalledWith('2025-03-31T23:59:59.999Z');
+      expect(ledgerQuery.lte).toHaveBeenCalledWith('entry_date', '2025-03-31');
+      expect(report.blocks).toEqual({ coston2: 1000 });
+      expect(report.assets.map(({ asset, onChainBalance, ledgerBalance, difference, explainedDifference, reconciled }) =>
+        ({ asset, onChainBalance, ledgerBalance, difference, explainedDifference, reconciled }))).toEqual([
+        { asset: 'C2FLR', onChainBalance: 90.999, ledgerBalance: 89.998, difference: -1.001, explainedDifference: -1.001, reconciled: false },
+        { asset: 'ETH', onChainBalance: 0, ledgerBalance: -0.001, difference: -0.001, explainedDifference: -0.001, reconciled: false },
+        { asset: 'USDT', onChainBalance: 200, ledgerBalance: 150, difference: -50, explainedDifference: -50, reconciled: false },
+      ]);
+      expect(report.assets[0].wallets).toEqual([
+        { walletId: 'wallet-1', label: 'Treasury', address: WALLET.address, chain: 'coston2', contractAddress: null, balance: 90.999 },
+      ]);
+
+      expect(report.issues.map(({ type, asset, txid, difference, entryIds }) => ({ type, asset, txid, difference, entryIds }))).toEqual([
+        { type: 'missing', asset: 'C2FLR', txid: h(3), difference: -1, entryIds: [] },
+        { type: 'double_booked_gas', asset: 'C2FLR', txid: h(2), difference: -0.001, entryIds: ['e2', 'e3'] },
+        { type: 'not_on_chain', asset: 'ETH', txid: h(2), difference: -0.001, entryIds: ['e9'] },
+        { type: 'double_booked', asset: 'USDT', txid: h(12), difference: -50, entryIds: ['e7', 'e8'] },
+        { type: 'unpriced', asset: 'USDT', txid: h(11), difference: 0, entryIds: ['e6'] },
+      ]);
+      expect(report.summary).toEqual({ assets: 3, reconciled: 0, differences: 3, issues: 5 });
+    });
+
+    it('should read the latest balances for today and report matching books as reconciled', async () => {
+      mockSupabaseClient.from.mockReturnValue(mockQuery({
+        data: [
+          entry('e1', h(1), [line('Digital Assets - C2FLR', 'debit', 100, 'C2FLR'), line('Consulting Revenue', 'credit', 100, 'C2FLR')]),
+        ],
+        error: null,
+      }));
+      client.getCoinBalanceHistoryPage.mockResolvedValue({
+        items: [{ hash: h(1), blockNumber: 100, delta: 100, balance: 100 }],
+        nextPageParams: null,
+      });
+      client.getTokenBalances.mockResolvedValue([]);
+      client.getAddressHistoryPage.mockResolvedValue({ items: [], nextPageParams: null });
+
+      const report = await onchainReconciliationService.reconcile(USER_ID);
+
+      expect(client.getBlockNumberAt).not.toHaveBeenCalled();
+      expect(report.blocks).toEqual({ coston2: null });
+      expect(report.assets).toEqual([expect.objectContaining({ asset: 'C2FLR', difference: 0, reconciled: true, historyComplete: true })]);
+      expect(report.issues).toEqual([]);
+    });
+
+    it('should compare by balance only when the history is longer than it reads', async () => {
+      mockSupabaseClient.from.mockReturnValue(mockQuery({ data: [], error: null }));
+      client.getCoinBalanceHistoryPage.mockResolvedValue({
+        items: [{ hash: h(5), blockNumber: 100, delta: 1, balance: 40 }],
+        nextPageParams: { block_number: 99 },
+      });
+      client.getTokenBalances.mockResolvedValue([]);
+      client.getAddressHistoryPage.mockResolvedValue({ items: [], nextPageParams: null });
+
+      const report = await onchainReconciliationService.reconcile(USER_ID);
+
+      expect(report.assets).toEqual([expect.objectContaining({ asset: 'C2FLR', onChainBalance: 40, difference: -40, historyComplete: false })]);
+      expect(report.issues).toEqual([]);
+    });
+
+    it('should refuse a block number for wallets on several chains', async () => {
+      walletService.listWallets.mockResolvedValue([WALLET, { ...WALLET, id: 'wallet-2', chain: 'flare' }]);
+
+      await expect(onchainReconciliationService.reconcile(USER_ID, { blockNumber: 1000 }))
+        .rejects.toThrow('A block number belongs to one chain; reconcile wallets on several chains by date');
+      expect(client.getBlock).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({}));
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+  indexChart: chart => jest.requireActual('../../src/services/accountService').indexChart(chart),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const accountService = require('../../src/services/accountService');
+const journalEntryService = require('../../src/services/journalEntryService');
+const periodService = require('../../src/services/periodService');
+
+const USER_ID = 'test-user-id';
+
+const chartOfAccounts = [
+  { name: 'Trading Revenue', account_type: 'REVENUE' },
+  { name: 'Transaction Fees', account_type: 'EXPENSE' },
+  { name: 'Digital Assets - Ethereum', account_type: 'ASSET' },
+  { name: 'Retained Earnings', account_type: 'EQUITY' },
+];
+
+// Stored entry with its lines
+const entry = (id, lines, overrides = {}) => ({
+  id,
+  review_status: 'approved',
+  metadata: {},
+  journal_entry_lines: lines.map(([account, type, amount, currency, usdValue], index) => ({
+    line_number: index + 1,
+    account_name: account,
+    entry_type: type,
+    amount: String(amount),
+    currency,
+    usd_value: usdValue === null ? null : String(usdValue),
+  })),
+  ...overrides,
+});
+
+describe('PeriodService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertWritable', () => {
+    it('should refuse any write into a locked period', async () => {
+      mockSupabaseClient.from.mockReturnValue(mockQuery({ data: [{ period: '2024-12', status: 'locked' }], error: null }));
+
+      await expect(periodService.assertWritable(USER_ID, ['2025-01-03', '2024-12-31'], 'manual'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Accounting period 2024-12 is locked' });
+    });
+
+    it('should refuse AI entries but take manual ones in a soft-closed period', async () => {
+      mockSupabaseClient.from.mockReturnValue(mockQuery({ data: [{ period: '2025-04', status: 'soft_closed' }], error: null }));
+
+      await expect(periodService.assertWritable(USER_ID, ['2025-04-10'], 'ai_transaction'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(periodService.assertWritable(USER_ID, ['2025-04-10'], 'manual')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('buildClosingLines', () => {
+    it('should close revenue and expenses into retained earnings at their booked USD values', () => {
+      const lines = periodService.buildClosingLines([
+        entry('sale', [
+          ['Digital Assets - Ethereum', 'debit', 1, 'ETH', 3000],
+          ['Trading Revenue', 'credit', 1, 'ETH', 3000],
+        ]),
+        entry('gas', [
+          ['Transaction Fees', 'debit', 0.01, 'ETH', 25],
+          ['Digital Assets - Ethereum', 'credit', 0.01, 'ETH', 25],
+        ]),
+      ], chartOfAccounts);
+
+      expect(lines).toEqual([
+        { account: 'Trading Revenue', type: 'debit', amount: 1, currency: 'ETH', bookValueUSD: 3000 },
+        { account: 'Transaction Fees', type: 'credit', amount: 0.01, currency: 'ETH', bookValueUSD: 25 },
+        { account: 'Retained Earnings', type: 'credit', amount: 0.99, currency: 'ETH', bookValueUSD: 2975 },
+      ]);
+    });
+  });
+
+  describe('closeYear', () => {
+    it('should post the closing entry and lock the twelve months', async () => {
+      const lock = mockQuery({ data: [{ period: '2024-12', status: 'locked' }], error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(mockQuery({
+          data: [entry('sale', [
+            ['Digital Assets - Ethereum', 'debit', 1, 'ETH', 3000],
+            ['Trading Revenue', 'credit', 1, 'ETH', 3000],
+          ])],
+          error: null,
+        }))
+        .mockReturnValueOnce(lock);
+      accountService.getChartOfAccounts.mockResolvedValue(chartOfAccounts);
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([{ id: 'closing-1' }]);
+
+      const result = await periodService.closeYear(USER_ID, 2024);
+
+      expect(saveSpy).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'period_close',
+        metadata: { periodClose: { year: 2024 } },
+        entries: [expect.objectContaining({ entryDate: '2024-12-31' })],
+      }));
+      const periods = lock.upsert.mock.calls[0][0];
+      expect(periods).toHaveLength(12);
+      expect(periods.every(period => period.status === 'locked')).toBe(true);
+      expect(periods[11]).toEqual(expect.objectContaining({ period: '2024-12', closing_entry_id: 'closing-1' }));
+      expect(result.closingEntry).toEqual({ id: 'closing-1' });
+    });
+
+    it('should refuse to close a year with lines on accounts outside the chart', async () => {
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(mockQuery({
+          data: [entry('gift', [
+            ['Digital Assets - Ethereum', 'debit', 1, 'ETH', 3000],
+            ['Gift Income', 'credit', 1, 'ETH', 3000],
+          ])],
+          error: null,
+        }));
+      accountService.getChartOfAccounts.mockResolvedValue(chartOfAccounts);
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(periodService.closeYear(USER_ID, 2024)).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('Gift Income'),
+      });
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to close a year with entries pending review', async () => {
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: [], error: null }))
+        .mockReturnValueOnce(mockQuery({ data: [entry('pending', [], { review_status: 'pending' })], error: null }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(periodService.closeYear(USER_ID, 2024)).rejects.toMatchObject({ statusCode: 409 });
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to close a year again when it had no closing entry', async () => {
+      const months = Array.from({ length: 12 }, (_, index) => ({ period: `2024-${String(index + 1).padStart(2, '0')}` }));
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: months, error: null }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(periodService.closeYear(USER_ID, 2024)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Year 2024 is already closed',
+      });
+      expect(saveSpy).not.toHaveBeenCalled();
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(1);
+    });
+  });
+});
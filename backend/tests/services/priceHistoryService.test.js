@@ -0,0 +1,127 @@
+jest.mock('@supabase/supabase-js');
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const priceHistoryService = require('../../src/services/priceHistoryService');
+
+// price_history lookup resolving to the given row (null = no stored price)
+const mockStoredPrice = (row) => {
+  const upsert = jest.fn().mockResolvedValue({ error: null });
+  const single = jest.fn().mockResolvedValue(row
+    ? { data: row, error: null }
+    : { data: null, error: { code: 'PGRST116' } });
+  const builder = {
+    select: jest.fn(() => builder),
+    eq: jest.fn(() => builder),
+    single,
+    upsert,
+  };
+  mockSupabaseClient.from.mockReturnValue(builder);
+  return { builder, upsert };
+};
+
+describe('PriceHistoryService', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = priceHistoryService.providers[0];
+    jest.spyOn(provider, 'getDailyPrices').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPrice', () => {
+    it('should leave recent prices to the live providers', async () => {
+      const price = await priceHistoryService.getPrice('ETH', { date: '2025-03-10', recent: true });
+
+      expect(price).toBeNull();
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+
+    it('should use the stored daily price with its original source', async () => {
+      const { builder } = mockStoredPrice({ usd_price: '2000.5', source: 'coingecko' });
+
+      const price = await priceHistoryService.getPrice('eth', { date: '2025-03-10', recent: false });
+
+      expect(builder.eq).toHaveBeenCalledWith('symbol', 'ETH');
+      expect(builder.eq).toHaveBeenCalledWith('price_date', '2025-03-10');
+      expect(price).toEqual({ usdPrice: 2000.5, source: 'coingecko', pricedAt: '2025-03-10T00:00:00.000Z' });
+      expect(provider.getDailyPrices).not.toHaveBeenCalled();
+    });
+
+    it('should fetch and store a missing daily price from the provider', async () => {
+      const { upsert } = mockStoredPrice(null);
+      provider.getDailyPrices.mockResolvedValue([{ date: '2025-03-10', usdPrice: 2100 }]);
+
+      const price = await priceHistoryService.getPrice('ETH', { date: '2025-03-10', recent: false });
+
+      expect(provider.getDailyPrices).toHaveBeenCalledWith('ETH', '2025-03-10', '2025-03-10');
+      expect(upsert).toHaveBeenCalledWith([expect.objectContaining({
+        symbol: 'ETH',
+        price_date: '2025-03-10',
+        usd_price: 2100,
+        source: 'coingecko',
+      })], { onConflict: 'symbol,price_date' });
+      expect(price.usdPrice).toBe(2100);
+    });
+
+    it('should return null for symbols no provider supports', async () => {
+      mockStoredPrice(null);
+
+      await expect(priceHistoryService.getPrice('XYD', { date: '2025-03-10', recent: false })).resolves.toBeNull();
+    });
+  });
+
+  describe('backfill', () => {
+    it('should store every day returned by the provider', async () => {
+      const { upsert } = mockStoredPrice(null);
+      provider.getDailyPrices.mockResolvedValue([
+        { date: '2025-03-01', usdPrice: 2000 },
+        { date: '2025-03-02', usdPrice: 2050 },
+      ]);
+
+      const summary = await priceHistoryService.backfill('eth', '2025-03-01', '2025-03-02');
+
+      expect(summary).toEqual(expect.objectContaining({ symbol: 'ETH', requestedDays: 2, storedDays: 2, provider: 'coingecko' }));
+      expect(upsert.mock.calls[0][0]).toHaveLength(2);
+    });
+
+    it('should reject ranges longer than a year and unsupported symbols', async () => {
+      await expect(priceHistoryService.backfill('ETH', '2023-01-01', '2025-01-01')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(priceHistoryService.backfill('XYD', '2025-03-01', '2025-03-02')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('CoinGeckoProvider.getDailyPrices', () => {
+    it('should keep the first price of each UTC day within the range', async () => {
+      provider.getDailyPrices.mockRestore();
+      jest.spyOn(provider.client, 'get').mockResolvedValue({
+        data: {
+          prices: [
+            [Date.parse('2025-03-01T00:05:00Z'), 2000],
+            [Date.parse('2025-03-01T12:00:00Z'), 2100],
+            [Date.parse('2025-03-02T00:03:00Z'), 2050],
+            [Date.parse('2025-03-03T00:01:00Z'), 1990],
+          ],
+        },
+      });
+
+      const prices = await provider.getDailyPrices('ETH', '2025-03-01', '2025-03-02');
+
+      expect(provider.client.get).toHaveBeenCalledWith('/coins/ethereum/market_chart/range', expect.any(Object));
+      expect(prices).toEqual([
+        { date: '2025-03-01', usdPrice: 2000 },
+        { date: '2025-03-02', usdPrice: 2050 },
+      ]);
+    });
+  });
+});
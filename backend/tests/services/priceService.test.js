@@ -0,0 +1,125 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({
+  allowMockPrices: false,
+  isAvailable: jest.fn(),
+  getContractPrice: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const priceService = require('../../src/services/priceService');
+
+// resolved_prices: empty cache, inserts return the given id
+const mockResolvedPrices = (cachedRows = [], insertedId = 'price-1') => {
+  const cache = mockQuery({ data: cachedRows, error: null });
+  const insert = mockQuery({ data: { id: insertedId }, error: null });
+  mockSupabaseClient.from.mockImplementation(() => ({
+    select: cache.select,
+    insert: insert.insert,
+  }));
+  return { cache, insert };
+};
+
+const getProvider = (providers, name) => providers.find(provider => provider.name === name);
+
+describe('PriceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    [...priceService.currentProviders, ...priceService.historicalProviders].forEach((provider) => {
+      jest.spyOn(provider, 'getPrice').mockResolvedValue(null);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isRecent', () => {
+    it('should treat missing, current and today timestamps as recent', () => {
+      expect(priceService.isRecent(null)).toBe(true);
+      expect(priceService.isRecent(new Date().toISOString())).toBe(true);
+      expect(priceService.isRecent(new Date().toISOString().split('T')[0])).toBe(true);
+    });
+
+    it('should treat older timestamps as history', () => {
+      expect(priceService.isRecent('2025-03-10')).toBe(false);
+      expect(priceService.isRecent(new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString())).toBe(false);
+    });
+  });
+
+  describe('provider chain', () => {
+    it('should try FTSO, Blockscout, manual prices and stablecoin pegs in order', () => {
+      expect(priceService.currentProviders.map(provider => provider.name))
+        .toEqual(['ftso', 'blockscout', 'manual', 'stablecoin_peg']);
+      expect(priceService.historicalProviders.map(provider => provider.name))
+        .toEqual(['price_history', 'manual', 'stablecoin_peg']);
+    });
+
+    it('should fall through failing and empty providers and persist the winner with its source', async () => {
+      const { insert } = mockResolvedPrices();
+      const ftso = getProvider(priceService.currentProviders, 'ftso');
+      const blockscout = getProvider(priceService.currentProviders, 'blockscout');
+      const manual = getProvider(priceService.currentProviders, 'manual');
+      ftso.getPrice.mockRejectedValue(new Error('contract unavailable'));
+      manual.getPrice.mockResolvedValue({ usdPrice: 0.42, pricedAt: '2025-03-01T00:00:00.000Z' });
+
+      const price = await priceService.resolvePrice('xyd', { userId: 'user-1' });
+
+      expect(blockscout.getPrice).toHaveBeenCalled();
+      expect(manual.getPrice).toHaveBeenCalledWith('XYD', expect.objectContaining({ recent: true, userId: 'user-1' }));
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+        symbol: 'XYD',
+        usd_price: 0.42,
+        source: 'manual',
+        priced_at: '2025-03-01T00:00:00.000Z',
+      }));
+      expect(price).toEqual(expect.objectContaining({ usdPrice: 0.42, source: 'manual', priceId: 'price-1' }));
+    });
+
+    it('should reuse a live price persisted within the cache TTL', async () => {
+      const { cache } = mockResolvedPrices([
+        { id: 'cached-1', usd_price: '3400', source: 'ftso', priced_at: '2025-03-10T12:00:00.000Z' },
+      ]);
+
+      const price = await priceService.resolvePrice('ETH');
+
+      expect(cache.in).toHaveBeenCalledWith('source', ['ftso']);
+      expect(price).toEqual(expect.objectContaining({ usdPrice: 3400, source: 'ftso', priceId: 'cached-1' }));
+      expect(getProvider(priceService.currentProviders, 'ftso').getPrice).not.toHaveBeenCalled();
+    });
+
+    it('should price older dates from history and keep the underlying source', async () => {
+      const { cache, insert } = mockResolvedPrices();
+      const history = getProvider(priceService.historicalProviders, 'price_history');
+      history.getPrice.mockResolvedValue({ usdPrice: 2000, source: 'coingecko', pricedAt: '2025-03-10T00:00:00.000Z' });
+
+      const result = await priceService.getPriceForJournalEntry('ETH', 2, '2025-03-10T14:30:00Z', 'user-1');
+
+      expect(cache.gte).not.toHaveBeenCalled();
+      expect(history.getPrice).toHaveBeenCalledWith('ETH', expect.objectContaining({ date: '2025-03-10', recent: false }));
+      expect(getProvider(priceService.currentProviders, 'ftso').getPrice).not.toHaveBeenCalled();
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({ source: 'coingecko' }));
+      expect(result).toEqual(expect.objectContaining({ supported: true, usdValue: 4000, source: 'coingecko' }));
+      expect(result.priceData).toEqual(expect.objectContaining({
+        lastUpdated: '2025-03-10T00:00:00.000Z',
+        priceId: 'price-1',
+      }));
+    });
+
+    it('should report unsupported rather than fall back to the mock table', async () => {
+      mockResolvedPrices();
+
+      const result = await priceService.getPriceForJournalEntry('ETH', 1, null, 'user-1');
+
+      expect(priceService.currentProviders.some(provider => provider.name === 'mock')).toBe(false);
+      expect(result).toEqual(expect.objectContaining({ supported: false, usdValue: null }));
+    });
+  });
+});
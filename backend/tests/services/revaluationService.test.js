@@ -0,0 +1,199 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({}));
+jest.mock('../../src/services/priceService', () => ({
+  resolvePrice: jest.fn(),
+}));
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const priceService = require('../../src/services/priceService');
+const journalEntryService = require('../../src/services/journalEntryService');
+const costBasisService = require('../../src/services/costBasisService');
+const reversalService = require('../../src/services/reversalService');
+const revaluationService = require('../../src/services/revaluationService');
+
+const USER_ID = 'test-user-id';
+
+// Stored entry with its lines
+const entry = (id, lines, overrides = {}) => ({
+  id,
+  review_status: 'approved',
+  metadata: {},
+  reverses_entry_id: null,
+  journal_entry_lines: lines.map(([account, type, amount, currency, usdValue], index) => ({
+    line_number: index + 1,
+    account_name: account,
+    entry_type: type,
+    amount: String(amount),
+    currency,
+    usd_value: usdValue === null ? null : String(usdValue),
+  })),
+  ...overrides,
+});
+
+const assets = {
+  symbols: new Set(['BTC', 'ETH']),
+  accounts: new Set(['digital assets - bitcoin', 'digital assets - ethereum']),
+};
+
+const ledger = [
+  entry('buy-eth', [
+    ['Digital Assets - Ethereum', 'debit', 2, 'ETH', 4000],
+    ['Cash and Cash Equivalents', 'credit', 4000, 'USD', 4000],
+  ]),
+  entry('buy-btc', [
+    ['Digital Assets - Bitcoin', 'debit', 0.1, 'BTC', 6000],
+    ['Cash and Cash Equivalents', 'credit', 6000, 'USD', 6000],
+  ]),
+];
+
+const prices = {
+  ETH: { symbol: 'ETH', usdPrice: 2500, source: 'price_history', priceId: 'price-eth' },
+  BTC: { symbol: 'BTC', usdPrice: 50000, source: 'price_history', priceId: 'price-btc' },
+};
+
+describe('RevaluationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    priceService.resolvePrice.mockImplementation(async symbol => prices[symbol] || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('run', () => {
+    it('should post the surplus to the reserve and the impairment to expense', async () => {
+      const insert = mockQuery({ data: { id: 'run-1', status: 'posted' }, error: null });
+      const link = mockQuery({ data: { id: 'run-1', status: 'posted', entry_id: 'revaluation-1' }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: null, error: { code: 'PGRST116' } }))
+        .mockReturnValueOnce(mockQuery({ data: ledger, error: null }))
+        .mockReturnValueOnce(insert)
+        .mockReturnValueOnce(link);
+      jest.spyOn(costBasisService, 'getAssetAccounts').mockResolvedValue(assets);
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([{ id: 'revaluation-1' }]);
+
+      const result = await revaluationService.run(USER_ID, '2025-06-30');
+
+      expect(priceService.resolvePrice).toHaveBeenCalledWith('ETH', { timestamp: '2025-06-30', userId: USER_ID });
+      expect(saveSpy).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'revaluation',
+        metadata: { revaluation: { runId: 'run-1', closingDate: '2025-06-30' } },
+        entries: [expect.objectContaining({
+          entryDate: '2025-06-30',
+          lines: [
+            { account: 'Digital Assets - Ethereum', type: 'debit', amount: 1000, currency: 'USD', bookValueUSD: 1000 },
+            { account: 'Digital Assets - Bitcoin', type: 'credit', amount: 1000, currency: 'USD', bookValueUSD: 1000 },
+            { account: 'Crypto Revaluation Reserve', type: 'credit', amount: 1000, currency: 'USD', bookValueUSD: 1000 },
+            { account: 'Impairment Loss on Crypto', type: 'debit', amount: 1000, currency: 'USD', bookValueUSD: 1000 },
+          ],
+        })],
+      }));
+      expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+        closing_date: '2025-06-30',
+        status: 'posted',
+        surplus_usd: 1000,
+        impairment_usd: 1000,
+      }));
+      expect(link.update).toHaveBeenCalledWith({ entry_id: 'revaluation-1' });
+      expect(result.entry).toEqual({ id: 'revaluation-1' });
+    });
+
+    it('should refuse a run while an earlier one is still posted', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: { closing_date: '2025-05-31' }, error: null }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(revaluationService.run(USER_ID, '2025-06-30')).rejects.toMatchObject({ statusCode: 409 });
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('valueAccounts', () => {
+    it('should skip accounts holding a currency without a price', async () => {
+      const holdings = revaluationService.buildHoldings([
+        ...ledger,
+        entry('airdrop', [
+          ['Digital Assets - Ethereum', 'debit', 10, 'XYZ', 0],
+          ['Airdrops Revenue', 'credit', 10, 'XYZ', 0],
+        ]),
+      ], assets);
+
+      const { accounts, skipped } = revaluationService.valueAccounts(
+        holdings,
+        new Map([['ETH', prices.ETH], ['BTC', prices.BTC], ['XYZ', null]]),
+        '2025-06-30',
+      );
+
+      expect(skipped).toEqual([{ account: 'Digital Assets - Ethereum', reason: 'No price for XYZ at 2025-06-30' }]);
+      expect(accounts).toEqual([expect.objectContaining({
+        account: 'Digital Assets - Bitcoin',
+        carryingValueUSD: 6000,
+        fairValueUSD: 5000,
+        adjustmentUSD: -1000,
+      })]);
+    });
+  });
+
+  describe('reverseRun', () => {
+    it('should reverse the entry on the day after the closing date', async () => {
+      const revaluationEntry = entry('revaluation-1', [
+        ['Digital Assets - Ethereum', 'debit', 1000, 'USD', 1000],
+        ['Crypto Revaluation Reserve', 'credit', 1000, 'USD', 1000],
+      ], {
+        source: 'revaluation',
+        metadata: { revaluation: { runId: 'run-1', closingDate: '2025-06-30' } },
+        reversed_by_entry_id: null,
+        entry_date: '2025-06-30',
+      });
+      const update = mockQuery({ data: { id: 'run-1', status: 'reversed', reversal_entry_id: 'reversal-1' }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({
+          data: { id: 'run-1', status: 'posted', closing_date: '2025-06-30', entry_id: 'revaluation-1' },
+          error: null,
+        }))
+        .mockReturnValueOnce(mockQuery({ data: revaluationEntry, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: { ...revaluationEntry, reversed_by_entry_id: 'reversal-1' }, error: null }))
+        .mockReturnValueOnce(update);
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([{ id: 'reversal-1' }]);
+
+      const result = await revaluationService.reverseRun(USER_ID, 'run-1');
+
+      expect(saveSpy).toHaveBeenCalledWith(expect.objectContaining({
+        entries: [expect.objectContaining({
+          reversesEntryId: 'revaluation-1',
+          entryDate: '2025-07-01',
+          lines: [
+            { account: 'Digital Assets - Ethereum', type: 'credit', amount: 1000, currency: 'USD', bookValueUSD: 1000 },
+            { account: 'Crypto Revaluation Reserve', type: 'debit', amount: 1000, currency: 'USD', bookValueUSD: 1000 },
+          ],
+        })],
+      }));
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'reversed', reversal_entry_id: 'reversal-1' }));
+      expect(result.reversal).toEqual({ id: 'reversal-1' });
+    });
+
+    it('should still refuse to reverse a revaluation entry by hand', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({
+        data: entry('revaluation-1', [], { source: 'revaluation', reversed_by_entry_id: null }),
+        error: null,
+      }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(reversalService.reverseEntry(USER_ID, 'revaluation-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({}));
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const journalEntryService = require('../../src/services/journalEntryService');
+const reversalService = require('../../src/services/reversalService');
+
+const USER_ID = 'test-user-id';
+
+const postedEntry = {
+  id: 'entry-1',
+  transaction_id: 'tx-1',
+  review_status: 'approved',
+  reverses_entry_id: null,
+  reversed_by_entry_id: null,
+  is_compound: false,
+  narrative: 'Gas',
+  entry_date: '2025-05-01',
+  transaction_date: '2025-05-01T10:00:00Z',
+  currency: 'ETH',
+  journal_entry_lines: [
+    { line_number: 1, account_name: 'Gas', entry_type: 'debit', amount: '0.01', currency: 'ETH', usd_value: '25.00' },
+    { line_number: 2, account_name: 'Digital Assets - Ethereum', entry_type: 'credit', amount: '0.01', currency: 'ETH', usd_value: '25.00' },
+  ],
+};
+
+describe('ReversalService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reverseEntry', () => {
+    it('should post a mirror entry at the booked USD values and link it to the original', async () => {
+      const link = mockQuery({ data: { ...postedEntry, reversed_by_entry_id: 'reversal-1' }, error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: postedEntry, error: null }))
+        .mockReturnValueOnce(link);
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries').mockResolvedValue([{ id: 'reversal-1' }]);
+
+      const result = await reversalService.reverseEntry(USER_ID, 'entry-1', { reason: 'Booked twice' });
+
+      const { entries, transactionId } = saveSpy.mock.calls[0][0];
+      expect(transactionId).toBe('tx-1');
+      expect(entries).toEqual([expect.objectContaining({
+        reversesEntryId: 'entry-1',
+        entryDate: '2025-05-01',
+        lines: [
+          { account: 'Gas', type: 'credit', amount: 0.01, currency: 'ETH', bookValueUSD: 25 },
+          { account: 'Digital Assets - Ethereum', type: 'debit', amount: 0.01, currency: 'ETH', bookValueUSD: 25 },
+        ],
+      })]);
+      expect(link.update).toHaveBeenCalledWith({ reversed_by_entry_id: 'reversal-1' });
+      expect(result.reversal).toEqual({ id: 'reversal-1' });
+    });
+
+    it('should refuse entries that were already reversed', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({
+        data: { ...postedEntry, reversed_by_entry_id: 'reversal-1' },
+        error: null,
+      }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(reversalService.reverseEntry(USER_ID, 'entry-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse entries posted by the cost basis calculation', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({
+        data: { ...postedEntry, metadata: { costBasis: { disposalKey: 'd-1', gainUSD: 40 } } },
+        error: null,
+      }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries');
+
+      await expect(reversalService.reverseEntry(USER_ID, 'entry-1')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Journal entry was posted by the cost basis calculation; re-run it instead of reversing the entry',
+      });
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('correctEntry', () => {
+    it('should save the reversal and the replacement together', async () => {
+      mockSupabaseClient.from
+        .mockReturnValueOnce(mockQuery({ data: postedEntry, error: null }))
+        .mockReturnValueOnce(mockQuery({ data: { ...postedEntry, reversed_by_entry_id: 'reversal-1' }, error: null }));
+      const saveSpy = jest.spyOn(journalEntryService, 'saveJournalEntries')
+        .mockResolvedValue([{ id: 'reversal-1' }, { id: 'replacement-1' }]);
+
+      const result = await reversalService.correctEntry(USER_ID, 'entry-1', { accountDebit: 'Transaction Fees' });
+
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+      const [reversal, replacement] = saveSpy.mock.calls[0][0].entries;
+      expect(reversal.reversesEntryId).toBe('entry-1');
+      expect(replacement).toEqual(expect.objectContaining({
+        correctsEntryId: 'entry-1',
+        accountDebit: 'Transaction Fees',
+        accountCredit: 'Digital Assets - Ethereum',
+        amount: 0.01,
+        narrative: 'Gas',
+      }));
+      expect(result.replacement).toEqual({ id: 'replacement-1' });
+    });
+
+    it('should refuse entries still waiting for review', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({
+        data: { ...postedEntry, review_status: 'pending' },
+        error: null,
+      }));
+
+      await expect(reversalService.correctEntry(USER_ID, 'entry-1', { narrative: 'Gas fee' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('@supabase/supabase-js');
+jest.mock('../../src/services/ftsoService', () => ({}));
+jest.mock('../../src/services/costBasisService', () => ({
+  rebuild: jest.fn(),
+}));
+jest.mock('../../src/services/periodService', () => ({
+  assertWritable: jest.fn(),
+}));
+jest.mock('../../src/services/bankReconciliationService', () => ({
+  assertUnmatched: jest.fn(),
+}));
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(),
+  recordMany: jest.fn(),
+  sourceOf: jest.fn(),
+}));
+jest.mock('../../src/services/accountService', () => ({
+  getChartOfAccounts: jest.fn(),
+  indexChart: chart => jest.requireActual('../../src/services/accountService').indexChart(chart),
+}));
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const { mockQuery } = require('../helpers/mockQuery');
+const accountService = require('../../src/services/accountService');
+const periodService = require('../../src/services/periodService');
+const bankReconciliationService = require('../../src/services/bankReconciliationService');
+const journalEntryService = require('../../src/services/journalEntryService');
+const reviewService = require('../../src/services/reviewService');
+
+const USER_ID = 'test-user-id';
+
+describe('ReviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(journalEntryService, 'enhanceEntriesWithUSDValues').mockImplementation(async lines => lines);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assessEntry', () => {
+    it('should queue entries below the confidence threshold', () => {
+      expect(reviewService.assessEntry({ confidence: 0.6 }, 0.8)).toEqual([
+        { reason: 'low_confidence', confidence: 0.6, threshold: 0.8 },
+      ]);
+      expect(reviewService.assessEntry({ confidence: 0.9 }, 0.8)).toEqual([]);
+    });
+
+    it('should queue entries whose accounts were substituted or are unknown', () => {
+      const reasons = reviewService.assessEntry({
+        confidence: 0.95,
+        accountSubstitutions: [{ side: 'debit', requested: 'Gas', substituted: 'Transaction Fees' }],
+        requiresAccountCreation: true,
+        accountCreationSuggestions: [{ type: 'credit', requestedName: 'Airdrop Income' }],
+      }, 0.8);
+
+      expect(reasons).toEqual([
+        { reason: 'account_substituted', side: 'debit', requested: 'Gas', substituted: 'Transaction Fees' },
+        { reason: 'unknown_account', side: 'credit', requested: 'Airdrop Income' },
+      ]);
+    });
+  });
+
+  describe('approveEntries', () => {
+    it('should only approve pending entries and report the others as skipped', async () => {
+      const update = mockQuery({ data: [{ id: 'entry-1', review_status: 'approved' }], error: null });
+      mockSupabaseClient.from.mockReturnValue(update);
+
+      const result = await reviewService.approveEntries(USER_ID, ['entry-1', 'entry-2']);
+
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ review_status: 'approved', is_reviewed: true }));
+      expect(update.calls).toEqual(expect.arrayContaining([
+        ['eq', 'user_id', USER_ID],
+        ['eq', 'review_status', 'pending'],
+        ['in', 'id', ['entry-1', 'entry-2']],
+      ]));
+      expect(result.skipped).toEqual(['entry-2']);
+    });
+  });
+
+  describe('rejectEntries', () => {
+    it('should refuse entries dated in a locked period', async () => {
+      const pending = mockQuery({ data: [{ id: 'entry-1', entry_date: '2025-03-15' }], error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(pending);
+      periodService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Accounting period 2025-03 is locked'), { statusCode: 409 }));
+
+      await expect(reviewService.rejectEntries(USER_ID, ['entry-1'])).rejects.toMatchObject({ statusCode: 409 });
+      expect(periodService.assertWritable).toHaveBeenCalledWith(USER_ID, ['2025-03-15'], 'manual');
+      expect(pending.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse entries matched to bank transactions', async () => {
+      const pending = mockQuery({ data: [{ id: 'entry-1', entry_date: '2025-05-02' }], error: null });
+      mockSupabaseClient.from.mockReturnValueOnce(pending);
+      bankReconciliationService.assertUnmatched.mockRejectedValueOnce(Object.assign(new Error('Journal entry entry-1 is reconciled'), { statusCode: 409 }));
+
+      await expect(reviewService.rejectEntries(USER_ID, ['entry-1'])).rejects.toMatchObject({ statusCode: 409 });
+      expect(bankReconciliationService.assertUnmatched).toHaveBeenCalledWith(USER_ID, ['entry-1']);
+      expect(pending.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('editAndApprove', () => {
+    const pendingEntry = {
+      id: 'entry-1',
+      review_status: 'pending',
+      is_compound: false,
+      entry_date: '2025-05-01',
+      currency: 'ETH',
+      journal_entry_lines: [
+        { line_number: 1, account_name: 'Gas', entry_type: 'debit', amount: '0.01', currency: 'ETH' },
+        { line_number: 2, account_name: 'Digital Assets - Ethereum', entry_type: 'credit', amount: '0.01', currency: 'ETH' },
+      ],
+    };
+
+    it('should replace the lines of a corrected entry and approve it', async () => {
+      const fetch = mockQuery({ data: pendingEntry, error: null });
+      const update = mockQuery({ data: { id: 'entry-1', review_status: 'approved' }, error: null });
+      const deleteLines = mockQuery({ error: null });
+      const insertLines = mockQuery({ data: [{ line_number: 1 }, { line_number: 2 }], error: null });
+      mockSupabaseClient.from
+        .mockReturnValueOnce(fetch)
+        .mockReturnValueOnce(update)
+        .mockReturnValueOnce(deleteLines)
+        .mockReturnValueOnce(insertLines);
+
+      accountService.getChartOfAccounts.mockResolvedValue([
+        { id: 'acc-6001', code: '6001', name: 'Transaction Fees', account_type: 'EXPENSE' },
+      ]);
+
+      const entry = await reviewService.editAndApprove(USER_ID, 'entry-1', { accountDebit: 'Transaction Fees' });
+
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+        review_status: 'approved',
+        account_debit: 'Transaction Fees',
+        account_credit: 'Digital Assets - Ethereum',
+        amount: 0.01,
+      }));
+      expect(insertLines.insert.mock.calls[0][0].map(line => [line.account_name, line.account_id]))
+        .toEqual([['Transaction Fees', 'acc-6001'], ['Digital Assets - Ethereum', null]]);
+      expect(entry.journal_entry_lines).toHaveLength(2);
+    });
+
+    it('should refuse lines that do not balance', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: pendingEntry, error: null }));
+      accountService.getChartOfAccounts.mockResolvedValue([]);
+
+      await expect(reviewService.editAndApprove(USER_ID, 'entry-1', {
+        lines: [
+          { account: 'Transaction Fees', type: 'debit', amount: 0.02, currency: 'ETH' },
+          { account: 'Digital Assets - Ethereum', type: 'credit', amount: 0.01, currency: 'ETH' },
+        ],
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse entries that are no longer pending', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: { ...pendingEntry, review_status: 'rejected' }, error: null }));
+
+      await expect(reviewService.editAndApprove(USER_ID, 'entry-1', { narrative: 'Gas' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse moving an entry into a locked period', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: pendingEntry, error: null }));
+      periodService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Accounting period 2025-03 is locked'), { statusCode: 409 }));
+
+      await expect(reviewService.editAndApprove(USER_ID, 'entry-1', { entryDate: '2025-03-31' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(periodService.assertWritable).toHaveBeenCalledWith(USER_ID, ['2025-05-01', '2025-03-31'], 'manual');
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse entries matched to bank transactions', async () => {
+      mockSupabaseClient.from.mockReturnValueOnce(mockQuery({ data: pendingEntry, error: null }));
+      bankReconciliationService.assertUnmatched.mockRejectedValueOnce(Object.assign(new Error('Journal entry entry-1 is reconciled'), { statusCode: 409 }));
+
+      await expect(reviewService.editAndApprove(USER_ID, 'entry-1', { narrative: 'Gas' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(bankReconciliationService.assertUnmatched).toHaveBeenCalledWith(USER_ID, ['entry-1']);
+      expect(mockSupabaseClient.from).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('@supabase/supabase-js');
+
+process.env.DEFAULT_CHAIN = 'coston2';
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const walletService = require('../../src/services/walletService');
+
+const USER_ID = 'test-user-id';
+const OPERATING = '0xd423b4b575d2808459035294bf971a5834eb7b87';
+const TREASURY = '0x742e8c9b3be7936e2f6d143de3e9bb8f4b4d2b9e';
+
+// Chainable, awaitable query builder resolving to the result given for its table
+const mockTables = (results) => {
+  const builders = {};
+  mockSupabaseClient.from.mockImplementation((table) => {
+    const builder = {};
+    ['select', 'insert', 'update', 'delete', 'eq', 'order', 'single'].forEach((method) => {
+      builder[method] = jest.fn(() => builder);
+    });
+    builder.then = (resolve, reject) => Promise.resolve(results[table]).then(resolve, reject);
+    builders[table] = builder;
+    return builder;
+  });
+  return builders;
+};
+
+const wallet = (address, label) => ({ id: `wallet-${label}`, address, label, chain: 'coston2', entity: null });
+
+describe('WalletService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createWallet', () => {
+    it('should store the address in lowercase on the default chain', async () => {
+      const builders = mockTables({ wallets: { data: wallet(OPERATING, 'Operating'), error: null } });
+
+      await walletService.createWallet(USER_ID, { address: OPERATING.toUpperCase().replace('0X', '0x'), label: ' Operating ' });
+
+      expect(builders.wallets.insert).toHaveBeenCalledWith({
+        user_id: USER_ID,
+        chain: 'coston2',
+        address: OPERATING,
+        label: 'Operating',
+      });
+    });
+
+    it('should reject a default account that is not an asset account', async () => {
+      mockTables({ accounts: { data: { id: 'acc-1', account_type: 'EXPENSE', is_active: true }, error: null } });
+
+      await expect(walletService.createWallet(USER_ID, {
+        address: OPERATING,
+        label: 'Operating',
+        defaultAssetAccountId: 'acc-1',
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should report an already registered wallet as a conflict', async () => {
+      mockTables({ wallets: { data: null, error: { code: '23505', message: 'duplicate key' } } });
+
+      await expect(walletService.createWallet(USER_ID, { address: OPERATING, label: 'Operating' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject unsupported chains', async () => {
+      await expect(walletService.createWallet(USER_ID, { address: OPERATING, label: 'Operating', chain: 'dogechain' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject invalid addresses', async () => {
+      await expect(walletService.createWallet(USER_ID, { address: '0x123', label: 'Operating' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getOwnAddresses', () => {
+    it('should return the addresses of the active registered wallets', async () => {
+      const builders = mockTables({
+        wallets: { data: [wallet(OPERATING, 'Operating'), wallet(TREASURY, 'Treasury')], error: null },
+      });
+
+      await expect(walletService.getOwnAddresses(USER_ID)).resolves.toEqual([OPERATING, TREASURY]);
+      expect(builders.wallets.eq).toHaveBeenCalledWith('is_active', true);
+    });
+
+    it('should return no addresses without a user', async () => {
+      await expect(walletService.getOwnAddresses(null)).resolves.toEqual([]);
+      expect(mockSupabaseClient.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveWalletFromMessage', () => {
+    beforeEach(() => {
+      mockTables({
+        wallets: { data: [wallet(OPERATING, 'Operating'), wallet(TREASURY, 'Treasury')], error: null },
+      });
+    });
+
+    it('should prefer an address in the message', async () => {
+      await expect(walletService.resolveWalletFromMessage(USER_ID, `Analyze wallet ${TREASURY.toUpperCase().replace('0X', '0x')}`))
+        .resolves.toEqual(expect.objectContaining({ label: 'Treasury' }));
+
+      const other = '0x0000000000000000000000000000000000000001';
+      await expect(walletService.resolveWalletFromMessage(USER_ID, `Analyze wallet ${other}`))
+        .resolves.toEqual({ address: other });
+    });
+
+    it('should match a registered wallet by label', async () => {
+      await expect(walletService.resolveWalletFromMessage(USER_ID, 'Analyze our treasury wallet'))
+        .resolves.toEqual(expect.objectContaining({ address: TREASURY }));
+    });
+
+    it('should not guess between several registered wallets', async () => {
+      await expect(walletService.resolveWalletFromMessage(USER_ID, 'Analyze my wallet')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,273 @@
+jest.mock('@supabase/supabase-js');
+
+const { createClient } = require('@supabase/supabase-js');
+
+const mockSupabaseClient = {
+  from: jest.fn(),
+};
+
+createClient.mockReturnValue(mockSupabaseClient);
+
+const blockscoutClient = require('../../src/services/blockscoutClient');
+const walletService = require('../../src/services/walletService');
+const walletSyncService = require('../../src/services/walletSyncService');
+
+const USER_ID = 'test-user-id';
+const ADDRESS = '0xd423b4b575d2808459035294bf971a5834eb7b87';
+
+// In-memory tables behind a chainable, awaitable query builder
+let mockCursors;
+let mockTransactions;
+let mockRun;
+let mockQueries;
+
+const mockHandleQuery = ({ table, calls }) => {
+  const [operation, payload] = calls[0];
+  const filters = Object.fromEntries(calls.filter(([method]) => method === 'eq').map(([, column, value]) => [column, value]));
+
+  if (table === 'wallet_sync_cursors') {
+    if (operation === 'upsert') {
+      if (!mockCursors[payload.stream]) {
+        mockCursors[payload.stream] = { id: payload.stream, ...payload, last_block: null, next_page_params: null, items_synced: 0 };
+        return { data: [mockCursors[payload.stream]], error: null };
+      }
+      return { data: [], error: null };
+    }
+    if (operation === 'update') {
+      Object.assign(mockCursors[filters.id], payload);
+      return { error: null };
+    }
+    return { data: mockCursors[filters.stream], error: null };
+  }
+
+  if (table === 'wallet_sync_runs') {
+    if (operation === 'insert') {
+      mockRun = { id: 'run-1', ...payload };
+      return { data: mockRun, error: null };
+    }
+    Object.assign(mockRun, payload);
+    return { data: { ...mockRun }, error: null };
+  }
+
+  if (table === 'transactions') {
+    if (operation === 'select') {
+      const txids = calls.find(([method]) => method === 'in')[2];
+      return { data: mockTransactions.filter(row => txids.includes(row.txid)), error: null };
+    }
+    if (operation === 'upsert') {
+      const inserted = payload.map((row, index) => ({ id: `tx-${mockTransactions.length + index}`, ...row }));
+      mockTransactions.push(...inserted);
+      return { data: inserted.map(row => ({ id: row.id })), error: null };
+    }
+    if (operation === 'update') {
+      Object.assign(mockTransactions.find(row => row.id === filters.id), payload);
+      return { error: null };
+    }
+  }
+
+  return { data: null, error: null };
+};
+
+const mockQueryBuilder = (table) => {
+  const query = { table, calls: [] };
+  const builder = {};
+  ['select', 'insert', 'upsert', 'update', 'eq', 'in', 'order', 'limit', 'single'].forEach((method) => {
+    builder[method] = jest.fn((...args) => {
+      query.calls.push([method, ...args]);
+      return builder;
+    });
+  });
+  builder.then = (resolve, reject) => Promise.resolve().then(() => mockHandleQuery(query)).then(resolve, reject);
+  mockQueries.push(query);
+  return builder;
+};
+
+const historyItem = (hash, blockNumber) => ({
+  hash,
+  from: ADDRESS,
+  to: '0x0000000000000000000000000000000000000001',
+  value: '1000000000000000000',
+  actualAmount: 1,
+  blockNumber,
+  timestamp: new Date('2025-03-10T12:00:00Z'),
+  status: 'success',
+});
+
+describe('WalletSyncService', () => {
+  let pages;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCursors = {};
+    mockTransactions = [];
+    mockRun = null;
+    mockQueries = [];
+    mockSupabaseClient.from.mockImplementation(mockQueryBuilder);
+
+    // Only the regular transaction stream has history unless a test says otherwise
+    pages = { transactions: [], token_transfers: [], internal_transactions: [] };
+    jest.spyOn(walletService, 'getOwnAddresses').mockResolvedValue([ADDRESS]);
+    jest.spyOn(walletService, 'getWalletChains').mockResolvedValue([]);
+    jest.spyOn(blockscoutClient, 'getAddressHistoryPage').mockImplementation(async (address, stream, pageParams) => {
+      const index = pageParams ? pageParams.page : 0;
+      const streamPages = pages[stream];
+      return {
+        items: streamPages[index] || [],
+        nextPageParams: index + 1 < streamPages.length ? { page: index + 1 } : null,
+      };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should page through the whole history and store every transaction once', async () => {
+    pages.transactions = [
+      [historyItem('0xa3', 300), historyItem('0xa2', 200)],
+      [historyItem('0xa1', 100)],
+    ];
+
+    const run = await walletSyncService.syncWallet(USER_ID, ADDRESS.toUpperCase().replace('0X', '0x'));
+
+    expect(blockscoutClient.getAddressHistoryPage).toHaveBeenCalledWith(ADDRESS, 'transactions', { page: 1 });
+    expect(mockTransactions.map(row => row.txid)).toEqual(['0xa3', '0xa2', '0xa1']);
+    expect(mockTransactions[0]).toEqual(expect.objectContaining({ user_id: USER_ID, status: 'pending' }));
+    expect(mockCursors.transactions).toEqual(expect.objectContaining({ last_block: 300, next_page_params: null, items_synced: 3 }));
+    expect(run).toEqual(expect.objectContaining({
+      status: 'completed',
+      pages_fetched: 4,
+      items_fetched: 3,
+      transactions_inserted: 3,
+    }));
+  });
+
+  it('should only fetch transactions newer than the cursor on later runs', async () => {
+    pages.transactions = [
+      [historyItem('0xa3', 300), historyItem('0xa2', 200)],
+      [historyItem('0xa1', 100)],
+    ];
+    await walletSyncService.syncWallet(USER_ID, ADDRESS);
+
+    pages.transactions = [
+      [historyItem('0xa5', 500), historyItem('0xa4', 400), historyItem('0xa3', 300), historyItem('0xa2', 200)],
+      [historyItem('0xa1', 100)],
+    ];
+    blockscoutClient.getAddressHistoryPage.mockClear();
+
+    const run = await walletSyncService.syncWallet(USER_ID, ADDRESS);
+
+    expect(blockscoutClient.getAddressHistoryPage).not.toHaveBeenCalledWith(ADDRESS, 'transactions', { page: 1 });
+    expect(mockTransactions.map(row => row.txid)).toEqual(['0xa3', '0xa2', '0xa1', '0xa5', '0xa4']);
+    expect(mockCursors.transactions.last_block).toBe(500);
+    expect(run).toEqual(expect.objectContaining({ transactions_inserted: 2, transactions_skipped: 1 }));
+  });
+
+  it('should save the page cursor at the page limit and resume from it', async () => {
+    pages.transactions = [
+      [historyItem('0xa3', 300)],
+      [historyItem('0xa2', 200)],
+      [historyItem('0xa1', 100)],
+    ];
+
+    const partialRun = await walletSyncService.syncWallet(USER_ID, ADDRESS, { maxPages: 2 });
+
+    expect(partialRun.status).toBe('partial');
+    expect(mockCursors.transactions).toEqual(expect.objectContaining({
+      last_block: null,
+      next_page_params: { page: 2 },
+      sweep_high_block: 300,
+    }));
+
+    blockscoutClient.getAddressHistoryPage.mockClear();
+    const resumedRun = await walletSyncService.syncWallet(USER_ID, ADDRESS, { maxPages: 2 });
+
+    expect(blockscoutClient.getAddressHistoryPage).toHaveBeenCalledWith(ADDRESS, 'transactions', { page: 2 });
+    expect(resumedRun.status).toBe('completed');
+    expect(mockTransactions.map(row => row.txid)).toEqual(['0xa3', '0xa2', '0xa1']);
+    expect(mockCursors.transactions).toEqual(expect.objectContaining({ last_block: 300, next_page_params: null }));
+  });
+
+  it('should merge a known txid seen in another stream instead of duplicating it', async () => {
+    pages.transactions = [[historyItem('0xa1', 100)]];
+    pages.token_transfers = [[{
+      ...historyItem('0xa1', 100),
+      actualAmount: 250,
+      tokenSymbol: 'USDC',
+      contractAddress: '0x0000000000000000000000000000000000000002',
+    }]];
+
+    const run = await walletSyncService.syncWallet(USER_ID, ADDRESS);
+
+    expect(mockTransactions).toHaveLength(1);
+    expect(mockTransactions[0].blockchain_data).toEqual(expect.objectContaining({
+      tokenSymbol: 'USDC',
+      syncStreams: ['transactions', 'token_transfers'],
+    }));
+    expect(run).toEqual(expect.objectContaining({ transactions_inserted: 1, transactions_merged: 1 }));
+  });
+
+  it('should treat transfers to another registered wallet as internal', async () => {
+    const treasury = '0x0000000000000000000000000000000000000001';
+    walletService.getOwnAddresses.mockResolvedValue([ADDRESS, treasury]);
+    pages.transactions = [[historyItem('0xa1', 100)]];
+
+    await walletSyncService.syncWallet(USER_ID, ADDRESS);
+
+    expect(walletService.getOwnAddresses).toHaveBeenCalledWith(USER_ID);
+    expect(mockTransactions[0].blockchain_data.direction).toBe('self');
+  });
+
+  it('should sync a wallet on another chain through that chain\'s explorer', async () => {
+    const flareClient = blockscoutClient.forChain('flare');
+    jest.spyOn(flareClient, 'getAddressHistoryPage').mockResolvedValue({ items: [historyItem('0xf1', 100)], nextPageParams: null });
+
+    const run = await walletSyncService.syncWallet(USER_ID, ADDRESS, { chain: 'flare' });
+
+    expect(flareClient.getAddressHistoryPage).toHaveBeenCalledWith(ADDRESS, 'transactions', null);
+    expect(blockscoutClient.getAddressHistoryPage).not.toHaveBeenCalled();
+    expect(mockCursors.transactions).toEqual(expect.objectContaining({ chain: 'flare', last_block: 100 }));
+    expect(run).toEqual(expect.objectContaining({ chain: 'flare', status: 'completed' }));
+  });
+
+  it('should sync a registered wallet on its own chain when no chain is given', async () => {
+    walletService.getWalletChains.mockResolvedValue(['flare']);
+    const flareClient = blockscoutClient.forChain('flare');
+    jest.spyOn(flareClient, 'getAddressHistoryPage').mockResolvedValue({ items: [], nextPageParams: null });
+
+    const run = await walletSyncService.syncWallet(USER_ID, ADDRESS);
+
+    expect(walletService.getWalletChains).toHaveBeenCalledWith(USER_ID, ADDRESS);
+    expect(flareClient.getAddressHistoryPage).toHaveBeenCalled();
+    expect(blockscoutClient.getAddressHistoryPage).not.toHaveBeenCalled();
+    expect(run).toEqual(expect.objectContaining({ chain: 'flare' }));
+  });
+
+  it('should ask for the chain of a wallet registered on several chains', async () => {
+    walletService.getWalletChains.mockResolvedValue(['flare', 'songbird']);
+
+    await expect(walletSyncService.startSync(USER_ID, ADDRESS)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Wallet is registered on several chains; pass the chain to sync',
+    });
+    expect(walletSyncService.syncs.size).toBe(0);
+  });
+
+  it('should record a failed run and keep the cursor when Blockscout fails', async () => {
+    blockscoutClient.getAddressHistoryPage.mockRejectedValue(new Error('Blockscout unavailable'));
+
+    const run = await walletSyncService.syncWallet(USER_ID, ADDRESS);
+
+    expect(run).toEqual(expect.objectContaining({ status: 'failed', error: 'Blockscout unavailable' }));
+    expect(mockCursors.transactions.last_block).toBeNull();
+    expect(walletSyncService.syncs.size).toBe(0);
+  });
+
+  it('should reject invalid addresses and concurrent syncs of the same wallet', async () => {
+    await expect(walletSyncService.startSync(USER_ID, 'not-an-address')).rejects.toMatchObject({ statusCode: 400 });
+
+    const { completion } = await walletSyncService.startSync(USER_ID, ADDRESS);
+    await expect(walletSyncService.startSync(USER_ID, ADDRESS)).rejects.toMatchObject({ statusCode: 409 });
+    await completion;
+  });
+});
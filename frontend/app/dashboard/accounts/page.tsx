@@ -0,0 +1,333 @@
+'use client'
+
+import { Fragment, useCallback, useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import { ArrowLeftIcon, ChevronDownIcon, ChevronRightIcon, PlusIcon, ArrowsRightLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../../lib/supabase'
+import { apiClient, type AccountTreeNode, type AccountType } from '../../../lib/api'
+
+// Inline form under an account: a new sub-account, or a new parent for the account
+type EditState =
+  | { accountId: string; action: 'add'; name: string; description: string }
+  | { accountId: string; action: 'move'; parentAccountId: string }
+
+interface Category {
+  code: string
+  name: string
+  type: AccountType
+}
+
+const TOP_LEVEL = ''
+
+const flatten = (nodes: AccountTreeNode[]): AccountTreeNode[] =>
+  nodes.flatMap((node) => [node, ...flatten(node.children)])
+
+export default function AccountsPage() {
+  const [loading, setLoading] = useState(true)
+  const [tree, setTree] = useState<AccountTreeNode[]>([])
+  const [expanded, setExpanded] = useState<Set<string>>(new Set())
+  const [editing, setEditing] = useState<EditState | null>(null)
+  const [newAccount, setNewAccount] = useState({ name: '', categoryCode: '' })
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const router = useRouter()
+
+  const checkAuth = useCallback(async () => {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) {
+      router.push('/auth/otp-login')
+    }
+  }, [router])
+
+  const fetchTree = useCallback(async () => {
+    try {
+      setLoading(true)
+      const data = await apiClient.getAccountTree()
+      setTree(data.tree)
+    } catch (error) {
+      console.error('Error fetching account tree:', error)
+      setError('Could not load the chart of accounts')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    checkAuth()
+    fetchTree()
+  }, [checkAuth, fetchTree])
+
+  const accounts = flatten(tree)
+
+  // Categories in use, for new top-level accounts
+  const categories = Array.from(
+    new Map(
+      accounts
+        .filter((account) => account.account_categories)
+        .map((account) => [account.account_categories!.code, account.account_categories as Category]),
+    ).values(),
+  ).sort((a, b) => a.code.localeCompare(b.code))
+
+  const toggle = (accountId: string) => {
+    setExpanded((previous) => {
+      const next = new Set(previous)
+      if (next.has(accountId)) {
+        next.delete(accountId)
+      } else {
+        next.add(accountId)
+      }
+      return next
+    })
+  }
+
+  // Accounts of the same type outside the account's own branch
+  const parentOptions = (account: AccountTreeNode) => {
+    const branch = new Set(flatten([account]).map((node) => node.id))
+    return accounts.filter((candidate) => candidate.account_type === account.account_type && !branch.has(candidate.id))
+  }
+
+  const describeError = (error: unknown, fallback: string) => {
+    const response = (error as { response?: { data?: { message?: string } } }).response
+    return response?.data?.message || fallback
+  }
+
+  const createTopLevelAccount = async () => {
+    const category = categories.find((candidate) => candidate.code === newAccount.categoryCode)
+    if (!newAccount.name.trim() || !category) return
+
+    try {
+      setWorking(true)
+      await apiClient.createAccount({ name: newAccount.name.trim(), accountType: category.type, categoryCode: category.code })
+      setNewAccount({ name: '', categoryCode: '' })
+      await fetchTree()
+    } catch (error) {
+      console.error('Error creating account:', error)
+      setError(describeError(error, 'The account could not be created'))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const saveEdit = async () => {
+    if (!editing) return
+
+    try {
+      setWorking(true)
+      if (editing.action === 'add') {
+        if (!editing.name.trim()) return
+        await apiClient.createAccount({
+          name: editing.name.trim(),
+          description: editing.description.trim() || undefined,
+          parentAccountId: editing.accountId,
+        })
+        setExpanded((previous) => new Set(previous).add(editing.accountId))
+      } else {
+        await apiClient.moveAccount(editing.accountId, editing.parentAccountId || null)
+        if (editing.parentAccountId) {
+          setExpanded((previous) => new Set(previous).add(editing.parentAccountId))
+        }
+      }
+      setEditing(null)
+      setError(null)
+      await fetchTree()
+    } catch (error) {
+      console.error(`Error trying to ${editing.action} account:`, error)
+      setError(describeError(error, editing.action === 'add' ? 'The sub-account could not be created' : 'The account could not be moved'))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const renderEditRow = (account: AccountTreeNode) => {
+    if (!editing || editing.accountId !== account.id) return null
+
+    return (
+      <tr className="bg-blue-50">
+        <td className="px-4 py-3" colSpan={5}>
+          <div className="flex items-center space-x-2" style={{ paddingLeft: `${(account.level + 1) * 1.25}rem` }}>
+            {editing.action === 'add' ? (
+              <>
+                <input
+                  type="text"
+                  placeholder={`Sub-account of ${account.name}`}
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm w-64"
+                />
+                <input
+                  type="text"
+                  placeholder="Description (optional)"
+                  value={editing.description}
+                  onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm w-64"
+                />
+              </>
+            ) : (
+              <select
+                value={editing.parentAccountId}
+                onChange={(e) => setEditing({ ...editing, parentAccountId: e.target.value })}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                <option value={TOP_LEVEL}>Top level</option>
+                {parentOptions(account).map((candidate) => (
+                  <option key={candidate.id} value={candidate.id}>{candidate.code} {candidate.name}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={saveEdit}
+              disabled={working}
+              className="bg-blue-600 text-white px-3 py-1 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              {editing.action === 'add' ? 'Add' : 'Move'}
+            </button>
+            <button onClick={() => setEditing(null)} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+          </div>
+        </td>
+      </tr>
+    )
+  }
+
+  const renderNode = (account: AccountTreeNode): JSX.Element => (
+    <Fragment key={account.id}>
+      <tr className="text-gray-800">
+        <td className="px-4 py-2 font-mono">{account.code}</td>
+        <td className="px-4 py-2">
+          <span className="flex items-center" style={{ paddingLeft: `${account.level * 1.25}rem` }}>
+            {account.children.length > 0 ? (
+              <button onClick={() => toggle(account.id)} className="mr-1 text-gray-400 hover:text-gray-600">
+                {expanded.has(account.id) ? <ChevronDownIcon className="h-4 w-4" /> : <ChevronRightIcon className="h-4 w-4" />}
+              </button>
+            ) : (
+              <span className="mr-1 w-4" />
+            )}
+            {account.name}
+            {account.children.length > 0 && (
+              <span className="ml-2 text-xs text-gray-400">{account.children.length} sub-account(s)</span>
+            )}
+          </span>
+        </td>
+        <td className="px-4 py-2">{account.account_type}</td>
+        <td className="px-4 py-2 text-gray-600">{account.account_categories?.name || '-'}</td>
+        <td className="px-4 py-2 text-right whitespace-nowrap">
+          <button
+            onClick={() => setEditing({ accountId: account.id, action: 'add', name: '', description: '' })}
+            className="text-blue-600 hover:text-blue-800 mr-3 inline-flex items-center"
+            title="Add sub-account"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Sub-account
+          </button>
+          <button
+            onClick={() => setEditing({ accountId: account.id, action: 'move', parentAccountId: account.parent_account_id || TOP_LEVEL })}
+            className="text-gray-600 hover:text-gray-800 inline-flex items-center"
+            title="Move under another account"
+          >
+            <ArrowsRightLeftIcon className="h-4 w-4 mr-1" />
+            Move
+          </button>
+        </td>
+      </tr>
+      {renderEditRow(account)}
+      {expanded.has(account.id) && account.children.map(renderNode)}
+    </Fragment>
+  )
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center">
+              <button
+                onClick={() => router.push('/dashboard')}
+                className="mr-4 p-2 rounded-md text-gray-400 hover:text-gray-600"
+              >
+                <ArrowLeftIcon className="h-5 w-5" />
+              </button>
+              <h1 className="text-xl font-semibold text-gray-900">Chart of Accounts</h1>
+              <span className="ml-3 text-sm text-gray-500">{accounts.length} accounts</span>
+            </div>
+
+            <div className="flex items-center space-x-3 text-sm">
+              <button
+                onClick={() => setExpanded(new Set(accounts.filter((account) => account.children.length > 0).map((account) => account.id)))}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Expand all
+              </button>
+              <button onClick={() => setExpanded(new Set())} className="text-blue-600 hover:text-blue-800">
+                Collapse all
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {error && (
+          <div className="mb-4 p-3 rounded-md bg-red-50 text-sm text-red-700 flex items-center">
+            <ExclamationTriangleIcon className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        <div className="mb-4 flex items-center space-x-2">
+          <input
+            type="text"
+            placeholder="New top-level account"
+            value={newAccount.name}
+            onChange={(e) => setNewAccount({ ...newAccount, name: e.target.value })}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm w-64"
+          />
+          <select
+            value={newAccount.categoryCode}
+            onChange={(e) => setNewAccount({ ...newAccount, categoryCode: e.target.value })}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">Category</option>
+            {categories.map((category) => (
+              <option key={category.code} value={category.code}>{category.code} {category.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={createTopLevelAccount}
+            disabled={working || !newAccount.name.trim() || !newAccount.categoryCode}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 flex items-center"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add account
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium">Code</th>
+                <th className="px-4 py-3 text-left font-medium">Account</th>
+                <th className="px-4 py-3 text-left font-medium">Type</th>
+                <th className="px-4 py-3 text-left font-medium">Category</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {tree.map(renderNode)}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
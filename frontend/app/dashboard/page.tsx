@@ -3,7 +3,7 @@
 import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
 import { supabase } from '@/lib/supabase'
-import { apiClient, type ChatResponse } from '@/lib/api'
+import { apiClient, type ChatResponse, type Job, type JobProgress, type JournalEntryLine } from '@/lib/api'
 import type { User } from '@supabase/supabase-js'
 import { 
   PaperAirplaneIcon,
@@ -13,7 +13,9 @@ import {
   PlusIcon,
   ExclamationTriangleIcon,
   LightBulbIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  ClipboardDocumentCheckIcon,
+  BookOpenIcon
 } from '@heroicons/react/24/outline'
 
 interface SessionData {
@@ -34,10 +36,12 @@ interface ChatMessage {
 interface JournalEntry {
   id: string
   transaction_id: string
-  account_debit: string
-  account_credit: string
-  amount: number
-  currency: string
+  account_debit: string | null
+  account_credit: string | null
+  amount: number | null
+  currency: string | null
+  is_compound?: boolean
+  journal_entry_lines?: JournalEntryLine[]
   entry_date: string
   transaction_date?: string
   narrative: string | null
@@ -49,6 +53,9 @@ interface JournalEntry {
   usd_rate?: number
   usd_source?: string
   usd_timestamp?: string
+  reverses_entry_id?: string | null
+  reversed_by_entry_id?: string | null
+  corrects_entry_id?: string | null
   transactions?: {
     user_id: string
     txid: string
@@ -160,6 +167,46 @@ export default function DashboardPage() {
     }
   }
 
+  // Post a reversal instead of editing the entry; the list shows the link between both
+  const reverseEntry = async (entry: JournalEntry) => {
+    const reason = window.prompt('Reverse this journal entry? Optionally give a reason:')
+    if (reason === null) return
+
+    try {
+      await apiClient.reverseJournalEntry(entry.id, { reason: reason || undefined })
+      await fetchJournalEntries()
+    } catch (error) {
+      console.error('Error reversing journal entry:', error)
+      const message = (error as { response?: { data?: { message?: string } } }).response?.data?.message
+      alert(message || 'Failed to reverse the journal entry')
+    }
+  }
+
+  const scrollToEntry = (entryId: string) => {
+    document.getElementById(`entry-${entryId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }
+
+  // Show the steps of a wallet analysis in one status message and report when it finishes
+  const showJobProgress = (statusId: string, progress: JobProgress) => {
+    if (!progress.message) return
+    setMessages(prev => prev.some(message => message.id === statusId)
+      ? prev.map(message => message.id === statusId ? { ...message, content: `⏳ ${progress.message}` } : message)
+      : [...prev, { id: statusId, type: 'ai', content: `⏳ ${progress.message}`, timestamp: new Date() }])
+  }
+
+  const showJobFinished = (statusId: string, job: Job) => {
+    const content = job.status === 'succeeded'
+      ? 'Wallet analysis completed. The journal entries have been added to your books.'
+      : `Wallet analysis ${job.status}${job.error ? `: ${job.error}` : ''}.`
+    setMessages(prev => [
+      ...prev.filter(message => message.id !== statusId),
+      { id: statusId, type: 'ai', content, timestamp: new Date(), error: job.status === 'failed' },
+    ])
+    if (job.status === 'succeeded') {
+      fetchJournalEntries()
+    }
+  }
+
   const handleSendMessage = async () => {
     if (!inputMessage.trim()) return
 
@@ -176,34 +223,45 @@ export default function DashboardPage() {
     setIsTyping(true)
 
     try {
-      // Call the real AI API
-      const response: ChatResponse = await apiClient.sendChatMessage(currentMessage, {
-        recentMessages: messages.slice(-5), // Send last 5 messages for context
-      })
+      const aiMessageId = (Date.now() + 1).toString()
+      const statusId = (Date.now() + 2).toString()
 
-      // Handle the nested response structure from backend
-      const responseData = response.data;
+      // The answer is streamed into its message as Gemini writes it
+      await apiClient.streamChatMessage(currentMessage, {
+        recentMessages: messages.slice(-5), // Send last 5 messages for context
+      }, {
+        onToken: (text) => {
+          setIsTyping(false)
+          setMessages(prev => prev.some(message => message.id === aiMessageId)
+            ? prev.map(message => message.id === aiMessageId ? { ...message, content: message.content + text } : message)
+            : [...prev, { id: aiMessageId, type: 'ai', content: text, timestamp: new Date() }])
+        },
+        onResponse: (response: ChatResponse) => {
+          // Handle the nested response structure from backend
+          const responseData = response.data
+          const aiResponse: ChatMessage = {
+            id: aiMessageId,
+            type: 'ai',
+            content: responseData.response,
+            thinking: responseData.thinking,
+            suggestions: responseData.suggestions || [],
+            timestamp: new Date(),
+            error: response.success === false
+          }
 
-      const aiResponse: ChatMessage = {
-        id: (Date.now() + 1).toString(),
-        type: 'ai',
-        content: responseData.response,
-        thinking: responseData.thinking,
-        suggestions: responseData.suggestions || [],
-        timestamp: new Date()
-      }
+          setIsTyping(false)
+          setMessages(prev => [...prev.filter(message => message.id !== aiMessageId), aiResponse])
 
-      setMessages(prev => [...prev, aiResponse])
-      
-      // Check if the AI response indicates journal entries were created
-      if (responseData.response.toLowerCase().includes('journal entries') && 
-          (responseData.response.toLowerCase().includes('created') || 
-           responseData.response.toLowerCase().includes('saved'))) {
-        // Refresh journal entries after a short delay
-        setTimeout(() => {
-          fetchJournalEntries()
-        }, 1000)
-      }
+          // Check if the AI response indicates journal entries were created
+          if (responseData.response.toLowerCase().includes('journal entries') &&
+              (responseData.response.toLowerCase().includes('created') ||
+               responseData.response.toLowerCase().includes('saved'))) {
+            fetchJournalEntries()
+          }
+        },
+        onProgress: (progress) => showJobProgress(statusId, progress),
+        onFinished: (job) => showJobFinished(statusId, job),
+      })
     } catch (error) {
       console.error('Error sending message:', error)
       
@@ -265,6 +323,20 @@ export default function DashboardPage() {
               )}
             </div>
             <div className="flex items-center space-x-4">
+              <button
+                onClick={() => router.push('/dashboard/review')}
+                className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg text-sm hover:bg-blue-50 flex items-center"
+              >
+                <ClipboardDocumentCheckIcon className="h-4 w-4 mr-2" />
+                Review
+              </button>
+              <button
+                onClick={() => router.push('/dashboard/accounts')}
+                className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg text-sm hover:bg-blue-50 flex items-center"
+              >
+                <BookOpenIcon className="h-4 w-4 mr-2" />
+                Accounts
+              </button>
               <button
                 onClick={() => router.push('/dashboard/reports')}
                 className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 flex items-center"
@@ -481,7 +553,11 @@ export default function DashboardPage() {
             ) : (
               <div className="space-y-4">
                 {journalEntries.map((entry) => (
-                  <div key={entry.id} className="bg-white rounded-lg border border-gray-200 p-4 hover:shadow-md transition-shadow">
+                  <div
+                    key={entry.id}
+                    id={`entry-${entry.id}`}
+                    className={`bg-white rounded-lg border border-gray-200 p-4 hover:shadow-md transition-shadow ${entry.reversed_by_entry_id ? 'opacity-60' : ''}`}
+                  >
                     {/* Top: Transaction Date only */}
                     <div className="flex items-start justify-end mb-3">
                       <span className="text-sm text-gray-500">
@@ -490,23 +566,41 @@ export default function DashboardPage() {
                     </div>
                     
                     {/* Middle: Debit and Credit with Crypto Amounts */}
-                    <div className="grid grid-cols-2 gap-4 text-sm mb-3">
-                      <div>
-                        <p className="text-gray-600 text-xs mb-1">Debit</p>
-                        <p className="font-medium text-red-600">{entry.account_debit}</p>
-                        <p className="text-sm text-gray-800 mt-1">{entry.amount.toFixed(2)} {entry.currency}</p>
+                    {entry.is_compound && entry.journal_entry_lines ? (
+                      <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+                        {(['debit', 'credit'] as const).map((side) => (
+                          <div key={side}>
+                            <p className="text-gray-600 text-xs mb-1">{side === 'debit' ? 'Debit' : 'Credit'}</p>
+                            {entry.journal_entry_lines!
+                              .filter((line) => line.entry_type === side)
+                              .map((line) => (
+                                <div key={line.id} className="mb-2">
+                                  <p className={`font-medium ${side === 'debit' ? 'text-red-600' : 'text-green-600'}`}>{line.account_name}</p>
+                                  <p className="text-sm text-gray-800">{Number(line.amount).toFixed(2)} {line.currency}</p>
+                                </div>
+                              ))}
+                          </div>
+                        ))}
                       </div>
-                      <div>
-                        <p className="text-gray-600 text-xs mb-1">Credit</p>
-                        <p className="font-medium text-green-600">{entry.account_credit}</p>
-                        <p className="text-sm text-gray-800 mt-1">{entry.amount.toFixed(2)} {entry.currency}</p>
+                    ) : (
+                      <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+                        <div>
+                          <p className="text-gray-600 text-xs mb-1">Debit</p>
+                          <p className="font-medium text-red-600">{entry.account_debit}</p>
+                          <p className="text-sm text-gray-800 mt-1">{entry.amount?.toFixed(2)} {entry.currency}</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600 text-xs mb-1">Credit</p>
+                          <p className="font-medium text-green-600">{entry.account_credit}</p>
+                          <p className="text-sm text-gray-800 mt-1">{entry.amount?.toFixed(2)} {entry.currency}</p>
+                        </div>
                       </div>
-                    </div>
+                    )}
                     
                     {/* Bottom: Badges and Total Amount with USD */}
                     <div className="pt-3 border-t border-gray-100">
                       {/* FTSO Price Information */}
-                      {entry.usd_value && entry.usd_rate && entry.usd_source && (
+                      {entry.amount !== null && entry.usd_value && entry.usd_rate && entry.usd_source && (
                         <div className="mb-2">
                           <p className="text-xs text-gray-500">
                             {entry.amount.toFixed(2)} {entry.currency} ({entry.usd_value.toFixed(2)} USD at ${entry.usd_rate.toFixed(4)}/{entry.currency} via {entry.usd_source})
@@ -535,11 +629,48 @@ export default function DashboardPage() {
                               Needs Review
                             </span>
                           )}
+                          {entry.reverses_entry_id && (
+                            <button
+                              onClick={() => scrollToEntry(entry.reverses_entry_id!)}
+                              className="text-xs bg-purple-100 text-purple-800 px-2 py-1 rounded hover:bg-purple-200"
+                              title="Show the reversed entry"
+                            >
+                              Reversal
+                            </button>
+                          )}
+                          {entry.reversed_by_entry_id && (
+                            <button
+                              onClick={() => scrollToEntry(entry.reversed_by_entry_id!)}
+                              className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded hover:bg-gray-300"
+                              title="Show the reversal"
+                            >
+                              Reversed
+                            </button>
+                          )}
+                          {entry.corrects_entry_id && (
+                            <button
+                              onClick={() => scrollToEntry(entry.corrects_entry_id!)}
+                              className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded hover:bg-green-200"
+                              title="Show the corrected entry"
+                            >
+                              Correction
+                            </button>
+                          )}
+                          {!entry.reverses_entry_id && !entry.reversed_by_entry_id && (
+                            <button
+                              onClick={() => reverseEntry(entry)}
+                              className="text-xs text-gray-500 hover:text-red-600 px-2 py-1"
+                            >
+                              Reverse
+                            </button>
+                          )}
                         </div>
                         <div className="text-right">
-                          <div className="font-semibold text-lg">
-                            {entry.amount.toFixed(2)} {entry.currency}
-                          </div>
+                          {entry.amount !== null && (
+                            <div className="font-semibold text-lg">
+                              {entry.amount.toFixed(2)} {entry.currency}
+                            </div>
+                          )}
                           {entry.usd_value && (
                             <div className="text-sm text-gray-600">
                               ${entry.usd_value.toFixed(2)} USD
@@ -1,28 +1,20 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { Fragment, useCallback, useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
-import { ArrowLeftIcon, ChartBarIcon, CurrencyDollarIcon, DocumentTextIcon, CalendarIcon } from '@heroicons/react/24/outline'
+import { ArrowLeftIcon, ChartBarIcon, CurrencyDollarIcon, DocumentTextIcon, CalendarIcon, ScaleIcon, PresentationChartLineIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
 import { supabase } from '../../../lib/supabase'
-import { apiClient } from '../../../lib/api'
-
-interface BalanceSheetItem {
-  account: string
-  balance: number
-  currency: string
-}
-
-interface BalanceSheet {
-  asOfDate: string
-  assets: BalanceSheetItem[]
-  liabilities: BalanceSheetItem[]
-  equity: BalanceSheetItem[]
-  totals: {
-    totalAssets: number
-    totalLiabilities: number
-    totalEquity: number
-  }
-}
+import {
+  apiClient,
+  type AccountRollUp,
+  type BalanceSheet,
+  type BalanceSheetItem,
+  type BalanceSheetRollUp,
+  type TrialBalance,
+  type IncomeStatement,
+  type IncomeStatementAmounts,
+  type IncomeStatementComparison,
+} from '../../../lib/api'
 
 interface CryptoHolding {
   symbol: string
@@ -34,33 +26,79 @@ interface CryptoHolding {
 export default function ReportsPage() {
   const [loading, setLoading] = useState(true)
   const [balanceSheet, setBalanceSheet] = useState<BalanceSheet | null>(null)
+  const [trialBalance, setTrialBalance] = useState<TrialBalance | null>(null)
+  const [incomeStatement, setIncomeStatement] = useState<IncomeStatement | null>(null)
+  const [incomeCompare, setIncomeCompare] = useState<IncomeStatementComparison | ''>('month')
   const [cryptoHoldings, setCryptoHoldings] = useState<CryptoHolding[]>([])
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0])
-  const [activeTab, setActiveTab] = useState<'portfolio' | 'balance-sheet' | 'cash-flow'>('portfolio')
+  // Entries still waiting in the review queue count unless this is turned off
+  const [includeUnreviewed, setIncludeUnreviewed] = useState(true)
+  // Show accounts along the account tree, parents including their sub-accounts
+  const [rollUp, setRollUp] = useState(false)
+  const [expandedAccounts, setExpandedAccounts] = useState<Set<string>>(new Set())
+  const [activeTab, setActiveTab] = useState<'portfolio' | 'balance-sheet' | 'trial-balance' | 'income-statement' | 'cash-flow'>('portfolio')
   const router = useRouter()
 
-  useEffect(() => {
-    checkAuth()
-    if (selectedDate) {
-      fetchReports()
-    }
-  }, [selectedDate])
-
-  const checkAuth = async () => {
+  const checkAuth = useCallback(async () => {
     const { data: { user } } = await supabase.auth.getUser()
     if (!user) {
       router.push('/auth/otp-login')
       return
     }
+  }, [router])
+
+  // Income statement covers the month to date of the selected date
+  const fetchIncomeStatement = useCallback(async () => {
+    try {
+      const periodStart = `${selectedDate.slice(0, 8)}01`
+      const data = await apiClient.getIncomeStatement(periodStart, selectedDate, incomeCompare || undefined, undefined, includeUnreviewed)
+      setIncomeStatement(data)
+    } catch (error) {
+      console.error('Error fetching income statement:', error)
+    }
+  }, [selectedDate, incomeCompare, includeUnreviewed])
+
+  useEffect(() => {
+    if (selectedDate) {
+      fetchIncomeStatement()
+    }
+  }, [selectedDate, fetchIncomeStatement])
+
+  const formatUSD = (amount: number) => {
+    const formatted = `$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+    return amount < 0 ? `(${formatted})` : formatted
+  }
+
+  const formatPercent = (percent: number | null | undefined) => {
+    if (percent === null || percent === undefined) return '-'
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`
   }
 
-  const fetchReports = async () => {
+  const renderResultRow = (label: string, amounts: IncomeStatementAmounts, comparing: boolean) => (
+    <tr className="bg-gray-50 font-semibold">
+      <td className="px-4 py-2" colSpan={3}>{label}</td>
+      <td className="px-4 py-2 text-right font-mono">{formatUSD(amounts.current.usdAmount)}</td>
+      {comparing && (
+        <>
+          <td className="px-4 py-2 text-right font-mono">{amounts.prior ? formatUSD(amounts.prior.usdAmount) : '-'}</td>
+          <td className="px-4 py-2 text-right font-mono">{amounts.variance ? formatUSD(amounts.variance.usdAmount) : '-'}</td>
+          <td className="px-4 py-2 text-right font-mono">{formatPercent(amounts.variance?.usdPercent)}</td>
+        </>
+      )}
+    </tr>
+  )
+
+  const fetchReports = useCallback(async () => {
     try {
       setLoading(true)
       
-      // Fetch balance sheet
-      const balanceSheetData = await apiClient.getBalanceSheet(selectedDate)
+      // Fetch balance sheet and trial balance
+      const [balanceSheetData, trialBalanceData] = await Promise.all([
+        apiClient.getBalanceSheet(selectedDate, undefined, includeUnreviewed),
+        apiClient.getTrialBalance(selectedDate, undefined, includeUnreviewed),
+      ])
       setBalanceSheet(balanceSheetData)
+      setTrialBalance(trialBalanceData)
 
       // Extract crypto holdings from digital assets
       const cryptoAssets = balanceSheetData.assets.filter((asset: BalanceSheetItem) => 
@@ -101,7 +139,14 @@ export default function ReportsPage() {
     } finally {
       setLoading(false)
     }
-  }
+  }, [selectedDate, includeUnreviewed])
+
+  useEffect(() => {
+    checkAuth()
+    if (selectedDate) {
+      fetchReports()
+    }
+  }, [selectedDate, checkAuth, fetchReports])
 
   const formatCurrency = (amount: number, currency: string) => {
     if (currency === 'BTC') {
@@ -115,6 +160,64 @@ export default function ReportsPage() {
     }
   }
 
+  const toggleAccount = (accountId: string) => {
+    setExpandedAccounts((previous) => {
+      const next = new Set(previous)
+      if (next.has(accountId)) {
+        next.delete(accountId)
+      } else {
+        next.add(accountId)
+      }
+      return next
+    })
+  }
+
+  // Top-level accounts plus the sub-accounts of expanded ones, in tree order
+  const visibleNodes = <T,>(nodes: AccountRollUp<T>[]): AccountRollUp<T>[] =>
+    nodes.flatMap((node) => [node, ...(expandedAccounts.has(node.id) ? visibleNodes(node.children) : [])])
+
+  const renderAccountName = <T,>(node: AccountRollUp<T>) => (
+    <span className="flex items-center" style={{ paddingLeft: `${node.level * 1.25}rem` }}>
+      {node.children.length > 0 ? (
+        <button onClick={() => toggleAccount(node.id)} className="mr-1 text-gray-400 hover:text-gray-600">
+          {expandedAccounts.has(node.id) ? <ChevronDownIcon className="h-4 w-4" /> : <ChevronRightIcon className="h-4 w-4" />}
+        </button>
+      ) : (
+        <span className="mr-1 w-4" />
+      )}
+      <span className={node.children.length > 0 && !expandedAccounts.has(node.id) ? 'font-medium' : ''}>{node.account}</span>
+    </span>
+  )
+
+  // Native amounts per currency, one per line
+  const renderByCurrency = (byCurrency: Record<string, number>) => (
+    Object.entries(byCurrency).map(([currency, amount]) => (
+      <div key={currency}>{formatCurrency(amount, currency)}</div>
+    ))
+  )
+
+  const renderBalanceSection = (items: BalanceSheetItem[], nodes: AccountRollUp<BalanceSheetRollUp>[], emptyText: string) => {
+    if (rollUp) {
+      return nodes.length === 0
+        ? <p className="text-sm text-gray-500">{emptyText}</p>
+        : visibleNodes(nodes).map((node) => (
+          <div key={node.id} className="flex justify-between">
+            <span className="text-sm text-gray-600 truncate mr-2">{renderAccountName(node)}</span>
+            <span className="font-mono text-sm text-right">{renderByCurrency(node.byCurrency)}</span>
+          </div>
+        ))
+    }
+
+    return items.length === 0
+      ? <p className="text-sm text-gray-500">{emptyText}</p>
+      : items.map((item, index) => (
+        <div key={index} className="flex justify-between">
+          <span className="text-sm text-gray-600 truncate mr-2">{item.account}</span>
+          <span className="font-mono text-sm">{formatCurrency(item.balance, item.currency)}</span>
+        </div>
+      ))
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -140,6 +243,22 @@ export default function ReportsPage() {
             </div>
             
             <div className="flex items-center space-x-4">
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={includeUnreviewed}
+                  onChange={(e) => setIncludeUnreviewed(e.target.checked)}
+                />
+                <span>Include unreviewed entries</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={rollUp}
+                  onChange={(e) => setRollUp(e.target.checked)}
+                />
+                <span>Roll up sub-accounts</span>
+              </label>
               <div className="flex items-center space-x-2">
                 <CalendarIcon className="h-5 w-5 text-gray-400" />
                 <input
@@ -180,6 +299,28 @@ export default function ReportsPage() {
               <ChartBarIcon className="h-5 w-5 inline mr-2" />
               Balance Sheet
             </button>
+            <button
+              onClick={() => setActiveTab('trial-balance')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'trial-balance'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <ScaleIcon className="h-5 w-5 inline mr-2" />
+              Trial Balance
+            </button>
+            <button
+              onClick={() => setActiveTab('income-statement')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'income-statement'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <PresentationChartLineIcon className="h-5 w-5 inline mr-2" />
+              Income Statement
+            </button>
             <button
               onClick={() => setActiveTab('cash-flow')}
               className={`py-4 px-1 border-b-2 font-medium text-sm ${
@@ -260,12 +401,7 @@ export default function ReportsPage() {
                   Assets
                 </h3>
                 <div className="space-y-3">
-                  {balanceSheet.assets.map((asset, index) => (
-                    <div key={index} className="flex justify-between">
-                      <span className="text-sm text-gray-600 truncate mr-2">{asset.account}</span>
-                      <span className="font-mono text-sm">{formatCurrency(asset.balance, asset.currency)}</span>
-                    </div>
-                  ))}
+                  {renderBalanceSection(balanceSheet.assets, balanceSheet.tree.assets, 'No assets')}
                   <div className="border-t pt-2 mt-4">
                     <div className="flex justify-between font-semibold">
                       <span>Total Assets</span>
@@ -282,16 +418,7 @@ export default function ReportsPage() {
                   Liabilities
                 </h3>
                 <div className="space-y-3">
-                  {balanceSheet.liabilities.length === 0 ? (
-                    <p className="text-sm text-gray-500">No liabilities</p>
-                  ) : (
-                    balanceSheet.liabilities.map((liability, index) => (
-                      <div key={index} className="flex justify-between">
-                        <span className="text-sm text-gray-600 truncate mr-2">{liability.account}</span>
-                        <span className="font-mono text-sm">{formatCurrency(liability.balance, liability.currency)}</span>
-                      </div>
-                    ))
-                  )}
+                  {renderBalanceSection(balanceSheet.liabilities, balanceSheet.tree.liabilities, 'No liabilities')}
                   <div className="border-t pt-2 mt-4">
                     <div className="flex justify-between font-semibold">
                       <span>Total Liabilities</span>
@@ -308,16 +435,7 @@ export default function ReportsPage() {
                   Equity
                 </h3>
                 <div className="space-y-3">
-                  {balanceSheet.equity.length === 0 ? (
-                    <p className="text-sm text-gray-500">No equity accounts</p>
-                  ) : (
-                    balanceSheet.equity.map((equity, index) => (
-                      <div key={index} className="flex justify-between">
-                        <span className="text-sm text-gray-600 truncate mr-2">{equity.account}</span>
-                        <span className="font-mono text-sm">{formatCurrency(equity.balance, equity.currency)}</span>
-                      </div>
-                    ))
-                  )}
+                  {renderBalanceSection(balanceSheet.equity, balanceSheet.tree.equity, 'No equity accounts')}
                   <div className="border-t pt-2 mt-4">
                     <div className="flex justify-between font-semibold">
                       <span>Total Equity</span>
@@ -330,6 +448,212 @@ export default function ReportsPage() {
           </div>
         )}
 
+        {activeTab === 'trial-balance' && trialBalance && (
+          <div>
+            <div className="mb-6 flex items-start justify-between">
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Trial Balance</h2>
+                <p className="text-gray-600">Debit and credit totals per account as of {trialBalance.asOfDate}</p>
+              </div>
+              <span className={`text-sm px-3 py-1 rounded-full ${
+                trialBalance.isBalanced ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+              }`}>
+                {trialBalance.isBalanced ? 'Ledger balances' : 'Ledger out of balance'}
+              </span>
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-medium">Code</th>
+                    <th className="px-4 py-3 text-left font-medium">Account</th>
+                    <th className="px-4 py-3 text-left font-medium">Type</th>
+                    <th className="px-4 py-3 text-left font-medium">Currency</th>
+                    <th className="px-4 py-3 text-right font-medium">Debit</th>
+                    <th className="px-4 py-3 text-right font-medium">Credit</th>
+                    <th className="px-4 py-3 text-right font-medium">Debit (USD)</th>
+                    <th className="px-4 py-3 text-right font-medium">Credit (USD)</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {rollUp && visibleNodes(trialBalance.tree).map((node) => (
+                    <tr key={node.id} className="text-gray-800 align-top">
+                      <td className="px-4 py-2 font-mono">{node.code}</td>
+                      <td className="px-4 py-2">{renderAccountName(node)}</td>
+                      <td className="px-4 py-2">{node.accountType}</td>
+                      <td className="px-4 py-2">
+                        {Object.keys(node.byCurrency).map((currency) => <div key={currency}>{currency}</div>)}
+                      </td>
+                      <td className="px-4 py-2 text-right font-mono">
+                        {Object.entries(node.byCurrency).map(([currency, totals]) => (
+                          <div key={currency}>{totals.debit ? formatCurrency(totals.debit, currency) : '-'}</div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-2 text-right font-mono">
+                        {Object.entries(node.byCurrency).map(([currency, totals]) => (
+                          <div key={currency}>{totals.credit ? formatCurrency(totals.credit, currency) : '-'}</div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-2 text-right font-mono">{node.usdDebit ? `$${node.usdDebit.toLocaleString()}` : '-'}</td>
+                      <td className="px-4 py-2 text-right font-mono">{node.usdCredit ? `$${node.usdCredit.toLocaleString()}` : '-'}</td>
+                    </tr>
+                  ))}
+                  {!rollUp && trialBalance.accounts.map((row) => (
+                    <tr
+                      key={`${row.account}-${row.currency}`}
+                      className={row.debit === 0 && row.credit === 0 ? 'text-gray-400' : 'text-gray-800'}
+                    >
+                      <td className="px-4 py-2 font-mono">{row.code || '-'}</td>
+                      <td className="px-4 py-2">
+                        {row.account}
+                        {!row.inChartOfAccounts && (
+                          <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded">Not in chart</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2">{row.accountType}</td>
+                      <td className="px-4 py-2">{row.currency || '-'}</td>
+                      <td className="px-4 py-2 text-right font-mono">{row.debit ? formatCurrency(row.debit, row.currency || '') : '-'}</td>
+                      <td className="px-4 py-2 text-right font-mono">{row.credit ? formatCurrency(row.credit, row.currency || '') : '-'}</td>
+                      <td className="px-4 py-2 text-right font-mono">{row.usdDebit ? `$${row.usdDebit.toLocaleString()}` : '-'}</td>
+                      <td className="px-4 py-2 text-right font-mono">{row.usdCredit ? `$${row.usdCredit.toLocaleString()}` : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-gray-50 font-semibold">
+                  {Object.entries(trialBalance.totals.byCurrency).map(([currency, totals]) => (
+                    <tr key={currency} className={totals.balanced ? '' : 'text-red-600'}>
+                      <td className="px-4 py-2" colSpan={4}>Total {currency}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatCurrency(totals.debit, currency)}</td>
+                      <td className="px-4 py-2 text-right font-mono">{formatCurrency(totals.credit, currency)}</td>
+                      <td className="px-4 py-2" colSpan={2}></td>
+                    </tr>
+                  ))}
+                  <tr className={trialBalance.totals.usd.balanced ? '' : 'text-red-600'}>
+                    <td className="px-4 py-2" colSpan={6}>Total USD</td>
+                    <td className="px-4 py-2 text-right font-mono">${trialBalance.totals.usd.debit.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-right font-mono">${trialBalance.totals.usd.credit.toLocaleString()}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+
+            {trialBalance.totals.unpricedLines > 0 && (
+              <p className="mt-3 text-sm text-yellow-700">
+                {trialBalance.totals.unpricedLines} journal line(s) have no stored USD value and are excluded from the USD totals.
+              </p>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'income-statement' && incomeStatement && (
+          <div>
+            <div className="mb-6 flex items-start justify-between">
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Income Statement</h2>
+                <p className="text-gray-600">
+                  Profit and loss from {incomeStatement.period.start} to {incomeStatement.period.end}
+                  {incomeStatement.comparisonPeriod && (
+                    <> compared with {incomeStatement.comparisonPeriod.start} to {incomeStatement.comparisonPeriod.end}</>
+                  )}
+                </p>
+              </div>
+              <select
+                value={incomeCompare}
+                onChange={(e) => setIncomeCompare(e.target.value as IncomeStatementComparison | '')}
+                className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+              >
+                <option value="">No comparison</option>
+                <option value="month">vs. previous month</option>
+                <option value="quarter">vs. previous quarter</option>
+                <option value="year">vs. previous year</option>
+              </select>
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-medium">Code</th>
+                    <th className="px-4 py-3 text-left font-medium">Account</th>
+                    <th className="px-4 py-3 text-right font-medium">Amount</th>
+                    <th className="px-4 py-3 text-right font-medium">USD</th>
+                    {incomeStatement.comparisonPeriod && (
+                      <>
+                        <th className="px-4 py-3 text-right font-medium">Prior (USD)</th>
+                        <th className="px-4 py-3 text-right font-medium">Variance (USD)</th>
+                        <th className="px-4 py-3 text-right font-medium">Variance %</th>
+                      </>
+                    )}
+                  </tr>
+                </thead>
+                {([
+                  ['Revenue', incomeStatement.revenue],
+                  ['Expenses', incomeStatement.expenses],
+                ] as const).map(([title, section]) => (
+                  <tbody key={title} className="divide-y divide-gray-100">
+                    <tr>
+                      <td className="px-4 pt-4 pb-2 text-lg font-semibold text-gray-900" colSpan={7}>{title}</td>
+                    </tr>
+                    {section.categories.length === 0 && (
+                      <tr>
+                        <td className="px-4 py-2 text-gray-500" colSpan={7}>No {title.toLowerCase()} in this period</td>
+                      </tr>
+                    )}
+                    {rollUp && visibleNodes(section.tree).map((node) => (
+                      <tr key={node.id} className="text-gray-800 align-top">
+                        <td className="px-4 py-2 font-mono">{node.code}</td>
+                        <td className="px-4 py-2">{renderAccountName(node)}</td>
+                        <td className="px-4 py-2 text-right font-mono">{renderByCurrency(node.current.byCurrency)}</td>
+                        <td className="px-4 py-2 text-right font-mono">{formatUSD(node.current.usdAmount)}</td>
+                        {incomeStatement.comparisonPeriod && (
+                          <>
+                            <td className="px-4 py-2 text-right font-mono">{node.prior ? formatUSD(node.prior.usdAmount) : '-'}</td>
+                            <td className="px-4 py-2 text-right font-mono">{node.variance ? formatUSD(node.variance.usdAmount) : '-'}</td>
+                            <td className="px-4 py-2 text-right font-mono">{formatPercent(node.variance?.usdPercent)}</td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                    {!rollUp && section.categories.map((category) => (
+                      <Fragment key={`${title}-${category.code || category.name}`}>
+                        <tr className="text-gray-600">
+                          <td className="px-4 py-2 font-medium" colSpan={7}>{category.name}</td>
+                        </tr>
+                        {category.accounts.map((row) => (
+                          <tr key={`${row.account}-${row.currency}`} className="text-gray-800">
+                            <td className="px-4 py-2 font-mono">{row.code || '-'}</td>
+                            <td className="px-4 py-2">
+                              {row.account}
+                              {row.unpricedLines > 0 && (
+                                <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded">{row.unpricedLines} unpriced</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-right font-mono">{formatCurrency(row.amount, row.currency)}</td>
+                            <td className="px-4 py-2 text-right font-mono">{formatUSD(row.usdAmount)}</td>
+                            {incomeStatement.comparisonPeriod && (
+                              <>
+                                <td className="px-4 py-2 text-right font-mono">{row.prior ? formatUSD(row.prior.usdAmount) : '-'}</td>
+                                <td className="px-4 py-2 text-right font-mono">{row.variance ? formatUSD(row.variance.usdAmount) : '-'}</td>
+                                <td className="px-4 py-2 text-right font-mono">{formatPercent(row.variance?.percent)}</td>
+                              </>
+                            )}
+                          </tr>
+                        ))}
+                      </Fragment>
+                    ))}
+                    {renderResultRow(`Total ${title}`, section.totals, !!incomeStatement.comparisonPeriod)}
+                  </tbody>
+                ))}
+                <tfoot>
+                  {renderResultRow('Gross Result', incomeStatement.grossResult, !!incomeStatement.comparisonPeriod)}
+                  {renderResultRow('Net Result', incomeStatement.netResult, !!incomeStatement.comparisonPeriod)}
+                </tfoot>
+              </table>
+            </div>
+          </div>
+        )}
+
         {activeTab === 'cash-flow' && (
           <div>
             <div className="mb-6">
@@ -0,0 +1,360 @@
+'use client'
+
+import { useCallback, useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import { ArrowLeftIcon, CheckIcon, XMarkIcon, PencilSquareIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { supabase } from '../../../lib/supabase'
+import { apiClient, type ReviewQueueEntry, type ReviewReason, type ReviewEntryChanges } from '../../../lib/api'
+
+interface EditState {
+  entryId: string
+  narrative: string
+  accountDebit: string
+  accountCredit: string
+  amount: string
+}
+
+const describeReason = (reason: ReviewReason) => {
+  switch (reason.reason) {
+    case 'low_confidence':
+      return `Confidence ${Math.round((reason.confidence || 0) * 100)}% below ${Math.round((reason.threshold || 0) * 100)}%`
+    case 'account_substituted':
+      return `${reason.side} account "${reason.requested}" booked as "${reason.substituted}"`
+    case 'unknown_account':
+      return reason.requested ? `${reason.side} account "${reason.requested}" is not in the chart` : 'Unknown account'
+    default:
+      return reason.reason
+  }
+}
+
+export default function ReviewPage() {
+  const [loading, setLoading] = useState(true)
+  const [entries, setEntries] = useState<ReviewQueueEntry[]>([])
+  const [total, setTotal] = useState(0)
+  const [selected, setSelected] = useState<Set<string>>(new Set())
+  const [threshold, setThreshold] = useState('')
+  const [editing, setEditing] = useState<EditState | null>(null)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const router = useRouter()
+
+  const checkAuth = useCallback(async () => {
+    const { data: { user } } = await supabase.auth.getUser()
+    if (!user) {
+      router.push('/auth/otp-login')
+    }
+  }, [router])
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true)
+      const queue = await apiClient.getReviewQueue(1, 100)
+      setEntries(queue.entries)
+      setTotal(queue.pagination.total)
+      setSelected(new Set())
+    } catch (error) {
+      console.error('Error fetching review queue:', error)
+      setError('Could not load the review queue')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const settings = await apiClient.getReviewSettings()
+      setThreshold(String(settings.confidenceThreshold))
+    } catch (error) {
+      console.error('Error fetching review settings:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    checkAuth()
+    fetchQueue()
+    fetchSettings()
+  }, [checkAuth, fetchQueue, fetchSettings])
+
+  const saveThreshold = async () => {
+    try {
+      const settings = await apiClient.updateReviewSettings(parseFloat(threshold))
+      setThreshold(String(settings.confidenceThreshold))
+      setError(null)
+    } catch (error) {
+      console.error('Error saving review threshold:', error)
+      setError('Threshold must be between 0 and 1')
+    }
+  }
+
+  const toggle = (entryId: string) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(entryId)) {
+        next.delete(entryId)
+      } else {
+        next.add(entryId)
+      }
+      return next
+    })
+  }
+
+  const toggleAll = () => {
+    setSelected(selected.size === entries.length ? new Set() : new Set(entries.map(entry => entry.id)))
+  }
+
+  const reviewSelected = async (action: 'approve' | 'reject') => {
+    if (selected.size === 0) return
+    try {
+      setWorking(true)
+      const entryIds = Array.from(selected)
+      if (action === 'approve') {
+        await apiClient.approveEntries(entryIds)
+      } else {
+        const note = window.prompt('Why are these entries rejected? (optional)') || undefined
+        await apiClient.rejectEntries(entryIds, note)
+      }
+      await fetchQueue()
+    } catch (error) {
+      console.error(`Error trying to ${action} entries:`, error)
+      setError(`Could not ${action} the selected entries`)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const startEditing = (entry: ReviewQueueEntry) => {
+    setEditing({
+      entryId: entry.id,
+      narrative: entry.narrative || '',
+      accountDebit: entry.account_debit || '',
+      accountCredit: entry.account_credit || '',
+      amount: entry.amount !== null ? String(entry.amount) : '',
+    })
+  }
+
+  const saveAndApprove = async (entry: ReviewQueueEntry) => {
+    if (!editing) return
+
+    const changes: ReviewEntryChanges = { narrative: editing.narrative }
+    // Compound entries keep their lines; only the narrative is edited here
+    if (!entry.is_compound) {
+      if (editing.accountDebit !== entry.account_debit) changes.accountDebit = editing.accountDebit
+      if (editing.accountCredit !== entry.account_credit) changes.accountCredit = editing.accountCredit
+      if (parseFloat(editing.amount) !== Number(entry.amount)) changes.amount = parseFloat(editing.amount)
+    }
+
+    try {
+      setWorking(true)
+      await apiClient.editAndApproveEntry(entry.id, changes)
+      setEditing(null)
+      await fetchQueue()
+    } catch (error) {
+      console.error('Error saving journal entry:', error)
+      setError('The corrected entry could not be saved. Check that it balances.')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const renderLines = (entry: ReviewQueueEntry) => {
+    if (entry.journal_entry_lines && entry.journal_entry_lines.length > 0) {
+      return [...entry.journal_entry_lines]
+        .sort((a, b) => a.line_number - b.line_number)
+        .map(line => (
+          <div key={line.line_number} className={line.entry_type === 'credit' ? 'pl-4' : ''}>
+            <span className="text-gray-500">{line.entry_type === 'debit' ? 'Dr' : 'Cr'}</span> {line.account_name}{' '}
+            <span className="font-mono">{line.amount} {line.currency}</span>
+          </div>
+        ))
+    }
+    return (
+      <>
+        <div><span className="text-gray-500">Dr</span> {entry.account_debit} <span className="font-mono">{entry.amount} {entry.currency}</span></div>
+        <div className="pl-4"><span className="text-gray-500">Cr</span> {entry.account_credit}</div>
+      </>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <div className="flex items-center">
+              <button
+                onClick={() => router.push('/dashboard')}
+                className="mr-4 p-2 rounded-md text-gray-400 hover:text-gray-600"
+              >
+                <ArrowLeftIcon className="h-5 w-5" />
+              </button>
+              <h1 className="text-xl font-semibold text-gray-900">Review Queue</h1>
+              <span className="ml-3 text-sm text-gray-500">{total} pending</span>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <label className="text-sm text-gray-600">Review entries below confidence</label>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={threshold}
+                onChange={(e) => setThreshold(e.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm w-20"
+              />
+              <button
+                onClick={saveThreshold}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {error && (
+          <div className="mb-4 p-3 rounded-md bg-red-50 text-sm text-red-700 flex items-center">
+            <ExclamationTriangleIcon className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        <div className="mb-4 flex items-center space-x-2">
+          <button
+            onClick={() => reviewSelected('approve')}
+            disabled={selected.size === 0 || working}
+            className="bg-green-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-green-700 disabled:opacity-50 flex items-center"
+          >
+            <CheckIcon className="h-4 w-4 mr-2" />
+            Approve selected ({selected.size})
+          </button>
+          <button
+            onClick={() => reviewSelected('reject')}
+            disabled={selected.size === 0 || working}
+            className="bg-red-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-red-700 disabled:opacity-50 flex items-center"
+          >
+            <XMarkIcon className="h-4 w-4 mr-2" />
+            Reject selected ({selected.size})
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+            Nothing to review. New AI entries below your confidence threshold will show up here.
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2">
+                    <input type="checkbox" checked={selected.size === entries.length} onChange={toggleAll} />
+                  </th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Date</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Entry</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Confidence</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Why</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {entries.map(entry => (
+                  <tr key={entry.id} className="align-top">
+                    <td className="px-4 py-3">
+                      <input type="checkbox" checked={selected.has(entry.id)} onChange={() => toggle(entry.id)} />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.entry_date}</td>
+                    <td className="px-4 py-3">
+                      {editing?.entryId === entry.id ? (
+                        <div className="space-y-2">
+                          <input
+                            value={editing.narrative}
+                            onChange={(e) => setEditing({ ...editing, narrative: e.target.value })}
+                            className="border border-gray-300 rounded-md px-2 py-1 w-full"
+                            placeholder="Narrative"
+                          />
+                          {!entry.is_compound && (
+                            <div className="grid grid-cols-3 gap-2">
+                              <input
+                                value={editing.accountDebit}
+                                onChange={(e) => setEditing({ ...editing, accountDebit: e.target.value })}
+                                className="border border-gray-300 rounded-md px-2 py-1"
+                                placeholder="Debit account"
+                              />
+                              <input
+                                value={editing.accountCredit}
+                                onChange={(e) => setEditing({ ...editing, accountCredit: e.target.value })}
+                                className="border border-gray-300 rounded-md px-2 py-1"
+                                placeholder="Credit account"
+                              />
+                              <input
+                                type="number"
+                                value={editing.amount}
+                                onChange={(e) => setEditing({ ...editing, amount: e.target.value })}
+                                className="border border-gray-300 rounded-md px-2 py-1"
+                                placeholder="Amount"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      ) : (
+                        <>
+                          <div className="font-medium text-gray-900">{entry.narrative}</div>
+                          <div className="mt-1 text-gray-700">{renderLines(entry)}</div>
+                          {entry.transactions?.txid && (
+                            <div className="mt-1 text-xs text-gray-400 font-mono truncate max-w-xs">{entry.transactions.txid}</div>
+                          )}
+                        </>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      {entry.ai_confidence !== null ? `${Math.round(entry.ai_confidence * 100)}%` : '-'}
+                    </td>
+                    <td className="px-4 py-3">
+                      <ul className="space-y-1 text-xs text-yellow-800">
+                        {(entry.review_reasons || []).map((reason, index) => (
+                          <li key={index}>{describeReason(reason)}</li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right">
+                      {editing?.entryId === entry.id ? (
+                        <>
+                          <button
+                            onClick={() => saveAndApprove(entry)}
+                            disabled={working}
+                            className="text-green-600 hover:text-green-800 mr-3"
+                          >
+                            Save &amp; approve
+                          </button>
+                          <button onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700">
+                            Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => startEditing(entry)}
+                          className="text-blue-600 hover:text-blue-800 flex items-center"
+                        >
+                          <PencilSquareIcon className="h-4 w-4 mr-1" />
+                          Edit
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
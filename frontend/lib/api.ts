@@ -96,32 +96,117 @@ class ApiClient {
   }
 
   // Report methods
-  async getBalanceSheet(date: string, currency?: string) {
+  // includeUnreviewed=false leaves out entries still waiting in the review queue
+  async getBalanceSheet(date: string, currency?: string, includeUnreviewed?: boolean): Promise<BalanceSheet> {
     const response = await this.client.get('/api/reports/balance-sheet', {
-      params: { date, currency },
+      params: { date, currency, includeUnreviewed },
     });
     return response.data;
   }
 
-  async getCashFlow(start: string, end: string, currency?: string) {
+  async getCashFlow(start: string, end: string, currency?: string, includeUnreviewed?: boolean) {
     const response = await this.client.get('/api/reports/cash-flow', {
-      params: { start, end, currency },
+      params: { start, end, currency, includeUnreviewed },
     });
     return response.data;
   }
 
+  async getTrialBalance(date: string, currency?: string, includeUnreviewed?: boolean): Promise<TrialBalance> {
+    const response = await this.client.get('/api/reports/trial-balance', {
+      params: { date, currency, includeUnreviewed },
+    });
+    return response.data;
+  }
+
+  async getIncomeStatement(
+    start: string,
+    end: string,
+    compare?: IncomeStatementComparison,
+    currency?: string,
+    includeUnreviewed?: boolean,
+  ): Promise<IncomeStatement> {
+    const response = await this.client.get('/api/reports/income-statement', {
+      params: { start, end, compare, currency, includeUnreviewed },
+    });
+    return response.data;
+  }
+
+  // Chart of accounts methods
+  async getAccountTree(): Promise<{ tree: AccountTreeNode[]; totalAccounts: number }> {
+    const response = await this.client.get('/api/accounts/tree');
+    return response.data;
+  }
+
+  // Sub-accounts (with parentAccountId) take their type and category from the parent
+  async createAccount(account: NewAccount): Promise<{ message: string; account: Account }> {
+    const response = await this.client.post('/api/accounts/create', account);
+    return response.data;
+  }
+
+  async moveAccount(accountId: string, parentAccountId: string | null): Promise<{ message: string; account: Account }> {
+    const response = await this.client.put(`/api/accounts/${accountId}/parent`, { parentAccountId });
+    return response.data;
+  }
+
   async getJournalEntries(params?: {
     start?: string;
     end?: string;
     account?: string;
+    accountId?: string;
     currency?: string;
     page?: number;
     limit?: number;
+    includeUnreviewed?: boolean;
+    netOfReversals?: boolean;
   }) {
     const response = await this.client.get('/api/reports/journal-entries', { params });
     return response.data;
   }
 
+  // Reversals and corrections
+  async reverseJournalEntry(entryId: string, options: { date?: string; reason?: string } = {}): Promise<ReversalResult> {
+    const response = await this.client.post(`/api/journal-entries/${entryId}/reverse`, options);
+    return response.data;
+  }
+
+  async correctJournalEntry(entryId: string, changes: CorrectionChanges): Promise<ReversalResult> {
+    const response = await this.client.post(`/api/journal-entries/${entryId}/correct`, changes);
+    return response.data;
+  }
+
+  // Review queue methods
+  async getReviewQueue(page = 1, limit = 50): Promise<ReviewQueue> {
+    const response = await this.client.get('/api/review/queue', {
+      params: { page, limit },
+    });
+    return response.data;
+  }
+
+  async approveEntries(entryIds: string[]): Promise<ReviewResult> {
+    const response = await this.client.post('/api/review/approve', { entryIds });
+    return response.data;
+  }
+
+  async rejectEntries(entryIds: string[], note?: string): Promise<ReviewResult> {
+    const response = await this.client.post('/api/review/reject', { entryIds, note });
+    return response.data;
+  }
+
+  async editAndApproveEntry(entryId: string, changes: ReviewEntryChanges): Promise<JournalEntry> {
+    const response = await this.client.put(`/api/review/entries/${entryId}`, changes);
+    return response.data.entry;
+  }
+
+  async getReviewSettings(): Promise<{ confidenceThreshold: number }> {
+    const response = await this.client.get('/api/review/settings');
+    return response.data;
+  }
+
+  async updateReviewSettings(confidenceThreshold: number): Promise<{ confidenceThreshold: number }> {
+    const response = await this.client.put('/api/review/settings', { confidenceThreshold });
+    return response.data;
+  }
+
   // Generic request method
   async request<T = unknown>(config: AxiosRequestConfig): Promise<T> {
     const response = await this.client.request(config);
@@ -137,6 +222,71 @@ class ApiClient {
     return response.data;
   }
 
+  // Streams the answer over server-sent events (axios cannot read a response as it arrives)
+  async streamChatMessage(
+    message: string,
+    context: Record<string, unknown> | undefined,
+    handlers: ChatStreamHandlers
+  ): Promise<void> {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    const response = await fetch(`${this.client.defaults.baseURL}/api/ai/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}),
+      },
+      body: JSON.stringify({ message, context }),
+      signal: handlers.signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Chat stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      // Events are separated by a blank line
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop() || '';
+
+      for (const frame of frames) {
+        let event = 'message';
+        let data = '';
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event: ')) event = line.slice(7);
+          else if (line.startsWith('data: ')) data += line.slice(6);
+        }
+        if (!data) continue; // heartbeat comment
+
+        const payload = JSON.parse(data);
+        switch (event) {
+          case 'token':
+            handlers.onToken?.(payload.text);
+            break;
+          case 'response':
+            handlers.onResponse?.(payload);
+            break;
+          case 'progress':
+            handlers.onProgress?.(payload);
+            break;
+          case 'finished':
+            handlers.onFinished?.(payload.job);
+            break;
+          case 'error':
+            throw new Error(payload.message);
+        }
+      }
+    }
+  }
+
   async analyzeTransaction(transactionData: Record<string, unknown>, description?: string) {
     const response = await this.client.post('/api/ai/analyze-transaction', {
       transactionData,
@@ -157,6 +307,17 @@ class ApiClient {
     const response = await this.client.get('/api/ai/health');
     return response.data;
   }
+
+  // Background job methods
+  async getJob(jobId: string): Promise<Job> {
+    const response = await this.client.get(`/api/jobs/${jobId}`);
+    return response.data.job;
+  }
+
+  async cancelJob(jobId: string): Promise<Job> {
+    const response = await this.client.post(`/api/jobs/${jobId}/cancel`);
+    return response.data.job;
+  }
 }
 
 export const apiClient = new ApiClient();
@@ -174,21 +335,134 @@ export interface Transaction {
   updated_at: string;
 }
 
-export interface JournalEntry {
+export interface JournalEntryLine {
   id: string;
-  transaction_id: string;
-  account_debit: string;
-  account_credit: string;
+  journal_entry_id: string;
+  line_number: number;
+  account_name: string;
+  entry_type: 'debit' | 'credit';
   amount: number;
   currency: string;
+  narrative: string | null;
+  usd_value: number | null;
+}
+
+export interface JournalEntry {
+  id: string;
+  transaction_id: string;
+  // Null for compound entries; read journal_entry_lines instead
+  account_debit: string | null;
+  account_credit: string | null;
+  amount: number | null;
+  currency: string | null;
+  is_compound?: boolean;
+  journal_entry_lines?: JournalEntryLine[];
   entry_date: string;
   narrative: string | null;
   ai_confidence: number | null;
   is_reviewed: boolean;
+  review_status?: ReviewStatus;
+  review_reasons?: ReviewReason[];
+  // Set on a reversal, on the entry it reversed and on a correction's replacement
+  reverses_entry_id?: string | null;
+  reversed_by_entry_id?: string | null;
+  corrects_entry_id?: string | null;
   created_at: string;
   updated_at: string;
 }
 
+export type ReviewStatus = 'pending' | 'approved' | 'rejected';
+
+export interface ReviewReason {
+  reason: 'low_confidence' | 'account_substituted' | 'unknown_account';
+  confidence?: number;
+  threshold?: number;
+  side?: 'debit' | 'credit';
+  requested?: string;
+  substituted?: string;
+}
+
+export interface ReviewQueueEntry extends JournalEntry {
+  transactions?: { txid: string; description: string | null } | null;
+}
+
+export interface ReviewQueue {
+  entries: ReviewQueueEntry[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+  };
+}
+
+export interface ReviewResult {
+  message: string;
+  entries: JournalEntry[];
+  skipped: string[];
+}
+
+export interface ReviewEntryChanges {
+  narrative?: string;
+  entryDate?: string;
+  accountDebit?: string;
+  accountCredit?: string;
+  amount?: number;
+  currency?: string;
+  lines?: { account: string; type: 'debit' | 'credit'; amount: number; currency: string }[];
+}
+
+export interface CorrectionChanges extends ReviewEntryChanges {
+  // Date of the reversal (and of the replacement unless entryDate is given)
+  date?: string;
+  reason?: string;
+}
+
+export interface ReversalResult {
+  original: JournalEntry;
+  reversal: JournalEntry;
+  replacement?: JournalEntry;
+}
+
+export type AccountType = 'ASSET' | 'LIABILITY' | 'EQUITY' | 'REVENUE' | 'EXPENSE';
+
+export interface Account {
+  id: string;
+  code: string;
+  name: string;
+  account_type: AccountType;
+  sub_type: string;
+  description: string | null;
+  ifrs_reference: string | null;
+  is_active: boolean;
+  parent_account_id: string | null;
+  account_categories?: { code: string; name: string; type: AccountType } | null;
+}
+
+export interface AccountTreeNode extends Account {
+  level: number;
+  children: AccountTreeNode[];
+}
+
+export interface NewAccount {
+  name: string;
+  accountType?: AccountType;
+  categoryCode?: string;
+  parentAccountId?: string;
+  description?: string;
+}
+
+// Report amounts of an account branch: its own postings plus its sub-accounts'
+export type AccountRollUp<T> = T & {
+  id: string;
+  code: string;
+  account: string;
+  accountType: AccountType;
+  level: number;
+  own: T | null;
+  children: AccountRollUp<T>[];
+};
+
 export interface BalanceSheetItem {
   account: string;
   balance: number;
@@ -200,6 +474,12 @@ export interface BalanceSheet {
   assets: BalanceSheetItem[];
   liabilities: BalanceSheetItem[];
   equity: BalanceSheetItem[];
+  unclassified: BalanceSheetItem[];
+  tree: {
+    assets: AccountRollUp<BalanceSheetRollUp>[];
+    liabilities: AccountRollUp<BalanceSheetRollUp>[];
+    equity: AccountRollUp<BalanceSheetRollUp>[];
+  };
   totals: {
     totalAssets: number;
     totalLiabilities: number;
@@ -207,6 +487,97 @@ export interface BalanceSheet {
   };
 }
 
+export interface TrialBalanceItem {
+  code: string | null;
+  account: string;
+  accountType: string;
+  category: string | null;
+  currency: string | null;
+  debit: number;
+  credit: number;
+  balance: number;
+  usdDebit: number;
+  usdCredit: number;
+  usdBalance: number;
+  inChartOfAccounts: boolean;
+}
+
+export interface BalanceSheetRollUp {
+  byCurrency: Record<string, number>;
+}
+
+export interface TrialBalanceRollUp {
+  byCurrency: Record<string, { debit: number; credit: number; balance: number }>;
+  usdDebit: number;
+  usdCredit: number;
+  usdBalance: number;
+}
+
+export interface TrialBalanceTotals {
+  debit: number;
+  credit: number;
+  difference: number;
+  balanced: boolean;
+}
+
+export interface TrialBalance {
+  asOfDate: string;
+  currency: string | null;
+  accounts: TrialBalanceItem[];
+  tree: AccountRollUp<TrialBalanceRollUp>[];
+  totals: {
+    byCurrency: Record<string, TrialBalanceTotals>;
+    usd: TrialBalanceTotals;
+    unpricedLines: number;
+  };
+  isBalanced: boolean;
+}
+
+export type IncomeStatementComparison = 'month' | 'quarter' | 'year';
+
+export interface IncomeStatementAmountSet {
+  usdAmount: number;
+  byCurrency: Record<string, number>;
+}
+
+export interface IncomeStatementAmounts {
+  current: IncomeStatementAmountSet;
+  prior?: IncomeStatementAmountSet;
+  variance?: IncomeStatementAmountSet & { usdPercent: number | null };
+}
+
+export interface IncomeStatementAccount {
+  code: string | null;
+  account: string;
+  currency: string;
+  amount: number;
+  usdAmount: number;
+  unpricedLines: number;
+  prior?: { amount: number; usdAmount: number };
+  variance?: { amount: number; percent: number | null; usdAmount: number };
+}
+
+export interface IncomeStatementSection {
+  categories: Array<{
+    code: string | null;
+    name: string;
+    accounts: IncomeStatementAccount[];
+    totals: IncomeStatementAmounts;
+  }>;
+  totals: IncomeStatementAmounts;
+  tree: AccountRollUp<IncomeStatementAmounts>[];
+}
+
+export interface IncomeStatement {
+  period: { start: string; end: string };
+  comparisonPeriod: { start: string; end: string; basis: IncomeStatementComparison } | null;
+  currency: string | null;
+  revenue: IncomeStatementSection;
+  expenses: IncomeStatementSection;
+  grossResult: IncomeStatementAmounts;
+  netResult: IncomeStatementAmounts;
+}
+
 export interface CashFlowItem {
   date: string;
   account: string;
@@ -242,10 +613,42 @@ export interface ChatResponse {
     savedEntries?: unknown[];
     message?: string;
     warning?: string;
+    isProcessing?: boolean;
+    jobId?: string;
   };
   error?: string;
 }
 
+export interface JobProgress {
+  step?: string;
+  message?: string;
+  stage?: string;
+  totalTransactions?: number;
+  [key: string]: unknown;
+}
+
+export interface ChatStreamHandlers {
+  onToken?: (text: string) => void;
+  onResponse?: (response: ChatResponse) => void;
+  onProgress?: (progress: JobProgress) => void;
+  onFinished?: (job: Job) => void;
+  signal?: AbortSignal;
+}
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface Job {
+  id: string;
+  type: 'wallet_analysis' | 'bulk_process';
+  status: JobStatus;
+  progress: JobProgress;
+  result: Record<string, unknown> | null;
+  error: string | null;
+  created_at: string;
+  started_at: string | null;
+  finished_at: string | null;
+}
+
 export interface JournalEntryVerification {
   isValid: boolean;
   confidence: number;
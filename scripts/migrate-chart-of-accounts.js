@@ -36,6 +36,20 @@ async function runMigration() {
     }
     console.log('✅ Account tables created successfully\n');
 
+    // Databases created before accounts had owners need the user_id columns
+    // and per-user unique keys before the template chart can be seeded
+    console.log('👤 Adding account owners...');
+    const ownersSQL = fs.readFileSync(
+      path.join(__dirname, '../backend/src/models/chart_of_accounts_owners_schema.sql'), 
+      'utf8'
+    );
+
+    const { error: ownersError } = await supabase.rpc('exec_sql', { sql: ownersSQL });
+    if (ownersError) {
+      throw new Error(`Account owners migration failed: ${ownersError.message}`);
+    }
+    console.log('✅ Account owners added successfully\n');
+
     // Step 2: Seed the data
     console.log('🌱 Seeding chart of accounts data...');
     const seedSQL = fs.readFileSync(
@@ -61,18 +75,20 @@ async function runMigration() {
     if (catError) throw catError;
     console.log(`✅ Created ${categories.length} account categories`);
 
-    // Check accounts
+    // Check the template accounts (users get their own copy on first use)
     const { data: accounts, error: accError } = await supabase
       .from('accounts')
-      .select('*');
+      .select('*')
+      .is('user_id', null);
     
     if (accError) throw accError;
-    console.log(`✅ Created ${accounts.length} accounts`);
+    console.log(`✅ Created ${accounts.length} template accounts`);
 
     // Check crypto assets
     const { data: cryptos, error: cryptoError } = await supabase
       .from('crypto_assets')
-      .select('*');
+      .select('*')
+      .is('user_id', null);
     
     if (cryptoError) throw cryptoError;
     console.log(`✅ Created ${cryptos.length} cryptocurrency assets`);
@@ -80,7 +96,8 @@ async function runMigration() {
     // Check AI mappings
     const { data: mappings, error: mappingError } = await supabase
       .from('account_ai_mappings')
-      .select('*');
+      .select('*')
+      .is('user_id', null);
     
     if (mappingError) throw mappingError;
     console.log(`✅ Created ${mappings.length} AI account mappings\n`);
@@ -97,6 +114,7 @@ async function runMigration() {
         account_type,
         account_categories(name)
       `)
+      .is('user_id', null)
       .order('sort_order')
       .limit(10);
 